@@ -0,0 +1,17 @@
+// Signing secret and lifetime of the API access tokens issued at login
+const crypto = require('crypto');
+
+let tokenSecret = process.env.AUTH_TOKEN_SECRET || null;
+
+// Outside production a throwaway secret keeps development working; tokens stop working on restart
+if (!tokenSecret && process.env.NODE_ENV !== 'production') {
+  console.warn('AUTH_TOKEN_SECRET not set, using a temporary secret. Users will be signed out when the server restarts.');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const auth = {
+  tokenSecret,
+  tokenTtlHours: parseInt(process.env.AUTH_TOKEN_TTL_HOURS) || 12
+};
+
+module.exports = auth;
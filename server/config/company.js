@@ -0,0 +1,11 @@
+// Supplier details printed on tax invoices and measurement sheet PDFs
+const company = {
+  name: process.env.COMPANY_NAME || 'Granite Manufacturing Co.',
+  address: process.env.COMPANY_ADDRESS || '123 Industrial Ave, Manufacturing District',
+  state: process.env.COMPANY_STATE || 'Karnataka',
+  gstin: process.env.COMPANY_GSTIN || null,
+  phone: process.env.COMPANY_PHONE || '(555) 123-4567',
+  email: process.env.COMPANY_EMAIL || 'info@granitemanufacturing.com'
+};
+
+module.exports = company;
@@ -0,0 +1,64 @@
+const User = require('../models/User');
+const { issueToken } = require('../middleware/auth');
+
+/**
+ * Auth Controller
+ * Signs users in and issues the bearer tokens the rest of the API requires
+ */
+
+/**
+ * Sign in with a username and password
+ */
+const login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'Username and password are required'
+      });
+    }
+
+    const user = await User.authenticate(username, String(password));
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid username or password'
+      });
+    }
+
+    const { token, expiresAt } = issueToken(user);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        expiresAt,
+        user: user.toJSON()
+      },
+      message: `Signed in as ${user.username}`
+    });
+
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      error: 'Failed to sign in',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the signed in user
+ */
+const getCurrentUser = async (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.toJSON()
+  });
+};
+
+module.exports = {
+  login,
+  getCurrentUser
+};
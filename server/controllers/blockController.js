@@ -0,0 +1,232 @@
+const Block = require('../models/Block');
+
+/**
+ * Block Controller
+ * Manages the granite block inventory slabs are cut from
+ */
+
+/**
+ * Trim optional text fields, keeping undefined so partial updates leave them alone
+ */
+const trimOptional = (value) => (typeof value === 'string' ? value.trim() : value);
+
+/**
+ * Get blocks with stock figures
+ */
+const getBlocks = async (req, res) => {
+  try {
+    const { search, variety } = req.query;
+
+    const blocks = await Block.findAll({
+      search: search ? search.trim() : undefined,
+      variety,
+      includeInactive: req.query.includeInactive === 'true',
+      availableOnly: req.query.available === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: blocks.map(block => block.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Error fetching blocks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch blocks',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get block by ID with every slab cut from it
+ */
+const getBlockById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const block = await Block.findById(id, { includeSlabs: true });
+
+    if (!block) {
+      return res.status(404).json({
+        error: 'Block not found',
+        message: `No block found with ID: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: block.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Error fetching block:', error);
+    res.status(500).json({
+      error: 'Failed to fetch block',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Add a block to inventory
+ */
+const createBlock = async (req, res) => {
+  try {
+    const {
+      blockNumber,
+      quarrySource,
+      variety,
+      color,
+      finish,
+      thickness,
+      arrivalDate,
+      grossSlabCount,
+      notes
+    } = req.body;
+
+    const validationErrors = Block.validateData({
+      blockNumber, quarrySource, variety, color, finish, thickness, arrivalDate, grossSlabCount
+    });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const block = await Block.create({
+      blockNumber: blockNumber.trim(),
+      quarrySource: trimOptional(quarrySource),
+      variety: variety.trim(),
+      color: trimOptional(color),
+      finish: trimOptional(finish),
+      thickness: thickness ? parseFloat(thickness) : null,
+      arrivalDate,
+      grossSlabCount: grossSlabCount ? parseInt(grossSlabCount) : 0,
+      notes: trimOptional(notes)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: block.toJSON(),
+      message: `Block ${block.blockNumber} added to inventory`
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A block with this block number already exists'
+      });
+    }
+
+    console.error('Error creating block:', error);
+    res.status(500).json({
+      error: 'Failed to create block',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update block details
+ */
+const updateBlock = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      quarrySource,
+      variety,
+      color,
+      finish,
+      thickness,
+      arrivalDate,
+      grossSlabCount,
+      notes,
+      isActive
+    } = req.body;
+
+    const validationErrors = Block.validateData({
+      quarrySource, variety, color, finish, thickness, arrivalDate, grossSlabCount
+    }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const block = await Block.findById(id);
+    if (!block) {
+      return res.status(404).json({
+        error: 'Block not found',
+        message: `No block found with ID: ${id}`
+      });
+    }
+
+    const updatedBlock = await block.update({
+      quarrySource: trimOptional(quarrySource),
+      variety: trimOptional(variety),
+      color: trimOptional(color),
+      finish: trimOptional(finish),
+      thickness: thickness !== undefined && thickness !== '' && thickness !== null ? parseFloat(thickness) : thickness,
+      arrivalDate,
+      grossSlabCount: grossSlabCount !== undefined && grossSlabCount !== '' ? parseInt(grossSlabCount) : undefined,
+      notes: trimOptional(notes),
+      isActive: typeof isActive === 'boolean' ? isActive : undefined
+    });
+
+    res.json({
+      success: true,
+      data: updatedBlock.toJSON(),
+      message: 'Block updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating block:', error);
+    res.status(500).json({
+      error: 'Failed to update block',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Deactivate block
+ * Blocks are never hard deleted so the slabs cut from them stay traceable
+ */
+const deleteBlock = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const block = await Block.findById(id);
+    if (!block) {
+      return res.status(404).json({
+        error: 'Block not found',
+        message: `No block found with ID: ${id}`
+      });
+    }
+
+    await block.deactivate();
+
+    res.json({
+      success: true,
+      message: 'Block removed from inventory'
+    });
+
+  } catch (error) {
+    console.error('Error deactivating block:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate block',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBlocks,
+  getBlockById,
+  createBlock,
+  updateBlock,
+  deleteBlock
+};
@@ -0,0 +1,192 @@
+const CalculationProfile = require('../models/CalculationProfile');
+
+/**
+ * Calculation Profile Controller
+ * Manages the rule profiles the calculation engine interprets for each party type
+ */
+
+/**
+ * Get all calculation profiles
+ */
+const getCalculationProfiles = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+
+    const profiles = await CalculationProfile.findAll({ includeInactive });
+
+    res.json({
+      success: true,
+      data: profiles.map(profile => profile.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Error fetching calculation profiles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calculation profiles',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get calculation profile by ID
+ */
+const getCalculationProfileById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const profile = await CalculationProfile.findById(id);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Calculation profile not found',
+        message: `No calculation profile found with ID: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Error fetching calculation profile:', error);
+    res.status(500).json({
+      error: 'Failed to fetch calculation profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Create a new calculation profile (a new party type)
+ */
+const createCalculationProfile = async (req, res) => {
+  try {
+    const { code, name, description, displayUnit, rules = [] } = req.body;
+
+    const validationErrors = CalculationProfile.validateData({ code, name, displayUnit, rules });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const existing = await CalculationProfile.findByCode(code);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Calculation profile with this code already exists',
+        existingProfile: existing.toJSON()
+      });
+    }
+
+    const profile = await CalculationProfile.create({
+      code,
+      name: name.trim(),
+      description: description ? description.trim() : null,
+      displayUnit,
+      rules
+    });
+
+    res.status(201).json({
+      success: true,
+      data: profile.toJSON(),
+      message: 'Calculation profile created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating calculation profile:', error);
+    res.status(500).json({
+      error: 'Failed to create calculation profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update calculation profile details and rules
+ */
+const updateCalculationProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, isActive, displayUnit, rules } = req.body;
+
+    const validationErrors = CalculationProfile.validateData({ name, displayUnit, rules }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const profile = await CalculationProfile.findById(id);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Calculation profile not found',
+        message: `No calculation profile found with ID: ${id}`
+      });
+    }
+
+    const updatedProfile = await profile.update({
+      name: name ? name.trim() : undefined,
+      description,
+      isActive: typeof isActive === 'boolean' ? isActive : undefined,
+      displayUnit,
+      rules
+    });
+
+    res.json({
+      success: true,
+      data: updatedProfile.toJSON(),
+      message: 'Calculation profile updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating calculation profile:', error);
+    res.status(500).json({
+      error: 'Failed to update calculation profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Deactivate calculation profile
+ * Profiles are never hard deleted because existing sheets reference them
+ */
+const deleteCalculationProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const profile = await CalculationProfile.findById(id);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Calculation profile not found',
+        message: `No calculation profile found with ID: ${id}`
+      });
+    }
+
+    await profile.deactivate();
+
+    res.json({
+      success: true,
+      message: 'Calculation profile deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deactivating calculation profile:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate calculation profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCalculationProfiles,
+  getCalculationProfileById,
+  createCalculationProfile,
+  updateCalculationProfile,
+  deleteCalculationProfile
+};
@@ -1,5 +1,8 @@
 const Customer = require('../models/Customer');
+const company = require('../config/company');
 const { asyncErrorHandler, createErrorResponse } = require('../middleware/errorHandler');
+const { isValidDate } = require('../../src/shared/ledger');
+const { renderCustomerStatementPdf } = require('../exports/customerStatementPdf');
 
 /**
  * Customer Controller
@@ -10,10 +13,10 @@ const { asyncErrorHandler, createErrorResponse } = require('../middleware/errorH
  * Create a new customer with validation and caching
  */
 const createCustomer = asyncErrorHandler(async (req, res) => {
-  const { name, phoneNumber, email, address } = req.body;
+  const { name, phoneNumber, email, address, state, gstin, calculationMode } = req.body;
   
   // Validate customer data using model validation
-  const validationErrors = Customer.validateData({ name, phoneNumber, email, address });
+  const validationErrors = Customer.validateData({ name, phoneNumber, email, address, state, gstin, calculationMode });
   if (validationErrors.length > 0) {
     throw createErrorResponse('Validation failed', 422, validationErrors);
   }
@@ -35,7 +38,10 @@ const createCustomer = asyncErrorHandler(async (req, res) => {
     name: name.trim(),
     phoneNumber: phoneNumber.trim(),
     email: email ? email.trim() : null,
-    address: address.trim()
+    address: address.trim(),
+    state: state ? state.trim() : null,
+    gstin: gstin ? gstin.trim().toUpperCase() : null,
+    calculationMode: calculationMode || null
   });
   
   res.status(201).json({
@@ -135,10 +141,10 @@ const getCustomerById = async (req, res) => {
 const updateCustomer = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phoneNumber, email, address } = req.body;
+    const { name, phoneNumber, email, address, state, gstin, calculationMode } = req.body;
     
     // Validate customer data
-    const validationErrors = Customer.validateData({ name, phoneNumber, email, address });
+    const validationErrors = Customer.validateData({ name, phoneNumber, email, address, state, gstin, calculationMode });
     if (validationErrors.length > 0) {
       return res.status(400).json({
         error: 'Validation failed',
@@ -174,7 +180,10 @@ const updateCustomer = async (req, res) => {
       name: name.trim(),
       phoneNumber: phoneNumber.trim(),
       email: email ? email.trim() : null,
-      address: address.trim()
+      address: address.trim(),
+      state: state ? state.trim() : null,
+      gstin: gstin ? gstin.trim().toUpperCase() : null,
+      calculationMode: calculationMode || null
     });
     
     res.json({
@@ -224,6 +233,13 @@ const deleteCustomer = async (req, res) => {
       });
     }
     
+    if (error.message.includes('Cannot delete customer with recorded payments')) {
+      return res.status(409).json({
+        error: 'Cannot delete customer',
+        message: 'Customer has recorded payments and cannot be deleted'
+      });
+    }
+    
     res.status(500).json({
       error: 'Failed to delete customer',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
@@ -277,6 +293,89 @@ const getCustomerStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Validate the optional from/to dates of a ledger or statement request
+ */
+const validateDateRange = (from, to) => {
+  const errors = [];
+  
+  if (from && !isValidDate(from)) {
+    errors.push('From date must be a valid date (YYYY-MM-DD)');
+  }
+  
+  if (to && !isValidDate(to)) {
+    errors.push('To date must be a valid date (YYYY-MM-DD)');
+  }
+  
+  if (errors.length === 0 && from && to && from > to) {
+    errors.push('From date must be on or before the to date');
+  }
+  
+  return errors;
+};
+
+/**
+ * Get a customer's running ledger of sheets and payments, with the outstanding balance
+ */
+const getCustomerLedger = asyncErrorHandler(async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  
+  const validationErrors = validateDateRange(from, to);
+  if (validationErrors.length > 0) {
+    throw createErrorResponse('Validation failed', 422, validationErrors);
+  }
+  
+  const customer = await Customer.findById(id);
+  if (!customer) {
+    throw createErrorResponse('Customer not found', 404);
+  }
+  
+  const ledger = await customer.getLedger({ from, to });
+  
+  res.json({
+    success: true,
+    data: {
+      customer: customer.toJSON(),
+      from: from || null,
+      to: to || null,
+      ...ledger
+    }
+  });
+});
+
+/**
+ * Export a customer's statement for a date range to PDF
+ */
+const exportCustomerStatementPdf = asyncErrorHandler(async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  
+  const validationErrors = validateDateRange(from, to);
+  if (validationErrors.length > 0) {
+    throw createErrorResponse('Validation failed', 422, validationErrors);
+  }
+  
+  const customer = await Customer.findById(id);
+  if (!customer) {
+    throw createErrorResponse('Customer not found', 404);
+  }
+  
+  const ledger = await customer.getLedger({ from, to });
+  const pdf = renderCustomerStatementPdf({
+    customer: customer.toJSON(),
+    from: from || null,
+    to: to || null,
+    ledger
+  }, company);
+  
+  const period = [from, to].filter(Boolean).join('-to-');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="statement-${customer.phoneNumber}${period ? `-${period}` : ''}.pdf"`);
+  res.setHeader('Content-Length', pdf.length);
+  res.send(pdf);
+});
+
 module.exports = {
   createCustomer,
   getCustomers,
@@ -284,5 +383,7 @@ module.exports = {
   updateCustomer,
   deleteCustomer,
   getFrequentlyAccessedCustomers,
-  getCustomerStatistics
+  getCustomerStatistics,
+  getCustomerLedger,
+  exportCustomerStatementPdf
 };
\ No newline at end of file
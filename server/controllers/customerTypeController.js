@@ -0,0 +1,64 @@
+const CustomerType = require('../models/CustomerType');
+
+/**
+ * Customer Type Controller
+ * Serves the canonical customer type registry (key, label and description)
+ */
+
+/**
+ * Get all customer types
+ */
+const getCustomerTypes = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+
+    const customerTypes = await CustomerType.findAll({ includeInactive });
+
+    res.json({
+      success: true,
+      data: customerTypes.map(customerType => customerType.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer types:', error);
+    res.status(500).json({
+      error: 'Failed to fetch customer types',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Resolve a customer type by key ('granite_shops') or label ('Granite Shops')
+ */
+const getCustomerType = async (req, res) => {
+  try {
+    const { keyOrLabel } = req.params;
+
+    const customerType = await CustomerType.resolve(keyOrLabel, { includeInactive: true });
+
+    if (!customerType) {
+      return res.status(404).json({
+        error: 'Customer type not found',
+        message: `No customer type found for: ${keyOrLabel}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customerType.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer type:', error);
+    res.status(500).json({
+      error: 'Failed to fetch customer type',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCustomerTypes,
+  getCustomerType
+};
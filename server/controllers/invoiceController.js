@@ -0,0 +1,160 @@
+const Invoice = require('../models/Invoice');
+const { validateInvoiceOptions } = require('../../src/shared/gst');
+
+/**
+ * Invoice Controller
+ * Raises GST tax invoices from dispatched measurement sheets
+ */
+
+/**
+ * Send a model error that carries its own HTTP status, or a 500
+ */
+const handleInvoiceError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      details: error.details || undefined
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Failed ${action}`,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Create an invoice from a dispatched measurement sheet, which marks the sheet invoiced
+ */
+const createInvoice = async (req, res) => {
+  try {
+    const {
+      measurementSheetId,
+      invoiceDate,
+      placeOfSupply,
+      discountType,
+      discountValue,
+      hsnCode,
+      gstRate,
+      notes
+    } = req.body;
+
+    const validationErrors = Invoice.validateData({ measurementSheetId, invoiceDate, placeOfSupply, hsnCode })
+      .concat(validateInvoiceOptions({ discountType, discountValue, gstRate }));
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const invoice = await Invoice.createFromMeasurementSheet(measurementSheetId, {
+      invoiceDate,
+      placeOfSupply: placeOfSupply ? placeOfSupply.trim() : null,
+      discountType,
+      discountValue,
+      hsnCode,
+      gstRate,
+      notes
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: invoice.toJSON(),
+      message: `Invoice ${invoice.invoiceNumber} created successfully`
+    });
+
+  } catch (error) {
+    handleInvoiceError(res, error, 'to create invoice');
+  }
+};
+
+/**
+ * Get invoices, optionally filtered by customer, measurement sheet or status
+ */
+const getInvoices = async (req, res) => {
+  try {
+    const { customerId, measurementSheetId, status, page = 1, limit = 50 } = req.query;
+
+    const result = await Invoice.findAll({
+      customerId,
+      measurementSheetId,
+      status,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    });
+
+    res.json({
+      success: true,
+      data: result.invoices.map(invoice => invoice.toJSON()),
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    handleInvoiceError(res, error, 'to fetch invoices');
+  }
+};
+
+/**
+ * Get invoice by ID with line items
+ */
+const getInvoiceById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invoice = await Invoice.findById(id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        error: 'Invoice not found',
+        message: `No invoice found with ID: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice.toJSON()
+    });
+
+  } catch (error) {
+    handleInvoiceError(res, error, 'to fetch invoice');
+  }
+};
+
+/**
+ * Cancel an issued invoice, unlocking its measurement sheet
+ */
+const cancelInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const invoice = await Invoice.findById(id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        error: 'Invoice not found',
+        message: `No invoice found with ID: ${id}`
+      });
+    }
+
+    const cancelledInvoice = await invoice.cancel(reason, req.user);
+
+    res.json({
+      success: true,
+      data: cancelledInvoice.toJSON(),
+      message: `Invoice ${cancelledInvoice.invoiceNumber} cancelled`
+    });
+
+  } catch (error) {
+    handleInvoiceError(res, error, 'to cancel invoice');
+  }
+};
+
+module.exports = {
+  createInvoice,
+  getInvoices,
+  getInvoiceById,
+  cancelInvoice
+};
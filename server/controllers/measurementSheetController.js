@@ -1,5 +1,27 @@
 const pool = require('../config/database');
 const { cache } = require('../config/redis');
+const CustomerType = require('../models/CustomerType');
+const Invoice = require('../models/Invoice');
+const MeasurementSheet = require('../models/MeasurementSheet');
+const SlabEntry = require('../models/SlabEntry');
+const AuditLog = require('../models/AuditLog');
+const company = require('../config/company');
+const { renderMeasurementSheetPdf } = require('../exports/measurementSheetPdf');
+const { renderMeasurementSheetsXlsx } = require('../exports/measurementSheetXlsx');
+const { DIMENSION_UNITS } = require('../../src/shared/dimensions');
+const { CALCULATION_MODES } = require('../../src/shared/calculationRules');
+const { diffSheetEntries } = require('../../src/shared/sheetDiff');
+const { hasPermission } = require('../../src/shared/permissions');
+const { isValidStatus, TRANSITION_PERMISSIONS, SHEET_STATUSES } = require('../../src/shared/sheetStatus');
+const { resolveStatisticsRange, validateStatisticsRange } = require('../../src/shared/sheetStatistics');
+
+const VALID_CALCULATION_MODES = Object.values(CALCULATION_MODES);
+
+// Sheets created offline send the device's temporary ID as clientRef
+const MAX_CLIENT_REF_LENGTH = 64;
+
+const isValidClientRef = (clientRef) => clientRef === undefined || clientRef === null ||
+  (typeof clientRef === 'string' && clientRef.length > 0 && clientRef.length <= MAX_CLIENT_REF_LENGTH);
 
 /**
  * Measurement Sheet Controller
@@ -8,12 +30,14 @@ const { cache } = require('../config/redis');
 
 /**
  * Create a new measurement sheet
+ * A repeated request with the same clientRef returns the sheet the first one created;
+ * a clientRef already used for another customer's sheet is a 409
  */
 const createMeasurementSheet = async (req, res) => {
   const client = await pool.connect();
   
   try {
-    const { customerId, customerType } = req.body;
+    const { customerId, customerType, calculationMode, clientRef } = req.body;
     
     // Validation
     if (!customerId || !customerType) {
@@ -22,30 +46,72 @@ const createMeasurementSheet = async (req, res) => {
       });
     }
     
-    const validCustomerTypes = ['Retail', 'Granite Shops', 'Builders', 'Outstation Parties', 'Exporters'];
-    if (!validCustomerTypes.includes(customerType)) {
+    if (!isValidClientRef(clientRef)) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: [`Client reference must be a string of at most ${MAX_CLIENT_REF_LENGTH} characters`]
+      });
+    }
+    
+    // A replayed offline create whose response was lost
+    if (clientRef) {
+      const existing = await client.query('SELECT * FROM measurement_sheets WHERE client_ref = $1', [clientRef]);
+      if (existing.rows.length > 0) {
+        if (existing.rows[0].customer_id !== customerId) {
+          return res.status(409).json({
+            error: 'Client reference belongs to a measurement sheet of another customer'
+          });
+        }
+        return res.json({
+          success: true,
+          data: existing.rows[0]
+        });
+      }
+    }
+    
+    if (calculationMode !== undefined && calculationMode !== null && !VALID_CALCULATION_MODES.includes(calculationMode)) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: [`Calculation mode must be one of: ${VALID_CALCULATION_MODES.join(', ')}`]
+      });
+    }
+    
+    // Accept either the key or the label, always store the key
+    const resolvedType = await CustomerType.resolve(customerType);
+    if (!resolvedType) {
+      const customerTypes = await CustomerType.findAll();
       return res.status(400).json({
-        error: 'Invalid customer type'
+        error: 'Invalid customer type',
+        message: `Customer type must be one of: ${customerTypes.map(type => type.key).join(', ')}`
       });
     }
     
     // Check if customer exists
-    const customerCheck = await client.query('SELECT id FROM customers WHERE id = $1', [customerId]);
+    const customerCheck = await client.query('SELECT id, calculation_mode FROM customers WHERE id = $1', [customerId]);
     if (customerCheck.rows.length === 0) {
       return res.status(404).json({
         error: 'Customer not found'
       });
     }
     
+    // The sheet keeps its own mode, defaulting to the customer's
+    const sheetMode = calculationMode || customerCheck.rows[0].calculation_mode || CALCULATION_MODES.IMPERIAL;
+    
     const query = `
-      INSERT INTO measurement_sheets (customer_id, customer_type)
-      VALUES ($1, $2)
+      INSERT INTO measurement_sheets (customer_id, customer_type, calculation_mode, client_ref)
+      VALUES ($1, $2, $3, $4)
       RETURNING *
     `;
     
-    const result = await client.query(query, [customerId, customerType]);
+    await client.query('BEGIN');
+    
+    const result = await client.query(query, [customerId, resolvedType.key, sheetMode, clientRef || null]);
     const measurementSheet = result.rows[0];
     
+    await AuditLog.recordCreate(client, AuditLog.ENTITY_TYPES.MEASUREMENT_SHEET, measurementSheet, req.user);
+    
+    await client.query('COMMIT');
+    
     // Cache the new measurement sheet
     await cache.set(`measurement_sheet:${measurementSheet.id}`, measurementSheet, 3600);
     
@@ -58,6 +124,7 @@ const createMeasurementSheet = async (req, res) => {
     });
     
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error creating measurement sheet:', error);
     res.status(500).json({
       error: 'Failed to create measurement sheet'
@@ -67,6 +134,61 @@ const createMeasurementSheet = async (req, res) => {
   }
 };
 
+/**
+ * Build the WHERE conditions for the measurement sheet list filters
+ * Shared by the list and the bulk export so both select the same sheets
+ * @param {Object} filters - { search, customerType, status, startDate, endDate } from the query string
+ * @returns {Promise<Object>} - { conditions, queryParams }
+ */
+const buildSheetFilters = async (filters) => {
+  const { search, customerType, status, startDate, endDate } = filters;
+  const conditions = [];
+  const queryParams = [];
+  let paramIndex = 1;
+  
+  // Search functionality - optimized with ILIKE and proper indexing
+  if (search && search.trim()) {
+    const searchTerm = search.trim();
+    conditions.push(`(
+      ms.measurement_sheet_number ILIKE $${paramIndex} OR 
+      c.name ILIKE $${paramIndex} OR 
+      c.phone_number ILIKE $${paramIndex}
+    )`);
+    queryParams.push(`%${searchTerm}%`);
+    paramIndex++;
+  }
+  
+  // Customer type filter (key or label)
+  if (customerType && customerType.trim()) {
+    const resolvedType = await CustomerType.resolve(customerType, { includeInactive: true });
+    conditions.push(`ms.customer_type = $${paramIndex}`);
+    queryParams.push(resolvedType ? resolvedType.key : customerType.trim());
+    paramIndex++;
+  }
+  
+  // Status filter
+  if (status && status.trim()) {
+    conditions.push(`ms.status = $${paramIndex}`);
+    queryParams.push(status.trim());
+    paramIndex++;
+  }
+  
+  // Date range filters
+  if (startDate) {
+    conditions.push(`ms.created_at >= $${paramIndex}::date`);
+    queryParams.push(startDate);
+    paramIndex++;
+  }
+  
+  if (endDate) {
+    conditions.push(`ms.created_at <= $${paramIndex}::date + interval '1 day'`);
+    queryParams.push(endDate);
+    paramIndex++;
+  }
+  
+  return { conditions, queryParams };
+};
+
 /**
  * Get all measurement sheets with search and pagination
  */
@@ -97,7 +219,9 @@ const getMeasurementSheets = async (req, res) => {
     let query = `
       SELECT 
         ms.id, ms.measurement_sheet_number, ms.customer_type, 
-        ms.total_square_feet, ms.status, ms.created_at, ms.updated_at,
+        ms.total_square_feet, ms.total_square_metres, ms.calculation_mode, ms.total_amount, ms.status, ms.created_at, ms.updated_at,
+        ms.revision_number,
+        (SELECT a.measurement_sheet_number FROM measurement_sheets a WHERE a.amended_from_id = ms.id) as amended_as,
         c.name as customer_name, c.phone_number as customer_phone
       FROM measurement_sheets ms
       JOIN customers c ON ms.customer_id = c.id
@@ -109,48 +233,8 @@ const getMeasurementSheets = async (req, res) => {
       JOIN customers c ON ms.customer_id = c.id
     `;
     
-    const conditions = [];
-    const queryParams = [];
-    let paramIndex = 1;
-    
-    // Search functionality - optimized with ILIKE and proper indexing
-    if (search && search.trim()) {
-      const searchTerm = search.trim();
-      conditions.push(`(
-        ms.measurement_sheet_number ILIKE $${paramIndex} OR 
-        c.name ILIKE $${paramIndex} OR 
-        c.phone_number ILIKE $${paramIndex}
-      )`);
-      queryParams.push(`%${searchTerm}%`);
-      paramIndex++;
-    }
-    
-    // Customer type filter
-    if (customerType && customerType.trim()) {
-      conditions.push(`ms.customer_type = $${paramIndex}`);
-      queryParams.push(customerType.trim());
-      paramIndex++;
-    }
-    
-    // Status filter
-    if (status && status.trim()) {
-      conditions.push(`ms.status = $${paramIndex}`);
-      queryParams.push(status.trim());
-      paramIndex++;
-    }
-    
-    // Date range filters
-    if (startDate) {
-      conditions.push(`ms.created_at >= $${paramIndex}::date`);
-      queryParams.push(startDate);
-      paramIndex++;
-    }
-    
-    if (endDate) {
-      conditions.push(`ms.created_at <= $${paramIndex}::date + interval '1 day'`);
-      queryParams.push(endDate);
-      paramIndex++;
-    }
+    const { conditions, queryParams } = await buildSheetFilters(req.query);
+    const paramIndex = queryParams.length + 1;
     
     if (conditions.length > 0) {
       const whereClause = ` WHERE ${conditions.join(' AND ')}`;
@@ -195,6 +279,22 @@ const getMeasurementSheets = async (req, res) => {
   }
 };
 
+/**
+ * Describe a revision for the revision list and the diff
+ */
+const toRevisionSummary = (sheet) => ({
+  id: sheet.id,
+  measurementSheetNumber: sheet.measurementSheetNumber,
+  revisionNumber: sheet.revisionNumber,
+  amendedFromId: sheet.amendedFromId,
+  status: sheet.status,
+  calculationMode: sheet.calculationMode,
+  totalSquareFeet: sheet.totalSquareFeet,
+  totalSquareMetres: sheet.totalSquareMetres,
+  totalAmount: sheet.totalAmount,
+  createdAt: sheet.createdAt
+});
+
 /**
  * Get measurement sheet by ID with slab entries
  */
@@ -221,7 +321,9 @@ const getMeasurementSheetById = async (req, res) => {
         c.name as customer_name, 
         c.phone_number as customer_phone,
         c.email as customer_email,
-        c.address as customer_address
+        c.address as customer_address,
+        c.state as customer_state,
+        c.gstin as customer_gstin
       FROM measurement_sheets ms
       JOIN customers c ON ms.customer_id = c.id
       WHERE ms.id = $1
@@ -247,6 +349,17 @@ const getMeasurementSheetById = async (req, res) => {
     const slabResult = await client.query(slabQuery, [id]);
     measurementSheet.slab_entries = slabResult.rows;
     
+    // The issued invoice, if any, locks the sheet against edits
+    const invoice = await Invoice.findIssuedBySheetId(id);
+    measurementSheet.invoice = invoice ? invoice.toJSON() : null;
+    
+    // Every revision of the sheet, the original first; the latest is the one that counts
+    const revisions = await MeasurementSheet.findRevisions(id);
+    measurementSheet.revisions = revisions.map(toRevisionSummary);
+    
+    // Who moved the sheet through each status, and why it was cancelled
+    measurementSheet.status_history = await MeasurementSheet.findStatusHistory(id);
+    
     // Cache the full measurement sheet
     await cache.set(cacheKey, measurementSheet, 1800); // 30 minutes
     
@@ -266,78 +379,88 @@ const getMeasurementSheetById = async (req, res) => {
 };
 
 /**
- * Update measurement sheet
+ * Move a measurement sheet to another status
+ * Body: { status, reason }; cancelling needs a reason. Goes through the model, which
+ * refuses moves the lifecycle does not allow and moves the sheet's stock slabs
  */
 const updateMeasurementSheet = async (req, res) => {
-  const client = await pool.connect();
-  
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
-    const query = `
-      UPDATE measurement_sheets 
-      SET status = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
-    `;
+    if (status && !isValidStatus(status)) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: [`Invalid status. Must be one of: ${Object.values(SHEET_STATUSES).join(', ')}`]
+      });
+    }
+    
+    // Each status has its own permission: measurers mark sheets measured, accountants approve, dispatch and cancel
+    const permission = status ? TRANSITION_PERMISSIONS[status] : null;
+    if (permission && !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: `Your role (${req.user.role}) does not allow ${permission}`,
+        permission
+      });
+    }
     
-    const result = await client.query(query, [status, id]);
+    const measurementSheet = await MeasurementSheet.findById(id);
     
-    if (result.rows.length === 0) {
+    if (!measurementSheet) {
       return res.status(404).json({
         error: 'Measurement sheet not found'
       });
     }
     
-    const measurementSheet = result.rows[0];
-    
-    // Update cache
-    await cache.set(`measurement_sheet:${id}`, measurementSheet, 3600);
-    await cache.del(`measurement_sheet_full:${id}`);
-    
-    // Clear measurement sheet list cache
-    await cache.clearPattern('measurement_sheets:*');
+    const updatedSheet = await measurementSheet.update({ status, reason }, req.user);
     
     res.json({
       success: true,
-      data: measurementSheet
+      data: updatedSheet.toJSON()
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details || undefined
+      });
+    }
+    
     console.error('Error updating measurement sheet:', error);
     res.status(500).json({
       error: 'Failed to update measurement sheet'
     });
-  } finally {
-    client.release();
   }
 };
 
 /**
  * Delete measurement sheet
+ * Stock slabs on the sheet are put back in stock
  */
 const deleteMeasurementSheet = async (req, res) => {
-  const client = await pool.connect();
-  
   try {
     const { id } = req.params;
     
-    const query = 'DELETE FROM measurement_sheets WHERE id = $1 RETURNING *';
-    const result = await client.query(query, [id]);
+    // Invoices are permanent records, so an invoiced sheet is kept even after the invoice is cancelled
+    const invoiceCount = await Invoice.countBySheetId(id);
+    if (invoiceCount > 0) {
+      return res.status(409).json({
+        error: 'Cannot delete measurement sheet',
+        message: 'Measurement sheet has invoices and cannot be deleted'
+      });
+    }
     
-    if (result.rows.length === 0) {
+    const measurementSheet = await MeasurementSheet.findById(id);
+    
+    if (!measurementSheet) {
       return res.status(404).json({
         error: 'Measurement sheet not found'
       });
     }
     
-    // Remove from cache
-    await cache.del(`measurement_sheet:${id}`);
-    await cache.del(`measurement_sheet_full:${id}`);
-    
-    // Clear measurement sheet list cache
-    await cache.clearPattern('measurement_sheets:*');
+    await measurementSheet.delete(req.user);
     
     res.json({
       success: true,
@@ -345,89 +468,415 @@ const deleteMeasurementSheet = async (req, res) => {
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    
     console.error('Error deleting measurement sheet:', error);
     res.status(500).json({
       error: 'Failed to delete measurement sheet'
     });
-  } finally {
-    client.release();
   }
 };
 
+/**
+ * Amend an approved or dispatched measurement sheet
+ * Creates the next revision (MS-0042-R1, ...) as a draft copy of the sheet; the sheet itself is unchanged
+ */
+const amendMeasurementSheet = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const measurementSheet = await MeasurementSheet.findById(id);
+    
+    if (!measurementSheet) {
+      return res.status(404).json({
+        error: 'Measurement sheet not found'
+      });
+    }
+    
+    const revision = await measurementSheet.amend(req.user);
+    
+    res.status(201).json({
+      success: true,
+      data: revision.toJSON()
+    });
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    
+    console.error('Error amending measurement sheet:', error);
+    res.status(500).json({
+      error: 'Failed to amend measurement sheet'
+    });
+  }
+};
+
+/**
+ * Compare the slab entries of a revision with an earlier revision of the same sheet
+ * Compares with the revision it amends unless `base` names another revision
+ */
+const getMeasurementSheetDiff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const revisions = await MeasurementSheet.findRevisions(id);
+    const revision = revisions.find(sheet => sheet.id === id);
+    
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Measurement sheet not found'
+      });
+    }
+    
+    const baseId = req.query.base || revision.amendedFromId;
+    if (!baseId) {
+      return res.status(422).json({
+        error: 'The original sheet has no earlier revision. Choose a revision to compare it with.'
+      });
+    }
+    
+    const base = revisions.find(sheet => sheet.id === baseId);
+    if (!base) {
+      return res.status(422).json({
+        error: 'Sheets can only be compared with another revision of the same measurement sheet'
+      });
+    }
+    
+    const entryResult = await pool.query(
+      'SELECT * FROM slab_entries WHERE measurement_sheet_id = ANY($1) ORDER BY serial_number',
+      [[base.id, revision.id]]
+    );
+    const entriesOf = (sheetId) => entryResult.rows
+      .filter(row => row.measurement_sheet_id === sheetId)
+      .map(row => new SlabEntry(row));
+    
+    res.json({
+      success: true,
+      data: {
+        base: toRevisionSummary(base),
+        revision: toRevisionSummary(revision),
+        ...diffSheetEntries(entriesOf(base.id), entriesOf(revision.id))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error comparing measurement sheet revisions:', error);
+    res.status(500).json({
+      error: 'Failed to compare measurement sheet revisions'
+    });
+  }
+};
+
+/**
+ * Get sheet counts by status and, for a date range (the last 30 days by default),
+ * sheets and square feet per day, week or month with the slab category mix
+ */
+const getMeasurementSheetStatistics = async (req, res) => {
+  try {
+    const range = resolveStatisticsRange(req.query, new Date().toISOString().slice(0, 10));
+    
+    const validationErrors = validateStatisticsRange(range);
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+    
+    const statistics = await MeasurementSheet.getStatistics(range);
+    
+    res.json({
+      success: true,
+      data: statistics
+    });
+    
+  } catch (error) {
+    console.error('Error fetching measurement sheet statistics:', error);
+    res.status(500).json({
+      error: 'Failed to fetch measurement sheet statistics'
+    });
+  }
+};
+
+/**
+ * Get the change history of a measurement sheet and its slab entries, newest first
+ */
+const getMeasurementSheetHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const history = await AuditLog.findBySheetId(id);
+    
+    res.json({
+      success: true,
+      data: history
+    });
+    
+  } catch (error) {
+    console.error('Error fetching measurement sheet history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch measurement sheet history'
+    });
+  }
+};
+
+// Largest number of sheets one bulk export may contain
+const MAX_BULK_EXPORT_SHEETS = 500;
+
+/**
+ * Load measurement sheets with their customers and slab entries for export
+ * @param {Object} client - Database client
+ * @param {string} whereClause - WHERE clause over measurement_sheets ms and customers c
+ * @param {Array} queryParams - Parameters of the WHERE clause
+ * @returns {Promise<Array>} - { sheet, slabs, customerTypeLabel, displayUnit } database rows, oldest sheet first
+ */
+const findSheetsForExport = async (client, whereClause, queryParams) => {
+  const sheetQuery = `
+    SELECT 
+      ms.*, 
+      c.name as customer_name, 
+      c.phone_number as customer_phone,
+      c.email as customer_email,
+      c.address as customer_address
+    FROM measurement_sheets ms
+    JOIN customers c ON ms.customer_id = c.id
+    ${whereClause}
+    ORDER BY ms.created_at, ms.measurement_sheet_number
+  `;
+  
+  const sheetResult = await client.query(sheetQuery, queryParams);
+  if (sheetResult.rows.length === 0) {
+    return [];
+  }
+  
+  const slabQuery = `
+    SELECT * FROM slab_entries 
+    WHERE measurement_sheet_id = ANY($1) 
+    ORDER BY serial_number
+  `;
+  const slabResult = await client.query(slabQuery, [sheetResult.rows.map(sheet => sheet.id)]);
+  
+  const sheets = [];
+  for (const sheet of sheetResult.rows) {
+    const customerType = await CustomerType.resolve(sheet.customer_type, { includeInactive: true });
+    sheets.push({
+      sheet,
+      slabs: slabResult.rows.filter(slab => slab.measurement_sheet_id === sheet.id),
+      customerTypeLabel: customerType ? customerType.label : sheet.customer_type,
+      displayUnit: customerType ? customerType.displayUnit : DIMENSION_UNITS.INCHES
+    });
+  }
+  
+  return sheets;
+};
+
+/**
+ * Load one measurement sheet for export
+ * @returns {Promise<Object|null>} - { sheet, slabs, customerTypeLabel, displayUnit } database rows, or null when not found
+ */
+const findSheetForExport = async (client, id) => {
+  const sheets = await findSheetsForExport(client, 'WHERE ms.id = $1', [id]);
+  return sheets[0] || null;
+};
+
+/**
+ * Parse a nullable numeric column
+ */
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Shape exported rows the way the PDF and XLSX renderers expect them
+ */
+const toExportSheet = ({ sheet, slabs, customerTypeLabel, displayUnit }) => ({
+  measurementSheetNumber: sheet.measurement_sheet_number,
+  status: sheet.status,
+  createdAt: sheet.created_at,
+  customerTypeLabel,
+  displayUnit,
+  calculationMode: sheet.calculation_mode || CALCULATION_MODES.IMPERIAL,
+  customer: {
+    name: sheet.customer_name,
+    phoneNumber: sheet.customer_phone,
+    email: sheet.customer_email,
+    address: sheet.customer_address
+  },
+  slabEntries: slabs.map(slab => ({
+    serialNumber: slab.serial_number,
+    blockNumber: slab.block_number,
+    material: slab.material,
+    length: parseFloat(slab.length),
+    breadth: parseFloat(slab.breadth),
+    lengthInput: slab.length_input,
+    breadthInput: slab.breadth_input,
+    slabCategory: slab.slab_category,
+    finalLength: parseFloat(slab.final_length),
+    finalBreadth: parseFloat(slab.final_breadth),
+    squareFeet: parseFloat(slab.square_feet),
+    squareMetres: toNumberOrNull(slab.square_metres),
+    calculationDetails: slab.calculation_details,
+    rate: toNumberOrNull(slab.rate),
+    amount: toNumberOrNull(slab.amount)
+  }))
+});
+
 /**
  * Export measurement sheet to PDF
+ * Rendered in Node with the same layout as the app's PDF export
  */
 const exportMeasurementSheetToPDF = async (req, res) => {
+  const client = await pool.connect();
+  
   try {
     const { id } = req.params;
     
-    // Get measurement sheet with full details
-    const measurementSheet = await getMeasurementSheetById(req, res);
+    const exportData = await findSheetForExport(client, id);
+    if (!exportData) {
+      return res.status(404).json({
+        error: 'Measurement sheet not found'
+      });
+    }
     
-    // For now, return a placeholder response
-    // In a real implementation, you would use a PDF library like puppeteer or jsPDF
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="measurement-sheet-${id}.pdf"`);
+    const pdf = renderMeasurementSheetPdf(toExportSheet(exportData), company);
     
-    // Placeholder PDF content
-    const pdfContent = `PDF Export for Measurement Sheet ${id} - Implementation pending`;
-    res.send(Buffer.from(pdfContent));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="measurement-sheet-${exportData.sheet.measurement_sheet_number}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
     
   } catch (error) {
     console.error('Error exporting PDF:', error);
     res.status(500).json({
       error: 'Failed to export PDF'
     });
+  } finally {
+    client.release();
   }
 };
 
 /**
- * Export measurement sheet to CSV
+ * Send an XLSX workbook as a download
  */
-const exportMeasurementSheetToCSV = async (req, res) => {
+const sendWorkbook = (res, workbook, filename) => {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', workbook.length);
+  res.send(workbook);
+};
+
+/**
+ * Export measurement sheet to an XLSX workbook
+ */
+const exportMeasurementSheetToXLSX = async (req, res) => {
   const client = await pool.connect();
   
   try {
     const { id } = req.params;
     
-    // Get measurement sheet with slab entries
-    const sheetQuery = `
-      SELECT 
-        ms.*, 
-        c.name as customer_name, 
-        c.phone_number as customer_phone,
-        c.email as customer_email,
-        c.address as customer_address
-      FROM measurement_sheets ms
-      JOIN customers c ON ms.customer_id = c.id
-      WHERE ms.id = $1
-    `;
+    const exportData = await findSheetForExport(client, id);
+    if (!exportData) {
+      return res.status(404).json({
+        error: 'Measurement sheet not found'
+      });
+    }
     
-    const slabQuery = `
-      SELECT * FROM slab_entries 
-      WHERE measurement_sheet_id = $1 
-      ORDER BY serial_number
-    `;
+    const workbook = renderMeasurementSheetsXlsx([toExportSheet(exportData)], company, exportData.sheet.measurement_sheet_number);
+    sendWorkbook(res, workbook, `measurement-sheet-${exportData.sheet.measurement_sheet_number}.xlsx`);
     
-    const [sheetResult, slabResult] = await Promise.all([
-      client.query(sheetQuery, [id]),
-      client.query(slabQuery, [id])
-    ]);
+  } catch (error) {
+    console.error('Error exporting XLSX:', error);
+    res.status(500).json({
+      error: 'Failed to export XLSX'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Export every measurement sheet matching the list filters to one XLSX workbook
+ * Takes the same search, customerType, status, startDate and endDate filters as the list
+ */
+const exportMeasurementSheetsToXLSX = async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { conditions, queryParams } = await buildSheetFilters(req.query);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
     
-    if (sheetResult.rows.length === 0) {
+    const countResult = await client.query(
+      `SELECT COUNT(*) FROM measurement_sheets ms JOIN customers c ON ms.customer_id = c.id ${whereClause}`,
+      queryParams
+    );
+    const total = parseInt(countResult.rows[0].count);
+    
+    if (total === 0) {
+      return res.status(404).json({
+        error: 'No measurement sheets match the filters'
+      });
+    }
+    
+    if (total > MAX_BULK_EXPORT_SHEETS) {
+      return res.status(422).json({
+        error: 'Too many measurement sheets to export',
+        message: `${total} sheets match; narrow the filters to at most ${MAX_BULK_EXPORT_SHEETS}`
+      });
+    }
+    
+    const exportData = await findSheetsForExport(client, whereClause, queryParams);
+    
+    const { search, customerType, status, startDate, endDate } = req.query;
+    const filterDescription = [
+      startDate || endDate ? `${startDate || '...'} to ${endDate || '...'}` : null,
+      status ? `status ${status}` : null,
+      customerType ? `customer type ${customerType}` : null,
+      search ? `search "${search}"` : null
+    ].filter(Boolean).join(', ');
+    
+    const workbook = renderMeasurementSheetsXlsx(exportData.map(toExportSheet), company, filterDescription);
+    const dateRange = startDate || endDate ? `-${startDate || 'start'}-to-${endDate || 'today'}` : '';
+    sendWorkbook(res, workbook, `measurement-sheets${dateRange}.xlsx`);
+    
+  } catch (error) {
+    console.error('Error exporting measurement sheets to XLSX:', error);
+    res.status(500).json({
+      error: 'Failed to export XLSX'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Export measurement sheet to CSV
+ */
+const exportMeasurementSheetToCSV = async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { id } = req.params;
+    
+    const exportData = await findSheetForExport(client, id);
+    if (!exportData) {
       return res.status(404).json({
         error: 'Measurement sheet not found'
       });
     }
     
-    const sheet = sheetResult.rows[0];
-    const slabs = slabResult.rows;
+    const { sheet, slabs, customerTypeLabel } = exportData;
+    const isMetric = sheet.calculation_mode === CALCULATION_MODES.METRIC;
     
     // Generate CSV content
     let csvContent = 'Measurement Sheet Export\n\n';
     csvContent += `Sheet Number,${sheet.measurement_sheet_number}\n`;
     csvContent += `Customer Name,${sheet.customer_name}\n`;
-    csvContent += `Customer Type,${sheet.customer_type}\n`;
+    csvContent += `Customer Type,${customerTypeLabel}\n`;
     csvContent += `Phone,${sheet.customer_phone}\n`;
     csvContent += `Email,${sheet.customer_email || ''}\n`;
     csvContent += `Address,${sheet.customer_address}\n`;
@@ -435,13 +884,18 @@ const exportMeasurementSheetToCSV = async (req, res) => {
     csvContent += `Status,${sheet.status}\n\n`;
     
     csvContent += 'Slab Entries\n';
-    csvContent += 'Serial No,Block No,Length,Breadth,Category,Final Length,Final Breadth,Square Feet\n';
+    csvContent += `Serial No,Block No,Material,Length,Breadth,Category,Final Length,Final Breadth,Square Feet,${isMetric ? 'Square Metres,' : ''}Rate,Amount\n`;
     
     slabs.forEach(slab => {
-      csvContent += `${slab.serial_number},${slab.block_number},${slab.length},${slab.breadth},${slab.slab_category},${slab.final_length},${slab.final_breadth},${slab.square_feet}\n`;
+      const squareMetres = isMetric ? `${slab.square_metres || ''},` : '';
+      csvContent += `${slab.serial_number},${slab.block_number},${slab.material || ''},${slab.length},${slab.breadth},${slab.slab_category},${slab.final_length},${slab.final_breadth},${slab.square_feet},${squareMetres}${slab.rate || ''},${slab.amount || ''}\n`;
     });
     
     csvContent += `\nTotal Square Feet,${sheet.total_square_feet || 0}\n`;
+    if (isMetric) {
+      csvContent += `Total Square Metres,${sheet.total_square_metres || 0}\n`;
+    }
+    csvContent += `Grand Total,${sheet.total_amount || 0}\n`;
     
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="measurement-sheet-${id}.csv"`);
@@ -463,6 +917,12 @@ module.exports = {
   getMeasurementSheetById,
   updateMeasurementSheet,
   deleteMeasurementSheet,
+  getMeasurementSheetHistory,
+  getMeasurementSheetStatistics,
+  amendMeasurementSheet,
+  getMeasurementSheetDiff,
   exportMeasurementSheetToPDF,
-  exportMeasurementSheetToCSV
+  exportMeasurementSheetToCSV,
+  exportMeasurementSheetToXLSX,
+  exportMeasurementSheetsToXLSX
 };
\ No newline at end of file
@@ -0,0 +1,139 @@
+const Payment = require('../models/Payment');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Payment Controller
+ * Records payments received from customers against their ledger
+ */
+
+/**
+ * Send a model error that carries its own HTTP status, or a 500
+ */
+const handlePaymentError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      details: error.details || undefined
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Failed ${action}`,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Record a payment from a customer, optionally against one of their sheets
+ */
+const createPayment = async (req, res) => {
+  try {
+    const {
+      customerId,
+      measurementSheetId,
+      amount,
+      mode,
+      reference,
+      paymentDate,
+      notes
+    } = req.body;
+
+    const validationErrors = Payment.validateData({
+      customerId, measurementSheetId, amount, mode, reference, paymentDate
+    });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const payment = await Payment.create({
+      customerId,
+      measurementSheetId,
+      amount,
+      mode,
+      reference,
+      paymentDate,
+      notes: notes ? notes.trim() : null
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: payment.toJSON(),
+      message: `Payment of ${payment.amount.toFixed(2)} recorded`
+    });
+
+  } catch (error) {
+    handlePaymentError(res, error, 'to record payment');
+  }
+};
+
+/**
+ * Get a customer's payments, optionally only those against one sheet
+ */
+const getPayments = async (req, res) => {
+  try {
+    const { customerId, measurementSheetId } = req.query;
+
+    const validationErrors = [];
+    if (!customerId || !UUID_PATTERN.test(customerId)) {
+      validationErrors.push('customerId must be a valid UUID');
+    }
+    if (measurementSheetId && !UUID_PATTERN.test(measurementSheetId)) {
+      validationErrors.push('measurementSheetId must be a valid UUID');
+    }
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const payments = await Payment.findByCustomer(customerId, { measurementSheetId });
+
+    res.json({
+      success: true,
+      data: payments.map(payment => payment.toJSON())
+    });
+
+  } catch (error) {
+    handlePaymentError(res, error, 'to fetch payments');
+  }
+};
+
+/**
+ * Remove a payment recorded by mistake
+ */
+const deletePayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const payment = await Payment.findById(id);
+
+    if (!payment) {
+      return res.status(404).json({
+        error: 'Payment not found',
+        message: `No payment found with ID: ${id}`
+      });
+    }
+
+    await payment.delete();
+
+    res.json({
+      success: true,
+      message: 'Payment deleted successfully'
+    });
+
+  } catch (error) {
+    handlePaymentError(res, error, 'to delete payment');
+  }
+};
+
+module.exports = {
+  createPayment,
+  getPayments,
+  deletePayment
+};
@@ -0,0 +1,217 @@
+const RateCard = require('../models/RateCard');
+const CustomerType = require('../models/CustomerType');
+
+/**
+ * Rate Card Controller
+ * Manages the per square foot rates used to price slab entries
+ */
+
+/**
+ * Get rate cards, optionally filtered by customer type and slab category
+ */
+const getRateCards = async (req, res) => {
+  try {
+    const { customerType, slabCategory } = req.query;
+    const includeInactive = req.query.includeInactive === 'true';
+
+    let customerTypeKey;
+    if (customerType) {
+      const resolvedType = await CustomerType.resolve(customerType, { includeInactive: true });
+      customerTypeKey = resolvedType ? resolvedType.key : customerType;
+    }
+
+    const rateCards = await RateCard.findAll({
+      includeInactive,
+      customerType: customerTypeKey,
+      slabCategory
+    });
+
+    res.json({
+      success: true,
+      data: rateCards.map(rateCard => rateCard.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Error fetching rate cards:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rate cards',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get rate card by ID
+ */
+const getRateCardById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rateCard = await RateCard.findById(id);
+
+    if (!rateCard) {
+      return res.status(404).json({
+        error: 'Rate card not found',
+        message: `No rate card found with ID: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rateCard.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Error fetching rate card:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rate card',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Create a new rate card
+ */
+const createRateCard = async (req, res) => {
+  try {
+    const { customerType, slabCategory, material, ratePerSqft, effectiveFrom } = req.body;
+
+    const validationErrors = RateCard.validateData({ customerType, slabCategory, material, ratePerSqft, effectiveFrom });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    // Accept either the key or the label, always store the key
+    const resolvedType = await CustomerType.resolve(customerType);
+    if (!resolvedType) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: [`Unknown customer type: ${customerType}`]
+      });
+    }
+
+    const rateCard = await RateCard.create({
+      customerType: resolvedType.key,
+      slabCategory,
+      material: material ? material.trim() : null,
+      ratePerSqft: parseFloat(ratePerSqft),
+      effectiveFrom
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rateCard.toJSON(),
+      message: 'Rate card created successfully'
+    });
+
+  } catch (error) {
+    // Unique violation: same customer type, category, material and effective date
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A rate card for this customer type, category, material and effective date already exists'
+      });
+    }
+
+    console.error('Error creating rate card:', error);
+    res.status(500).json({
+      error: 'Failed to create rate card',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update rate card
+ */
+const updateRateCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { material, ratePerSqft, effectiveFrom, isActive } = req.body;
+
+    const validationErrors = RateCard.validateData({ material, ratePerSqft, effectiveFrom }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const rateCard = await RateCard.findById(id);
+    if (!rateCard) {
+      return res.status(404).json({
+        error: 'Rate card not found',
+        message: `No rate card found with ID: ${id}`
+      });
+    }
+
+    const updatedRateCard = await rateCard.update({
+      material: typeof material === 'string' ? material.trim() : material,
+      ratePerSqft: ratePerSqft !== undefined ? parseFloat(ratePerSqft) : undefined,
+      effectiveFrom,
+      isActive: typeof isActive === 'boolean' ? isActive : undefined
+    });
+
+    res.json({
+      success: true,
+      data: updatedRateCard.toJSON(),
+      message: 'Rate card updated successfully'
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A rate card for this customer type, category, material and effective date already exists'
+      });
+    }
+
+    console.error('Error updating rate card:', error);
+    res.status(500).json({
+      error: 'Failed to update rate card',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Deactivate rate card
+ * Rate cards are never hard deleted so the rates on earlier sheets stay explainable
+ */
+const deleteRateCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rateCard = await RateCard.findById(id);
+    if (!rateCard) {
+      return res.status(404).json({
+        error: 'Rate card not found',
+        message: `No rate card found with ID: ${id}`
+      });
+    }
+
+    await rateCard.deactivate();
+
+    res.json({
+      success: true,
+      message: 'Rate card deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deactivating rate card:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate rate card',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRateCards,
+  getRateCardById,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard
+};
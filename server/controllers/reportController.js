@@ -0,0 +1,212 @@
+const SalesReport = require('../models/SalesReport');
+const company = require('../config/company');
+const { renderSalesReportXlsx, renderWastageReportXlsx } = require('../exports/salesReportXlsx');
+const { renderSalesReportCsv, renderWastageReportCsv } = require('../exports/salesReportCsv');
+const {
+  REPORT_MEASURES,
+  SALES_MEASURES,
+  resolveReportQuery,
+  resolveWastageQuery,
+  validateReportQuery,
+  buildPivot
+} = require('../../src/shared/salesReport');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Report Controller
+ * Sales analytics over the slab entries of sold measurement sheets, and the area their
+ * pricing rules deduct from the gross slab size
+ */
+
+/**
+ * Resolve and validate the report query string
+ * @param {Function} resolve - resolveReportQuery or resolveWastageQuery
+ * @returns {Object} - { query } or { errors }
+ */
+const readReportQuery = (req, resolve) => {
+  const query = resolve(req.query, new Date().toISOString().slice(0, 10));
+  const errors = validateReportQuery(query);
+  if (query.customerId && !UUID_PATTERN.test(query.customerId)) {
+    errors.push('Customer ID must be a valid UUID');
+  }
+  return errors.length > 0 ? { errors } : { query };
+};
+
+/**
+ * Run a report and lay it out as a pivot table
+ * @param {Function} resolve - resolveReportQuery, or resolveWastageQuery for rows only
+ * @returns {Object} - { query, pivot }, or { errors } when the query is invalid
+ */
+const runReport = async (req, resolve = resolveReportQuery) => {
+  const { query, errors } = readReportQuery(req, resolve);
+  if (errors) {
+    return { errors };
+  }
+
+  const records = await SalesReport.aggregate(query);
+  return { query, pivot: buildPivot(records, query) };
+};
+
+const sendValidationErrors = (res, errors) => res.status(422).json({
+  error: 'Validation failed',
+  details: errors
+});
+
+/**
+ * Get a sales report
+ * Query: from, to, interval, rows (comma separated dimensions), columns (one dimension, or
+ * empty for totals only) and the customerType, slabCategory, blockNumber and customerId filters
+ */
+const getSalesReport = async (req, res) => {
+  try {
+    const { query, pivot, errors } = await runReport(req);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    res.json({
+      success: true,
+      data: { query, pivot }
+    });
+
+  } catch (error) {
+    console.error('Error fetching sales report:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sales report'
+    });
+  }
+};
+
+/**
+ * Export a sales report to an XLSX workbook with a worksheet per measure
+ */
+const exportSalesReportToXLSX = async (req, res) => {
+  try {
+    const { query, pivot, errors } = await runReport(req);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const workbook = renderSalesReportXlsx(pivot, query, company);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="sales-report-${query.from}-to-${query.to}.xlsx"`);
+    res.setHeader('Content-Length', workbook.length);
+    res.send(workbook);
+
+  } catch (error) {
+    console.error('Error exporting sales report to XLSX:', error);
+    res.status(500).json({
+      error: 'Failed to export XLSX'
+    });
+  }
+};
+
+/**
+ * Export one measure of a sales report to CSV
+ * Takes the report query and `measure` (squareFeet, slabs or amount; square feet by default)
+ */
+const exportSalesReportToCSV = async (req, res) => {
+  try {
+    const measure = req.query.measure || REPORT_MEASURES.SQUARE_FEET;
+    if (SALES_MEASURES.indexOf(measure) === -1) {
+      return sendValidationErrors(res, [`Measure must be one of: ${SALES_MEASURES.join(', ')}`]);
+    }
+
+    const { query, pivot, errors } = await runReport(req);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="sales-report-${query.from}-to-${query.to}.csv"`);
+    res.send(renderSalesReportCsv(pivot, query, measure));
+
+  } catch (error) {
+    console.error('Error exporting sales report to CSV:', error);
+    res.status(500).json({
+      error: 'Failed to export CSV'
+    });
+  }
+};
+
+/**
+ * Get a yield and wastage report
+ * Gross area (length x breadth / 144) against billed square feet, and the deduction in
+ * square feet and as a percentage of the gross area. Takes the sales report query
+ * without columns
+ */
+const getWastageReport = async (req, res) => {
+  try {
+    const { query, pivot, errors } = await runReport(req, resolveWastageQuery);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    res.json({
+      success: true,
+      data: { query, pivot }
+    });
+
+  } catch (error) {
+    console.error('Error fetching wastage report:', error);
+    res.status(500).json({
+      error: 'Failed to fetch wastage report'
+    });
+  }
+};
+
+/**
+ * Export a wastage report to an XLSX workbook
+ */
+const exportWastageReportToXLSX = async (req, res) => {
+  try {
+    const { query, pivot, errors } = await runReport(req, resolveWastageQuery);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const workbook = renderWastageReportXlsx(pivot, query, company);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="wastage-report-${query.from}-to-${query.to}.xlsx"`);
+    res.setHeader('Content-Length', workbook.length);
+    res.send(workbook);
+
+  } catch (error) {
+    console.error('Error exporting wastage report to XLSX:', error);
+    res.status(500).json({
+      error: 'Failed to export XLSX'
+    });
+  }
+};
+
+/**
+ * Export a wastage report to CSV
+ */
+const exportWastageReportToCSV = async (req, res) => {
+  try {
+    const { query, pivot, errors } = await runReport(req, resolveWastageQuery);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="wastage-report-${query.from}-to-${query.to}.csv"`);
+    res.send(renderWastageReportCsv(pivot, query));
+
+  } catch (error) {
+    console.error('Error exporting wastage report to CSV:', error);
+    res.status(500).json({
+      error: 'Failed to export CSV'
+    });
+  }
+};
+
+module.exports = {
+  getSalesReport,
+  exportSalesReportToXLSX,
+  exportSalesReportToCSV,
+  getWastageReport,
+  exportWastageReportToXLSX,
+  exportWastageReportToCSV
+};
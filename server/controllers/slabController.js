@@ -0,0 +1,156 @@
+const Slab = require('../models/Slab');
+
+/**
+ * Slab Controller
+ * Manages the slab stock ledger: registering cut slabs, looking them up and taking back returns.
+ * Reserving and dispatching happen through slab entries and measurement sheet status changes
+ */
+
+/**
+ * Answer with the status a stock error carries, or a 500 for anything unexpected
+ */
+const handleStockError = (res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message
+    });
+  }
+
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Failed ${action}`,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Get slabs, optionally filtered by block, status or measurement sheet
+ */
+const getSlabs = async (req, res) => {
+  try {
+    const { blockId, status, search, measurementSheetId } = req.query;
+
+    if (status && !Object.values(Slab.STATUS).includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${Object.values(Slab.STATUS).join(', ')}`
+      });
+    }
+
+    if ((blockId && !Slab.isValidId(blockId)) || (measurementSheetId && !Slab.isValidId(measurementSheetId))) {
+      return res.status(400).json({
+        error: 'Block and measurement sheet IDs must be valid UUIDs'
+      });
+    }
+
+    const slabs = await Slab.findAll({
+      blockId,
+      status,
+      search: search ? search.trim() : undefined,
+      measurementSheetId,
+      availableOnly: req.query.available === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: slabs.map(slab => slab.toJSON())
+    });
+
+  } catch (error) {
+    handleStockError(res, error, 'to fetch slabs');
+  }
+};
+
+/**
+ * Get slab by ID with its movement history
+ */
+const getSlabById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const slab = await Slab.findById(id, { includeMovements: true });
+
+    if (!slab) {
+      return res.status(404).json({
+        error: 'Slab not found',
+        message: `No slab found with ID: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: slab.toJSON()
+    });
+
+  } catch (error) {
+    handleStockError(res, error, 'to fetch slab');
+  }
+};
+
+/**
+ * Register slabs cut from a block
+ */
+const registerSlabs = async (req, res) => {
+  try {
+    const { blockId, slabs } = req.body;
+
+    const validationErrors = Slab.validateRegistration({ blockId, slabs });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const registered = await Slab.register(blockId, slabs.map(slab => ({
+      length: parseFloat(slab.length),
+      breadth: parseFloat(slab.breadth),
+      notes: typeof slab.notes === 'string' && slab.notes.trim() ? slab.notes.trim() : null
+    })));
+
+    res.status(201).json({
+      success: true,
+      data: registered.map(slab => slab.toJSON()),
+      message: `${registered.length} slab(s) added to stock`
+    });
+
+  } catch (error) {
+    handleStockError(res, error, 'to register slabs');
+  }
+};
+
+/**
+ * Take back a dispatched slab
+ */
+const returnSlab = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const slab = await Slab.findById(id);
+
+    if (!slab) {
+      return res.status(404).json({
+        error: 'Slab not found',
+        message: `No slab found with ID: ${id}`
+      });
+    }
+
+    const returnedSlab = await slab.markReturned(typeof note === 'string' && note.trim() ? note.trim() : null);
+
+    res.json({
+      success: true,
+      data: returnedSlab.toJSON(),
+      message: `Slab ${returnedSlab.slabNumber} returned to stock`
+    });
+
+  } catch (error) {
+    handleStockError(res, error, 'to return slab');
+  }
+};
+
+module.exports = {
+  getSlabs,
+  getSlabById,
+  registerSlabs,
+  returnSlab
+};
@@ -1,13 +1,197 @@
 const pool = require('../config/database');
 const { cache } = require('../config/redis');
+const CalculationProfile = require('../models/CalculationProfile');
+const RateCard = require('../models/RateCard');
+const Block = require('../models/Block');
+const Slab = require('../models/Slab');
+const AuditLog = require('../models/AuditLog');
+const MeasurementSheet = require('../models/MeasurementSheet');
+const { parseDimension, dimensionInputText } = require('../../src/shared/dimensions');
 
 /**
  * Slab Entry Controller
  * Handles CRUD operations for slab entries with caching
+ * Every change is written to the audit log in the same transaction
  */
 
+// Client values within this difference of the server calculation are not reported as mismatches
+const CALCULATION_TOLERANCE = 0.01;
+
+// Entries created offline send the device's temporary ID as clientRef
+const MAX_CLIENT_REF_LENGTH = 64;
+
+const isValidClientRef = (clientRef) => clientRef === undefined || clientRef === null ||
+  (typeof clientRef === 'string' && clientRef.length > 0 && clientRef.length <= MAX_CLIENT_REF_LENGTH);
+
+const CLIENT_REF_ERROR = `Client reference must be a string of at most ${MAX_CLIENT_REF_LENGTH} characters`;
+
+// A replay only matches an entry on the sheet it names; anything else is a reused reference
+const CLIENT_REF_CONFLICT_ERROR = 'Client reference belongs to a slab entry on another measurement sheet';
+
+/**
+ * Recalculate a slab entry from its original dimensions and the sheet's calculation profile.
+ * The server result is authoritative: client supplied final dimensions and square feet
+ * are overwritten, and any mismatch is logged since it points at a stale or tampered client.
+ * Every entry keeps its gross (measured) area; metric sheets also get square metres,
+ * imperial sheets store none
+ */
+const recalculateSlabEntry = (entry, profile, calculationMode) => {
+  const calculation = profile.calculate(entry.length, entry.breadth, calculationMode);
+
+  const mismatches = [
+    ['finalLength', calculation.finalLength],
+    ['finalBreadth', calculation.finalBreadth],
+    ['squareFeet', calculation.squareFeet]
+  ].filter(([field, expected]) => {
+    const supplied = entry[field];
+    if (supplied === undefined || supplied === null || supplied === '') {
+      return false;
+    }
+    return !(Math.abs(parseFloat(supplied) - expected) <= CALCULATION_TOLERANCE);
+  });
+
+  if (mismatches.length > 0) {
+    console.warn('Overwriting client calculated slab values with server calculation:', {
+      customerType: profile.code,
+      length: entry.length,
+      breadth: entry.breadth,
+      supplied: mismatches.map(([field]) => ({ field, value: entry[field] })),
+      calculated: {
+        finalLength: calculation.finalLength,
+        finalBreadth: calculation.finalBreadth,
+        squareFeet: calculation.squareFeet
+      }
+    });
+  }
+
+  return {
+    finalLength: calculation.finalLength,
+    finalBreadth: calculation.finalBreadth,
+    squareFeet: calculation.squareFeet,
+    grossSquareFeet: calculation.grossSquareFeet,
+    squareMetres: calculation.squareMetres === undefined ? null : calculation.squareMetres,
+    calculationDetails: calculation.rawCalculation
+  };
+};
+
+/**
+ * Price a recalculated slab entry with the rate card effective on the sheet date
+ * Slabs without an applicable rate card are stored with a null rate and amount
+ */
+const priceSlabEntry = async (entry, calculated, sheet) => {
+  const { rate, amount } = await RateCard.priceSlab({
+    customerType: sheet.customer_type,
+    slabCategory: entry.slabCategory,
+    material: entry.material,
+    date: sheet.created_at,
+    squareFeet: calculated.squareFeet
+  });
+
+  return { rate, amount };
+};
+
+/**
+ * Link a slab entry to the inventory block it was cut from
+ * A block picked by ID must exist; a typed block number is linked when it matches a block
+ * and kept as free text otherwise. Linked slabs take the block's number as recorded in
+ * inventory and default their material to the block's variety
+ * @returns {Promise<Object>} - { blockId, blockNumber, material } or { error } for an unknown block ID
+ */
+const resolveSlabBlock = async (entry) => {
+  if (entry.blockId && !Block.isValidId(entry.blockId)) {
+    return { error: 'Block ID must be a valid UUID' };
+  }
+
+  const block = await Block.findForSlab(entry);
+
+  if (!block) {
+    if (entry.blockId) {
+      return { error: `Block not found: ${entry.blockId}` };
+    }
+
+    return {
+      blockId: null,
+      blockNumber: entry.blockNumber,
+      material: entry.material || null
+    };
+  }
+
+  return {
+    blockId: block.id,
+    blockNumber: block.blockNumber,
+    material: entry.material || block.variety
+  };
+};
+
+/**
+ * Take the block of a slab picked from stock, overriding any block sent with the entry
+ * The slab itself is reserved later, inside the transaction that saves the entry
+ * @returns {Promise<Object>} - { entry } or { error, statusCode } for an unknown slab
+ */
+const applyStockSlab = async (entry) => {
+  if (!entry.slabId) {
+    return { entry };
+  }
+
+  if (!Slab.isValidId(entry.slabId)) {
+    return { error: 'Slab ID must be a valid UUID', statusCode: 422 };
+  }
+
+  const slab = await Slab.findById(entry.slabId);
+  if (!slab) {
+    return { error: `Slab not found: ${entry.slabId}`, statusCode: 404 };
+  }
+
+  return { entry: { ...entry, blockId: slab.blockId } };
+};
+
+// Longest entered dimension text kept for display (length_input, breadth_input)
+const MAX_DIMENSION_INPUT_LENGTH = 30;
+
+const DIMENSION_ERROR = 'Length and breadth must be positive dimensions, e.g. 72, 72 1/2, 6\'2" or 183 cm';
+
+/**
+ * The text to keep for an entered dimension
+ * An explicit lengthInput/breadthInput is kept when it reads as the same size; otherwise the
+ * dimension itself is kept when it was sent as text such as "72 1/2"
+ */
+const resolveDimensionInput = (input, value, inches) => {
+  const explicit = dimensionInputText(input);
+  const dimension = explicit ? parseDimension(explicit) : null;
+  const text = dimension && Math.abs(dimension.inches - inches) <= CALCULATION_TOLERANCE
+    ? explicit
+    : dimensionInputText(value);
+
+  return text && text.length <= MAX_DIMENSION_INPUT_LENGTH ? text : null;
+};
+
+/**
+ * Read an entry's length and breadth into inches
+ * Dimensions may be numbers or text with fractions, feet and inches or cm/mm
+ * @returns {Object|null} - The entry with length and breadth in inches and lengthInput and
+ *   breadthInput as entered, or null when either is not a positive dimension
+ */
+const normalizeDimensions = (entry) => {
+  const length = parseDimension(entry.length);
+  const breadth = parseDimension(entry.breadth);
+
+  if (!length || !breadth || !(length.inches > 0) || !(breadth.inches > 0)) {
+    return null;
+  }
+
+  return {
+    ...entry,
+    length: length.inches,
+    breadth: breadth.inches,
+    lengthInput: resolveDimensionInput(entry.lengthInput, entry.length, length.inches),
+    breadthInput: resolveDimensionInput(entry.breadthInput, entry.breadth, breadth.inches)
+  };
+};
+
 /**
  * Create a new slab entry
+ * A repeated request with the same clientRef returns the entry the first one created;
+ * a clientRef already used on another sheet is a 409
  */
 const createSlabEntry = async (req, res) => {
   const client = await pool.connect();
@@ -19,10 +203,7 @@ const createSlabEntry = async (req, res) => {
       length, 
       breadth, 
       slabCategory,
-      finalLength,
-      finalBreadth,
-      squareFeet,
-      calculationDetails
+      clientRef
     } = req.body;
     
     // Validation
@@ -32,9 +213,34 @@ const createSlabEntry = async (req, res) => {
       });
     }
     
-    if (length <= 0 || breadth <= 0) {
+    if (!isValidClientRef(clientRef)) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: [CLIENT_REF_ERROR]
+      });
+    }
+    
+    // A replayed offline create whose response was lost; checked before the sheet lock
+    // and stock reservation, which the first request has already been through
+    if (clientRef) {
+      const existing = await client.query('SELECT * FROM slab_entries WHERE client_ref = $1', [clientRef]);
+      if (existing.rows.length > 0) {
+        if (existing.rows[0].measurement_sheet_id !== measurementSheetId) {
+          return res.status(409).json({
+            error: CLIENT_REF_CONFLICT_ERROR
+          });
+        }
+        return res.json({
+          success: true,
+          data: existing.rows[0]
+        });
+      }
+    }
+    
+    const entry = normalizeDimensions(req.body);
+    if (!entry) {
       return res.status(400).json({
-        error: 'Length and breadth must be positive numbers'
+        error: DIMENSION_ERROR
       });
     }
     
@@ -46,13 +252,51 @@ const createSlabEntry = async (req, res) => {
     }
     
     // Check if measurement sheet exists
-    const sheetCheck = await client.query('SELECT id FROM measurement_sheets WHERE id = $1', [measurementSheetId]);
+    const sheetCheck = await client.query('SELECT id, customer_type, calculation_mode, created_at, status FROM measurement_sheets WHERE id = $1', [measurementSheetId]);
     if (sheetCheck.rows.length === 0) {
       return res.status(404).json({
         error: 'Measurement sheet not found'
       });
     }
     
+    const customerType = sheetCheck.rows[0].customer_type;
+    const profile = await CalculationProfile.findByCustomerType(customerType);
+    if (!profile) {
+      return res.status(422).json({
+        error: `No active calculation profile for customer type: ${customerType}`
+      });
+    }
+    
+    const stock = await applyStockSlab(entry);
+    if (stock.error) {
+      return res.status(stock.statusCode).json({
+        error: stock.error
+      });
+    }
+    
+    const blockLink = await resolveSlabBlock(stock.entry);
+    if (blockLink.error) {
+      return res.status(422).json({
+        error: blockLink.error
+      });
+    }
+    
+    // Final dimensions, square feet and amount always come from the server calculation
+    const calculated = recalculateSlabEntry(entry, profile, sheetCheck.rows[0].calculation_mode);
+    const { finalLength, finalBreadth, squareFeet, grossSquareFeet, squareMetres, calculationDetails } = calculated;
+    const { rate, amount } = await priceSlabEntry({ ...entry, ...blockLink }, calculated, sheetCheck.rows[0]);
+    
+    await client.query('BEGIN');
+    
+    // Completed sheets are immutable; this fails with a 409 for them
+    await MeasurementSheet.lockForEdit(client, measurementSheetId);
+    
+    // Taking the slab from stock fails with a 409 when it is already on another sheet
+    const slabId = entry.slabId || null;
+    if (slabId) {
+      await Slab.reserve(client, slabId, sheetCheck.rows[0]);
+    }
+    
     // Get next serial number for this measurement sheet
     const serialQuery = `
       SELECT COALESCE(MAX(serial_number), 0) + 1 as next_serial
@@ -64,18 +308,24 @@ const createSlabEntry = async (req, res) => {
     
     const query = `
       INSERT INTO slab_entries (
-        measurement_sheet_id, serial_number, block_number, length, breadth, 
-        slab_category, final_length, final_breadth, square_feet, calculation_details
+        measurement_sheet_id, serial_number, slab_id, block_id, block_number, material, length, breadth, 
+        length_input, breadth_input, slab_category, final_length, final_breadth, square_feet, rate, amount, calculation_details,
+        square_metres, gross_square_feet, client_ref
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
       RETURNING *
     `;
     
     const result = await client.query(query, [
-      measurementSheetId, serialNumber, blockNumber, length, breadth,
-      slabCategory, finalLength, finalBreadth, squareFeet, calculationDetails
+      measurementSheetId, serialNumber, slabId, blockLink.blockId, blockLink.blockNumber, blockLink.material, entry.length, entry.breadth,
+      entry.lengthInput, entry.breadthInput, slabCategory, finalLength, finalBreadth, squareFeet, rate, amount, calculationDetails,
+      squareMetres, grossSquareFeet, clientRef || null
     ]);
     
+    await AuditLog.recordCreate(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, result.rows[0], req.user);
+    
+    await client.query('COMMIT');
+    
     const slabEntry = result.rows[0];
     
     // Clear related caches
@@ -88,6 +338,13 @@ const createSlabEntry = async (req, res) => {
     });
     
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    
     console.error('Error creating slab entry:', error);
     res.status(500).json({
       error: 'Failed to create slab entry'
@@ -170,21 +427,13 @@ const updateSlabEntry = async (req, res) => {
   
   try {
     const { id } = req.params;
-    const { 
-      blockNumber, 
-      length, 
-      breadth, 
-      slabCategory,
-      finalLength,
-      finalBreadth,
-      squareFeet,
-      calculationDetails
-    } = req.body;
+    const { slabCategory } = req.body;
     
     // Validation
-    if (length <= 0 || breadth <= 0) {
+    const entry = normalizeDimensions(req.body);
+    if (!entry) {
       return res.status(400).json({
-        error: 'Length and breadth must be positive numbers'
+        error: DIMENSION_ERROR
       });
     }
     
@@ -195,33 +444,110 @@ const updateSlabEntry = async (req, res) => {
       });
     }
     
+    // Look up the customer type of the sheet the entry belongs to
+    const sheetQuery = `
+      SELECT ms.id, ms.customer_type, ms.calculation_mode, ms.created_at, ms.status, se.slab_id
+      FROM slab_entries se
+      JOIN measurement_sheets ms ON se.measurement_sheet_id = ms.id
+      WHERE se.id = $1
+    `;
+    const sheetResult = await client.query(sheetQuery, [id]);
+    if (sheetResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Slab entry not found'
+      });
+    }
+    
+    const customerType = sheetResult.rows[0].customer_type;
+    const profile = await CalculationProfile.findByCustomerType(customerType);
+    if (!profile) {
+      return res.status(422).json({
+        error: `No active calculation profile for customer type: ${customerType}`
+      });
+    }
+    
+    // An entry keeps its stock slab unless the request names another one, or null to unlink it
+    const sheet = sheetResult.rows[0];
+    const currentSlabId = sheet.slab_id;
+    const slabId = entry.slabId !== undefined ? (entry.slabId || null) : currentSlabId;
+    
+    const stock = await applyStockSlab({ ...entry, slabId });
+    if (stock.error) {
+      return res.status(stock.statusCode).json({
+        error: stock.error
+      });
+    }
+    
+    const blockLink = await resolveSlabBlock(stock.entry);
+    if (blockLink.error) {
+      return res.status(422).json({
+        error: blockLink.error
+      });
+    }
+    
+    // Final dimensions, square feet and amount always come from the server calculation
+    const calculated = recalculateSlabEntry(entry, profile, sheet.calculation_mode);
+    const { finalLength, finalBreadth, squareFeet, grossSquareFeet, squareMetres, calculationDetails } = calculated;
+    const { rate, amount } = await priceSlabEntry({ ...entry, ...blockLink }, calculated, sheet);
+    
+    await client.query('BEGIN');
+    
+    await MeasurementSheet.lockForEdit(client, sheet.id);
+    
+    // The row as it stood before this change, for the audit log
+    const beforeResult = await client.query('SELECT * FROM slab_entries WHERE id = $1 FOR UPDATE', [id]);
+    
+    if (slabId !== currentSlabId) {
+      if (currentSlabId) {
+        await Slab.release(client, currentSlabId, sheet.id, 'Removed from slab entry');
+      }
+      if (slabId) {
+        await Slab.reserve(client, slabId, sheet);
+      }
+    }
+    
     const query = `
       UPDATE slab_entries 
       SET 
-        block_number = $1, 
-        length = $2, 
-        breadth = $3, 
-        slab_category = $4,
-        final_length = $5,
-        final_breadth = $6,
-        square_feet = $7,
-        calculation_details = $8,
+        block_id = $1,
+        block_number = $2, 
+        material = $3,
+        length = $4, 
+        breadth = $5, 
+        slab_category = $6,
+        final_length = $7,
+        final_breadth = $8,
+        square_feet = $9,
+        rate = $10,
+        amount = $11,
+        calculation_details = $12,
+        slab_id = $13,
+        length_input = $14,
+        breadth_input = $15,
+        square_metres = $16,
+        gross_square_feet = $17,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = $9
+      WHERE id = $18
       RETURNING *
     `;
     
     const result = await client.query(query, [
-      blockNumber, length, breadth, slabCategory,
-      finalLength, finalBreadth, squareFeet, calculationDetails, id
+      blockLink.blockId, blockLink.blockNumber, blockLink.material, entry.length, entry.breadth, slabCategory,
+      finalLength, finalBreadth, squareFeet, rate, amount, calculationDetails, slabId,
+      entry.lengthInput, entry.breadthInput, squareMetres, grossSquareFeet, id
     ]);
     
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         error: 'Slab entry not found'
       });
     }
     
+    await AuditLog.recordChanges(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, beforeResult.rows[0], result.rows[0], req.user);
+    
+    await client.query('COMMIT');
+    
     const slabEntry = result.rows[0];
     
     // Clear related caches
@@ -234,6 +560,13 @@ const updateSlabEntry = async (req, res) => {
     });
     
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    
     console.error('Error updating slab entry:', error);
     res.status(500).json({
       error: 'Failed to update slab entry'
@@ -245,6 +578,7 @@ const updateSlabEntry = async (req, res) => {
 
 /**
  * Delete slab entry
+ * A stock slab on the entry goes back in stock
  */
 const deleteSlabEntry = async (req, res) => {
   const client = await pool.connect();
@@ -252,16 +586,36 @@ const deleteSlabEntry = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const query = 'DELETE FROM slab_entries WHERE id = $1 RETURNING measurement_sheet_id';
+    const entryResult = await client.query('SELECT measurement_sheet_id FROM slab_entries WHERE id = $1', [id]);
+    if (entryResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Slab entry not found'
+      });
+    }
+    
+    const measurementSheetId = entryResult.rows[0].measurement_sheet_id;
+    
+    await client.query('BEGIN');
+    
+    await MeasurementSheet.lockForEdit(client, measurementSheetId);
+    
+    const query = 'DELETE FROM slab_entries WHERE id = $1 RETURNING *';
     const result = await client.query(query, [id]);
     
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         error: 'Slab entry not found'
       });
     }
     
-    const measurementSheetId = result.rows[0].measurement_sheet_id;
+    if (result.rows[0].slab_id) {
+      await Slab.release(client, result.rows[0].slab_id, measurementSheetId, 'Slab entry deleted');
+    }
+    
+    await AuditLog.recordDelete(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, result.rows[0], req.user);
+    
+    await client.query('COMMIT');
     
     // Clear related caches
     await cache.del(`measurement_sheet_full:${measurementSheetId}`);
@@ -273,6 +627,13 @@ const deleteSlabEntry = async (req, res) => {
     });
     
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    
     console.error('Error deleting slab entry:', error);
     res.status(500).json({
       error: 'Failed to delete slab entry'
@@ -284,6 +645,8 @@ const deleteSlabEntry = async (req, res) => {
 
 /**
  * Batch create slab entries
+ * A repeated batch with the same clientRefs returns the entries the first one created;
+ * clientRefs already used on another sheet are a 409
  */
 const batchCreateSlabEntries = async (req, res) => {
   const client = await pool.connect();
@@ -297,20 +660,101 @@ const batchCreateSlabEntries = async (req, res) => {
       });
     }
     
+    const validCategories = ['F', 'LD', 'D', 'S'];
+    const normalizedEntries = slabEntries.map(entry => (entry ? normalizeDimensions(entry) : null));
+    const invalidIndex = normalizedEntries.findIndex(entry =>
+      !entry || !entry.blockNumber || !validCategories.includes(entry.slabCategory)
+    );
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        error: `Slab entry ${invalidIndex + 1} requires a block number, positive length and breadth, and a valid slab category`
+      });
+    }
+    
+    const invalidRefIndex = slabEntries.findIndex(entry => !isValidClientRef(entry.clientRef));
+    if (invalidRefIndex !== -1) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: [`Slab entry ${invalidRefIndex + 1}: ${CLIENT_REF_ERROR}`]
+      });
+    }
+    
+    const clientRefs = slabEntries.map(entry => entry.clientRef).filter(Boolean);
+    if (clientRefs.some((clientRef, index) => clientRefs.indexOf(clientRef) !== index)) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: ['Each slab entry needs its own client reference']
+      });
+    }
+    
+    // A replayed offline batch whose response was lost. The batch is saved in one
+    // transaction, so finding any of its entries means all of them were created
+    if (clientRefs.length > 0) {
+      const existing = await client.query('SELECT * FROM slab_entries WHERE client_ref = ANY($1)', [clientRefs]);
+      if (existing.rows.some(row => row.measurement_sheet_id !== measurementSheetId)) {
+        return res.status(409).json({
+          error: CLIENT_REF_CONFLICT_ERROR
+        });
+      }
+      if (existing.rows.length > 0) {
+        return res.json({
+          success: true,
+          data: clientRefs
+            .map(clientRef => existing.rows.find(row => row.client_ref === clientRef))
+            .filter(Boolean)
+        });
+      }
+    }
+    
     // Check if measurement sheet exists
-    const sheetCheck = await client.query('SELECT id FROM measurement_sheets WHERE id = $1', [measurementSheetId]);
+    const sheetCheck = await client.query('SELECT id, customer_type, calculation_mode, created_at, status FROM measurement_sheets WHERE id = $1', [measurementSheetId]);
     if (sheetCheck.rows.length === 0) {
       return res.status(404).json({
         error: 'Measurement sheet not found'
       });
     }
     
+    const customerType = sheetCheck.rows[0].customer_type;
+    const profile = await CalculationProfile.findByCustomerType(customerType);
+    if (!profile) {
+      return res.status(422).json({
+        error: `No active calculation profile for customer type: ${customerType}`
+      });
+    }
+    
+    const blockLinks = [];
+    for (let i = 0; i < normalizedEntries.length; i++) {
+      const stock = await applyStockSlab(normalizedEntries[i]);
+      if (stock.error) {
+        return res.status(stock.statusCode).json({
+          error: `Slab entry ${i + 1}: ${stock.error}`
+        });
+      }
+      
+      const blockLink = await resolveSlabBlock(stock.entry);
+      if (blockLink.error) {
+        return res.status(422).json({
+          error: `Slab entry ${i + 1}: ${blockLink.error}`
+        });
+      }
+      blockLinks.push(blockLink);
+    }
+    
     await client.query('BEGIN');
     
+    await MeasurementSheet.lockForEdit(client, measurementSheetId);
+    
     const createdEntries = [];
     
-    for (let i = 0; i < slabEntries.length; i++) {
-      const entry = slabEntries[i];
+    for (let i = 0; i < normalizedEntries.length; i++) {
+      const entry = { ...normalizedEntries[i], ...blockLinks[i] };
+      const calculated = recalculateSlabEntry(entry, profile, sheetCheck.rows[0].calculation_mode);
+      const { rate, amount } = await priceSlabEntry(entry, calculated, sheetCheck.rows[0]);
+      
+      // The same slab listed twice is rejected here, since the first reservation takes it out of stock
+      if (entry.slabId) {
+        await Slab.reserve(client, entry.slabId, sheetCheck.rows[0]);
+      }
       
       // Get next serial number
       const serialQuery = `
@@ -323,18 +767,22 @@ const batchCreateSlabEntries = async (req, res) => {
       
       const query = `
         INSERT INTO slab_entries (
-          measurement_sheet_id, serial_number, block_number, length, breadth, 
-          slab_category, final_length, final_breadth, square_feet, calculation_details
+          measurement_sheet_id, serial_number, slab_id, block_id, block_number, material, length, breadth, 
+          length_input, breadth_input, slab_category, final_length, final_breadth, square_feet, rate, amount, calculation_details,
+          square_metres, gross_square_feet, client_ref
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
         RETURNING *
       `;
       
       const result = await client.query(query, [
-        measurementSheetId, serialNumber, entry.blockNumber, entry.length, entry.breadth,
-        entry.slabCategory, entry.finalLength, entry.finalBreadth, entry.squareFeet, entry.calculationDetails
+        measurementSheetId, serialNumber, entry.slabId || null, entry.blockId, entry.blockNumber, entry.material, entry.length, entry.breadth,
+        entry.lengthInput, entry.breadthInput, entry.slabCategory, calculated.finalLength, calculated.finalBreadth, calculated.squareFeet,
+        rate, amount, calculated.calculationDetails, calculated.squareMetres, calculated.grossSquareFeet, entry.clientRef || null
       ]);
       
+      await AuditLog.recordCreate(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, result.rows[0], req.user);
+      
       createdEntries.push(result.rows[0]);
     }
     
@@ -351,6 +799,12 @@ const batchCreateSlabEntries = async (req, res) => {
     
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    
     console.error('Error batch creating slab entries:', error);
     res.status(500).json({
       error: 'Failed to create slab entries'
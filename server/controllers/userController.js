@@ -0,0 +1,118 @@
+const User = require('../models/User');
+
+/**
+ * User Controller
+ * Manages the accounts that can sign in to the API
+ */
+
+/**
+ * Get all user accounts
+ */
+const getUsers = async (req, res) => {
+  try {
+    const users = await User.findAll();
+
+    res.json({
+      success: true,
+      data: users.map(user => user.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Create a user account
+ */
+const createUser = async (req, res) => {
+  try {
+    const { username, fullName, password, role } = req.body;
+
+    const validationErrors = User.validateData({ username, fullName, password, role });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const user = await User.create({ username, fullName, password, role });
+
+    res.status(201).json({
+      success: true,
+      data: user.toJSON(),
+      message: `User ${user.username} created`
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'A user with this username already exists'
+      });
+    }
+
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      error: 'Failed to create user',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update a user's name, role or active flag, or reset their password
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fullName, role, isActive, password } = req.body;
+
+    const validationErrors = User.validateData({ fullName, role, isActive, password }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: validationErrors
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `No user found with ID: ${id}`
+      });
+    }
+
+    const updatedUser = await user.update({ fullName, role, isActive, password });
+
+    res.json({
+      success: true,
+      data: updatedUser.toJSON(),
+      message: 'User updated successfully'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      error: 'Failed to update user',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  createUser,
+  updateUser
+};
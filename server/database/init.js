@@ -18,7 +18,7 @@ async function initializeDatabase() {
     await client.query(schema);
     
     console.log('Database schema initialized successfully');
-    console.log('Tables created: customers, measurement_sheets, slab_entries');
+    console.log('Tables created: customers, calculation_profiles, calculation_profile_rules, blocks, measurement_sheets, slab_entries, slabs, slab_movements, rate_cards, invoices, invoice_items, users, audit_log, measurement_sheet_status_changes, payments');
     console.log('Indexes created for optimized search performance');
     console.log('Triggers created for automatic calculations');
     
@@ -41,7 +41,7 @@ async function checkDatabaseStatus() {
       SELECT table_name 
       FROM information_schema.tables 
       WHERE table_schema = 'public' 
-      AND table_name IN ('customers', 'measurement_sheets', 'slab_entries')
+      AND table_name IN ('customers', 'calculation_profiles', 'calculation_profile_rules', 'blocks', 'measurement_sheets', 'slab_entries', 'slabs', 'slab_movements', 'rate_cards', 'invoices', 'invoice_items', 'users', 'audit_log', 'measurement_sheet_status_changes', 'payments')
     `);
     
     return result.rows.map(row => row.table_name);
@@ -14,15 +14,84 @@ CREATE TABLE IF NOT EXISTS customers (
     phone_number VARCHAR(20) NOT NULL,
     email VARCHAR(255),
     address TEXT NOT NULL,
+    state VARCHAR(100),
+    gstin VARCHAR(15),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- State and GSTIN decide the GST split on tax invoices
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS state VARCHAR(100);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS gstin VARCHAR(15);
+
+-- Default calculation mode for the customer's new sheets; metric sheets also report square metres
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS calculation_mode VARCHAR(10) NOT NULL DEFAULT 'imperial'
+    CHECK (calculation_mode IN ('imperial', 'metric'));
+
 -- Create indexes for customer search optimization
 CREATE INDEX IF NOT EXISTS idx_customers_name ON customers USING gin(to_tsvector('english', name));
 CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers (phone_number);
 CREATE INDEX IF NOT EXISTS idx_customers_created_at ON customers (created_at DESC);
 
+-- Calculation rule profiles (one per party type)
+CREATE TABLE IF NOT EXISTS calculation_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE CHECK (code ~ '^[a-z][a-z0-9_]*$'),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The unit each party reads measurements in: inches, feet and inches, centimetres or millimetres
+ALTER TABLE calculation_profiles ADD COLUMN IF NOT EXISTS display_unit VARCHAR(10) NOT NULL DEFAULT 'in'
+    CHECK (display_unit IN ('in', 'ft_in', 'cm', 'mm'));
+
+-- Per-axis deduction and rounding rules for each profile
+CREATE TABLE IF NOT EXISTS calculation_profile_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    profile_id UUID NOT NULL REFERENCES calculation_profiles(id) ON DELETE CASCADE,
+    axis VARCHAR(10) NOT NULL CHECK (axis IN ('length', 'breadth')),
+    deduction DECIMAL(8,2) NOT NULL DEFAULT 0 CHECK (deduction >= 0),
+    rounding_step DECIMAL(8,2) NOT NULL DEFAULT 0 CHECK (rounding_step >= 0),
+    rounding_direction VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (rounding_direction IN ('none', 'down', 'up', 'nearest')),
+    unit VARCHAR(2) NOT NULL DEFAULT 'in' CHECK (unit IN ('in', 'cm'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_calculation_profile_rules_profile_id ON calculation_profile_rules (profile_id);
+
+-- Rules are in inches, or in centimetres for metric sheets; a profile has one rule per axis and unit
+ALTER TABLE calculation_profile_rules ADD COLUMN IF NOT EXISTS unit VARCHAR(2) NOT NULL DEFAULT 'in'
+    CHECK (unit IN ('in', 'cm'));
+ALTER TABLE calculation_profile_rules DROP CONSTRAINT IF EXISTS calculation_profile_rules_profile_id_axis_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calculation_profile_rules_axis_unit ON calculation_profile_rules (profile_id, axis, unit);
+
+-- Seed the built-in profiles
+INSERT INTO calculation_profiles (code, name, description) VALUES
+    ('retail', 'Retail', 'Direct calculation: (Length × Breadth) ÷ 144'),
+    ('granite_shops', 'Granite Shops (Wholesalers)', 'Length-3 and Breadth-2 with divisibility by 3 adjustment'),
+    ('builders', 'Builders', 'Length-3 with divisibility by 3 adjustment, original breadth'),
+    ('outstation_parties', 'Outstation Parties', 'Same as Granite Shops: Length-3 and Breadth-2 with divisibility by 3'),
+    ('exporters', 'Exporters', 'Simple deduction: (Length-3) × (Breadth-2) ÷ 144')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO calculation_profile_rules (profile_id, axis, deduction, rounding_step, rounding_direction, unit)
+SELECT cp.id, r.axis, r.deduction, r.rounding_step, r.rounding_direction, r.unit
+FROM (VALUES
+    ('granite_shops', 'length', 3, 3, 'down', 'in'),
+    ('granite_shops', 'breadth', 2, 3, 'down', 'in'),
+    ('builders', 'length', 3, 3, 'down', 'in'),
+    ('outstation_parties', 'length', 3, 3, 'down', 'in'),
+    ('outstation_parties', 'breadth', 2, 3, 'down', 'in'),
+    ('exporters', 'length', 3, 0, 'none', 'in'),
+    ('exporters', 'breadth', 2, 0, 'none', 'in'),
+    ('exporters', 'length', 8, 1, 'down', 'cm'),
+    ('exporters', 'breadth', 5, 1, 'down', 'cm')
+) AS r(code, axis, deduction, rounding_step, rounding_direction, unit)
+JOIN calculation_profiles cp ON cp.code = r.code
+ON CONFLICT (profile_id, axis, unit) DO NOTHING;
+
 -- Measurement sheets table with sequential numbering
 CREATE SEQUENCE IF NOT EXISTS measurement_sheet_seq START 1;
 
@@ -30,13 +99,26 @@ CREATE TABLE IF NOT EXISTS measurement_sheets (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     measurement_sheet_number VARCHAR(20) NOT NULL UNIQUE DEFAULT ('MS-' || LPAD(nextval('measurement_sheet_seq')::TEXT, 4, '0')),
     customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
-    customer_type VARCHAR(50) NOT NULL CHECK (customer_type IN ('Retail', 'Granite Shops', 'Builders', 'Outstation Parties', 'Exporters')),
+    customer_type VARCHAR(50) NOT NULL REFERENCES calculation_profiles(code),
     total_square_feet DECIMAL(10,2) DEFAULT 0.00,
-    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'completed')),
+    total_amount DECIMAL(12,2) DEFAULT 0.00,
+    status VARCHAR(20) DEFAULT 'draft'
+        CHECK (status IN ('draft', 'measured', 'approved', 'dispatched', 'invoiced', 'cancelled')),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Customer types are stored as registry keys (calculation_profiles.code).
+-- Sheets created with the earlier label CHECK constraint are converted to keys; a converted
+-- label with no matching profile fails the foreign key instead of being left unchecked.
+ALTER TABLE measurement_sheets DROP CONSTRAINT IF EXISTS measurement_sheets_customer_type_check;
+UPDATE measurement_sheets
+SET customer_type = trim(both '_' from regexp_replace(lower(customer_type), '[^a-z0-9]+', '_', 'g'))
+WHERE customer_type !~ '^[a-z][a-z0-9_]*$';
+ALTER TABLE measurement_sheets DROP CONSTRAINT IF EXISTS measurement_sheets_customer_type_fkey;
+ALTER TABLE measurement_sheets ADD CONSTRAINT measurement_sheets_customer_type_fkey
+    FOREIGN KEY (customer_type) REFERENCES calculation_profiles(code);
+
 -- Create indexes for measurement sheet search optimization
 CREATE INDEX IF NOT EXISTS idx_measurement_sheets_customer_id ON measurement_sheets (customer_id);
 CREATE INDEX IF NOT EXISTS idx_measurement_sheets_number ON measurement_sheets (measurement_sheet_number);
@@ -44,18 +126,62 @@ CREATE INDEX IF NOT EXISTS idx_measurement_sheets_created_at ON measurement_shee
 CREATE INDEX IF NOT EXISTS idx_measurement_sheets_customer_type ON measurement_sheets (customer_type);
 CREATE INDEX IF NOT EXISTS idx_measurement_sheets_status ON measurement_sheets (status);
 
+-- Metric sheets apply the profile's centimetre rules and total square metres alongside square feet
+ALTER TABLE measurement_sheets ADD COLUMN IF NOT EXISTS calculation_mode VARCHAR(10) NOT NULL DEFAULT 'imperial'
+    CHECK (calculation_mode IN ('imperial', 'metric'));
+ALTER TABLE measurement_sheets ADD COLUMN IF NOT EXISTS total_square_metres DECIMAL(12,3) DEFAULT 0.000;
+
+-- Approved sheets are never changed; corrections go on an amendment, a new revision
+-- (MS-0042-R1, MS-0042-R2, ...) that starts as a copy of the revision it amends.
+-- Only the latest revision can be amended, so a sheet has at most one amendment
+ALTER TABLE measurement_sheets ADD COLUMN IF NOT EXISTS original_sheet_id UUID REFERENCES measurement_sheets(id);
+ALTER TABLE measurement_sheets ADD COLUMN IF NOT EXISTS amended_from_id UUID REFERENCES measurement_sheets(id);
+ALTER TABLE measurement_sheets ADD COLUMN IF NOT EXISTS revision_number INTEGER NOT NULL DEFAULT 0;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_measurement_sheets_amended_from ON measurement_sheets (amended_from_id);
+CREATE INDEX IF NOT EXISTS idx_measurement_sheets_original ON measurement_sheets (original_sheet_id);
+
+-- Sheets and slab entries created offline carry the temporary ID the device gave them,
+-- so a queued create that is sent again after a lost response returns the first one
+ALTER TABLE measurement_sheets ADD COLUMN IF NOT EXISTS client_ref VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_measurement_sheets_client_ref ON measurement_sheets (client_ref);
+
+-- Granite block inventory; slabs are cut from blocks and sold on measurement sheets
+CREATE TABLE IF NOT EXISTS blocks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    block_number VARCHAR(50) NOT NULL,
+    quarry_source VARCHAR(255),
+    variety VARCHAR(100) NOT NULL,
+    color VARCHAR(50),
+    finish VARCHAR(50),
+    thickness DECIMAL(5,1) CHECK (thickness > 0),
+    arrival_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    gross_slab_count INTEGER NOT NULL DEFAULT 0 CHECK (gross_slab_count >= 0),
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blocks_block_number ON blocks (UPPER(block_number));
+CREATE INDEX IF NOT EXISTS idx_blocks_variety ON blocks (variety);
+CREATE INDEX IF NOT EXISTS idx_blocks_arrival_date ON blocks (arrival_date DESC);
+
 -- Slab entries table
 CREATE TABLE IF NOT EXISTS slab_entries (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     measurement_sheet_id UUID NOT NULL REFERENCES measurement_sheets(id) ON DELETE CASCADE,
     serial_number INTEGER NOT NULL,
+    block_id UUID REFERENCES blocks(id),
     block_number VARCHAR(50) NOT NULL,
+    material VARCHAR(100),
     length DECIMAL(8,2) NOT NULL CHECK (length > 0),
     breadth DECIMAL(8,2) NOT NULL CHECK (breadth > 0),
     slab_category VARCHAR(5) NOT NULL CHECK (slab_category IN ('F', 'LD', 'D', 'S')),
     final_length DECIMAL(8,2) NOT NULL,
     final_breadth DECIMAL(8,2) NOT NULL,
     square_feet DECIMAL(10,2) NOT NULL,
+    rate DECIMAL(10,2),
+    amount DECIMAL(12,2),
     calculation_details TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -67,6 +193,242 @@ CREATE INDEX IF NOT EXISTS idx_slab_entries_sheet_id ON slab_entries (measuremen
 CREATE INDEX IF NOT EXISTS idx_slab_entries_block_number ON slab_entries (block_number);
 CREATE INDEX IF NOT EXISTS idx_slab_entries_category ON slab_entries (slab_category);
 
+-- Slabs keep their block number as entered and link to the inventory block it matches
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS block_id UUID REFERENCES blocks(id);
+CREATE INDEX IF NOT EXISTS idx_slab_entries_block_id ON slab_entries (block_id);
+
+-- Dimensions are stored in inches to a ten-thousandth so fractions and cm/mm convert without loss.
+-- The dimension as entered ("72 1/2", "6'2\"", "183 cm") is kept for display; see src/shared/dimensions.js
+ALTER TABLE slab_entries ALTER COLUMN length TYPE DECIMAL(10,4);
+ALTER TABLE slab_entries ALTER COLUMN breadth TYPE DECIMAL(10,4);
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS length_input VARCHAR(30);
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS breadth_input VARCHAR(30);
+
+-- Final dimensions of metric sheets are converted back from centimetres, and their square metres are kept
+ALTER TABLE slab_entries ALTER COLUMN final_length TYPE DECIMAL(10,4);
+ALTER TABLE slab_entries ALTER COLUMN final_breadth TYPE DECIMAL(10,4);
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS square_metres DECIMAL(10,3);
+
+-- Entries copied onto an amendment keep the ID of the entry the line was first measured as,
+-- so any two revisions of a sheet can be compared line by line
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS origin_entry_id UUID;
+
+-- Area as measured, before the profile's deductions and rounding; the difference from
+-- square_feet is what the pricing rules give away. Entries from before it was kept are
+-- filled in from their measured dimensions
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS gross_square_feet DECIMAL(10,2);
+UPDATE slab_entries SET gross_square_feet = ROUND(length * breadth / 144, 2) WHERE gross_square_feet IS NULL;
+
+-- The device's temporary ID for entries created offline, as for measurement sheets
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS client_ref VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_slab_entries_client_ref ON slab_entries (client_ref);
+
+-- Slab stock ledger: physical slabs registered when cut from a block
+-- in_stock -> reserved (open sheet) -> dispatched (dispatched or invoiced sheet) -> returned -> reserved ...
+CREATE TABLE IF NOT EXISTS slabs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slab_number VARCHAR(60) NOT NULL UNIQUE,
+    block_id UUID NOT NULL REFERENCES blocks(id),
+    length DECIMAL(8,2) NOT NULL CHECK (length > 0),
+    breadth DECIMAL(8,2) NOT NULL CHECK (breadth > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'in_stock' CHECK (status IN ('in_stock', 'reserved', 'dispatched', 'returned')),
+    measurement_sheet_id UUID REFERENCES measurement_sheets(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- A slab is held by a sheet exactly while it is reserved or dispatched
+    CHECK ((status IN ('reserved', 'dispatched')) = (measurement_sheet_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_slabs_block_id ON slabs (block_id);
+CREATE INDEX IF NOT EXISTS idx_slabs_status ON slabs (status);
+CREATE INDEX IF NOT EXISTS idx_slabs_measurement_sheet_id ON slabs (measurement_sheet_id);
+
+-- Every status change of a slab, oldest first
+CREATE TABLE IF NOT EXISTS slab_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slab_id UUID NOT NULL REFERENCES slabs(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    measurement_sheet_id UUID REFERENCES measurement_sheets(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_slab_movements_slab_id ON slab_movements (slab_id, created_at);
+
+-- Slab entries sold from stock point at the physical slab
+ALTER TABLE slab_entries ADD COLUMN IF NOT EXISTS slab_id UUID REFERENCES slabs(id);
+CREATE INDEX IF NOT EXISTS idx_slab_entries_slab_id ON slab_entries (slab_id);
+
+-- Rate cards: price per square foot by customer type, slab category and granite variety
+-- A NULL material applies to every variety; the latest effective_from on or before the sheet date wins
+CREATE TABLE IF NOT EXISTS rate_cards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_type VARCHAR(50) NOT NULL REFERENCES calculation_profiles(code),
+    slab_category VARCHAR(5) NOT NULL CHECK (slab_category IN ('F', 'LD', 'D', 'S')),
+    material VARCHAR(100),
+    rate_per_sqft DECIMAL(10,2) NOT NULL CHECK (rate_per_sqft >= 0),
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_cards_unique
+    ON rate_cards (customer_type, slab_category, LOWER(COALESCE(material, '')), effective_from);
+CREATE INDEX IF NOT EXISTS idx_rate_cards_lookup ON rate_cards (customer_type, slab_category, effective_from DESC);
+
+-- GST tax invoices with sequential numbering
+-- An invoice snapshots its sheet's slabs as line items; while it is issued the sheet is locked
+CREATE SEQUENCE IF NOT EXISTS invoice_seq START 1;
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_number VARCHAR(20) NOT NULL UNIQUE DEFAULT ('INV-' || LPAD(nextval('invoice_seq')::TEXT, 4, '0')),
+    measurement_sheet_id UUID NOT NULL REFERENCES measurement_sheets(id),
+    customer_id UUID NOT NULL REFERENCES customers(id),
+    invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    customer_name VARCHAR(255) NOT NULL,
+    customer_address TEXT,
+    customer_gstin VARCHAR(15),
+    supplier_gstin VARCHAR(15),
+    supplier_state VARCHAR(100) NOT NULL,
+    place_of_supply VARCHAR(100) NOT NULL,
+    tax_type VARCHAR(20) NOT NULL CHECK (tax_type IN ('intra_state', 'inter_state')),
+    discount_type VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (discount_type IN ('none', 'percent', 'amount')),
+    discount_value DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+    subtotal DECIMAL(12,2) NOT NULL,
+    discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    taxable_amount DECIMAL(12,2) NOT NULL,
+    cgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    round_off DECIMAL(6,2) NOT NULL DEFAULT 0,
+    grand_total DECIMAL(12,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'cancelled')),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one issued invoice per sheet; a cancelled invoice unlocks the sheet for a new one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_issued_sheet ON invoices (measurement_sheet_id) WHERE status = 'issued';
+CREATE INDEX IF NOT EXISTS idx_invoices_customer_id ON invoices (customer_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_invoice_date ON invoices (invoice_date DESC);
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    serial_number INTEGER NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    hsn_code VARCHAR(8) NOT NULL,
+    block_number VARCHAR(50),
+    slab_category VARCHAR(5),
+    square_feet DECIMAL(10,2) NOT NULL,
+    rate DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    discount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    taxable_value DECIMAL(12,2) NOT NULL,
+    gst_rate DECIMAL(5,2) NOT NULL,
+    cgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(12,2) NOT NULL,
+    UNIQUE(invoice_id, serial_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items (invoice_id);
+
+-- User accounts that can sign in to the API
+-- Passwords are stored as scrypt hashes: scrypt$<salt>$<hash>
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username VARCHAR(50) NOT NULL CHECK (username ~ '^[a-z0-9._-]{3,50}$'),
+    full_name VARCHAR(255) NOT NULL,
+    password_hash TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'measurer' CHECK (role IN ('measurer', 'accountant', 'owner')),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Roles decide what each user may do; see src/shared/permissions.js
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'measurer'
+    CHECK (role IN ('measurer', 'accountant', 'owner'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users (username);
+
+-- Audit log: append-only history of changes to measurement sheets and slab entries
+-- One row per changed field. measurement_sheet_id has no foreign key so the history
+-- outlives the sheet; username is copied so the row still reads well if the user changes
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_type VARCHAR(30) NOT NULL CHECK (entity_type IN ('measurement_sheet', 'slab_entry')),
+    entity_id UUID NOT NULL,
+    measurement_sheet_id UUID NOT NULL,
+    -- How the row read when the change was made, e.g. 'MS-0042' or 'Slab 14'
+    entity_label VARCHAR(50),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    field VARCHAR(50),
+    old_value TEXT,
+    new_value TEXT,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_sheet ON audit_log (measurement_sheet_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id, created_at);
+
+-- Sheet lifecycle: draft -> measured -> approved -> dispatched -> invoiced, or cancelled before
+-- dispatch; see src/shared/sheetStatus.js. Sheets from the earlier draft/completed lifecycle
+-- become dispatched, or invoiced when they carry an issued invoice
+ALTER TABLE measurement_sheets DROP CONSTRAINT IF EXISTS measurement_sheets_status_check;
+UPDATE measurement_sheets ms
+SET status = CASE WHEN EXISTS (
+        SELECT 1 FROM invoices i WHERE i.measurement_sheet_id = ms.id AND i.status = 'issued'
+    ) THEN 'invoiced' ELSE 'dispatched' END
+WHERE ms.status = 'completed';
+ALTER TABLE measurement_sheets ADD CONSTRAINT measurement_sheets_status_check
+    CHECK (status IN ('draft', 'measured', 'approved', 'dispatched', 'invoiced', 'cancelled'));
+
+-- Every status change of a sheet with who made it; cancellations carry their reason
+CREATE TABLE IF NOT EXISTS measurement_sheet_status_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    measurement_sheet_id UUID NOT NULL REFERENCES measurement_sheets(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (to_status <> 'cancelled' OR reason IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sheet_status_changes_sheet ON measurement_sheet_status_changes (measurement_sheet_id, created_at);
+
+-- Payments received from customers, optionally against one of their sheets
+-- A customer's ledger charges each dispatched or invoiced sheet and credits each payment;
+-- see src/shared/ledger.js. Payments are removed only to correct a mistaken entry
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES customers(id),
+    measurement_sheet_id UUID REFERENCES measurement_sheets(id) ON DELETE SET NULL,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    mode VARCHAR(20) NOT NULL CHECK (mode IN ('cash', 'upi', 'bank_transfer', 'cheque', 'card')),
+    reference VARCHAR(100),
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    notes TEXT,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_customer ON payments (customer_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_payments_sheet ON payments (measurement_sheet_id);
+
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -80,19 +442,37 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_calculation_profiles_updated_at BEFORE UPDATE ON calculation_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_measurement_sheets_updated_at BEFORE UPDATE ON measurement_sheets
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_slab_entries_updated_at BEFORE UPDATE ON slab_entries
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Function to update measurement sheet total when slab entries change
+CREATE TRIGGER update_blocks_updated_at BEFORE UPDATE ON blocks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_slabs_updated_at BEFORE UPDATE ON slabs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rate_cards_updated_at BEFORE UPDATE ON rate_cards
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Function to update measurement sheet totals (square feet, square metres and grand total amount) when slab entries change
 CREATE OR REPLACE FUNCTION update_measurement_sheet_total()
 RETURNS TRIGGER AS $$
 BEGIN
     UPDATE measurement_sheets 
-    SET total_square_feet = (
-        SELECT COALESCE(SUM(square_feet), 0) 
+    SET (total_square_feet, total_square_metres, total_amount) = (
+        SELECT COALESCE(SUM(square_feet), 0), COALESCE(SUM(square_metres), 0), COALESCE(SUM(amount), 0)
         FROM slab_entries 
         WHERE measurement_sheet_id = COALESCE(NEW.measurement_sheet_id, OLD.measurement_sheet_id)
     )
@@ -110,4 +490,15 @@ CREATE TRIGGER update_sheet_total_on_update AFTER UPDATE ON slab_entries
     FOR EACH ROW EXECUTE FUNCTION update_measurement_sheet_total();
 
 CREATE TRIGGER update_sheet_total_on_delete AFTER DELETE ON slab_entries
-    FOR EACH ROW EXECUTE FUNCTION update_measurement_sheet_total();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_measurement_sheet_total();
+
+-- Audit log rows are never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER prevent_audit_log_update BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change();
\ No newline at end of file
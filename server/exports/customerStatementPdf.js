@@ -0,0 +1,222 @@
+/**
+ * Customer statement PDF rendering on the server
+ * Company header, customer block and the customer's ledger for a date range: the
+ * opening balance, each sheet charged and payment received with the running balance,
+ * and the closing balance. Same jsPDF setup as measurementSheetPdf.js
+ */
+
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+const { ENTRY_TYPES, PAYMENT_MODE_LABELS } = require('../../src/shared/ledger');
+
+/**
+ * Format an amount with 2 decimals, or '' for an empty debit or credit cell
+ */
+const formatAmount = (amount) => {
+  if (!amount) {
+    return '';
+  }
+
+  return parseFloat(amount).toFixed(2);
+};
+
+/**
+ * Format a balance, marking advances paid by the customer as credit balances
+ */
+const formatBalance = (balance) => {
+  return balance < 0 ? `${Math.abs(balance).toFixed(2)} Cr` : balance.toFixed(2);
+};
+
+/**
+ * Format a 'YYYY-MM-DD' date as DD/MM/YYYY without going through the server timezone
+ */
+const formatDate = (date) => {
+  if (!date) {
+    return '';
+  }
+
+  const [year, month, day] = date.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+/**
+ * Describe the period a statement covers
+ */
+const describePeriod = (from, to) => {
+  if (from && to) {
+    return `${formatDate(from)} to ${formatDate(to)}`;
+  }
+  if (from) {
+    return `From ${formatDate(from)}`;
+  }
+  if (to) {
+    return `Up to ${formatDate(to)}`;
+  }
+  return 'All transactions';
+};
+
+/**
+ * Render a customer statement as a PDF
+ * @param {Object} statement - { customer, from, to, ledger } with customer as { name, phoneNumber, email, address, gstin }
+ *   and ledger as returned by buildLedger in src/shared/ledger.js
+ * @param {Object} company - { name, address, phone, email } from config/company
+ * @returns {Buffer} - PDF file contents
+ */
+const renderCustomerStatementPdf = (statement, company) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.width;
+  const pageHeight = doc.internal.pageSize.height;
+  const customer = statement.customer || {};
+  const ledger = statement.ledger;
+  let yPosition = 20;
+
+  // Start a new page when the next block would run into the bottom margin
+  const checkPageBreak = (requiredHeight) => {
+    if (yPosition + requiredHeight > pageHeight - 20) {
+      doc.addPage();
+      yPosition = 20;
+    }
+  };
+
+  // Company header
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text(company.name, 20, yPosition);
+
+  yPosition += 8;
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(company.address, 20, yPosition);
+
+  const contact = [
+    company.phone ? `Phone: ${company.phone}` : null,
+    company.email ? `Email: ${company.email}` : null
+  ].filter(Boolean).join(' | ');
+  yPosition += 5;
+  if (contact) {
+    doc.text(contact, 20, yPosition);
+  }
+
+  // Document title and period
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.text('STATEMENT OF ACCOUNT', pageWidth - 20, 20, { align: 'right' });
+
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(describePeriod(statement.from, statement.to), pageWidth - 20, 30, { align: 'right' });
+
+  yPosition += 15;
+  doc.setLineWidth(0.5);
+  doc.line(20, yPosition, pageWidth - 20, yPosition);
+  yPosition += 10;
+
+  // Customer information
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Customer', 20, yPosition);
+  yPosition += 8;
+
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+
+  const customerInfo = [
+    [`Name: ${customer.name || 'N/A'}`, `Phone: ${customer.phoneNumber || 'N/A'}`],
+    [`Address: ${customer.address || 'N/A'}`, customer.gstin ? `GSTIN: ${customer.gstin}` : `Email: ${customer.email || 'N/A'}`]
+  ];
+
+  customerInfo.forEach(([left, right]) => {
+    doc.text(left, 20, yPosition, { maxWidth: pageWidth / 2 - 30 });
+    doc.text(right, pageWidth / 2 + 10, yPosition);
+    yPosition += 6;
+  });
+
+  yPosition += 8;
+
+  // Ledger table, opening with the balance brought forward
+  const body = [[
+    statement.from ? formatDate(statement.from) : '',
+    'Opening balance',
+    '',
+    '',
+    '',
+    formatBalance(ledger.openingBalance)
+  ]].concat(ledger.entries.map(entry => [
+    formatDate(entry.date),
+    entry.description,
+    entry.type === ENTRY_TYPES.PAYMENT
+      ? [PAYMENT_MODE_LABELS[entry.mode] || entry.mode, entry.reference].filter(Boolean).join(' ')
+      : entry.measurementSheetNumber,
+    formatAmount(entry.debit),
+    formatAmount(entry.credit),
+    formatBalance(entry.balance)
+  ]));
+
+  autoTable(doc, {
+    startY: yPosition,
+    head: [['Date', 'Particulars', 'Reference', 'Debit', 'Credit', 'Balance']],
+    body,
+    foot: [['', 'Total', '', ledger.totalCharges.toFixed(2), ledger.totalPayments.toFixed(2), formatBalance(ledger.closingBalance)]],
+    theme: 'grid',
+    styles: {
+      fontSize: 9,
+      cellPadding: 3
+    },
+    headStyles: {
+      fillColor: [240, 240, 240],
+      textColor: [0, 0, 0],
+      fontStyle: 'bold'
+    },
+    footStyles: {
+      fillColor: [230, 230, 230],
+      textColor: [0, 0, 0],
+      fontStyle: 'bold'
+    },
+    columnStyles: {
+      0: { halign: 'center', cellWidth: 22 },
+      1: { cellWidth: 'auto' },
+      2: { cellWidth: 30 },
+      3: { halign: 'right', cellWidth: 22 },
+      4: { halign: 'right', cellWidth: 22 },
+      5: { halign: 'right', cellWidth: 24 }
+    }
+  });
+
+  yPosition = doc.lastAutoTable.finalY + 15;
+
+  // Summary
+  checkPageBreak(40);
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Opening Balance: ${formatBalance(ledger.openingBalance)}`, 20, yPosition);
+  doc.text(`Sheets Charged: ${ledger.totalCharges.toFixed(2)}`, pageWidth / 2, yPosition);
+  yPosition += 6;
+  doc.text(`Payments Received: ${ledger.totalPayments.toFixed(2)}`, pageWidth / 2, yPosition);
+  yPosition += 10;
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.text(ledger.closingBalance < 0
+    ? `Advance Held: ${Math.abs(ledger.closingBalance).toFixed(2)}`
+    : `Amount Due: ${ledger.closingBalance.toFixed(2)}`, 20, yPosition);
+
+  // Footer, at the bottom of the last page
+  yPosition = pageHeight - 20;
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'normal');
+  doc.text('This statement is computer generated. Please report any discrepancy within 15 days.', 20, yPosition);
+  yPosition += 4;
+  doc.text(`Generated on: ${new Date().toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })}`, 20, yPosition);
+
+  return Buffer.from(doc.output('arraybuffer'));
+};
+
+module.exports = {
+  renderCustomerStatementPdf
+};
@@ -0,0 +1,275 @@
+/**
+ * Measurement sheet PDF rendering on the server
+ * Same layout as exportService.generatePDF in the React app: company header, customer
+ * block, slab table, per-slab calculations and totals. Uses jsPDF's Node build, so no
+ * browser is involved and scripts can fetch PDFs straight from the API
+ */
+
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+const { calculateSheetTotals } = require('../../src/shared/pricing');
+const { formatDimension } = require('../../src/shared/dimensions');
+const { CALCULATION_MODES } = require('../../src/shared/calculationRules');
+
+/**
+ * Format an amount with 2 decimals, or '-' when unpriced
+ */
+const formatAmount = (amount) => {
+  if (amount === null || amount === undefined || amount === '') {
+    return '-';
+  }
+
+  return (parseFloat(amount) || 0).toFixed(2);
+};
+
+/**
+ * Render a measurement sheet as a PDF
+ * @param {Object} measurementSheet - { measurementSheetNumber, createdAt, customerTypeLabel, displayUnit, calculationMode, customer, slabEntries }
+ *   with customer as { name, phoneNumber, email, address } and numeric slab entry fields in inches.
+ *   Dimensions are printed as entered when the entry kept its text, otherwise in the party's display unit.
+ *   Metric sheets get a square metre column and total next to the square feet
+ * @param {Object} company - { name, address, phone, email } from config/company
+ * @returns {Buffer} - PDF file contents
+ */
+const renderMeasurementSheetPdf = (measurementSheet, company) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.width;
+  const pageHeight = doc.internal.pageSize.height;
+  const customer = measurementSheet.customer || {};
+  const slabEntries = measurementSheet.slabEntries || [];
+  const formatSize = (inches) => formatDimension(inches, measurementSheet.displayUnit);
+  const isMetric = measurementSheet.calculationMode === CALCULATION_MODES.METRIC;
+  const formatSquareMetres = (value) => (value === null || value === undefined ? '-' : parseFloat(value).toFixed(3));
+  let yPosition = 20;
+
+  // Start a new page when the next block would run into the bottom margin
+  const checkPageBreak = (requiredHeight) => {
+    if (yPosition + requiredHeight > pageHeight - 20) {
+      doc.addPage();
+      yPosition = 20;
+    }
+  };
+
+  // Company header
+  doc.setFontSize(18);
+  doc.setFont('helvetica', 'bold');
+  doc.text(company.name, 20, yPosition);
+
+  yPosition += 8;
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(company.address, 20, yPosition);
+
+  const contact = [
+    company.phone ? `Phone: ${company.phone}` : null,
+    company.email ? `Email: ${company.email}` : null
+  ].filter(Boolean).join(' | ');
+  yPosition += 5;
+  if (contact) {
+    doc.text(contact, 20, yPosition);
+  }
+
+  // Document title and sheet number
+  doc.setFontSize(16);
+  doc.setFont('helvetica', 'bold');
+  doc.text('MEASUREMENT SHEET', pageWidth - 20, 20, { align: 'right' });
+
+  doc.setFontSize(12);
+  doc.text(`#${measurementSheet.measurementSheetNumber}`, pageWidth - 20, 30, { align: 'right' });
+
+  yPosition += 15;
+  doc.setLineWidth(0.5);
+  doc.line(20, yPosition, pageWidth - 20, yPosition);
+  yPosition += 10;
+
+  // Customer information
+  checkPageBreak(40);
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Customer Information', 20, yPosition);
+  yPosition += 8;
+
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+
+  const customerInfo = [
+    [`Name: ${customer.name || 'N/A'}`, `Phone: ${customer.phoneNumber || 'N/A'}`],
+    [`Email: ${customer.email || 'N/A'}`, `Type: ${measurementSheet.customerTypeLabel}`],
+    [`Address: ${customer.address || 'N/A'}`, `Date: ${new Date(measurementSheet.createdAt).toLocaleDateString()}`]
+  ];
+
+  customerInfo.forEach(([left, right]) => {
+    doc.text(left, 20, yPosition);
+    doc.text(right, pageWidth / 2 + 10, yPosition);
+    yPosition += 6;
+  });
+
+  yPosition += 10;
+
+  const { totalSquareFeet, totalSquareMetres, totalAmount, unpricedCount } = calculateSheetTotals(slabEntries);
+
+  if (slabEntries.length > 0) {
+    // Slab entries table
+    checkPageBreak(60);
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Slab Entries', 20, yPosition);
+    yPosition += 10;
+
+    const head = ['S.No', 'Block No', 'Length', 'Breadth', 'Category', 'Final L', 'Final B', 'Sq Ft', 'Rate', 'Amount'];
+    const body = slabEntries.map(entry => [
+      String(entry.serialNumber),
+      entry.material ? `${entry.blockNumber}\n${entry.material}` : entry.blockNumber,
+      entry.lengthInput || formatSize(entry.length),
+      entry.breadthInput || formatSize(entry.breadth),
+      entry.slabCategory,
+      formatSize(entry.finalLength),
+      formatSize(entry.finalBreadth),
+      entry.squareFeet.toFixed(2),
+      formatAmount(entry.rate),
+      formatAmount(entry.amount)
+    ]);
+    const foot = ['', '', '', '', '', '', 'Total:', totalSquareFeet.toFixed(2), '', formatAmount(totalAmount)];
+    // Block takes whatever the fixed columns leave of the width between the page margins
+    const columnWidths = [12, 'auto', 16, 16, 16, 16, 16, 18, 16, 22];
+    const columnAlignments = ['center', 'center', 'center', 'center', 'center', 'center', 'center', 'right', 'right', 'right'];
+
+    // Square metres go after square feet; the other columns narrow to keep the table on the page
+    if (isMetric) {
+      head.splice(8, 0, 'Sq M');
+      body.forEach((row, index) => row.splice(8, 0, formatSquareMetres(slabEntries[index].squareMetres)));
+      foot.splice(8, 0, totalSquareMetres.toFixed(3));
+      columnWidths.splice(0, columnWidths.length, 10, 'auto', 15, 15, 13, 15, 15, 16, 16, 15, 20);
+      columnAlignments.splice(8, 0, 'right');
+    }
+
+    autoTable(doc, {
+      startY: yPosition,
+      head: [head],
+      body,
+      foot: [foot],
+      theme: 'grid',
+      margin: { left: 20, right: 20 },
+      styles: {
+        fontSize: 9,
+        cellPadding: 2
+      },
+      headStyles: {
+        fillColor: [240, 240, 240],
+        textColor: [0, 0, 0],
+        fontStyle: 'bold'
+      },
+      footStyles: {
+        fillColor: [230, 230, 230],
+        textColor: [0, 0, 0],
+        fontStyle: 'bold'
+      },
+      columnStyles: columnWidths.reduce((styles, cellWidth, index) => {
+        styles[index] = { halign: columnAlignments[index], cellWidth };
+        return styles;
+      }, {})
+    });
+
+    yPosition = doc.lastAutoTable.finalY + 15;
+
+    // Individual calculations
+    checkPageBreak(80);
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Individual Slab Calculations', 20, yPosition);
+    yPosition += 10;
+
+    doc.setFontSize(9);
+
+    slabEntries.forEach(entry => {
+      checkPageBreak(25);
+
+      doc.setFont('helvetica', 'bold');
+      doc.text(`Slab #${entry.serialNumber} (${entry.slabCategory})`, 20, yPosition);
+      yPosition += 5;
+
+      doc.setFont('helvetica', 'normal');
+      doc.text(`Block: ${entry.blockNumber}`, 25, yPosition);
+      yPosition += 4;
+      doc.text(`Original: ${entry.lengthInput || formatSize(entry.length)} × ${entry.breadthInput || formatSize(entry.breadth)}`, 25, yPosition);
+      yPosition += 4;
+      doc.text(`Final: ${formatSize(entry.finalLength)} × ${formatSize(entry.finalBreadth)}`, 25, yPosition);
+      yPosition += 4;
+      doc.text(`Calculation: ${entry.calculationDetails || '-'}`, 25, yPosition);
+      yPosition += 4;
+      doc.setFont('helvetica', 'bold');
+      doc.text(isMetric
+        ? `Result: ${entry.squareFeet.toFixed(2)} sq ft (${formatSquareMetres(entry.squareMetres)} m²)`
+        : `Result: ${entry.squareFeet.toFixed(2)} sq ft`, 25, yPosition);
+      if (entry.amount !== null && entry.amount !== undefined) {
+        doc.text(`Amount: ${formatAmount(entry.amount)} @ ${formatAmount(entry.rate)}/sq ft`, pageWidth / 2, yPosition);
+      }
+      yPosition += 8;
+    });
+  }
+
+  // Summary
+  checkPageBreak(30);
+  yPosition += 5;
+  doc.setFont('helvetica', 'normal');
+  doc.setLineWidth(0.5);
+  doc.line(20, yPosition, pageWidth - 20, yPosition);
+  yPosition += 10;
+
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Summary', 20, yPosition);
+  yPosition += 8;
+
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Total Slabs: ${slabEntries.length}`, 20, yPosition);
+  doc.text(`Customer Type: ${measurementSheet.customerTypeLabel}`, pageWidth / 2, yPosition);
+  yPosition += 8;
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.text(`Total Square Feet: ${totalSquareFeet.toFixed(2)} sq ft`, 20, yPosition);
+
+  if (isMetric) {
+    yPosition += 7;
+    doc.text(`Total Square Metres: ${totalSquareMetres.toFixed(3)} m²`, 20, yPosition);
+  }
+
+  if (slabEntries.length > unpricedCount) {
+    doc.text(`Grand Total: ${formatAmount(totalAmount)}`, pageWidth / 2, yPosition);
+
+    if (unpricedCount > 0) {
+      yPosition += 6;
+      doc.setFontSize(8);
+      doc.setFont('helvetica', 'italic');
+      doc.text(`${unpricedCount} slab(s) have no applicable rate and are not included in the grand total.`, 20, yPosition);
+    }
+  }
+
+  // Footer, at the bottom of the last page
+  checkPageBreak(40);
+  yPosition = pageHeight - 40;
+  doc.setFontSize(9);
+  doc.setFont('helvetica', 'normal');
+  doc.text('Customer Signature: ________________________', 20, yPosition);
+  doc.text('Authorized Signature: ________________________', pageWidth / 2 + 10, yPosition);
+
+  yPosition += 10;
+  doc.setFontSize(8);
+  doc.text('This measurement sheet is computer generated and does not require a signature for validity.', 20, yPosition);
+  yPosition += 4;
+  doc.text(`Generated on: ${new Date().toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })}`, 20, yPosition);
+
+  return Buffer.from(doc.output('arraybuffer'));
+};
+
+module.exports = {
+  renderMeasurementSheetPdf
+};
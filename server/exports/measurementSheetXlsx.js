@@ -0,0 +1,208 @@
+/**
+ * Measurement sheet XLSX workbooks
+ * A summary worksheet listing every sheet, then one worksheet per measurement sheet
+ * with its slab entries, a formula total row and per-category subtotals
+ */
+
+const { createWorkbook, cellRef } = require('./xlsx');
+const { roundAmount, toDateKey } = require('../../src/shared/pricing');
+const { CALCULATION_MODES } = require('../../src/shared/calculationRules');
+
+const SLAB_COLUMNS = ['S.No', 'Block No', 'Material', 'Length', 'Breadth', 'Category', 'Final L', 'Final B', 'Sq Ft', 'Rate', 'Amount'];
+const CATEGORY_COLUMN = 5;
+const SQUARE_FEET_COLUMN = 8;
+const AMOUNT_COLUMN = 10;
+
+// Metric sheets add square metres after the amount so the other columns keep their place.
+// Square metres carry three decimals, so they are left out of the two-decimal number style
+const SQUARE_METRES_COLUMN = 11;
+
+// Slab categories in the order they are listed in subtotals
+const CATEGORY_ORDER = ['F', 'LD', 'D', 'S'];
+
+const header = (labels) => labels.map(label => ({ value: label, style: 'header' }));
+
+const number = (value) => ({ value: value === null || value === undefined ? null : value, style: 'number' });
+
+const isMetric = (sheet) => sheet.calculationMode === CALCULATION_MODES.METRIC;
+
+/**
+ * Total cell summing a column of data rows, or a plain 0 when there are none so the
+ * formula never takes in its own cell
+ */
+const sumCell = (range, hasRows, value, style) => (hasRows
+  ? { formula: `SUM(${range})`, value, style }
+  : { value: 0, style });
+
+const sumSquareMetres = (entries) => Math.round(entries.reduce((sum, entry) => sum + (entry.squareMetres || 0), 0) * 1000) / 1000;
+
+/**
+ * Sum square feet and amount per slab category, in CATEGORY_ORDER then any others
+ */
+const subtotalByCategory = (entries) => {
+  const totals = {};
+  entries.forEach(entry => {
+    const category = entry.slabCategory;
+    if (!totals[category]) {
+      totals[category] = { category, slabs: 0, squareFeet: 0, amount: 0 };
+    }
+    totals[category].slabs++;
+    totals[category].squareFeet = roundAmount(totals[category].squareFeet + (entry.squareFeet || 0));
+    totals[category].amount = roundAmount(totals[category].amount + (entry.amount || 0));
+  });
+
+  const known = CATEGORY_ORDER.filter(category => totals[category]);
+  const others = Object.keys(totals).filter(category => CATEGORY_ORDER.indexOf(category) === -1).sort();
+  return known.concat(others).map(category => totals[category]);
+};
+
+/**
+ * Worksheet for one measurement sheet
+ */
+const buildSheetWorksheet = (sheet) => {
+  const entries = sheet.slabEntries || [];
+  const rows = [
+    [{ value: `Measurement Sheet ${sheet.measurementSheetNumber}`, style: 'title' }],
+    [{ value: 'Customer', style: 'bold' }, sheet.customer.name],
+    [{ value: 'Phone', style: 'bold' }, sheet.customer.phoneNumber],
+    [{ value: 'Customer Type', style: 'bold' }, sheet.customerTypeLabel],
+    [{ value: 'Date', style: 'bold' }, toDateKey(sheet.createdAt)],
+    [{ value: 'Status', style: 'bold' }, sheet.status],
+    [],
+    header(isMetric(sheet) ? SLAB_COLUMNS.concat('Sq M') : SLAB_COLUMNS)
+  ];
+
+  const firstRow = rows.length + 1;
+  entries.forEach(entry => {
+    const row = [
+      entry.serialNumber,
+      entry.blockNumber,
+      entry.material,
+      entry.length,
+      entry.breadth,
+      entry.slabCategory,
+      entry.finalLength,
+      entry.finalBreadth,
+      number(entry.squareFeet),
+      number(entry.rate),
+      number(entry.amount)
+    ];
+    if (isMetric(sheet)) {
+      row[SQUARE_METRES_COLUMN] = entry.squareMetres;
+    }
+    rows.push(row);
+  });
+  const lastRow = rows.length;
+  const hasRows = lastRow >= firstRow;
+
+  const range = (column) => `${cellRef(column, firstRow)}:${cellRef(column, lastRow)}`;
+  const totalSquareFeet = roundAmount(entries.reduce((sum, entry) => sum + (entry.squareFeet || 0), 0));
+  const totalAmount = roundAmount(entries.reduce((sum, entry) => sum + (entry.amount || 0), 0));
+
+  const totalRow = [{ value: 'Total', style: 'bold' }];
+  totalRow[SQUARE_FEET_COLUMN] = sumCell(range(SQUARE_FEET_COLUMN), hasRows, totalSquareFeet, 'boldNumber');
+  totalRow[AMOUNT_COLUMN] = sumCell(range(AMOUNT_COLUMN), hasRows, totalAmount, 'boldNumber');
+  if (isMetric(sheet)) {
+    totalRow[SQUARE_METRES_COLUMN] = sumCell(range(SQUARE_METRES_COLUMN), hasRows, sumSquareMetres(entries), 'bold');
+  }
+  rows.push(totalRow);
+
+  rows.push([]);
+  rows.push([{ value: 'Category Subtotals', style: 'bold' }]);
+  rows.push(header(['Category', 'Slabs', 'Sq Ft', 'Amount']));
+
+  subtotalByCategory(entries).forEach(subtotal => {
+    const criteria = `"${subtotal.category}"`;
+    rows.push([
+      subtotal.category,
+      { formula: `COUNTIF(${range(CATEGORY_COLUMN)},${criteria})`, value: subtotal.slabs },
+      { formula: `SUMIF(${range(CATEGORY_COLUMN)},${criteria},${range(SQUARE_FEET_COLUMN)})`, value: subtotal.squareFeet, style: 'number' },
+      { formula: `SUMIF(${range(CATEGORY_COLUMN)},${criteria},${range(AMOUNT_COLUMN)})`, value: subtotal.amount, style: 'number' }
+    ]);
+  });
+
+  return {
+    name: sheet.measurementSheetNumber,
+    columns: [8, 14, 18, 10, 10, 10, 10, 10, 12, 10, 14, 12],
+    rows
+  };
+};
+
+/**
+ * Summary worksheet listing every measurement sheet in the workbook
+ */
+const buildSummaryWorksheet = (sheets, company, filterDescription) => {
+  const hasMetric = sheets.some(isMetric);
+  const columns = ['Sheet No', 'Date', 'Customer', 'Customer Type', 'Status', 'Slabs', 'Sq Ft', 'Amount'];
+  const rows = [
+    [{ value: `${company.name} - Measurement Sheets`, style: 'title' }],
+    [{ value: 'Generated', style: 'bold' }, toDateKey(new Date())],
+    [{ value: 'Filters', style: 'bold' }, filterDescription || 'None'],
+    [],
+    header(hasMetric ? columns.concat('Sq M') : columns)
+  ];
+
+  const firstRow = rows.length + 1;
+  sheets.forEach(sheet => {
+    const entries = sheet.slabEntries || [];
+    const row = [
+      sheet.measurementSheetNumber,
+      toDateKey(sheet.createdAt),
+      sheet.customer.name,
+      sheet.customerTypeLabel,
+      sheet.status,
+      entries.length,
+      number(roundAmount(entries.reduce((sum, entry) => sum + (entry.squareFeet || 0), 0))),
+      number(roundAmount(entries.reduce((sum, entry) => sum + (entry.amount || 0), 0)))
+    ];
+    if (hasMetric) {
+      row.push(isMetric(sheet) ? sumSquareMetres(entries) : null);
+    }
+    rows.push(row);
+  });
+  const lastRow = rows.length;
+  const hasRows = lastRow >= firstRow;
+
+  const allEntries = sheets.reduce((all, sheet) => all.concat(sheet.slabEntries || []), []);
+  const range = (column) => `${cellRef(column, firstRow)}:${cellRef(column, lastRow)}`;
+
+  const totalRow = [
+    { value: 'Total', style: 'bold' }, null, null, null, null,
+    sumCell(range(5), hasRows, allEntries.length, 'bold'),
+    sumCell(range(6), hasRows, roundAmount(allEntries.reduce((sum, entry) => sum + (entry.squareFeet || 0), 0)), 'boldNumber'),
+    sumCell(range(7), hasRows, roundAmount(allEntries.reduce((sum, entry) => sum + (entry.amount || 0), 0)), 'boldNumber')
+  ];
+  if (hasMetric) {
+    totalRow.push(sumCell(range(8), hasRows, sumSquareMetres(allEntries), 'bold'));
+  }
+  rows.push(totalRow);
+
+  rows.push([]);
+  rows.push([{ value: 'Category Subtotals', style: 'bold' }]);
+  rows.push(header(['Category', 'Slabs', 'Sq Ft', 'Amount']));
+  subtotalByCategory(allEntries).forEach(subtotal => {
+    rows.push([subtotal.category, subtotal.slabs, number(subtotal.squareFeet), number(subtotal.amount)]);
+  });
+
+  return {
+    name: 'Summary',
+    columns: [14, 12, 28, 16, 12, 8, 12, 14, 12],
+    rows
+  };
+};
+
+/**
+ * Render measurement sheets as an XLSX workbook
+ * @param {Array<Object>} sheets - Sheets as { measurementSheetNumber, createdAt, status, customerTypeLabel, calculationMode, customer, slabEntries }
+ * @param {Object} company - { name } from config/company
+ * @param {string} filterDescription - How the sheets were selected, shown on the summary
+ * @returns {Buffer} - Workbook file contents
+ */
+const renderMeasurementSheetsXlsx = (sheets, company, filterDescription = '') => {
+  return createWorkbook([buildSummaryWorksheet(sheets, company, filterDescription)]
+    .concat(sheets.map(buildSheetWorksheet)));
+};
+
+module.exports = {
+  renderMeasurementSheetsXlsx
+};
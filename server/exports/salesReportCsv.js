@@ -0,0 +1,58 @@
+/**
+ * Sales report CSV files
+ * One measure of the pivot table, or the wastage table, with a title block in the first rows
+ */
+
+const { REPORT_MEASURE_LABELS, pivotTable, wastageTable } = require('../../src/shared/salesReport');
+const { describeReportQuery } = require('./salesReportXlsx');
+
+/**
+ * Quote a value when it holds a comma, quote or line break
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvValue).join(',');
+
+/**
+ * Render one measure of a sales report as CSV
+ * @param {Object} pivot - From buildPivot
+ * @param {Object} query - Resolved report query
+ * @param {string} measure - One of REPORT_MEASURES
+ * @returns {string}
+ */
+const renderSalesReportCsv = (pivot, query, measure) => {
+  const table = pivotTable(pivot, measure);
+  return [
+    csvRow([`Sales Report (${REPORT_MEASURE_LABELS[measure]})`]),
+    csvRow([describeReportQuery(query)]),
+    '',
+    csvRow(table.header)
+  ].concat(table.body.map(csvRow), csvRow(table.footer)).join('\n') + '\n';
+};
+
+/**
+ * Render a wastage report as CSV
+ * @param {Object} pivot - From buildPivot for a wastage query
+ * @param {Object} query - Resolved wastage query
+ * @returns {string}
+ */
+const renderWastageReportCsv = (pivot, query) => {
+  const table = wastageTable(pivot);
+  return [
+    csvRow(['Yield and Wastage Report']),
+    csvRow([describeReportQuery(query)]),
+    '',
+    csvRow(table.header)
+  ].concat(table.body.map(csvRow), csvRow(table.footer)).join('\n') + '\n';
+};
+
+module.exports = {
+  renderSalesReportCsv,
+  renderWastageReportCsv
+};
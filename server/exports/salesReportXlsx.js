@@ -0,0 +1,113 @@
+/**
+ * Sales report XLSX workbooks
+ * One worksheet per measure (square feet, slabs, amount), each laid out as the pivot
+ * table the reports page shows, with column and grand totals. The wastage report is a
+ * single worksheet of gross, billed and deducted area per row
+ */
+
+const { createWorkbook } = require('./xlsx');
+const {
+  REPORT_MEASURES,
+  REPORT_MEASURE_LABELS,
+  REPORT_DIMENSION_LABELS,
+  SALES_MEASURES,
+  WASTAGE_MEASURES,
+  pivotTable,
+  wastageTable
+} = require('../../src/shared/salesReport');
+
+const header = (labels) => labels.map(label => ({ value: label, style: 'header' }));
+
+/**
+ * How a report was run, as one line for its title block
+ * @param {Object} query - Resolved report query
+ * @returns {string}
+ */
+const describeReportQuery = (query) => {
+  const grouping = query.rows.map(dimension => REPORT_DIMENSION_LABELS[dimension]).join(', ') +
+    (query.columns ? ` by ${REPORT_DIMENSION_LABELS[query.columns]}` : '');
+  const filters = [
+    query.customerType ? `customer type ${query.customerType}` : null,
+    query.slabCategory ? `category ${query.slabCategory}` : null,
+    query.blockNumber ? `block ${query.blockNumber}` : null,
+    query.customerId ? `customer ${query.customerId}` : null
+  ].filter(Boolean);
+
+  return `${query.from} to ${query.to}, ${grouping}, per ${query.interval}` +
+    (filters.length > 0 ? `; ${filters.join(', ')}` : '');
+};
+
+const buildMeasureWorksheet = (pivot, query, company, measure) => {
+  const table = pivotTable(pivot, measure);
+  const style = measure === REPORT_MEASURES.SLABS ? 'default' : 'number';
+  const valueStyle = (value, index) => (index < pivot.rowDimensions.length || value === null ? value : { value, style });
+
+  const rows = [
+    [{ value: `${company.name} - Sales Report (${REPORT_MEASURE_LABELS[measure]})`, style: 'title' }],
+    [{ value: 'Report', style: 'bold' }, describeReportQuery(query)],
+    [],
+    header(table.header)
+  ];
+  table.body.forEach(row => rows.push(row.map(valueStyle)));
+  rows.push(table.footer.map((value, index) => (index === 0
+    ? { value, style: 'bold' }
+    : { value, style: index < pivot.rowDimensions.length || measure === REPORT_MEASURES.SLABS ? 'bold' : 'boldNumber' })));
+
+  return {
+    name: REPORT_MEASURE_LABELS[measure],
+    columns: pivot.rowDimensions.map(() => 22).concat(pivot.columns.map(() => 12), 14),
+    rows
+  };
+};
+
+/**
+ * Render a sales report as an XLSX workbook
+ * @param {Object} pivot - From buildPivot
+ * @param {Object} query - Resolved report query
+ * @param {Object} company - { name } from config/company
+ * @returns {Buffer} - Workbook file contents
+ */
+const renderSalesReportXlsx = (pivot, query, company) => {
+  return createWorkbook(SALES_MEASURES.map(measure => buildMeasureWorksheet(pivot, query, company, measure)));
+};
+
+/**
+ * Render a wastage report as an XLSX workbook
+ * @param {Object} pivot - From buildPivot for a wastage query
+ * @param {Object} query - Resolved wastage query
+ * @param {Object} company - { name } from config/company
+ * @returns {Buffer} - Workbook file contents
+ */
+const renderWastageReportXlsx = (pivot, query, company) => {
+  const table = wastageTable(pivot);
+  const dimensions = pivot.rowDimensions.length;
+  // Slabs are counts; the area and percentage columns keep two decimals
+  const valueStyle = (value, index, bold) => {
+    if (index < dimensions || value === null) {
+      return bold ? { value, style: 'bold' } : value;
+    }
+    const slabs = WASTAGE_MEASURES[index - dimensions] === REPORT_MEASURES.SLABS;
+    return { value, style: bold ? (slabs ? 'bold' : 'boldNumber') : (slabs ? 'default' : 'number') };
+  };
+
+  const rows = [
+    [{ value: `${company.name} - Yield and Wastage Report`, style: 'title' }],
+    [{ value: 'Report', style: 'bold' }, describeReportQuery(query)],
+    [],
+    header(table.header)
+  ];
+  table.body.forEach(row => rows.push(row.map((value, index) => valueStyle(value, index, false))));
+  rows.push(table.footer.map((value, index) => valueStyle(value, index, true)));
+
+  return createWorkbook([{
+    name: 'Wastage',
+    columns: pivot.rowDimensions.map(() => 22).concat(WASTAGE_MEASURES.map(() => 15)),
+    rows
+  }]);
+};
+
+module.exports = {
+  describeReportQuery,
+  renderSalesReportXlsx,
+  renderWastageReportXlsx
+};
@@ -0,0 +1,187 @@
+/**
+ * Minimal XLSX (Office Open XML) workbook writer
+ * Writes numbers as numeric cells, strings inline and formulas with their cached
+ * value, with a handful of styles. Enough for report exports without a spreadsheet library
+ */
+
+const { createZip } = require('./zip');
+
+// Cell style names, indexes into cellXfs in styles.xml
+const STYLES = {
+  default: 0,
+  bold: 1,
+  number: 2,
+  boldNumber: 3,
+  header: 4,
+  title: 5
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="0.00"/></numFmts>
+<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="14"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFF0F0F0"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters other than tab and newlines are not allowed in XML
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''); // eslint-disable-line no-control-regex
+
+/**
+ * Convert a 0-based column index to its letter ('A', 'B', ... 'AA')
+ */
+const columnLetter = (index) => {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+};
+
+/**
+ * Cell reference for a 0-based column and 1-based row, e.g. cellRef(2, 5) -> 'C5'
+ */
+const cellRef = (columnIndex, rowNumber) => `${columnLetter(columnIndex)}${rowNumber}`;
+
+/**
+ * Make worksheet names valid and unique: at most 31 characters and none of []:*?/\
+ */
+const uniqueSheetNames = (names) => {
+  const used = {};
+  return names.map((name, index) => {
+    const base = String(name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, '-').slice(0, 31) || `Sheet${index + 1}`;
+    let candidate = base;
+    let suffix = 2;
+    while (used[candidate.toLowerCase()]) {
+      const tail = ` (${suffix++})`;
+      candidate = base.slice(0, 31 - tail.length) + tail;
+    }
+    used[candidate.toLowerCase()] = true;
+    return candidate;
+  });
+};
+
+/**
+ * Render one cell. A cell is a number, a string, or { value, formula, style }
+ */
+const renderCell = (cell, ref) => {
+  if (cell === null || cell === undefined || cell === '') {
+    return '';
+  }
+
+  const spec = typeof cell === 'object' ? cell : { value: cell };
+  const style = STYLES[spec.style] || 0;
+  const styleAttr = style ? ` s="${style}"` : '';
+  const value = spec.value;
+
+  if (spec.formula) {
+    const cached = typeof value === 'number' && isFinite(value) ? `<v>${value}</v>` : '';
+    return `<c r="${ref}"${styleAttr}><f>${escapeXml(spec.formula)}</f>${cached}</c>`;
+  }
+
+  if (typeof value === 'number') {
+    return isFinite(value) ? `<c r="${ref}"${styleAttr}><v>${value}</v></c>` : '';
+  }
+
+  if (value === null || value === undefined || value === '') {
+    return style ? `<c r="${ref}"${styleAttr}/>` : '';
+  }
+
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const renderWorksheet = (worksheet) => {
+  const columns = (worksheet.columns || [])
+    .map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`)
+    .join('');
+
+  const rows = (worksheet.rows || []).map((row, rowIndex) => {
+    const rowNumber = rowIndex + 1;
+    const cells = (row || []).map((cell, columnIndex) => renderCell(cell, cellRef(columnIndex, rowNumber))).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    (columns ? `<cols>${columns}</cols>` : '') +
+    `<sheetData>${rows}</sheetData>` +
+    '</worksheet>';
+};
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<Object>} worksheets - Worksheets as { name, columns: [widths], rows: [[cells]] }
+ * @returns {Buffer} - Workbook file contents
+ */
+const createWorkbook = (worksheets) => {
+  const names = uniqueSheetNames(worksheets.map(worksheet => worksheet.name));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    worksheets.map((worksheet, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('') +
+    '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets>' +
+    names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+    '</sheets>' +
+    // Ask spreadsheet apps to recalculate formulas when the file is opened
+    '<calcPr calcId="0" fullCalcOnLoad="1"/>' +
+    '</workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    worksheets.map((worksheet, index) =>
+      `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('') +
+    `<Relationship Id="rId${worksheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: STYLES_XML }
+  ].concat(worksheets.map((worksheet, index) => ({
+    name: `xl/worksheets/sheet${index + 1}.xml`,
+    content: renderWorksheet(worksheet)
+  }))));
+};
+
+module.exports = {
+  createWorkbook,
+  cellRef,
+  columnLetter,
+  uniqueSheetNames
+};
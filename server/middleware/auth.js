@@ -0,0 +1,125 @@
+/**
+ * Authentication middleware
+ * Access tokens are HS256 signed JWTs carrying the user ID. Every request re-reads the user
+ * so deactivating an account takes effect straight away rather than when its token expires
+ */
+
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const User = require('../models/User');
+const { hasPermission } = require('../../src/shared/permissions');
+
+const TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (content) => crypto.createHmac('sha256', authConfig.tokenSecret).update(content).digest('base64url');
+
+/**
+ * Issue an access token for a signed in user
+ * @returns {Object} - { token, expiresAt }
+ */
+const issueToken = (user) => {
+  if (!authConfig.tokenSecret) {
+    throw new Error('AUTH_TOKEN_SECRET is not configured');
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + authConfig.tokenTtlHours * 3600;
+  const content = `${base64url(JSON.stringify(TOKEN_HEADER))}.${base64url(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    iat: issuedAt,
+    exp: expiresAt
+  }))}`;
+
+  return {
+    token: `${content}.${sign(content)}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+};
+
+/**
+ * Check a token's signature and expiry
+ * @returns {Object|null} - The token payload, or null when the token is invalid or expired
+ */
+const verifyToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !authConfig.tokenSecret) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const supplied = Buffer.from(parts[2]);
+  if (expected.length !== supplied.length || !crypto.timingSafeEqual(expected, supplied)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (!payload.sub || !(payload.exp > Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Require a valid bearer token; the signed in user is available as req.user
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Sign in to use the API'
+      });
+    }
+
+    const payload = verifyToken(token);
+    const user = payload ? await User.findById(payload.sub) : null;
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid or expired token',
+        message: 'Sign in again to continue'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require the signed in user's role to grant a permission
+ * Runs after requireAuth; the permissions are listed in src/shared/permissions.js
+ * @param {string} permission - One of PERMISSIONS
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: `Your role (${req.user ? req.user.role : 'none'}) does not allow ${permission}`,
+        permission
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  requireAuth,
+  requirePermission
+};
@@ -0,0 +1,67 @@
+/**
+ * Measurement sheet lock middleware
+ * A sheet with an issued invoice is locked: its header and slab entries cannot be
+ * changed, nor the sheet amended, until the invoice is cancelled. Sheets past draft
+ * are refused by the models themselves (see MeasurementSheet.lockForEdit)
+ */
+
+const pool = require('../config/database');
+const Invoice = require('../models/Invoice');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Refuse the request when the measurement sheet it changes has an issued invoice
+ * @param {Function} getMeasurementSheetId - Async (req) => measurement sheet ID, or null when unknown
+ */
+const requireUnlockedSheet = (getMeasurementSheetId) => {
+  return async (req, res, next) => {
+    try {
+      const measurementSheetId = await getMeasurementSheetId(req);
+
+      // Missing, malformed or unknown IDs are left to the controller's validation and 404 handling
+      if (!measurementSheetId || !UUID_PATTERN.test(measurementSheetId)) {
+        return next();
+      }
+
+      const invoice = await Invoice.findIssuedBySheetId(measurementSheetId);
+      if (invoice) {
+        return res.status(409).json({
+          error: 'Measurement sheet is locked',
+          message: `Measurement sheet ${invoice.measurementSheetNumber} has been invoiced as ${invoice.invoiceNumber}. Cancel the invoice to change it.`,
+          invoiceId: invoice.id,
+          invoiceNumber: invoice.invoiceNumber
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Sheet ID from the route's :id parameter
+ */
+const sheetIdFromParams = (req) => req.params.id;
+
+/**
+ * Sheet ID from the request body
+ */
+const sheetIdFromBody = (req) => (req.body ? req.body.measurementSheetId : null);
+
+/**
+ * Sheet ID of the slab entry in the route's :id parameter
+ */
+const sheetIdFromSlabEntry = async (req) => {
+  const result = await pool.query('SELECT measurement_sheet_id FROM slab_entries WHERE id = $1', [req.params.id]);
+  return result.rows.length > 0 ? result.rows[0].measurement_sheet_id : null;
+};
+
+module.exports = {
+  requireUnlockedSheet,
+  sheetIdFromParams,
+  sheetIdFromBody,
+  sheetIdFromSlabEntry
+};
@@ -2,6 +2,8 @@
  * Validation middleware for API endpoints
  */
 
+const { parseDimension, dimensionInputText } = require('../../src/shared/dimensions');
+
 /**
  * Validate UUID format
  */
@@ -93,9 +95,9 @@ const validateMeasurementSheetData = (req, res, next) => {
     errors.push('Customer ID is required');
   }
   
-  const validCustomerTypes = ['Retail', 'Granite Shops', 'Builders', 'Outstation Parties', 'Exporters'];
-  if (!customerType || !validCustomerTypes.includes(customerType)) {
-    errors.push(`Customer type must be one of: ${validCustomerTypes.join(', ')}`);
+  // The customer type is resolved against the registry (key or label) by the controller
+  if (!customerType || typeof customerType !== 'string' || customerType.trim().length === 0) {
+    errors.push('Customer type is required');
   }
   
   if (errors.length > 0) {
@@ -108,6 +110,31 @@ const validateMeasurementSheetData = (req, res, next) => {
   next();
 };
 
+/**
+ * Check a slab dimension entered as inches, a fraction, feet and inches or cm/mm
+ * @returns {string|null} - Field error, or null when the dimension is valid
+ */
+const dimensionFieldError = (value) => {
+  if (value === null || value === undefined) {
+    return 'Required';
+  }
+  const dimension = parseDimension(value);
+  if (!dimension) {
+    return 'Invalid number';
+  }
+  if (dimension.inches <= 0) {
+    return 'Must be positive';
+  }
+  return dimension.inches > 10000 ? 'Too large' : null;
+};
+
+const DIMENSION_ERROR_MESSAGES = {
+  'Required': 'is required',
+  'Invalid number': 'must be a valid number, fraction, feet and inches or cm/mm',
+  'Must be positive': 'must be greater than 0',
+  'Too large': 'cannot exceed 10,000 inches'
+};
+
 /**
  * Validate slab entry data
  */
@@ -131,30 +158,14 @@ const validateSlabEntryData = (req, res, next) => {
     errors.push('Block number must be less than 50 characters');
   }
   
-  if (length === null || length === undefined) {
-    errors.push('Length is required');
-  } else {
-    const numLength = parseFloat(length);
-    if (isNaN(numLength)) {
-      errors.push('Length must be a valid number');
-    } else if (numLength <= 0) {
-      errors.push('Length must be greater than 0');
-    } else if (numLength > 10000) {
-      errors.push('Length cannot exceed 10,000 inches');
-    }
+  const lengthError = dimensionFieldError(length);
+  if (lengthError) {
+    errors.push(`Length ${DIMENSION_ERROR_MESSAGES[lengthError]}`);
   }
   
-  if (breadth === null || breadth === undefined) {
-    errors.push('Breadth is required');
-  } else {
-    const numBreadth = parseFloat(breadth);
-    if (isNaN(numBreadth)) {
-      errors.push('Breadth must be a valid number');
-    } else if (numBreadth <= 0) {
-      errors.push('Breadth must be greater than 0');
-    } else if (numBreadth > 10000) {
-      errors.push('Breadth cannot exceed 10,000 inches');
-    }
+  const breadthError = dimensionFieldError(breadth);
+  if (breadthError) {
+    errors.push(`Breadth ${DIMENSION_ERROR_MESSAGES[breadthError]}`);
   }
   
   const validCategories = ['F', 'LD', 'D', 'S'];
@@ -170,14 +181,8 @@ const validateSlabEntryData = (req, res, next) => {
         measurementSheetId: !measurementSheetId ? 'Required' : null,
         blockNumber: !blockNumber || blockNumber.trim().length === 0 ? 'Required' : 
                     blockNumber.trim().length > 50 ? 'Too long' : null,
-        length: length === null || length === undefined ? 'Required' : 
-               isNaN(parseFloat(length)) ? 'Invalid number' :
-               parseFloat(length) <= 0 ? 'Must be positive' :
-               parseFloat(length) > 10000 ? 'Too large' : null,
-        breadth: breadth === null || breadth === undefined ? 'Required' : 
-                isNaN(parseFloat(breadth)) ? 'Invalid number' :
-                parseFloat(breadth) <= 0 ? 'Must be positive' :
-                parseFloat(breadth) > 10000 ? 'Too large' : null,
+        length: lengthError,
+        breadth: breadthError,
         slabCategory: !slabCategory || !validCategories.includes(slabCategory) ? 'Invalid category' : null
       }
     });
@@ -185,8 +190,11 @@ const validateSlabEntryData = (req, res, next) => {
   
   // Sanitize and convert data
   req.body.blockNumber = blockNumber.trim();
-  req.body.length = parseFloat(length);
-  req.body.breadth = parseFloat(breadth);
+  // Dimensions become inches; text such as "72 1/2" is kept as entered for display
+  req.body.lengthInput = req.body.lengthInput || dimensionInputText(length);
+  req.body.breadthInput = req.body.breadthInput || dimensionInputText(breadth);
+  req.body.length = parseDimension(length).inches;
+  req.body.breadth = parseDimension(breadth).inches;
   
   next();
 };
@@ -0,0 +1,195 @@
+/**
+ * AuditLog Model
+ * Append-only history of changes to measurement sheets and slab entries: who changed
+ * which field, from what, to what, and when. One row is written per changed field.
+ *
+ * The record methods take the caller's `client` so the history commits or rolls back
+ * together with the change it describes
+ */
+
+const pool = require('../config/database');
+
+const ENTITY_TYPES = {
+  MEASUREMENT_SHEET: 'measurement_sheet',
+  SLAB_ENTRY: 'slab_entry'
+};
+
+const ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+// Columns compared on update, with the field name recorded for each
+const AUDITED_FIELDS = {
+  measurement_sheet: [
+    ['status', 'status']
+  ],
+  slab_entry: [
+    ['block_number', 'blockNumber'],
+    ['slab_id', 'slabId'],
+    ['material', 'material'],
+    ['length', 'length'],
+    ['breadth', 'breadth'],
+    ['length_input', 'lengthInput'],
+    ['breadth_input', 'breadthInput'],
+    ['slab_category', 'slabCategory'],
+    ['final_length', 'finalLength'],
+    ['final_breadth', 'finalBreadth'],
+    ['square_feet', 'squareFeet'],
+    ['square_metres', 'squareMetres'],
+    ['rate', 'rate'],
+    ['amount', 'amount']
+  ]
+};
+
+/**
+ * Store values as text so numbers, dates and strings read the same in the history
+ */
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value);
+};
+
+/**
+ * Work out which sheet a row belongs to and how to name it in the history
+ */
+const describeRow = (entityType, row) => {
+  if (entityType === ENTITY_TYPES.SLAB_ENTRY) {
+    return {
+      entityType,
+      entityId: row.id,
+      measurementSheetId: row.measurement_sheet_id,
+      entityLabel: `Slab ${row.serial_number}`
+    };
+  }
+
+  return {
+    entityType,
+    entityId: row.id,
+    measurementSheetId: row.id,
+    entityLabel: row.measurement_sheet_number
+  };
+};
+
+/**
+ * Summarize a created or deleted row in one line
+ */
+const summarizeRow = (entityType, row) => {
+  if (entityType === ENTITY_TYPES.SLAB_ENTRY) {
+    return `${row.block_number} ${row.length} x ${row.breadth} ${row.slab_category}`;
+  }
+  return row.status;
+};
+
+class AuditEntry {
+  constructor(data) {
+    this.id = data.id;
+    this.entityType = data.entity_type;
+    this.entityId = data.entity_id;
+    this.measurementSheetId = data.measurement_sheet_id;
+    this.entityLabel = data.entity_label;
+    this.action = data.action;
+    this.field = data.field;
+    this.oldValue = data.old_value;
+    this.newValue = data.new_value;
+    this.userId = data.user_id;
+    this.username = data.username;
+    this.createdAt = data.created_at;
+  }
+}
+
+class AuditLog {
+  /**
+   * Append one row to the log
+   * @param {Object} client - Client of the transaction making the change
+   * @param {Object} entry - { entityType, entityId, measurementSheetId, entityLabel, action, field, oldValue, newValue }
+   * @param {Object} user - Signed in user making the change; null for scripts
+   */
+  static async record(client, entry, user) {
+    await client.query(
+      `INSERT INTO audit_log (
+        entity_type, entity_id, measurement_sheet_id, entity_label, action, field, old_value, new_value, user_id, username
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        entry.entityType, entry.entityId, entry.measurementSheetId, entry.entityLabel || null, entry.action,
+        entry.field || null, toText(entry.oldValue), toText(entry.newValue),
+        user ? user.id : null, user ? user.username : null
+      ]
+    );
+  }
+
+  /**
+   * Record a newly inserted row
+   */
+  static async recordCreate(client, entityType, row, user) {
+    await AuditLog.record(client, {
+      ...describeRow(entityType, row),
+      action: ACTIONS.CREATE,
+      newValue: summarizeRow(entityType, row)
+    }, user);
+  }
+
+  /**
+   * Record each audited field that differs between the row before and after an update
+   * @returns {Promise<number>} Number of changed fields recorded
+   */
+  static async recordChanges(client, entityType, before, after, user) {
+    const target = describeRow(entityType, after);
+    let recorded = 0;
+
+    for (const [column, field] of AUDITED_FIELDS[entityType]) {
+      const oldValue = toText(before[column]);
+      const newValue = toText(after[column]);
+      if (oldValue !== newValue) {
+        await AuditLog.record(client, { ...target, action: ACTIONS.UPDATE, field, oldValue, newValue }, user);
+        recorded++;
+      }
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Record a deleted row, keeping a summary of what it held
+   */
+  static async recordDelete(client, entityType, row, user) {
+    await AuditLog.record(client, {
+      ...describeRow(entityType, row),
+      action: ACTIONS.DELETE,
+      oldValue: summarizeRow(entityType, row)
+    }, user);
+  }
+
+  /**
+   * Get the history of a measurement sheet and its slab entries, newest first
+   */
+  static async findBySheetId(measurementSheetId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT * FROM audit_log
+         WHERE measurement_sheet_id = $1
+         ORDER BY created_at DESC, entity_type, entity_label, field`,
+        [measurementSheetId]
+      );
+
+      return result.rows.map(row => new AuditEntry(row));
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+AuditLog.ENTITY_TYPES = ENTITY_TYPES;
+AuditLog.ACTIONS = ACTIONS;
+
+module.exports = AuditLog;
@@ -0,0 +1,400 @@
+/**
+ * Block Model
+ * Granite blocks in inventory and the slabs cut from them across all measurement sheets
+ */
+
+const pool = require('../config/database');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Stock figures are aggregated from slab_entries on every read rather than cached,
+// since every slab entry write changes them
+const BLOCK_COLUMNS = `
+  b.id, b.block_number, b.quarry_source, b.variety, b.color, b.finish, b.thickness,
+  to_char(b.arrival_date, 'YYYY-MM-DD') as arrival_date,
+  b.gross_slab_count, b.notes, b.is_active, b.created_at, b.updated_at,
+  COALESCE(stock.slabs_cut, 0) as slabs_cut,
+  COALESCE(stock.square_feet_sold, 0) as square_feet_sold
+`;
+
+const BLOCK_STOCK_JOIN = `
+  LEFT JOIN (
+    SELECT block_id, COUNT(*) as slabs_cut, SUM(square_feet) as square_feet_sold
+    FROM slab_entries
+    WHERE block_id IS NOT NULL
+    GROUP BY block_id
+  ) stock ON stock.block_id = b.id
+`;
+
+class BlockSlab {
+  constructor(data) {
+    this.id = data.id;
+    this.measurementSheetId = data.measurement_sheet_id;
+    this.measurementSheetNumber = data.measurement_sheet_number;
+    this.measurementSheetStatus = data.measurement_sheet_status;
+    this.customerName = data.customer_name;
+    this.serialNumber = data.serial_number;
+    this.material = data.material;
+    this.length = parseFloat(data.length);
+    this.breadth = parseFloat(data.breadth);
+    this.slabCategory = data.slab_category;
+    this.squareFeet = parseFloat(data.square_feet) || 0;
+    this.amount = data.amount === null ? null : parseFloat(data.amount);
+    this.createdAt = data.created_at;
+  }
+}
+
+class Block {
+  constructor(data) {
+    this.id = data.id;
+    this.blockNumber = data.block_number;
+    this.quarrySource = data.quarry_source;
+    this.variety = data.variety;
+    this.color = data.color;
+    this.finish = data.finish;
+    this.thickness = data.thickness === null || data.thickness === undefined ? null : parseFloat(data.thickness);
+    this.arrivalDate = data.arrival_date;
+    this.grossSlabCount = parseInt(data.gross_slab_count) || 0;
+    this.notes = data.notes;
+    this.isActive = data.is_active;
+    this.slabsCut = parseInt(data.slabs_cut) || 0;
+    this.squareFeetSold = Math.round((parseFloat(data.square_feet_sold) || 0) * 100) / 100;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.slabs = data.slabs ? data.slabs.map(slab => new BlockSlab(slab)) : undefined;
+  }
+
+  /**
+   * Slabs still to be sold; never negative when more slabs were measured than the block's gross count
+   */
+  get slabsRemaining() {
+    return Math.max(this.grossSlabCount - this.slabsCut, 0);
+  }
+
+  /**
+   * Create a new block
+   * Slabs already entered against this block number are linked to it
+   */
+  static async create(blockData) {
+    const client = await pool.connect();
+
+    try {
+      const {
+        blockNumber,
+        quarrySource,
+        variety,
+        color,
+        finish,
+        thickness,
+        arrivalDate,
+        grossSlabCount,
+        notes
+      } = blockData;
+
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO blocks (
+           block_number, quarry_source, variety, color, finish, thickness,
+           arrival_date, gross_slab_count, notes
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::DATE, CURRENT_DATE), $8, $9)
+         RETURNING id`,
+        [
+          blockNumber, quarrySource || null, variety, color || null, finish || null,
+          thickness || null, arrivalDate || null, grossSlabCount || 0, notes || null
+        ]
+      );
+
+      const blockId = result.rows[0].id;
+
+      await client.query(
+        `UPDATE slab_entries SET block_id = $1
+         WHERE block_id IS NULL AND UPPER(block_number) = UPPER($2)`,
+        [blockId, blockNumber]
+      );
+
+      await client.query('COMMIT');
+
+      return Block.findById(blockId);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get blocks with their stock figures
+   * @param {Object} options - { search, variety, includeInactive, availableOnly }
+   */
+  static async findAll(options = {}) {
+    const { search, variety, includeInactive = false, availableOnly = false } = options;
+    const client = await pool.connect();
+
+    try {
+      const conditions = [];
+      const queryParams = [];
+
+      if (!includeInactive) {
+        conditions.push('b.is_active = TRUE');
+      }
+
+      if (search) {
+        queryParams.push(`%${search}%`);
+        conditions.push(`(b.block_number ILIKE $${queryParams.length} OR b.variety ILIKE $${queryParams.length} OR b.quarry_source ILIKE $${queryParams.length})`);
+      }
+
+      if (variety) {
+        queryParams.push(variety);
+        conditions.push(`LOWER(b.variety) = LOWER($${queryParams.length})`);
+      }
+
+      if (availableOnly) {
+        conditions.push('b.gross_slab_count > COALESCE(stock.slabs_cut, 0)');
+      }
+
+      const query = `
+        SELECT ${BLOCK_COLUMNS}
+        FROM blocks b
+        ${BLOCK_STOCK_JOIN}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY b.arrival_date DESC, b.block_number
+      `;
+
+      const result = await client.query(query, queryParams);
+
+      return result.rows.map(row => new Block(row));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find block by ID
+   * @param {string} id - Block ID
+   * @param {Object} options - { includeSlabs } to list every slab cut from the block
+   */
+  static async findById(id, options = {}) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ${BLOCK_COLUMNS} FROM blocks b ${BLOCK_STOCK_JOIN} WHERE b.id = $1`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const data = result.rows[0];
+
+      if (options.includeSlabs) {
+        const slabResult = await client.query(
+          `SELECT
+             se.id, se.measurement_sheet_id, se.serial_number, se.material, se.length, se.breadth,
+             se.slab_category, se.square_feet, se.amount, se.created_at,
+             ms.measurement_sheet_number, ms.status as measurement_sheet_status,
+             c.name as customer_name
+           FROM slab_entries se
+           JOIN measurement_sheets ms ON se.measurement_sheet_id = ms.id
+           JOIN customers c ON ms.customer_id = c.id
+           WHERE se.block_id = $1
+           ORDER BY se.created_at, ms.measurement_sheet_number, se.serial_number`,
+          [id]
+        );
+        data.slabs = slabResult.rows;
+      }
+
+      return new Block(data);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find the block a slab entry belongs to
+   * A slab names its block by ID when picked from inventory, otherwise by block number
+   * @param {Object} entry - { blockId, blockNumber }
+   * @returns {Promise<Block|null>} - The block, or null when the number is not in inventory
+   */
+  static async findForSlab(entry) {
+    if (entry.blockId) {
+      return Block.findById(entry.blockId);
+    }
+
+    if (!entry.blockNumber) {
+      return null;
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ${BLOCK_COLUMNS} FROM blocks b ${BLOCK_STOCK_JOIN} WHERE UPPER(b.block_number) = UPPER($1)`,
+        [String(entry.blockNumber).trim()]
+      );
+
+      return result.rows.length > 0 ? new Block(result.rows[0]) : null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update block details
+   * The block number is fixed once created since slabs are traced by it
+   */
+  async update(updateData) {
+    const client = await pool.connect();
+
+    try {
+      const fields = {
+        quarry_source: updateData.quarrySource,
+        variety: updateData.variety,
+        color: updateData.color,
+        finish: updateData.finish,
+        thickness: updateData.thickness,
+        arrival_date: updateData.arrivalDate,
+        gross_slab_count: updateData.grossSlabCount,
+        notes: updateData.notes,
+        is_active: updateData.isActive
+      };
+
+      const assignments = [];
+      const queryParams = [];
+
+      Object.keys(fields).forEach(column => {
+        if (fields[column] !== undefined) {
+          queryParams.push(fields[column] === '' ? null : fields[column]);
+          assignments.push(`${column} = $${queryParams.length}`);
+        }
+      });
+
+      if (assignments.length > 0) {
+        queryParams.push(this.id);
+        const result = await client.query(
+          `UPDATE blocks SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $${queryParams.length}
+           RETURNING id`,
+          queryParams
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error('Block not found');
+        }
+      }
+
+      return Block.findById(this.id);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Deactivate block (kept so earlier slabs stay traceable)
+   */
+  async deactivate() {
+    return this.update({ isActive: false });
+  }
+
+  /**
+   * Validate block data
+   */
+  static validateData(data, { partial = false } = {}) {
+    const errors = [];
+
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+    if (!partial) {
+      if (!data.blockNumber || typeof data.blockNumber !== 'string' || data.blockNumber.trim().length === 0) {
+        errors.push('Block number is required');
+      } else if (data.blockNumber.trim().length > 50) {
+        errors.push('Block number must be less than 50 characters');
+      }
+    }
+
+    if (!partial || data.variety !== undefined) {
+      if (!data.variety || typeof data.variety !== 'string' || data.variety.trim().length === 0) {
+        errors.push('Variety is required');
+      } else if (data.variety.trim().length > 100) {
+        errors.push('Variety must be less than 100 characters');
+      }
+    }
+
+    if (isSet(data.quarrySource) && (typeof data.quarrySource !== 'string' || data.quarrySource.length > 255)) {
+      errors.push('Quarry source must be less than 255 characters');
+    }
+
+    if (isSet(data.color) && (typeof data.color !== 'string' || data.color.length > 50)) {
+      errors.push('Color must be less than 50 characters');
+    }
+
+    if (isSet(data.finish) && (typeof data.finish !== 'string' || data.finish.length > 50)) {
+      errors.push('Finish must be less than 50 characters');
+    }
+
+    if (isSet(data.thickness)) {
+      const thickness = parseFloat(data.thickness);
+      if (isNaN(thickness) || thickness <= 0 || thickness > 1000) {
+        errors.push('Thickness must be a positive number of millimetres');
+      }
+    }
+
+    if (isSet(data.arrivalDate)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(data.arrivalDate) || isNaN(Date.parse(data.arrivalDate))) {
+        errors.push('Arrival date must be a valid date (YYYY-MM-DD)');
+      }
+    }
+
+    if (isSet(data.grossSlabCount)) {
+      const count = Number(data.grossSlabCount);
+      if (!Number.isInteger(count) || count < 0) {
+        errors.push('Gross slab count must be a non-negative whole number');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a block ID is a UUID before querying with it
+   */
+  static isValidId(id) {
+    return UUID_PATTERN.test(String(id || ''));
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      blockNumber: this.blockNumber,
+      quarrySource: this.quarrySource,
+      variety: this.variety,
+      color: this.color,
+      finish: this.finish,
+      thickness: this.thickness,
+      arrivalDate: this.arrivalDate,
+      grossSlabCount: this.grossSlabCount,
+      notes: this.notes,
+      isActive: this.isActive,
+      slabsCut: this.slabsCut,
+      slabsRemaining: this.slabsRemaining,
+      squareFeetSold: this.squareFeetSold,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      slabs: this.slabs
+    };
+  }
+}
+
+module.exports = Block;
@@ -0,0 +1,346 @@
+/**
+ * CalculationProfile Model
+ * Calculation rule profiles (deduction and rounding per axis) for each party type
+ */
+
+const pool = require('../config/database');
+const { cache } = require('../config/redis');
+const { calculateWithProfile, RULE_UNITS } = require('../../src/shared/calculationRules');
+const { resolveCustomerType } = require('../../src/shared/customerTypes');
+const { DIMENSION_UNITS } = require('../../src/shared/dimensions');
+
+const VALID_AXES = ['length', 'breadth'];
+const VALID_ROUNDING_DIRECTIONS = ['none', 'down', 'up', 'nearest'];
+const VALID_DISPLAY_UNITS = Object.values(DIMENSION_UNITS);
+const VALID_RULE_UNITS = Object.values(RULE_UNITS);
+
+class CalculationProfile {
+  constructor(data) {
+    this.id = data.id;
+    this.code = data.code;
+    this.name = data.name;
+    this.description = data.description;
+    this.isActive = data.is_active;
+    this.displayUnit = data.display_unit || DIMENSION_UNITS.INCHES;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.rules = (data.rules || []).map(rule => ({
+      axis: rule.axis,
+      deduction: parseFloat(rule.deduction) || 0,
+      roundingStep: parseFloat(rule.rounding_step) || 0,
+      roundingDirection: rule.rounding_direction,
+      unit: rule.unit || RULE_UNITS.INCHES
+    }));
+  }
+
+  /**
+   * Base query returning profiles with their rules aggregated as JSON
+   */
+  static get selectQuery() {
+    return `
+      SELECT
+        cp.*,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'axis', cpr.axis,
+              'deduction', cpr.deduction,
+              'rounding_step', cpr.rounding_step,
+              'rounding_direction', cpr.rounding_direction,
+              'unit', cpr.unit
+            ) ORDER BY cpr.unit DESC, cpr.axis DESC
+          ) FILTER (WHERE cpr.id IS NOT NULL),
+          '[]'
+        ) as rules
+      FROM calculation_profiles cp
+      LEFT JOIN calculation_profile_rules cpr ON cpr.profile_id = cp.id
+    `;
+  }
+
+  /**
+   * Insert the rules of a profile inside an open transaction
+   */
+  static async insertRules(client, profileId, rules = []) {
+    for (const rule of rules) {
+      await client.query(
+        `INSERT INTO calculation_profile_rules (profile_id, axis, deduction, rounding_step, rounding_direction, unit)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          profileId,
+          rule.axis,
+          rule.deduction || 0,
+          rule.roundingStep || 0,
+          rule.roundingDirection || 'none',
+          rule.unit || RULE_UNITS.INCHES
+        ]
+      );
+    }
+  }
+
+  /**
+   * Create a new calculation profile with its rules
+   */
+  static async create(profileData) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { code, name, description, displayUnit, rules } = profileData;
+
+      const result = await client.query(
+        `INSERT INTO calculation_profiles (code, name, description, display_unit)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [code, name, description || null, displayUnit || DIMENSION_UNITS.INCHES]
+      );
+
+      const profileId = result.rows[0].id;
+      await CalculationProfile.insertRules(client, profileId, rules);
+
+      await client.query('COMMIT');
+
+      // Clear related caches
+      await cache.clearPattern('calculation_profiles:*');
+
+      return CalculationProfile.findById(profileId);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get all calculation profiles with caching
+   */
+  static async findAll(options = {}) {
+    const { includeInactive = false } = options;
+    const cacheKey = `calculation_profiles:all:${includeInactive}`;
+
+    // Try cache first
+    const cachedProfiles = await cache.get(cacheKey);
+    if (cachedProfiles) {
+      return cachedProfiles.map(data => new CalculationProfile(data));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        ${CalculationProfile.selectQuery}
+        ${includeInactive ? '' : 'WHERE cp.is_active = TRUE'}
+        GROUP BY cp.id
+        ORDER BY cp.created_at, cp.name
+      `;
+
+      const result = await client.query(query);
+
+      // Cache for 1 hour, profiles change rarely
+      await cache.set(cacheKey, result.rows, 3600);
+
+      return result.rows.map(row => new CalculationProfile(row));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find calculation profile by ID
+   */
+  static async findById(id) {
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        ${CalculationProfile.selectQuery}
+        WHERE cp.id = $1
+        GROUP BY cp.id
+      `;
+
+      const result = await client.query(query, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new CalculationProfile(result.rows[0]);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find calculation profile by code (the customer type identifier)
+   */
+  static async findByCode(code) {
+    const profiles = await CalculationProfile.findAll({ includeInactive: true });
+    return profiles.find(profile => profile.code === code) || null;
+  }
+
+  /**
+   * Find the active profile for a measurement sheet customer type
+   * Accepts both the display label ('Granite Shops') and the code ('granite_shops')
+   */
+  static async findByCustomerType(customerType) {
+    const profiles = await CalculationProfile.findAll();
+    const registry = profiles.map(profile => ({ key: profile.code, label: profile.name, profile }));
+    const match = resolveCustomerType(registry, customerType);
+    return match ? match.profile : null;
+  }
+
+  /**
+   * Calculate final dimensions and square feet for a slab with this profile's rules
+   * Uses the same interpreter as the client calculation engine; metric sheets
+   * use the centimetre rules and also get square metres
+   */
+  calculate(length, breadth, calculationMode) {
+    return calculateWithProfile(parseFloat(length), parseFloat(breadth), this, calculationMode);
+  }
+
+  /**
+   * Update profile details and replace its rules
+   */
+  async update(updateData) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { name, description, isActive, displayUnit, rules } = updateData;
+
+      const result = await client.query(
+        `UPDATE calculation_profiles
+         SET
+           name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           is_active = COALESCE($3, is_active),
+           display_unit = COALESCE($4, display_unit),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING id`,
+        [name, description, isActive, displayUnit, this.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Calculation profile not found');
+      }
+
+      if (Array.isArray(rules)) {
+        await client.query('DELETE FROM calculation_profile_rules WHERE profile_id = $1', [this.id]);
+        await CalculationProfile.insertRules(client, this.id, rules);
+      }
+
+      await client.query('COMMIT');
+
+      // Clear related caches
+      await cache.clearPattern('calculation_profiles:*');
+
+      return CalculationProfile.findById(this.id);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Deactivate profile (profiles stay referenced by existing sheets)
+   */
+  async deactivate() {
+    return this.update({ isActive: false });
+  }
+
+  /**
+   * Validate calculation profile data
+   */
+  static validateData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.code !== undefined) {
+      if (!data.code || typeof data.code !== 'string' || !/^[a-z][a-z0-9_]*$/.test(data.code)) {
+        errors.push('Code is required and must be lowercase letters, digits or underscores (e.g. "contractors")');
+      } else if (data.code.length > 50) {
+        errors.push('Code must be less than 50 characters');
+      }
+    }
+
+    if (!partial || data.name !== undefined) {
+      if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('Name is required and must be a non-empty string');
+      }
+    }
+
+    if (data.displayUnit !== undefined && !VALID_DISPLAY_UNITS.includes(data.displayUnit)) {
+      errors.push(`Display unit must be one of: ${VALID_DISPLAY_UNITS.join(', ')}`);
+    }
+
+    if (data.rules !== undefined) {
+      if (!Array.isArray(data.rules)) {
+        errors.push('Rules must be an array');
+      } else {
+        const seenAxes = new Set();
+
+        data.rules.forEach((rule, index) => {
+          const unit = rule.unit || RULE_UNITS.INCHES;
+
+          if (!VALID_RULE_UNITS.includes(unit)) {
+            errors.push(`Rule ${index + 1}: unit must be one of: ${VALID_RULE_UNITS.join(', ')}`);
+          }
+
+          if (!VALID_AXES.includes(rule.axis)) {
+            errors.push(`Rule ${index + 1}: axis must be one of: ${VALID_AXES.join(', ')}`);
+          } else if (seenAxes.has(`${rule.axis}:${unit}`)) {
+            errors.push(`Rule ${index + 1}: only one rule per axis and unit is allowed`);
+          } else {
+            seenAxes.add(`${rule.axis}:${unit}`);
+          }
+
+          const deduction = parseFloat(rule.deduction || 0);
+          if (isNaN(deduction) || deduction < 0) {
+            errors.push(`Rule ${index + 1}: deduction must be a non-negative number`);
+          }
+
+          const roundingStep = parseFloat(rule.roundingStep || 0);
+          if (isNaN(roundingStep) || roundingStep < 0) {
+            errors.push(`Rule ${index + 1}: rounding step must be a non-negative number`);
+          }
+
+          const direction = rule.roundingDirection || 'none';
+          if (!VALID_ROUNDING_DIRECTIONS.includes(direction)) {
+            errors.push(`Rule ${index + 1}: rounding direction must be one of: ${VALID_ROUNDING_DIRECTIONS.join(', ')}`);
+          } else if (direction !== 'none' && !(roundingStep > 0)) {
+            errors.push(`Rule ${index + 1}: rounding step is required when rounding ${direction}`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      code: this.code,
+      name: this.name,
+      description: this.description,
+      isActive: this.isActive,
+      displayUnit: this.displayUnit,
+      rules: this.rules,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = CalculationProfile;
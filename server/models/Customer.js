@@ -5,6 +5,10 @@
 
 const pool = require('../config/database');
 const { cache } = require('../config/redis');
+const { isValidGstin } = require('../../src/shared/gst');
+const { CALCULATION_MODES } = require('../../src/shared/calculationRules');
+const { buildLedger, ENTRY_TYPES } = require('../../src/shared/ledger');
+const { DISPATCHED_STATUSES } = require('../../src/shared/sheetStatus');
 
 class Customer {
   constructor(data) {
@@ -13,6 +17,9 @@ class Customer {
     this.phoneNumber = data.phone_number;
     this.email = data.email;
     this.address = data.address;
+    this.state = data.state;
+    this.gstin = data.gstin;
+    this.calculationMode = data.calculation_mode || CALCULATION_MODES.IMPERIAL;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -24,16 +31,18 @@ class Customer {
     const client = await pool.connect();
     
     try {
-      const { name, phoneNumber, email, address } = customerData;
+      const { name, phoneNumber, email, address, state, gstin, calculationMode } = customerData;
       
       // Use prepared statement for better performance
       const query = `
-        INSERT INTO customers (name, phone_number, email, address)
-        VALUES ($1, $2, $3, $4)
+        INSERT INTO customers (name, phone_number, email, address, state, gstin, calculation_mode)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
         RETURNING *
       `;
       
-      const result = await client.query(query, [name, phoneNumber, email, address]);
+      const result = await client.query(query, [
+        name, phoneNumber, email, address, state || null, gstin || null, calculationMode || CALCULATION_MODES.IMPERIAL
+      ]);
       const customer = new Customer(result.rows[0]);
       
       // Cache the new customer for 1 hour
@@ -181,16 +190,20 @@ class Customer {
     const client = await pool.connect();
     
     try {
-      const { name, phoneNumber, email, address } = updateData;
+      const { name, phoneNumber, email, address, state, gstin, calculationMode } = updateData;
       
+      // The calculation mode is kept when the update leaves it out
       const query = `
         UPDATE customers 
-        SET name = $1, phone_number = $2, email = $3, address = $4, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $5
+        SET name = $1, phone_number = $2, email = $3, address = $4, state = $5, gstin = $6,
+          calculation_mode = COALESCE($7, calculation_mode), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $8
         RETURNING *
       `;
       
-      const result = await client.query(query, [name, phoneNumber, email, address, this.id]);
+      const result = await client.query(query, [
+        name, phoneNumber, email, address, state || null, gstin || null, calculationMode || null, this.id
+      ]);
       
       if (result.rows.length === 0) {
         throw new Error('Customer not found');
@@ -202,6 +215,9 @@ class Customer {
       this.phoneNumber = updatedData.phone_number;
       this.email = updatedData.email;
       this.address = updatedData.address;
+      this.state = updatedData.state;
+      this.gstin = updatedData.gstin;
+      this.calculationMode = updatedData.calculation_mode;
       this.updatedAt = updatedData.updated_at;
       
       // Update cache
@@ -234,6 +250,12 @@ class Customer {
         throw new Error('Cannot delete customer with existing measurement sheets');
       }
       
+      // Payments stay on the books, so a customer who has paid is never removed
+      const paymentResult = await client.query('SELECT COUNT(*) FROM payments WHERE customer_id = $1', [this.id]);
+      if (parseInt(paymentResult.rows[0].count) > 0) {
+        throw new Error('Cannot delete customer with recorded payments');
+      }
+      
       const query = 'DELETE FROM customers WHERE id = $1 RETURNING *';
       const result = await client.query(query, [this.id]);
       
@@ -255,6 +277,84 @@ class Customer {
     }
   }
 
+  /**
+   * Get the customer's running ledger for a date range
+   * Each sheet is charged once, at its latest dispatched or invoiced revision: the issued
+   * invoice total when it has one, otherwise the sheet total. The charge is dated by the
+   * invoice, or by the day the sheet was dispatched. Never cached, so a payment shows up
+   * on the balance as soon as it is recorded
+   * @param {Object} range - { from, to } as 'YYYY-MM-DD', either may be omitted
+   * @returns {Object} - See buildLedger in src/shared/ledger.js
+   */
+  async getLedger(range = {}) {
+    const client = await pool.connect();
+    
+    try {
+      const [chargesResult, paymentsResult] = await Promise.all([
+        client.query(
+          `SELECT DISTINCT ON (COALESCE(ms.original_sheet_id, ms.id))
+             ms.id as measurement_sheet_id, ms.measurement_sheet_number, ms.total_square_feet,
+             i.invoice_number,
+             COALESCE(i.grand_total, ms.total_amount) as amount,
+             to_char(COALESCE(i.invoice_date, dispatch.dispatched_at::DATE, ms.created_at::DATE), 'YYYY-MM-DD') as entry_date,
+             COALESCE(i.created_at, dispatch.dispatched_at, ms.created_at) as recorded_at
+           FROM measurement_sheets ms
+           LEFT JOIN invoices i ON i.measurement_sheet_id = ms.id AND i.status = 'issued'
+           LEFT JOIN LATERAL (
+             SELECT MIN(sc.created_at) as dispatched_at
+             FROM measurement_sheet_status_changes sc
+             WHERE sc.measurement_sheet_id = ms.id AND sc.to_status = 'dispatched'
+           ) dispatch ON true
+           WHERE ms.customer_id = $1 AND ms.status = ANY($2)
+           ORDER BY COALESCE(ms.original_sheet_id, ms.id), ms.revision_number DESC`,
+          [this.id, DISPATCHED_STATUSES]
+        ),
+        client.query(
+          `SELECT p.id, p.measurement_sheet_id, p.amount, p.mode, p.reference, p.notes, p.created_at,
+                  to_char(p.payment_date, 'YYYY-MM-DD') as payment_date,
+                  ms.measurement_sheet_number
+           FROM payments p
+           LEFT JOIN measurement_sheets ms ON p.measurement_sheet_id = ms.id
+           WHERE p.customer_id = $1`,
+          [this.id]
+        )
+      ]);
+      
+      const charges = chargesResult.rows.map(row => ({
+        type: ENTRY_TYPES.CHARGE,
+        date: row.entry_date,
+        amount: parseFloat(row.amount) || 0,
+        measurementSheetId: row.measurement_sheet_id,
+        measurementSheetNumber: row.measurement_sheet_number,
+        invoiceNumber: row.invoice_number,
+        squareFeet: parseFloat(row.total_square_feet) || 0,
+        description: row.invoice_number
+          ? `Invoice ${row.invoice_number} (${row.measurement_sheet_number})`
+          : `Sheet ${row.measurement_sheet_number}`,
+        createdAt: row.recorded_at
+      }));
+      
+      const payments = paymentsResult.rows.map(row => ({
+        type: ENTRY_TYPES.PAYMENT,
+        date: row.payment_date,
+        amount: parseFloat(row.amount) || 0,
+        paymentId: row.id,
+        measurementSheetId: row.measurement_sheet_id,
+        measurementSheetNumber: row.measurement_sheet_number,
+        mode: row.mode,
+        reference: row.reference,
+        notes: row.notes,
+        description: row.measurement_sheet_number ? `Payment for ${row.measurement_sheet_number}` : 'Payment',
+        createdAt: row.created_at
+      }));
+      
+      return buildLedger(charges.concat(payments), range);
+      
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Get frequently accessed customers (cached)
    */
@@ -357,6 +457,18 @@ class Customer {
       errors.push('Email must be a valid email address');
     }
     
+    if (data.state && (typeof data.state !== 'string' || data.state.trim().length > 100)) {
+      errors.push('State must be a string of at most 100 characters');
+    }
+    
+    if (data.gstin && !isValidGstin(data.gstin)) {
+      errors.push('GSTIN must be a valid 15 character GST identification number');
+    }
+    
+    if (data.calculationMode && !Object.values(CALCULATION_MODES).includes(data.calculationMode)) {
+      errors.push(`Calculation mode must be one of: ${Object.values(CALCULATION_MODES).join(', ')}`);
+    }
+    
     return errors;
   }
 
@@ -370,6 +482,9 @@ class Customer {
       phoneNumber: this.phoneNumber,
       email: this.email,
       address: this.address,
+      state: this.state,
+      gstin: this.gstin,
+      calculationMode: this.calculationMode,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -0,0 +1,52 @@
+/**
+ * CustomerType Model
+ * Canonical customer type registry, backed by the calculation rule profiles.
+ * Each customer type is keyed by its profile code and labelled with the profile name
+ */
+
+const CalculationProfile = require('./CalculationProfile');
+const { resolveCustomerType } = require('../../src/shared/customerTypes');
+
+class CustomerType {
+  constructor(profile) {
+    this.key = profile.code;
+    this.label = profile.name;
+    this.description = profile.description;
+    this.isActive = profile.isActive;
+    this.displayUnit = profile.displayUnit;
+    this.calculationProfileId = profile.id;
+  }
+
+  /**
+   * Get all customer types (cached through the calculation profiles)
+   */
+  static async findAll(options = {}) {
+    const profiles = await CalculationProfile.findAll(options);
+    return profiles.map(profile => new CustomerType(profile));
+  }
+
+  /**
+   * Resolve a customer type from its key ('granite_shops') or label ('Granite Shops')
+   * Only active customer types are resolved unless includeInactive is set
+   */
+  static async resolve(value, options = {}) {
+    const customerTypes = await CustomerType.findAll(options);
+    return resolveCustomerType(customerTypes, value);
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      key: this.key,
+      label: this.label,
+      description: this.description,
+      isActive: this.isActive,
+      displayUnit: this.displayUnit,
+      calculationProfileId: this.calculationProfileId
+    };
+  }
+}
+
+module.exports = CustomerType;
@@ -0,0 +1,526 @@
+/**
+ * Invoice Model
+ * GST tax invoices raised from dispatched measurement sheets. An invoice copies the
+ * sheet's slabs as line items, so later sheet changes never alter an issued invoice.
+ * Raising an invoice moves the sheet to 'invoiced', which locks it until the invoice
+ * is cancelled and the sheet goes back to 'dispatched'
+ */
+
+const pool = require('../config/database');
+const { cache } = require('../config/redis');
+const company = require('../config/company');
+const MeasurementSheet = require('./MeasurementSheet');
+const { calculateInvoice, getStateFromGstin, DISCOUNT_TYPES } = require('../../src/shared/gst');
+const { SHEET_STATUSES } = require('../../src/shared/sheetStatus');
+
+const INVOICE_STATUS = {
+  ISSUED: 'issued',
+  CANCELLED: 'cancelled'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Invoice dates are read as 'YYYY-MM-DD' text so they print the same in every timezone
+const INVOICE_COLUMNS = `
+  i.id, i.invoice_number, i.measurement_sheet_id, i.customer_id,
+  to_char(i.invoice_date, 'YYYY-MM-DD') as invoice_date,
+  i.customer_name, i.customer_address, i.customer_gstin, i.supplier_gstin, i.supplier_state,
+  i.place_of_supply, i.tax_type, i.discount_type, i.discount_value, i.subtotal, i.discount_amount,
+  i.taxable_amount, i.cgst_amount, i.sgst_amount, i.igst_amount, i.round_off, i.grand_total,
+  i.status, i.notes, i.created_at, i.updated_at,
+  ms.measurement_sheet_number
+`;
+
+/**
+ * Build an error carrying the HTTP status the controller should answer with
+ */
+const invoiceError = (message, statusCode, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Describe a slab as an invoice line ('Granite Slab - Black Galaxy (F)')
+ */
+const describeSlab = (slab) => {
+  return slab.material
+    ? `Granite Slab - ${slab.material} (${slab.slab_category})`
+    : `Granite Slab (${slab.slab_category})`;
+};
+
+class InvoiceItem {
+  constructor(data) {
+    this.id = data.id;
+    this.serialNumber = data.serial_number;
+    this.description = data.description;
+    this.hsnCode = data.hsn_code;
+    this.blockNumber = data.block_number;
+    this.slabCategory = data.slab_category;
+    this.squareFeet = parseFloat(data.square_feet) || 0;
+    this.rate = parseFloat(data.rate) || 0;
+    this.amount = parseFloat(data.amount) || 0;
+    this.discount = parseFloat(data.discount) || 0;
+    this.taxableValue = parseFloat(data.taxable_value) || 0;
+    this.gstRate = parseFloat(data.gst_rate) || 0;
+    this.cgstAmount = parseFloat(data.cgst_amount) || 0;
+    this.sgstAmount = parseFloat(data.sgst_amount) || 0;
+    this.igstAmount = parseFloat(data.igst_amount) || 0;
+    this.totalAmount = parseFloat(data.total_amount) || 0;
+  }
+}
+
+class Invoice {
+  constructor(data) {
+    this.id = data.id;
+    this.invoiceNumber = data.invoice_number;
+    this.measurementSheetId = data.measurement_sheet_id;
+    this.measurementSheetNumber = data.measurement_sheet_number;
+    this.customerId = data.customer_id;
+    this.invoiceDate = data.invoice_date;
+    this.customerName = data.customer_name;
+    this.customerAddress = data.customer_address;
+    this.customerGstin = data.customer_gstin;
+    this.supplierGstin = data.supplier_gstin;
+    this.supplierState = data.supplier_state;
+    this.placeOfSupply = data.place_of_supply;
+    this.taxType = data.tax_type;
+    this.discountType = data.discount_type;
+    this.discountValue = parseFloat(data.discount_value) || 0;
+    this.subtotal = parseFloat(data.subtotal) || 0;
+    this.discountAmount = parseFloat(data.discount_amount) || 0;
+    this.taxableAmount = parseFloat(data.taxable_amount) || 0;
+    this.cgstAmount = parseFloat(data.cgst_amount) || 0;
+    this.sgstAmount = parseFloat(data.sgst_amount) || 0;
+    this.igstAmount = parseFloat(data.igst_amount) || 0;
+    this.roundOff = parseFloat(data.round_off) || 0;
+    this.grandTotal = parseFloat(data.grand_total) || 0;
+    this.status = data.status;
+    this.notes = data.notes;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.items = (data.items || []).map(item => new InvoiceItem(item));
+  }
+
+  /**
+   * Raise an invoice from a dispatched measurement sheet and mark the sheet invoiced
+   * The sheet row is locked for the duration so slabs cannot change while they are copied
+   * @param {string} measurementSheetId - Measurement sheet ID
+   * @param {Object} options - { invoiceDate, placeOfSupply, discountType, discountValue, hsnCode, gstRate, notes }
+   * @param {Object} user - Signed in user raising the invoice
+   */
+  static async createFromMeasurementSheet(measurementSheetId, options = {}, user = null) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const sheetResult = await client.query(
+        `SELECT ms.*,
+                c.name as customer_name, c.address as customer_address,
+                c.state as customer_state, c.gstin as customer_gstin
+         FROM measurement_sheets ms
+         JOIN customers c ON ms.customer_id = c.id
+         WHERE ms.id = $1
+         FOR UPDATE OF ms`,
+        [measurementSheetId]
+      );
+
+      if (sheetResult.rows.length === 0) {
+        throw invoiceError('Measurement sheet not found', 404);
+      }
+
+      const sheet = sheetResult.rows[0];
+
+      if (sheet.status !== SHEET_STATUSES.DISPATCHED) {
+        throw invoiceError(
+          sheet.status === SHEET_STATUSES.INVOICED
+            ? `Measurement sheet ${sheet.measurement_sheet_number} is already invoiced`
+            : 'Only dispatched measurement sheets can be invoiced',
+          sheet.status === SHEET_STATUSES.INVOICED ? 409 : 422
+        );
+      }
+
+      const existingResult = await client.query(
+        'SELECT invoice_number FROM invoices WHERE measurement_sheet_id = $1 AND status = $2',
+        [measurementSheetId, INVOICE_STATUS.ISSUED]
+      );
+
+      if (existingResult.rows.length > 0) {
+        throw invoiceError(
+          `Measurement sheet ${sheet.measurement_sheet_number} is already invoiced as ${existingResult.rows[0].invoice_number}`,
+          409
+        );
+      }
+
+      const slabResult = await client.query(
+        'SELECT * FROM slab_entries WHERE measurement_sheet_id = $1 ORDER BY serial_number',
+        [measurementSheetId]
+      );
+
+      if (slabResult.rows.length === 0) {
+        throw invoiceError('Measurement sheet has no slab entries to invoice', 422);
+      }
+
+      const unpricedSlabs = slabResult.rows.filter(slab => slab.amount === null);
+      if (unpricedSlabs.length > 0) {
+        throw invoiceError(
+          'Every slab must be priced before the sheet can be invoiced',
+          422,
+          unpricedSlabs.map(slab => `Slab #${slab.serial_number} (${slab.slab_category}) has no applicable rate card`)
+        );
+      }
+
+      const placeOfSupply = options.placeOfSupply || sheet.customer_state || getStateFromGstin(sheet.customer_gstin);
+      if (!placeOfSupply) {
+        throw invoiceError('Place of supply is required: set the customer\'s state or pass placeOfSupply', 422);
+      }
+
+      const calculation = calculateInvoice({
+        supplierState: company.state,
+        placeOfSupply,
+        discountType: options.discountType,
+        discountValue: options.discountValue,
+        gstRate: options.gstRate,
+        items: slabResult.rows.map(slab => ({
+          description: describeSlab(slab),
+          hsnCode: options.hsnCode,
+          blockNumber: slab.block_number,
+          slabCategory: slab.slab_category,
+          squareFeet: parseFloat(slab.square_feet),
+          rate: parseFloat(slab.rate),
+          amount: parseFloat(slab.amount)
+        }))
+      });
+
+      const invoiceResult = await client.query(
+        `INSERT INTO invoices (
+           measurement_sheet_id, customer_id, invoice_date, customer_name, customer_address, customer_gstin,
+           supplier_gstin, supplier_state, place_of_supply, tax_type, discount_type, discount_value,
+           subtotal, discount_amount, taxable_amount, cgst_amount, sgst_amount, igst_amount,
+           round_off, grand_total, notes
+         )
+         VALUES ($1, $2, COALESCE($3::DATE, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                 $13, $14, $15, $16, $17, $18, $19, $20, $21)
+         RETURNING id, invoice_number`,
+        [
+          measurementSheetId, sheet.customer_id, options.invoiceDate || null,
+          sheet.customer_name, sheet.customer_address, sheet.customer_gstin,
+          company.gstin, company.state, placeOfSupply, calculation.taxType,
+          options.discountType || DISCOUNT_TYPES.NONE, parseFloat(options.discountValue) || 0,
+          calculation.subtotal, calculation.discountAmount, calculation.taxableAmount,
+          calculation.cgstAmount, calculation.sgstAmount, calculation.igstAmount,
+          calculation.roundOff, calculation.grandTotal, options.notes || null
+        ]
+      );
+
+      const invoiceId = invoiceResult.rows[0].id;
+
+      for (let index = 0; index < calculation.items.length; index++) {
+        const item = calculation.items[index];
+
+        await client.query(
+          `INSERT INTO invoice_items (
+             invoice_id, serial_number, description, hsn_code, block_number, slab_category,
+             square_feet, rate, amount, discount, taxable_value, gst_rate,
+             cgst_amount, sgst_amount, igst_amount, total_amount
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+          [
+            invoiceId, index + 1, item.description, item.hsnCode, item.blockNumber, item.slabCategory,
+            item.squareFeet, item.rate, item.amount, item.discount, item.taxableValue, item.gstRate,
+            item.cgstAmount, item.sgstAmount, item.igstAmount, item.totalAmount
+          ]
+        );
+      }
+
+      await MeasurementSheet.transition(client, sheet, SHEET_STATUSES.INVOICED, {
+        reason: `Invoiced as ${invoiceResult.rows[0].invoice_number}`,
+        user,
+        invoicing: true
+      });
+
+      await client.query('COMMIT');
+
+      // The sheet response carries its invoice and status, so cached copies are stale
+      await Invoice.clearSheetCaches(measurementSheetId);
+
+      return Invoice.findById(invoiceId);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find invoice by ID with its line items
+   */
+  static async findById(id) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ${INVOICE_COLUMNS}
+         FROM invoices i
+         JOIN measurement_sheets ms ON i.measurement_sheet_id = ms.id
+         WHERE i.id = $1`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const itemsResult = await client.query(
+        'SELECT * FROM invoice_items WHERE invoice_id = $1 ORDER BY serial_number',
+        [id]
+      );
+
+      const invoiceData = result.rows[0];
+      invoiceData.items = itemsResult.rows;
+
+      return new Invoice(invoiceData);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List invoices (without line items), newest first
+   */
+  static async findAll(options = {}) {
+    const { customerId, measurementSheetId, status, page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+    const client = await pool.connect();
+
+    try {
+      const conditions = [];
+      const queryParams = [];
+
+      if (customerId) {
+        queryParams.push(customerId);
+        conditions.push(`i.customer_id = $${queryParams.length}`);
+      }
+
+      if (measurementSheetId) {
+        queryParams.push(measurementSheetId);
+        conditions.push(`i.measurement_sheet_id = $${queryParams.length}`);
+      }
+
+      if (status) {
+        queryParams.push(status);
+        conditions.push(`i.status = $${queryParams.length}`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [invoicesResult, countResult] = await Promise.all([
+        client.query(
+          `SELECT ${INVOICE_COLUMNS}
+           FROM invoices i
+           JOIN measurement_sheets ms ON i.measurement_sheet_id = ms.id
+           ${whereClause}
+           ORDER BY i.invoice_date DESC, i.invoice_number DESC
+           LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+          queryParams.concat([limit, offset])
+        ),
+        client.query(`SELECT COUNT(*) as total FROM invoices i ${whereClause}`, queryParams)
+      ]);
+
+      const total = parseInt(countResult.rows[0].total);
+
+      return {
+        invoices: invoicesResult.rows.map(row => new Invoice(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find the issued invoice that locks a measurement sheet, if any
+   * Never cached: sheet edits are refused on the strength of this lookup
+   */
+  static async findIssuedBySheetId(measurementSheetId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ${INVOICE_COLUMNS}
+         FROM invoices i
+         JOIN measurement_sheets ms ON i.measurement_sheet_id = ms.id
+         WHERE i.measurement_sheet_id = $1 AND i.status = $2`,
+        [measurementSheetId, INVOICE_STATUS.ISSUED]
+      );
+
+      return result.rows.length > 0 ? new Invoice(result.rows[0]) : null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Count all invoices (issued or cancelled) raised from a measurement sheet
+   */
+  static async countBySheetId(measurementSheetId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT COUNT(*) FROM invoices WHERE measurement_sheet_id = $1',
+        [measurementSheetId]
+      );
+
+      return parseInt(result.rows[0].count);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Clear the cached copies of a measurement sheet after its invoice changes
+   */
+  static async clearSheetCaches(measurementSheetId) {
+    await cache.del(`measurement_sheet:${measurementSheetId}`);
+    await cache.del(`measurement_sheet_full:${measurementSheetId}`);
+    await cache.clearPattern('measurement_sheets:*');
+  }
+
+  /**
+   * Cancel the invoice, which moves its measurement sheet back to dispatched and unlocks it
+   * Cancelled invoices are kept so the invoice number sequence has no gaps
+   * @param {string} reason - Why the invoice was cancelled
+   * @param {Object} user - Signed in user cancelling the invoice
+   */
+  async cancel(reason, user = null) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE invoices
+         SET status = $1,
+             notes = CASE WHEN $2::TEXT IS NULL THEN notes ELSE CONCAT_WS(E'\\n', notes, 'Cancelled: ' || $2::TEXT) END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND status = $4
+         RETURNING id`,
+        [INVOICE_STATUS.CANCELLED, reason || null, this.id, INVOICE_STATUS.ISSUED]
+      );
+
+      if (result.rows.length === 0) {
+        throw invoiceError('Only issued invoices can be cancelled', 409);
+      }
+
+      const sheetResult = await client.query(
+        'SELECT * FROM measurement_sheets WHERE id = $1 FOR UPDATE',
+        [this.measurementSheetId]
+      );
+      const sheet = sheetResult.rows[0];
+
+      if (sheet.status === SHEET_STATUSES.INVOICED) {
+        await MeasurementSheet.transition(client, sheet, SHEET_STATUSES.DISPATCHED, {
+          reason: `Invoice ${this.invoiceNumber} cancelled${reason ? `: ${reason}` : ''}`,
+          user,
+          invoicing: true
+        });
+      }
+
+      await client.query('COMMIT');
+
+      await Invoice.clearSheetCaches(this.measurementSheetId);
+
+      return Invoice.findById(this.id);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Validate invoice creation data
+   */
+  static validateData(data) {
+    const errors = [];
+
+    if (!data.measurementSheetId || typeof data.measurementSheetId !== 'string') {
+      errors.push('Measurement sheet ID is required');
+    } else if (!UUID_PATTERN.test(data.measurementSheetId)) {
+      errors.push('Measurement sheet ID must be a valid UUID');
+    }
+
+    if (data.invoiceDate && (!/^\d{4}-\d{2}-\d{2}$/.test(data.invoiceDate) || isNaN(Date.parse(data.invoiceDate)))) {
+      errors.push('Invoice date must be a valid date (YYYY-MM-DD)');
+    }
+
+    if (data.placeOfSupply !== undefined && data.placeOfSupply !== null &&
+        (typeof data.placeOfSupply !== 'string' || data.placeOfSupply.trim().length > 100)) {
+      errors.push('Place of supply must be a state name of at most 100 characters');
+    }
+
+    if (data.hsnCode && !/^\d{4}(\d{2}){0,2}$/.test(data.hsnCode)) {
+      errors.push('HSN code must be 4, 6 or 8 digits');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      invoiceNumber: this.invoiceNumber,
+      measurementSheetId: this.measurementSheetId,
+      measurementSheetNumber: this.measurementSheetNumber,
+      customerId: this.customerId,
+      invoiceDate: this.invoiceDate,
+      customerName: this.customerName,
+      customerAddress: this.customerAddress,
+      customerGstin: this.customerGstin,
+      supplierGstin: this.supplierGstin,
+      supplierState: this.supplierState,
+      placeOfSupply: this.placeOfSupply,
+      taxType: this.taxType,
+      discountType: this.discountType,
+      discountValue: this.discountValue,
+      subtotal: this.subtotal,
+      discountAmount: this.discountAmount,
+      taxableAmount: this.taxableAmount,
+      cgstAmount: this.cgstAmount,
+      sgstAmount: this.sgstAmount,
+      igstAmount: this.igstAmount,
+      roundOff: this.roundOff,
+      grandTotal: this.grandTotal,
+      status: this.status,
+      notes: this.notes,
+      items: this.items,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Invoice.STATUS = INVOICE_STATUS;
+
+module.exports = Invoice;
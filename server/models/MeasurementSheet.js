@@ -1,10 +1,47 @@
 /**
  * MeasurementSheet Model
  * High-performance measurement sheet data access layer with PostgreSQL optimization
+ *
+ * A sheet moves draft -> measured -> approved -> dispatched -> invoiced, or is cancelled
+ * before dispatch (src/shared/sheetStatus.js). Only drafts take slab entry changes; an
+ * approved or dispatched sheet is corrected on an amendment: a new draft revision
+ * numbered after the original (MS-0042-R1, MS-0042-R2, ...) that starts as a copy of
+ * the sheet it amends, which stays as it was
  */
 
 const pool = require('../config/database');
 const { cache } = require('../config/redis');
+const CustomerType = require('./CustomerType');
+const Slab = require('./Slab');
+const AuditLog = require('./AuditLog');
+const { CALCULATION_MODES } = require('../../src/shared/calculationRules');
+const { fillTimeSeries } = require('../../src/shared/sheetStatistics');
+const {
+  SHEET_STATUSES,
+  SHEET_STATUS_LABELS,
+  isValidStatus,
+  canTransition,
+  allowedTransitions,
+  isEditableStatus,
+  isAmendableStatus
+} = require('../../src/shared/sheetStatus');
+
+/**
+ * Build an error carrying the HTTP status the controller should answer with
+ */
+const sheetError = (message, statusCode, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const STATUS_LIST = Object.values(SHEET_STATUSES).join(', ');
+
+/**
+ * Sheet number of an amendment, e.g. MS-0042-R1
+ */
+const revisionNumberFor = (originalNumber, revisionNumber) => `${originalNumber}-R${revisionNumber}`;
 
 class MeasurementSheet {
   constructor(data) {
@@ -12,8 +49,14 @@ class MeasurementSheet {
     this.measurementSheetNumber = data.measurement_sheet_number;
     this.customerId = data.customer_id;
     this.customerType = data.customer_type;
+    this.calculationMode = data.calculation_mode || CALCULATION_MODES.IMPERIAL;
     this.totalSquareFeet = parseFloat(data.total_square_feet) || 0;
+    this.totalSquareMetres = parseFloat(data.total_square_metres) || 0;
+    this.totalAmount = parseFloat(data.total_amount) || 0;
     this.status = data.status;
+    this.originalSheetId = data.original_sheet_id || null;
+    this.amendedFromId = data.amended_from_id || null;
+    this.revisionNumber = data.revision_number || 0;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
     
@@ -28,23 +71,23 @@ class MeasurementSheet {
   /**
    * Create a new measurement sheet with atomic sequential number generation
    */
-  static async create(measurementSheetData) {
+  static async create(measurementSheetData, user = null) {
     const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
       
-      const { customerId, customerType } = measurementSheetData;
+      const { customerId, customerType, calculationMode } = measurementSheetData;
       
-      // Validate customer type
-      const validCustomerTypes = ['Retail', 'Granite Shops', 'Builders', 'Outstation Parties', 'Exporters'];
-      if (!validCustomerTypes.includes(customerType)) {
+      // Validate customer type (key or label), the key is stored
+      const resolvedType = await CustomerType.resolve(customerType);
+      if (!resolvedType) {
         throw new Error('Invalid customer type');
       }
       
       // Verify customer exists
       const customerCheck = await client.query(
-        'SELECT id, name FROM customers WHERE id = $1',
+        'SELECT id, name, calculation_mode FROM customers WHERE id = $1',
         [customerId]
       );
       
@@ -53,15 +96,22 @@ class MeasurementSheet {
       }
       
       // Create measurement sheet with atomic sequential number generation
+      // The sheet keeps its own mode, defaulting to the customer's
       const query = `
-        INSERT INTO measurement_sheets (customer_id, customer_type, status)
-        VALUES ($1, $2, 'draft')
+        INSERT INTO measurement_sheets (customer_id, customer_type, calculation_mode, status)
+        VALUES ($1, $2, $3, 'draft')
         RETURNING *
       `;
       
-      const result = await client.query(query, [customerId, customerType]);
+      const result = await client.query(query, [
+        customerId,
+        resolvedType.key,
+        calculationMode || customerCheck.rows[0].calculation_mode || CALCULATION_MODES.IMPERIAL
+      ]);
       const measurementSheetData = result.rows[0];
       
+      await AuditLog.recordCreate(client, AuditLog.ENTITY_TYPES.MEASUREMENT_SHEET, measurementSheetData, user);
+      
       await client.query('COMMIT');
       
       const measurementSheet = new MeasurementSheet(measurementSheetData);
@@ -186,7 +236,7 @@ class MeasurementSheet {
       let selectQuery = `
         SELECT 
           ms.id, ms.measurement_sheet_number, ms.customer_type, 
-          ms.total_square_feet, ms.status, ms.created_at, ms.updated_at,
+          ms.total_square_feet, ms.total_amount, ms.status, ms.created_at, ms.updated_at,
           c.name as customer_name, c.phone_number as customer_phone
         ${baseQuery}
       `;
@@ -208,10 +258,11 @@ class MeasurementSheet {
         paramIndex++;
       }
       
-      // Customer type filter
+      // Customer type filter (key or label)
       if (customerType) {
+        const resolvedType = await CustomerType.resolve(customerType, { includeInactive: true });
         conditions.push(`ms.customer_type = $${paramIndex}`);
-        queryParams.push(customerType);
+        queryParams.push(resolvedType ? resolvedType.key : customerType);
         paramIndex++;
       }
       
@@ -254,7 +305,7 @@ class MeasurementSheet {
       }
       
       // Add sorting and pagination
-      const validSortColumns = ['created_at', 'updated_at', 'measurement_sheet_number', 'customer_name', 'total_square_feet'];
+      const validSortColumns = ['created_at', 'updated_at', 'measurement_sheet_number', 'customer_name', 'total_square_feet', 'total_amount'];
       const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
       const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
       
@@ -296,45 +347,54 @@ class MeasurementSheet {
 
   /**
    * Update measurement sheet with optimized cache management
+   * A status change must be one the lifecycle allows; it moves the sheet's stock slabs
+   * in the same transaction as the change, its history row and its audit log entry
+   * @param {Object} updateData - { status, reason }; cancelling needs a reason
+   * @param {Object} user - Signed in user making the change
    */
-  async update(updateData) {
+  async update(updateData, user = null) {
     const client = await pool.connect();
     
     try {
-      const { status } = updateData;
+      const { status, reason } = updateData;
       
       // Validate status if provided
-      if (status && !['draft', 'completed'].includes(status)) {
-        throw new Error('Invalid status. Must be "draft" or "completed"');
+      if (status && !isValidStatus(status)) {
+        throw sheetError(`Invalid status. Must be one of: ${STATUS_LIST}`, 422);
       }
       
-      const query = `
-        UPDATE measurement_sheets 
-        SET status = COALESCE($1, status), updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `;
+      await client.query('BEGIN');
       
-      const result = await client.query(query, [status, this.id]);
+      const beforeResult = await client.query('SELECT * FROM measurement_sheets WHERE id = $1 FOR UPDATE', [this.id]);
       
-      if (result.rows.length === 0) {
-        throw new Error('Measurement sheet not found');
+      if (beforeResult.rows.length === 0) {
+        throw sheetError('Measurement sheet not found', 404);
       }
       
+      const before = beforeResult.rows[0];
+      const updatedData = status && status !== before.status
+        ? await MeasurementSheet.transition(client, before, status, { reason, user })
+        : before;
+      
       // Update instance properties
-      const updatedData = result.rows[0];
       this.status = updatedData.status;
       this.updatedAt = updatedData.updated_at;
       
-      // Update caches
-      await cache.set(`measurement_sheet:${this.id}`, this, 3600);
-      await cache.del(`measurement_sheet_full:${this.id}`);
+      await client.query('COMMIT');
+      
+      // Drop cached copies, including the other revisions that list this one's status;
+      // the next read caches the row as stored
+      await MeasurementSheet.clearRevisionCaches(this.originalSheetId || this.id);
       
       // Clear related caches
       await cache.clearPattern('measurement_sheets:*');
+      await cache.clearPattern('measurement_sheet_stats:*');
       
       return this;
       
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
@@ -342,13 +402,44 @@ class MeasurementSheet {
 
   /**
    * Delete measurement sheet with proper cleanup
+   * The audit log keeps the sheet's history after it is gone. Deleting an amendment
+   * hands the slabs it took over back to the sheet it amends; a sheet that has been
+   * amended is kept
+   * @param {Object} user - Signed in user making the change
    */
-  async delete() {
+  async delete(user = null) {
     const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
       
+      const amendment = await client.query(
+        'SELECT measurement_sheet_number FROM measurement_sheets WHERE amended_from_id = $1',
+        [this.id]
+      );
+      
+      if (amendment.rows.length > 0) {
+        throw sheetError(`Measurement sheet has been amended as ${amendment.rows[0].measurement_sheet_number}. Delete the amendment first.`, 409);
+      }
+      
+      if (this.amendedFromId) {
+        const amended = await client.query(
+          `SELECT ms.id, ms.status, array_remove(array_agg(se.slab_id), NULL) as slab_ids
+           FROM measurement_sheets ms
+           LEFT JOIN slab_entries se ON se.measurement_sheet_id = ms.id
+           WHERE ms.id = $1
+           GROUP BY ms.id`,
+          [this.amendedFromId]
+        );
+        
+        if (amended.rows.length > 0 && amended.rows[0].slab_ids.length > 0) {
+          await Slab.transferToSheet(client, this.id, amended.rows[0], `Amendment ${this.measurementSheetNumber} deleted`, amended.rows[0].slab_ids);
+        }
+      }
+      
+      // Stock slabs on the sheet go back in stock
+      await Slab.releaseForSheet(client, this.id, 'Measurement sheet deleted');
+      
       // Delete slab entries first (cascade should handle this, but explicit for clarity)
       await client.query('DELETE FROM slab_entries WHERE measurement_sheet_id = $1', [this.id]);
       
@@ -360,11 +451,16 @@ class MeasurementSheet {
         throw new Error('Measurement sheet not found');
       }
       
+      await AuditLog.recordDelete(client, AuditLog.ENTITY_TYPES.MEASUREMENT_SHEET, result.rows[0], user);
+      
       await client.query('COMMIT');
       
       // Remove from caches
       await cache.del(`measurement_sheet:${this.id}`);
       await cache.del(`measurement_sheet_full:${this.id}`);
+      if (this.amendedFromId) {
+        await MeasurementSheet.clearRevisionCaches(this.originalSheetId);
+      }
       
       // Clear related caches
       await cache.clearPattern('measurement_sheets:*');
@@ -380,11 +476,271 @@ class MeasurementSheet {
     }
   }
 
+  /**
+   * Lock a sheet's row for the rest of the transaction and refuse to change a sheet past draft
+   * Every write to a sheet's slab entries goes through here first
+   * @param {Object} client - Transaction client
+   * @param {string} measurementSheetId - Measurement sheet ID
+   * @returns {Promise<Object>} - The sheet's database row
+   */
+  static async lockForEdit(client, measurementSheetId) {
+    const result = await client.query('SELECT * FROM measurement_sheets WHERE id = $1 FOR UPDATE', [measurementSheetId]);
+    
+    if (result.rows.length === 0) {
+      throw sheetError('Measurement sheet not found', 404);
+    }
+    
+    const sheet = result.rows[0];
+    if (!isEditableStatus(sheet.status)) {
+      const label = SHEET_STATUS_LABELS[sheet.status].toLowerCase();
+      let remedy = 'Amend it to make corrections.';
+      if (sheet.status === SHEET_STATUSES.MEASURED) {
+        remedy = 'Move it back to draft to make corrections.';
+      } else if (!isAmendableStatus(sheet.status)) {
+        remedy = 'It can no longer be corrected.';
+      }
+      throw sheetError(`Measurement sheet ${sheet.measurement_sheet_number} is ${label} and cannot be changed. ${remedy}`, 409);
+    }
+    
+    return sheet;
+  }
+
+  /**
+   * Move a locked sheet to another status on the caller's transaction
+   * Refuses moves the lifecycle does not allow, moves the sheet's stock slabs and records
+   * the change with who made it. Raising or cancelling an invoice passes invoicing: true,
+   * the only way in and out of 'invoiced'
+   * @param {Object} client - Transaction client
+   * @param {Object} before - The sheet's row, locked FOR UPDATE
+   * @param {string} toStatus - Requested status
+   * @param {Object} options - { reason, user, invoicing }
+   * @returns {Promise<Object>} - The sheet's updated row
+   */
+  static async transition(client, before, toStatus, options = {}) {
+    const { user = null, invoicing = false } = options;
+    const reason = typeof options.reason === 'string' && options.reason.trim() ? options.reason.trim() : null;
+    
+    if (!canTransition(before.status, toStatus, { invoicing })) {
+      const allowed = allowedTransitions(before.status);
+      throw sheetError(
+        `Measurement sheet ${before.measurement_sheet_number} cannot move from ${SHEET_STATUS_LABELS[before.status] || before.status} to ${SHEET_STATUS_LABELS[toStatus]}`,
+        409,
+        allowed.length > 0
+          ? [`Allowed next statuses: ${allowed.map(status => SHEET_STATUS_LABELS[status]).join(', ')}`]
+          : [`${SHEET_STATUS_LABELS[before.status] || before.status} sheets cannot be moved by hand`]
+      );
+    }
+    
+    if (toStatus === SHEET_STATUSES.CANCELLED && !reason) {
+      throw sheetError('A reason is required to cancel a measurement sheet', 422);
+    }
+    
+    if (!invoicing) {
+      const amendment = await client.query(
+        'SELECT measurement_sheet_number FROM measurement_sheets WHERE amended_from_id = $1',
+        [before.id]
+      );
+      
+      if (amendment.rows.length > 0) {
+        throw sheetError(`Measurement sheet ${before.measurement_sheet_number} has been amended as ${amendment.rows[0].measurement_sheet_number}; change the amendment instead`, 409);
+      }
+    }
+    
+    const result = await client.query(
+      `UPDATE measurement_sheets SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [toStatus, before.id]
+    );
+    const after = result.rows[0];
+    
+    await Slab.syncWithSheetStatus(client, before.id, toStatus);
+    
+    await client.query(
+      `INSERT INTO measurement_sheet_status_changes (measurement_sheet_id, from_status, to_status, reason, user_id, username)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [before.id, before.status, toStatus, reason, user ? user.id : null, user ? user.username : null]
+    );
+    
+    await AuditLog.recordChanges(client, AuditLog.ENTITY_TYPES.MEASUREMENT_SHEET, before, after, user);
+    
+    return after;
+  }
+
+  /**
+   * Get the status changes of a sheet, oldest first
+   * @param {string} id - Measurement sheet ID
+   * @returns {Promise<Array<Object>>} - [{ fromStatus, toStatus, reason, userId, username, createdAt }]
+   */
+  static async findStatusHistory(id) {
+    const result = await pool.query(
+      `SELECT id, from_status, to_status, reason, user_id, username, created_at
+       FROM measurement_sheet_status_changes
+       WHERE measurement_sheet_id = $1
+       ORDER BY created_at, id`,
+      [id]
+    );
+    
+    return result.rows.map(row => ({
+      id: row.id,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      reason: row.reason,
+      userId: row.user_id,
+      username: row.username,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Amend an approved or dispatched sheet
+   * Creates the next revision as a draft copy of this sheet's slab entries, at the rates
+   * they were priced at, and moves the stock slabs this sheet holds onto it. This sheet
+   * is left unchanged and stays printable
+   * @param {Object} user - Signed in user making the change
+   * @returns {Promise<MeasurementSheet>} - The new revision
+   */
+  async amend(user = null) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const current = await client.query('SELECT * FROM measurement_sheets WHERE id = $1 FOR UPDATE', [this.id]);
+      
+      if (current.rows.length === 0) {
+        throw sheetError('Measurement sheet not found', 404);
+      }
+      
+      const sheet = current.rows[0];
+      if (!isAmendableStatus(sheet.status)) {
+        throw sheetError(
+          isEditableStatus(sheet.status) || sheet.status === SHEET_STATUSES.MEASURED
+            ? `Only approved or dispatched sheets are amended; ${sheet.measurement_sheet_number} can be corrected as a draft`
+            : `Measurement sheet ${sheet.measurement_sheet_number} is ${SHEET_STATUS_LABELS[sheet.status].toLowerCase()} and cannot be amended`,
+          409
+        );
+      }
+      
+      const amendment = await client.query(
+        'SELECT measurement_sheet_number FROM measurement_sheets WHERE amended_from_id = $1',
+        [this.id]
+      );
+      
+      if (amendment.rows.length > 0) {
+        throw sheetError(`Measurement sheet ${sheet.measurement_sheet_number} has already been amended as ${amendment.rows[0].measurement_sheet_number}`, 409);
+      }
+      
+      const originalSheetId = sheet.original_sheet_id || sheet.id;
+      const original = sheet.original_sheet_id
+        ? (await client.query('SELECT measurement_sheet_number FROM measurement_sheets WHERE id = $1', [originalSheetId])).rows[0]
+        : sheet;
+      const revisionNumber = sheet.revision_number + 1;
+      
+      const result = await client.query(
+        `INSERT INTO measurement_sheets (
+          measurement_sheet_number, customer_id, customer_type, calculation_mode, status,
+          original_sheet_id, amended_from_id, revision_number
+        )
+        VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7)
+        RETURNING *`,
+        [
+          revisionNumberFor(original.measurement_sheet_number, revisionNumber),
+          sheet.customer_id, sheet.customer_type, sheet.calculation_mode,
+          originalSheetId, sheet.id, revisionNumber
+        ]
+      );
+      const revision = result.rows[0];
+      
+      // Stock slabs are only linked on the copy while this sheet still holds them
+      await client.query(
+        `INSERT INTO slab_entries (
+          measurement_sheet_id, serial_number, slab_id, block_id, block_number, material, length, breadth,
+          length_input, breadth_input, slab_category, final_length, final_breadth, square_feet, square_metres,
+          gross_square_feet, rate, amount, calculation_details, origin_entry_id
+        )
+        SELECT
+          $1, se.serial_number, CASE WHEN s.measurement_sheet_id = se.measurement_sheet_id THEN se.slab_id END,
+          se.block_id, se.block_number, se.material, se.length, se.breadth,
+          se.length_input, se.breadth_input, se.slab_category, se.final_length, se.final_breadth, se.square_feet, se.square_metres,
+          se.gross_square_feet, se.rate, se.amount, se.calculation_details, COALESCE(se.origin_entry_id, se.id)
+        FROM slab_entries se
+        LEFT JOIN slabs s ON se.slab_id = s.id
+        WHERE se.measurement_sheet_id = $2
+        ORDER BY se.serial_number`,
+        [revision.id, sheet.id]
+      );
+      
+      await Slab.transferToSheet(client, sheet.id, revision, `Amended as ${revision.measurement_sheet_number}`);
+      
+      await AuditLog.recordCreate(client, AuditLog.ENTITY_TYPES.MEASUREMENT_SHEET, revision, user);
+      
+      await client.query(
+        `INSERT INTO measurement_sheet_status_changes (measurement_sheet_id, from_status, to_status, reason, user_id, username)
+         VALUES ($1, NULL, $2, $3, $4, $5)`,
+        [revision.id, revision.status, `Amendment of ${sheet.measurement_sheet_number}`, user ? user.id : null, user ? user.username : null]
+      );
+      
+      await client.query('COMMIT');
+      
+      await MeasurementSheet.clearRevisionCaches(originalSheetId);
+      await cache.clearPattern('measurement_sheets:*');
+      await cache.clearPattern('measurement_sheet_stats:*');
+      
+      return MeasurementSheet.findById(revision.id);
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get every revision of a sheet, the original first
+   * @param {string} id - ID of any revision
+   * @returns {Promise<Array<MeasurementSheet>>} - Empty when the sheet does not exist
+   */
+  static async findRevisions(id) {
+    const result = await pool.query(
+      `SELECT ms.id, ms.measurement_sheet_number, ms.customer_id, ms.customer_type, ms.calculation_mode,
+              ms.total_square_feet, ms.total_square_metres, ms.total_amount, ms.status,
+              ms.original_sheet_id, ms.amended_from_id, ms.revision_number, ms.created_at, ms.updated_at
+       FROM measurement_sheets ms
+       WHERE COALESCE(ms.original_sheet_id, ms.id) = (
+         SELECT COALESCE(original_sheet_id, id) FROM measurement_sheets WHERE id = $1
+       )
+       ORDER BY ms.revision_number`,
+      [id]
+    );
+    
+    return result.rows.map(row => new MeasurementSheet(row));
+  }
+
+  /**
+   * Drop the cached copies of every revision of a sheet, which list each other
+   * @param {string} originalSheetId - ID of the original sheet
+   */
+  static async clearRevisionCaches(originalSheetId) {
+    const revisions = await MeasurementSheet.findRevisions(originalSheetId);
+    
+    for (const revision of revisions) {
+      await cache.del(`measurement_sheet:${revision.id}`);
+      await cache.del(`measurement_sheet_full:${revision.id}`);
+    }
+  }
+
   /**
    * Get measurement sheet statistics with caching
+   * Besides the overall counts, sheets and square feet are reported per period of the
+   * range, with the mix of slab categories measured in it. Those figures count each
+   * sheet once: at its latest revision, on the date the original was created, leaving
+   * out cancelled sheets
+   * @param {Object} range - { from, to, interval } resolved by src/shared/sheetStatistics.js
    */
-  static async getStatistics() {
-    const cacheKey = 'measurement_sheet_stats:overview';
+  static async getStatistics(range) {
+    const cacheKey = `measurement_sheet_stats:overview:${range.from}:${range.to}:${range.interval}`;
     
     // Try cache first (cache for 15 minutes)
     const cachedStats = await cache.get(cacheKey);
@@ -397,29 +753,75 @@ class MeasurementSheet {
     try {
       const queries = [
         'SELECT COUNT(*) as total_sheets FROM measurement_sheets',
-        'SELECT COUNT(*) as draft_sheets FROM measurement_sheets WHERE status = \'draft\'',
-        'SELECT COUNT(*) as completed_sheets FROM measurement_sheets WHERE status = \'completed\'',
+        'SELECT status, COUNT(*) as count FROM measurement_sheets GROUP BY status',
         'SELECT COUNT(*) as sheets_today FROM measurement_sheets WHERE DATE(created_at) = CURRENT_DATE',
         'SELECT COUNT(*) as sheets_this_week FROM measurement_sheets WHERE created_at >= CURRENT_DATE - INTERVAL \'7 days\'',
-        'SELECT COALESCE(SUM(total_square_feet), 0) as total_square_feet FROM measurement_sheets WHERE status = \'completed\'',
+        'SELECT COALESCE(SUM(total_square_feet), 0) as total_square_feet FROM measurement_sheets WHERE status IN (\'dispatched\', \'invoiced\')',
         `SELECT customer_type, COUNT(*) as count 
          FROM measurement_sheets 
          GROUP BY customer_type 
          ORDER BY count DESC`
       ];
       
+      // Latest revision of each sheet created in the range
+      const rangeFilter = `
+        FROM measurement_sheets ms
+        LEFT JOIN measurement_sheets original ON original.id = ms.original_sheet_id
+        WHERE ms.status <> '${SHEET_STATUSES.CANCELLED}'
+          AND NOT EXISTS (SELECT 1 FROM measurement_sheets later WHERE later.amended_from_id = ms.id)
+          AND COALESCE(original.created_at, ms.created_at) >= $1::date
+          AND COALESCE(original.created_at, ms.created_at) < $2::date + 1`;
+      
+      const [seriesResult, categoryResult] = await Promise.all([
+        client.query(
+          `SELECT to_char(date_trunc($3, COALESCE(original.created_at, ms.created_at)), 'YYYY-MM-DD') AS period,
+                  COUNT(*) AS sheets,
+                  COALESCE(SUM(ms.total_square_feet), 0) AS square_feet
+           ${rangeFilter}
+           GROUP BY period`,
+          [range.from, range.to, range.interval]
+        ),
+        client.query(
+          `SELECT se.slab_category, COUNT(*) AS slabs, COALESCE(SUM(se.square_feet), 0) AS square_feet
+           FROM slab_entries se
+           JOIN (SELECT ms.id ${rangeFilter}) sheets ON sheets.id = se.measurement_sheet_id
+           GROUP BY se.slab_category
+           ORDER BY square_feet DESC`,
+          [range.from, range.to]
+        )
+      ]);
+      
       const results = await Promise.all(queries.map(query => client.query(query)));
       
+      // Every status is listed, with 0 for statuses no sheet is in
+      const statusCounts = {};
+      Object.values(SHEET_STATUSES).forEach(status => {
+        statusCounts[status] = 0;
+      });
+      results[1].rows.forEach(row => {
+        statusCounts[row.status] = parseInt(row.count);
+      });
+      
       const statistics = {
         totalSheets: parseInt(results[0].rows[0].total_sheets),
-        draftSheets: parseInt(results[1].rows[0].draft_sheets),
-        completedSheets: parseInt(results[2].rows[0].completed_sheets),
-        sheetsToday: parseInt(results[3].rows[0].sheets_today),
-        sheetsThisWeek: parseInt(results[4].rows[0].sheets_this_week),
-        totalSquareFeet: parseFloat(results[5].rows[0].total_square_feet),
-        customerTypeBreakdown: results[6].rows.map(row => ({
+        statusCounts,
+        sheetsToday: parseInt(results[2].rows[0].sheets_today),
+        sheetsThisWeek: parseInt(results[3].rows[0].sheets_this_week),
+        totalSquareFeet: parseFloat(results[4].rows[0].total_square_feet),
+        customerTypeBreakdown: results[5].rows.map(row => ({
           customerType: row.customer_type,
           count: parseInt(row.count)
+        })),
+        range,
+        timeSeries: fillTimeSeries(seriesResult.rows.map(row => ({
+          period: row.period,
+          sheets: row.sheets,
+          squareFeet: row.square_feet
+        })), range),
+        categoryMix: categoryResult.rows.map(row => ({
+          slabCategory: row.slab_category,
+          slabs: parseInt(row.slabs),
+          squareFeet: parseFloat(row.square_feet)
         }))
       };
       
@@ -486,13 +888,12 @@ class MeasurementSheet {
       errors.push('Customer type is required');
     }
     
-    const validCustomerTypes = ['Retail', 'Granite Shops', 'Builders', 'Outstation Parties', 'Exporters'];
-    if (data.customerType && !validCustomerTypes.includes(data.customerType)) {
-      errors.push('Invalid customer type. Must be one of: ' + validCustomerTypes.join(', '));
+    if (data.status && !isValidStatus(data.status)) {
+      errors.push(`Invalid status. Must be one of: ${STATUS_LIST}`);
     }
     
-    if (data.status && !['draft', 'completed'].includes(data.status)) {
-      errors.push('Invalid status. Must be "draft" or "completed"');
+    if (data.calculationMode && !Object.values(CALCULATION_MODES).includes(data.calculationMode)) {
+      errors.push(`Invalid calculation mode. Must be one of: ${Object.values(CALCULATION_MODES).join(', ')}`);
     }
     
     return errors;
@@ -507,8 +908,14 @@ class MeasurementSheet {
       measurementSheetNumber: this.measurementSheetNumber,
       customerId: this.customerId,
       customerType: this.customerType,
+      calculationMode: this.calculationMode,
       totalSquareFeet: this.totalSquareFeet,
+      totalSquareMetres: this.totalSquareMetres,
+      totalAmount: this.totalAmount,
       status: this.status,
+      originalSheetId: this.originalSheetId,
+      amendedFromId: this.amendedFromId,
+      revisionNumber: this.revisionNumber,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       customerName: this.customerName,
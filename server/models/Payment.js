@@ -0,0 +1,216 @@
+/**
+ * Payment Model
+ * Money received from a customer, recorded against the customer and optionally one of
+ * their measurement sheets. Payments are credited on the customer's ledger; see
+ * Customer.getLedger
+ */
+
+const pool = require('../config/database');
+const { validatePayment } = require('../../src/shared/ledger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Payment dates are read as 'YYYY-MM-DD' text so they print the same in every timezone
+const PAYMENT_COLUMNS = `
+  p.id, p.customer_id, p.measurement_sheet_id, p.amount, p.mode, p.reference,
+  to_char(p.payment_date, 'YYYY-MM-DD') as payment_date,
+  p.notes, p.user_id, p.username, p.created_at,
+  ms.measurement_sheet_number
+`;
+
+/**
+ * Build an error carrying the HTTP status the controller should answer with
+ */
+const paymentError = (message, statusCode, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+class Payment {
+  constructor(data) {
+    this.id = data.id;
+    this.customerId = data.customer_id;
+    this.measurementSheetId = data.measurement_sheet_id;
+    this.measurementSheetNumber = data.measurement_sheet_number || null;
+    this.amount = parseFloat(data.amount) || 0;
+    this.mode = data.mode;
+    this.reference = data.reference;
+    this.paymentDate = data.payment_date;
+    this.notes = data.notes;
+    this.userId = data.user_id;
+    this.username = data.username;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Record a payment
+   * A payment made against a sheet must be for one of the customer's own sheets
+   * @param {Object} data - { customerId, measurementSheetId, amount, mode, reference, paymentDate, notes }
+   * @param {Object} user - Signed in user recording the payment
+   */
+  static async create(data, user = null) {
+    const client = await pool.connect();
+
+    try {
+      const customerResult = await client.query('SELECT id FROM customers WHERE id = $1', [data.customerId]);
+      if (customerResult.rows.length === 0) {
+        throw paymentError('Customer not found', 404);
+      }
+
+      if (data.measurementSheetId) {
+        const sheetResult = await client.query(
+          'SELECT customer_id, measurement_sheet_number FROM measurement_sheets WHERE id = $1',
+          [data.measurementSheetId]
+        );
+
+        if (sheetResult.rows.length === 0) {
+          throw paymentError('Measurement sheet not found', 404);
+        }
+
+        if (sheetResult.rows[0].customer_id !== data.customerId) {
+          throw paymentError(
+            `Measurement sheet ${sheetResult.rows[0].measurement_sheet_number} belongs to another customer`,
+            422
+          );
+        }
+      }
+
+      const result = await client.query(
+        `INSERT INTO payments (
+           customer_id, measurement_sheet_id, amount, mode, reference, payment_date, notes, user_id, username
+         )
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6::DATE, CURRENT_DATE), $7, $8, $9)
+         RETURNING id`,
+        [
+          data.customerId, data.measurementSheetId || null, parseFloat(data.amount), data.mode,
+          data.reference ? String(data.reference).trim() : null, data.paymentDate || null,
+          data.notes || null, user ? user.id : null, user ? user.username : null
+        ]
+      );
+
+      return Payment.findById(result.rows[0].id);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find payment by ID
+   */
+  static async findById(id) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ${PAYMENT_COLUMNS}
+         FROM payments p
+         LEFT JOIN measurement_sheets ms ON p.measurement_sheet_id = ms.id
+         WHERE p.id = $1`,
+        [id]
+      );
+
+      return result.rows.length > 0 ? new Payment(result.rows[0]) : null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List a customer's payments, newest first
+   * Never cached: the ledger balance is worked out from them
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { measurementSheetId } to list the payments made against one sheet
+   */
+  static async findByCustomer(customerId, options = {}) {
+    const client = await pool.connect();
+
+    try {
+      const queryParams = [customerId];
+      let sheetCondition = '';
+
+      if (options.measurementSheetId) {
+        queryParams.push(options.measurementSheetId);
+        sheetCondition = 'AND p.measurement_sheet_id = $2';
+      }
+
+      const result = await client.query(
+        `SELECT ${PAYMENT_COLUMNS}
+         FROM payments p
+         LEFT JOIN measurement_sheets ms ON p.measurement_sheet_id = ms.id
+         WHERE p.customer_id = $1 ${sheetCondition}
+         ORDER BY p.payment_date DESC, p.created_at DESC`,
+        queryParams
+      );
+
+      return result.rows.map(row => new Payment(row));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove a payment recorded by mistake
+   */
+  async delete() {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query('DELETE FROM payments WHERE id = $1 RETURNING id', [this.id]);
+
+      if (result.rows.length === 0) {
+        throw paymentError('Payment not found', 404);
+      }
+
+      return true;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Validate payment data
+   */
+  static validateData(data) {
+    const errors = [];
+
+    if (!data.customerId || typeof data.customerId !== 'string') {
+      errors.push('Customer ID is required');
+    } else if (!UUID_PATTERN.test(data.customerId)) {
+      errors.push('Customer ID must be a valid UUID');
+    }
+
+    if (data.measurementSheetId && !UUID_PATTERN.test(data.measurementSheetId)) {
+      errors.push('Measurement sheet ID must be a valid UUID');
+    }
+
+    return errors.concat(validatePayment(data));
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      measurementSheetId: this.measurementSheetId,
+      measurementSheetNumber: this.measurementSheetNumber,
+      amount: this.amount,
+      mode: this.mode,
+      reference: this.reference,
+      paymentDate: this.paymentDate,
+      notes: this.notes,
+      userId: this.userId,
+      username: this.username,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Payment;
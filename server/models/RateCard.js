@@ -0,0 +1,240 @@
+/**
+ * RateCard Model
+ * Price per square foot by customer type, slab category and granite variety, with an effective date
+ */
+
+const pool = require('../config/database');
+const { cache } = require('../config/redis');
+const { priceSlab, toDateKey } = require('../../src/shared/pricing');
+
+const VALID_SLAB_CATEGORIES = ['F', 'LD', 'D', 'S'];
+
+// Effective dates are read as 'YYYY-MM-DD' text so cached rows compare the same as fresh ones
+const RATE_CARD_COLUMNS = `
+  id, customer_type, slab_category, material, rate_per_sqft,
+  to_char(effective_from, 'YYYY-MM-DD') as effective_from,
+  is_active, created_at, updated_at
+`;
+
+class RateCard {
+  constructor(data) {
+    this.id = data.id;
+    this.customerType = data.customer_type;
+    this.slabCategory = data.slab_category;
+    this.material = data.material;
+    this.ratePerSqft = parseFloat(data.rate_per_sqft);
+    this.effectiveFrom = data.effective_from ? toDateKey(data.effective_from) : null;
+    this.isActive = data.is_active;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Create a new rate card
+   */
+  static async create(rateCardData) {
+    const client = await pool.connect();
+
+    try {
+      const { customerType, slabCategory, material, ratePerSqft, effectiveFrom } = rateCardData;
+
+      const result = await client.query(
+        `INSERT INTO rate_cards (customer_type, slab_category, material, rate_per_sqft, effective_from)
+         VALUES ($1, $2, $3, $4, COALESCE($5::DATE, CURRENT_DATE))
+         RETURNING ${RATE_CARD_COLUMNS}`,
+        [customerType, slabCategory, material || null, ratePerSqft, effectiveFrom || null]
+      );
+
+      // Clear related caches
+      await cache.clearPattern('rate_cards:*');
+
+      return new RateCard(result.rows[0]);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get rate cards with optional filters, cached per filter combination
+   */
+  static async findAll(options = {}) {
+    const { includeInactive = false, customerType, slabCategory } = options;
+    const cacheKey = `rate_cards:${includeInactive}:${customerType || 'all'}:${slabCategory || 'all'}`;
+
+    // Try cache first
+    const cachedRateCards = await cache.get(cacheKey);
+    if (cachedRateCards) {
+      return cachedRateCards.map(data => new RateCard(data));
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const conditions = [];
+      const queryParams = [];
+
+      if (!includeInactive) {
+        conditions.push('is_active = TRUE');
+      }
+
+      if (customerType) {
+        queryParams.push(customerType);
+        conditions.push(`customer_type = $${queryParams.length}`);
+      }
+
+      if (slabCategory) {
+        queryParams.push(slabCategory);
+        conditions.push(`slab_category = $${queryParams.length}`);
+      }
+
+      const query = `
+        SELECT ${RATE_CARD_COLUMNS} FROM rate_cards
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY customer_type, slab_category, material NULLS FIRST, effective_from DESC
+      `;
+
+      const result = await client.query(query, queryParams);
+
+      // Cache for 1 hour, rates change rarely
+      await cache.set(cacheKey, result.rows, 3600);
+
+      return result.rows.map(row => new RateCard(row));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find rate card by ID
+   */
+  static async findById(id) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`SELECT ${RATE_CARD_COLUMNS} FROM rate_cards WHERE id = $1`, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new RateCard(result.rows[0]);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Price a slab with the active rate cards for its customer type
+   * @param {Object} criteria - { customerType, slabCategory, material, date, squareFeet }
+   * @returns {Object} - { rate, amount, rateCardId }, null rate and amount when no card applies
+   */
+  static async priceSlab(criteria) {
+    const rateCards = await RateCard.findAll({ customerType: criteria.customerType });
+    return priceSlab(rateCards, criteria);
+  }
+
+  /**
+   * Update rate card
+   */
+  async update(updateData) {
+    const client = await pool.connect();
+
+    try {
+      const { material, ratePerSqft, effectiveFrom, isActive } = updateData;
+
+      const result = await client.query(
+        `UPDATE rate_cards
+         SET
+           material = CASE WHEN $1::BOOLEAN THEN $2 ELSE material END,
+           rate_per_sqft = COALESCE($3, rate_per_sqft),
+           effective_from = COALESCE($4::DATE, effective_from),
+           is_active = COALESCE($5, is_active),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6
+         RETURNING ${RATE_CARD_COLUMNS}`,
+        [material !== undefined, material || null, ratePerSqft, effectiveFrom || null, isActive, this.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Rate card not found');
+      }
+
+      // Clear related caches
+      await cache.clearPattern('rate_cards:*');
+
+      return new RateCard(result.rows[0]);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Deactivate rate card (kept so the rates on earlier sheets stay explainable)
+   */
+  async deactivate() {
+    return this.update({ isActive: false });
+  }
+
+  /**
+   * Validate rate card data
+   */
+  static validateData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial) {
+      if (!data.customerType || typeof data.customerType !== 'string') {
+        errors.push('Customer type is required');
+      }
+
+      if (!VALID_SLAB_CATEGORIES.includes(data.slabCategory)) {
+        errors.push(`Slab category must be one of: ${VALID_SLAB_CATEGORIES.join(', ')}`);
+      }
+    }
+
+    if (!partial || data.ratePerSqft !== undefined) {
+      const rate = parseFloat(data.ratePerSqft);
+      if (isNaN(rate) || rate < 0) {
+        errors.push('Rate per square foot is required and must be a non-negative number');
+      }
+    }
+
+    if (data.material !== undefined && data.material !== null) {
+      if (typeof data.material !== 'string') {
+        errors.push('Material must be a string');
+      } else if (data.material.length > 100) {
+        errors.push('Material must be less than 100 characters');
+      }
+    }
+
+    if (data.effectiveFrom !== undefined && data.effectiveFrom !== null && data.effectiveFrom !== '') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(data.effectiveFrom) || isNaN(Date.parse(data.effectiveFrom))) {
+        errors.push('Effective date must be a valid date (YYYY-MM-DD)');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      customerType: this.customerType,
+      slabCategory: this.slabCategory,
+      material: this.material,
+      ratePerSqft: this.ratePerSqft,
+      effectiveFrom: this.effectiveFrom,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = RateCard;
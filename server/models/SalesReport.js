@@ -0,0 +1,110 @@
+/**
+ * SalesReport Model
+ * Slab entries on sold measurement sheets, totalled by the dimensions a report groups by
+ */
+
+const pool = require('../config/database');
+const { REPORT_DIMENSIONS, REPORT_SHEET_STATUSES, queryDimensions } = require('../../src/shared/salesReport');
+
+// A sheet is dated by its original, so amendments stay in the period the sale was made
+const SHEET_DATE = 'COALESCE(original.created_at, ms.created_at)';
+
+// Columns each dimension selects and groups by; period is filled in with its parameter
+const DIMENSION_COLUMNS = {
+  [REPORT_DIMENSIONS.CUSTOMER_TYPE]: {
+    select: ['ms.customer_type', 'cp.name AS customer_type_label'],
+    groupBy: ['ms.customer_type', 'cp.name']
+  },
+  [REPORT_DIMENSIONS.SLAB_CATEGORY]: {
+    select: ['se.slab_category'],
+    groupBy: ['se.slab_category']
+  },
+  [REPORT_DIMENSIONS.BLOCK]: {
+    select: ['UPPER(se.block_number) AS block_number'],
+    groupBy: ['UPPER(se.block_number)']
+  },
+  [REPORT_DIMENSIONS.CUSTOMER]: {
+    select: ['c.id AS customer_id', 'c.name AS customer_name'],
+    groupBy: ['c.id', 'c.name']
+  },
+  [REPORT_DIMENSIONS.SHEET]: {
+    select: ['ms.id AS measurement_sheet_id', 'ms.measurement_sheet_number'],
+    groupBy: ['ms.id', 'ms.measurement_sheet_number']
+  }
+};
+
+class SalesReport {
+  /**
+   * Total slabs, billed and gross square feet and amount for each combination of the query's dimensions
+   * Counts approved, dispatched and invoiced sheets at their latest revision. Aggregated
+   * on every read rather than cached, since reports are run with many different filters
+   * @param {Object} query - Resolved and validated by src/shared/salesReport.js
+   * @returns {Promise<Array>} - Records as buildPivot takes them
+   */
+  static async aggregate(query) {
+    const queryParams = [query.from, query.to, REPORT_SHEET_STATUSES];
+    const conditions = [
+      'ms.status = ANY($3)',
+      'NOT EXISTS (SELECT 1 FROM measurement_sheets later WHERE later.amended_from_id = ms.id)',
+      `${SHEET_DATE} >= $1::date`,
+      `${SHEET_DATE} < $2::date + 1`
+    ];
+
+    const addFilter = (condition, value) => {
+      queryParams.push(value);
+      conditions.push(condition.replace('?', `$${queryParams.length}`));
+    };
+    if (query.customerType) addFilter('ms.customer_type = ?', query.customerType);
+    if (query.slabCategory) addFilter('se.slab_category = ?', query.slabCategory);
+    if (query.blockNumber) addFilter('UPPER(se.block_number) = UPPER(?)', query.blockNumber);
+    if (query.customerId) addFilter('ms.customer_id = ?', query.customerId);
+
+    const select = [];
+    const groupBy = [];
+    queryDimensions(query).forEach(dimension => {
+      if (dimension === REPORT_DIMENSIONS.PERIOD) {
+        queryParams.push(query.interval);
+        const period = `to_char(date_trunc($${queryParams.length}, ${SHEET_DATE}), 'YYYY-MM-DD')`;
+        select.push(`${period} AS period`);
+        groupBy.push(period);
+      } else {
+        select.push(...DIMENSION_COLUMNS[dimension].select);
+        groupBy.push(...DIMENSION_COLUMNS[dimension].groupBy);
+      }
+    });
+
+    const result = await pool.query(
+      `SELECT ${select.join(', ')},
+              COUNT(*) AS slabs,
+              COALESCE(SUM(se.square_feet), 0) AS square_feet,
+              COALESCE(SUM(se.gross_square_feet), 0) AS gross_square_feet,
+              COALESCE(SUM(se.amount), 0) AS amount
+       FROM slab_entries se
+       JOIN measurement_sheets ms ON ms.id = se.measurement_sheet_id
+       JOIN customers c ON c.id = ms.customer_id
+       LEFT JOIN calculation_profiles cp ON cp.code = ms.customer_type
+       LEFT JOIN measurement_sheets original ON original.id = ms.original_sheet_id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY ${groupBy.join(', ')}`,
+      queryParams
+    );
+
+    return result.rows.map(row => ({
+      customerType: row.customer_type,
+      customerTypeLabel: row.customer_type_label,
+      slabCategory: row.slab_category,
+      blockNumber: row.block_number,
+      customerId: row.customer_id,
+      customerName: row.customer_name,
+      measurementSheetId: row.measurement_sheet_id,
+      measurementSheetNumber: row.measurement_sheet_number,
+      period: row.period,
+      slabs: parseInt(row.slabs),
+      squareFeet: parseFloat(row.square_feet),
+      grossSquareFeet: parseFloat(row.gross_square_feet),
+      amount: parseFloat(row.amount)
+    }));
+  }
+}
+
+module.exports = SalesReport;
@@ -0,0 +1,481 @@
+/**
+ * Slab Model
+ * Physical slab stock ledger. Slabs are registered when cut from a block and move
+ * in_stock -> reserved (on an open sheet) -> dispatched (on a dispatched or invoiced sheet) -> returned.
+ * Amending a sheet moves its slabs to the amendment; cancelling it puts them back in stock.
+ * Every status change is recorded in slab_movements.
+ *
+ * The methods that take a `client` run on the caller's transaction so stock moves
+ * commit or roll back together with the slab entry or sheet change that caused them
+ */
+
+const pool = require('../config/database');
+const { SHEET_STATUSES, isDispatchedStatus } = require('../../src/shared/sheetStatus');
+
+const SLAB_STATUS = {
+  IN_STOCK: 'in_stock',
+  RESERVED: 'reserved',
+  DISPATCHED: 'dispatched',
+  RETURNED: 'returned'
+};
+
+// Slabs that can be put on a measurement sheet
+const AVAILABLE_STATUSES = [SLAB_STATUS.IN_STOCK, SLAB_STATUS.RETURNED];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const SLAB_COLUMNS = `
+  s.id, s.slab_number, s.block_id, s.length, s.breadth, s.status, s.measurement_sheet_id,
+  s.notes, s.created_at, s.updated_at,
+  b.block_number, b.variety, b.thickness,
+  ms.measurement_sheet_number
+`;
+
+const SLAB_JOINS = `
+  JOIN blocks b ON s.block_id = b.id
+  LEFT JOIN measurement_sheets ms ON s.measurement_sheet_id = ms.id
+`;
+
+/**
+ * Build an error carrying the HTTP status the controller should answer with
+ */
+const stockError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class SlabMovement {
+  constructor(data) {
+    this.id = data.id;
+    this.fromStatus = data.from_status;
+    this.toStatus = data.to_status;
+    this.measurementSheetId = data.measurement_sheet_id;
+    this.measurementSheetNumber = data.measurement_sheet_number;
+    this.note = data.note;
+    this.createdAt = data.created_at;
+  }
+}
+
+class Slab {
+  constructor(data) {
+    this.id = data.id;
+    this.slabNumber = data.slab_number;
+    this.blockId = data.block_id;
+    this.blockNumber = data.block_number;
+    this.variety = data.variety;
+    this.thickness = data.thickness === null || data.thickness === undefined ? null : parseFloat(data.thickness);
+    this.length = parseFloat(data.length);
+    this.breadth = parseFloat(data.breadth);
+    this.status = data.status;
+    this.measurementSheetId = data.measurement_sheet_id;
+    this.measurementSheetNumber = data.measurement_sheet_number;
+    this.notes = data.notes;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.movements = data.movements ? data.movements.map(movement => new SlabMovement(movement)) : undefined;
+  }
+
+  /**
+   * Record a status change in the ledger
+   */
+  static async recordMovement(client, slabId, fromStatus, toStatus, measurementSheetId, note = null) {
+    await client.query(
+      `INSERT INTO slab_movements (slab_id, from_status, to_status, measurement_sheet_id, note)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [slabId, fromStatus, toStatus, measurementSheetId, note]
+    );
+  }
+
+  /**
+   * Register slabs cut from a block; they are numbered after the block (BG-1024-01, BG-1024-02, ...)
+   * @param {string} blockId - Block the slabs were cut from
+   * @param {Array<Object>} slabs - [{ length, breadth, notes }]
+   * @returns {Promise<Array<Slab>>} - Registered slabs
+   */
+  static async register(blockId, slabs) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the block so concurrent registrations number their slabs in turn
+      const blockResult = await client.query(
+        'SELECT id, block_number FROM blocks WHERE id = $1 FOR UPDATE',
+        [blockId]
+      );
+
+      if (blockResult.rows.length === 0) {
+        throw stockError('Block not found', 404);
+      }
+
+      const blockNumber = blockResult.rows[0].block_number;
+      const countResult = await client.query('SELECT COUNT(*) FROM slabs WHERE block_id = $1', [blockId]);
+      const existingCount = parseInt(countResult.rows[0].count);
+
+      const slabIds = [];
+
+      for (let i = 0; i < slabs.length; i++) {
+        const slabNumber = `${blockNumber}-${String(existingCount + i + 1).padStart(2, '0')}`;
+
+        const result = await client.query(
+          `INSERT INTO slabs (slab_number, block_id, length, breadth, notes)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [slabNumber, blockId, slabs[i].length, slabs[i].breadth, slabs[i].notes || null]
+        );
+
+        const slabId = result.rows[0].id;
+        await Slab.recordMovement(client, slabId, null, SLAB_STATUS.IN_STOCK, null, 'Registered');
+        slabIds.push(slabId);
+      }
+
+      await client.query('COMMIT');
+
+      const registered = await client.query(
+        `SELECT ${SLAB_COLUMNS} FROM slabs s ${SLAB_JOINS} WHERE s.id = ANY($1) ORDER BY s.slab_number`,
+        [slabIds]
+      );
+
+      return registered.rows.map(row => new Slab(row));
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get slabs in the ledger
+   * @param {Object} options - { blockId, status, availableOnly, search, measurementSheetId }
+   */
+  static async findAll(options = {}) {
+    const { blockId, status, availableOnly = false, search, measurementSheetId } = options;
+    const client = await pool.connect();
+
+    try {
+      const conditions = [];
+      const queryParams = [];
+
+      if (blockId) {
+        queryParams.push(blockId);
+        conditions.push(`s.block_id = $${queryParams.length}`);
+      }
+
+      if (status) {
+        queryParams.push(status);
+        conditions.push(`s.status = $${queryParams.length}`);
+      }
+
+      if (availableOnly) {
+        queryParams.push(AVAILABLE_STATUSES);
+        conditions.push(`s.status = ANY($${queryParams.length})`);
+      }
+
+      if (measurementSheetId) {
+        queryParams.push(measurementSheetId);
+        conditions.push(`s.measurement_sheet_id = $${queryParams.length}`);
+      }
+
+      if (search) {
+        queryParams.push(`%${search}%`);
+        conditions.push(`(s.slab_number ILIKE $${queryParams.length} OR b.variety ILIKE $${queryParams.length})`);
+      }
+
+      const result = await client.query(
+        `SELECT ${SLAB_COLUMNS} FROM slabs s ${SLAB_JOINS}
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY s.slab_number`,
+        queryParams
+      );
+
+      return result.rows.map(row => new Slab(row));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find slab by ID
+   * @param {string} id - Slab ID
+   * @param {Object} options - { includeMovements } to include the slab's ledger history
+   */
+  static async findById(id, options = {}) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`SELECT ${SLAB_COLUMNS} FROM slabs s ${SLAB_JOINS} WHERE s.id = $1`, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const data = result.rows[0];
+
+      if (options.includeMovements) {
+        const movementResult = await client.query(
+          `SELECT sm.*, ms.measurement_sheet_number
+           FROM slab_movements sm
+           LEFT JOIN measurement_sheets ms ON sm.measurement_sheet_id = ms.id
+           WHERE sm.slab_id = $1
+           ORDER BY sm.created_at`,
+          [id]
+        );
+        data.movements = movementResult.rows;
+      }
+
+      return new Slab(data);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Put an available slab on a measurement sheet
+   * The slab is reserved on an open sheet and dispatched straight away on a dispatched one.
+   * The conditional update makes selling the same slab twice fail even under concurrent requests
+   * @param {Object} client - Transaction client
+   * @param {string} slabId - Slab ID
+   * @param {Object} sheet - { id, status } of the measurement sheet
+   * @returns {Promise<Slab>} - The slab as it was before it was taken from stock
+   */
+  static async reserve(client, slabId, sheet) {
+    if (!Slab.isValidId(slabId)) {
+      throw stockError('Slab ID must be a valid UUID', 422);
+    }
+
+    const current = await client.query(
+      `SELECT ${SLAB_COLUMNS} FROM slabs s ${SLAB_JOINS} WHERE s.id = $1`,
+      [slabId]
+    );
+
+    if (current.rows.length === 0) {
+      throw stockError('Slab not found', 404);
+    }
+
+    const slab = new Slab(current.rows[0]);
+    const toStatus = isDispatchedStatus(sheet.status) ? SLAB_STATUS.DISPATCHED : SLAB_STATUS.RESERVED;
+
+    const result = await client.query(
+      `UPDATE slabs SET status = $1, measurement_sheet_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status = ANY($4)
+       RETURNING status`,
+      [toStatus, sheet.id, slabId, AVAILABLE_STATUSES]
+    );
+
+    if (result.rows.length === 0) {
+      throw stockError(
+        `Slab ${slab.slabNumber} is already ${slab.status}${slab.measurementSheetNumber ? ` on ${slab.measurementSheetNumber}` : ''}`,
+        409
+      );
+    }
+
+    await Slab.recordMovement(client, slabId, slab.status, toStatus, sheet.id);
+
+    return slab;
+  }
+
+  /**
+   * Put a slab back in stock when it is taken off a measurement sheet
+   * Slabs the sheet no longer holds (already returned) are left alone
+   * @param {Object} client - Transaction client
+   * @param {string} slabId - Slab ID
+   * @param {string} measurementSheetId - Sheet the slab is being removed from
+   * @param {string} note - Reason recorded in the ledger
+   */
+  static async release(client, slabId, measurementSheetId, note = null) {
+    const current = await client.query(
+      'SELECT status FROM slabs WHERE id = $1 AND measurement_sheet_id = $2 FOR UPDATE',
+      [slabId, measurementSheetId]
+    );
+
+    if (current.rows.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `UPDATE slabs SET status = $1, measurement_sheet_id = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [SLAB_STATUS.IN_STOCK, slabId]
+    );
+
+    await Slab.recordMovement(client, slabId, current.rows[0].status, SLAB_STATUS.IN_STOCK, measurementSheetId, note);
+  }
+
+  /**
+   * Release every slab a measurement sheet holds, used when the sheet is deleted or cancelled
+   */
+  static async releaseForSheet(client, measurementSheetId, note = null) {
+    const held = await client.query('SELECT id FROM slabs WHERE measurement_sheet_id = $1', [measurementSheetId]);
+
+    for (const row of held.rows) {
+      await Slab.release(client, row.id, measurementSheetId, note);
+    }
+  }
+
+  /**
+   * Hand the slabs one sheet holds over to another: an amendment takes the slabs of the
+   * sheet it amends, and gives them back when it is deleted. Each slab takes the status
+   * that fits the receiving sheet
+   * @param {Object} client - Transaction client
+   * @param {string} fromSheetId - Sheet holding the slabs
+   * @param {Object} toSheet - { id, status } of the receiving sheet
+   * @param {string} note - Reason recorded in the ledger
+   * @param {Array<string>} slabIds - Only these slabs; every slab the sheet holds when omitted
+   * @returns {Promise<number>} - Number of slabs moved
+   */
+  static async transferToSheet(client, fromSheetId, toSheet, note = null, slabIds = null) {
+    const toStatus = isDispatchedStatus(toSheet.status) ? SLAB_STATUS.DISPATCHED : SLAB_STATUS.RESERVED;
+    const held = slabIds
+      ? await client.query('SELECT id, status FROM slabs WHERE measurement_sheet_id = $1 AND id = ANY($2) FOR UPDATE', [fromSheetId, slabIds])
+      : await client.query('SELECT id, status FROM slabs WHERE measurement_sheet_id = $1 FOR UPDATE', [fromSheetId]);
+
+    for (const row of held.rows) {
+      await client.query(
+        `UPDATE slabs SET status = $1, measurement_sheet_id = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [toStatus, toSheet.id, row.id]
+      );
+      await Slab.recordMovement(client, row.id, row.status, toStatus, toSheet.id, note);
+    }
+
+    return held.rows.length;
+  }
+
+  /**
+   * Move a sheet's slabs when its status changes: dispatching a sheet dispatches its
+   * reserved slabs, an earlier status reserves them again and cancelling the sheet
+   * puts them back in stock
+   * @param {Object} client - Transaction client
+   * @param {string} measurementSheetId - Measurement sheet ID
+   * @param {string} sheetStatus - New sheet status
+   */
+  static async syncWithSheetStatus(client, measurementSheetId, sheetStatus) {
+    if (sheetStatus === SHEET_STATUSES.CANCELLED) {
+      const held = await client.query('SELECT COUNT(*) as count FROM slabs WHERE measurement_sheet_id = $1', [measurementSheetId]);
+      await Slab.releaseForSheet(client, measurementSheetId, 'Measurement sheet cancelled');
+      return parseInt(held.rows[0].count);
+    }
+
+    const dispatched = isDispatchedStatus(sheetStatus);
+    const fromStatus = dispatched ? SLAB_STATUS.RESERVED : SLAB_STATUS.DISPATCHED;
+    const toStatus = dispatched ? SLAB_STATUS.DISPATCHED : SLAB_STATUS.RESERVED;
+
+    const result = await client.query(
+      `UPDATE slabs SET status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE measurement_sheet_id = $2 AND status = $3
+       RETURNING id`,
+      [toStatus, measurementSheetId, fromStatus]
+    );
+
+    for (const row of result.rows) {
+      await Slab.recordMovement(client, row.id, fromStatus, toStatus, measurementSheetId);
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Take back a dispatched slab; it becomes available again
+   * The sale stays on the sheet it was dispatched on
+   * @param {string} note - Reason for the return
+   */
+  async markReturned(note = null) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE slabs SET status = $1, measurement_sheet_id = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = $3
+         RETURNING id`,
+        [SLAB_STATUS.RETURNED, this.id, SLAB_STATUS.DISPATCHED]
+      );
+
+      if (result.rows.length === 0) {
+        throw stockError(`Only dispatched slabs can be returned; slab ${this.slabNumber} is ${this.status}`, 409);
+      }
+
+      await Slab.recordMovement(client, this.id, SLAB_STATUS.DISPATCHED, SLAB_STATUS.RETURNED, this.measurementSheetId, note);
+
+      await client.query('COMMIT');
+
+      return Slab.findById(this.id, { includeMovements: true });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check that a slab ID is a UUID before it is used in a query
+   */
+  static isValidId(id) {
+    return UUID_PATTERN.test(String(id));
+  }
+
+  /**
+   * Validate slabs being registered
+   */
+  static validateRegistration(data) {
+    const errors = [];
+
+    if (!data.blockId || !UUID_PATTERN.test(String(data.blockId))) {
+      errors.push('Block ID is required and must be a valid UUID');
+    }
+
+    if (!Array.isArray(data.slabs) || data.slabs.length === 0) {
+      errors.push('At least one slab is required');
+      return errors;
+    }
+
+    if (data.slabs.length > 200) {
+      errors.push('Cannot register more than 200 slabs at once');
+    }
+
+    data.slabs.forEach((slab, index) => {
+      const length = parseFloat(slab && slab.length);
+      const breadth = parseFloat(slab && slab.breadth);
+      if (!(length > 0) || !(breadth > 0) || length > 10000 || breadth > 10000) {
+        errors.push(`Slab ${index + 1} requires a positive length and breadth in inches`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      slabNumber: this.slabNumber,
+      blockId: this.blockId,
+      blockNumber: this.blockNumber,
+      variety: this.variety,
+      thickness: this.thickness,
+      length: this.length,
+      breadth: this.breadth,
+      status: this.status,
+      measurementSheetId: this.measurementSheetId,
+      measurementSheetNumber: this.measurementSheetNumber,
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      movements: this.movements
+    };
+  }
+}
+
+Slab.STATUS = SLAB_STATUS;
+
+module.exports = Slab;
@@ -1,23 +1,37 @@
 /**
  * SlabEntry Model
  * High-performance slab entry data access layer with batch operations
+ * Changes are written to the audit log in the same transaction; the optional `user`
+ * argument is the signed in user making the change. Only entries of draft sheets
+ * can be changed (see MeasurementSheet.lockForEdit)
  */
 
 const pool = require('../config/database');
 const { cache } = require('../config/redis');
+const AuditLog = require('./AuditLog');
+const MeasurementSheet = require('./MeasurementSheet');
 
 class SlabEntry {
   constructor(data) {
     this.id = data.id;
     this.measurementSheetId = data.measurement_sheet_id;
     this.serialNumber = data.serial_number;
+    this.originEntryId = data.origin_entry_id || null;
+    this.slabId = data.slab_id || null;
     this.blockNumber = data.block_number;
+    this.material = data.material || null;
     this.length = parseFloat(data.length);
     this.breadth = parseFloat(data.breadth);
+    this.lengthInput = data.length_input || null;
+    this.breadthInput = data.breadth_input || null;
     this.slabCategory = data.slab_category;
     this.finalLength = parseFloat(data.final_length);
     this.finalBreadth = parseFloat(data.final_breadth);
     this.squareFeet = parseFloat(data.square_feet);
+    this.grossSquareFeet = data.gross_square_feet === null || data.gross_square_feet === undefined ? null : parseFloat(data.gross_square_feet);
+    this.squareMetres = data.square_metres === null || data.square_metres === undefined ? null : parseFloat(data.square_metres);
+    this.rate = data.rate === null || data.rate === undefined ? null : parseFloat(data.rate);
+    this.amount = data.amount === null || data.amount === undefined ? null : parseFloat(data.amount);
     this.calculationDetails = data.calculation_details;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
@@ -26,7 +40,7 @@ class SlabEntry {
   /**
    * Create a new slab entry with atomic serial number generation
    */
-  static async create(slabEntryData) {
+  static async create(slabEntryData, user = null) {
     const client = await pool.connect();
     
     try {
@@ -44,15 +58,8 @@ class SlabEntry {
         calculationDetails
       } = slabEntryData;
       
-      // Validate measurement sheet exists
-      const sheetCheck = await client.query(
-        'SELECT id FROM measurement_sheets WHERE id = $1',
-        [measurementSheetId]
-      );
-      
-      if (sheetCheck.rows.length === 0) {
-        throw new Error('Measurement sheet not found');
-      }
+      // The sheet must exist and still be open
+      await MeasurementSheet.lockForEdit(client, measurementSheetId);
       
       // Get next serial number atomically
       const serialQuery = `
@@ -79,6 +86,8 @@ class SlabEntry {
         slabCategory, finalLength, finalBreadth, squareFeet, calculationDetails
       ]);
       
+      await AuditLog.recordCreate(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, result.rows[0], user);
+      
       await client.query('COMMIT');
       
       const slabEntry = new SlabEntry(result.rows[0]);
@@ -101,21 +110,14 @@ class SlabEntry {
   /**
    * Batch create slab entries with optimized performance
    */
-  static async batchCreate(measurementSheetId, slabEntriesData) {
+  static async batchCreate(measurementSheetId, slabEntriesData, user = null) {
     const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
       
-      // Validate measurement sheet exists
-      const sheetCheck = await client.query(
-        'SELECT id FROM measurement_sheets WHERE id = $1',
-        [measurementSheetId]
-      );
-      
-      if (sheetCheck.rows.length === 0) {
-        throw new Error('Measurement sheet not found');
-      }
+      // The sheet must exist and still be open
+      await MeasurementSheet.lockForEdit(client, measurementSheetId);
       
       // Get current max serial number
       const serialQuery = `
@@ -165,6 +167,10 @@ class SlabEntry {
       
       const result = await client.query(batchQuery, params);
       
+      for (const row of result.rows) {
+        await AuditLog.recordCreate(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, row, user);
+      }
+      
       await client.query('COMMIT');
       
       const slabEntries = result.rows.map(row => new SlabEntry(row));
@@ -278,10 +284,12 @@ class SlabEntry {
   /**
    * Update slab entry with cache management
    */
-  async update(updateData) {
+  async update(updateData, user = null) {
     const client = await pool.connect();
     
     try {
+      await client.query('BEGIN');
+      
       const {
         blockNumber,
         length,
@@ -309,6 +317,10 @@ class SlabEntry {
         RETURNING *
       `;
       
+      await MeasurementSheet.lockForEdit(client, this.measurementSheetId);
+      
+      const beforeResult = await client.query('SELECT * FROM slab_entries WHERE id = $1 FOR UPDATE', [this.id]);
+      
       const result = await client.query(query, [
         blockNumber, length, breadth, slabCategory,
         finalLength, finalBreadth, squareFeet, calculationDetails, this.id
@@ -318,6 +330,10 @@ class SlabEntry {
         throw new Error('Slab entry not found');
       }
       
+      await AuditLog.recordChanges(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, beforeResult.rows[0], result.rows[0], user);
+      
+      await client.query('COMMIT');
+      
       // Update instance properties
       const updatedData = result.rows[0];
       Object.assign(this, {
@@ -339,6 +355,9 @@ class SlabEntry {
       
       return this;
       
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
@@ -347,7 +366,7 @@ class SlabEntry {
   /**
    * Batch update slab entries for better performance
    */
-  static async batchUpdate(updates) {
+  static async batchUpdate(updates, user = null) {
     const client = await pool.connect();
     
     try {
@@ -359,6 +378,12 @@ class SlabEntry {
       for (const update of updates) {
         const { id, ...updateData } = update;
         
+        const beforeResult = await client.query('SELECT * FROM slab_entries WHERE id = $1 FOR UPDATE', [id]);
+        
+        if (beforeResult.rows.length > 0) {
+          await MeasurementSheet.lockForEdit(client, beforeResult.rows[0].measurement_sheet_id);
+        }
+        
         const query = `
           UPDATE slab_entries 
           SET 
@@ -388,6 +413,8 @@ class SlabEntry {
         ]);
         
         if (result.rows.length > 0) {
+          await AuditLog.recordChanges(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, beforeResult.rows[0], result.rows[0], user);
+          
           const slabEntry = new SlabEntry(result.rows[0]);
           updatedEntries.push(slabEntry);
           affectedSheets.add(slabEntry.measurementSheetId);
@@ -416,17 +443,25 @@ class SlabEntry {
   /**
    * Delete slab entry with proper cleanup
    */
-  async delete() {
+  async delete(user = null) {
     const client = await pool.connect();
     
     try {
-      const query = 'DELETE FROM slab_entries WHERE id = $1 RETURNING measurement_sheet_id';
+      await client.query('BEGIN');
+      
+      await MeasurementSheet.lockForEdit(client, this.measurementSheetId);
+      
+      const query = 'DELETE FROM slab_entries WHERE id = $1 RETURNING *';
       const result = await client.query(query, [this.id]);
       
       if (result.rows.length === 0) {
         throw new Error('Slab entry not found');
       }
       
+      await AuditLog.recordDelete(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, result.rows[0], user);
+      
+      await client.query('COMMIT');
+      
       const measurementSheetId = result.rows[0].measurement_sheet_id;
       
       // Clear related caches
@@ -436,6 +471,9 @@ class SlabEntry {
       
       return true;
       
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
@@ -444,7 +482,7 @@ class SlabEntry {
   /**
    * Batch delete slab entries
    */
-  static async batchDelete(ids) {
+  static async batchDelete(ids, user = null) {
     const client = await pool.connect();
     
     try {
@@ -459,12 +497,36 @@ class SlabEntry {
       const sheetResult = await client.query(sheetQuery, [ids]);
       const affectedSheets = sheetResult.rows.map(row => row.measurement_sheet_id);
       
+      for (const sheetId of affectedSheets) {
+        await MeasurementSheet.lockForEdit(client, sheetId);
+      }
+      
       // Delete slab entries
-      const deleteQuery = 'DELETE FROM slab_entries WHERE id = ANY($1) RETURNING id';
+      const deleteQuery = 'DELETE FROM slab_entries WHERE id = ANY($1) RETURNING *';
       const deleteResult = await client.query(deleteQuery, [ids]);
       
+      for (const row of deleteResult.rows) {
+        await AuditLog.recordDelete(client, AuditLog.ENTITY_TYPES.SLAB_ENTRY, row, user);
+      }
+      
       await client.query('COMMIT');
       
       // Clear related caches for all affected measurement sheets
       for (const sheetId of affectedSheets) {
-        await cache.del(`mea
\ No newline at end of file
+        await cache.del(`measurement_sheet_full:${sheetId}`);
+        await cache.clearPattern(`slab_entries:sheet:${sheetId}:*`);
+      }
+      await cache.clearPattern('measurement_sheets:*');
+      
+      return deleteResult.rows.length;
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = SlabEntry;
@@ -0,0 +1,279 @@
+/**
+ * User Model
+ * Accounts that can sign in to the API. Passwords are hashed with scrypt and a per-user salt;
+ * the hash never leaves the model
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const pool = require('../config/database');
+const { ROLES, isValidRole } = require('../../src/shared/permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_SCHEME = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,50}$/;
+
+const USER_COLUMNS = 'id, username, full_name, role, is_active, last_login_at, created_at, updated_at';
+
+/**
+ * Build an error carrying the HTTP status the controller should answer with
+ */
+const userError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class User {
+  constructor(data) {
+    this.id = data.id;
+    this.username = data.username;
+    this.fullName = data.full_name;
+    this.role = data.role;
+    this.isActive = data.is_active;
+    this.lastLoginAt = data.last_login_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} - scrypt$<salt>$<hash>, both hex encoded
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `${HASH_SCHEME}$${salt}$${key.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   */
+  static async verifyPassword(password, passwordHash) {
+    const parts = String(passwordHash || '').split('$');
+    if (parts.length !== 3 || parts[0] !== HASH_SCHEME) {
+      return false;
+    }
+
+    const expected = Buffer.from(parts[2], 'hex');
+    const key = await scrypt(password, parts[1], expected.length);
+    return crypto.timingSafeEqual(key, expected);
+  }
+
+  /**
+   * Normalise a username for storage and lookup; usernames are case-insensitive
+   */
+  static normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  /**
+   * Create a user account
+   * @param {Object} data - { username, fullName, password, role }
+   * @returns {Promise<User>} - Created user
+   */
+  static async create(data) {
+    const client = await pool.connect();
+
+    try {
+      const passwordHash = await User.hashPassword(data.password);
+
+      const result = await client.query(
+        `INSERT INTO users (username, full_name, password_hash, role)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${USER_COLUMNS}`,
+        [User.normalizeUsername(data.username), data.fullName.trim(), passwordHash, data.role || ROLES.MEASURER]
+      );
+
+      return new User(result.rows[0]);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check a username and password
+   * Unknown users, inactive users and wrong passwords are all reported the same way
+   * @returns {Promise<User|null>} - The signed in user, or null
+   */
+  static async authenticate(username, password) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ${USER_COLUMNS}, password_hash FROM users WHERE username = $1`,
+        [User.normalizeUsername(username)]
+      );
+
+      const row = result.rows[0];
+      const passwordMatches = row ? await User.verifyPassword(password, row.password_hash) : false;
+
+      if (!row || !row.is_active || !passwordMatches) {
+        return null;
+      }
+
+      const updated = await client.query(
+        `UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+        [row.id]
+      );
+
+      return new User(updated.rows[0]);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find user by ID
+   */
+  static async findById(id) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+      return result.rows.length > 0 ? new User(result.rows[0]) : null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get all user accounts
+   */
+  static async findAll() {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`);
+      return result.rows.map(row => new User(row));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update the account's name, role, active flag or password
+   * The shop always keeps at least one active owner, so the last one cannot be demoted or deactivated
+   * @param {Object} updates - { fullName, role, isActive, password }; undefined fields are left alone
+   * @returns {Promise<User>} - Updated user
+   */
+  async update(updates) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const losesOwner = this.role === ROLES.OWNER && this.isActive &&
+        ((updates.role !== undefined && updates.role !== ROLES.OWNER) || updates.isActive === false);
+
+      if (losesOwner) {
+        // Lock the owner rows so two owners cannot demote each other at the same time
+        const owners = await client.query(
+          'SELECT id FROM users WHERE role = $1 AND is_active = true FOR UPDATE',
+          [ROLES.OWNER]
+        );
+        if (owners.rows.length <= 1) {
+          throw userError('At least one active owner is required', 409);
+        }
+      }
+
+      const fields = [];
+      const values = [];
+      const setField = (column, value) => {
+        values.push(value);
+        fields.push(`${column} = $${values.length}`);
+      };
+
+      if (updates.fullName !== undefined) {
+        setField('full_name', updates.fullName.trim());
+      }
+      if (updates.role !== undefined) {
+        setField('role', updates.role);
+      }
+      if (updates.isActive !== undefined) {
+        setField('is_active', updates.isActive);
+      }
+      if (updates.password !== undefined) {
+        setField('password_hash', await User.hashPassword(updates.password));
+      }
+
+      if (fields.length > 0) {
+        values.push(this.id);
+        const result = await client.query(
+          `UPDATE users SET ${fields.join(', ')} WHERE id = $${values.length} RETURNING ${USER_COLUMNS}`,
+          values
+        );
+        Object.assign(this, new User(result.rows[0]));
+      }
+
+      await client.query('COMMIT');
+      return this;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Validate a new account, or only the given fields of an update when `partial` is set
+   */
+  static validateData(data, options = {}) {
+    const errors = [];
+    const partial = Boolean(options.partial);
+
+    if (!partial && !USERNAME_PATTERN.test(User.normalizeUsername(data.username))) {
+      errors.push('Username must be 3-50 characters of letters, numbers, dots, dashes or underscores');
+    }
+
+    if ((!partial || data.fullName !== undefined) && (!data.fullName || !String(data.fullName).trim())) {
+      errors.push('Full name is required');
+    }
+
+    if ((!partial || data.password !== undefined) &&
+        (typeof data.password !== 'string' || data.password.length < MIN_PASSWORD_LENGTH)) {
+      errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    if (data.role !== undefined && !isValidRole(data.role)) {
+      errors.push(`Role must be one of: ${Object.keys(ROLES).map(key => ROLES[key]).join(', ')}`);
+    }
+
+    if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+      errors.push('isActive must be true or false');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      fullName: this.fullName,
+      role: this.role,
+      isActive: this.isActive,
+      lastLoginAt: this.lastLoginAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+User.ROLES = ROLES;
+
+module.exports = User;
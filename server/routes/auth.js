@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { login, getCurrentUser } = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+
+// Authentication routes; login is the only API route that works without a token
+router.post('/login', login);
+router.get('/me', requireAuth, getCurrentUser);
+
+module.exports = router;
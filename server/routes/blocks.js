@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBlocks,
+  getBlockById,
+  createBlock,
+  updateBlock,
+  deleteBlock
+} = require('../controllers/blockController');
+const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// Block inventory routes
+router.get('/', getBlocks);
+router.post('/', requirePermission(PERMISSIONS.STOCK_MANAGE), createBlock);
+router.get('/:id', validateUUID('id'), getBlockById);
+router.put('/:id', validateUUID('id'), requirePermission(PERMISSIONS.STOCK_MANAGE), updateBlock);
+router.delete('/:id', validateUUID('id'), requirePermission(PERMISSIONS.STOCK_MANAGE), deleteBlock);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCalculationProfiles,
+  getCalculationProfileById,
+  createCalculationProfile,
+  updateCalculationProfile,
+  deleteCalculationProfile
+} = require('../controllers/calculationProfileController');
+const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// Calculation profile routes
+router.get('/', getCalculationProfiles);
+router.post('/', requirePermission(PERMISSIONS.SETTINGS_MANAGE), createCalculationProfile);
+router.get('/:id', validateUUID('id'), getCalculationProfileById);
+router.put('/:id', validateUUID('id'), requirePermission(PERMISSIONS.SETTINGS_MANAGE), updateCalculationProfile);
+router.delete('/:id', validateUUID('id'), requirePermission(PERMISSIONS.SETTINGS_MANAGE), deleteCalculationProfile);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCustomerTypes,
+  getCustomerType
+} = require('../controllers/customerTypeController');
+
+// Customer type registry routes
+router.get('/', getCustomerTypes);
+router.get('/:keyOrLabel', getCustomerType);
+
+module.exports = router;
@@ -7,7 +7,9 @@ const {
   updateCustomer,
   deleteCustomer,
   getFrequentlyAccessedCustomers,
-  getCustomerStatistics
+  getCustomerStatistics,
+  getCustomerLedger,
+  exportCustomerStatementPdf
 } = require('../controllers/customerController');
 const {
   validateUUID,
@@ -16,14 +18,21 @@ const {
   validateCustomerSearch,
   validateLimit
 } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
 
 // Customer CRUD routes
-router.post('/', validateCustomerData, createCustomer);
+router.post('/', requirePermission(PERMISSIONS.CUSTOMERS_EDIT), validateCustomerData, createCustomer);
 router.get('/', validatePagination, validateCustomerSearch, getCustomers);
 router.get('/frequently-accessed', validateLimit, getFrequentlyAccessedCustomers);
 router.get('/statistics', getCustomerStatistics);
 router.get('/:id', validateUUID('id'), getCustomerById);
-router.put('/:id', validateUUID('id'), validateCustomerData, updateCustomer);
-router.delete('/:id', validateUUID('id'), deleteCustomer);
+router.put('/:id', validateUUID('id'), requirePermission(PERMISSIONS.CUSTOMERS_EDIT), validateCustomerData, updateCustomer);
+router.delete('/:id', validateUUID('id'), requirePermission(PERMISSIONS.CUSTOMERS_DELETE), deleteCustomer);
+
+// Running ledger of sheets and payments, and the statement for a date range (?from=&to=);
+// both are the customer's accounts, so they need the same permission as taking payments
+router.get('/:id/ledger', validateUUID('id'), requirePermission(PERMISSIONS.PAYMENTS_MANAGE), getCustomerLedger);
+router.get('/:id/statement/pdf', validateUUID('id'), requirePermission(PERMISSIONS.PAYMENTS_MANAGE), exportCustomerStatementPdf);
 
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,21 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
 
 // Import route modules
 const customerRoutes = require('./customers');
 const measurementSheetRoutes = require('./measurementSheets');
 const slabEntryRoutes = require('./slabEntries');
-
-// Mount routes
-router.use('/customers', customerRoutes);
-router.use('/measurement-sheets', measurementSheetRoutes);
-router.use('/slab-entries', slabEntryRoutes);
+const calculationProfileRoutes = require('./calculationProfiles');
+const customerTypeRoutes = require('./customerTypes');
+const rateCardRoutes = require('./rateCards');
+const invoiceRoutes = require('./invoices');
+const paymentRoutes = require('./payments');
+const blockRoutes = require('./blocks');
+const slabRoutes = require('./slabs');
+const reportRoutes = require('./reports');
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -20,4 +26,22 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Sign in is public; every route mounted after requireAuth needs a bearer token
+router.use('/auth', authRoutes);
+router.use(requireAuth);
+
+// Mount routes
+router.use('/users', userRoutes);
+router.use('/customers', customerRoutes);
+router.use('/measurement-sheets', measurementSheetRoutes);
+router.use('/slab-entries', slabEntryRoutes);
+router.use('/calculation-profiles', calculationProfileRoutes);
+router.use('/customer-types', customerTypeRoutes);
+router.use('/rate-cards', rateCardRoutes);
+router.use('/invoices', invoiceRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/blocks', blockRoutes);
+router.use('/slabs', slabRoutes);
+router.use('/reports', reportRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInvoice,
+  getInvoices,
+  getInvoiceById,
+  cancelInvoice
+} = require('../controllers/invoiceController');
+const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// Invoice routes
+router.post('/', requirePermission(PERMISSIONS.INVOICES_MANAGE), createInvoice);
+router.get('/', getInvoices);
+router.get('/:id', validateUUID('id'), getInvoiceById);
+router.post('/:id/cancel', validateUUID('id'), requirePermission(PERMISSIONS.INVOICES_MANAGE), cancelInvoice);
+
+module.exports = router;
@@ -6,24 +6,43 @@ const {
   getMeasurementSheetById,
   updateMeasurementSheet,
   deleteMeasurementSheet,
+  getMeasurementSheetHistory,
+  getMeasurementSheetStatistics,
+  amendMeasurementSheet,
+  getMeasurementSheetDiff,
   exportMeasurementSheetToPDF,
-  exportMeasurementSheetToCSV
+  exportMeasurementSheetToCSV,
+  exportMeasurementSheetToXLSX,
+  exportMeasurementSheetsToXLSX
 } = require('../controllers/measurementSheetController');
 const {
   validateUUID,
   validateMeasurementSheetData,
   validatePagination
 } = require('../middleware/validation');
+const { requireUnlockedSheet, sheetIdFromParams } = require('../middleware/sheetLock');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
 
 // Measurement sheet routes
-router.post('/', validateMeasurementSheetData, createMeasurementSheet);
+router.post('/', requirePermission(PERMISSIONS.SHEETS_CREATE), validateMeasurementSheetData, createMeasurementSheet);
 router.get('/', validatePagination, getMeasurementSheets);
+// Dashboard figures; registered before '/:id' so 'statistics' is not read as a sheet ID
+router.get('/statistics', getMeasurementSheetStatistics);
+// Every sheet matching the list filters, in one workbook
+router.get('/export/xlsx', requirePermission(PERMISSIONS.SHEETS_EXPORT), exportMeasurementSheetsToXLSX);
 router.get('/:id', validateUUID('id'), getMeasurementSheetById);
-router.put('/:id', validateUUID('id'), updateMeasurementSheet);
-router.delete('/:id', validateUUID('id'), deleteMeasurementSheet);
+// Moves a sheet through its lifecycle; the permission each status needs is checked in the controller
+router.put('/:id', validateUUID('id'), requirePermission(PERMISSIONS.SHEETS_EDIT), requireUnlockedSheet(sheetIdFromParams), updateMeasurementSheet);
+router.delete('/:id', validateUUID('id'), requirePermission(PERMISSIONS.SHEETS_DELETE), requireUnlockedSheet(sheetIdFromParams), deleteMeasurementSheet);
+router.get('/:id/history', validateUUID('id'), getMeasurementSheetHistory);
+// Corrections to an approved or dispatched sheet go on a new revision, compared line by line with the one it amends
+router.post('/:id/amend', validateUUID('id'), requirePermission(PERMISSIONS.SHEETS_AMEND), requireUnlockedSheet(sheetIdFromParams), amendMeasurementSheet);
+router.get('/:id/diff', validateUUID('id'), getMeasurementSheetDiff);
 
 // Export routes
-router.get('/:id/export/pdf', validateUUID('id'), exportMeasurementSheetToPDF);
-router.get('/:id/export/csv', validateUUID('id'), exportMeasurementSheetToCSV);
+router.get('/:id/export/pdf', validateUUID('id'), requirePermission(PERMISSIONS.SHEETS_EXPORT), exportMeasurementSheetToPDF);
+router.get('/:id/export/csv', validateUUID('id'), requirePermission(PERMISSIONS.SHEETS_EXPORT), exportMeasurementSheetToCSV);
+router.get('/:id/export/xlsx', validateUUID('id'), requirePermission(PERMISSIONS.SHEETS_EXPORT), exportMeasurementSheetToXLSX);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPayment,
+  getPayments,
+  deletePayment
+} = require('../controllers/paymentController');
+const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// Payment routes; a customer's balance is read from GET /customers/:id/ledger
+router.post('/', requirePermission(PERMISSIONS.PAYMENTS_MANAGE), createPayment);
+router.get('/', requirePermission(PERMISSIONS.PAYMENTS_MANAGE), getPayments);
+router.delete('/:id', validateUUID('id'), requirePermission(PERMISSIONS.PAYMENTS_MANAGE), deletePayment);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRateCards,
+  getRateCardById,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard
+} = require('../controllers/rateCardController');
+const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// Rate card routes
+router.get('/', getRateCards);
+router.post('/', requirePermission(PERMISSIONS.RATE_CARDS_MANAGE), createRateCard);
+router.get('/:id', validateUUID('id'), getRateCardById);
+router.put('/:id', validateUUID('id'), requirePermission(PERMISSIONS.RATE_CARDS_MANAGE), updateRateCard);
+router.delete('/:id', validateUUID('id'), requirePermission(PERMISSIONS.RATE_CARDS_MANAGE), deleteRateCard);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSalesReport,
+  exportSalesReportToXLSX,
+  exportSalesReportToCSV,
+  getWastageReport,
+  exportWastageReportToXLSX,
+  exportWastageReportToCSV
+} = require('../controllers/reportController');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// Sales analytics; every report and download needs the reports permission
+router.use(requirePermission(PERMISSIONS.REPORTS_VIEW));
+
+router.get('/sales', getSalesReport);
+router.get('/sales/export/xlsx', exportSalesReportToXLSX);
+router.get('/sales/export/csv', exportSalesReportToCSV);
+router.get('/wastage', getWastageReport);
+router.get('/wastage/export/xlsx', exportWastageReportToXLSX);
+router.get('/wastage/export/csv', exportWastageReportToCSV);
+
+module.exports = router;
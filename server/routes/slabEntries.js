@@ -12,13 +12,22 @@ const {
   validateUUID,
   validateSlabEntryData
 } = require('../middleware/validation');
+const {
+  requireUnlockedSheet,
+  sheetIdFromBody,
+  sheetIdFromSlabEntry
+} = require('../middleware/sheetLock');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+const canEditSheet = requirePermission(PERMISSIONS.SHEETS_EDIT);
 
 // Slab entry routes
-router.post('/', validateSlabEntryData, createSlabEntry);
-router.post('/batch', batchCreateSlabEntries);
+router.post('/', canEditSheet, validateSlabEntryData, requireUnlockedSheet(sheetIdFromBody), createSlabEntry);
+router.post('/batch', canEditSheet, requireUnlockedSheet(sheetIdFromBody), batchCreateSlabEntries);
 router.get('/sheet/:measurementSheetId', validateUUID('measurementSheetId'), getSlabEntries);
 router.get('/:id', validateUUID('id'), getSlabEntryById);
-router.put('/:id', validateUUID('id'), updateSlabEntry);
-router.delete('/:id', validateUUID('id'), deleteSlabEntry);
+router.put('/:id', validateUUID('id'), canEditSheet, requireUnlockedSheet(sheetIdFromSlabEntry), updateSlabEntry);
+router.delete('/:id', validateUUID('id'), canEditSheet, requireUnlockedSheet(sheetIdFromSlabEntry), deleteSlabEntry);
 
 module.exports = router;
\ No newline at end of file
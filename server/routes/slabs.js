@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSlabs,
+  getSlabById,
+  registerSlabs,
+  returnSlab
+} = require('../controllers/slabController');
+const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// Slab stock ledger routes
+router.get('/', getSlabs);
+router.post('/', requirePermission(PERMISSIONS.STOCK_MANAGE), registerSlabs);
+router.get('/:id', validateUUID('id'), getSlabById);
+router.post('/:id/return', validateUUID('id'), requirePermission(PERMISSIONS.STOCK_MANAGE), returnSlab);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getUsers, createUser, updateUser } = require('../controllers/userController');
+const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../../src/shared/permissions');
+
+// User account routes, for owners only
+router.use(requirePermission(PERMISSIONS.USERS_MANAGE));
+router.get('/', getUsers);
+router.post('/', createUser);
+router.put('/:id', validateUUID('id'), updateUser);
+
+module.exports = router;
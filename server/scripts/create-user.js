@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Create a user account
+ * Usage: npm run user:create -- <username> "<full name>" [role]
+ * The role defaults to owner, since the first account is usually the shop owner's.
+ * The password is read from the USER_PASSWORD environment variable, or asked for
+ */
+
+const readline = require('readline');
+const User = require('../models/User');
+const pool = require('../config/database');
+
+function askPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  return new Promise(resolve => {
+    rl.question('Password: ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function createUser() {
+  const [username, fullName, role = User.ROLES.OWNER] = process.argv.slice(2);
+
+  if (!username || !fullName) {
+    console.error('Usage: npm run user:create -- <username> "<full name>" [measurer|accountant|owner]');
+    process.exit(1);
+  }
+
+  try {
+    const password = process.env.USER_PASSWORD || await askPassword();
+
+    const validationErrors = User.validateData({ username, fullName, password, role });
+    if (validationErrors.length > 0) {
+      console.error('❌ Cannot create user:');
+      validationErrors.forEach(error => console.error(`   - ${error}`));
+      process.exit(1);
+    }
+
+    const user = await User.create({ username, fullName, password, role });
+    console.log(`✓ Created ${user.role} ${user.username} (${user.fullName})`);
+
+  } catch (error) {
+    if (error.code === '23505') {
+      console.error(`❌ A user named ${username} already exists`);
+    } else {
+      console.error('❌ Failed to create user:', error.message);
+    }
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createUser();
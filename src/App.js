@@ -6,12 +6,19 @@ import './App.css';
 // Import components
 import ErrorBoundary from './components/common/ErrorBoundary';
 import Header from './components/common/Header';
+import { RequireAuth } from './components/auth';
 import { AppProvider } from './contexts/AppContext';
 import Dashboard from './pages/Dashboard';
 import CustomerManagement from './pages/CustomerManagement';
 import MeasurementSheetForm from './pages/MeasurementSheetForm';
 import MeasurementSheetList from './pages/MeasurementSheetList';
 import MeasurementSheetView from './pages/MeasurementSheetView';
+import BlockInventory from './pages/BlockInventory';
+import BlockDetail from './pages/BlockDetail';
+import SlabStock from './pages/SlabStock';
+import UserManagement from './pages/UserManagement';
+import SalesReports from './pages/SalesReports';
+import Login from './pages/Login';
 
 function App() {
   return (
@@ -22,12 +29,20 @@ function App() {
             <Header />
             <main className="container-fluid">
               <Routes>
-                <Route path="/" element={<Dashboard />} />
-                <Route path="/customers" element={<CustomerManagement />} />
-                <Route path="/measurement-sheet/new" element={<MeasurementSheetForm />} />
-                <Route path="/measurement-sheet/edit/:id" element={<MeasurementSheetForm />} />
-                <Route path="/measurement-sheets" element={<MeasurementSheetList />} />
-                <Route path="/measurement-sheet/:id" element={<MeasurementSheetView />} />
+                <Route path="/login" element={<Login />} />
+                <Route element={<RequireAuth />}>
+                  <Route path="/" element={<Dashboard />} />
+                  <Route path="/customers" element={<CustomerManagement />} />
+                  <Route path="/measurement-sheet/new" element={<MeasurementSheetForm />} />
+                  <Route path="/measurement-sheet/edit/:id" element={<MeasurementSheetForm />} />
+                  <Route path="/measurement-sheets" element={<MeasurementSheetList />} />
+                  <Route path="/measurement-sheet/:id" element={<MeasurementSheetView />} />
+                  <Route path="/blocks" element={<BlockInventory />} />
+                  <Route path="/blocks/:id" element={<BlockDetail />} />
+                  <Route path="/slabs" element={<SlabStock />} />
+                  <Route path="/users" element={<UserManagement />} />
+                  <Route path="/reports" element={<SalesReports />} />
+                </Route>
               </Routes>
             </main>
           </div>
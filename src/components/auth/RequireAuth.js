@@ -0,0 +1,26 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { useAppContext } from '../../contexts/AppContext';
+import { ROUTES } from '../../utils/constants';
+
+/**
+ * Layout route that only renders its child routes for a signed in user
+ * Anyone else is sent to the login page, which returns them here after signing in
+ */
+const RequireAuth = () => {
+  const { state } = useAppContext();
+  const location = useLocation();
+
+  if (!state.authChecked) {
+    return <LoadingSpinner text="Checking sign in..." />;
+  }
+
+  if (!state.user) {
+    return <Navigate to={ROUTES.LOGIN} state={{ from: location }} replace />;
+  }
+
+  return <Outlet />;
+};
+
+export default RequireAuth;
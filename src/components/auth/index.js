@@ -0,0 +1 @@
+export { default as RequireAuth } from './RequireAuth';
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import FormField from '../common/FormField';
+import { blockService } from '../../services/blockService';
+import { BLOCK_FINISHES } from '../../utils/constants';
+
+const EMPTY_BLOCK = {
+  blockNumber: '',
+  quarrySource: '',
+  variety: '',
+  color: '',
+  finish: '',
+  thickness: '',
+  arrivalDate: '',
+  grossSlabCount: '',
+  notes: ''
+};
+
+/**
+ * Add a block to inventory, or edit one when `block` is given
+ */
+const BlockFormModal = ({
+  show,
+  onHide,
+  block = null,
+  onSaved
+}) => {
+  const [formData, setFormData] = useState(EMPTY_BLOCK);
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isEditing = Boolean(block);
+
+  useEffect(() => {
+    if (show) {
+      setFormData(block ? {
+        blockNumber: block.blockNumber || '',
+        quarrySource: block.quarrySource || '',
+        variety: block.variety || '',
+        color: block.color || '',
+        finish: block.finish || '',
+        thickness: block.thickness ? String(block.thickness) : '',
+        arrivalDate: block.arrivalDate || '',
+        grossSlabCount: String(block.grossSlabCount || 0),
+        notes: block.notes || ''
+      } : {
+        ...EMPTY_BLOCK,
+        arrivalDate: new Date().toISOString().slice(0, 10)
+      });
+      setErrors({});
+      setSubmitError(null);
+    }
+  }, [show, block]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.blockNumber.trim()) {
+      newErrors.blockNumber = 'Block number is required';
+    }
+
+    if (!formData.variety.trim()) {
+      newErrors.variety = 'Variety is required';
+    }
+
+    if (formData.thickness && !(parseFloat(formData.thickness) > 0)) {
+      newErrors.thickness = 'Thickness must be a positive number';
+    }
+
+    const grossSlabCount = Number(formData.grossSlabCount || 0);
+    if (!Number.isInteger(grossSlabCount) || grossSlabCount < 0) {
+      newErrors.grossSlabCount = 'Slab count must be a whole number';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+
+    const blockData = {
+      quarrySource: formData.quarrySource.trim(),
+      variety: formData.variety.trim(),
+      color: formData.color.trim(),
+      finish: formData.finish,
+      thickness: formData.thickness,
+      arrivalDate: formData.arrivalDate,
+      grossSlabCount: formData.grossSlabCount || 0,
+      notes: formData.notes.trim()
+    };
+
+    try {
+      const savedBlock = isEditing
+        ? await blockService.updateBlock(block.id, blockData)
+        : await blockService.createBlock({ ...blockData, blockNumber: formData.blockNumber.trim() });
+
+      onSaved(savedBlock);
+      onHide();
+    } catch (error) {
+      if (error.response?.status === 409) {
+        setSubmitError('A block with this block number already exists.');
+      } else if (error.response?.data?.details) {
+        setSubmitError(`Validation error: ${error.response.data.details.join(', ')}`);
+      } else {
+        setSubmitError('Failed to save block. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const finishOptions = BLOCK_FINISHES.map(finish => ({ value: finish, label: finish }));
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>{isEditing ? `Edit Block ${block.blockNumber}` : 'Add Block to Inventory'}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {submitError && (
+          <Alert variant="danger" dismissible onClose={() => setSubmitError(null)}>
+            {submitError}
+          </Alert>
+        )}
+
+        <Form>
+          <Row>
+            <Col md={4}>
+              <FormField
+                label="Block Number"
+                name="blockNumber"
+                value={formData.blockNumber}
+                onChange={handleInputChange}
+                error={errors.blockNumber}
+                touched={!!errors.blockNumber}
+                placeholder="e.g. BG-1024"
+                required
+                disabled={isEditing}
+              />
+            </Col>
+
+            <Col md={4}>
+              <FormField
+                label="Variety"
+                name="variety"
+                value={formData.variety}
+                onChange={handleInputChange}
+                error={errors.variety}
+                touched={!!errors.variety}
+                placeholder="e.g. Black Galaxy"
+                required
+              />
+            </Col>
+
+            <Col md={4}>
+              <FormField
+                label="Color"
+                name="color"
+                value={formData.color}
+                onChange={handleInputChange}
+                placeholder="e.g. Black"
+              />
+            </Col>
+          </Row>
+
+          <Row>
+            <Col md={8}>
+              <FormField
+                label="Quarry Source"
+                name="quarrySource"
+                value={formData.quarrySource}
+                onChange={handleInputChange}
+                placeholder="e.g. Chimakurthy, Andhra Pradesh"
+              />
+            </Col>
+
+            <Col md={4}>
+              <FormField
+                label="Arrival Date"
+                name="arrivalDate"
+                type="date"
+                value={formData.arrivalDate}
+                onChange={handleInputChange}
+              />
+            </Col>
+          </Row>
+
+          <Row>
+            <Col md={4}>
+              <FormField
+                label="Finish"
+                name="finish"
+                as="select"
+                value={formData.finish}
+                onChange={handleInputChange}
+                options={finishOptions}
+                placeholder="Select finish"
+              />
+            </Col>
+
+            <Col md={4}>
+              <FormField
+                label="Thickness (mm)"
+                name="thickness"
+                type="number"
+                step="0.1"
+                min="0"
+                value={formData.thickness}
+                onChange={handleInputChange}
+                error={errors.thickness}
+                touched={!!errors.thickness}
+                placeholder="e.g. 18"
+              />
+            </Col>
+
+            <Col md={4}>
+              <FormField
+                label="Gross Slab Count"
+                name="grossSlabCount"
+                type="number"
+                step="1"
+                min="0"
+                value={formData.grossSlabCount}
+                onChange={handleInputChange}
+                error={errors.grossSlabCount}
+                touched={!!errors.grossSlabCount}
+                placeholder="0"
+              />
+            </Col>
+          </Row>
+
+          <FormField
+            label="Notes"
+            name="notes"
+            as="textarea"
+            rows={2}
+            value={formData.notes}
+            onChange={handleInputChange}
+          />
+        </Form>
+
+        {!isEditing && (
+          <small className="text-muted">
+            Slabs already entered with this block number are linked to the new block.
+          </small>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={handleSave} disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Saving...
+            </>
+          ) : (
+            isEditing ? 'Save Changes' : 'Add Block'
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default BlockFormModal;
@@ -0,0 +1 @@
+export { default as BlockFormModal } from './BlockFormModal';
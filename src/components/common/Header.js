@@ -1,8 +1,24 @@
 import React from 'react';
-import { Navbar, Nav, Container } from 'react-bootstrap';
+import { Navbar, Nav, Container, NavDropdown } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAppContext } from '../../contexts/AppContext';
+import { authService } from '../../services/authService';
+import SyncStatus from './SyncStatus';
+import usePermissions from '../../hooks/usePermissions';
+import { PERMISSIONS, ROLE_LABELS, ROUTES } from '../../utils/constants';
 
 const Header = () => {
+  const { state, actions } = useAppContext();
+  const navigate = useNavigate();
+  const { can } = usePermissions();
+
+  const handleSignOut = () => {
+    authService.logout();
+    actions.setUser(null);
+    navigate(ROUTES.LOGIN);
+  };
+
   return (
     <Navbar bg="dark" variant="dark" expand="lg" className="mb-4">
       <Container>
@@ -13,26 +29,57 @@ const Header = () => {
           </Navbar.Brand>
         </LinkContainer>
         
-        <Navbar.Toggle aria-controls="basic-navbar-nav" />
-        <Navbar.Collapse id="basic-navbar-nav">
-          <Nav className="me-auto">
-            <LinkContainer to="/">
-              <Nav.Link>Dashboard</Nav.Link>
-            </LinkContainer>
-            <LinkContainer to="/measurement-sheet/new">
-              <Nav.Link>New Measurement Sheet</Nav.Link>
-            </LinkContainer>
-            <LinkContainer to="/measurement-sheets">
-              <Nav.Link>View Sheets</Nav.Link>
-            </LinkContainer>
-            <LinkContainer to="/customers">
-              <Nav.Link>Customers</Nav.Link>
-            </LinkContainer>
-          </Nav>
-        </Navbar.Collapse>
+        {state.user && (
+          <>
+            <Navbar.Toggle aria-controls="basic-navbar-nav" />
+            <Navbar.Collapse id="basic-navbar-nav">
+              <Nav className="me-auto">
+                <LinkContainer to="/">
+                  <Nav.Link>Dashboard</Nav.Link>
+                </LinkContainer>
+                <LinkContainer to="/measurement-sheet/new">
+                  <Nav.Link>New Measurement Sheet</Nav.Link>
+                </LinkContainer>
+                <LinkContainer to="/measurement-sheets">
+                  <Nav.Link>View Sheets</Nav.Link>
+                </LinkContainer>
+                <LinkContainer to="/customers">
+                  <Nav.Link>Customers</Nav.Link>
+                </LinkContainer>
+                <LinkContainer to="/blocks">
+                  <Nav.Link>Blocks</Nav.Link>
+                </LinkContainer>
+                <LinkContainer to="/slabs">
+                  <Nav.Link>Stock</Nav.Link>
+                </LinkContainer>
+                {can(PERMISSIONS.REPORTS_VIEW) && (
+                  <LinkContainer to={ROUTES.REPORTS}>
+                    <Nav.Link>Reports</Nav.Link>
+                  </LinkContainer>
+                )}
+                {can(PERMISSIONS.USERS_MANAGE) && (
+                  <LinkContainer to={ROUTES.USERS}>
+                    <Nav.Link>Users</Nav.Link>
+                  </LinkContainer>
+                )}
+              </Nav>
+              <Nav className="align-items-lg-center">
+                <SyncStatus />
+                <NavDropdown title={state.user.fullName} id="user-menu" align="end">
+                  <NavDropdown.ItemText className="text-muted small">
+                    Signed in as {state.user.username}
+                    <div>{ROLE_LABELS[state.user.role]}</div>
+                  </NavDropdown.ItemText>
+                  <NavDropdown.Divider />
+                  <NavDropdown.Item onClick={handleSignOut}>Sign Out</NavDropdown.Item>
+                </NavDropdown>
+              </Nav>
+            </Navbar.Collapse>
+          </>
+        )}
       </Container>
     </Navbar>
   );
 };
 
-export default Header;
\ No newline at end of file
+export default Header;
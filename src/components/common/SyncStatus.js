@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Badge, Button, Modal, ListGroup, Spinner } from 'react-bootstrap';
+import useSyncStatus from '../../hooks/useSyncStatus';
+import { syncService } from '../../services/syncService';
+
+/**
+ * Offline sync state for the header
+ * Shows when the app is offline, how many changes are waiting to be sent, and the
+ * changes the server refused on replay, which the user can review and dismiss
+ */
+const SyncStatus = () => {
+  const { online, pending, syncing, conflicts } = useSyncStatus();
+  const [showConflicts, setShowConflicts] = useState(false);
+
+  if (online && !pending && !syncing && conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="d-flex align-items-center gap-2 me-lg-3">
+      {!online && (
+        <Badge bg="warning" text="dark" title="Changes are saved on this device until the connection returns">
+          <i className="bi bi-wifi-off me-1"></i>
+          Offline
+        </Badge>
+      )}
+
+      {syncing ? (
+        <Badge bg="info">
+          <Spinner animation="border" size="sm" className="me-1" />
+          Syncing
+        </Badge>
+      ) : pending > 0 && (
+        <Badge bg="secondary" title="Changes waiting to be sent to the server">
+          <i className="bi bi-cloud-upload me-1"></i>
+          {pending} pending
+        </Badge>
+      )}
+
+      {conflicts.length > 0 && (
+        <Button variant="danger" size="sm" onClick={() => setShowConflicts(true)}>
+          <i className="bi bi-exclamation-triangle me-1"></i>
+          {conflicts.length} not saved
+        </Button>
+      )}
+
+      <Modal show={showConflicts && conflicts.length > 0} onHide={() => setShowConflicts(false)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Offline Changes Not Saved</Modal.Title>
+        </Modal.Header>
+
+        <Modal.Body>
+          <p className="text-muted">
+            These changes were made offline and refused by the server when the connection returned,
+            usually because the sheet was changed by someone else in the meantime. Check the sheet
+            and enter them again where needed.
+          </p>
+
+          <ListGroup>
+            {conflicts.map(conflict => (
+              <ListGroup.Item key={conflict.id} className="d-flex justify-content-between align-items-start">
+                <div>
+                  <div className="fw-bold">{conflict.description}</div>
+                  <div className="text-danger small">{conflict.message}</div>
+                  {conflict.details.length > 0 && (
+                    <ul className="small mb-0">
+                      {conflict.details.map(detail => (
+                        <li key={detail}>{detail}</li>
+                      ))}
+                    </ul>
+                  )}
+                  <div className="text-muted small">{new Date(conflict.occurredAt).toLocaleString()}</div>
+                </div>
+                <Button variant="outline-secondary" size="sm" onClick={() => syncService.dismissConflict(conflict.id)}>
+                  Dismiss
+                </Button>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowConflicts(false)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+};
+
+export default SyncStatus;
@@ -7,4 +7,5 @@ export { default as LoadingSpinner } from './LoadingSpinner';
 export { default as ErrorBoundary } from './ErrorBoundary';
 export { default as ErrorAlert } from './ErrorAlert';
 export { default as ConfirmationModal } from './ConfirmationModal';
-export { default as VirtualizedTable } from './VirtualizedTable';
\ No newline at end of file
+export { default as VirtualizedTable } from './VirtualizedTable';
+export { default as SyncStatus } from './SyncStatus';
\ No newline at end of file
@@ -1,5 +1,13 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Card, Button, Badge } from 'react-bootstrap';
+import PaymentModal from './PaymentModal';
+import CustomerLedgerModal from './CustomerLedgerModal';
+import { paymentService } from '../../services/paymentService';
+import { customerTypeRegistry } from '../../utils/customerTypeRegistry';
+import { formatAmount } from '../../utils/pricingEngine';
+import { ENTRY_TYPES } from '../../shared/ledger';
+import { PERMISSIONS } from '../../utils/constants';
+import usePermissions from '../../hooks/usePermissions';
 
 const CustomerDetails = ({ 
   customer, 
@@ -9,18 +17,47 @@ const CustomerDetails = ({
   showActions = true,
   compact = false 
 }) => {
+  const { can } = usePermissions();
+  const [ledger, setLedger] = useState(null);
+  const [showPaymentModal, setShowPaymentModal] = useState(false);
+  const [showLedgerModal, setShowLedgerModal] = useState(false);
+  const [ledgerVersion, setLedgerVersion] = useState(0);
+
+  const customerId = customer ? customer.id : null;
+  // The ledger, its statement and the outstanding amount are shown to those who take payments
+  const canViewAccounts = can(PERMISSIONS.PAYMENTS_MANAGE);
+
+  // The outstanding amount is the closing balance of the customer's whole ledger
+  const loadLedger = useCallback(async () => {
+    try {
+      setLedger(await paymentService.getCustomerLedger(customerId));
+    } catch (error) {
+      setLedger(null);
+    }
+  }, [customerId]);
+
+  useEffect(() => {
+    if (customerId && !compact && canViewAccounts) {
+      loadLedger();
+    }
+  }, [customerId, compact, canViewAccounts, loadLedger]);
+
+  const handlePaymentRecorded = () => {
+    setLedgerVersion(version => version + 1);
+    loadLedger();
+  };
+
   if (!customer) {
     return null;
   }
 
-  const customerTypeLabels = {
-    retail: 'Retail',
-    granite_shops: 'Granite Shops (Wholesalers)',
-    builders: 'Builders',
-    outstation_parties: 'Outstation Parties',
-    exporters: 'Exporters'
-  };
+  const outstanding = ledger ? ledger.closingBalance : null;
+  const chargedSheets = ledger
+    ? ledger.entries.filter(entry => entry.type === ENTRY_TYPES.CHARGE)
+    : [];
 
+  // Customer types without a badge colour (added through the registry) use 'secondary'
+  const customerTypeKey = customerTypeRegistry.getKey(customerType) || customerType;
   const customerTypeVariants = {
     retail: 'primary',
     granite_shops: 'success',
@@ -39,10 +76,10 @@ const CustomerDetails = ({
               <span className="text-muted ms-2">• {customer.phoneNumber}</span>
               {customerType && (
                 <Badge 
-                  bg={customerTypeVariants[customerType] || 'secondary'} 
+                  bg={customerTypeVariants[customerTypeKey] || 'secondary'} 
                   className="ms-2"
                 >
-                  {customerTypeLabels[customerType] || customerType}
+                  {customerTypeRegistry.getLabel(customerType)}
                 </Badge>
               )}
             </div>
@@ -103,10 +140,10 @@ const CustomerDetails = ({
                 <label className="form-label text-muted">Customer Type</label>
                 <div>
                   <Badge 
-                    bg={customerTypeVariants[customerType] || 'secondary'} 
+                    bg={customerTypeVariants[customerTypeKey] || 'secondary'} 
                     className="fs-6"
                   >
-                    {customerTypeLabels[customerType] || customerType}
+                    {customerTypeRegistry.getLabel(customerType)}
                   </Badge>
                 </div>
               </div>
@@ -119,12 +156,55 @@ const CustomerDetails = ({
           <div>{customer.address}</div>
         </div>
 
+        {canViewAccounts && outstanding !== null && (
+          <div className="d-flex flex-wrap justify-content-between align-items-center border-top pt-3 mb-3 gap-2">
+            <div>
+              <label className="form-label text-muted d-block mb-0">
+                {outstanding < 0 ? 'Advance Received' : 'Outstanding Amount'}
+              </label>
+              <span className={`fs-5 fw-bold ${outstanding > 0 ? 'text-danger' : 'text-success'}`}>
+                {formatAmount(Math.abs(outstanding))}
+              </span>
+            </div>
+            <div className="d-flex gap-2">
+              <Button variant="outline-secondary" size="sm" onClick={() => setShowLedgerModal(true)}>
+                <i className="bi bi-journal-text me-1"></i>
+                Ledger
+              </Button>
+              <Button variant="outline-success" size="sm" onClick={() => setShowPaymentModal(true)}>
+                <i className="bi bi-cash-coin me-1"></i>
+                Record Payment
+              </Button>
+            </div>
+          </div>
+        )}
+
         {customer.createdAt && (
           <div className="text-muted small">
             Customer since: {new Date(customer.createdAt).toLocaleDateString()}
           </div>
         )}
       </Card.Body>
+
+      {canViewAccounts && (
+        <>
+          <PaymentModal
+            show={showPaymentModal}
+            onHide={() => setShowPaymentModal(false)}
+            customer={customer}
+            sheets={chargedSheets}
+            outstanding={outstanding}
+            onPaymentRecorded={handlePaymentRecorded}
+          />
+
+          <CustomerLedgerModal
+            show={showLedgerModal}
+            onHide={() => setShowLedgerModal(false)}
+            customer={customer}
+            refreshKey={ledgerVersion}
+          />
+        </>
+      )}
     </Card>
   );
 };
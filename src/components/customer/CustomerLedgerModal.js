@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Table, Badge, Alert, Spinner } from 'react-bootstrap';
+import { LoadingSpinner } from '../common';
+import { paymentService } from '../../services/paymentService';
+import { exportService } from '../../services/exportService';
+import { ENTRY_TYPES } from '../../shared/ledger';
+import { PAYMENT_MODE_LABELS } from '../../utils/constants';
+import { formatAmount } from '../../utils/pricingEngine';
+
+/**
+ * Show a balance the way the statement prints it: advances are credit balances
+ */
+const formatBalance = (balance) => (balance < 0 ? `${formatAmount(Math.abs(balance))} Cr` : formatAmount(balance));
+
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString();
+
+// Only the dates that are set are sent; an empty range covers every transaction
+const toRangeParams = (from, to) => ({
+  ...(from && { from }),
+  ...(to && { to })
+});
+
+/**
+ * A customer's running ledger of sheets charged and payments received for a date range,
+ * with the statement PDF for the same range
+ */
+const CustomerLedgerModal = ({ show, onHide, customer, refreshKey }) => {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!show || !customer?.id || (range.from && range.to && range.from > range.to)) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadLedger = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await paymentService.getCustomerLedger(customer.id, toRangeParams(range.from, range.to));
+        if (!cancelled) {
+          setLedger(result);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setLedger(null);
+          setError(err.response?.data?.error || 'Failed to load the ledger.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadLedger();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show, customer, range.from, range.to, refreshKey]);
+
+  const handleDownloadStatement = async () => {
+    try {
+      setDownloading(true);
+      const blob = await paymentService.exportStatementPDF(customer.id, toRangeParams(range.from, range.to));
+      const period = [range.from, range.to].filter(Boolean).join('-to-');
+      exportService.downloadFile(blob, `statement-${customer.phoneNumber}${period ? `-${period}` : ''}.pdf`, 'application/pdf');
+    } catch (err) {
+      setError('Failed to download the statement.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const describeReference = (entry) => {
+    if (entry.type === ENTRY_TYPES.PAYMENT) {
+      return [PAYMENT_MODE_LABELS[entry.mode] || entry.mode, entry.reference].filter(Boolean).join(' · ');
+    }
+    return entry.measurementSheetNumber;
+  };
+
+  const invalidRange = range.from && range.to && range.from > range.to;
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Ledger · {customer?.name}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        <Row className="mb-3 align-items-end">
+          <Col md={4}>
+            <Form.Group>
+              <Form.Label className="small">From</Form.Label>
+              <Form.Control
+                type="date"
+                size="sm"
+                value={range.from}
+                onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4}>
+            <Form.Group>
+              <Form.Label className="small">To</Form.Label>
+              <Form.Control
+                type="date"
+                size="sm"
+                value={range.to}
+                onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={4} className="text-end">
+            <Button
+              variant="outline-primary"
+              size="sm"
+              onClick={handleDownloadStatement}
+              disabled={downloading || invalidRange || !ledger}
+            >
+              {downloading ? (
+                <Spinner animation="border" size="sm" className="me-1" />
+              ) : (
+                <i className="bi bi-file-earmark-pdf me-1"></i>
+              )}
+              Statement PDF
+            </Button>
+          </Col>
+        </Row>
+
+        {invalidRange && <Alert variant="warning">The from date must be on or before the to date.</Alert>}
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {loading ? (
+          <LoadingSpinner text="Loading ledger..." />
+        ) : ledger && (
+          <>
+            <div className="d-flex flex-wrap gap-2 mb-3">
+              <Badge bg="light" text="dark">Opening {formatBalance(ledger.openingBalance)}</Badge>
+              <Badge bg="primary">Charged {formatAmount(ledger.totalCharges)}</Badge>
+              <Badge bg="success">Received {formatAmount(ledger.totalPayments)}</Badge>
+              <Badge bg={ledger.closingBalance > 0 ? 'danger' : 'secondary'}>
+                {ledger.closingBalance < 0 ? 'Advance' : 'Outstanding'} {formatAmount(Math.abs(ledger.closingBalance))}
+              </Badge>
+            </div>
+
+            <Table size="sm" bordered responsive className="mb-0">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Particulars</th>
+                  <th>Reference</th>
+                  <th className="text-end">Debit</th>
+                  <th className="text-end">Credit</th>
+                  <th className="text-end">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="text-muted">
+                  <td>{ledger.from ? formatDate(ledger.from) : ''}</td>
+                  <td colSpan={4}>Opening balance</td>
+                  <td className="text-end">{formatBalance(ledger.openingBalance)}</td>
+                </tr>
+                {ledger.entries.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="text-center text-muted py-3">
+                      No sheets or payments in this period.
+                    </td>
+                  </tr>
+                ) : ledger.entries.map(entry => (
+                  <tr key={`${entry.type}-${entry.paymentId || entry.measurementSheetId}`}>
+                    <td>{formatDate(entry.date)}</td>
+                    <td>{entry.description}</td>
+                    <td>{describeReference(entry)}</td>
+                    <td className="text-end">{entry.debit ? formatAmount(entry.debit) : ''}</td>
+                    <td className="text-end">{entry.credit ? formatAmount(entry.credit) : ''}</td>
+                    <td className="text-end">{formatBalance(entry.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="fw-bold">
+                  <td colSpan={3}>Total</td>
+                  <td className="text-end">{formatAmount(ledger.totalCharges)}</td>
+                  <td className="text-end">{formatAmount(ledger.totalPayments)}</td>
+                  <td className="text-end">{formatBalance(ledger.closingBalance)}</td>
+                </tr>
+              </tfoot>
+            </Table>
+          </>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default CustomerLedgerModal;
@@ -3,6 +3,7 @@ import { Formik, Form as FormikForm, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import { Form, Button, Card, Alert, Spinner } from 'react-bootstrap';
 import { customerService } from '../../services/customerService';
+import { INDIAN_STATES, CALCULATION_MODES, CALCULATION_MODE_LABELS } from '../../utils/constants';
 
 const CustomerRegistrationForm = ({ onCustomerCreated, onCancel, disabled = false }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -29,14 +30,25 @@ const CustomerRegistrationForm = ({ onCustomerCreated, onCancel, disabled = fals
       .required('Address is required')
       .min(5, 'Address must be at least 5 characters')
       .max(500, 'Address must be less than 500 characters')
-      .trim()
+      .trim(),
+    state: Yup.string()
+      .oneOf(INDIAN_STATES.concat(''), 'Please select a valid state'),
+    gstin: Yup.string()
+      .uppercase()
+      .matches(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid 15 character GSTIN')
+      .trim(),
+    calculationMode: Yup.string()
+      .oneOf(Object.values(CALCULATION_MODES), 'Please select a valid measurement unit')
   });
 
   const initialValues = {
     name: '',
     phoneNumber: '',
     email: '',
-    address: ''
+    address: '',
+    state: '',
+    gstin: '',
+    calculationMode: CALCULATION_MODES.IMPERIAL
   };
 
   const handleSubmit = async (values, { setSubmitting, resetForm }) => {
@@ -148,6 +160,52 @@ const CustomerRegistrationForm = ({ onCustomerCreated, onCancel, disabled = fals
                 <ErrorMessage name="address" component={Form.Control.Feedback} type="invalid" />
               </Form.Group>
 
+              <Form.Group className="mb-3">
+                <Form.Label>State</Form.Label>
+                <Field
+                  as={Form.Select}
+                  name="state"
+                  disabled={disabled || isSubmitting}
+                  isInvalid={errors.state && touched.state}
+                >
+                  <option value="">Select state (used for GST)</option>
+                  {INDIAN_STATES.map(state => (
+                    <option key={state} value={state}>{state}</option>
+                  ))}
+                </Field>
+                <ErrorMessage name="state" component={Form.Control.Feedback} type="invalid" />
+              </Form.Group>
+
+              <Form.Group className="mb-3">
+                <Form.Label>GSTIN</Form.Label>
+                <Field
+                  as={Form.Control}
+                  type="text"
+                  name="gstin"
+                  placeholder="Enter GSTIN (optional, for business customers)"
+                  maxLength={15}
+                  disabled={disabled || isSubmitting}
+                  isInvalid={errors.gstin && touched.gstin}
+                />
+                <ErrorMessage name="gstin" component={Form.Control.Feedback} type="invalid" />
+              </Form.Group>
+
+              <Form.Group className="mb-3">
+                <Form.Label>Sheet Area</Form.Label>
+                <Field
+                  as={Form.Select}
+                  name="calculationMode"
+                  disabled={disabled || isSubmitting}
+                >
+                  {Object.values(CALCULATION_MODES).map(mode => (
+                    <option key={mode} value={mode}>{CALCULATION_MODE_LABELS[mode]}</option>
+                  ))}
+                </Field>
+                <Form.Text muted>
+                  Default for new sheets. Square metres use the party's centimetre deduction and rounding rules.
+                </Form.Text>
+              </Form.Group>
+
               <div className="d-flex gap-2">
                 <Button
                   type="submit"
@@ -1,9 +1,10 @@
 import React, { useState } from 'react';
-import { Container, Row, Col, Button, Card } from 'react-bootstrap';
+import { Container, Row, Col, Button, Card, Form } from 'react-bootstrap';
 import CustomerTypeSelection from './CustomerTypeSelection';
 import CustomerSearch from './CustomerSearch';
 import CustomerRegistrationForm from './CustomerRegistrationForm';
 import CustomerDetails from './CustomerDetails';
+import { CALCULATION_MODES } from '../../utils/constants';
 
 const CustomerSelectionInterface = ({ 
   onSelectionComplete, 
@@ -15,6 +16,7 @@ const CustomerSelectionInterface = ({
   const [selectedCustomer, setSelectedCustomer] = useState(initialCustomer);
   const [showRegistrationForm, setShowRegistrationForm] = useState(false);
   const [currentStep, setCurrentStep] = useState(1);
+  const [calculationMode, setCalculationMode] = useState(initialCustomer?.calculationMode || CALCULATION_MODES.IMPERIAL);
 
   // Handle customer type selection
   const handleCustomerTypeChange = (type) => {
@@ -27,6 +29,7 @@ const CustomerSelectionInterface = ({
   // Handle customer selection from search
   const handleCustomerSelect = (customer) => {
     setSelectedCustomer(customer);
+    setCalculationMode(customer?.calculationMode || CALCULATION_MODES.IMPERIAL);
     setShowRegistrationForm(false);
     if (customer && customerType) {
       setCurrentStep(3);
@@ -36,6 +39,7 @@ const CustomerSelectionInterface = ({
   // Handle new customer creation
   const handleCustomerCreated = (newCustomer) => {
     setSelectedCustomer(newCustomer);
+    setCalculationMode(newCustomer?.calculationMode || CALCULATION_MODES.IMPERIAL);
     setShowRegistrationForm(false);
     if (newCustomer && customerType) {
       setCurrentStep(3);
@@ -65,7 +69,8 @@ const CustomerSelectionInterface = ({
     if (customerType && selectedCustomer && onSelectionComplete) {
       onSelectionComplete({
         customerType,
-        customer: selectedCustomer
+        customer: selectedCustomer,
+        calculationMode
       });
     }
   };
@@ -166,14 +171,25 @@ const CustomerSelectionInterface = ({
               {onSelectionComplete && (
                 <Card>
                   <Card.Body className="text-center">
-                    <Button 
-                      variant="success" 
-                      size="lg" 
-                      onClick={handleCompleteSelection}
+                    <Form.Check
+                      type="switch"
+                      id="sheet-calculation-mode"
+                      className="d-inline-block mb-3"
+                      label="Also report square metres (metric rules)"
+                      checked={calculationMode === CALCULATION_MODES.METRIC}
+                      onChange={(e) => setCalculationMode(e.target.checked ? CALCULATION_MODES.METRIC : CALCULATION_MODES.IMPERIAL)}
                       disabled={disabled}
-                    >
-                      Continue with Selected Customer
-                    </Button>
+                    />
+                    <div>
+                      <Button 
+                        variant="success" 
+                        size="lg" 
+                        onClick={handleCompleteSelection}
+                        disabled={disabled}
+                      >
+                        Continue with Selected Customer
+                      </Button>
+                    </div>
                   </Card.Body>
                 </Card>
               )}
@@ -1,14 +1,17 @@
 import React from 'react';
 import { Form, Card } from 'react-bootstrap';
+import { useAppContext } from '../../contexts/AppContext';
+import { calculationEngine } from '../../utils/calculationEngine';
 
 const CustomerTypeSelection = ({ selectedType, onTypeChange, disabled = false }) => {
-  const customerTypes = [
-    { value: 'retail', label: 'Retail', description: 'Direct calculation (L × B) ÷ 144' },
-    { value: 'granite_shops', label: 'Granite Shops (Wholesalers)', description: 'Length-3, Breadth-2 with divisibility by 3' },
-    { value: 'builders', label: 'Builders', description: 'Length-3 with divisibility by 3, original breadth' },
-    { value: 'outstation_parties', label: 'Outstation Parties', description: 'Same as Granite Shops calculation' },
-    { value: 'exporters', label: 'Exporters', description: 'Simple (L-3) × (B-2) ÷ 144' }
-  ];
+  const { state } = useAppContext();
+
+  // Customer types come from the server registry so new party types appear automatically
+  const customerTypes = state.customerTypes.map(customerType => ({
+    value: customerType.key,
+    label: customerType.label,
+    description: customerType.description || calculationEngine.getCalculationDescription(customerType.key)
+  }));
 
   return (
     <Card className="mb-3">
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import FormField from '../common/FormField';
+import { paymentService } from '../../services/paymentService';
+import { validatePayment } from '../../shared/ledger';
+import { PAYMENT_MODES, PAYMENT_MODE_LABELS } from '../../utils/constants';
+import { formatAmount } from '../../utils/pricingEngine';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyPayment = () => ({
+  amount: '',
+  mode: PAYMENT_MODES.CASH,
+  reference: '',
+  paymentDate: today(),
+  measurementSheetId: '',
+  notes: ''
+});
+
+/**
+ * Record a payment received from a customer
+ * The payment can be tied to one of the sheets listed in `sheets` ({ id, measurementSheetNumber });
+ * `outstanding` is shown as a hint and offered as the amount
+ */
+const PaymentModal = ({
+  show,
+  onHide,
+  customer,
+  sheets = [],
+  outstanding,
+  onPaymentRecorded
+}) => {
+  const [formData, setFormData] = useState(emptyPayment);
+  const [errors, setErrors] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (show) {
+      setFormData(emptyPayment());
+      setErrors([]);
+    }
+  }, [show]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleRecord = async () => {
+    const validationErrors = validatePayment(formData);
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrors([]);
+
+    try {
+      const payment = await paymentService.recordPayment({
+        customerId: customer.id,
+        measurementSheetId: formData.measurementSheetId || undefined,
+        amount: parseFloat(formData.amount),
+        mode: formData.mode,
+        reference: formData.reference.trim() || undefined,
+        paymentDate: formData.paymentDate,
+        notes: formData.notes.trim() || undefined
+      });
+
+      onPaymentRecorded(payment);
+      onHide();
+    } catch (error) {
+      const data = error.response?.data;
+      setErrors(data?.details?.length ? [data.error].concat(data.details) : [data?.error || 'Failed to record payment. Please try again.']);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const modeOptions = Object.values(PAYMENT_MODES).map(mode => ({ value: mode, label: PAYMENT_MODE_LABELS[mode] }));
+  const sheetOptions = sheets.map(sheet => ({ value: sheet.id, label: sheet.measurementSheetNumber }));
+  const isCash = formData.mode === PAYMENT_MODES.CASH;
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Modal.Header closeButton>
+        <Modal.Title>Record Payment from {customer?.name}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {errors.length > 0 && (
+          <Alert variant="danger">
+            {errors.map(message => <div key={message}>{message}</div>)}
+          </Alert>
+        )}
+
+        {outstanding > 0 && (
+          <div className="small text-muted mb-3">
+            Outstanding: <strong>{formatAmount(outstanding)}</strong>
+            <Button
+              variant="link"
+              size="sm"
+              className="p-0 ms-2 align-baseline"
+              onClick={() => handleInputChange({ target: { name: 'amount', value: outstanding.toFixed(2) } })}
+            >
+              Pay in full
+            </Button>
+          </div>
+        )}
+
+        <Form>
+          <Row>
+            <Col md={6}>
+              <FormField
+                label="Amount"
+                name="amount"
+                type="number"
+                step="0.01"
+                min="0.01"
+                value={formData.amount}
+                onChange={handleInputChange}
+                placeholder="0.00"
+                required
+              />
+            </Col>
+
+            <Col md={6}>
+              <FormField
+                label="Payment Date"
+                name="paymentDate"
+                type="date"
+                value={formData.paymentDate}
+                onChange={handleInputChange}
+                required
+              />
+            </Col>
+          </Row>
+
+          <Row>
+            <Col md={6}>
+              <FormField
+                label="Mode"
+                name="mode"
+                as="select"
+                value={formData.mode}
+                onChange={handleInputChange}
+                options={modeOptions}
+                required
+              />
+            </Col>
+
+            <Col md={6}>
+              <FormField
+                label="Reference"
+                name="reference"
+                value={formData.reference}
+                onChange={handleInputChange}
+                placeholder={isCash ? 'Optional receipt number' : 'Cheque, UTR or transaction number'}
+                required={!isCash}
+              />
+            </Col>
+          </Row>
+
+          {sheetOptions.length > 0 && (
+            <FormField
+              label="Against Sheet"
+              name="measurementSheetId"
+              as="select"
+              value={formData.measurementSheetId}
+              onChange={handleInputChange}
+              options={sheetOptions}
+              placeholder="On account (no particular sheet)"
+            />
+          )}
+
+          <FormField
+            label="Notes"
+            name="notes"
+            as="textarea"
+            rows={2}
+            value={formData.notes}
+            onChange={handleInputChange}
+            placeholder="Optional notes"
+          />
+        </Form>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button variant="success" onClick={handleRecord} disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Recording...
+            </>
+          ) : (
+            'Record Payment'
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default PaymentModal;
@@ -3,4 +3,6 @@ export { default as CustomerTypeSelection } from './CustomerTypeSelection';
 export { default as CustomerSearch } from './CustomerSearch';
 export { default as CustomerRegistrationForm } from './CustomerRegistrationForm';
 export { default as CustomerDetails } from './CustomerDetails';
-export { default as CustomerSelectionInterface } from './CustomerSelectionInterface';
\ No newline at end of file
+export { default as CustomerSelectionInterface } from './CustomerSelectionInterface';
+export { default as PaymentModal } from './PaymentModal';
+export { default as CustomerLedgerModal } from './CustomerLedgerModal';
@@ -0,0 +1,52 @@
+import React from 'react';
+import { ProgressBar } from 'react-bootstrap';
+
+const CATEGORY_VARIANTS = ['primary', 'success', 'warning', 'danger', 'info', 'secondary'];
+
+/**
+ * Share of the square feet measured in each slab category, largest first
+ */
+const CategoryMixChart = ({ categoryMix }) => {
+  const totalSquareFeet = (categoryMix || []).reduce((sum, category) => sum + category.squareFeet, 0);
+
+  if (!categoryMix || categoryMix.length === 0 || totalSquareFeet === 0) {
+    return <p className="text-muted text-center my-4">No slabs measured in this range.</p>;
+  }
+
+  return (
+    <>
+      <ProgressBar className="mb-3" style={{ height: '1.25rem' }}>
+        {categoryMix.map((category, index) => (
+          <ProgressBar
+            key={category.slabCategory}
+            now={(category.squareFeet / totalSquareFeet) * 100}
+            variant={CATEGORY_VARIANTS[index % CATEGORY_VARIANTS.length]}
+            label={category.slabCategory}
+            title={`${category.slabCategory}: ${category.squareFeet.toFixed(2)} sq ft`}
+          />
+        ))}
+      </ProgressBar>
+
+      <ul className="list-unstyled small mb-0">
+        {categoryMix.map((category, index) => (
+          <li key={category.slabCategory} className="d-flex justify-content-between">
+            <span>
+              <span className={`badge bg-${CATEGORY_VARIANTS[index % CATEGORY_VARIANTS.length]} me-2`}>
+                {category.slabCategory}
+              </span>
+              {category.slabs} slabs
+            </span>
+            <span>
+              {category.squareFeet.toFixed(2)} sq ft
+              <span className="text-muted ms-2">
+                {((category.squareFeet / totalSquareFeet) * 100).toFixed(1)}%
+              </span>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+};
+
+export default CategoryMixChart;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { Form, Row, Col, Button, ButtonGroup } from 'react-bootstrap';
+import { STATISTICS_INTERVALS } from '../../utils/constants';
+
+const INTERVAL_LABELS = {
+  [STATISTICS_INTERVALS.DAY]: 'Daily',
+  [STATISTICS_INTERVALS.WEEK]: 'Weekly',
+  [STATISTICS_INTERVALS.MONTH]: 'Monthly'
+};
+
+// A local date as the YYYY-MM-DD a date input holds
+const toDateValue = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Ranges offered as one click, each with the interval that suits its length
+ */
+const PRESETS = [
+  { label: '7 days', days: 7, interval: STATISTICS_INTERVALS.DAY },
+  { label: '30 days', days: 30, interval: STATISTICS_INTERVALS.DAY },
+  { label: '90 days', days: 90, interval: STATISTICS_INTERVALS.WEEK },
+  { label: '12 months', days: 365, interval: STATISTICS_INTERVALS.MONTH }
+];
+
+/**
+ * The range of the last `days` days up to today
+ * @param {number} days - Days in the range, today included
+ * @param {string} interval - One of STATISTICS_INTERVALS
+ * @returns {Object} - { from, to, interval }
+ */
+export const lastDays = (days, interval) => {
+  const today = new Date();
+  const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1);
+  return { from: toDateValue(from), to: toDateValue(today), interval };
+};
+
+/**
+ * Date range and interval for the dashboard charts
+ */
+const DateRangePicker = ({ range, onChange, disabled }) => {
+  const update = (changes) => onChange({ ...range, ...changes });
+
+  const isPreset = (preset) => {
+    const presetRange = lastDays(preset.days, preset.interval);
+    return presetRange.from === range.from && presetRange.to === range.to && preset.interval === range.interval;
+  };
+
+  return (
+    <Row className="g-2 align-items-end">
+      <Col xs="auto">
+        <ButtonGroup size="sm">
+          {PRESETS.map(preset => (
+            <Button
+              key={preset.label}
+              variant={isPreset(preset) ? 'primary' : 'outline-primary'}
+              onClick={() => onChange(lastDays(preset.days, preset.interval))}
+              disabled={disabled}
+            >
+              {preset.label}
+            </Button>
+          ))}
+        </ButtonGroup>
+      </Col>
+      <Col xs={6} sm="auto">
+        <Form.Label className="small mb-0">From</Form.Label>
+        <Form.Control
+          type="date"
+          size="sm"
+          value={range.from}
+          max={range.to}
+          onChange={(e) => update({ from: e.target.value })}
+          disabled={disabled}
+        />
+      </Col>
+      <Col xs={6} sm="auto">
+        <Form.Label className="small mb-0">To</Form.Label>
+        <Form.Control
+          type="date"
+          size="sm"
+          value={range.to}
+          min={range.from}
+          onChange={(e) => update({ to: e.target.value })}
+          disabled={disabled}
+        />
+      </Col>
+      <Col xs={6} sm="auto">
+        <Form.Label className="small mb-0">Group by</Form.Label>
+        <Form.Select
+          size="sm"
+          value={range.interval}
+          onChange={(e) => update({ interval: e.target.value })}
+          disabled={disabled}
+        >
+          {Object.values(STATISTICS_INTERVALS).map(interval => (
+            <option key={interval} value={interval}>{INTERVAL_LABELS[interval]}</option>
+          ))}
+        </Form.Select>
+      </Col>
+    </Row>
+  );
+};
+
+export default DateRangePicker;
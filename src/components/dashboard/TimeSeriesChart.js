@@ -0,0 +1,76 @@
+import React from 'react';
+import { STATISTICS_INTERVALS } from '../../utils/constants';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const MARGIN = { top: 12, right: 8, bottom: 28, left: 48 };
+
+// Roughly how many period labels fit under the bars
+const MAX_LABELS = 10;
+
+/**
+ * Short name of a period, from the date it starts on
+ * @param {string} period - YYYY-MM-DD
+ * @param {string} interval - One of STATISTICS_INTERVALS
+ * @returns {string}
+ */
+export const formatPeriod = (period, interval) => {
+  const date = new Date(`${period}T00:00:00`);
+  if (interval === STATISTICS_INTERVALS.MONTH) {
+    return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  }
+  const day = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return interval === STATISTICS_INTERVALS.WEEK ? `Wk ${day}` : day;
+};
+
+/**
+ * Bar chart of one figure (sheets or square feet) per period
+ * Drawn as SVG so it scales with its card; hovering a bar shows its period and value
+ */
+const TimeSeriesChart = ({ series, metric, interval, color = '#0d6efd', formatValue = value => value }) => {
+  if (!series || series.length === 0) {
+    return <p className="text-muted text-center my-4">No data for this range.</p>;
+  }
+
+  const values = series.map(point => point[metric]);
+  const maxValue = Math.max(...values, 0);
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const slot = plotWidth / series.length;
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelEvery = Math.ceil(series.length / MAX_LABELS);
+  const scale = value => (maxValue > 0 ? (value / maxValue) * plotHeight : 0);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-100" role="img" aria-label={`${metric} per ${interval}`}>
+      {/* Axis with the highest value and zero */}
+      <line x1={MARGIN.left} y1={MARGIN.top} x2={MARGIN.left} y2={MARGIN.top + plotHeight} stroke="#dee2e6" />
+      <line x1={MARGIN.left} y1={MARGIN.top + plotHeight} x2={WIDTH - MARGIN.right} y2={MARGIN.top + plotHeight} stroke="#dee2e6" />
+      <text x={MARGIN.left - 6} y={MARGIN.top + 4} textAnchor="end" fontSize="11" fill="#6c757d">
+        {formatValue(maxValue)}
+      </text>
+      <text x={MARGIN.left - 6} y={MARGIN.top + plotHeight} textAnchor="end" fontSize="11" fill="#6c757d">
+        0
+      </text>
+
+      {series.map((point, index) => {
+        const x = MARGIN.left + index * slot + (slot - barWidth) / 2;
+        const height = scale(point[metric]);
+        return (
+          <g key={point.period}>
+            <rect x={x} y={MARGIN.top + plotHeight - height} width={barWidth} height={height} fill={color} rx="1">
+              <title>{`${formatPeriod(point.period, interval)}: ${formatValue(point[metric])}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#6c757d">
+                {formatPeriod(point.period, interval)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default TimeSeriesChart;
@@ -0,0 +1,3 @@
+export { default as TimeSeriesChart } from './TimeSeriesChart';
+export { default as CategoryMixChart } from './CategoryMixChart';
+export { default as DateRangePicker } from './DateRangePicker';
@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Table, Spinner } from 'react-bootstrap';
+import FormField from '../common/FormField';
+import { invoiceService } from '../../services/invoiceService';
+import { calculateInvoice, DEFAULT_HSN_CODE, DEFAULT_GST_RATE, validateInvoiceOptions } from '../../shared/gst';
+import { COMPANY_STATE, DISCOUNT_TYPES, INDIAN_STATES, TAX_TYPES } from '../../utils/constants';
+import { formatAmount } from '../../utils/pricingEngine';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const InvoiceCreateModal = ({
+  show,
+  onHide,
+  measurementSheet,
+  onInvoiceCreated
+}) => {
+  const [formData, setFormData] = useState({
+    invoiceDate: today(),
+    placeOfSupply: '',
+    discountType: DISCOUNT_TYPES.NONE,
+    discountValue: '',
+    hsnCode: DEFAULT_HSN_CODE,
+    gstRate: String(DEFAULT_GST_RATE),
+    notes: ''
+  });
+  const [errors, setErrors] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Default the place of supply to the customer's state each time the modal opens
+  useEffect(() => {
+    if (show) {
+      setFormData(prev => ({
+        ...prev,
+        invoiceDate: today(),
+        placeOfSupply: measurementSheet?.customer?.state || ''
+      }));
+      setErrors([]);
+    }
+  }, [show, measurementSheet]);
+
+  const slabEntries = measurementSheet?.slabEntries || [];
+  const unpricedCount = slabEntries.filter(entry => entry.amount === null || entry.amount === undefined).length;
+
+  // Preview with the same calculation the server uses
+  const preview = calculateInvoice({
+    supplierState: COMPANY_STATE,
+    placeOfSupply: formData.placeOfSupply,
+    discountType: formData.discountType,
+    discountValue: formData.discountValue,
+    gstRate: formData.gstRate,
+    items: slabEntries.map(entry => ({ amount: entry.amount }))
+  });
+  const isIntraState = preview.taxType === TAX_TYPES.INTRA_STATE;
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleCreate = async () => {
+    const validationErrors = validateInvoiceOptions(formData);
+    if (!formData.placeOfSupply) {
+      validationErrors.push('Place of supply is required');
+    }
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrors([]);
+
+    try {
+      const invoice = await invoiceService.createInvoice(measurementSheet.id, {
+        invoiceDate: formData.invoiceDate,
+        placeOfSupply: formData.placeOfSupply,
+        discountType: formData.discountType,
+        discountValue: formData.discountValue || 0,
+        hsnCode: formData.hsnCode,
+        gstRate: formData.gstRate,
+        notes: formData.notes.trim() || undefined
+      });
+
+      onInvoiceCreated(invoice);
+      onHide();
+    } catch (error) {
+      const data = error.response?.data;
+      setErrors(data?.details?.length ? [data.error].concat(data.details) : [data?.error || 'Failed to create invoice. Please try again.']);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const stateOptions = INDIAN_STATES.map(state => ({ value: state, label: state }));
+
+  const discountOptions = [
+    { value: DISCOUNT_TYPES.PERCENT, label: 'Percentage (%)' },
+    { value: DISCOUNT_TYPES.AMOUNT, label: 'Flat amount' }
+  ];
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Create Tax Invoice for #{measurementSheet?.measurementSheetNumber}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {unpricedCount > 0 && (
+          <Alert variant="warning">
+            {unpricedCount} slab(s) have no rate. Add rate cards for them before invoicing.
+          </Alert>
+        )}
+
+        {errors.length > 0 && (
+          <Alert variant="danger">
+            {errors.map(message => <div key={message}>{message}</div>)}
+          </Alert>
+        )}
+
+        <Form>
+          <Row>
+            <Col md={6}>
+              <FormField
+                label="Invoice Date"
+                name="invoiceDate"
+                type="date"
+                value={formData.invoiceDate}
+                onChange={handleInputChange}
+                required
+              />
+            </Col>
+
+            <Col md={6}>
+              <FormField
+                label="Place of Supply"
+                name="placeOfSupply"
+                as="select"
+                value={formData.placeOfSupply}
+                onChange={handleInputChange}
+                options={stateOptions}
+                placeholder="Select state"
+                required
+              />
+            </Col>
+          </Row>
+
+          <Row>
+            <Col md={3}>
+              <FormField
+                label="Discount"
+                name="discountType"
+                as="select"
+                value={formData.discountType === DISCOUNT_TYPES.NONE ? '' : formData.discountType}
+                onChange={(e) => handleInputChange({
+                  target: { name: 'discountType', value: e.target.value || DISCOUNT_TYPES.NONE }
+                })}
+                options={discountOptions}
+                placeholder="No discount"
+              />
+            </Col>
+
+            <Col md={3}>
+              <FormField
+                label="Discount Value"
+                name="discountValue"
+                type="number"
+                step="0.01"
+                min="0"
+                value={formData.discountValue}
+                onChange={handleInputChange}
+                disabled={formData.discountType === DISCOUNT_TYPES.NONE}
+                placeholder="0.00"
+              />
+            </Col>
+
+            <Col md={3}>
+              <FormField
+                label="HSN Code"
+                name="hsnCode"
+                value={formData.hsnCode}
+                onChange={handleInputChange}
+              />
+            </Col>
+
+            <Col md={3}>
+              <FormField
+                label="GST Rate (%)"
+                name="gstRate"
+                type="number"
+                step="0.01"
+                min="0"
+                value={formData.gstRate}
+                onChange={handleInputChange}
+              />
+            </Col>
+          </Row>
+
+          <FormField
+            label="Notes"
+            name="notes"
+            as="textarea"
+            rows={2}
+            value={formData.notes}
+            onChange={handleInputChange}
+            placeholder="Optional notes printed on the invoice"
+          />
+        </Form>
+
+        {/* Totals preview */}
+        <div className="mt-2 p-3 bg-light rounded">
+          <h6 className="mb-2">
+            <i className="bi bi-receipt"></i> Invoice Preview ({isIntraState ? 'CGST + SGST' : 'IGST'})
+          </h6>
+          <Table size="sm" className="mb-0">
+            <tbody>
+              <tr>
+                <td>Subtotal ({slabEntries.length} slabs)</td>
+                <td className="text-end">{formatAmount(preview.subtotal)}</td>
+              </tr>
+              <tr>
+                <td>Discount</td>
+                <td className="text-end">-{formatAmount(preview.discountAmount)}</td>
+              </tr>
+              <tr>
+                <td>Taxable Value</td>
+                <td className="text-end">{formatAmount(preview.taxableAmount)}</td>
+              </tr>
+              {isIntraState ? (
+                <>
+                  <tr>
+                    <td>CGST</td>
+                    <td className="text-end">{formatAmount(preview.cgstAmount)}</td>
+                  </tr>
+                  <tr>
+                    <td>SGST</td>
+                    <td className="text-end">{formatAmount(preview.sgstAmount)}</td>
+                  </tr>
+                </>
+              ) : (
+                <tr>
+                  <td>IGST</td>
+                  <td className="text-end">{formatAmount(preview.igstAmount)}</td>
+                </tr>
+              )}
+              <tr>
+                <td>Round Off</td>
+                <td className="text-end">{formatAmount(preview.roundOff)}</td>
+              </tr>
+              <tr className="fw-bold">
+                <td>Grand Total</td>
+                <td className="text-end">{formatAmount(preview.grandTotal)}</td>
+              </tr>
+            </tbody>
+          </Table>
+        </div>
+
+        <small className="text-muted d-block mt-2">
+          Once invoiced, the measurement sheet is locked until the invoice is cancelled.
+        </small>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleCreate}
+          disabled={isSubmitting || unpricedCount > 0 || slabEntries.length === 0}
+        >
+          {isSubmitting ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Creating...
+            </>
+          ) : (
+            'Create Invoice'
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default InvoiceCreateModal;
@@ -0,0 +1 @@
+export { default as InvoiceCreateModal } from './InvoiceCreateModal';
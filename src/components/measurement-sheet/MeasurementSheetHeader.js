@@ -1,6 +1,7 @@
 import React from 'react';
 import { Card, Row, Col, Badge } from 'react-bootstrap';
-import { CUSTOMER_TYPE_LABELS } from '../../utils/constants';
+import { customerTypeRegistry } from '../../utils/customerTypeRegistry';
+import { formatAmount } from '../../utils/pricingEngine';
 
 const MeasurementSheetHeader = ({ 
   measurementSheetNumber, 
@@ -8,10 +9,12 @@ const MeasurementSheetHeader = ({
   customerType, 
   createdAt,
   totalSquareFeet = 0,
+  totalSquareMetres = null,
+  totalAmount = null,
   slabCount = 0
 }) => {
   const getCustomerTypeDisplay = (type) => {
-    return CUSTOMER_TYPE_LABELS[type] || type;
+    return customerTypeRegistry.getLabel(type);
   };
 
   const formatDate = (date) => {
@@ -83,6 +86,16 @@ const MeasurementSheetHeader = ({
               <div className="fs-4 fw-bold text-success">
                 {totalSquareFeet.toFixed(2)} sq ft
               </div>
+              {totalSquareMetres !== null && (
+                <div className="fw-bold text-success">
+                  {totalSquareMetres.toFixed(3)} m²
+                </div>
+              )}
+              {totalAmount !== null && (
+                <div className="text-muted">
+                  Amount: {formatAmount(totalAmount)}
+                </div>
+              )}
             </div>
           </Col>
         </Row>
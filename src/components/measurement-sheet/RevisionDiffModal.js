@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Table, Badge, Alert } from 'react-bootstrap';
+import { LoadingSpinner } from '../common';
+import { measurementSheetService } from '../../services/measurementSheetService';
+import { calculationEngine } from '../../utils/calculationEngine';
+import { formatAmount } from '../../utils/pricingEngine';
+import { CHANGE_TYPES } from '../../shared/sheetDiff';
+
+const LINE_STYLES = {
+  added: { className: 'table-success', bg: 'success', label: 'Added' },
+  removed: { className: 'table-danger', bg: 'danger', label: 'Removed' },
+  changed: { className: 'table-warning', bg: 'warning', label: 'Changed' },
+  unchanged: { className: '', bg: 'light', label: 'Unchanged' }
+};
+
+const formatChange = (amount, places) => `${amount > 0 ? '+' : ''}${amount.toFixed(places)}`;
+
+/**
+ * Pick the revisions compared when the modal opens: the sheet and the revision it
+ * amends, or the original and its first amendment when the sheet is the original
+ */
+const defaultPair = (measurementSheet) => {
+  const revisions = measurementSheet?.revisions || [];
+  if (measurementSheet?.amendedFromId) {
+    return { baseId: measurementSheet.amendedFromId, revisionId: measurementSheet.id };
+  }
+  return { baseId: measurementSheet?.id || '', revisionId: revisions.length > 1 ? revisions[1].id : '' };
+};
+
+/**
+ * Line by line comparison of two revisions of a measurement sheet
+ */
+const RevisionDiffModal = ({ show, onHide, measurementSheet }) => {
+  const [baseId, setBaseId] = useState('');
+  const [revisionId, setRevisionId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const revisions = measurementSheet?.revisions || [];
+  const customerType = measurementSheet?.customerType;
+
+  useEffect(() => {
+    if (show) {
+      const pair = defaultPair(measurementSheet);
+      setBaseId(pair.baseId);
+      setRevisionId(pair.revisionId);
+      setShowUnchanged(false);
+    }
+  }, [show, measurementSheet]);
+
+  useEffect(() => {
+    if (!show || !baseId || !revisionId || baseId === revisionId) {
+      setDiff(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadDiff = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await measurementSheetService.getRevisionDiff(revisionId, baseId);
+        if (!cancelled) {
+          setDiff(result);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setDiff(null);
+          setError(err.response?.data?.error || 'Failed to compare the revisions.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadDiff();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show, baseId, revisionId]);
+
+  const revisionNumberOf = (id) => {
+    const revision = revisions.find(item => item.id === id);
+    return revision ? revision.revisionNumber : -1;
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined) {
+      return '—';
+    }
+    if (field === 'length' || field === 'breadth') {
+      return calculationEngine.formatDimension(value, customerType);
+    }
+    if (field === 'rate' || field === 'amount') {
+      return formatAmount(value);
+    }
+    return value;
+  };
+
+  const describeEntry = (entry) => {
+    const dimensions = calculationEngine.formatEntryDimensions(entry, customerType);
+    return `${dimensions.length} × ${dimensions.breadth}`;
+  };
+
+  const lines = diff
+    ? diff.lines.filter(line => showUnchanged || line.type !== CHANGE_TYPES.UNCHANGED)
+    : [];
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Compare Revisions</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        <Row className="mb-3 align-items-end">
+          <Col md={5}>
+            <Form.Group>
+              <Form.Label className="small">Earlier revision</Form.Label>
+              <Form.Select size="sm" value={baseId} onChange={(e) => setBaseId(e.target.value)}>
+                {revisions
+                  .filter(revision => revision.revisionNumber < revisionNumberOf(revisionId))
+                  .map(revision => (
+                    <option key={revision.id} value={revision.id}>{revision.measurementSheetNumber}</option>
+                  ))}
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={5}>
+            <Form.Group>
+              <Form.Label className="small">Later revision</Form.Label>
+              <Form.Select
+                size="sm"
+                value={revisionId}
+                onChange={(e) => {
+                  const nextId = e.target.value;
+                  setRevisionId(nextId);
+                  if (revisionNumberOf(baseId) >= revisionNumberOf(nextId)) {
+                    const previous = revisions.find(revision => revision.id === nextId);
+                    setBaseId(previous?.amendedFromId || '');
+                  }
+                }}
+              >
+                {revisions
+                  .filter(revision => revision.revisionNumber > 0)
+                  .map(revision => (
+                    <option key={revision.id} value={revision.id}>{revision.measurementSheetNumber}</option>
+                  ))}
+              </Form.Select>
+            </Form.Group>
+          </Col>
+          <Col md={2}>
+            <Form.Check
+              type="checkbox"
+              id="revision-diff-show-unchanged"
+              label="Unchanged lines"
+              checked={showUnchanged}
+              onChange={(e) => setShowUnchanged(e.target.checked)}
+            />
+          </Col>
+        </Row>
+
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {loading ? (
+          <LoadingSpinner text="Comparing revisions..." />
+        ) : diff && (
+          <>
+            <div className="d-flex flex-wrap gap-2 mb-3">
+              <Badge bg="success">{diff.summary.added} added</Badge>
+              <Badge bg="danger">{diff.summary.removed} removed</Badge>
+              <Badge bg="warning" text="dark">{diff.summary.changed} changed</Badge>
+              <Badge bg="light" text="dark">{diff.summary.unchanged} unchanged</Badge>
+              <span className="small text-muted ms-2">
+                Square feet {formatChange(diff.summary.squareFeetChange, 2)} · Amount {formatChange(diff.summary.amountChange, 2)}
+              </span>
+            </div>
+
+            {lines.length === 0 ? (
+              <div className="text-center text-muted py-4">
+                No slab entries changed between {diff.base.measurementSheetNumber} and {diff.revision.measurementSheetNumber}.
+              </div>
+            ) : (
+              <Table size="sm" bordered responsive className="mb-0">
+                <thead>
+                  <tr>
+                    <th>{diff.base.measurementSheetNumber}</th>
+                    <th>{diff.revision.measurementSheetNumber}</th>
+                    <th>Block</th>
+                    <th>Dimensions</th>
+                    <th>Category</th>
+                    <th className="text-end">Sq Ft</th>
+                    <th>Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map(line => {
+                    const style = LINE_STYLES[line.type];
+                    const entry = line.revision || line.base;
+                    return (
+                      <tr key={line.key} className={style.className}>
+                        <td>{line.base ? `#${line.base.serialNumber}` : '—'}</td>
+                        <td>{line.revision ? `#${line.revision.serialNumber}` : '—'}</td>
+                        <td>{entry.blockNumber}</td>
+                        <td>{describeEntry(entry)}</td>
+                        <td>{entry.slabCategory}</td>
+                        <td className="text-end">{parseFloat(entry.squareFeet).toFixed(2)}</td>
+                        <td>
+                          <Badge bg={style.bg} text={line.type === CHANGE_TYPES.UNCHANGED || line.type === CHANGE_TYPES.CHANGED ? 'dark' : undefined}>
+                            {style.label}
+                          </Badge>
+                          {line.changes.length > 0 && (
+                            <ul className="small mb-0 mt-1 ps-3">
+                              {line.changes.map(change => (
+                                <li key={change.field}>
+                                  {change.label}: {formatValue(change.field, change.from)} → {formatValue(change.field, change.to)}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            )}
+          </>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default RevisionDiffModal;
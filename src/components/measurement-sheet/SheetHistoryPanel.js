@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Button, ListGroup, Badge, Alert } from 'react-bootstrap';
+import { LoadingSpinner } from '../common';
+import { auditService } from '../../services/auditService';
+import { groupAuditEntries, getFieldLabel } from '../../utils/auditTimeline';
+
+const ACTION_BADGES = {
+  create: { bg: 'success', label: 'Added' },
+  update: { bg: 'primary', label: 'Changed' },
+  delete: { bg: 'danger', label: 'Deleted' }
+};
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : value);
+
+/**
+ * Timeline of every change to a measurement sheet and its slab entries
+ * Reloads whenever `refreshKey` changes, so the parent can bump it after each edit
+ */
+const SheetHistoryPanel = ({ measurementSheetId, refreshKey = 0 }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const entries = await auditService.getSheetHistory(measurementSheetId);
+      setEvents(groupAuditEntries(entries));
+    } catch (err) {
+      setError('Failed to load history.');
+    } finally {
+      setLoading(false);
+    }
+  }, [measurementSheetId]);
+
+  useEffect(() => {
+    if (expanded && measurementSheetId) {
+      loadHistory();
+    }
+  }, [expanded, measurementSheetId, refreshKey, loadHistory]);
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="bi bi-clock-history me-2"></i>
+          History
+        </h5>
+        <Button variant="outline-secondary" size="sm" onClick={() => setExpanded(prev => !prev)}>
+          {expanded ? 'Hide' : 'Show'}
+        </Button>
+      </Card.Header>
+
+      {expanded && (
+        <Card.Body className="p-0">
+          {error && <Alert variant="danger" className="m-3">{error}</Alert>}
+
+          {loading ? (
+            <LoadingSpinner text="Loading history..." />
+          ) : events.length === 0 ? (
+            <div className="text-center py-4 text-muted">No changes recorded for this sheet yet.</div>
+          ) : (
+            <ListGroup variant="flush">
+              {events.map(event => {
+                const badge = ACTION_BADGES[event.action] || ACTION_BADGES.update;
+                return (
+                  <ListGroup.Item key={event.key}>
+                    <div className="d-flex justify-content-between">
+                      <div>
+                        <Badge bg={badge.bg} className="me-2">{badge.label}</Badge>
+                        <strong>{event.entityLabel}</strong>
+                      </div>
+                      <small className="text-muted">
+                        {new Date(event.createdAt).toLocaleString()} · {event.username || 'system'}
+                      </small>
+                    </div>
+                    <ul className="small mb-0 mt-1">
+                      {event.changes.map((change, index) => (
+                        <li key={index}>
+                          {event.action === 'update' ? (
+                            <>
+                              {getFieldLabel(change.field)}: {formatValue(change.oldValue)} → {formatValue(change.newValue)}
+                            </>
+                          ) : (
+                            formatValue(event.action === 'delete' ? change.oldValue : change.newValue)
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </ListGroup.Item>
+                );
+              })}
+            </ListGroup>
+          )}
+        </Card.Body>
+      )}
+    </Card>
+  );
+};
+
+export default SheetHistoryPanel;
@@ -1,14 +1,21 @@
 import React from 'react';
 import { Card, Table, Button, Badge, Alert } from 'react-bootstrap';
+import { pricingEngine, formatAmount } from '../../utils/pricingEngine';
+import { calculationEngine } from '../../utils/calculationEngine';
+import { CALCULATION_MODES } from '../../utils/constants';
+
+const formatSquareMetres = (value) => (value === null || value === undefined ? '-' : parseFloat(value).toFixed(3));
 
 const SlabEntriesTable = ({ 
   slabEntries = [], 
   onEditEntry, 
   onDeleteEntry, 
   customerType,
+  calculationMode,
   disabled = false 
 }) => {
-  const totalSquareFeet = slabEntries.reduce((sum, entry) => sum + entry.squareFeet, 0);
+  const { totalSquareFeet, totalSquareMetres, totalAmount, unpricedCount } = pricingEngine.calculateTotals(slabEntries);
+  const isMetric = calculationMode === CALCULATION_MODES.METRIC;
 
   if (slabEntries.length === 0) {
     return (
@@ -38,6 +45,17 @@ const SlabEntriesTable = ({
           <div className="fs-4 fw-bold text-success">
             {totalSquareFeet.toFixed(2)} sq ft
           </div>
+          {isMetric && (
+            <div className="fw-bold text-success">{totalSquareMetres.toFixed(3)} m²</div>
+          )}
+          <div className="small">
+            Amount: <span className="fw-bold">{formatAmount(totalAmount)}</span>
+            {unpricedCount > 0 && (
+              <span className="text-warning ms-1" title="No rate card applies to these slabs">
+                ({unpricedCount} unpriced)
+              </span>
+            )}
+          </div>
         </div>
       </Card.Header>
       
@@ -48,71 +66,93 @@ const SlabEntriesTable = ({
               <tr>
                 <th>S.No</th>
                 <th>Block No</th>
+                <th>Material</th>
                 <th>Length</th>
                 <th>Breadth</th>
                 <th>Category</th>
                 <th>Final Dimensions</th>
                 <th>Square Feet</th>
+                {isMetric && <th>m²</th>}
+                <th>Rate</th>
+                <th>Amount</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {slabEntries.map((entry, index) => (
-                <tr key={entry.id || index}>
-                  <td className="fw-bold">{entry.serialNumber}</td>
-                  <td>{entry.blockNumber}</td>
-                  <td>{entry.length}"</td>
-                  <td>{entry.breadth}"</td>
-                  <td>
-                    <Badge 
-                      bg={entry.slabCategory === 'F' ? 'success' : 
-                          entry.slabCategory === 'LD' ? 'warning' : 
-                          entry.slabCategory === 'D' ? 'info' : 'secondary'}
-                    >
-                      {entry.slabCategory}
-                    </Badge>
-                  </td>
-                  <td>
-                    <span className="text-muted small">
-                      {entry.finalLength}" × {entry.finalBreadth}"
-                    </span>
-                  </td>
-                  <td className="fw-bold text-success">
-                    {entry.squareFeet.toFixed(2)}
-                  </td>
-                  <td>
-                    <div className="btn-group btn-group-sm">
-                      <Button
-                        variant="outline-primary"
-                        size="sm"
-                        onClick={() => onEditEntry(entry, index)}
-                        disabled={disabled}
-                        title="Edit entry"
+              {slabEntries.map((entry, index) => {
+                const dimensions = calculationEngine.formatEntryDimensions(entry, customerType);
+                return (
+                  <tr key={entry.id || index}>
+                    <td className="fw-bold">{entry.serialNumber}</td>
+                    <td>{entry.blockNumber}</td>
+                    <td>{entry.material || '-'}</td>
+                    <td title={calculationEngine.formatDimension(entry.length, customerType)}>{dimensions.length}</td>
+                    <td title={calculationEngine.formatDimension(entry.breadth, customerType)}>{dimensions.breadth}</td>
+                    <td>
+                      <Badge 
+                        bg={entry.slabCategory === 'F' ? 'success' : 
+                            entry.slabCategory === 'LD' ? 'warning' : 
+                            entry.slabCategory === 'D' ? 'info' : 'secondary'}
                       >
-                        <i className="bi bi-pencil"></i>
-                      </Button>
-                      <Button
-                        variant="outline-danger"
-                        size="sm"
-                        onClick={() => onDeleteEntry(index)}
-                        disabled={disabled}
-                        title="Delete entry"
-                      >
-                        <i className="bi bi-trash"></i>
-                      </Button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
+                        {entry.slabCategory}
+                      </Badge>
+                    </td>
+                    <td>
+                      <span className="text-muted small">
+                        {dimensions.finalLength} × {dimensions.finalBreadth}
+                      </span>
+                    </td>
+                    <td className="fw-bold text-success">
+                      {entry.squareFeet.toFixed(2)}
+                    </td>
+                    {isMetric && (
+                      <td className="text-success">{formatSquareMetres(entry.squareMetres)}</td>
+                    )}
+                    <td>{formatAmount(entry.rate)}</td>
+                    <td className="fw-bold">{formatAmount(entry.amount)}</td>
+                    <td>
+                      <div className="btn-group btn-group-sm">
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          onClick={() => onEditEntry(entry, index)}
+                          disabled={disabled}
+                          title="Edit entry"
+                        >
+                          <i className="bi bi-pencil"></i>
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => onDeleteEntry(index)}
+                          disabled={disabled}
+                          title="Delete entry"
+                        >
+                          <i className="bi bi-trash"></i>
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
             <tfoot className="table-light">
               <tr>
-                <td colSpan="6" className="text-end fw-bold">
+                <td colSpan="7" className="text-end fw-bold">
                   Total Square Feet:
                 </td>
                 <td className="fw-bold text-success fs-5">
                   {totalSquareFeet.toFixed(2)}
                 </td>
+                {isMetric && (
+                  <td className="fw-bold text-success">
+                    {totalSquareMetres.toFixed(3)}
+                  </td>
+                )}
+                <td></td>
+                <td className="fw-bold fs-5">
+                  {formatAmount(totalAmount)}
+                </td>
                 <td></td>
               </tr>
             </tfoot>
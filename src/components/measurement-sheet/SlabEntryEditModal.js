@@ -1,18 +1,23 @@
 import React, { useState, useEffect } from 'react';
 import { Modal, Button, Form, Row, Col, Alert } from 'react-bootstrap';
 import FormField from '../common/FormField';
-import { SLAB_CATEGORIES } from '../../utils/constants';
+import { SLAB_CATEGORIES, DIMENSION_PLACEHOLDER } from '../../utils/constants';
 import { calculationEngine } from '../../utils/calculationEngine';
+import { pricingEngine, formatAmount } from '../../utils/pricingEngine';
+import { validateDimension } from '../../utils/validationHelpers';
+import { dimensionInputText } from '../../shared/dimensions';
 
 const SlabEntryEditModal = ({ 
   show, 
   onHide, 
   onSave, 
   entry, 
-  customerType 
+  customerType,
+  calculationMode
 }) => {
   const [formData, setFormData] = useState({
     blockNumber: '',
+    material: '',
     length: '',
     breadth: '',
     slabCategory: ''
@@ -27,8 +32,10 @@ const SlabEntryEditModal = ({
     if (entry) {
       setFormData({
         blockNumber: entry.blockNumber || '',
-        length: entry.length?.toString() || '',
-        breadth: entry.breadth?.toString() || '',
+        material: entry.material || '',
+        // Edit the dimensions as they were entered when the entry kept them
+        length: entry.lengthInput || entry.length?.toString() || '',
+        breadth: entry.breadthInput || entry.breadth?.toString() || '',
         slabCategory: entry.slabCategory || ''
       });
     }
@@ -37,13 +44,10 @@ const SlabEntryEditModal = ({
   // Real-time calculation
   useEffect(() => {
     if (formData.length && formData.breadth && customerType) {
-      const length = parseFloat(formData.length);
-      const breadth = parseFloat(formData.breadth);
-      
-      if (length > 0 && breadth > 0) {
+      if (validateDimension(formData.length).length === 0 && validateDimension(formData.breadth).length === 0) {
         setIsCalculating(true);
         try {
-          const result = calculationEngine.calculateSquareFeet(length, breadth, customerType);
+          const result = calculationEngine.calculateSquareFeet(formData.length, formData.breadth, customerType, calculationMode);
           setCalculation(result);
         } catch (error) {
           console.error('Calculation error:', error);
@@ -56,7 +60,7 @@ const SlabEntryEditModal = ({
     } else {
       setCalculation(null);
     }
-  }, [formData.length, formData.breadth, customerType]);
+  }, [formData.length, formData.breadth, customerType, calculationMode]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -81,22 +85,14 @@ const SlabEntryEditModal = ({
       newErrors.blockNumber = 'Block number is required';
     }
     
-    if (!formData.length) {
-      newErrors.length = 'Length is required';
-    } else {
-      const length = parseFloat(formData.length);
-      if (isNaN(length) || length <= 0) {
-        newErrors.length = 'Length must be a positive number';
-      }
+    const lengthErrors = validateDimension(formData.length, 'Length');
+    if (lengthErrors.length > 0) {
+      newErrors.length = lengthErrors[0];
     }
     
-    if (!formData.breadth) {
-      newErrors.breadth = 'Breadth is required';
-    } else {
-      const breadth = parseFloat(formData.breadth);
-      if (isNaN(breadth) || breadth <= 0) {
-        newErrors.breadth = 'Breadth must be a positive number';
-      }
+    const breadthErrors = validateDimension(formData.breadth, 'Breadth');
+    if (breadthErrors.length > 0) {
+      newErrors.breadth = breadthErrors[0];
     }
     
     if (!formData.slabCategory) {
@@ -119,14 +115,21 @@ const SlabEntryEditModal = ({
     
     const updatedEntry = {
       ...entry,
+      // The server links the slab to the inventory block matching its number
+      blockId: null,
       blockNumber: formData.blockNumber.trim(),
-      length: parseFloat(formData.length),
-      breadth: parseFloat(formData.breadth),
+      material: formData.material.trim(),
+      length: calculation.length,
+      breadth: calculation.breadth,
+      lengthInput: dimensionInputText(formData.length),
+      breadthInput: dimensionInputText(formData.breadth),
       slabCategory: formData.slabCategory,
       finalLength: calculation.finalLength,
       finalBreadth: calculation.finalBreadth,
       squareFeet: calculation.squareFeet,
-      calculationDetails: calculation.rawCalculation
+      squareMetres: calculation.squareMetres,
+      calculationDetails: calculation.rawCalculation,
+      ...pricing
     };
     
     onSave(updatedEntry);
@@ -136,6 +139,7 @@ const SlabEntryEditModal = ({
   const handleClose = () => {
     setFormData({
       blockNumber: '',
+      material: '',
       length: '',
       breadth: '',
       slabCategory: ''
@@ -150,6 +154,15 @@ const SlabEntryEditModal = ({
     label: category
   }));
 
+  // Re-price at the rates in effect when the slab was first entered, as the server does
+  const pricing = calculation && formData.slabCategory
+    ? pricingEngine.priceEntry({
+      slabCategory: formData.slabCategory,
+      material: formData.material,
+      squareFeet: calculation.squareFeet
+    }, customerType, entry?.createdAt || new Date())
+    : { rate: null, amount: null };
+
   return (
     <Modal show={show} onHide={handleClose} size="lg">
       <Modal.Header closeButton>
@@ -178,7 +191,17 @@ const SlabEntryEditModal = ({
               />
             </Col>
             
-            <Col md={6}>
+            <Col md={3}>
+              <FormField
+                label="Material"
+                name="material"
+                value={formData.material}
+                onChange={handleInputChange}
+                placeholder="e.g. Black Galaxy"
+              />
+            </Col>
+            
+            <Col md={3}>
               <FormField
                 label="Slab Category"
                 name="slabCategory"
@@ -197,32 +220,26 @@ const SlabEntryEditModal = ({
           <Row>
             <Col md={6}>
               <FormField
-                label="Length (inches)"
+                label="Length"
                 name="length"
-                type="number"
-                step="0.01"
-                min="0"
                 value={formData.length}
                 onChange={handleInputChange}
                 error={errors.length}
                 touched={!!errors.length}
-                placeholder="0.00"
+                placeholder={DIMENSION_PLACEHOLDER}
                 required
               />
             </Col>
             
             <Col md={6}>
               <FormField
-                label="Breadth (inches)"
+                label="Breadth"
                 name="breadth"
-                type="number"
-                step="0.01"
-                min="0"
                 value={formData.breadth}
                 onChange={handleInputChange}
                 error={errors.breadth}
                 touched={!!errors.breadth}
-                placeholder="0.00"
+                placeholder={DIMENSION_PLACEHOLDER}
                 required
               />
             </Col>
@@ -237,21 +254,31 @@ const SlabEntryEditModal = ({
             </h6>
             
             <Row>
-              <Col md={4}>
+              <Col md={3}>
                 <small className="text-muted">Original Dimensions:</small>
-                <div>{formData.length}" × {formData.breadth}"</div>
+                <div>{calculation.display.length} × {calculation.display.breadth}</div>
               </Col>
               
-              <Col md={4}>
+              <Col md={3}>
                 <small className="text-muted">Final Dimensions:</small>
-                <div>{calculation.finalLength}" × {calculation.finalBreadth}"</div>
+                <div>{calculation.display.finalLength} × {calculation.display.finalBreadth}</div>
               </Col>
               
-              <Col md={4}>
+              <Col md={3}>
                 <small className="text-muted">Square Feet:</small>
                 <div className="fw-bold text-success fs-5">
                   {calculation.squareFeet} sq ft
                 </div>
+                {calculation.squareMetres !== undefined && (
+                  <small className="text-muted">{calculation.squareMetres.toFixed(3)} m²</small>
+                )}
+              </Col>
+              
+              <Col md={3}>
+                <small className="text-muted">Amount:</small>
+                <div className="fw-bold fs-5">
+                  {formatAmount(pricing.amount)}
+                </div>
               </Col>
             </Row>
             
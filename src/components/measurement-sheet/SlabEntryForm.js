@@ -3,19 +3,30 @@ import { Card, Row, Col, Button, Form } from 'react-bootstrap';
 import FormField from '../common/FormField';
 import ErrorAlert from '../common/ErrorAlert';
 import LoadingSpinner from '../common/LoadingSpinner';
-import { SLAB_CATEGORIES } from '../../utils/constants';
+import { SLAB_CATEGORIES, DIMENSION_PLACEHOLDER } from '../../utils/constants';
 import { calculationEngine } from '../../utils/calculationEngine';
+import { pricingEngine, formatAmount } from '../../utils/pricingEngine';
+import { blockService } from '../../services/blockService';
+import { slabService } from '../../services/slabService';
 import { validateSlabEntry } from '../../utils/validationHelpers';
+import { parseDimension, dimensionInputText } from '../../shared/dimensions';
 import useErrorHandler from '../../hooks/useErrorHandler';
 
+// Block picker value for a block number that is not in inventory
+const OTHER_BLOCK = 'other';
+
 const SlabEntryForm = ({ 
   onAddEntry, 
   customerType, 
+  calculationMode,
   nextSerialNumber,
   disabled = false 
 }) => {
   const [formData, setFormData] = useState({
+    slabId: '',
+    blockId: '',
     blockNumber: '',
+    material: '',
     length: '',
     breadth: '',
     slabCategory: ''
@@ -25,16 +36,32 @@ const SlabEntryForm = ({
   const [calculation, setCalculation] = useState(null);
   const [isCalculating, setIsCalculating] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [blocks, setBlocks] = useState([]);
+  const [stockSlabs, setStockSlabs] = useState([]);
   const { error: calculationError, setError: setCalculationError, clearError: clearCalculationError } = useErrorHandler();
 
+  // Load the blocks with slabs remaining; without them the block number is typed in
+  useEffect(() => {
+    blockService.getBlocks({ available: true })
+      .then(setBlocks)
+      .catch(() => setBlocks([]));
+  }, []);
+
+  // Load the slabs that can still be sold; without them slabs are entered by block as before
+  useEffect(() => {
+    slabService.getSlabs({ available: true })
+      .then(setStockSlabs)
+      .catch(() => setStockSlabs([]));
+  }, []);
+
   // Real-time calculation when length, breadth, or customer type changes
   useEffect(() => {
     const performCalculation = async () => {
       if (formData.length && formData.breadth && customerType) {
-        const length = parseFloat(formData.length);
-        const breadth = parseFloat(formData.breadth);
+        const length = parseDimension(formData.length);
+        const breadth = parseDimension(formData.breadth);
         
-        if (length > 0 && breadth > 0) {
+        if (length && breadth && length.inches > 0 && breadth.inches > 0) {
           setIsCalculating(true);
           clearCalculationError();
           
@@ -42,7 +69,7 @@ const SlabEntryForm = ({
             // Add small delay to debounce rapid input changes
             await new Promise(resolve => setTimeout(resolve, 300));
             
-            const result = calculationEngine.calculateSquareFeet(length, breadth, customerType);
+            const result = calculationEngine.calculateSquareFeet(length.inches, breadth.inches, customerType, calculationMode);
             setCalculation(result);
           } catch (error) {
             console.error('Calculation error:', error);
@@ -67,7 +94,7 @@ const SlabEntryForm = ({
 
     const timeoutId = setTimeout(performCalculation, 100);
     return () => clearTimeout(timeoutId);
-  }, [formData.length, formData.breadth, customerType, clearCalculationError, setCalculationError]);
+  }, [formData.length, formData.breadth, customerType, calculationMode, clearCalculationError, setCalculationError]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -85,6 +112,54 @@ const SlabEntryForm = ({
     }
   };
 
+  const handleBlockChange = (e) => {
+    const { value } = e.target;
+    const block = blocks.find(item => item.id === value);
+
+    // Slabs cut from an inventory block default to the block's variety
+    setFormData(prev => ({
+      ...prev,
+      blockId: value,
+      blockNumber: block ? block.blockNumber : '',
+      material: block ? block.variety : prev.material
+    }));
+
+    if (errors.blockNumber) {
+      setErrors(prev => ({
+        ...prev,
+        blockNumber: ''
+      }));
+    }
+  };
+
+  const handleStockSlabChange = (e) => {
+    const { value } = e.target;
+    const slab = stockSlabs.find(item => item.id === value);
+
+    // A slab from stock brings its block, variety and registered size; the size can still be adjusted
+    setFormData(prev => (slab ? {
+      ...prev,
+      slabId: slab.id,
+      blockId: slab.blockId,
+      blockNumber: slab.blockNumber,
+      material: slab.variety,
+      length: String(slab.length),
+      breadth: String(slab.breadth)
+    } : {
+      ...prev,
+      slabId: '',
+      blockId: '',
+      blockNumber: ''
+    }));
+
+    setErrors(prev => ({
+      ...prev,
+      blockNumber: '',
+      length: '',
+      breadth: ''
+    }));
+  };
+
   const validateForm = () => {
     const validation = validateSlabEntry(formData);
     setErrors(validation.errors);
@@ -119,22 +194,37 @@ const SlabEntryForm = ({
       
       const slabEntry = {
         serialNumber: nextSerialNumber,
+        slabId: formData.slabId || undefined,
+        blockId: formData.blockId && formData.blockId !== OTHER_BLOCK ? formData.blockId : undefined,
         blockNumber: formData.blockNumber.trim(),
-        length: parseFloat(formData.length),
-        breadth: parseFloat(formData.breadth),
+        material: formData.material.trim(),
+        length: calculation.length,
+        breadth: calculation.breadth,
+        lengthInput: dimensionInputText(formData.length),
+        breadthInput: dimensionInputText(formData.breadth),
         slabCategory: formData.slabCategory,
         finalLength: calculation.finalLength,
         finalBreadth: calculation.finalBreadth,
         squareFeet: calculation.squareFeet,
-        calculationDetails: calculation.rawCalculation
+        squareMetres: calculation.squareMetres,
+        calculationDetails: calculation.rawCalculation,
+        ...pricing
       };
       
       // Call parent handler
       await onAddEntry(slabEntry);
       
-      // Reset form on success
+      // The slab is now reserved on this sheet, so it can no longer be picked
+      if (formData.slabId) {
+        setStockSlabs(prev => prev.filter(slab => slab.id !== formData.slabId));
+      }
+      
+      // Reset form on success, keeping the material as consecutive slabs are usually the same variety
       setFormData({
+        slabId: '',
+        blockId: '',
         blockNumber: '',
+        material: formData.material,
         length: '',
         breadth: '',
         slabCategory: ''
@@ -152,11 +242,30 @@ const SlabEntryForm = ({
     }
   };
 
+  const blockOptions = blocks.map(block => ({
+    value: block.id,
+    label: `${block.blockNumber} - ${block.variety} (${block.slabsRemaining} left)`
+  })).concat({ value: OTHER_BLOCK, label: 'Other (not in inventory)' });
+
+  const stockSlabOptions = stockSlabs.map(slab => ({
+    value: slab.id,
+    label: `${slab.slabNumber} - ${slab.variety} ${slab.length}×${slab.breadth}`
+  }));
+
   const slabCategoryOptions = SLAB_CATEGORIES.map(category => ({
     value: category,
     label: category
   }));
 
+  // Price the slab with the rate card for its category and material
+  const pricing = calculation && formData.slabCategory
+    ? pricingEngine.priceEntry({
+      slabCategory: formData.slabCategory,
+      material: formData.material,
+      squareFeet: calculation.squareFeet
+    }, customerType)
+    : { rate: null, amount: null };
+
   return (
     <Card className="mb-4">
       <Card.Header>
@@ -183,33 +292,73 @@ const SlabEntryForm = ({
             />
           )}
           
+          {stockSlabs.length > 0 && (
+            <Row>
+              <Col md={6}>
+                <FormField
+                  label="Slab from Stock"
+                  name="slabId"
+                  as="select"
+                  value={formData.slabId}
+                  onChange={handleStockSlabChange}
+                  options={stockSlabOptions}
+                  placeholder="Not in stock (enter block below)"
+                  disabled={disabled}
+                />
+              </Col>
+            </Row>
+          )}
+          
           <Row>
             <Col md={6}>
-              <FormField
-                label="Block Number"
-                name="blockNumber"
-                value={formData.blockNumber}
-                onChange={handleInputChange}
-                error={errors.blockNumber}
-                touched={!!errors.blockNumber}
-                placeholder="Enter block number"
-                required
-                disabled={disabled}
-              />
+              {formData.slabId ? (
+                <FormField
+                  label="Block Number"
+                  name="blockNumber"
+                  value={formData.blockNumber}
+                  onChange={handleInputChange}
+                  disabled
+                />
+              ) : blocks.length > 0 && (
+                <FormField
+                  label="Block"
+                  name="blockId"
+                  as="select"
+                  value={formData.blockId}
+                  onChange={handleBlockChange}
+                  error={formData.blockId === OTHER_BLOCK ? null : errors.blockNumber}
+                  touched={!!errors.blockNumber}
+                  options={blockOptions}
+                  placeholder="Select block from inventory"
+                  required
+                  disabled={disabled}
+                />
+              )}
+              
+              {!formData.slabId && (blocks.length === 0 || formData.blockId === OTHER_BLOCK) && (
+                <FormField
+                  label="Block Number"
+                  name="blockNumber"
+                  value={formData.blockNumber}
+                  onChange={handleInputChange}
+                  error={errors.blockNumber}
+                  touched={!!errors.blockNumber}
+                  placeholder="Enter block number"
+                  required
+                  disabled={disabled}
+                />
+              )}
             </Col>
             
             <Col md={3}>
               <FormField
-                label="Length (inches)"
+                label="Length"
                 name="length"
-                type="number"
-                step="0.01"
-                min="0"
                 value={formData.length}
                 onChange={handleInputChange}
                 error={errors.length}
                 touched={!!errors.length}
-                placeholder="0.00"
+                placeholder={DIMENSION_PLACEHOLDER}
                 required
                 disabled={disabled}
               />
@@ -217,16 +366,13 @@ const SlabEntryForm = ({
             
             <Col md={3}>
               <FormField
-                label="Breadth (inches)"
+                label="Breadth"
                 name="breadth"
-                type="number"
-                step="0.01"
-                min="0"
                 value={formData.breadth}
                 onChange={handleInputChange}
                 error={errors.breadth}
                 touched={!!errors.breadth}
-                placeholder="0.00"
+                placeholder={DIMENSION_PLACEHOLDER}
                 required
                 disabled={disabled}
               />
@@ -234,7 +380,18 @@ const SlabEntryForm = ({
           </Row>
           
           <Row>
-            <Col md={6}>
+            <Col md={3}>
+              <FormField
+                label="Material"
+                name="material"
+                value={formData.material}
+                onChange={handleInputChange}
+                placeholder="e.g. Black Galaxy"
+                disabled={disabled}
+              />
+            </Col>
+            
+            <Col md={3}>
               <FormField
                 label="Slab Category"
                 name="slabCategory"
@@ -283,21 +440,37 @@ const SlabEntryForm = ({
             </h6>
             
             <Row>
-              <Col md={4}>
+              <Col md={3}>
                 <small className="text-muted">Original Dimensions:</small>
-                <div>{formData.length}" × {formData.breadth}"</div>
+                <div>{calculation.display.length} × {calculation.display.breadth}</div>
+                {(dimensionInputText(formData.length) || dimensionInputText(formData.breadth)) && (
+                  <small className="text-muted">Entered {formData.length} × {formData.breadth}</small>
+                )}
               </Col>
               
-              <Col md={4}>
+              <Col md={3}>
                 <small className="text-muted">Final Dimensions:</small>
-                <div>{calculation.finalLength}" × {calculation.finalBreadth}"</div>
+                <div>{calculation.display.finalLength} × {calculation.display.finalBreadth}</div>
               </Col>
               
-              <Col md={4}>
+              <Col md={3}>
                 <small className="text-muted">Square Feet:</small>
                 <div className="fw-bold text-success fs-5">
                   {calculation.squareFeet} sq ft
                 </div>
+                {calculation.squareMetres !== undefined && (
+                  <small className="text-muted">{calculation.squareMetres.toFixed(3)} m²</small>
+                )}
+              </Col>
+              
+              <Col md={3}>
+                <small className="text-muted">Amount:</small>
+                <div className="fw-bold fs-5">
+                  {formatAmount(pricing.amount)}
+                </div>
+                {pricing.rate !== null && (
+                  <small className="text-muted">@ {formatAmount(pricing.rate)} / sq ft</small>
+                )}
               </Col>
             </Row>
             
@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Card, Table, Form, Button, Spinner, Alert } from 'react-bootstrap';
+import { SLAB_CATEGORIES, CALCULATION_MODES } from '../../utils/constants';
+import { evaluateSlabEntry, toSlabEntries } from '../../utils/slabImport';
+import { calculationEngine } from '../../utils/calculationEngine';
+import {
+  GRID_ROW_STATUS,
+  gridColumns,
+  withDimensionUnit,
+  createGridRow,
+  isBlankGridRow,
+  nextCellPosition
+} from '../../utils/entryGrid';
+
+// Finished rows are saved together once entry pauses, or straight away when this many are waiting
+const SAVE_DELAY = 1500;
+const MAX_BATCH_SIZE = 25;
+
+const cellKey = (rowKey, columnIndex) => `${rowKey}:${columnIndex}`;
+
+/**
+ * Spreadsheet-style slab entry, one row per slab
+ * Enter and Tab move to the next cell, Shift goes back and the arrow keys move between rows.
+ * A row is finished when the cursor leaves it; finished rows are saved in batches in the background
+ */
+const SlabEntryGrid = ({
+  customerType,
+  calculationMode,
+  onSaveBatch,
+  disabled = false
+}) => {
+  const [rows, setRows] = useState(() => [createGridRow()]);
+  const [saveError, setSaveError] = useState(null);
+  const cellRefs = useRef({});
+  const pendingFocus = useRef(null);
+  const activeRowKey = useRef(null);
+  const isSaving = useRef(false);
+  const saveImmediately = useRef(false);
+
+  // Dimensions are headed and read in the unit the party's sheets are shown in
+  const displayUnit = calculationEngine.getDisplayUnit(customerType);
+  const columns = useMemo(() => gridColumns(displayUnit), [displayUnit]);
+
+  const evaluatedRows = useMemo(() => rows.map(row => {
+    const entry = {
+      ...row,
+      length: withDimensionUnit(row.length, displayUnit),
+      breadth: withDimensionUnit(row.breadth, displayUnit)
+    };
+    return {
+      row,
+      entry,
+      isBlank: isBlankGridRow(row),
+      ...evaluateSlabEntry(entry, customerType, calculationMode)
+    };
+  }), [rows, customerType, calculationMode, displayUnit]);
+
+  const isMetric = calculationMode === CALCULATION_MODES.METRIC;
+
+  const readyRows = evaluatedRows.filter(item =>
+    item.row.committed && !item.isBlank && item.isValid && item.row.status === GRID_ROW_STATUS.DRAFT
+  );
+  const failedCount = rows.filter(row => row.status === GRID_ROW_STATUS.ERROR).length;
+  const savingCount = rows.filter(row => row.status === GRID_ROW_STATUS.SAVING).length;
+
+  const saveRows = useCallback(async (batch) => {
+    if (isSaving.current) {
+      return;
+    }
+    isSaving.current = true;
+
+    const keys = new Set(batch.map(item => item.row.key));
+    setRows(prev => prev.map(row => (keys.has(row.key)
+      ? { ...row, status: GRID_ROW_STATUS.SAVING, error: null }
+      : row)));
+
+    try {
+      await onSaveBatch(toSlabEntries(batch));
+
+      // Saved slabs move to the entries table below the grid
+      setRows(prev => {
+        const remaining = prev.filter(row => !keys.has(row.key));
+        return remaining.length > 0 ? remaining : [createGridRow(prev[prev.length - 1])];
+      });
+      setSaveError(null);
+    } catch (error) {
+      const message = error.response?.data?.error || error.message || 'Failed to save slabs';
+      setRows(prev => prev.map(row => (keys.has(row.key)
+        ? { ...row, status: GRID_ROW_STATUS.ERROR, error: message }
+        : row)));
+      setSaveError(message);
+    } finally {
+      isSaving.current = false;
+    }
+  }, [onSaveBatch]);
+
+  // Save finished rows in the background; any change restarts the wait
+  useEffect(() => {
+    if (disabled || readyRows.length === 0) {
+      return undefined;
+    }
+
+    const delay = saveImmediately.current || readyRows.length >= MAX_BATCH_SIZE ? 0 : SAVE_DELAY;
+    saveImmediately.current = false;
+
+    const timer = setTimeout(() => saveRows(readyRows.slice(0, MAX_BATCH_SIZE)), delay);
+    return () => clearTimeout(timer);
+  }, [disabled, readyRows, saveRows]);
+
+  useEffect(() => {
+    if (pendingFocus.current) {
+      const input = cellRefs.current[pendingFocus.current];
+      pendingFocus.current = null;
+      if (input) {
+        input.focus();
+        input.select();
+      }
+    }
+  }, [rows]);
+
+  const focusCell = (rowKey, columnIndex) => {
+    const input = cellRefs.current[cellKey(rowKey, columnIndex)];
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const setCommitted = (rowKey, committed) => {
+    setRows(prev => prev.map(row => (row.key === rowKey && row.committed !== committed
+      ? { ...row, committed }
+      : row)));
+  };
+
+  // Entering a row holds it back from saving; leaving it finishes it
+  const handleCellFocus = (rowKey) => {
+    if (activeRowKey.current === rowKey) {
+      return;
+    }
+    if (activeRowKey.current) {
+      setCommitted(activeRowKey.current, true);
+    }
+    activeRowKey.current = rowKey;
+    setCommitted(rowKey, false);
+  };
+
+  const handleGridBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget) && activeRowKey.current) {
+      setCommitted(activeRowKey.current, true);
+      activeRowKey.current = null;
+    }
+  };
+
+  const handleCellChange = (rowKey, field, value) => {
+    setRows(prev => prev.map(row => (row.key === rowKey ? {
+      ...row,
+      [field]: field === 'slabCategory' ? value.toUpperCase() : value,
+      status: row.status === GRID_ROW_STATUS.ERROR ? GRID_ROW_STATUS.DRAFT : row.status,
+      error: null
+    } : row)));
+  };
+
+  const handleKeyDown = (e, rowIndex, columnIndex) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      const targetIndex = rowIndex + (e.key === 'ArrowDown' ? 1 : -1);
+      if (rows[targetIndex]) {
+        e.preventDefault();
+        focusCell(rows[targetIndex].key, columnIndex);
+      }
+      return;
+    }
+
+    if (e.key !== 'Enter' && e.key !== 'Tab') {
+      return;
+    }
+
+    const target = nextCellPosition({ row: rowIndex, column: columnIndex }, rows.length, e.shiftKey);
+
+    // Shift+Tab from the first cell leaves the grid as usual
+    if (target.row === rowIndex && target.column === columnIndex) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+      }
+      return;
+    }
+
+    e.preventDefault();
+
+    if (target.addRow) {
+      const current = rows[rowIndex];
+      if (isBlankGridRow(current)) {
+        return;
+      }
+      const newRow = createGridRow(current);
+      pendingFocus.current = cellKey(newRow.key, target.column);
+      setRows(prev => [...prev, newRow]);
+      return;
+    }
+
+    focusCell(rows[target.row].key, target.column);
+  };
+
+  const handleRemoveRow = (rowKey) => {
+    if (activeRowKey.current === rowKey) {
+      activeRowKey.current = null;
+    }
+    setRows(prev => {
+      const remaining = prev.filter(row => row.key !== rowKey);
+      return remaining.length > 0 ? remaining : [createGridRow(prev[prev.length - 1])];
+    });
+  };
+
+  // Finish every row with dimensions, retry failed ones and save without waiting
+  const handleSaveNow = () => {
+    saveImmediately.current = true;
+    activeRowKey.current = null;
+    setRows(prev => prev.map(row => (isBlankGridRow(row) || row.status === GRID_ROW_STATUS.SAVING ? row : {
+      ...row,
+      committed: true,
+      status: GRID_ROW_STATUS.DRAFT,
+      error: null
+    })));
+  };
+
+  const rowStatus = (item) => {
+    const { row } = item;
+
+    if (row.status === GRID_ROW_STATUS.SAVING) {
+      return <span className="text-muted"><Spinner animation="border" size="sm" className="me-1" />Saving</span>;
+    }
+    if (row.status === GRID_ROW_STATUS.ERROR) {
+      return <span className="text-danger" title={row.error}>Not saved</span>;
+    }
+    if (item.isBlank) {
+      return null;
+    }
+    if (!item.isValid) {
+      return row.committed
+        ? <span className="text-danger" title={Object.values(item.errors).join('; ')}>Fix errors</span>
+        : null;
+    }
+    return row.committed ? <span className="text-muted">Queued</span> : null;
+  };
+
+  const pendingCount = evaluatedRows.filter(item => !item.isBlank && item.row.status !== GRID_ROW_STATUS.SAVING).length;
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <div>
+          <h5 className="mb-0">Grid Entry</h5>
+          <small className="text-muted">
+            Enter or Tab for the next cell, Shift to go back, ↑ ↓ between rows. Block, material and category carry to the next row.
+          </small>
+        </div>
+        <div className="d-flex align-items-center gap-2">
+          <small className="text-muted">
+            {savingCount > 0 ? `Saving ${savingCount}...` : `${pendingCount} unsaved`}
+          </small>
+          <Button
+            variant="outline-primary"
+            size="sm"
+            onClick={handleSaveNow}
+            disabled={disabled || pendingCount === 0}
+          >
+            {failedCount > 0 ? 'Retry Save' : 'Save Now'}
+          </Button>
+        </div>
+      </Card.Header>
+
+      <Card.Body className="p-0">
+        {saveError && (
+          <Alert variant="danger" className="m-2 mb-0 small" dismissible onClose={() => setSaveError(null)}>
+            {saveError}
+          </Alert>
+        )}
+
+        <Table size="sm" bordered className="mb-0 align-middle" onBlur={handleGridBlur}>
+          <thead className="table-light">
+            <tr>
+              <th style={{ width: '40px' }}>#</th>
+              {columns.map(column => (
+                <th key={column.key} className={column.numeric ? 'text-end' : ''}>{column.label}</th>
+              ))}
+              <th className="text-end">Sq Ft</th>
+              {isMetric && <th className="text-end">m²</th>}
+              <th style={{ width: '110px' }}></th>
+              <th style={{ width: '40px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {evaluatedRows.map((item, rowIndex) => {
+              const { row } = item;
+              const locked = disabled || row.status === GRID_ROW_STATUS.SAVING;
+              const showErrors = row.committed && !item.isBlank;
+
+              return (
+                <tr key={row.key} className={row.status === GRID_ROW_STATUS.ERROR ? 'table-danger' : ''}>
+                  <td className="text-muted small">{rowIndex + 1}</td>
+                  {columns.map((column, columnIndex) => (
+                    <td key={column.key} className="p-1">
+                      <Form.Control
+                        ref={input => { cellRefs.current[cellKey(row.key, columnIndex)] = input; }}
+                        size="sm"
+                        value={row[column.key]}
+                        inputMode={column.numeric ? 'decimal' : undefined}
+                        list={column.key === 'slabCategory' ? 'slab-grid-categories' : undefined}
+                        className={column.numeric ? 'text-end' : ''}
+                        isInvalid={showErrors && Boolean(item.errors[column.key])}
+                        title={showErrors ? item.errors[column.key] : undefined}
+                        onChange={(e) => handleCellChange(row.key, column.key, e.target.value)}
+                        onFocus={() => handleCellFocus(row.key)}
+                        onKeyDown={(e) => handleKeyDown(e, rowIndex, columnIndex)}
+                        disabled={locked}
+                      />
+                    </td>
+                  ))}
+                  <td className="text-end fw-bold">
+                    {item.calculation ? item.calculation.squareFeet.toFixed(2) : ''}
+                  </td>
+                  {isMetric && (
+                    <td className="text-end">
+                      {item.calculation ? item.calculation.squareMetres.toFixed(3) : ''}
+                    </td>
+                  )}
+                  <td className="small">{rowStatus(item)}</td>
+                  <td className="p-1 text-center">
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="text-danger p-0"
+                      tabIndex={-1}
+                      onClick={() => handleRemoveRow(row.key)}
+                      disabled={locked}
+                      title="Remove row"
+                    >
+                      ×
+                    </Button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+
+        <datalist id="slab-grid-categories">
+          {SLAB_CATEGORIES.map(category => <option key={category} value={category} />)}
+        </datalist>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default SlabEntryGrid;
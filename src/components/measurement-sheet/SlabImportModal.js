@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import SlabPreviewTable from './SlabPreviewTable';
+import {
+  IMPORT_FIELDS,
+  readImportFile,
+  guessColumnMapping,
+  buildImportRows,
+  toSlabEntries
+} from '../../utils/slabImport';
+import { SLAB_CATEGORIES } from '../../utils/constants';
+
+const columnLabel = (index) => {
+  let label = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    label = String.fromCharCode(65 + remainder) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+};
+
+/**
+ * Import slab entries from a CSV or XLSX file
+ * The user maps file columns to slab fields and checks the preview; only valid rows are imported
+ */
+const SlabImportModal = ({
+  show,
+  onHide,
+  customerType,
+  calculationMode,
+  onImport
+}) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [fileError, setFileError] = useState(null);
+  const [submitError, setSubmitError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    if (show) {
+      setFileName('');
+      setRows([]);
+      setHasHeader(true);
+      setMapping({});
+      setFileError(null);
+      setSubmitError(null);
+    }
+  }, [show]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    setIsReading(true);
+    setFileError(null);
+    setSubmitError(null);
+
+    try {
+      const fileRows = await readImportFile(file);
+      if (fileRows.length === 0) {
+        throw new Error('The file is empty');
+      }
+
+      setFileName(file.name);
+      setRows(fileRows);
+      setHasHeader(true);
+      setMapping(guessColumnMapping(fileRows[0]));
+    } catch (error) {
+      setFileName('');
+      setRows([]);
+      setFileError(error.message || 'Failed to read the file');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping(prev => ({
+      ...prev,
+      [fieldKey]: value === '' ? '' : Number(value)
+    }));
+  };
+
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const columnOptions = Array.from({ length: columnCount }, (_, index) => ({
+    value: index,
+    label: hasHeader && rows[0] && String(rows[0][index] || '').trim()
+      ? `${columnLabel(index)}: ${String(rows[0][index]).trim()}`
+      : `Column ${columnLabel(index)}`
+  }));
+
+  const missingFields = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === '');
+  const isMapped = rows.length > 0 && missingFields.length === 0;
+
+  const importRows = useMemo(() => (
+    isMapped ? buildImportRows(rows, mapping, customerType, { hasHeader, calculationMode }) : []
+  ), [isMapped, rows, mapping, customerType, hasHeader, calculationMode]);
+
+  const validRows = importRows.filter(row => row.isValid);
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setSubmitError(null);
+
+    try {
+      await onImport(toSlabEntries(importRows));
+      onHide();
+    } catch (error) {
+      setSubmitError(error.response?.data?.error || error.message || 'Failed to import slab entries. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Import Slab Entries</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {submitError && (
+          <Alert variant="danger" dismissible onClose={() => setSubmitError(null)}>
+            {submitError}
+          </Alert>
+        )}
+
+        <Form.Group className="mb-3">
+          <Form.Label>CSV or Excel file</Form.Label>
+          <Form.Control
+            type="file"
+            accept=".csv,.txt,.xlsx"
+            onChange={handleFileChange}
+            disabled={isReading || isImporting}
+          />
+          <Form.Text muted>
+            One slab per row with block number, length and breadth (inches, fractions such as 72 1/2, feet and inches or cm/mm), and category ({SLAB_CATEGORIES.join(', ')}). Only the first worksheet of an Excel file is read.
+          </Form.Text>
+          {fileError && <div className="text-danger small mt-1">{fileError}</div>}
+        </Form.Group>
+
+        {isReading && (
+          <div className="text-center py-3">
+            <Spinner animation="border" size="sm" className="me-2" />
+            Reading file...
+          </div>
+        )}
+
+        {rows.length > 0 && (
+          <>
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <h6 className="mb-0">Column Mapping</h6>
+              <Form.Check
+                type="checkbox"
+                id="slab-import-has-header"
+                label="First row has column names"
+                checked={hasHeader}
+                onChange={(e) => setHasHeader(e.target.checked)}
+              />
+            </div>
+
+            <Row className="mb-3">
+              {IMPORT_FIELDS.map(field => (
+                <Col md key={field.key}>
+                  <Form.Group>
+                    <Form.Label className="small">
+                      {field.label}{field.required && <span className="text-danger"> *</span>}
+                    </Form.Label>
+                    <Form.Select
+                      size="sm"
+                      value={mapping[field.key] === undefined ? '' : mapping[field.key]}
+                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                    >
+                      <option value="">{field.required ? 'Select column' : 'Not imported'}</option>
+                      {columnOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              ))}
+            </Row>
+
+            {missingFields.length > 0 ? (
+              <Alert variant="info" className="small">
+                Choose the columns for {missingFields.map(field => field.label).join(', ')} to preview the rows.
+              </Alert>
+            ) : (
+              <>
+                <div className="small text-muted mb-1">{fileName}</div>
+                <SlabPreviewTable rows={importRows} calculationMode={calculationMode} />
+              </>
+            )}
+          </>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isImporting}>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={handleImport} disabled={isImporting || validRows.length === 0}>
+          {isImporting ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Importing...
+            </>
+          ) : (
+            `Import ${validRows.length} Slab${validRows.length === 1 ? '' : 's'}`
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SlabImportModal;
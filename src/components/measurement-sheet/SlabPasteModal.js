@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Modal, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import SlabPreviewTable from './SlabPreviewTable';
+import { parseDimensionText } from '../../utils/pasteParser';
+import { evaluateSlabEntry, toSlabEntries } from '../../utils/slabImport';
+import { SLAB_CATEGORIES } from '../../utils/constants';
+
+const PLACEHOLDER = `Block BG-1024
+72x36, 70x34, 71x36 F
+69 x 35 LD`;
+
+/**
+ * Add slab entries from pasted text, such as dimensions sent in a chat message
+ * Block header lines and category suffixes in the text win over the defaults chosen here
+ */
+const SlabPasteModal = ({
+  show,
+  onHide,
+  customerType,
+  calculationMode,
+  onImport
+}) => {
+  const [text, setText] = useState('');
+  const [defaults, setDefaults] = useState({ blockNumber: '', material: '', slabCategory: '' });
+  const [submitError, setSubmitError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    if (show) {
+      setText('');
+      setSubmitError(null);
+    }
+  }, [show]);
+
+  const handleDefaultChange = (e) => {
+    const { name, value } = e.target;
+    setDefaults(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const { entries, unparsed } = useMemo(() => parseDimensionText(text), [text]);
+
+  const previewRows = useMemo(() => entries.map(parsed => {
+    const entry = {
+      blockNumber: parsed.blockNumber || defaults.blockNumber.trim(),
+      material: defaults.material.trim(),
+      length: parsed.length,
+      breadth: parsed.breadth,
+      slabCategory: parsed.slabCategory || defaults.slabCategory
+    };
+
+    return {
+      rowNumber: parsed.lineNumber,
+      entry,
+      ...evaluateSlabEntry(entry, customerType, calculationMode)
+    };
+  }), [entries, defaults, customerType, calculationMode]);
+
+  const validCount = previewRows.filter(row => row.isValid).length;
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setSubmitError(null);
+
+    try {
+      await onImport(toSlabEntries(previewRows));
+      onHide();
+    } catch (error) {
+      setSubmitError(error.response?.data?.error || error.message || 'Failed to add slab entries. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Paste Dimensions</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {submitError && (
+          <Alert variant="danger" dismissible onClose={() => setSubmitError(null)}>
+            {submitError}
+          </Alert>
+        )}
+
+        <Row>
+          <Col md={5}>
+            <Form.Group className="mb-3">
+              <Form.Label>Dimensions</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={10}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={PLACEHOLDER}
+                className="font-monospace"
+                disabled={isImporting}
+                autoFocus
+              />
+              <Form.Text muted>
+                Length × breadth in inches, written 72x36, 72*36 or copied from a spreadsheet, separated by commas or new lines. Add a category after a slab ({SLAB_CATEGORIES.join(', ')}) and a "Block ..." line before its slabs.
+              </Form.Text>
+            </Form.Group>
+
+            <Form.Group className="mb-2">
+              <Form.Label className="small">Block number when the text has none</Form.Label>
+              <Form.Control
+                size="sm"
+                name="blockNumber"
+                value={defaults.blockNumber}
+                onChange={handleDefaultChange}
+                placeholder="e.g. BG-1024"
+              />
+            </Form.Group>
+
+            <Row>
+              <Col>
+                <Form.Group className="mb-2">
+                  <Form.Label className="small">Category when not given</Form.Label>
+                  <Form.Select
+                    size="sm"
+                    name="slabCategory"
+                    value={defaults.slabCategory}
+                    onChange={handleDefaultChange}
+                  >
+                    <option value="">Select category</option>
+                    {SLAB_CATEGORIES.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col>
+                <Form.Group className="mb-2">
+                  <Form.Label className="small">Material</Form.Label>
+                  <Form.Control
+                    size="sm"
+                    name="material"
+                    value={defaults.material}
+                    onChange={handleDefaultChange}
+                    placeholder="e.g. Black Galaxy"
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+          </Col>
+
+          <Col md={7}>
+            {unparsed.length > 0 && (
+              <Alert variant="warning" className="small">
+                Not understood and left out:{' '}
+                {unparsed.map(item => `"${item.text}" (line ${item.lineNumber})`).join(', ')}
+              </Alert>
+            )}
+
+            {previewRows.length > 0 ? (
+              <SlabPreviewTable rows={previewRows} rowLabel="Line" calculationMode={calculationMode} />
+            ) : (
+              <div className="text-center text-muted py-5">
+                Paste dimensions to review them here before they are added.
+              </div>
+            )}
+          </Col>
+        </Row>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isImporting}>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={handleImport} disabled={isImporting || validCount === 0}>
+          {isImporting ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Adding...
+            </>
+          ) : (
+            `Add ${validCount} Slab${validCount === 1 ? '' : 's'}`
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SlabPasteModal;
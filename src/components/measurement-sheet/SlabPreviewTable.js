@@ -0,0 +1,76 @@
+import React from 'react';
+import { Table, Badge } from 'react-bootstrap';
+import { CALCULATION_MODES } from '../../utils/constants';
+
+/**
+ * Review table for slab entries about to be added in one batch
+ * Shows each row's calculated size and square feet, and why invalid rows will be skipped
+ * @param {Array<Object>} rows - { rowNumber, entry, calculation, errors, isValid }
+ * @param {string} rowLabel - Heading of the row number column
+ * @param {string} calculationMode - Sheet calculation mode; metric rows also show square metres
+ */
+const SlabPreviewTable = ({ rows, rowLabel = 'Row', calculationMode }) => {
+  const validRows = rows.filter(row => row.isValid);
+  const invalidCount = rows.length - validRows.length;
+  const totalSquareFeet = validRows.reduce((sum, row) => sum + row.calculation.squareFeet, 0);
+  const isMetric = calculationMode === CALCULATION_MODES.METRIC;
+  const totalSquareMetres = validRows.reduce((sum, row) => sum + (row.calculation.squareMetres || 0), 0);
+
+  return (
+    <>
+      <div className="d-flex gap-3 mb-2 small">
+        <span className="text-success">{validRows.length} valid</span>
+        {invalidCount > 0 && <span className="text-danger">{invalidCount} with errors (skipped)</span>}
+        <span className="text-muted">{totalSquareFeet.toFixed(2)} sq ft</span>
+        {isMetric && <span className="text-muted">{totalSquareMetres.toFixed(3)} m²</span>}
+      </div>
+
+      <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+        <Table size="sm" bordered hover className="mb-0">
+          <thead className="table-light">
+            <tr>
+              <th>{rowLabel}</th>
+              <th>Block</th>
+              <th>Material</th>
+              <th className="text-end">Length</th>
+              <th className="text-end">Breadth</th>
+              <th>Category</th>
+              <th className="text-end">Final</th>
+              <th className="text-end">Sq Ft</th>
+              {isMetric && <th className="text-end">m²</th>}
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index} className={row.isValid ? '' : 'table-danger'}>
+                <td>{row.rowNumber}</td>
+                <td>{row.entry.blockNumber}</td>
+                <td>{row.entry.material}</td>
+                <td className="text-end">{row.entry.length}</td>
+                <td className="text-end">{row.entry.breadth}</td>
+                <td>{row.entry.slabCategory}</td>
+                <td className="text-end">
+                  {row.calculation ? `${row.calculation.display.finalLength} × ${row.calculation.display.finalBreadth}` : '-'}
+                </td>
+                <td className="text-end">{row.calculation ? row.calculation.squareFeet.toFixed(2) : '-'}</td>
+                {isMetric && (
+                  <td className="text-end">{row.calculation ? row.calculation.squareMetres.toFixed(3) : '-'}</td>
+                )}
+                <td>
+                  {row.isValid ? (
+                    <Badge bg="success">OK</Badge>
+                  ) : (
+                    <small className="text-danger">{Object.values(row.errors).join('; ')}</small>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </div>
+    </>
+  );
+};
+
+export default SlabPreviewTable;
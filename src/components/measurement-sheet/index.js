@@ -1,4 +1,9 @@
 export { default as MeasurementSheetHeader } from './MeasurementSheetHeader';
 export { default as SlabEntryForm } from './SlabEntryForm';
 export { default as SlabEntriesTable } from './SlabEntriesTable';
-export { default as SlabEntryEditModal } from './SlabEntryEditModal';
\ No newline at end of file
+export { default as SlabEntryEditModal } from './SlabEntryEditModal';
+export { default as SheetHistoryPanel } from './SheetHistoryPanel';export { default as SlabImportModal } from './SlabImportModal';
+export { default as SlabEntryGrid } from './SlabEntryGrid';
+export { default as SlabPasteModal } from './SlabPasteModal';
+export { default as SlabPreviewTable } from './SlabPreviewTable';
+export { default as RevisionDiffModal } from './RevisionDiffModal';
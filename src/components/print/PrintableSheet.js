@@ -1,5 +1,8 @@
 import React from 'react';
-import { CUSTOMER_TYPE_LABELS } from '../../utils/constants';
+import { customerTypeRegistry } from '../../utils/customerTypeRegistry';
+import { pricingEngine, formatAmount } from '../../utils/pricingEngine';
+import { calculationEngine } from '../../utils/calculationEngine';
+import { CALCULATION_MODES } from '../../utils/constants';
 import './PrintableSheet.css';
 
 const PrintableSheet = ({ 
@@ -34,6 +37,19 @@ const PrintableSheet = ({
 
   const totalSquareFeet = measurementSheet.slabEntries?.reduce((sum, entry) => sum + (entry.squareFeet || 0), 0) || 0;
 
+  // Rate and amount columns are only printed once at least one slab has been priced
+  const { totalAmount, totalSquareMetres, unpricedCount } = pricingEngine.calculateTotals(measurementSheet.slabEntries);
+  const isPriced = (measurementSheet.slabEntries?.length || 0) > unpricedCount;
+
+  // Metric sheets print square metres next to square feet
+  const isMetric = measurementSheet.calculationMode === CALCULATION_MODES.METRIC;
+  const formatSquareMetres = (value) => (value === null || value === undefined ? '-' : parseFloat(value).toFixed(3));
+
+  // Dimensions print as entered, or in the unit the party reads measurements in
+  const entryDimensions = (measurementSheet.slabEntries || []).map(entry =>
+    calculationEngine.formatEntryDimensions(entry, measurementSheet.customerType)
+  );
+
   return (
     <div className="printable-sheet">
       {/* Company Header */}
@@ -72,7 +88,7 @@ const PrintableSheet = ({
             </div>
             <div className="customer-field">
               <label>Customer Type:</label>
-              <span>{CUSTOMER_TYPE_LABELS[measurementSheet.customerType] || measurementSheet.customerType}</span>
+              <span>{customerTypeRegistry.getLabel(measurementSheet.customerType)}</span>
             </div>
             <div className="customer-field full-width">
               <label>Address:</label>
@@ -101,19 +117,28 @@ const PrintableSheet = ({
                 <th>Final Length (in)</th>
                 <th>Final Breadth (in)</th>
                 <th>Square Feet</th>
+                {isMetric && <th>Square Metres</th>}
+                {isPriced && <th>Rate</th>}
+                {isPriced && <th>Amount</th>}
               </tr>
             </thead>
             <tbody>
               {measurementSheet.slabEntries.map((entry, index) => (
                 <tr key={entry.id || index}>
                   <td>{entry.serialNumber}</td>
-                  <td>{entry.blockNumber}</td>
-                  <td>{entry.length}</td>
-                  <td>{entry.breadth}</td>
+                  <td>
+                    {entry.blockNumber}
+                    {entry.material && <div className="material-name">{entry.material}</div>}
+                  </td>
+                  <td>{entryDimensions[index].length}</td>
+                  <td>{entryDimensions[index].breadth}</td>
                   <td>{entry.slabCategory}</td>
-                  <td>{entry.finalLength}</td>
-                  <td>{entry.finalBreadth}</td>
+                  <td>{entryDimensions[index].finalLength}</td>
+                  <td>{entryDimensions[index].finalBreadth}</td>
                   <td>{entry.squareFeet.toFixed(2)}</td>
+                  {isMetric && <td>{formatSquareMetres(entry.squareMetres)}</td>}
+                  {isPriced && <td>{formatAmount(entry.rate)}</td>}
+                  {isPriced && <td>{formatAmount(entry.amount)}</td>}
                 </tr>
               ))}
             </tbody>
@@ -121,6 +146,9 @@ const PrintableSheet = ({
               <tr className="total-row">
                 <td colSpan="7"><strong>Total Square Feet:</strong></td>
                 <td><strong>{totalSquareFeet.toFixed(2)}</strong></td>
+                {isMetric && <td><strong>{totalSquareMetres.toFixed(3)}</strong></td>}
+                {isPriced && <td></td>}
+                {isPriced && <td><strong>{formatAmount(totalAmount)}</strong></td>}
               </tr>
             </tfoot>
           </table>
@@ -140,10 +168,13 @@ const PrintableSheet = ({
                 </div>
                 <div className="calculation-details">
                   <div>Block: {entry.blockNumber}</div>
-                  <div>Original: {entry.length}" × {entry.breadth}"</div>
-                  <div>Final: {entry.finalLength}" × {entry.finalBreadth}"</div>
+                  <div>Original: {entryDimensions[index].length} × {entryDimensions[index].breadth}</div>
+                  <div>Final: {entryDimensions[index].finalLength} × {entryDimensions[index].finalBreadth}</div>
                   <div className="calculation-formula">{entry.calculationDetails}</div>
-                  <div className="calculation-result">Result: {entry.squareFeet.toFixed(2)} sq ft</div>
+                  <div className="calculation-result">
+                    Result: {entry.squareFeet.toFixed(2)} sq ft
+                    {isMetric && ` (${formatSquareMetres(entry.squareMetres)} m²)`}
+                  </div>
                 </div>
               </div>
             ))}
@@ -161,13 +192,30 @@ const PrintableSheet = ({
             </div>
             <div className="total-item">
               <label>Customer Type:</label>
-              <span>{CUSTOMER_TYPE_LABELS[measurementSheet.customerType] || measurementSheet.customerType}</span>
+              <span>{customerTypeRegistry.getLabel(measurementSheet.customerType)}</span>
             </div>
             <div className="total-item highlight">
               <label>Total Square Feet:</label>
               <span>{totalSquareFeet.toFixed(2)} sq ft</span>
             </div>
+            {isMetric && (
+              <div className="total-item highlight">
+                <label>Total Square Metres:</label>
+                <span>{totalSquareMetres.toFixed(3)} m²</span>
+              </div>
+            )}
+            {isPriced && (
+              <div className="total-item highlight">
+                <label>Grand Total:</label>
+                <span>{formatAmount(totalAmount)}</span>
+              </div>
+            )}
           </div>
+          {isPriced && unpricedCount > 0 && (
+            <div className="unpriced-note">
+              {unpricedCount} slab(s) have no applicable rate and are not included in the grand total.
+            </div>
+          )}
         </div>
       )}
 
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Table } from 'react-bootstrap';
+import { REPORT_DIMENSION_LABELS, REPORT_MEASURES } from '../../utils/constants';
+import { formatAmount } from '../../utils/pricingEngine';
+
+/**
+ * Format one measure for a table cell
+ */
+export const formatMeasure = (value, measure) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (measure === REPORT_MEASURES.SLABS) {
+    return String(value);
+  }
+  return measure === REPORT_MEASURES.AMOUNT ? formatAmount(value) : Number(value).toFixed(2);
+};
+
+/**
+ * Sales report pivot table
+ * Rows come in the report's order; clicking a value column's heading sorts the rows by it,
+ * largest first, and clicking a row dimension's heading puts them back
+ */
+const PivotTable = ({ pivot, measure }) => {
+  const [sortColumn, setSortColumn] = useState(null);
+
+  const cellValue = (totals) => (totals && totals.slabs > 0 ? totals[measure] : null);
+  const rowValue = (row, columnKey) => (columnKey === 'total' ? row.total[measure] : cellValue(row.cells[columnKey]) || 0);
+
+  const rows = sortColumn === null
+    ? pivot.rows
+    : pivot.rows.slice().sort((a, b) => rowValue(b, sortColumn) - rowValue(a, sortColumn));
+
+  const sortHeading = (columnKey, label) => (
+    <th
+      key={columnKey}
+      className="text-end text-nowrap"
+      role="button"
+      onClick={() => setSortColumn(columnKey)}
+      title="Sort by this column"
+    >
+      {label}
+      {sortColumn === columnKey && <span className="ms-1">&darr;</span>}
+    </th>
+  );
+
+  if (pivot.rows.length === 0) {
+    return <div className="text-center py-5 text-muted">No slabs were sold in this range.</div>;
+  }
+
+  return (
+    <Table responsive hover size="sm" className="mb-0">
+      <thead className="table-light">
+        <tr>
+          {pivot.rowDimensions.map(dimension => (
+            <th key={dimension} role="button" onClick={() => setSortColumn(null)}>
+              {REPORT_DIMENSION_LABELS[dimension]}
+            </th>
+          ))}
+          {pivot.columns.map(column => sortHeading(column.key, column.label))}
+          {sortHeading('total', 'Total')}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.key}>
+            {row.values.map((value, index) => (
+              <td key={pivot.rowDimensions[index]}>{value.label}</td>
+            ))}
+            {pivot.columns.map(column => (
+              <td key={column.key} className="text-end">
+                {formatMeasure(cellValue(row.cells[column.key]), measure)}
+              </td>
+            ))}
+            <td className="text-end fw-bold">{formatMeasure(row.total[measure], measure)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot className="table-light fw-bold">
+        <tr>
+          <td colSpan={pivot.rowDimensions.length}>Total</td>
+          {pivot.columns.map(column => (
+            <td key={column.key} className="text-end">
+              {formatMeasure(cellValue(pivot.columnTotals[column.key]), measure)}
+            </td>
+          ))}
+          <td className="text-end">{formatMeasure(pivot.total[measure], measure)}</td>
+        </tr>
+      </tfoot>
+    </Table>
+  );
+};
+
+export default PivotTable;
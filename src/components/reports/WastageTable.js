@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Table } from 'react-bootstrap';
+import { REPORT_DIMENSION_LABELS, REPORT_MEASURES, REPORT_MEASURE_LABELS, WASTAGE_MEASURES } from '../../utils/constants';
+import { measureValue } from '../../shared/salesReport';
+import { formatMeasure } from './PivotTable';
+
+const columnLabel = (measure) => (measure === REPORT_MEASURES.SQUARE_FEET ? 'Billed Sq Ft' : REPORT_MEASURE_LABELS[measure]);
+
+/**
+ * Yield and wastage table
+ * One row per value of the row dimensions with its gross, billed and deducted area;
+ * clicking a measure's heading sorts the rows by it, largest first
+ */
+const WastageTable = ({ pivot }) => {
+  const [sortMeasure, setSortMeasure] = useState(null);
+
+  const rows = sortMeasure === null
+    ? pivot.rows
+    : pivot.rows.slice().sort((a, b) => measureValue(b.total, sortMeasure) - measureValue(a.total, sortMeasure));
+
+  if (pivot.rows.length === 0) {
+    return <div className="text-center py-5 text-muted">No slabs were sold in this range.</div>;
+  }
+
+  const cells = (totals) => WASTAGE_MEASURES.map(measure => (
+    <td key={measure} className="text-end">{formatMeasure(measureValue(totals, measure), measure)}</td>
+  ));
+
+  return (
+    <Table responsive hover size="sm" className="mb-0">
+      <thead className="table-light">
+        <tr>
+          {pivot.rowDimensions.map(dimension => (
+            <th key={dimension} role="button" onClick={() => setSortMeasure(null)}>
+              {REPORT_DIMENSION_LABELS[dimension]}
+            </th>
+          ))}
+          {WASTAGE_MEASURES.map(measure => (
+            <th
+              key={measure}
+              className="text-end text-nowrap"
+              role="button"
+              onClick={() => setSortMeasure(measure)}
+              title="Sort by this column"
+            >
+              {columnLabel(measure)}
+              {sortMeasure === measure && <span className="ms-1">&darr;</span>}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.key}>
+            {row.values.map((value, index) => (
+              <td key={pivot.rowDimensions[index]}>{value.label}</td>
+            ))}
+            {cells(row.total)}
+          </tr>
+        ))}
+      </tbody>
+      <tfoot className="table-light fw-bold">
+        <tr>
+          <td colSpan={pivot.rowDimensions.length}>Total</td>
+          {cells(pivot.total)}
+        </tr>
+      </tfoot>
+    </Table>
+  );
+};
+
+export default WastageTable;
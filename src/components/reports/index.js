@@ -0,0 +1,2 @@
+export { default as PivotTable } from './PivotTable';
+export { default as WastageTable } from './WastageTable';
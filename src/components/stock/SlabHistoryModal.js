@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Table, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { LoadingSpinner } from '../common';
+import SlabStatusBadge from './SlabStatusBadge';
+import { slabService } from '../../services/slabService';
+import { ROUTES } from '../../utils/constants';
+
+/**
+ * Movement history of one slab in the stock ledger
+ */
+const SlabHistoryModal = ({ show, onHide, slabId }) => {
+  const [slab, setSlab] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!show || !slabId) {
+      return;
+    }
+
+    const loadSlab = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setSlab(await slabService.getSlab(slabId));
+      } catch (err) {
+        setError('Failed to load slab history.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSlab();
+  }, [show, slabId]);
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Slab {slab ? slab.slabNumber : ''} History</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {loading ? (
+          <LoadingSpinner text="Loading history..." />
+        ) : slab && (
+          <>
+            <p className="mb-3">
+              {slab.variety} · {slab.length}" × {slab.breadth}" · Block {slab.blockNumber}
+              <SlabStatusBadge status={slab.status} className="ms-2" />
+            </p>
+
+            <Table size="sm" responsive>
+              <thead className="table-light">
+                <tr>
+                  <th>Date</th>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Measurement Sheet</th>
+                  <th>Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(slab.movements || []).map(movement => (
+                  <tr key={movement.id}>
+                    <td>{new Date(movement.createdAt).toLocaleString()}</td>
+                    <td>{movement.fromStatus ? <SlabStatusBadge status={movement.fromStatus} /> : '-'}</td>
+                    <td><SlabStatusBadge status={movement.toStatus} /></td>
+                    <td>
+                      {movement.measurementSheetId ? (
+                        <Link to={`${ROUTES.VIEW_MEASUREMENT_SHEET}/${movement.measurementSheetId}`} onClick={onHide}>
+                          {movement.measurementSheetNumber}
+                        </Link>
+                      ) : '-'}
+                    </td>
+                    <td>{movement.note || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SlabHistoryModal;
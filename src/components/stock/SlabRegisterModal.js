@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Table, Alert, Spinner } from 'react-bootstrap';
+import { slabService } from '../../services/slabService';
+
+const emptyRow = () => ({ length: '', breadth: '', notes: '' });
+
+/**
+ * Register the slabs cut from a block so they can be picked from stock on measurement sheets
+ */
+const SlabRegisterModal = ({
+  show,
+  onHide,
+  block,
+  onRegistered
+}) => {
+  const [rows, setRows] = useState([emptyRow()]);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (show) {
+      setRows([emptyRow()]);
+      setError(null);
+    }
+  }, [show]);
+
+  const handleRowChange = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleAddRow = () => {
+    // Slabs from one block are usually cut to the same size, so the new row copies the last one
+    setRows(prev => [...prev, { ...prev[prev.length - 1], notes: '' }]);
+  };
+
+  const handleRemoveRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleRegister = async () => {
+    const invalidIndex = rows.findIndex(row => !(parseFloat(row.length) > 0) || !(parseFloat(row.breadth) > 0));
+    if (invalidIndex !== -1) {
+      setError(`Slab ${invalidIndex + 1} needs a positive length and breadth.`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const registered = await slabService.registerSlabs(block.id, rows.map(row => ({
+        length: parseFloat(row.length),
+        breadth: parseFloat(row.breadth),
+        notes: row.notes.trim()
+      })));
+
+      onRegistered(registered);
+      onHide();
+    } catch (err) {
+      if (err.response?.data?.details) {
+        setError(`Validation error: ${err.response.data.details.join(', ')}`);
+      } else {
+        setError('Failed to register slabs. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!block) {
+    return null;
+  }
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>Register Slabs from Block {block.blockNumber}</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <p className="text-muted small">
+          Slabs are numbered after the block ({block.blockNumber}-01, {block.blockNumber}-02, ...) and
+          go into stock ready to be picked on a measurement sheet.
+        </p>
+
+        <Table size="sm" className="align-middle">
+          <thead>
+            <tr>
+              <th style={{ width: '10%' }}>#</th>
+              <th style={{ width: '22%' }}>Length (in)</th>
+              <th style={{ width: '22%' }}>Breadth (in)</th>
+              <th>Notes</th>
+              <th style={{ width: '8%' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index}>
+                <td>{index + 1}</td>
+                <td>
+                  <Form.Control
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    size="sm"
+                    aria-label={`Slab ${index + 1} length`}
+                    value={row.length}
+                    onChange={(e) => handleRowChange(index, 'length', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <Form.Control
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    size="sm"
+                    aria-label={`Slab ${index + 1} breadth`}
+                    value={row.breadth}
+                    onChange={(e) => handleRowChange(index, 'breadth', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <Form.Control
+                    size="sm"
+                    aria-label={`Slab ${index + 1} notes`}
+                    value={row.notes}
+                    onChange={(e) => handleRowChange(index, 'notes', e.target.value)}
+                  />
+                </td>
+                <td className="text-end">
+                  {rows.length > 1 && (
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      aria-label={`Remove slab ${index + 1}`}
+                      onClick={() => handleRemoveRow(index)}
+                    >
+                      <i className="bi bi-x"></i>
+                    </Button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        <Button variant="outline-primary" size="sm" onClick={handleAddRow}>
+          <i className="bi bi-plus me-1"></i>
+          Add Slab
+        </Button>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={handleRegister} disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Registering...
+            </>
+          ) : (
+            `Register ${rows.length} Slab${rows.length === 1 ? '' : 's'}`
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SlabRegisterModal;
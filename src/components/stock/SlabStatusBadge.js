@@ -0,0 +1,25 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+import { SLAB_STATUS } from '../../utils/constants';
+
+const STATUS_DISPLAY = {
+  [SLAB_STATUS.IN_STOCK]: { bg: 'success', label: 'In Stock' },
+  [SLAB_STATUS.RESERVED]: { bg: 'warning', label: 'Reserved' },
+  [SLAB_STATUS.DISPATCHED]: { bg: 'secondary', label: 'Dispatched' },
+  [SLAB_STATUS.RETURNED]: { bg: 'info', label: 'Returned' }
+};
+
+/**
+ * Badge showing where a slab is in the stock ledger
+ */
+const SlabStatusBadge = ({ status, className }) => {
+  const display = STATUS_DISPLAY[status] || { bg: 'light', label: status || 'New' };
+
+  return (
+    <Badge bg={display.bg} className={className}>
+      {display.label}
+    </Badge>
+  );
+};
+
+export default SlabStatusBadge;
@@ -0,0 +1,3 @@
+export { default as SlabStatusBadge } from './SlabStatusBadge';
+export { default as SlabRegisterModal } from './SlabRegisterModal';
+export { default as SlabHistoryModal } from './SlabHistoryModal';
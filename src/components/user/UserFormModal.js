@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Alert, Spinner } from 'react-bootstrap';
+import FormField from '../common/FormField';
+import { userService } from '../../services/userService';
+import { ROLES, ROLE_LABELS } from '../../utils/constants';
+
+const EMPTY_USER = {
+  username: '',
+  fullName: '',
+  password: '',
+  role: ROLES.MEASURER
+};
+
+const roleOptions = Object.values(ROLES).map(role => ({ value: role, label: ROLE_LABELS[role] }));
+
+/**
+ * Create a sign in account for a member of staff
+ */
+const UserFormModal = ({
+  show,
+  onHide,
+  onSaved
+}) => {
+  const [formData, setFormData] = useState(EMPTY_USER);
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (show) {
+      setFormData(EMPTY_USER);
+      setErrors({});
+      setSubmitError(null);
+    }
+  }, [show]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!/^[a-z0-9._-]{3,50}$/.test(formData.username.trim().toLowerCase())) {
+      newErrors.username = 'Use 3-50 letters, numbers, dots, dashes or underscores';
+    }
+
+    if (!formData.fullName.trim()) {
+      newErrors.fullName = 'Full name is required';
+    }
+
+    if (formData.password.length < 8) {
+      newErrors.password = 'Password must be at least 8 characters';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setSubmitError(null);
+
+    try {
+      const savedUser = await userService.createUser({
+        username: formData.username.trim().toLowerCase(),
+        fullName: formData.fullName.trim(),
+        password: formData.password,
+        role: formData.role
+      });
+
+      onSaved(savedUser);
+      onHide();
+    } catch (error) {
+      if (error.response?.status === 409) {
+        setSubmitError('A user with this username already exists.');
+      } else if (error.response?.data?.details) {
+        setSubmitError(`Validation error: ${error.response.data.details.join(', ')}`);
+      } else {
+        setSubmitError('Failed to create user. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Modal.Header closeButton>
+        <Modal.Title>Add User</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        {submitError && (
+          <Alert variant="danger" dismissible onClose={() => setSubmitError(null)}>
+            {submitError}
+          </Alert>
+        )}
+
+        <Form>
+          <FormField
+            label="Username"
+            name="username"
+            value={formData.username}
+            onChange={handleInputChange}
+            error={errors.username}
+            touched={!!errors.username}
+            placeholder="e.g. ravi.k"
+            autoComplete="off"
+            required
+          />
+
+          <FormField
+            label="Full Name"
+            name="fullName"
+            value={formData.fullName}
+            onChange={handleInputChange}
+            error={errors.fullName}
+            touched={!!errors.fullName}
+            required
+          />
+
+          <FormField
+            label="Password"
+            name="password"
+            type="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            error={errors.password}
+            touched={!!errors.password}
+            autoComplete="new-password"
+            required
+          />
+
+          <FormField
+            label="Role"
+            name="role"
+            as="select"
+            value={formData.role}
+            onChange={handleInputChange}
+            options={roleOptions}
+          />
+        </Form>
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={handleSave} disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <Spinner animation="border" size="sm" className="me-2" />
+              Saving...
+            </>
+          ) : (
+            'Add User'
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default UserFormModal;
@@ -0,0 +1 @@
+export { default as UserFormModal } from './UserFormModal';
@@ -1,13 +1,23 @@
-import React, { createContext, useContext, useReducer } from 'react';
+import React, { createContext, useContext, useEffect, useReducer } from 'react';
+import { calculationProfileService } from '../services/calculationProfileService';
+import { customerTypeService } from '../services/customerTypeService';
+import { rateCardService } from '../services/rateCardService';
+import { authService } from '../services/authService';
+import { DEFAULT_CALCULATION_PROFILES, DEFAULT_CUSTOMER_TYPES } from '../utils/constants';
 
 // Initial state
 const initialState = {
   user: null,
+  // False until the stored token has been checked, so pages are not redirected to login on reload
+  authChecked: false,
   loading: false,
   error: null,
   customers: [],
   measurementSheets: [],
   currentSheet: null,
+  calculationProfiles: DEFAULT_CALCULATION_PROFILES,
+  customerTypes: DEFAULT_CUSTOMER_TYPES,
+  rateCards: [],
 };
 
 // Action types
@@ -24,6 +34,9 @@ export const ActionTypes = {
   UPDATE_MEASUREMENT_SHEET: 'UPDATE_MEASUREMENT_SHEET',
   DELETE_MEASUREMENT_SHEET: 'DELETE_MEASUREMENT_SHEET',
   SET_CURRENT_SHEET: 'SET_CURRENT_SHEET',
+  SET_CALCULATION_PROFILES: 'SET_CALCULATION_PROFILES',
+  SET_CUSTOMER_TYPES: 'SET_CUSTOMER_TYPES',
+  SET_RATE_CARDS: 'SET_RATE_CARDS',
 };
 
 // Reducer function
@@ -39,7 +52,7 @@ const appReducer = (state, action) => {
       return { ...state, error: null };
     
     case ActionTypes.SET_USER:
-      return { ...state, user: action.payload };
+      return { ...state, user: action.payload, authChecked: true };
     
     case ActionTypes.SET_CUSTOMERS:
       return { ...state, customers: action.payload };
@@ -86,6 +99,15 @@ const appReducer = (state, action) => {
     case ActionTypes.SET_CURRENT_SHEET:
       return { ...state, currentSheet: action.payload };
     
+    case ActionTypes.SET_CALCULATION_PROFILES:
+      return { ...state, calculationProfiles: action.payload };
+    
+    case ActionTypes.SET_CUSTOMER_TYPES:
+      return { ...state, customerTypes: action.payload };
+    
+    case ActionTypes.SET_RATE_CARDS:
+      return { ...state, rateCards: action.payload };
+    
     default:
       return state;
   }
@@ -97,6 +119,54 @@ const AppContext = createContext();
 // Context provider component
 export const AppProvider = ({ children }) => {
   const [state, dispatch] = useReducer(appReducer, initialState);
+  const userId = state.user ? state.user.id : null;
+
+  // Restore the signed in user from a stored token on startup
+  useEffect(() => {
+    if (!authService.hasToken()) {
+      dispatch({ type: ActionTypes.SET_USER, payload: null });
+      return;
+    }
+
+    authService.getCurrentUser()
+      .then(user => dispatch({ type: ActionTypes.SET_USER, payload: user }))
+      .catch(() => {
+        authService.logout();
+        dispatch({ type: ActionTypes.SET_USER, payload: null });
+      });
+  }, []);
+
+  // Reference data needs a signed in user, so it is loaded once one is known
+
+  // Load calculation rule profiles into the calculation engine
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+    calculationProfileService.loadProfiles().then(profiles => {
+      dispatch({ type: ActionTypes.SET_CALCULATION_PROFILES, payload: profiles });
+    });
+  }, [userId]);
+
+  // Load the canonical customer type registry
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+    customerTypeService.loadCustomerTypes().then(customerTypes => {
+      dispatch({ type: ActionTypes.SET_CUSTOMER_TYPES, payload: customerTypes });
+    });
+  }, [userId]);
+
+  // Load rate cards into the pricing engine
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+    rateCardService.loadRateCards().then(rateCards => {
+      dispatch({ type: ActionTypes.SET_RATE_CARDS, payload: rateCards });
+    });
+  }, [userId]);
 
   // Action creators
   const actions = {
@@ -112,6 +182,9 @@ export const AppProvider = ({ children }) => {
     updateMeasurementSheet: (sheet) => dispatch({ type: ActionTypes.UPDATE_MEASUREMENT_SHEET, payload: sheet }),
     deleteMeasurementSheet: (id) => dispatch({ type: ActionTypes.DELETE_MEASUREMENT_SHEET, payload: id }),
     setCurrentSheet: (sheet) => dispatch({ type: ActionTypes.SET_CURRENT_SHEET, payload: sheet }),
+    setCalculationProfiles: (profiles) => dispatch({ type: ActionTypes.SET_CALCULATION_PROFILES, payload: profiles }),
+    setCustomerTypes: (customerTypes) => dispatch({ type: ActionTypes.SET_CUSTOMER_TYPES, payload: customerTypes }),
+    setRateCards: (rateCards) => dispatch({ type: ActionTypes.SET_RATE_CARDS, payload: rateCards }),
   };
 
   return (
@@ -0,0 +1,19 @@
+import { useCallback } from 'react';
+import { useAppContext } from '../contexts/AppContext';
+import { hasPermission } from '../shared/permissions';
+
+/**
+ * Custom hook for role based UI decisions
+ * The server enforces the same permissions, so this only decides what to show
+ * @returns {Object} - { role, can } where can(permission) tells whether the signed in user has it
+ */
+const usePermissions = () => {
+  const { state } = useAppContext();
+  const role = state.user ? state.user.role : null;
+
+  const can = useCallback((permission) => hasPermission(role, permission), [role]);
+
+  return { role, can };
+};
+
+export default usePermissions;
@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { syncService } from '../services/syncService';
+
+/**
+ * Custom hook for the offline sync state
+ * @returns {Object} - { online, pending, syncing, conflicts, idMap }, updated as the queue changes
+ */
+const useSyncStatus = () => {
+  const [status, setStatus] = useState(syncService.getState());
+
+  useEffect(() => syncService.subscribe(setStatus), []);
+
+  return status;
+};
+
+export default useSyncStatus;
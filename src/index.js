@@ -3,6 +3,8 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { syncService } from './services/syncService';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,6 +13,12 @@ root.render(
   </React.StrictMode>
 );
 
+// Installable app: the app shell is cached for use without a connection
+serviceWorkerRegistration.register();
+
+// Replay measurement writes queued while offline, now and whenever the connection returns
+syncService.start();
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -207,7 +207,7 @@ describe('Complete User Workflow Integration', () => {
         customerType: CUSTOMER_TYPES.GRANITE_SHOPS,
         customer: testCustomer,
         slabEntries: [slabEntry],
-        status: 'completed'
+        status: 'measured'
       };
 
       // 6. Verify complete sheet structure
@@ -215,7 +215,7 @@ describe('Complete User Workflow Integration', () => {
       expect(completeSheet.slabEntries).toBeDefined();
       expect(completeSheet.slabEntries.length).toBe(1);
       expect(completeSheet.slabEntries[0].blockNumber).toBe('WORKFLOW-TEST');
-      expect(completeSheet.status).toBe('completed');
+      expect(completeSheet.status).toBe('measured');
     });
   });
 
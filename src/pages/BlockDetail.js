@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Table, Badge, Alert } from 'react-bootstrap';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { LoadingSpinner, ConfirmationModal } from '../components/common';
+import { BlockFormModal } from '../components/block';
+import { SlabStatusBadge, SlabRegisterModal } from '../components/stock';
+import { blockService } from '../services/blockService';
+import { slabService } from '../services/slabService';
+import usePermissions from '../hooks/usePermissions';
+import { formatAmount } from '../utils/pricingEngine';
+import { SHEET_STATUS_LABELS, SHEET_STATUS_VARIANTS, PERMISSIONS, ROUTES } from '../utils/constants';
+import { isDispatchedStatus } from '../shared/sheetStatus';
+
+const BlockDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { can } = usePermissions();
+
+  const [block, setBlock] = useState(null);
+  const [stockSlabs, setStockSlabs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showEditForm, setShowEditForm] = useState(false);
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [showRegisterSlabs, setShowRegisterSlabs] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+
+  useEffect(() => {
+    loadBlock();
+  }, [id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadBlock = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [data, slabs] = await Promise.all([
+        blockService.getBlock(id),
+        slabService.getSlabs({ blockId: id })
+      ]);
+      setBlock(data);
+      setStockSlabs(slabs);
+    } catch (err) {
+      setError('Failed to load block. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSlabsRegistered = (registered) => {
+    setSuccessMessage(`${registered.length} slab(s) added to stock.`);
+    setTimeout(() => setSuccessMessage(''), 3000);
+    loadBlock();
+  };
+
+  const handleDeleteBlock = async () => {
+    try {
+      await blockService.deleteBlock(id);
+      navigate(ROUTES.BLOCKS);
+    } catch (err) {
+      setError('Failed to remove block. Please try again.');
+      setShowDeleteConfirm(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading block..." />;
+  }
+
+  if (!block) {
+    return (
+      <Container>
+        <Alert variant="danger">
+          <p>{error || 'Block not found.'}</p>
+          <Button variant="secondary" onClick={() => navigate(ROUTES.BLOCKS)}>
+            Back to Inventory
+          </Button>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const slabs = block.slabs || [];
+  const totalAmount = slabs.reduce((sum, slab) => sum + (slab.amount || 0), 0);
+
+  return (
+    <Container>
+      {successMessage && (
+        <Alert variant="success" dismissible onClose={() => setSuccessMessage('')}>
+          {successMessage}
+        </Alert>
+      )}
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div className="d-flex align-items-center gap-2">
+          <Button variant="outline-secondary" onClick={() => navigate(ROUTES.BLOCKS)}>
+            <i className="bi bi-arrow-left me-2"></i>
+            Back to Inventory
+          </Button>
+          <h1 className="mb-0 ms-2">Block {block.blockNumber}</h1>
+          {!block.isActive && <Badge bg="secondary">Removed</Badge>}
+        </div>
+        {can(PERMISSIONS.STOCK_MANAGE) && (
+          <div className="d-flex gap-2">
+            {block.isActive && (
+              <Button variant="primary" onClick={() => setShowRegisterSlabs(true)}>
+                <i className="bi bi-plus-circle me-2"></i>
+                Register Slabs
+              </Button>
+            )}
+            <Button variant="outline-primary" onClick={() => setShowEditForm(true)}>
+              <i className="bi bi-pencil me-2"></i>
+              Edit
+            </Button>
+            {block.isActive && (
+              <Button variant="outline-danger" onClick={() => setShowDeleteConfirm(true)}>
+                <i className="bi bi-trash me-2"></i>
+                Remove
+              </Button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <Row className="mb-4">
+        <Col md={6}>
+          <Card className="h-100">
+            <Card.Header>
+              <h5 className="mb-0">Block Details</h5>
+            </Card.Header>
+            <Card.Body>
+              <dl className="row mb-0">
+                <dt className="col-sm-5">Variety</dt>
+                <dd className="col-sm-7">{block.variety}</dd>
+                <dt className="col-sm-5">Color</dt>
+                <dd className="col-sm-7">{block.color || '-'}</dd>
+                <dt className="col-sm-5">Finish</dt>
+                <dd className="col-sm-7">{block.finish || '-'}</dd>
+                <dt className="col-sm-5">Thickness</dt>
+                <dd className="col-sm-7">{block.thickness ? `${block.thickness} mm` : '-'}</dd>
+                <dt className="col-sm-5">Quarry Source</dt>
+                <dd className="col-sm-7">{block.quarrySource || '-'}</dd>
+                <dt className="col-sm-5">Arrival Date</dt>
+                <dd className="col-sm-7">{block.arrivalDate}</dd>
+                {block.notes && (
+                  <>
+                    <dt className="col-sm-5">Notes</dt>
+                    <dd className="col-sm-7">{block.notes}</dd>
+                  </>
+                )}
+              </dl>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col md={6}>
+          <Card className="h-100">
+            <Card.Header>
+              <h5 className="mb-0">Stock</h5>
+            </Card.Header>
+            <Card.Body>
+              <Row className="text-center">
+                <Col>
+                  <div className="small text-muted">Gross Slabs</div>
+                  <div className="fs-3 fw-bold">{block.grossSlabCount}</div>
+                </Col>
+                <Col>
+                  <div className="small text-muted">Slabs Cut</div>
+                  <div className="fs-3 fw-bold">{block.slabsCut}</div>
+                </Col>
+                <Col>
+                  <div className="small text-muted">Remaining</div>
+                  <div className={`fs-3 fw-bold ${block.slabsRemaining > 0 ? 'text-success' : 'text-muted'}`}>
+                    {block.slabsRemaining}
+                  </div>
+                </Col>
+              </Row>
+              <hr />
+              <Row className="text-center">
+                <Col>
+                  <div className="small text-muted">Square Feet Sold</div>
+                  <div className="fs-4 fw-bold text-success">{block.squareFeetSold.toFixed(2)}</div>
+                </Col>
+                <Col>
+                  <div className="small text-muted">Amount</div>
+                  <div className="fs-4 fw-bold">{formatAmount(totalAmount)}</div>
+                </Col>
+              </Row>
+              {block.slabsCut > block.grossSlabCount && (
+                <Alert variant="warning" className="mt-3 mb-0 small">
+                  More slabs have been measured than this block's gross slab count.
+                </Alert>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Slab Stock ({stockSlabs.length})</h5>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {stockSlabs.length === 0 ? (
+            <div className="text-center py-4 text-muted">No slabs from this block have been registered in stock.</div>
+          ) : (
+            <Table responsive hover className="mb-0">
+              <thead className="table-light">
+                <tr>
+                  <th>Slab Number</th>
+                  <th className="text-end">Length</th>
+                  <th className="text-end">Breadth</th>
+                  <th>Status</th>
+                  <th>Measurement Sheet</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stockSlabs.map(slab => (
+                  <tr key={slab.id}>
+                    <td className="fw-bold">{slab.slabNumber}</td>
+                    <td className="text-end">{slab.length}"</td>
+                    <td className="text-end">{slab.breadth}"</td>
+                    <td><SlabStatusBadge status={slab.status} /></td>
+                    <td>
+                      {slab.measurementSheetId ? (
+                        <Link to={`${ROUTES.VIEW_MEASUREMENT_SHEET}/${slab.measurementSheetId}`}>
+                          {slab.measurementSheetNumber}
+                        </Link>
+                      ) : '-'}
+                    </td>
+                    <td>{slab.notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Slabs Cut From This Block ({slabs.length})</h5>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {slabs.length === 0 ? (
+            <div className="text-center py-4 text-muted">No slabs have been measured from this block yet.</div>
+          ) : (
+            <Table responsive hover className="mb-0">
+              <thead className="table-light">
+                <tr>
+                  <th>Measurement Sheet</th>
+                  <th>Customer</th>
+                  <th>S.No</th>
+                  <th>Category</th>
+                  <th className="text-end">Length</th>
+                  <th className="text-end">Breadth</th>
+                  <th className="text-end">Sq Ft</th>
+                  <th className="text-end">Amount</th>
+                  <th>Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {slabs.map(slab => (
+                  <tr key={slab.id}>
+                    <td>
+                      <Link to={`${ROUTES.VIEW_MEASUREMENT_SHEET}/${slab.measurementSheetId}`}>
+                        {slab.measurementSheetNumber}
+                      </Link>
+                      {!isDispatchedStatus(slab.measurementSheetStatus) && (
+                        <Badge bg={SHEET_STATUS_VARIANTS[slab.measurementSheetStatus] || 'secondary'} className="ms-2">
+                          {SHEET_STATUS_LABELS[slab.measurementSheetStatus] || slab.measurementSheetStatus}
+                        </Badge>
+                      )}
+                    </td>
+                    <td>{slab.customerName}</td>
+                    <td>{slab.serialNumber}</td>
+                    <td>{slab.slabCategory}</td>
+                    <td className="text-end">{slab.length}"</td>
+                    <td className="text-end">{slab.breadth}"</td>
+                    <td className="text-end">{slab.squareFeet.toFixed(2)}</td>
+                    <td className="text-end">{formatAmount(slab.amount)}</td>
+                    <td>{new Date(slab.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <BlockFormModal
+        show={showEditForm}
+        onHide={() => setShowEditForm(false)}
+        block={block}
+        onSaved={loadBlock}
+      />
+
+      <SlabRegisterModal
+        show={showRegisterSlabs}
+        onHide={() => setShowRegisterSlabs(false)}
+        block={block}
+        onRegistered={handleSlabsRegistered}
+      />
+
+      <ConfirmationModal
+        show={showDeleteConfirm}
+        onHide={() => setShowDeleteConfirm(false)}
+        onConfirm={handleDeleteBlock}
+        title="Remove Block"
+        message={`Remove block ${block.blockNumber} from inventory? Slabs already cut from it stay linked to it.`}
+        confirmText="Remove"
+        variant="danger"
+      />
+    </Container>
+  );
+};
+
+export default BlockDetail;
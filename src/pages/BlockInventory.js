@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Form, Button, Table, Badge, Alert, InputGroup } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { LoadingSpinner } from '../components/common';
+import { BlockFormModal } from '../components/block';
+import { blockService } from '../services/blockService';
+import { useDebounce } from '../hooks/useVirtualScrolling';
+import usePermissions from '../hooks/usePermissions';
+import { PERMISSIONS, ROUTES } from '../utils/constants';
+
+const BlockInventory = () => {
+  const navigate = useNavigate();
+  const { can } = usePermissions();
+
+  const [blocks, setBlocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [availableOnly, setAvailableOnly] = useState(false);
+  const [showBlockForm, setShowBlockForm] = useState(false);
+
+  const debouncedSearch = useDebounce(searchTerm, 300);
+
+  const loadBlocks = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await blockService.getBlocks({
+        search: debouncedSearch || undefined,
+        available: availableOnly || undefined
+      });
+      setBlocks(data);
+    } catch (err) {
+      setError('Failed to load block inventory. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedSearch, availableOnly]);
+
+  useEffect(() => {
+    loadBlocks();
+  }, [loadBlocks]);
+
+  const handleBlockSaved = (block) => {
+    setSuccessMessage(`Block ${block.blockNumber} added to inventory.`);
+    setTimeout(() => setSuccessMessage(''), 3000);
+    loadBlocks();
+  };
+
+  const totals = blocks.reduce((sum, block) => ({
+    slabsRemaining: sum.slabsRemaining + block.slabsRemaining,
+    squareFeetSold: sum.squareFeetSold + block.squareFeetSold
+  }), { slabsRemaining: 0, squareFeetSold: 0 });
+
+  return (
+    <Container>
+      <Row>
+        <Col>
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h1>Block Inventory</h1>
+              <p className="text-muted">Granite blocks in stock and the slabs cut from them</p>
+            </div>
+            {can(PERMISSIONS.STOCK_MANAGE) && (
+              <Button variant="primary" onClick={() => setShowBlockForm(true)}>
+                <i className="bi bi-plus-circle me-2"></i>
+                Add Block
+              </Button>
+            )}
+          </div>
+
+          {successMessage && (
+            <Alert variant="success" dismissible onClose={() => setSuccessMessage('')}>
+              {successMessage}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <Card className="mb-4">
+            <Card.Body>
+              <Row className="align-items-center">
+                <Col md={8}>
+                  <InputGroup>
+                    <InputGroup.Text>
+                      <i className="bi bi-search"></i>
+                    </InputGroup.Text>
+                    <Form.Control
+                      type="text"
+                      placeholder="Search by block number, variety or quarry"
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                  </InputGroup>
+                </Col>
+                <Col md={4}>
+                  <Form.Check
+                    type="switch"
+                    id="available-blocks-only"
+                    label="Only blocks with slabs remaining"
+                    checked={availableOnly}
+                    onChange={(e) => setAvailableOnly(e.target.checked)}
+                  />
+                </Col>
+              </Row>
+            </Card.Body>
+          </Card>
+
+          <Card>
+            <Card.Header>
+              <div className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">Blocks ({blocks.length})</h5>
+                <small className="text-muted">
+                  {totals.slabsRemaining} slabs remaining · {totals.squareFeetSold.toFixed(2)} sq ft sold
+                </small>
+              </div>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {loading ? (
+                <LoadingSpinner text="Loading blocks..." />
+              ) : blocks.length === 0 ? (
+                <div className="text-center py-5 text-muted">
+                  No blocks found. Add the blocks you receive so slabs can be traced back to them.
+                </div>
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead className="table-light">
+                    <tr>
+                      <th>Block Number</th>
+                      <th>Variety</th>
+                      <th>Quarry Source</th>
+                      <th>Finish</th>
+                      <th className="text-end">Thickness</th>
+                      <th>Arrived</th>
+                      <th className="text-end">Slabs</th>
+                      <th className="text-end">Remaining</th>
+                      <th className="text-end">Sq Ft Sold</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {blocks.map(block => (
+                      <tr
+                        key={block.id}
+                        onClick={() => navigate(`${ROUTES.BLOCKS}/${block.id}`)}
+                        style={{ cursor: 'pointer' }}
+                      >
+                        <td className="fw-bold">{block.blockNumber}</td>
+                        <td>
+                          {block.variety}
+                          {block.color && <small className="text-muted ms-1">({block.color})</small>}
+                        </td>
+                        <td>{block.quarrySource || '-'}</td>
+                        <td>{block.finish || '-'}</td>
+                        <td className="text-end">{block.thickness ? `${block.thickness} mm` : '-'}</td>
+                        <td>{block.arrivalDate}</td>
+                        <td className="text-end">{block.slabsCut} / {block.grossSlabCount}</td>
+                        <td className="text-end">
+                          <Badge bg={block.slabsRemaining > 0 ? 'success' : 'secondary'}>
+                            {block.slabsRemaining}
+                          </Badge>
+                        </td>
+                        <td className="text-end">{block.squareFeetSold.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <BlockFormModal
+        show={showBlockForm}
+        onHide={() => setShowBlockForm(false)}
+        onSaved={handleBlockSaved}
+      />
+    </Container>
+  );
+};
+
+export default BlockInventory;
@@ -1,8 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Table, Badge } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Table, Badge, Alert, ButtonGroup } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { measurementSheetService } from '../services/measurementSheetService';
+import { customerService } from '../services/customerService';
+import { customerTypeRegistry } from '../utils/customerTypeRegistry';
 import { LoadingSpinner } from '../components/common';
+import { TimeSeriesChart, CategoryMixChart, DateRangePicker } from '../components/dashboard';
+import { lastDays } from '../components/dashboard/DateRangePicker';
+import { MEASUREMENT_SHEET_STATUS, SHEET_STATUS_LABELS, SHEET_STATUS_VARIANTS, STATISTICS_INTERVALS } from '../utils/constants';
+
+const SHEET_STATUS_LIST = Object.values(MEASUREMENT_SHEET_STATUS);
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -10,39 +17,73 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     totalSheets: 0,
-    completedSheets: 0,
-    draftSheets: 0,
+    statusCounts: {},
     totalCustomers: 0
   });
+  const [range, setRange] = useState(() => lastDays(30, STATISTICS_INTERVALS.DAY));
+  const [chartMetric, setChartMetric] = useState('squareFeet');
+  const [activity, setActivity] = useState(null);
+  const [activityLoading, setActivityLoading] = useState(true);
+  const [activityError, setActivityError] = useState(null);
 
   useEffect(() => {
     loadDashboardData();
   }, []);
 
+  // The status counts and charts come from one statistics request, repeated when the range changes
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadStatistics = async () => {
+      try {
+        setActivityLoading(true);
+        setActivityError(null);
+        const statistics = await measurementSheetService.getStatistics(range);
+        if (!cancelled) {
+          setActivity(statistics);
+          setStats(prev => ({
+            ...prev,
+            totalSheets: statistics.totalSheets,
+            statusCounts: statistics.statusCounts
+          }));
+        }
+      } catch (error) {
+        if (!cancelled) {
+          const details = error.response?.data?.details;
+          setActivityError(details?.length ? details.join(' ') : 'Failed to load statistics.');
+        }
+      } finally {
+        if (!cancelled) {
+          setActivityLoading(false);
+        }
+      }
+    };
+
+    loadStatistics();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range]);
+
   const loadDashboardData = async () => {
     try {
       setLoading(true);
       
-      // Load recent measurement sheets
-      const sheetsResponse = await measurementSheetService.searchMeasurementSheets({
-        page: 1,
-        limit: 5
-      });
+      const [sheetsResponse, customerStatistics] = await Promise.all([
+        measurementSheetService.searchMeasurementSheets({ page: 1, limit: 5 }),
+        customerService.getCustomerStatistics().catch(() => null)
+      ]);
       
       if (sheetsResponse.success) {
         setRecentSheets(sheetsResponse.data);
-        
-        // Calculate stats
-        const totalSheets = sheetsResponse.pagination.total;
-        const completedSheets = sheetsResponse.data.filter(sheet => sheet.status === 'completed').length;
-        const draftSheets = sheetsResponse.data.filter(sheet => sheet.status === 'draft').length;
-        
-        setStats({
-          totalSheets,
-          completedSheets,
-          draftSheets,
-          totalCustomers: 15 // Mock data for now
-        });
+      }
+      if (customerStatistics) {
+        setStats(prev => ({ ...prev, totalCustomers: customerStatistics.totalCustomers }));
       }
     } catch (error) {
       console.error('Error loading dashboard data:', error);
@@ -60,9 +101,7 @@ const Dashboard = () => {
     });
   };
 
-  const getStatusVariant = (status) => {
-    return status === 'completed' ? 'success' : 'warning';
-  };
+  const getStatusVariant = (status) => SHEET_STATUS_VARIANTS[status] || 'secondary';
 
   return (
     <Container>
@@ -75,7 +114,7 @@ const Dashboard = () => {
 
       {/* Statistics Cards */}
       <Row className="mb-4">
-        <Col md={6} lg={3} className="mb-3">
+        <Col md={6} className="mb-3">
           <Card className="h-100 border-primary">
             <Card.Body className="text-center">
               <div className="display-4 text-primary mb-2">{stats.totalSheets}</div>
@@ -91,39 +130,7 @@ const Dashboard = () => {
           </Card>
         </Col>
 
-        <Col md={6} lg={3} className="mb-3">
-          <Card className="h-100 border-success">
-            <Card.Body className="text-center">
-              <div className="display-4 text-success mb-2">{stats.completedSheets}</div>
-              <Card.Title className="h6">Completed</Card.Title>
-              <Button 
-                variant="success" 
-                size="sm"
-                onClick={() => navigate('/measurement-sheets')}
-              >
-                View All
-              </Button>
-            </Card.Body>
-          </Card>
-        </Col>
-
-        <Col md={6} lg={3} className="mb-3">
-          <Card className="h-100 border-warning">
-            <Card.Body className="text-center">
-              <div className="display-4 text-warning mb-2">{stats.draftSheets}</div>
-              <Card.Title className="h6">Draft Sheets</Card.Title>
-              <Button 
-                variant="warning" 
-                size="sm"
-                onClick={() => navigate('/measurement-sheets')}
-              >
-                Manage
-              </Button>
-            </Card.Body>
-          </Card>
-        </Col>
-
-        <Col md={6} lg={3} className="mb-3">
+        <Col md={6} className="mb-3">
           <Card className="h-100 border-info">
             <Card.Body className="text-center">
               <div className="display-4 text-info mb-2">{stats.totalCustomers}</div>
@@ -140,6 +147,80 @@ const Dashboard = () => {
         </Col>
       </Row>
 
+      {/* Sheets by Status */}
+      <Row className="mb-4">
+        {SHEET_STATUS_LIST.map(status => (
+          <Col xs={6} md={4} lg={2} key={status} className="mb-3">
+            <Card
+              className={`h-100 border-${SHEET_STATUS_VARIANTS[status]}`}
+              role="button"
+              onClick={() => navigate(`/measurement-sheets?status=${status}`)}
+            >
+              <Card.Body className="text-center">
+                <div className="display-6 mb-1">{stats.statusCounts[status] || 0}</div>
+                <Badge bg={SHEET_STATUS_VARIANTS[status]}>{SHEET_STATUS_LABELS[status]}</Badge>
+              </Card.Body>
+            </Card>
+          </Col>
+        ))}
+      </Row>
+
+      {/* Activity over the chosen range */}
+      <Card className="mb-4">
+        <Card.Header>
+          <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+            <h5 className="mb-0">Activity</h5>
+            <DateRangePicker range={range} onChange={setRange} disabled={activityLoading} />
+          </div>
+        </Card.Header>
+        <Card.Body>
+          {range.from > range.to && (
+            <Alert variant="warning">The from date must be on or before the to date.</Alert>
+          )}
+          {activityError && <Alert variant="danger">{activityError}</Alert>}
+
+          {activityLoading && !activity ? (
+            <LoadingSpinner text="Loading statistics..." />
+          ) : activity && (
+            <Row>
+              <Col lg={8} className="mb-3 mb-lg-0">
+                <div className="d-flex justify-content-between align-items-center mb-2">
+                  <div className="small text-muted">
+                    {activity.timeSeries.reduce((sum, point) => sum + point.sheets, 0)} sheets,{' '}
+                    {activity.timeSeries.reduce((sum, point) => sum + point.squareFeet, 0).toFixed(2)} sq ft
+                  </div>
+                  <ButtonGroup size="sm">
+                    <Button
+                      variant={chartMetric === 'squareFeet' ? 'secondary' : 'outline-secondary'}
+                      onClick={() => setChartMetric('squareFeet')}
+                    >
+                      Square Feet
+                    </Button>
+                    <Button
+                      variant={chartMetric === 'sheets' ? 'secondary' : 'outline-secondary'}
+                      onClick={() => setChartMetric('sheets')}
+                    >
+                      Sheets
+                    </Button>
+                  </ButtonGroup>
+                </div>
+                <TimeSeriesChart
+                  series={activity.timeSeries}
+                  metric={chartMetric}
+                  interval={activity.range.interval}
+                  color={chartMetric === 'squareFeet' ? '#198754' : '#0d6efd'}
+                  formatValue={value => (chartMetric === 'squareFeet' ? value.toFixed(2) : value)}
+                />
+              </Col>
+              <Col lg={4}>
+                <h6 className="text-muted">Slab Category Mix</h6>
+                <CategoryMixChart categoryMix={activity.categoryMix} />
+              </Col>
+            </Row>
+          )}
+        </Card.Body>
+      </Card>
+
       {/* Recent Activity */}
       <Row>
         <Col>
@@ -193,13 +274,13 @@ const Dashboard = () => {
                           <div>{sheet.customer_name}</div>
                           <small className="text-muted">{sheet.customer_phone}</small>
                         </td>
-                        <td>{sheet.customer_type}</td>
+                        <td>{customerTypeRegistry.getLabel(sheet.customer_type)}</td>
                         <td>
                           <Badge bg={getStatusVariant(sheet.status)}>
-                            {sheet.status}
+                            {SHEET_STATUS_LABELS[sheet.status] || sheet.status}
                           </Badge>
                         </td>
-                        <td>{sheet.total_square_feet?.toFixed(2) || '0.00'}</td>
+                        <td>{Number(sheet.total_square_feet || 0).toFixed(2)}</td>
                         <td>
                           <small>{formatDate(sheet.created_at)}</small>
                         </td>
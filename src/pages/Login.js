@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import FormField from '../components/common/FormField';
+import { useAppContext } from '../contexts/AppContext';
+import { authService } from '../services/authService';
+import { ROUTES } from '../utils/constants';
+
+const Login = () => {
+  const { state, actions } = useAppContext();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Back to the page that sent the user here
+  const redirectTo = location.state?.from?.pathname || ROUTES.DASHBOARD;
+
+  if (state.user) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!credentials.username.trim() || !credentials.password) {
+      setError('Enter your username and password.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const user = await authService.login(credentials.username.trim(), credentials.password);
+      actions.setUser(user);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err.response?.status === 401
+        ? 'Invalid username or password.'
+        : 'Unable to sign in. Please try again.');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md={6} lg={4}>
+          <Card className="mt-5">
+            <Card.Header>
+              <h4 className="mb-0">Sign In</h4>
+            </Card.Header>
+            <Card.Body>
+              {error && (
+                <Alert variant="danger" dismissible onClose={() => setError(null)}>
+                  {error}
+                </Alert>
+              )}
+
+              <Form onSubmit={handleSubmit}>
+                <FormField
+                  label="Username"
+                  name="username"
+                  value={credentials.username}
+                  onChange={handleInputChange}
+                  autoComplete="username"
+                  required
+                />
+
+                <FormField
+                  label="Password"
+                  name="password"
+                  type="password"
+                  value={credentials.password}
+                  onChange={handleInputChange}
+                  autoComplete="current-password"
+                  required
+                />
+
+                <Button type="submit" variant="primary" className="w-100" disabled={isSubmitting}>
+                  {isSubmitting ? (
+                    <>
+                      <Spinner animation="border" size="sm" className="me-2" />
+                      Signing in...
+                    </>
+                  ) : (
+                    'Sign In'
+                  )}
+                </Button>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default Login;
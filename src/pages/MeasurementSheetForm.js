@@ -1,12 +1,15 @@
-import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Button, Modal } from 'react-bootstrap';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Button, ButtonGroup, Modal, Alert } from 'react-bootstrap';
 import { useParams, useNavigate } from 'react-router-dom';
 import { CustomerSelectionInterface } from '../components/customer';
 import { 
   MeasurementSheetHeader, 
   SlabEntryForm, 
   SlabEntriesTable, 
-  SlabEntryEditModal 
+  SlabEntryEditModal,
+  SlabImportModal,
+  SlabPasteModal,
+  SlabEntryGrid
 } from '../components/measurement-sheet';
 import { 
   ErrorAlert, 
@@ -14,12 +17,20 @@ import {
   ConfirmationModal 
 } from '../components/common';
 import { measurementSheetService } from '../services/measurementSheetService';
+import { offlineStore } from '../services/offlineStore';
+import { pricingEngine } from '../utils/pricingEngine';
 import useErrorHandler from '../hooks/useErrorHandler';
+import usePermissions from '../hooks/usePermissions';
+import useSyncStatus from '../hooks/useSyncStatus';
+import { createTempId } from '../utils/syncQueue';
+import { PERMISSIONS, CALCULATION_MODES, MEASUREMENT_SHEET_STATUS } from '../utils/constants';
 
 const MeasurementSheetForm = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const isEdit = Boolean(id);
+  const { can } = usePermissions();
+  const { online, idMap } = useSyncStatus();
 
   // State management
   const [currentStep, setCurrentStep] = useState(1); // 1: Customer Selection, 2: Measurement Sheet Entry
@@ -31,6 +42,9 @@ const MeasurementSheetForm = () => {
   const [showBackConfirm, setShowBackConfirm] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deleteIndex, setDeleteIndex] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showPasteModal, setShowPasteModal] = useState(false);
+  const [entryMode, setEntryMode] = useState('form'); // form: one slab at a time, grid: keyboard entry grid
   
   // Error handling
   const { 
@@ -52,6 +66,22 @@ const MeasurementSheetForm = () => {
     }
   }, [isEdit, id, loadMeasurementSheet]);
 
+  // Once queued creates reach the server, swap the temporary IDs held here for the server's
+  useEffect(() => {
+    const sheetId = measurementSheet?.id;
+    if (sheetId && idMap[sheetId]) {
+      offlineStore.getSheet(idMap[sheetId]).then(storedSheet => {
+        setMeasurementSheet(sheet => (sheet && sheet.id === sheetId
+          ? { ...sheet, id: idMap[sheetId], measurementSheetNumber: storedSheet?.measurementSheetNumber, pendingSync: false }
+          : sheet));
+      });
+    }
+
+    setSlabEntries(entries => (entries.some(entry => idMap[entry.id])
+      ? entries.map(entry => (idMap[entry.id] ? { ...entry, id: idMap[entry.id], pendingSync: false } : entry))
+      : entries));
+  }, [idMap, measurementSheet?.id]);
+
   const loadMeasurementSheet = async (sheetId) => {
     await executeWithErrorHandling(async () => {
       const sheet = await measurementSheetService.getMeasurementSheet(sheetId);
@@ -67,20 +97,20 @@ const MeasurementSheetForm = () => {
     });
   };
 
-  const handleCustomerSelection = ({ customerType, customer }) => {
+  const handleCustomerSelection = ({ customerType, customer, calculationMode }) => {
     setSelectedCustomerType(customerType);
     setSelectedCustomer(customer);
     setCurrentStep(2);
     
     // Create new measurement sheet if not editing
     if (!isEdit) {
-      createNewMeasurementSheet(customerType, customer);
+      createNewMeasurementSheet(customerType, customer, calculationMode);
     }
   };
 
-  const createNewMeasurementSheet = async (customerType, customer) => {
+  const createNewMeasurementSheet = async (customerType, customer, calculationMode) => {
     await executeWithErrorHandling(async () => {
-      const newSheet = await measurementSheetService.createMeasurementSheet(customerType, customer.id);
+      const newSheet = await measurementSheetService.createMeasurementSheet(customerType, customer.id, calculationMode);
       setMeasurementSheet(newSheet);
     }, {
       onError: (error) => {
@@ -93,13 +123,13 @@ const MeasurementSheetForm = () => {
     return executeWithErrorHandling(async () => {
       let updatedEntry;
       if (measurementSheet?.id) {
-        // Add to existing measurement sheet via API
+        // Saved on the server, or queued on this device while offline
         updatedEntry = await measurementSheetService.addSlabEntry(measurementSheet.id, slabEntry);
       } else {
         // Add to local state for new sheets
         updatedEntry = {
           ...slabEntry,
-          id: `temp_${Date.now()}_${Math.random()}`
+          id: createTempId()
         };
       }
       
@@ -114,6 +144,17 @@ const MeasurementSheetForm = () => {
     });
   };
 
+  // Imported, pasted and grid rows are added through the batch endpoint, then the sheet is reloaded for the saved entries
+  const handleBatchAddSlabEntries = useCallback(async (newEntries) => {
+    if (!measurementSheet?.id) {
+      throw new Error('The measurement sheet has not been created yet.');
+    }
+
+    await measurementSheetService.batchAddSlabEntries(measurementSheet.id, newEntries);
+    const sheet = await measurementSheetService.getMeasurementSheet(measurementSheet.id);
+    setSlabEntries(sheet.slabEntries || []);
+  }, [measurementSheet?.id]);
+
   const handleEditEntry = (entry, index) => {
     setEditingEntry(entry);
     setEditingIndex(index);
@@ -122,9 +163,8 @@ const MeasurementSheetForm = () => {
 
   const handleSaveEditedEntry = async (updatedEntry) => {
     await executeWithErrorHandling(async () => {
-      if (measurementSheet?.id && updatedEntry.id && !updatedEntry.id.startsWith('temp_')) {
-        // Update existing entry via API
-        await measurementSheetService.updateSlabEntry(updatedEntry.id, updatedEntry);
+      if (measurementSheet?.id && updatedEntry.id) {
+        await measurementSheetService.updateSlabEntry(updatedEntry.id, updatedEntry, measurementSheet.id);
       }
       
       // Update local state
@@ -155,9 +195,8 @@ const MeasurementSheetForm = () => {
     await executeWithErrorHandling(async () => {
       const entry = slabEntries[deleteIndex];
       
-      if (measurementSheet?.id && entry.id && !entry.id.startsWith('temp_')) {
-        // Delete from API
-        await measurementSheetService.deleteSlabEntry(entry.id);
+      if (measurementSheet?.id && entry.id) {
+        await measurementSheetService.deleteSlabEntry(entry.id, measurementSheet.id);
       }
       
       // Remove from local state
@@ -180,7 +219,7 @@ const MeasurementSheetForm = () => {
       if (measurementSheet?.id) {
         // Update existing measurement sheet
         await measurementSheetService.updateMeasurementSheet(measurementSheet.id, {
-          status: 'completed',
+          status: MEASUREMENT_SHEET_STATUS.MEASURED,
           slabEntries
         });
         setShowSaveConfirm(true);
@@ -218,6 +257,16 @@ const MeasurementSheetForm = () => {
     return slabEntries.reduce((sum, entry) => sum + entry.squareFeet, 0);
   };
 
+  const getTotalAmount = () => {
+    return pricingEngine.calculateTotals(slabEntries).totalAmount;
+  };
+
+  const getTotalSquareMetres = () => {
+    return pricingEngine.calculateTotals(slabEntries).totalSquareMetres;
+  };
+
+  const calculationMode = measurementSheet?.calculationMode || CALCULATION_MODES.IMPERIAL;
+
   if (isLoading) {
     return (
       <Container>
@@ -239,6 +288,13 @@ const MeasurementSheetForm = () => {
         />
       )}
 
+      {!online && (
+        <Alert variant="warning" className="mb-4">
+          <i className="bi bi-wifi-off me-2"></i>
+          You are offline. Slab entries are saved on this device and sent to the server when the connection returns.
+        </Alert>
+      )}
+
       {/* Step 1: Customer Selection */}
       {currentStep === 1 && (
         <Row>
@@ -273,6 +329,24 @@ const MeasurementSheetForm = () => {
               </div>
               
               <div className="d-flex gap-2">
+                <Button
+                  variant="outline-primary"
+                  onClick={() => setShowImportModal(true)}
+                  disabled={!measurementSheet?.id || isLoading}
+                >
+                  <i className="bi bi-upload me-2"></i>
+                  Import from File
+                </Button>
+
+                <Button
+                  variant="outline-primary"
+                  onClick={() => setShowPasteModal(true)}
+                  disabled={!measurementSheet?.id || isLoading}
+                >
+                  <i className="bi bi-clipboard me-2"></i>
+                  Paste Dimensions
+                </Button>
+
                 {!isEdit && (
                   <Button 
                     variant="outline-secondary" 
@@ -282,20 +356,26 @@ const MeasurementSheetForm = () => {
                   </Button>
                 )}
                 
-                <Button 
-                  variant="success" 
-                  onClick={handleSaveMeasurementSheet}
-                  disabled={slabEntries.length === 0 || isLoading}
-                >
-                  {isLoading ? (
-                    <>
-                      <LoadingSpinner size="sm" inline className="me-2" />
-                      Saving...
-                    </>
-                  ) : (
-                    'Save Measurement Sheet'
-                  )}
-                </Button>
+                {can(PERMISSIONS.SHEETS_EDIT) ? (
+                  <Button 
+                    variant="success" 
+                    onClick={handleSaveMeasurementSheet}
+                    disabled={slabEntries.length === 0 || isLoading}
+                  >
+                    {isLoading ? (
+                      <>
+                        <LoadingSpinner size="sm" inline className="me-2" />
+                        Saving...
+                      </>
+                    ) : (
+                      'Save as Measured'
+                    )}
+                  </Button>
+                ) : (
+                  <small className="text-muted align-self-center">
+                    Entries are saved as you go. The measurer marks the sheet measured.
+                  </small>
+                )}
               </div>
             </div>
 
@@ -306,16 +386,51 @@ const MeasurementSheetForm = () => {
               customerType={selectedCustomerType}
               createdAt={measurementSheet?.createdAt}
               totalSquareFeet={getTotalSquareFeet()}
+              totalSquareMetres={calculationMode === CALCULATION_MODES.METRIC ? getTotalSquareMetres() : null}
+              totalAmount={getTotalAmount()}
               slabCount={slabEntries.length}
             />
 
+            <div className="d-flex justify-content-end mb-2">
+              <ButtonGroup size="sm">
+                <Button
+                  variant={entryMode === 'form' ? 'secondary' : 'outline-secondary'}
+                  onClick={() => setEntryMode('form')}
+                >
+                  Form
+                </Button>
+                <Button
+                  variant={entryMode === 'grid' ? 'secondary' : 'outline-secondary'}
+                  onClick={() => setEntryMode('grid')}
+                  disabled={!measurementSheet?.id}
+                >
+                  Grid
+                </Button>
+              </ButtonGroup>
+            </div>
+
             {/* Slab Entry Form */}
-            <SlabEntryForm
-              onAddEntry={handleAddSlabEntry}
-              customerType={selectedCustomerType}
-              nextSerialNumber={getNextSerialNumber()}
-              disabled={isLoading}
-            />
+            {entryMode === 'form' && (
+              <SlabEntryForm
+                onAddEntry={handleAddSlabEntry}
+                customerType={selectedCustomerType}
+                calculationMode={calculationMode}
+                nextSerialNumber={getNextSerialNumber()}
+                disabled={isLoading}
+              />
+            )}
+
+            {/* Keyboard entry grid, kept mounted so unsaved rows survive switching modes */}
+            {measurementSheet?.id && (
+              <div className={entryMode === 'grid' ? '' : 'd-none'}>
+                <SlabEntryGrid
+                  customerType={selectedCustomerType}
+                  calculationMode={calculationMode}
+                  onSaveBatch={handleBatchAddSlabEntries}
+                  disabled={isLoading}
+                />
+              </div>
+            )}
 
             {/* Slab Entries Table */}
             <SlabEntriesTable
@@ -323,6 +438,7 @@ const MeasurementSheetForm = () => {
               onEditEntry={handleEditEntry}
               onDeleteEntry={handleDeleteEntry}
               customerType={selectedCustomerType}
+              calculationMode={calculationMode}
               disabled={isLoading}
             />
           </Col>
@@ -336,6 +452,25 @@ const MeasurementSheetForm = () => {
         onSave={handleSaveEditedEntry}
         entry={editingEntry}
         customerType={selectedCustomerType}
+        calculationMode={calculationMode}
+      />
+
+      {/* Import Modal */}
+      <SlabImportModal
+        show={showImportModal}
+        onHide={() => setShowImportModal(false)}
+        customerType={selectedCustomerType}
+        calculationMode={calculationMode}
+        onImport={handleBatchAddSlabEntries}
+      />
+
+      {/* Paste Modal */}
+      <SlabPasteModal
+        show={showPasteModal}
+        onHide={() => setShowPasteModal(false)}
+        customerType={selectedCustomerType}
+        calculationMode={calculationMode}
+        onImport={handleBatchAddSlabEntries}
       />
 
       {/* Save Confirmation Modal */}
@@ -348,7 +483,8 @@ const MeasurementSheetForm = () => {
             <i className="bi bi-check-circle-fill text-success" style={{ fontSize: '3rem' }}></i>
             <h5 className="mt-3">Successfully Saved!</h5>
             <p className="text-muted">
-              Measurement sheet #{measurementSheet?.measurementSheetNumber} has been saved with {slabEntries.length} slab entries.
+              Measurement sheet #{measurementSheet?.measurementSheetNumber} has been marked measured with {slabEntries.length} slab entries
+              and is ready for approval.
             </p>
             <p className="fw-bold">
               Total: {getTotalSquareFeet().toFixed(2)} square feet
@@ -15,15 +15,25 @@ import {
   Spinner,
   InputGroup
 } from 'react-bootstrap';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { measurementSheetService } from '../services/measurementSheetService';
 import { exportService } from '../services/exportService';
-import { CUSTOMER_TYPE_LABELS, MEASUREMENT_SHEET_STATUS, ROUTES } from '../utils/constants';
+import { MEASUREMENT_SHEET_STATUS, SHEET_STATUS_LABELS, SHEET_STATUS_VARIANTS, PERMISSIONS, ROUTES } from '../utils/constants';
+import { customerTypeRegistry } from '../utils/customerTypeRegistry';
+import { useAppContext } from '../contexts/AppContext';
 import { LoadingSpinner, VirtualizedTable } from '../components/common';
 import { useDebounce, useCache } from '../hooks/useVirtualScrolling';
+import usePermissions from '../hooks/usePermissions';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
 
 const MeasurementSheetList = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { state: appState } = useAppContext();
+  const { can } = usePermissions();
+  const canExport = can(PERMISSIONS.SHEETS_EXPORT);
+  const canDelete = can(PERMISSIONS.SHEETS_DELETE);
   
   // State management
   const [measurementSheets, setMeasurementSheets] = useState([]);
@@ -31,9 +41,10 @@ const MeasurementSheetList = () => {
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+  // The dashboard links here with ?status= to list the sheets in one status
   const [filters, setFilters] = useState({
     customerType: '',
-    status: '',
+    status: searchParams.get('status') || '',
     startDate: '',
     endDate: ''
   });
@@ -242,6 +253,10 @@ const MeasurementSheetList = () => {
         const csvData = await exportService.generateCSV(measurementSheet);
         filename = `measurement-sheet-${measurementSheet.measurementSheetNumber}.csv`;
         exportService.downloadFile(csvData, filename, 'text/csv');
+      } else if (format === 'xlsx') {
+        const blob = await measurementSheetService.exportToXLSX(sheetId);
+        filename = `measurement-sheet-${measurementSheet.measurementSheetNumber}.xlsx`;
+        exportService.downloadFile(blob, filename, XLSX_MIME_TYPE);
       }
       
     } catch (err) {
@@ -251,6 +266,33 @@ const MeasurementSheetList = () => {
     }
   };
 
+  // Export every sheet matching the current search and filters to one workbook
+  const handleBulkExport = async () => {
+    try {
+      setActionLoading(prev => ({ ...prev, bulk_xlsx: true }));
+
+      const criteria = { search: debouncedSearchTerm, ...filters };
+      Object.keys(criteria).forEach(key => {
+        if (!criteria[key]) {
+          delete criteria[key];
+        }
+      });
+
+      const blob = await measurementSheetService.exportSheetsToXLSX(criteria);
+      const dateRange = filters.startDate || filters.endDate
+        ? `-${filters.startDate || 'start'}-to-${filters.endDate || 'today'}`
+        : '';
+      exportService.downloadFile(blob, `measurement-sheets${dateRange}.xlsx`, XLSX_MIME_TYPE);
+    } catch (err) {
+      const message = err.response?.status === 422
+        ? 'Too many measurement sheets match. Narrow the filters and try again.'
+        : err.message;
+      setError(`Failed to export Excel workbook: ${message}`);
+    } finally {
+      setActionLoading(prev => ({ ...prev, bulk_xlsx: false }));
+    }
+  };
+
   const handlePrint = (sheetId) => {
     // Open measurement sheet in new window for printing
     const printUrl = `${ROUTES.VIEW_MEASUREMENT_SHEET}/${sheetId}?print=true`;
@@ -339,16 +381,7 @@ const MeasurementSheetList = () => {
   };
 
   // Get status badge variant
-  const getStatusVariant = (status) => {
-    switch (status) {
-      case MEASUREMENT_SHEET_STATUS.COMPLETED:
-        return 'success';
-      case MEASUREMENT_SHEET_STATUS.DRAFT:
-        return 'warning';
-      default:
-        return 'secondary';
-    }
-  };
+  const getStatusVariant = (status) => SHEET_STATUS_VARIANTS[status] || 'secondary';
 
   // Table columns configuration for virtualized table
   const tableColumns = useMemo(() => [
@@ -377,7 +410,8 @@ const MeasurementSheetList = () => {
     {
       key: 'customer_type',
       label: 'Type',
-      width: '150px'
+      width: '150px',
+      render: (item) => customerTypeRegistry.getLabel(item.customer_type)
     },
     {
       key: 'total_square_feet',
@@ -405,13 +439,16 @@ const MeasurementSheetList = () => {
       actions: [
         { key: 'view', label: 'View' },
         { key: 'edit', label: 'Edit' },
-        { key: 'export_pdf', label: 'Export PDF', divider: true, loadingText: 'Exporting' },
-        { key: 'export_csv', label: 'Export CSV', loadingText: 'Exporting' },
-        { key: 'print', label: 'Print' },
-        { key: 'delete', label: 'Delete', divider: true, variant: 'danger' }
+        ...(canExport ? [
+          { key: 'export_pdf', label: 'Export PDF', divider: true, loadingText: 'Exporting' },
+          { key: 'export_csv', label: 'Export CSV', loadingText: 'Exporting' },
+          { key: 'export_xlsx', label: 'Export Excel', loadingText: 'Exporting' }
+        ] : []),
+        { key: 'print', label: 'Print', divider: !canExport },
+        ...(canDelete ? [{ key: 'delete', label: 'Delete', divider: true, variant: 'danger' }] : [])
       ]
     }
-  ], []);
+  ], [canExport, canDelete]);
 
   // Handle table actions
   const handleTableAction = useCallback(async (action, sheet) => {
@@ -428,6 +465,9 @@ const MeasurementSheetList = () => {
       case 'export_csv':
         await handleExport(sheet.id, 'csv');
         break;
+      case 'export_xlsx':
+        await handleExport(sheet.id, 'xlsx');
+        break;
       case 'print':
         handlePrint(sheet.id);
         break;
@@ -459,12 +499,24 @@ const MeasurementSheetList = () => {
                 )}
               </p>
             </div>
-            <Button 
-              variant="primary" 
-              onClick={() => navigate(ROUTES.NEW_MEASUREMENT_SHEET)}
-            >
-              Create New Sheet
-            </Button>
+            <div className="d-flex gap-2">
+              {canExport && (
+                <Button
+                  variant="outline-success"
+                  onClick={handleBulkExport}
+                  disabled={actionLoading.bulk_xlsx || pagination.total === 0}
+                  title="Export every sheet matching the current search and filters"
+                >
+                  {actionLoading.bulk_xlsx ? 'Exporting...' : 'Export to Excel'}
+                </Button>
+              )}
+              <Button 
+                variant="primary" 
+                onClick={() => navigate(ROUTES.NEW_MEASUREMENT_SHEET)}
+              >
+                Create New Sheet
+              </Button>
+            </div>
           </div>
         </Col>
       </Row>
@@ -514,8 +566,8 @@ const MeasurementSheetList = () => {
                       onChange={(e) => handleFilterChange('customerType', e.target.value)}
                     >
                       <option value="">All Types</option>
-                      {Object.entries(CUSTOMER_TYPE_LABELS).map(([key, label]) => (
-                        <option key={key} value={label}>{label}</option>
+                      {appState.customerTypes.map(customerType => (
+                        <option key={customerType.key} value={customerType.key}>{customerType.label}</option>
                       ))}
                     </Form.Select>
                   </Form.Group>
@@ -528,8 +580,9 @@ const MeasurementSheetList = () => {
                       onChange={(e) => handleFilterChange('status', e.target.value)}
                     >
                       <option value="">All Status</option>
-                      <option value={MEASUREMENT_SHEET_STATUS.DRAFT}>Draft</option>
-                      <option value={MEASUREMENT_SHEET_STATUS.COMPLETED}>Completed</option>
+                      {Object.values(MEASUREMENT_SHEET_STATUS).map(status => (
+                        <option key={status} value={status}>{SHEET_STATUS_LABELS[status]}</option>
+                      ))}
                     </Form.Select>
                   </Form.Group>
                 </Col>
@@ -636,6 +689,9 @@ const MeasurementSheetList = () => {
                         </td>
                         <td>
                           <strong>{sheet.measurement_sheet_number}</strong>
+                          {sheet.amended_as && (
+                            <small className="text-muted d-block">Amended as {sheet.amended_as}</small>
+                          )}
                         </td>
                         <td>
                           <div>
@@ -643,11 +699,11 @@ const MeasurementSheetList = () => {
                             <small className="text-muted">{sheet.customer_phone}</small>
                           </div>
                         </td>
-                        <td>{sheet.customer_type}</td>
+                        <td>{customerTypeRegistry.getLabel(sheet.customer_type)}</td>
                         <td>{sheet.total_square_feet?.toFixed(2) || '0.00'}</td>
                         <td>
                           <Badge bg={getStatusVariant(sheet.status)}>
-                            {sheet.status}
+                            {SHEET_STATUS_LABELS[sheet.status] || sheet.status}
                           </Badge>
                         </td>
                         <td>
@@ -670,32 +726,48 @@ const MeasurementSheetList = () => {
                               <Dropdown.Item onClick={() => handleView(sheet.id)}>
                                 View
                               </Dropdown.Item>
-                              <Dropdown.Item onClick={() => handleEdit(sheet.id)}>
-                                Edit
-                              </Dropdown.Item>
+                              {sheet.status === MEASUREMENT_SHEET_STATUS.DRAFT && (
+                                <Dropdown.Item onClick={() => handleEdit(sheet.id)}>
+                                  Edit
+                                </Dropdown.Item>
+                              )}
                               <Dropdown.Divider />
-                              <Dropdown.Item 
-                                onClick={() => handleExport(sheet.id, 'pdf')}
-                                disabled={actionLoading[`${sheet.id}_pdf`]}
-                              >
-                                {actionLoading[`${sheet.id}_pdf`] ? 'Exporting...' : 'Export PDF'}
-                              </Dropdown.Item>
-                              <Dropdown.Item 
-                                onClick={() => handleExport(sheet.id, 'csv')}
-                                disabled={actionLoading[`${sheet.id}_csv`]}
-                              >
-                                {actionLoading[`${sheet.id}_csv`] ? 'Exporting...' : 'Export CSV'}
-                              </Dropdown.Item>
+                              {canExport && (
+                                <>
+                                  <Dropdown.Item 
+                                    onClick={() => handleExport(sheet.id, 'pdf')}
+                                    disabled={actionLoading[`${sheet.id}_pdf`]}
+                                  >
+                                    {actionLoading[`${sheet.id}_pdf`] ? 'Exporting...' : 'Export PDF'}
+                                  </Dropdown.Item>
+                                  <Dropdown.Item 
+                                    onClick={() => handleExport(sheet.id, 'csv')}
+                                    disabled={actionLoading[`${sheet.id}_csv`]}
+                                  >
+                                    {actionLoading[`${sheet.id}_csv`] ? 'Exporting...' : 'Export CSV'}
+                                  </Dropdown.Item>
+                                  <Dropdown.Item 
+                                    onClick={() => handleExport(sheet.id, 'xlsx')}
+                                    disabled={actionLoading[`${sheet.id}_xlsx`]}
+                                  >
+                                    {actionLoading[`${sheet.id}_xlsx`] ? 'Exporting...' : 'Export Excel'}
+                                  </Dropdown.Item>
+                                </>
+                              )}
                               <Dropdown.Item onClick={() => handlePrint(sheet.id)}>
                                 Print
                               </Dropdown.Item>
-                              <Dropdown.Divider />
-                              <Dropdown.Item 
-                                onClick={() => handleDelete(sheet)}
-                                className="text-danger"
-                              >
-                                Delete
-                              </Dropdown.Item>
+                              {canDelete && (
+                                <>
+                                  <Dropdown.Divider />
+                                  <Dropdown.Item 
+                                    onClick={() => handleDelete(sheet)}
+                                    className="text-danger"
+                                  >
+                                    Delete
+                                  </Dropdown.Item>
+                                </>
+                              )}
                             </Dropdown.Menu>
                           </Dropdown>
                         </td>
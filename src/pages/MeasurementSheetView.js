@@ -1,19 +1,41 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Alert, Spinner, Badge } from 'react-bootstrap';
-import { useParams, useNavigate } from 'react-router-dom';
-import { MeasurementSheetHeader, SlabEntriesTable, SlabEntryEditModal } from '../components/measurement-sheet';
+import { Container, Row, Col, Card, Button, Alert, Spinner, Badge, Form, ListGroup } from 'react-bootstrap';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { MeasurementSheetHeader, SlabEntriesTable, SlabEntryEditModal, SheetHistoryPanel, RevisionDiffModal } from '../components/measurement-sheet';
 import { SlabEntryForm } from '../components/measurement-sheet';
 import { PrintPreviewModal } from '../components/print';
+import { InvoiceCreateModal } from '../components/invoice';
 import CustomModal from '../components/common/CustomModal';
 import CustomButton from '../components/common/CustomButton';
 import { measurementSheetService } from '../services/measurementSheetService';
 import { exportService } from '../services/exportService';
+import { invoiceService } from '../services/invoiceService';
 import { calculationEngine } from '../utils/calculationEngine';
-import { MEASUREMENT_SHEET_STATUS } from '../utils/constants';
+import { pricingEngine, formatAmount } from '../utils/pricingEngine';
+import usePermissions from '../hooks/usePermissions';
+import {
+  MEASUREMENT_SHEET_STATUS,
+  SHEET_STATUS_LABELS,
+  SHEET_STATUS_VARIANTS,
+  PERMISSIONS,
+  CALCULATION_MODES,
+  ROUTES
+} from '../utils/constants';
+import { allowedTransitions, isAmendableStatus, TRANSITION_PERMISSIONS } from '../shared/sheetStatus';
+
+// Button shown for each status a sheet can be moved to
+const TRANSITION_ACTIONS = {
+  draft: { label: 'Back to Draft', icon: 'bi-arrow-counterclockwise', variant: 'outline-secondary' },
+  measured: { label: 'Mark Measured', icon: 'bi-rulers', variant: 'success' },
+  approved: { label: 'Approve', icon: 'bi-check2-circle', variant: 'primary' },
+  dispatched: { label: 'Dispatch', icon: 'bi-truck', variant: 'success' },
+  cancelled: { label: 'Cancel Sheet', icon: 'bi-x-circle', variant: 'outline-danger' }
+};
 
 const MeasurementSheetView = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can } = usePermissions();
   
   // State management
   const [measurementSheet, setMeasurementSheet] = useState(null);
@@ -27,11 +49,19 @@ const MeasurementSheetView = () => {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [showDeleteEntryConfirm, setShowDeleteEntryConfirm] = useState(false);
   const [showPrintPreview, setShowPrintPreview] = useState(false);
+  const [showInvoiceModal, setShowInvoiceModal] = useState(false);
+  const [showAmendConfirm, setShowAmendConfirm] = useState(false);
+  const [showRevisionDiff, setShowRevisionDiff] = useState(false);
+  const [showCancelSheet, setShowCancelSheet] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
   const [editingEntry, setEditingEntry] = useState(null);
   const [deletingEntryIndex, setDeletingEntryIndex] = useState(null);
   
   // Success message state
   const [successMessage, setSuccessMessage] = useState('');
+  
+  // Bumped after each change so the history panel reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
 
   // Load measurement sheet data
   useEffect(() => {
@@ -67,6 +97,13 @@ const MeasurementSheetView = () => {
     return entries.reduce((sum, entry) => sum + (entry.squareFeet || 0), 0);
   };
 
+  const calculateTotalAmount = (entries) => {
+    return pricingEngine.calculateTotals(entries).totalAmount;
+  };
+
+  const calculationMode = measurementSheet?.calculationMode || CALCULATION_MODES.IMPERIAL;
+  const isMetric = calculationMode === CALCULATION_MODES.METRIC;
+
   const handleToggleEditMode = () => {
     if (isEditMode) {
       // Exiting edit mode - show confirmation if there are unsaved changes
@@ -97,7 +134,7 @@ const MeasurementSheetView = () => {
         finalBreadth: calculation.finalBreadth,
         squareFeet: calculation.squareFeet,
         calculationDetails: calculation.rawCalculation,
-        id: `temp_${Date.now()}_${Math.random()}`
+        ...pricingEngine.priceEntry({ ...slabData, squareFeet: calculation.squareFeet }, measurementSheet.customerType)
       };
       
       // Add to backend
@@ -108,10 +145,12 @@ const MeasurementSheetView = () => {
       const updatedSheet = {
         ...measurementSheet,
         slabEntries: updatedEntries,
-        totalSquareFeet: calculateTotalSquareFeet(updatedEntries)
+        totalSquareFeet: calculateTotalSquareFeet(updatedEntries),
+        totalAmount: calculateTotalAmount(updatedEntries)
       };
       
       setMeasurementSheet(updatedSheet);
+      setHistoryVersion(version => version + 1);
       setSuccessMessage('Slab entry added successfully!');
       
       // Clear success message after 3 seconds
@@ -135,7 +174,7 @@ const MeasurementSheetView = () => {
       setSaving(true);
       
       // Update in backend
-      await measurementSheetService.updateSlabEntry(updatedEntry.id, updatedEntry);
+      await measurementSheetService.updateSlabEntry(updatedEntry.id, updatedEntry, measurementSheet.id);
       
       // Update local state
       const updatedEntries = [...measurementSheet.slabEntries];
@@ -144,10 +183,12 @@ const MeasurementSheetView = () => {
       const updatedSheet = {
         ...measurementSheet,
         slabEntries: updatedEntries,
-        totalSquareFeet: calculateTotalSquareFeet(updatedEntries)
+        totalSquareFeet: calculateTotalSquareFeet(updatedEntries),
+        totalAmount: calculateTotalAmount(updatedEntries)
       };
       
       setMeasurementSheet(updatedSheet);
+      setHistoryVersion(version => version + 1);
       setSuccessMessage('Slab entry updated successfully!');
       
       // Clear success message after 3 seconds
@@ -172,7 +213,7 @@ const MeasurementSheetView = () => {
       const entryToDelete = measurementSheet.slabEntries[deletingEntryIndex];
       
       // Delete from backend
-      await measurementSheetService.deleteSlabEntry(entryToDelete.id);
+      await measurementSheetService.deleteSlabEntry(entryToDelete.id, measurementSheet.id);
       
       // Update local state
       const updatedEntries = measurementSheet.slabEntries.filter((_, index) => index !== deletingEntryIndex);
@@ -186,10 +227,12 @@ const MeasurementSheetView = () => {
       const updatedSheet = {
         ...measurementSheet,
         slabEntries: renumberedEntries,
-        totalSquareFeet: calculateTotalSquareFeet(renumberedEntries)
+        totalSquareFeet: calculateTotalSquareFeet(renumberedEntries),
+        totalAmount: calculateTotalAmount(renumberedEntries)
       };
       
       setMeasurementSheet(updatedSheet);
+      setHistoryVersion(version => version + 1);
       setSuccessMessage('Slab entry deleted successfully!');
       
       // Clear success message after 3 seconds
@@ -205,32 +248,37 @@ const MeasurementSheetView = () => {
     }
   };
 
-  const handleSaveMeasurementSheet = async () => {
+  const handleChangeStatus = async (status, reason) => {
     try {
       setSaving(true);
       
-      const updateData = {
-        status: MEASUREMENT_SHEET_STATUS.COMPLETED,
-        totalSquareFeet: calculateTotalSquareFeet(measurementSheet.slabEntries)
-      };
-      
-      await measurementSheetService.updateMeasurementSheet(id, updateData);
+      const updated = await measurementSheetService.updateMeasurementSheet(id, { status, reason });
       
-      const updatedSheet = {
-        ...measurementSheet,
-        ...updateData
-      };
-      
-      setMeasurementSheet(updatedSheet);
+      setMeasurementSheet(prev => ({
+        ...prev,
+        status: updated.status || status
+      }));
+      setHistoryVersion(version => version + 1);
       setIsEditMode(false);
-      setSuccessMessage('Measurement sheet saved successfully!');
+      setShowCancelSheet(false);
+      setCancelReason('');
+      setSuccessMessage(`Measurement sheet marked ${SHEET_STATUS_LABELS[status].toLowerCase()}.`);
+      
+      // Reload so the status history shows who made the change
+      loadMeasurementSheet();
       
       // Clear success message after 3 seconds
       setTimeout(() => setSuccessMessage(''), 3000);
       
     } catch (err) {
-      console.error('Error saving measurement sheet:', err);
-      setError('Failed to save measurement sheet. Please try again.');
+      console.error('Error changing measurement sheet status:', err);
+      const details = err.response?.data?.details;
+      setError(
+        err.response?.data?.error
+          ? [err.response.data.error].concat(details || []).join('. ')
+          : 'Failed to change the measurement sheet status. Please try again.'
+      );
+      setShowCancelSheet(false);
     } finally {
       setSaving(false);
     }
@@ -290,6 +338,85 @@ const MeasurementSheetView = () => {
     }
   };
 
+  const handleExportXLSX = async () => {
+    try {
+      setSaving(true);
+      const blob = await measurementSheetService.exportToXLSX(measurementSheet.id);
+      exportService.downloadFile(
+        blob,
+        `measurement-sheet-${measurementSheet.measurementSheetNumber}.xlsx`,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+      setSuccessMessage('Excel workbook exported successfully!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Error exporting XLSX:', err);
+      setError('Failed to export Excel workbook. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAmendMeasurementSheet = async () => {
+    try {
+      setSaving(true);
+      const revision = await measurementSheetService.amendMeasurementSheet(id);
+      setShowAmendConfirm(false);
+      navigate(`${ROUTES.VIEW_MEASUREMENT_SHEET}/${revision.id}`);
+    } catch (err) {
+      console.error('Error amending measurement sheet:', err);
+      setError(err.response?.data?.error || 'Failed to amend measurement sheet. Please try again.');
+      setShowAmendConfirm(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvoiceCreated = (invoice) => {
+    setMeasurementSheet(prev => ({
+      ...prev,
+      status: MEASUREMENT_SHEET_STATUS.INVOICED,
+      invoice
+    }));
+    setIsEditMode(false);
+    setSuccessMessage(`Invoice ${invoice.invoiceNumber} created successfully!`);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  const handleExportInvoicePDF = async () => {
+    try {
+      setSaving(true);
+      const invoice = await invoiceService.getInvoice(measurementSheet.invoice.id);
+      const blob = await exportService.generateInvoicePDF(invoice);
+      exportService.downloadFile(
+        blob,
+        `invoice-${invoice.invoiceNumber}.pdf`,
+        'application/pdf'
+      );
+    } catch (err) {
+      console.error('Error exporting invoice PDF:', err);
+      setError('Failed to export invoice PDF. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // An issued invoice locks the sheet until the invoice is cancelled
+  const isInvoiced = Boolean(measurementSheet?.invoice);
+  // Only drafts are edited; approved and dispatched sheets are amended as a new revision
+  const status = measurementSheet?.status;
+  const isDraft = status === MEASUREMENT_SHEET_STATUS.DRAFT;
+  const canEditSheet = can(PERMISSIONS.SHEETS_EDIT) && isDraft;
+  const revisions = measurementSheet?.revisions || [];
+  const amendment = revisions.find(revision => revision.amendedFromId === measurementSheet?.id);
+  const amendedFrom = revisions.find(revision => revision.id === measurementSheet?.amendedFromId);
+  const canAmend = isAmendableStatus(status) && !amendment && !isInvoiced && can(PERMISSIONS.SHEETS_AMEND);
+  // A sheet that has been amended keeps its status; its amendment moves on instead
+  const statusActions = amendment
+    ? []
+    : allowedTransitions(status).filter(next => can(TRANSITION_PERMISSIONS[next]));
+  const statusHistory = measurementSheet?.statusHistory || [];
+
   if (loading) {
     return (
       <Container className="d-flex justify-content-center align-items-center" style={{ minHeight: '400px' }}>
@@ -324,6 +451,10 @@ const MeasurementSheetView = () => {
     );
   }
 
+  const entryDimensions = (measurementSheet?.slabEntries || []).map(entry =>
+    calculationEngine.formatEntryDimensions(entry, measurementSheet.customerType)
+  );
+
   return (
     <Container fluid>
       {/* Success Message */}
@@ -357,11 +488,24 @@ const MeasurementSheetView = () => {
                 </Button>
                 
                 <Badge 
-                  bg={measurementSheet?.status === 'completed' ? 'success' : 'warning'}
+                  bg={SHEET_STATUS_VARIANTS[status] || 'secondary'}
                   className="fs-6"
                 >
-                  {measurementSheet?.status === 'completed' ? 'Completed' : 'Draft'}
+                  {SHEET_STATUS_LABELS[status] || status}
                 </Badge>
+
+                {isInvoiced && (
+                  <Badge bg="info" className="fs-6">
+                    <i className="bi bi-lock me-1"></i>
+                    Invoiced {measurementSheet.invoice.invoiceNumber}
+                  </Badge>
+                )}
+
+                {measurementSheet?.revisionNumber > 0 && (
+                  <Badge bg="secondary" className="fs-6">
+                    Revision {measurementSheet.revisionNumber}
+                  </Badge>
+                )}
               </div>
             </Col>
             
@@ -371,24 +515,26 @@ const MeasurementSheetView = () => {
                 <CustomButton
                   variant={isEditMode ? 'success' : 'primary'}
                   onClick={handleToggleEditMode}
-                  disabled={saving}
+                  disabled={saving || isInvoiced || !canEditSheet}
                 >
                   <i className={`bi ${isEditMode ? 'bi-check-lg' : 'bi-pencil'} me-2`}></i>
                   {isEditMode ? 'View Mode' : 'Edit Mode'}
                 </CustomButton>
 
-                {/* Save Button (only in edit mode) */}
-                {isEditMode && (
+                {/* Status Buttons */}
+                {statusActions.map(next => (
                   <CustomButton
-                    variant="success"
-                    onClick={handleSaveMeasurementSheet}
-                    loading={saving}
-                    disabled={!measurementSheet?.slabEntries?.length}
+                    key={next}
+                    variant={TRANSITION_ACTIONS[next].variant}
+                    onClick={() => (next === MEASUREMENT_SHEET_STATUS.CANCELLED
+                      ? setShowCancelSheet(true)
+                      : handleChangeStatus(next))}
+                    disabled={saving || (next === MEASUREMENT_SHEET_STATUS.MEASURED && !measurementSheet?.slabEntries?.length)}
                   >
-                    <i className="bi bi-save me-2"></i>
-                    Save Sheet
+                    <i className={`bi ${TRANSITION_ACTIONS[next].icon} me-2`}></i>
+                    {TRANSITION_ACTIONS[next].label}
                   </CustomButton>
-                )}
+                ))}
 
                 {/* Print and Export Buttons */}
                 <CustomButton
@@ -400,41 +546,130 @@ const MeasurementSheetView = () => {
                   Print
                 </CustomButton>
 
-                <CustomButton
-                  variant="outline-info"
-                  onClick={handleExportPDF}
-                  disabled={saving || !measurementSheet?.slabEntries?.length}
-                  loading={saving}
-                >
-                  <i className="bi bi-file-earmark-pdf me-2"></i>
-                  PDF
-                </CustomButton>
+                {can(PERMISSIONS.SHEETS_EXPORT) && (
+                  <>
+                    <CustomButton
+                      variant="outline-info"
+                      onClick={handleExportPDF}
+                      disabled={saving || !measurementSheet?.slabEntries?.length}
+                      loading={saving}
+                    >
+                      <i className="bi bi-file-earmark-pdf me-2"></i>
+                      PDF
+                    </CustomButton>
+
+                    <CustomButton
+                      variant="outline-success"
+                      onClick={handleExportCSV}
+                      disabled={saving || !measurementSheet?.slabEntries?.length}
+                      loading={saving}
+                    >
+                      <i className="bi bi-file-earmark-spreadsheet me-2"></i>
+                      CSV
+                    </CustomButton>
+
+                    <CustomButton
+                      variant="outline-success"
+                      onClick={handleExportXLSX}
+                      disabled={saving || !measurementSheet?.slabEntries?.length}
+                      loading={saving}
+                    >
+                      <i className="bi bi-file-earmark-excel me-2"></i>
+                      Excel
+                    </CustomButton>
+                  </>
+                )}
 
-                <CustomButton
-                  variant="outline-success"
-                  onClick={handleExportCSV}
-                  disabled={saving || !measurementSheet?.slabEntries?.length}
-                  loading={saving}
-                >
-                  <i className="bi bi-file-earmark-spreadsheet me-2"></i>
-                  CSV
-                </CustomButton>
+                {/* Amendment Buttons */}
+                {canAmend && (
+                  <CustomButton
+                    variant="outline-warning"
+                    onClick={() => setShowAmendConfirm(true)}
+                    disabled={saving}
+                  >
+                    <i className="bi bi-pencil-square me-2"></i>
+                    Amend
+                  </CustomButton>
+                )}
+
+                {revisions.length > 1 && (
+                  <CustomButton
+                    variant="outline-secondary"
+                    onClick={() => setShowRevisionDiff(true)}
+                    disabled={saving}
+                  >
+                    <i className="bi bi-layout-split me-2"></i>
+                    Compare
+                  </CustomButton>
+                )}
+
+                {/* Invoice Buttons */}
+                {isInvoiced ? (
+                  <CustomButton
+                    variant="outline-dark"
+                    onClick={handleExportInvoicePDF}
+                    disabled={saving}
+                  >
+                    <i className="bi bi-receipt me-2"></i>
+                    Invoice PDF
+                  </CustomButton>
+                ) : status === MEASUREMENT_SHEET_STATUS.DISPATCHED && !amendment && can(PERMISSIONS.INVOICES_MANAGE) && (
+                  <CustomButton
+                    variant="outline-dark"
+                    onClick={() => setShowInvoiceModal(true)}
+                    disabled={saving || isEditMode || !measurementSheet?.slabEntries?.length}
+                  >
+                    <i className="bi bi-receipt me-2"></i>
+                    Invoice
+                  </CustomButton>
+                )}
 
                 {/* Delete Button */}
-                <CustomButton
-                  variant="outline-danger"
-                  onClick={() => setShowDeleteConfirm(true)}
-                  disabled={saving}
-                >
-                  <i className="bi bi-trash me-2"></i>
-                  Delete
-                </CustomButton>
+                {can(PERMISSIONS.SHEETS_DELETE) && (
+                  <CustomButton
+                    variant="outline-danger"
+                    onClick={() => setShowDeleteConfirm(true)}
+                    disabled={saving || isInvoiced || Boolean(amendment)}
+                  >
+                    <i className="bi bi-trash me-2"></i>
+                    Delete
+                  </CustomButton>
+                )}
               </div>
             </Col>
           </Row>
         </Card.Body>
       </Card>
 
+      {/* Revisions */}
+      {(amendment || amendedFrom) && (
+        <Alert variant={amendment ? 'warning' : 'info'}>
+          <i className="bi bi-files me-2"></i>
+          {amendedFrom && (
+            <>
+              Amends <Link to={`${ROUTES.VIEW_MEASUREMENT_SHEET}/${amendedFrom.id}`}>{amendedFrom.measurementSheetNumber}</Link>.{' '}
+            </>
+          )}
+          {amendment && (
+            <>
+              This revision has been amended as{' '}
+              <Link to={`${ROUTES.VIEW_MEASUREMENT_SHEET}/${amendment.id}`}>{amendment.measurementSheetNumber}</Link>{' '}
+              and is kept as it was for reference.
+            </>
+          )}
+        </Alert>
+      )}
+
+      {status === MEASUREMENT_SHEET_STATUS.CANCELLED && (
+        <Alert variant="secondary">
+          <i className="bi bi-x-circle me-2"></i>
+          This sheet was cancelled
+          {statusHistory.length > 0 && statusHistory[statusHistory.length - 1].reason
+            ? `: ${statusHistory[statusHistory.length - 1].reason}`
+            : '.'}
+        </Alert>
+      )}
+
       {/* Measurement Sheet Header */}
       <MeasurementSheetHeader
         measurementSheetNumber={measurementSheet?.measurementSheetNumber}
@@ -442,6 +677,8 @@ const MeasurementSheetView = () => {
         customerType={measurementSheet?.customerType}
         createdAt={measurementSheet?.createdAt}
         totalSquareFeet={calculateTotalSquareFeet(measurementSheet?.slabEntries || [])}
+        totalSquareMetres={isMetric ? pricingEngine.calculateTotals(measurementSheet?.slabEntries).totalSquareMetres : null}
+        totalAmount={calculateTotalAmount(measurementSheet?.slabEntries || [])}
         slabCount={measurementSheet?.slabEntries?.length || 0}
       />
 
@@ -458,6 +695,7 @@ const MeasurementSheetView = () => {
             <SlabEntryForm
               onAddEntry={handleAddSlabEntry}
               customerType={measurementSheet?.customerType}
+              calculationMode={calculationMode}
               nextSerialNumber={measurementSheet?.slabEntries?.length + 1}
               disabled={saving}
             />
@@ -471,6 +709,7 @@ const MeasurementSheetView = () => {
         onEditEntry={handleEditEntry}
         onDeleteEntry={handleDeleteEntry}
         customerType={measurementSheet?.customerType}
+        calculationMode={calculationMode}
         disabled={!isEditMode || saving}
       />
 
@@ -500,12 +739,12 @@ const MeasurementSheetView = () => {
                       
                       <div className="mb-2">
                         <div className="small text-muted">Original Dimensions:</div>
-                        <div>{entry.length}" × {entry.breadth}"</div>
+                        <div>{entryDimensions[index].length} × {entryDimensions[index].breadth}</div>
                       </div>
                       
                       <div className="mb-2">
                         <div className="small text-muted">Final Dimensions:</div>
-                        <div>{entry.finalLength}" × {entry.finalBreadth}"</div>
+                        <div>{entryDimensions[index].finalLength} × {entryDimensions[index].finalBreadth}</div>
                       </div>
                       
                       <div className="mb-2">
@@ -520,6 +759,12 @@ const MeasurementSheetView = () => {
                         <div className="fw-bold text-success fs-5">
                           {entry.squareFeet.toFixed(2)}
                         </div>
+                        {isMetric && entry.squareMetres !== null && entry.squareMetres !== undefined && (
+                          <div className="small text-success">{parseFloat(entry.squareMetres).toFixed(3)} m²</div>
+                        )}
+                        <div className="small text-muted">
+                          Amount: {formatAmount(entry.amount)}
+                        </div>
                       </div>
                     </Card.Body>
                   </Card>
@@ -530,6 +775,46 @@ const MeasurementSheetView = () => {
         </Card>
       )}
 
+      {/* Status History */}
+      {statusHistory.length > 0 && (
+        <Card className="mb-4">
+          <Card.Header>
+            <h5 className="mb-0">
+              <i className="bi bi-signpost-split me-2"></i>
+              Status History
+            </h5>
+          </Card.Header>
+          <ListGroup variant="flush">
+            {statusHistory.map(change => (
+              <ListGroup.Item key={change.id} className="d-flex justify-content-between align-items-start">
+                <div>
+                  {change.fromStatus && (
+                    <>
+                      <Badge bg={SHEET_STATUS_VARIANTS[change.fromStatus] || 'secondary'}>
+                        {SHEET_STATUS_LABELS[change.fromStatus] || change.fromStatus}
+                      </Badge>
+                      <i className="bi bi-arrow-right mx-2"></i>
+                    </>
+                  )}
+                  <Badge bg={SHEET_STATUS_VARIANTS[change.toStatus] || 'secondary'}>
+                    {SHEET_STATUS_LABELS[change.toStatus] || change.toStatus}
+                  </Badge>
+                  {change.reason && <div className="small text-muted mt-1">{change.reason}</div>}
+                </div>
+                <small className="text-muted text-end">
+                  {change.username || 'System'}
+                  <br />
+                  {new Date(change.createdAt).toLocaleString()}
+                </small>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        </Card>
+      )}
+
+      {/* Change History */}
+      <SheetHistoryPanel measurementSheetId={id} refreshKey={historyVersion} />
+
       {/* Edit Slab Entry Modal */}
       <SlabEntryEditModal
         show={showEditModal}
@@ -540,6 +825,7 @@ const MeasurementSheetView = () => {
         onSave={handleSaveEditedEntry}
         entry={editingEntry}
         customerType={measurementSheet?.customerType}
+        calculationMode={calculationMode}
       />
 
       {/* Delete Measurement Sheet Confirmation */}
@@ -589,6 +875,71 @@ const MeasurementSheetView = () => {
         </p>
       </CustomModal>
 
+      {/* Amend Measurement Sheet Confirmation */}
+      <CustomModal
+        show={showAmendConfirm}
+        onHide={() => setShowAmendConfirm(false)}
+        title="Amend Measurement Sheet"
+        confirmText="Amend"
+        confirmVariant="warning"
+        onConfirm={handleAmendMeasurementSheet}
+        loading={saving}
+      >
+        <p>
+          Measurement sheet <strong>#{measurementSheet?.measurementSheetNumber}</strong> is {SHEET_STATUS_LABELS[status]?.toLowerCase()} and cannot be changed.
+        </p>
+        <p className="text-muted mb-0">
+          Amending it creates a new draft revision with a copy of its slab entries for you to correct.
+          This sheet stays as it is and can still be printed.
+        </p>
+      </CustomModal>
+
+      {/* Cancel Measurement Sheet */}
+      <CustomModal
+        show={showCancelSheet}
+        onHide={() => {
+          setShowCancelSheet(false);
+          setCancelReason('');
+        }}
+        title="Cancel Measurement Sheet"
+        confirmText="Cancel Sheet"
+        cancelText="Keep Sheet"
+        confirmVariant="danger"
+        onConfirm={() => handleChangeStatus(MEASUREMENT_SHEET_STATUS.CANCELLED, cancelReason.trim())}
+        loading={saving}
+        disableConfirm={!cancelReason.trim()}
+      >
+        <p>
+          Cancelling <strong>#{measurementSheet?.measurementSheetNumber}</strong> puts its stock slabs back in stock.
+          A cancelled sheet cannot be reopened.
+        </p>
+        <Form.Group controlId="cancel-sheet-reason">
+          <Form.Label>Reason</Form.Label>
+          <Form.Control
+            as="textarea"
+            rows={2}
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+            placeholder="e.g. Customer cancelled the order"
+          />
+        </Form.Group>
+      </CustomModal>
+
+      {/* Compare Revisions Modal */}
+      <RevisionDiffModal
+        show={showRevisionDiff}
+        onHide={() => setShowRevisionDiff(false)}
+        measurementSheet={measurementSheet}
+      />
+
+      {/* Create Invoice Modal */}
+      <InvoiceCreateModal
+        show={showInvoiceModal}
+        onHide={() => setShowInvoiceModal(false)}
+        measurementSheet={measurementSheet}
+        onInvoiceCreated={handleInvoiceCreated}
+      />
+
       {/* Print Preview Modal */}
       <PrintPreviewModal
         show={showPrintPreview}
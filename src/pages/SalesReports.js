@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Form, Button, ButtonGroup, Alert } from 'react-bootstrap';
+import { LoadingSpinner } from '../components/common';
+import { DateRangePicker } from '../components/dashboard';
+import { lastDays } from '../components/dashboard/DateRangePicker';
+import { PivotTable, WastageTable } from '../components/reports';
+import { reportService } from '../services/reportService';
+import { exportService } from '../services/exportService';
+import { useAppContext } from '../contexts/AppContext';
+import { useDebounce } from '../hooks/useVirtualScrolling';
+import {
+  REPORT_DIMENSIONS,
+  REPORT_DIMENSION_LABELS,
+  REPORT_MEASURES,
+  REPORT_MEASURE_LABELS,
+  SALES_MEASURES,
+  SLAB_CATEGORIES,
+  STATISTICS_INTERVALS
+} from '../utils/constants';
+
+const DIMENSION_LIST = Object.values(REPORT_DIMENSIONS);
+
+// Rows can be broken down by up to three dimensions
+const ROW_LEVELS = 3;
+
+// The wastage report groups rows the same way, with gross against billed area as its columns
+const REPORT_TYPES = {
+  SALES: 'sales',
+  WASTAGE: 'wastage'
+};
+
+const SalesReports = () => {
+  const { state: appState } = useAppContext();
+  const [reportType, setReportType] = useState(REPORT_TYPES.SALES);
+  const [range, setRange] = useState(() => lastDays(365, STATISTICS_INTERVALS.MONTH));
+  const [rowDimensions, setRowDimensions] = useState([REPORT_DIMENSIONS.CUSTOMER_TYPE]);
+  const [columnDimension, setColumnDimension] = useState(REPORT_DIMENSIONS.SLAB_CATEGORY);
+  const [filters, setFilters] = useState({ customerType: '', slabCategory: '', blockNumber: '' });
+  const [measure, setMeasure] = useState(REPORT_MEASURES.SQUARE_FEET);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  const debouncedBlockNumber = useDebounce(filters.blockNumber, 300);
+
+  const isSales = reportType === REPORT_TYPES.SALES;
+
+  // An empty columns value asks the server for row totals only
+  const query = {
+    from: range.from,
+    to: range.to,
+    interval: range.interval,
+    rows: rowDimensions.join(','),
+    columns: isSales ? columnDimension : undefined,
+    customerType: filters.customerType || undefined,
+    slabCategory: filters.slabCategory || undefined,
+    blockNumber: debouncedBlockNumber.trim() || undefined
+  };
+  const queryKey = JSON.stringify(query);
+
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadReport = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = reportType === REPORT_TYPES.SALES
+          ? await reportService.getSalesReport(JSON.parse(queryKey))
+          : await reportService.getWastageReport(JSON.parse(queryKey));
+        if (!cancelled) {
+          setReport(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          const details = err.response?.data?.details;
+          setError(details?.length ? details.join(' ') : 'Failed to load the report. Please try again.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadReport();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [queryKey, reportType, range.from, range.to]);
+
+  // The wastage rows may use the sales column dimension; fall back to totals only then
+  const handleReportTypeChange = (type) => {
+    if (rowDimensions.includes(columnDimension)) {
+      setColumnDimension('');
+    }
+    setReport(null);
+    setReportType(type);
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Choosing '' for a level drops it and the levels after it
+  const handleRowDimensionChange = (level, dimension) => {
+    setRowDimensions(prev => (dimension ? prev.slice(0, level).concat(dimension, prev.slice(level + 1)) : prev.slice(0, level)));
+  };
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError(null);
+
+    try {
+      const blob = isSales
+        ? await reportService.exportSalesReport(format === 'csv' ? { ...query, measure } : query, format)
+        : await reportService.exportWastageReport(query, format);
+      exportService.downloadFile(blob, `${reportType}-report-${range.from}-to-${range.to}.${format}`);
+    } catch (err) {
+      setError(`Failed to export the report as ${format.toUpperCase()}. Please try again.`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // A dimension can group the rows or the columns, not both
+  const rowOptions = (level) => DIMENSION_LIST.filter(dimension =>
+    (!isSales || dimension !== columnDimension) && !rowDimensions.some((used, index) => used === dimension && index !== level));
+
+  return (
+    <Container>
+      <Row>
+        <Col>
+          <div className="mb-4">
+            <h1>Sales Reports</h1>
+            <p className="text-muted">
+              Slabs sold on approved, dispatched and invoiced sheets, totalled by customer type, category, block, customer, sheet and period
+            </p>
+            <ButtonGroup size="sm">
+              <Button
+                variant={isSales ? 'dark' : 'outline-dark'}
+                onClick={() => handleReportTypeChange(REPORT_TYPES.SALES)}
+              >
+                Sales
+              </Button>
+              <Button
+                variant={isSales ? 'outline-dark' : 'dark'}
+                onClick={() => handleReportTypeChange(REPORT_TYPES.WASTAGE)}
+              >
+                Yield &amp; Wastage
+              </Button>
+            </ButtonGroup>
+          </div>
+
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <Card className="mb-4">
+            <Card.Body>
+              <DateRangePicker range={range} onChange={setRange} />
+
+              <Row className="g-2 mt-2">
+                {Array.from({ length: ROW_LEVELS }, (_, level) => level)
+                  .filter(level => level <= rowDimensions.length)
+                  .map(level => (
+                    <Col key={level} xs={6} md={2}>
+                      <Form.Label className="small mb-0">{level === 0 ? 'Rows' : 'Then by'}</Form.Label>
+                      <Form.Select
+                        size="sm"
+                        value={rowDimensions[level] || ''}
+                        onChange={(e) => handleRowDimensionChange(level, e.target.value)}
+                      >
+                        {level > 0 && <option value="">None</option>}
+                        {rowOptions(level).map(dimension => (
+                          <option key={dimension} value={dimension}>{REPORT_DIMENSION_LABELS[dimension]}</option>
+                        ))}
+                      </Form.Select>
+                    </Col>
+                  ))}
+                {isSales && (
+                  <Col xs={6} md={2}>
+                    <Form.Label className="small mb-0">Columns</Form.Label>
+                    <Form.Select
+                      size="sm"
+                      value={columnDimension}
+                      onChange={(e) => setColumnDimension(e.target.value)}
+                    >
+                      <option value="">Totals only</option>
+                      {DIMENSION_LIST.filter(dimension => !rowDimensions.includes(dimension)).map(dimension => (
+                        <option key={dimension} value={dimension}>{REPORT_DIMENSION_LABELS[dimension]}</option>
+                      ))}
+                    </Form.Select>
+                  </Col>
+                )}
+              </Row>
+
+              <Row className="g-2 mt-2">
+                <Col xs={6} md={3}>
+                  <Form.Label className="small mb-0">Customer Type</Form.Label>
+                  <Form.Select
+                    size="sm"
+                    value={filters.customerType}
+                    onChange={(e) => handleFilterChange('customerType', e.target.value)}
+                  >
+                    <option value="">All customer types</option>
+                    {appState.customerTypes.map(customerType => (
+                      <option key={customerType.key} value={customerType.key}>{customerType.label}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col xs={6} md={2}>
+                  <Form.Label className="small mb-0">Category</Form.Label>
+                  <Form.Select
+                    size="sm"
+                    value={filters.slabCategory}
+                    onChange={(e) => handleFilterChange('slabCategory', e.target.value)}
+                  >
+                    <option value="">All categories</option>
+                    {SLAB_CATEGORIES.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col xs={6} md={2}>
+                  <Form.Label className="small mb-0">Block</Form.Label>
+                  <Form.Control
+                    size="sm"
+                    type="text"
+                    placeholder="Block number"
+                    value={filters.blockNumber}
+                    onChange={(e) => handleFilterChange('blockNumber', e.target.value)}
+                  />
+                </Col>
+              </Row>
+            </Card.Body>
+          </Card>
+
+          <Card>
+            <Card.Header>
+              <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+                {isSales ? (
+                  <ButtonGroup size="sm">
+                    {SALES_MEASURES.map(value => (
+                      <Button
+                        key={value}
+                        variant={measure === value ? 'primary' : 'outline-primary'}
+                        onClick={() => setMeasure(value)}
+                      >
+                        {REPORT_MEASURE_LABELS[value]}
+                      </Button>
+                    ))}
+                  </ButtonGroup>
+                ) : (
+                  <span className="small text-muted">
+                    Gross area is length &times; breadth before the pricing rules cut it down; the deduction is what they give away
+                  </span>
+                )}
+                <div>
+                  <Button
+                    variant="outline-secondary"
+                    size="sm"
+                    className="me-2"
+                    onClick={() => handleExport('csv')}
+                    disabled={Boolean(exporting) || loading}
+                  >
+                    {exporting === 'csv' ? 'Exporting...' : 'Download CSV'}
+                  </Button>
+                  <Button
+                    variant="outline-success"
+                    size="sm"
+                    onClick={() => handleExport('xlsx')}
+                    disabled={Boolean(exporting) || loading}
+                  >
+                    {exporting === 'xlsx' ? 'Exporting...' : 'Download XLSX'}
+                  </Button>
+                </div>
+              </div>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {loading ? (
+                <LoadingSpinner text="Loading report..." />
+              ) : report ? (
+                isSales
+                  ? <PivotTable key={queryKey} pivot={report.pivot} measure={measure} />
+                  : <WastageTable key={queryKey} pivot={report.pivot} />
+              ) : null}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default SalesReports;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Form, Button, Table, Alert, InputGroup, Modal } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { LoadingSpinner } from '../components/common';
+import { SlabStatusBadge, SlabHistoryModal } from '../components/stock';
+import { slabService } from '../services/slabService';
+import { useDebounce } from '../hooks/useVirtualScrolling';
+import usePermissions from '../hooks/usePermissions';
+import { PERMISSIONS, ROUTES, SLAB_STATUS } from '../utils/constants';
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'All statuses' },
+  { value: SLAB_STATUS.IN_STOCK, label: 'In Stock' },
+  { value: SLAB_STATUS.RESERVED, label: 'Reserved' },
+  { value: SLAB_STATUS.DISPATCHED, label: 'Dispatched' },
+  { value: SLAB_STATUS.RETURNED, label: 'Returned' }
+];
+
+const SlabStock = () => {
+  const { can } = usePermissions();
+  const [slabs, setSlabs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [historySlabId, setHistorySlabId] = useState(null);
+  const [returningSlab, setReturningSlab] = useState(null);
+  const [returnNote, setReturnNote] = useState('');
+  const [isReturning, setIsReturning] = useState(false);
+
+  const debouncedSearch = useDebounce(searchTerm, 300);
+
+  const loadSlabs = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await slabService.getSlabs({
+        search: debouncedSearch || undefined,
+        status: statusFilter || undefined
+      });
+      setSlabs(data);
+    } catch (err) {
+      setError('Failed to load slab stock. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedSearch, statusFilter]);
+
+  useEffect(() => {
+    loadSlabs();
+  }, [loadSlabs]);
+
+  const openReturn = (slab) => {
+    setReturningSlab(slab);
+    setReturnNote('');
+  };
+
+  const handleReturn = async () => {
+    setIsReturning(true);
+
+    try {
+      const returned = await slabService.returnSlab(returningSlab.id, returnNote.trim());
+      setSuccessMessage(`Slab ${returned.slabNumber} returned to stock.`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+      setReturningSlab(null);
+      loadSlabs();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to return slab. Please try again.');
+      setReturningSlab(null);
+    } finally {
+      setIsReturning(false);
+    }
+  };
+
+  const countByStatus = slabs.reduce((counts, slab) => ({
+    ...counts,
+    [slab.status]: (counts[slab.status] || 0) + 1
+  }), {});
+
+  const availableSquareFeet = slabs
+    .filter(slab => slab.status === SLAB_STATUS.IN_STOCK || slab.status === SLAB_STATUS.RETURNED)
+    .reduce((sum, slab) => sum + (slab.length * slab.breadth) / 144, 0);
+
+  return (
+    <Container>
+      <Row>
+        <Col>
+          <div className="mb-4">
+            <h1>Slab Stock</h1>
+            <p className="text-muted">Every registered slab and where it is: in stock, reserved on a draft sheet or dispatched</p>
+          </div>
+
+          {successMessage && (
+            <Alert variant="success" dismissible onClose={() => setSuccessMessage('')}>
+              {successMessage}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <Card className="mb-4">
+            <Card.Body>
+              <Row className="align-items-center">
+                <Col md={8}>
+                  <InputGroup>
+                    <InputGroup.Text>
+                      <i className="bi bi-search"></i>
+                    </InputGroup.Text>
+                    <Form.Control
+                      type="text"
+                      placeholder="Search by slab number or variety"
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                  </InputGroup>
+                </Col>
+                <Col md={4}>
+                  <Form.Select
+                    aria-label="Filter by status"
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                  >
+                    {STATUS_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+              </Row>
+            </Card.Body>
+          </Card>
+
+          <Card>
+            <Card.Header>
+              <div className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">Slabs ({slabs.length})</h5>
+                <small className="text-muted">
+                  {(countByStatus[SLAB_STATUS.IN_STOCK] || 0) + (countByStatus[SLAB_STATUS.RETURNED] || 0)} available
+                  ({availableSquareFeet.toFixed(2)} sq ft) · {countByStatus[SLAB_STATUS.RESERVED] || 0} reserved
+                  · {countByStatus[SLAB_STATUS.DISPATCHED] || 0} dispatched
+                </small>
+              </div>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {loading ? (
+                <LoadingSpinner text="Loading slabs..." />
+              ) : slabs.length === 0 ? (
+                <div className="text-center py-5 text-muted">
+                  No slabs found. Register slabs from a block's page once they are cut.
+                </div>
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead className="table-light">
+                    <tr>
+                      <th>Slab Number</th>
+                      <th>Variety</th>
+                      <th>Block</th>
+                      <th className="text-end">Size</th>
+                      <th>Status</th>
+                      <th>Measurement Sheet</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {slabs.map(slab => (
+                      <tr key={slab.id}>
+                        <td className="fw-bold">{slab.slabNumber}</td>
+                        <td>{slab.variety}</td>
+                        <td>
+                          <Link to={`${ROUTES.BLOCKS}/${slab.blockId}`}>{slab.blockNumber}</Link>
+                        </td>
+                        <td className="text-end">{slab.length}" × {slab.breadth}"</td>
+                        <td><SlabStatusBadge status={slab.status} /></td>
+                        <td>
+                          {slab.measurementSheetId ? (
+                            <Link to={`${ROUTES.VIEW_MEASUREMENT_SHEET}/${slab.measurementSheetId}`}>
+                              {slab.measurementSheetNumber}
+                            </Link>
+                          ) : '-'}
+                        </td>
+                        <td className="text-end text-nowrap">
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            className="me-2"
+                            onClick={() => setHistorySlabId(slab.id)}
+                          >
+                            History
+                          </Button>
+                          {slab.status === SLAB_STATUS.DISPATCHED && can(PERMISSIONS.STOCK_MANAGE) && (
+                            <Button variant="outline-warning" size="sm" onClick={() => openReturn(slab)}>
+                              Return
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <SlabHistoryModal
+        show={Boolean(historySlabId)}
+        onHide={() => setHistorySlabId(null)}
+        slabId={historySlabId}
+      />
+
+      <Modal show={Boolean(returningSlab)} onHide={() => setReturningSlab(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Return Slab {returningSlab?.slabNumber}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            The slab goes back into stock. The sale stays on {returningSlab?.measurementSheetNumber}.
+          </p>
+          <Form.Group controlId="return-note">
+            <Form.Label>Reason</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              value={returnNote}
+              onChange={(e) => setReturnNote(e.target.value)}
+              placeholder="e.g. Customer returned slab with a crack"
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReturningSlab(null)} disabled={isReturning}>
+            Cancel
+          </Button>
+          <Button variant="warning" onClick={handleReturn} disabled={isReturning}>
+            {isReturning ? 'Returning...' : 'Return to Stock'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default SlabStock;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Form, Button, Table, Badge, Alert } from 'react-bootstrap';
+import { LoadingSpinner } from '../components/common';
+import { UserFormModal } from '../components/user';
+import { userService } from '../services/userService';
+import { useAppContext } from '../contexts/AppContext';
+import usePermissions from '../hooks/usePermissions';
+import { PERMISSIONS, ROLES, ROLE_LABELS } from '../utils/constants';
+
+const UserManagement = () => {
+  const { state } = useAppContext();
+  const { can } = usePermissions();
+  const canManageUsers = can(PERMISSIONS.USERS_MANAGE);
+
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [savingUserId, setSavingUserId] = useState(null);
+  const [showUserForm, setShowUserForm] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await userService.getUsers();
+      setUsers(data);
+    } catch (err) {
+      setError('Failed to load users. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canManageUsers) {
+      loadUsers();
+    }
+  }, [canManageUsers, loadUsers]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  const handleUpdate = async (user, updates, message) => {
+    try {
+      setSavingUserId(user.id);
+      setError(null);
+      const updatedUser = await userService.updateUser(user.id, updates);
+      setUsers(prev => prev.map(u => (u.id === updatedUser.id ? updatedUser : u)));
+      showSuccess(message);
+    } catch (err) {
+      if (err.response?.status === 409) {
+        setError(err.response.data.error);
+      } else {
+        setError(`Failed to update ${user.username}. Please try again.`);
+      }
+    } finally {
+      setSavingUserId(null);
+    }
+  };
+
+  const handleUserCreated = (user) => {
+    showSuccess(`User ${user.username} created.`);
+    loadUsers();
+  };
+
+  if (!canManageUsers) {
+    return (
+      <Container>
+        <Alert variant="warning">Only owners can manage user accounts.</Alert>
+      </Container>
+    );
+  }
+
+  const roleOptions = Object.values(ROLES);
+
+  return (
+    <Container>
+      <Row>
+        <Col>
+          <div className="d-flex justify-content-between align-items-center mb-4">
+            <div>
+              <h1>Users</h1>
+              <p className="text-muted">Who can sign in, and what their role lets them do</p>
+            </div>
+            <Button variant="primary" onClick={() => setShowUserForm(true)}>
+              <i className="bi bi-person-plus me-2"></i>
+              Add User
+            </Button>
+          </div>
+
+          {successMessage && (
+            <Alert variant="success" dismissible onClose={() => setSuccessMessage('')}>
+              {successMessage}
+            </Alert>
+          )}
+
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+
+          <Card>
+            <Card.Header>
+              <h5 className="mb-0">Accounts ({users.length})</h5>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {loading ? (
+                <LoadingSpinner text="Loading users..." />
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead className="table-light">
+                    <tr>
+                      <th>Username</th>
+                      <th>Full Name</th>
+                      <th>Role</th>
+                      <th>Last Sign In</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {users.map(user => (
+                      <tr key={user.id}>
+                        <td className="fw-bold">
+                          {user.username}
+                          {state.user && user.id === state.user.id && (
+                            <Badge bg="light" text="dark" className="ms-2">You</Badge>
+                          )}
+                        </td>
+                        <td>{user.fullName}</td>
+                        <td style={{ width: '180px' }}>
+                          <Form.Select
+                            size="sm"
+                            value={user.role}
+                            disabled={savingUserId === user.id}
+                            onChange={(e) => handleUpdate(
+                              user,
+                              { role: e.target.value },
+                              `${user.username} is now ${ROLE_LABELS[e.target.value]}.`
+                            )}
+                          >
+                            {roleOptions.map(role => (
+                              <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                            ))}
+                          </Form.Select>
+                        </td>
+                        <td>{user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</td>
+                        <td>
+                          <Badge bg={user.isActive ? 'success' : 'secondary'}>
+                            {user.isActive ? 'Active' : 'Deactivated'}
+                          </Badge>
+                        </td>
+                        <td className="text-end">
+                          <Button
+                            variant={user.isActive ? 'outline-danger' : 'outline-success'}
+                            size="sm"
+                            disabled={savingUserId === user.id}
+                            onClick={() => handleUpdate(
+                              user,
+                              { isActive: !user.isActive },
+                              `${user.username} ${user.isActive ? 'deactivated' : 'reactivated'}.`
+                            )}
+                          >
+                            {user.isActive ? 'Deactivate' : 'Reactivate'}
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <UserFormModal
+        show={showUserForm}
+        onHide={() => setShowUserForm(false)}
+        onSaved={handleUserCreated}
+      />
+    </Container>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,52 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for the installable app
+// The build precaches the app shell so measurement sheets can be opened and filled in
+// with no connection. API calls are not cached here: offline writes are queued in
+// IndexedDB by src/services/syncService.js and reads fall back to the stored drafts
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Injected by the build: every file it emits, with a revision for cache busting
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations are answered with index.html so client side routes load offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') {
+      return false;
+    }
+    // API and URLs like /_health are left to the network
+    if (url.pathname.startsWith('/_') || url.pathname.startsWith('/api/')) {
+      return false;
+    }
+    if (url.pathname.match(fileExtensionRegexp)) {
+      return false;
+    }
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Icons and images in public/ that are not part of the build
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// Lets the page activate a waiting update: registration.waiting.postMessage({ type: 'SKIP_WAITING' })
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -1,19 +1,27 @@
 import axios from 'axios';
+import { API_BASE_URL, AUTH_TOKEN_KEY, ROUTES } from '../utils/constants';
+import { getDataSourceAdapter, isRecordingFixtures, recordFixture } from './dataSources';
+
+// Requests are answered by the configured data source: the real API, the localStorage
+// mock or recorded fixtures (see ./dataSources)
+const dataSourceAdapter = getDataSourceAdapter();
+const recordingFixtures = isRecordingFixtures();
 
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL: API_BASE_URL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
   },
+  ...(dataSourceAdapter && { adapter: dataSourceAdapter }),
 });
 
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    const token = localStorage.getItem('authToken');
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -33,6 +41,10 @@ api.interceptors.request.use(
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
+    if (recordingFixtures) {
+      recordFixture(response);
+    }
+
     // Log response in development
     if (process.env.NODE_ENV === 'development') {
       console.log('API Response:', response.status, response.config.url);
@@ -41,6 +53,10 @@ api.interceptors.response.use(
     return response;
   },
   (error) => {
+    if (recordingFixtures) {
+      recordFixture(error.response);
+    }
+
     // Handle common errors
     if (error.response) {
       // Server responded with error status
@@ -48,9 +64,11 @@ api.interceptors.response.use(
       
       switch (status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('authToken');
-          window.location.href = '/login';
+          // Unauthorized - clear token and redirect to login, unless this is a failed sign in
+          localStorage.removeItem(AUTH_TOKEN_KEY);
+          if (window.location.pathname !== ROUTES.LOGIN) {
+            window.location.href = ROUTES.LOGIN;
+          }
           break;
         case 403:
           // Forbidden
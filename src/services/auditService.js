@@ -0,0 +1,23 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * Audit service for API calls
+ * Reads the change history the server records for measurement sheets and their slab entries
+ */
+export const auditService = {
+  /**
+   * Get the history of a measurement sheet and its slab entries, newest first
+   * @param {string} measurementSheetId - Measurement sheet ID
+   * @returns {Promise<Array>} Audit log entries, one per changed field
+   */
+  async getSheetHistory(measurementSheetId) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${measurementSheetId}/history`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching measurement sheet history:', error);
+      throw error;
+    }
+  }
+};
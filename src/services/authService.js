@@ -0,0 +1,55 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS, AUTH_TOKEN_KEY } from '../utils/constants';
+
+/**
+ * Auth service for API calls
+ * Signs in and keeps the bearer token the API client sends with every request
+ */
+export const authService = {
+  /**
+   * Sign in and store the access token
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Signed in user
+   */
+  async login(username, password) {
+    try {
+      const response = await apiRequest.post(`${API_ENDPOINTS.AUTH}/login`, { username, password });
+      const { token, user } = response.data.data;
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+      return user;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign out by forgetting the access token
+   */
+  logout() {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  },
+
+  /**
+   * Whether a token is stored; it may still have expired
+   * @returns {boolean}
+   */
+  hasToken() {
+    return Boolean(localStorage.getItem(AUTH_TOKEN_KEY));
+  },
+
+  /**
+   * Get the user the stored token belongs to
+   * @returns {Promise<Object>} Signed in user
+   */
+  async getCurrentUser() {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.AUTH}/me`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+      throw error;
+    }
+  }
+};
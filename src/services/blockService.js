@@ -0,0 +1,83 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * Block service for API calls
+ * Manages the granite block inventory slabs are cut from
+ */
+export const blockService = {
+  /**
+   * Get blocks with their stock figures
+   * @param {Object} filters - Optional search, variety, available and includeInactive filters
+   * @returns {Promise<Array>} Array of blocks
+   */
+  async getBlocks(filters = {}) {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.BLOCKS, { params: filters });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching blocks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a block with every slab cut from it
+   * @param {string} blockId - Block ID
+   * @returns {Promise<Object>} Block with slabs
+   */
+  async getBlock(blockId) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.BLOCKS}/${blockId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching block:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a block to inventory
+   * @param {Object} blockData - Block number, quarry source, variety, color, finish, thickness, arrival date and gross slab count
+   * @returns {Promise<Object>} Created block
+   */
+  async createBlock(blockData) {
+    try {
+      const response = await apiRequest.post(API_ENDPOINTS.BLOCKS, blockData);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating block:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update block details
+   * @param {string} blockId - Block ID
+   * @param {Object} blockData - Updated block details
+   * @returns {Promise<Object>} Updated block
+   */
+  async updateBlock(blockId, blockData) {
+    try {
+      const response = await apiRequest.put(`${API_ENDPOINTS.BLOCKS}/${blockId}`, blockData);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating block:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a block from inventory (slabs cut from it stay traceable)
+   * @param {string} blockId - Block ID
+   * @returns {Promise<void>}
+   */
+  async deleteBlock(blockId) {
+    try {
+      await apiRequest.delete(`${API_ENDPOINTS.BLOCKS}/${blockId}`);
+    } catch (error) {
+      console.error('Error deleting block:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,74 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS, DEFAULT_CALCULATION_PROFILES } from '../utils/constants';
+import { calculationEngine } from '../utils/calculationEngine';
+
+/**
+ * Calculation profile service for API calls
+ * Loads the rule profiles the calculation engine interprets for each party type
+ */
+export const calculationProfileService = {
+  /**
+   * Get active calculation profiles
+   * @returns {Promise<Array>} Array of calculation profiles
+   */
+  async getProfiles() {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.CALCULATION_PROFILES);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching calculation profiles:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Load profiles from the API into the calculation engine
+   * Falls back to the built-in profiles when the API is unavailable
+   * @returns {Promise<Array>} Profiles now active in the calculation engine
+   */
+  async loadProfiles() {
+    try {
+      const profiles = await this.getProfiles();
+      if (Array.isArray(profiles) && profiles.length > 0) {
+        calculationEngine.setProfiles(profiles);
+        return profiles;
+      }
+    } catch (error) {
+      console.warn('Using built-in calculation profiles:', error.message);
+    }
+
+    calculationEngine.resetProfiles();
+    return DEFAULT_CALCULATION_PROFILES;
+  },
+
+  /**
+   * Create a calculation profile for a new party type
+   * @param {Object} profileData - Code, name, description and axis rules
+   * @returns {Promise<Object>} Created profile
+   */
+  async createProfile(profileData) {
+    try {
+      const response = await apiRequest.post(API_ENDPOINTS.CALCULATION_PROFILES, profileData);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating calculation profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a calculation profile
+   * @param {string} profileId - Profile ID
+   * @param {Object} profileData - Updated details and rules
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateProfile(profileId, profileData) {
+    try {
+      const response = await apiRequest.put(`${API_ENDPOINTS.CALCULATION_PROFILES}/${profileId}`, profileData);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating calculation profile:', error);
+      throw error;
+    }
+  }
+};
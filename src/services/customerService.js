@@ -1,36 +1,5 @@
 import { apiRequest } from './api';
 
-// Mock data for development when backend is not available
-const MOCK_DATA_ENABLED = true;
-
-// Mock customers data
-const mockCustomers = [
-  {
-    id: 'customer_1',
-    name: 'John Doe',
-    phoneNumber: '123-456-7890',
-    email: 'john.doe@example.com',
-    address: '123 Main St, City, State 12345',
-    createdAt: new Date().toISOString()
-  },
-  {
-    id: 'customer_2',
-    name: 'Jane Smith',
-    phoneNumber: '098-765-4321',
-    email: 'jane.smith@example.com',
-    address: '456 Oak Ave, Town, State 67890',
-    createdAt: new Date().toISOString()
-  },
-  {
-    id: 'customer_3',
-    name: 'ABC Granite Works',
-    phoneNumber: '555-123-4567',
-    email: 'info@abcgranite.com',
-    address: '789 Industrial Blvd, City, State 11111',
-    createdAt: new Date().toISOString()
-  }
-];
-
 /**
  * Customer service for API calls
  * Handles all customer-related API operations with error handling
@@ -42,17 +11,6 @@ export const customerService = {
    * @returns {Promise<Object>} Created customer data
    */
   async createCustomer(customerData) {
-    if (MOCK_DATA_ENABLED) {
-      // Create mock customer
-      const newCustomer = {
-        id: `customer_${Date.now()}`,
-        ...customerData,
-        createdAt: new Date().toISOString()
-      };
-      mockCustomers.push(newCustomer);
-      return newCustomer;
-    }
-
     try {
       const response = await apiRequest.post('/customers', customerData);
       return response.data.data;
@@ -69,22 +27,6 @@ export const customerService = {
    * @returns {Promise<Array>} Array of matching customers
    */
   async searchCustomers(searchTerm, options = {}) {
-    if (MOCK_DATA_ENABLED) {
-      // Filter mock customers based on search term
-      let filteredCustomers = mockCustomers;
-      
-      if (searchTerm && searchTerm.trim()) {
-        const term = searchTerm.toLowerCase();
-        filteredCustomers = mockCustomers.filter(customer =>
-          customer.name.toLowerCase().includes(term) ||
-          customer.phoneNumber.includes(term) ||
-          (customer.email && customer.email.toLowerCase().includes(term))
-        );
-      }
-      
-      return filteredCustomers.slice(0, options.limit || 10);
-    }
-
     try {
       const params = {
         search: searchTerm,
@@ -0,0 +1,43 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS, DEFAULT_CUSTOMER_TYPES } from '../utils/constants';
+import { customerTypeRegistry } from '../utils/customerTypeRegistry';
+
+/**
+ * Customer type service for API calls
+ * Loads the canonical customer type registry served by the API
+ */
+export const customerTypeService = {
+  /**
+   * Get active customer types
+   * @returns {Promise<Array>} Array of customer types with key, label and description
+   */
+  async getCustomerTypes() {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.CUSTOMER_TYPES);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching customer types:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Load customer types from the API into the client registry
+   * Falls back to the built-in customer types when the API is unavailable
+   * @returns {Promise<Array>} Customer types now active in the registry
+   */
+  async loadCustomerTypes() {
+    try {
+      const customerTypes = await this.getCustomerTypes();
+      if (Array.isArray(customerTypes) && customerTypes.length > 0) {
+        customerTypeRegistry.setCustomerTypes(customerTypes);
+        return customerTypes;
+      }
+    } catch (error) {
+      console.warn('Using built-in customer types:', error.message);
+    }
+
+    customerTypeRegistry.resetCustomerTypes();
+    return DEFAULT_CUSTOMER_TYPES;
+  }
+};
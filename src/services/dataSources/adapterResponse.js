@@ -0,0 +1,64 @@
+import { AxiosError } from 'axios';
+
+/**
+ * Helpers for the axios adapters that stand in for the API
+ * They answer requests the way the network adapter does, so the request and response
+ * interceptors in api.js see the same responses and errors whichever data source is used
+ */
+
+/**
+ * Split an axios request config into method, path, query params and body
+ * @param {Object} config - Axios request config
+ * @returns {Object} - { method, path, params, body }
+ */
+export const parseRequest = (config) => {
+  const [path, query] = (config.url || '').split('?');
+  const params = { ...Object.fromEntries(new URLSearchParams(query || '')), ...(config.params || {}) };
+
+  let body = config.data || {};
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      body = {};
+    }
+  }
+
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    path: path.replace(/\/+$/, '') || '/',
+    params,
+    body
+  };
+};
+
+/**
+ * Resolve with a response, or reject with an AxiosError carrying it for error statuses
+ * @param {Object} config - Axios request config
+ * @param {number} status - HTTP status
+ * @param {*} data - Response body
+ * @returns {Promise<Object>} - Axios response
+ */
+export const respond = (config, status, data) => {
+  const response = {
+    data,
+    status,
+    statusText: String(status),
+    headers: {},
+    config,
+    request: null
+  };
+
+  const validateStatus = config.validateStatus || (code => code >= 200 && code < 300);
+  if (validateStatus(status)) {
+    return Promise.resolve(response);
+  }
+
+  return Promise.reject(new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  ));
+};
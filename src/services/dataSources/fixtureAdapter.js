@@ -0,0 +1,66 @@
+import { parseRequest, respond } from './adapterResponse';
+import recordedFixtures from './fixtures.json';
+
+/**
+ * Recorded-fixture data source
+ * Replays API responses recorded from a real server, for demos and for working on
+ * screens against known data. Fixtures are keyed by method, path and sorted query
+ * params ("GET /customers?limit=10&page=1"); a request with no fixture for its exact
+ * query falls back to the fixture for its path, and otherwise answers 404.
+ * Writes are answered from the fixtures too and change nothing
+ */
+
+// Responses recorded while REACT_APP_RECORD_FIXTURES is set; copy the value into fixtures.json
+export const RECORDED_FIXTURES_KEY = 'granite-recorded-fixtures';
+
+/**
+ * Fixture key for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API base URL
+ * @param {Object} params - Query params
+ * @returns {string}
+ */
+export const fixtureKey = (method, path, params = {}) => {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return `${method} ${path}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Axios adapter answering requests from fixtures.json
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} - Axios response
+ */
+export const fixtureAdapter = (config) => {
+  const { method, path, params } = parseRequest(config);
+  const fixture = recordedFixtures[fixtureKey(method, path, params)] || recordedFixtures[fixtureKey(method, path)];
+
+  if (!fixture) {
+    return respond(config, 404, { error: `No recorded fixture for ${method} ${path}` });
+  }
+
+  return respond(config, fixture.status, fixture.data);
+};
+
+/**
+ * Record a response from the real API as a fixture
+ * Binary responses (PDF, XLSX) are skipped
+ * @param {Object} response - Axios response, or the response of an axios error
+ */
+export const recordFixture = (response) => {
+  if (!response || !response.config || (typeof Blob !== 'undefined' && response.data instanceof Blob)) {
+    return;
+  }
+
+  try {
+    const { method, path, params } = parseRequest(response.config);
+    const fixtures = JSON.parse(localStorage.getItem(RECORDED_FIXTURES_KEY) || '{}');
+    fixtures[fixtureKey(method, path, params)] = { status: response.status, data: response.data };
+    localStorage.setItem(RECORDED_FIXTURES_KEY, JSON.stringify(fixtures, null, 2));
+  } catch (error) {
+    console.warn('Could not record API fixture:', error.message);
+  }
+};
@@ -0,0 +1,52 @@
+import { mockAdapter } from './mockBackend';
+import { fixtureAdapter, recordFixture } from './fixtureAdapter';
+
+/**
+ * Data sources the API client can be pointed at
+ * Set REACT_APP_DATA_SOURCE to choose one; every service keeps calling the shared axios
+ * instance in api.js, and only the adapter that answers its requests changes:
+ * - api: the Express server at REACT_APP_API_URL (default)
+ * - mock: an in-browser mock kept in localStorage, for working without a server
+ * - fixtures: responses recorded from a real server, replayed from fixtures.json
+ */
+export const DATA_SOURCES = {
+  API: 'api',
+  MOCK: 'mock',
+  FIXTURES: 'fixtures'
+};
+
+const ADAPTERS = {
+  [DATA_SOURCES.API]: null,
+  [DATA_SOURCES.MOCK]: mockAdapter,
+  [DATA_SOURCES.FIXTURES]: fixtureAdapter
+};
+
+/**
+ * The configured data source, the real API when unset or unknown
+ * @returns {string}
+ */
+export const getDataSource = () => {
+  const source = (process.env.REACT_APP_DATA_SOURCE || DATA_SOURCES.API).toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(ADAPTERS, source)) {
+    console.warn(`Unknown REACT_APP_DATA_SOURCE "${source}", using the API`);
+    return DATA_SOURCES.API;
+  }
+
+  return source;
+};
+
+/**
+ * The axios adapter for a data source; null keeps axios's network adapter
+ * @param {string} source - One of DATA_SOURCES
+ * @returns {Function|null}
+ */
+export const getDataSourceAdapter = (source = getDataSource()) => ADAPTERS[source] || null;
+
+/**
+ * Whether real API responses are recorded as fixtures (REACT_APP_RECORD_FIXTURES=true)
+ * @returns {boolean}
+ */
+export const isRecordingFixtures = () => process.env.REACT_APP_RECORD_FIXTURES === 'true' && getDataSource() === DATA_SOURCES.API;
+
+export { recordFixture };
@@ -0,0 +1,473 @@
+import { parseRequest, respond } from './adapterResponse';
+import { canTransition } from '../../shared/sheetStatus';
+import { resolveStatisticsRange, validateStatisticsRange, periodStart, fillTimeSeries } from '../../shared/sheetStatistics';
+import { REPORT_SHEET_STATUSES, resolveReportQuery, resolveWastageQuery, validateReportQuery, aggregateEntries, buildPivot } from '../../shared/salesReport';
+import { grossSquareFeet } from '../../shared/calculationRules';
+import { ROLES } from '../../shared/permissions';
+import { API_ENDPOINTS, CALCULATION_MODES, DEFAULT_CUSTOMER_TYPES, MEASUREMENT_SHEET_STATUS } from '../../utils/constants';
+
+/**
+ * In-browser mock of the API for working on the client without a server
+ * Customers, measurement sheets and slab entries are kept in localStorage and answered
+ * in the shapes the server uses: customers as JSON objects, sheets and slab entries as
+ * snake_case rows. Statistics, sales and wastage reports are totalled from them. Any other endpoint
+ * answers 404, so the services fall back to their built-in defaults where they have them
+ */
+
+export const MOCK_STORAGE_KEY = 'granite-mock-data';
+
+const MOCK_TOKEN = 'mock-token';
+
+const seedData = () => ({
+  customers: [
+    {
+      id: 'customer_1',
+      name: 'John Doe',
+      phoneNumber: '123-456-7890',
+      email: 'john.doe@example.com',
+      address: '123 Main St, City, State 12345',
+      calculationMode: CALCULATION_MODES.IMPERIAL,
+      createdAt: new Date().toISOString()
+    },
+    {
+      id: 'customer_2',
+      name: 'Jane Smith',
+      phoneNumber: '098-765-4321',
+      email: 'jane.smith@example.com',
+      address: '456 Oak Ave, Town, State 67890',
+      calculationMode: CALCULATION_MODES.IMPERIAL,
+      createdAt: new Date().toISOString()
+    },
+    {
+      id: 'customer_3',
+      name: 'ABC Granite Works',
+      phoneNumber: '555-123-4567',
+      email: 'info@abcgranite.com',
+      address: '789 Industrial Blvd, City, State 11111',
+      calculationMode: CALCULATION_MODES.IMPERIAL,
+      createdAt: new Date().toISOString()
+    }
+  ],
+  measurementSheets: [],
+  slabEntries: [],
+  nextSheetNumber: 1
+});
+
+const load = () => {
+  try {
+    const stored = localStorage.getItem(MOCK_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : seedData();
+  } catch (error) {
+    return seedData();
+  }
+};
+
+const save = (data) => localStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(data));
+
+const newId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+const toSnakeCase = (object) => Object.keys(object).reduce((row, key) => {
+  row[key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)] = object[key];
+  return row;
+}, {});
+
+const paginate = (items, params) => {
+  const page = parseInt(params.page, 10) || 1;
+  const limit = parseInt(params.limit, 10) || 50;
+  return {
+    success: true,
+    data: items.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, total: items.length, pages: Math.ceil(items.length / limit) }
+  };
+};
+
+const mockUser = (username) => ({
+  id: 'mock_user',
+  username: username || 'mock',
+  fullName: 'Mock User',
+  role: ROLES.OWNER,
+  isActive: true
+});
+
+/**
+ * A sheet row with the customer columns the list and detail endpoints join to it
+ */
+const withCustomer = (data, sheet) => {
+  const customer = data.customers.find(item => item.id === sheet.customer_id) || {};
+  return {
+    ...sheet,
+    customer_name: customer.name,
+    customer_phone: customer.phoneNumber,
+    customer_email: customer.email,
+    customer_address: customer.address,
+    customer_state: customer.state,
+    customer_gstin: customer.gstin
+  };
+};
+
+const sheetEntries = (data, sheetId) => data.slabEntries
+  .filter(entry => entry.measurement_sheet_id === sheetId)
+  .sort((a, b) => a.serial_number - b.serial_number);
+
+const updateTotals = (data, sheetId) => {
+  const sheet = data.measurementSheets.find(item => item.id === sheetId);
+  const entries = sheetEntries(data, sheetId);
+  sheet.total_square_feet = entries.reduce((sum, entry) => sum + (Number(entry.square_feet) || 0), 0);
+  sheet.total_amount = entries.reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+  sheet.updated_at = new Date().toISOString();
+};
+
+const findEditableSheet = (data, sheetId) => {
+  const sheet = data.measurementSheets.find(item => item.id === sheetId);
+  if (!sheet) {
+    return { status: 404, error: 'Measurement sheet not found' };
+  }
+  if (sheet.status !== MEASUREMENT_SHEET_STATUS.DRAFT) {
+    return { status: 409, error: `Measurement sheet ${sheet.measurement_sheet_number} is ${sheet.status} and can no longer be edited` };
+  }
+  return { sheet };
+};
+
+const createEntryRow = (data, sheetId, entry) => {
+  const { id, measurementSheetId, ...fields } = entry;
+  const now = new Date().toISOString();
+  const row = {
+    ...toSnakeCase(fields),
+    id: newId('entry'),
+    measurement_sheet_id: sheetId,
+    serial_number: sheetEntries(data, sheetId).length + 1,
+    gross_square_feet: grossSquareFeet(Number(fields.length), Number(fields.breadth)),
+    created_at: now,
+    updated_at: now
+  };
+  data.slabEntries.push(row);
+  return row;
+};
+
+/**
+ * One record per slab on a sold sheet, as aggregateEntries takes them
+ */
+const soldEntries = (data) => {
+  const entries = [];
+  data.measurementSheets
+    .filter(sheet => REPORT_SHEET_STATUSES.includes(sheet.status))
+    .forEach(sheet => {
+      const customer = data.customers.find(item => item.id === sheet.customer_id) || {};
+      const customerType = DEFAULT_CUSTOMER_TYPES.find(type => type.key === sheet.customer_type);
+      sheetEntries(data, sheet.id).forEach(entry => entries.push({
+        date: sheet.created_at,
+        customerType: sheet.customer_type,
+        customerTypeLabel: customerType ? customerType.label : sheet.customer_type,
+        slabCategory: entry.slab_category,
+        blockNumber: String(entry.block_number || '').toUpperCase(),
+        customerId: sheet.customer_id,
+        customerName: customer.name,
+        measurementSheetId: sheet.id,
+        measurementSheetNumber: sheet.measurement_sheet_number,
+        squareFeet: Number(entry.square_feet) || 0,
+        grossSquareFeet: Number(entry.gross_square_feet) || 0,
+        amount: Number(entry.amount) || 0
+      }));
+    });
+  return entries;
+};
+
+const runReport = (data, query) => {
+  const details = validateReportQuery(query);
+  if (details.length > 0) {
+    return [422, { error: 'Validation failed', details }];
+  }
+  return [200, { success: true, data: { query, pivot: buildPivot(aggregateEntries(soldEntries(data), query), query) } }];
+};
+
+const routes = [
+  ['POST', `${API_ENDPOINTS.AUTH}/login`, (data, { body }) => (body.username && body.password
+    ? [200, { success: true, data: { token: MOCK_TOKEN, user: mockUser(body.username) } }]
+    : [401, { error: 'Invalid username or password' }])],
+
+  ['GET', `${API_ENDPOINTS.AUTH}/me`, () => [200, { success: true, data: mockUser() }]],
+
+  ['GET', `${API_ENDPOINTS.CUSTOMERS}/statistics`, (data) => [200, {
+    success: true,
+    data: { totalCustomers: data.customers.length }
+  }]],
+
+  ['GET', API_ENDPOINTS.CUSTOMERS, (data, { params }) => {
+    const term = (params.search || '').trim().toLowerCase();
+    const customers = term
+      ? data.customers.filter(customer =>
+        customer.name.toLowerCase().includes(term) ||
+        customer.phoneNumber.includes(term) ||
+        (customer.email && customer.email.toLowerCase().includes(term)))
+      : data.customers;
+    return [200, paginate(customers, params)];
+  }],
+
+  ['POST', API_ENDPOINTS.CUSTOMERS, (data, { body }) => {
+    const details = [];
+    if (!body.name || !body.name.trim()) details.push('Name is required');
+    if (!body.phoneNumber || !body.phoneNumber.trim()) details.push('Phone number is required');
+    if (details.length > 0) {
+      return [422, { error: 'Validation failed', details }];
+    }
+    if (data.customers.some(customer => customer.phoneNumber === body.phoneNumber)) {
+      return [409, { error: 'A customer with this phone number already exists' }];
+    }
+
+    const customer = { calculationMode: CALCULATION_MODES.IMPERIAL, ...body, id: newId('customer'), createdAt: new Date().toISOString() };
+    data.customers.push(customer);
+    return [201, { success: true, data: customer }];
+  }],
+
+  ['GET', `${API_ENDPOINTS.CUSTOMERS}/:id`, (data, { id }) => {
+    const customer = data.customers.find(item => item.id === id);
+    return customer ? [200, { success: true, data: customer }] : [404, { error: 'Customer not found' }];
+  }],
+
+  ['PUT', `${API_ENDPOINTS.CUSTOMERS}/:id`, (data, { id, body }) => {
+    const customer = data.customers.find(item => item.id === id);
+    if (!customer) {
+      return [404, { error: 'Customer not found' }];
+    }
+    Object.assign(customer, body, { id, updatedAt: new Date().toISOString() });
+    return [200, { success: true, data: customer }];
+  }],
+
+  ['DELETE', `${API_ENDPOINTS.CUSTOMERS}/:id`, (data, { id }) => {
+    if (data.measurementSheets.some(sheet => sheet.customer_id === id)) {
+      return [409, { error: 'Cannot delete a customer with measurement sheets' }];
+    }
+    data.customers = data.customers.filter(item => item.id !== id);
+    return [200, { success: true, message: 'Customer deleted successfully' }];
+  }],
+
+  ['GET', API_ENDPOINTS.MEASUREMENT_SHEETS, (data, { params }) => {
+    const term = (params.search || '').trim().toLowerCase();
+    const sheets = data.measurementSheets
+      .map(sheet => withCustomer(data, sheet))
+      .filter(sheet => !params.status || sheet.status === params.status)
+      .filter(sheet => !params.customerType || sheet.customer_type === params.customerType)
+      .filter(sheet => !term ||
+        sheet.measurement_sheet_number.toLowerCase().includes(term) ||
+        (sheet.customer_name || '').toLowerCase().includes(term))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    return [200, paginate(sheets, params)];
+  }],
+
+  ['POST', API_ENDPOINTS.MEASUREMENT_SHEETS, (data, { body }) => {
+    const existing = body.clientRef && data.measurementSheets.find(item => item.client_ref === body.clientRef);
+    if (existing) {
+      return [200, { success: true, data: existing }];
+    }
+
+    const customer = data.customers.find(item => item.id === body.customerId);
+    if (!customer) {
+      return [404, { error: 'Customer not found' }];
+    }
+
+    const now = new Date().toISOString();
+    const sheet = {
+      id: newId('sheet'),
+      measurement_sheet_number: `MS-${String(data.nextSheetNumber).padStart(4, '0')}`,
+      customer_id: customer.id,
+      customer_type: body.customerType,
+      calculation_mode: body.calculationMode || customer.calculationMode || CALCULATION_MODES.IMPERIAL,
+      status: MEASUREMENT_SHEET_STATUS.DRAFT,
+      total_square_feet: 0,
+      total_amount: 0,
+      revision_number: 0,
+      client_ref: body.clientRef || null,
+      created_at: now,
+      updated_at: now
+    };
+    data.nextSheetNumber += 1;
+    data.measurementSheets.push(sheet);
+    return [201, { success: true, data: sheet }];
+  }],
+
+  ['GET', `${API_ENDPOINTS.MEASUREMENT_SHEETS}/statistics`, (data, { params }) => {
+    const range = resolveStatisticsRange(params, new Date().toISOString().slice(0, 10));
+    const details = validateStatisticsRange(range);
+    if (details.length > 0) {
+      return [422, { error: 'Validation failed', details }];
+    }
+
+    const statusCounts = Object.values(MEASUREMENT_SHEET_STATUS).reduce((counts, status) => ({
+      ...counts,
+      [status]: data.measurementSheets.filter(sheet => sheet.status === status).length
+    }), {});
+
+    const inRange = data.measurementSheets.filter(sheet => sheet.status !== MEASUREMENT_SHEET_STATUS.CANCELLED &&
+      sheet.created_at.slice(0, 10) >= range.from && sheet.created_at.slice(0, 10) <= range.to);
+
+    const periods = {};
+    inRange.forEach(sheet => {
+      const period = periodStart(sheet.created_at.slice(0, 10), range.interval);
+      periods[period] = periods[period] || { period, sheets: 0, squareFeet: 0 };
+      periods[period].sheets += 1;
+      periods[period].squareFeet += Number(sheet.total_square_feet) || 0;
+    });
+
+    const categories = {};
+    inRange.forEach(sheet => sheetEntries(data, sheet.id).forEach(entry => {
+      const category = entry.slab_category || 'F';
+      categories[category] = categories[category] || { slabCategory: category, slabs: 0, squareFeet: 0 };
+      categories[category].slabs += 1;
+      categories[category].squareFeet += Number(entry.square_feet) || 0;
+    }));
+
+    return [200, {
+      success: true,
+      data: {
+        totalSheets: data.measurementSheets.length,
+        statusCounts,
+        range,
+        timeSeries: fillTimeSeries(Object.values(periods), range),
+        categoryMix: Object.values(categories).sort((a, b) => b.squareFeet - a.squareFeet)
+      }
+    }];
+  }],
+
+  ['GET', `${API_ENDPOINTS.MEASUREMENT_SHEETS}/:id`, (data, { id }) => {
+    const sheet = data.measurementSheets.find(item => item.id === id);
+    if (!sheet) {
+      return [404, { error: 'Measurement sheet not found' }];
+    }
+    return [200, {
+      success: true,
+      data: {
+        ...withCustomer(data, sheet),
+        slab_entries: sheetEntries(data, id),
+        invoice: null,
+        revisions: [],
+        status_history: []
+      }
+    }];
+  }],
+
+  ['GET', `${API_ENDPOINTS.MEASUREMENT_SHEETS}/:id/history`, () => [200, { success: true, data: [] }]],
+
+  ['PUT', `${API_ENDPOINTS.MEASUREMENT_SHEETS}/:id`, (data, { id, body }) => {
+    const sheet = data.measurementSheets.find(item => item.id === id);
+    if (!sheet) {
+      return [404, { error: 'Measurement sheet not found' }];
+    }
+    if (body.status && body.status !== sheet.status) {
+      if (!canTransition(sheet.status, body.status)) {
+        return [409, { error: `A ${sheet.status} sheet cannot be moved to ${body.status}` }];
+      }
+      sheet.status = body.status;
+      sheet.updated_at = new Date().toISOString();
+    }
+    return [200, { success: true, data: { ...withCustomer(data, sheet), slab_entries: sheetEntries(data, id) } }];
+  }],
+
+  ['DELETE', `${API_ENDPOINTS.MEASUREMENT_SHEETS}/:id`, (data, { id }) => {
+    const { sheet, status, error } = findEditableSheet(data, id);
+    if (!sheet) {
+      return [status, { error }];
+    }
+    data.measurementSheets = data.measurementSheets.filter(item => item.id !== id);
+    data.slabEntries = data.slabEntries.filter(entry => entry.measurement_sheet_id !== id);
+    return [200, { success: true, message: 'Measurement sheet deleted successfully' }];
+  }],
+
+  ['POST', `${API_ENDPOINTS.SLAB_ENTRIES}/batch`, (data, { body }) => {
+    const clientRefs = (body.slabEntries || []).map(entry => entry.clientRef).filter(Boolean);
+    const existing = clientRefs
+      .map(clientRef => data.slabEntries.find(entry => entry.client_ref === clientRef))
+      .filter(Boolean);
+    if (existing.length > 0) {
+      return [200, { success: true, data: existing }];
+    }
+
+    const { sheet, status, error } = findEditableSheet(data, body.measurementSheetId);
+    if (!sheet) {
+      return [status, { error }];
+    }
+    const rows = (body.slabEntries || []).map(entry => createEntryRow(data, sheet.id, entry));
+    updateTotals(data, sheet.id);
+    return [201, { success: true, data: rows }];
+  }],
+
+  ['POST', API_ENDPOINTS.SLAB_ENTRIES, (data, { body }) => {
+    const existing = body.clientRef && data.slabEntries.find(entry => entry.client_ref === body.clientRef);
+    if (existing) {
+      return [200, { success: true, data: existing }];
+    }
+
+    const { sheet, status, error } = findEditableSheet(data, body.measurementSheetId);
+    if (!sheet) {
+      return [status, { error }];
+    }
+    const row = createEntryRow(data, sheet.id, body);
+    updateTotals(data, sheet.id);
+    return [201, { success: true, data: row }];
+  }],
+
+  ['PUT', `${API_ENDPOINTS.SLAB_ENTRIES}/:id`, (data, { id, body }) => {
+    const entry = data.slabEntries.find(item => item.id === id);
+    if (!entry) {
+      return [404, { error: 'Slab entry not found' }];
+    }
+    const { sheet, status, error } = findEditableSheet(data, entry.measurement_sheet_id);
+    if (!sheet) {
+      return [status, { error }];
+    }
+    const { id: ignoredId, measurementSheetId, serialNumber, ...fields } = body;
+    Object.assign(entry, toSnakeCase(fields), { updated_at: new Date().toISOString() });
+    entry.gross_square_feet = grossSquareFeet(Number(entry.length), Number(entry.breadth));
+    updateTotals(data, sheet.id);
+    return [200, { success: true, data: entry }];
+  }],
+
+  ['DELETE', `${API_ENDPOINTS.SLAB_ENTRIES}/:id`, (data, { id }) => {
+    const entry = data.slabEntries.find(item => item.id === id);
+    if (!entry) {
+      return [404, { error: 'Slab entry not found' }];
+    }
+    const { sheet, status, error } = findEditableSheet(data, entry.measurement_sheet_id);
+    if (!sheet) {
+      return [status, { error }];
+    }
+    data.slabEntries = data.slabEntries.filter(item => item.id !== id);
+    updateTotals(data, sheet.id);
+    return [200, { success: true, message: 'Slab entry deleted successfully' }];
+  }],
+
+  ['GET', `${API_ENDPOINTS.REPORTS}/sales`, (data, { params }) => {
+    return runReport(data, resolveReportQuery(params, new Date().toISOString().slice(0, 10)));
+  }],
+
+  ['GET', `${API_ENDPOINTS.REPORTS}/wastage`, (data, { params }) => {
+    return runReport(data, resolveWastageQuery(params, new Date().toISOString().slice(0, 10)));
+  }]
+].map(([method, pattern, handler]) => ({
+  method,
+  pattern: new RegExp(`^${pattern.replace(':id', '([^/]+)')}$`),
+  handler
+}));
+
+/**
+ * Axios adapter answering requests from the localStorage mock
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} - Axios response
+ */
+export const mockAdapter = (config) => {
+  const request = parseRequest(config);
+  const route = routes.find(item => item.method === request.method && item.pattern.test(request.path));
+
+  if (!route) {
+    return respond(config, 404, { error: `${request.method} ${request.path} is not available in mock mode` });
+  }
+
+  const data = load();
+  const [, id] = request.path.match(route.pattern);
+  const [status, body] = route.handler(data, { ...request, id: id && decodeURIComponent(id) });
+
+  if (request.method !== 'GET' && status < 300) {
+    save(data);
+  }
+
+  return respond(config, status, body);
+};
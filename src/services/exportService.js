@@ -1,9 +1,17 @@
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
-import { CUSTOMER_TYPE_LABELS } from '../utils/constants';
+import { customerTypeRegistry } from '../utils/customerTypeRegistry';
+import { pricingEngine, formatAmount } from '../utils/pricingEngine';
+import { calculationEngine } from '../utils/calculationEngine';
+import { INVOICE_STATUS, TAX_TYPES, CALCULATION_MODES } from '../utils/constants';
+
+// Metric sheets report square metres next to square feet
+const isMetricSheet = (measurementSheet) => measurementSheet.calculationMode === CALCULATION_MODES.METRIC;
+
+const formatSquareMetres = (value) => (value === null || value === undefined ? '-' : parseFloat(value).toFixed(3));
 
 /**
- * Export service for generating PDF and CSV files from measurement sheet data
+ * Export service for generating PDF and CSV files from measurement sheet and invoice data
  */
 export const exportService = {
   /**
@@ -74,7 +82,7 @@ export const exportService = {
       
       const customerInfo = [
         [`Name: ${measurementSheet.customer?.name || 'N/A'}`, `Phone: ${measurementSheet.customer?.phoneNumber || 'N/A'}`],
-        [`Email: ${measurementSheet.customer?.email || 'N/A'}`, `Type: ${CUSTOMER_TYPE_LABELS[measurementSheet.customerType] || measurementSheet.customerType}`],
+        [`Email: ${measurementSheet.customer?.email || 'N/A'}`, `Type: ${customerTypeRegistry.getLabel(measurementSheet.customerType)}`],
         [`Address: ${measurementSheet.customer?.address || 'N/A'}`, `Date: ${new Date(measurementSheet.createdAt).toLocaleDateString()}`]
       ];
 
@@ -86,6 +94,11 @@ export const exportService = {
 
       yPosition += 10;
 
+      // Dimensions print as entered, or in the unit the party reads measurements in
+      const entryDimensions = (measurementSheet.slabEntries || []).map(entry =>
+        calculationEngine.formatEntryDimensions(entry, measurementSheet.customerType)
+      );
+
       // Slab Entries Table
       if (measurementSheet.slabEntries && measurementSheet.slabEntries.length > 0) {
         checkPageBreak(60);
@@ -95,28 +108,46 @@ export const exportService = {
         doc.text('Slab Entries', 20, yPosition);
         yPosition += 10;
 
-        const tableData = measurementSheet.slabEntries.map(entry => [
+        const tableData = measurementSheet.slabEntries.map((entry, index) => [
           entry.serialNumber.toString(),
-          entry.blockNumber,
-          entry.length.toString(),
-          entry.breadth.toString(),
+          entry.material ? `${entry.blockNumber}\n${entry.material}` : entry.blockNumber,
+          entryDimensions[index].length,
+          entryDimensions[index].breadth,
           entry.slabCategory,
-          entry.finalLength.toString(),
-          entry.finalBreadth.toString(),
-          entry.squareFeet.toFixed(2)
+          entryDimensions[index].finalLength,
+          entryDimensions[index].finalBreadth,
+          entry.squareFeet.toFixed(2),
+          formatAmount(entry.rate),
+          formatAmount(entry.amount)
         ]);
 
-        const totalSquareFeet = measurementSheet.slabEntries.reduce((sum, entry) => sum + entry.squareFeet, 0);
+        const { totalSquareFeet, totalSquareMetres, totalAmount } = pricingEngine.calculateTotals(measurementSheet.slabEntries);
+
+        const head = ['S.No', 'Block No', 'Length', 'Breadth', 'Category', 'Final L', 'Final B', 'Sq Ft', 'Rate', 'Amount'];
+        const foot = ['', '', '', '', '', '', 'Total:', totalSquareFeet.toFixed(2), '', formatAmount(totalAmount)];
+        // Block takes whatever the fixed columns leave of the width between the page margins
+        const columnWidths = [12, 'auto', 16, 16, 16, 16, 16, 18, 16, 22];
+        const columnAlignments = ['center', 'center', 'center', 'center', 'center', 'center', 'center', 'right', 'right', 'right'];
+
+        // Square metres go after square feet; the other columns narrow to keep the table on the page
+        if (isMetricSheet(measurementSheet)) {
+          head.splice(8, 0, 'Sq M');
+          tableData.forEach((row, index) => row.splice(8, 0, formatSquareMetres(measurementSheet.slabEntries[index].squareMetres)));
+          foot.splice(8, 0, totalSquareMetres.toFixed(3));
+          columnWidths.splice(0, columnWidths.length, 10, 'auto', 15, 15, 13, 15, 15, 16, 16, 15, 20);
+          columnAlignments.splice(8, 0, 'right');
+        }
 
         doc.autoTable({
           startY: yPosition,
-          head: [['S.No', 'Block No', 'Length', 'Breadth', 'Category', 'Final L', 'Final B', 'Sq Ft']],
+          head: [head],
           body: tableData,
-          foot: [['', '', '', '', '', '', 'Total:', totalSquareFeet.toFixed(2)]],
+          foot: [foot],
           theme: 'grid',
+          margin: { left: 20, right: 20 },
           styles: {
             fontSize: 9,
-            cellPadding: 3,
+            cellPadding: 2,
           },
           headStyles: {
             fillColor: [240, 240, 240],
@@ -128,16 +159,10 @@ export const exportService = {
             textColor: [0, 0, 0],
             fontStyle: 'bold'
           },
-          columnStyles: {
-            0: { halign: 'center', cellWidth: 15 },
-            1: { halign: 'center', cellWidth: 20 },
-            2: { halign: 'center', cellWidth: 18 },
-            3: { halign: 'center', cellWidth: 18 },
-            4: { halign: 'center', cellWidth: 18 },
-            5: { halign: 'center', cellWidth: 18 },
-            6: { halign: 'center', cellWidth: 18 },
-            7: { halign: 'right', cellWidth: 20 }
-          }
+          columnStyles: columnWidths.reduce((styles, cellWidth, index) => {
+            styles[index] = { halign: columnAlignments[index], cellWidth };
+            return styles;
+          }, {})
         });
 
         yPosition = doc.lastAutoTable.finalY + 15;
@@ -163,14 +188,19 @@ export const exportService = {
           doc.setFont('helvetica', 'normal');
           doc.text(`Block: ${entry.blockNumber}`, 25, yPosition);
           yPosition += 4;
-          doc.text(`Original: ${entry.length}" × ${entry.breadth}"`, 25, yPosition);
+          doc.text(`Original: ${entryDimensions[index].length} × ${entryDimensions[index].breadth}`, 25, yPosition);
           yPosition += 4;
-          doc.text(`Final: ${entry.finalLength}" × ${entry.finalBreadth}"`, 25, yPosition);
+          doc.text(`Final: ${entryDimensions[index].finalLength} × ${entryDimensions[index].finalBreadth}`, 25, yPosition);
           yPosition += 4;
           doc.text(`Calculation: ${entry.calculationDetails}`, 25, yPosition);
           yPosition += 4;
           doc.setFont('helvetica', 'bold');
-          doc.text(`Result: ${entry.squareFeet.toFixed(2)} sq ft`, 25, yPosition);
+          doc.text(isMetricSheet(measurementSheet)
+            ? `Result: ${entry.squareFeet.toFixed(2)} sq ft (${formatSquareMetres(entry.squareMetres)} m²)`
+            : `Result: ${entry.squareFeet.toFixed(2)} sq ft`, 25, yPosition);
+          if (entry.amount !== null && entry.amount !== undefined) {
+            doc.text(`Amount: ${formatAmount(entry.amount)} @ ${formatAmount(entry.rate)}/sq ft`, pageWidth / 2, yPosition);
+          }
           yPosition += 8;
           doc.setFont('helvetica', 'normal');
         });
@@ -194,14 +224,31 @@ export const exportService = {
       
       const totalSlabs = measurementSheet.slabEntries?.length || 0;
       const totalSquareFeet = measurementSheet.slabEntries?.reduce((sum, entry) => sum + entry.squareFeet, 0) || 0;
+      const { totalAmount, totalSquareMetres, unpricedCount } = pricingEngine.calculateTotals(measurementSheet.slabEntries);
       
       doc.text(`Total Slabs: ${totalSlabs}`, 20, yPosition);
-      doc.text(`Customer Type: ${CUSTOMER_TYPE_LABELS[measurementSheet.customerType]}`, pageWidth / 2, yPosition);
+      doc.text(`Customer Type: ${customerTypeRegistry.getLabel(measurementSheet.customerType)}`, pageWidth / 2, yPosition);
       yPosition += 8;
       
       doc.setFontSize(14);
       doc.setFont('helvetica', 'bold');
       doc.text(`Total Square Feet: ${totalSquareFeet.toFixed(2)} sq ft`, 20, yPosition);
+      
+      if (isMetricSheet(measurementSheet)) {
+        yPosition += 7;
+        doc.text(`Total Square Metres: ${totalSquareMetres.toFixed(3)} m²`, 20, yPosition);
+      }
+      
+      if (totalSlabs > unpricedCount) {
+        doc.text(`Grand Total: ${formatAmount(totalAmount)}`, pageWidth / 2, yPosition);
+        
+        if (unpricedCount > 0) {
+          yPosition += 6;
+          doc.setFontSize(8);
+          doc.setFont('helvetica', 'italic');
+          doc.text(`${unpricedCount} slab(s) have no applicable rate and are not included in the grand total.`, 20, yPosition);
+        }
+      }
 
       // Footer
       yPosition = pageHeight - 40;
@@ -252,8 +299,14 @@ export const exportService = {
         'Final Length (in)',
         'Final Breadth (in)',
         'Square Feet',
+        'Material',
+        'Rate',
+        'Amount',
         'Calculation Details'
       ];
+      if (isMetricSheet(measurementSheet)) {
+        headers.push('Square Metres');
+      }
 
       let csvContent = headers.join(',') + '\n';
 
@@ -265,7 +318,7 @@ export const exportService = {
             `"${measurementSheet.customer?.phoneNumber || ''}"`,
             `"${measurementSheet.customer?.email || ''}"`,
             `"${measurementSheet.customer?.address || ''}"`,
-            `"${CUSTOMER_TYPE_LABELS[measurementSheet.customerType] || measurementSheet.customerType}"`,
+            `"${customerTypeRegistry.getLabel(measurementSheet.customerType)}"`,
             `"${new Date(measurementSheet.createdAt).toLocaleDateString()}"`,
             entry.serialNumber,
             `"${entry.blockNumber}"`,
@@ -275,8 +328,14 @@ export const exportService = {
             entry.finalLength,
             entry.finalBreadth,
             entry.squareFeet.toFixed(2),
+            `"${entry.material || ''}"`,
+            formatAmount(entry.rate),
+            formatAmount(entry.amount),
             `"${entry.calculationDetails || ''}"`
           ];
+          if (isMetricSheet(measurementSheet)) {
+            row.push(formatSquareMetres(entry.squareMetres));
+          }
           csvContent += row.join(',') + '\n';
         });
       } else {
@@ -287,17 +346,19 @@ export const exportService = {
           `"${measurementSheet.customer?.phoneNumber || ''}"`,
           `"${measurementSheet.customer?.email || ''}"`,
           `"${measurementSheet.customer?.address || ''}"`,
-          `"${CUSTOMER_TYPE_LABELS[measurementSheet.customerType] || measurementSheet.customerType}"`,
+          `"${customerTypeRegistry.getLabel(measurementSheet.customerType)}"`,
           `"${new Date(measurementSheet.createdAt).toLocaleDateString()}"`,
-          '', '', '', '', '', '', '', '0.00', ''
+          '', '', '', '', '', '', '', '0.00', '', '', '', ''
         ];
         csvContent += row.join(',') + '\n';
       }
 
       // Add summary row
       const totalSquareFeet = measurementSheet.slabEntries?.reduce((sum, entry) => sum + entry.squareFeet, 0) || 0;
+      const { totalAmount, totalSquareMetres } = pricingEngine.calculateTotals(measurementSheet.slabEntries);
       csvContent += '\n';
-      csvContent += `"SUMMARY",,,,,,,"Total Slabs: ${measurementSheet.slabEntries?.length || 0}",,,,,,"Total Square Feet: ${totalSquareFeet.toFixed(2)}",,\n`;
+      csvContent += `"SUMMARY",,,,,,,"Total Slabs: ${measurementSheet.slabEntries?.length || 0}",,,,,,"Total Square Feet: ${totalSquareFeet.toFixed(2)}",,,"Grand Total: ${totalAmount.toFixed(2)}",`;
+      csvContent += isMetricSheet(measurementSheet) ? `"Total Square Metres: ${totalSquareMetres.toFixed(3)}"\n` : '\n';
 
       return csvContent;
     } catch (error) {
@@ -306,6 +367,199 @@ export const exportService = {
     }
   },
 
+  /**
+   * Generate a GST tax invoice PDF
+   * @param {Object} invoice - Invoice with line items, as returned by the invoices API
+   * @param {Object} companyDetails - Company information for header
+   * @returns {Promise<Blob>} - PDF blob
+   */
+  async generateInvoicePDF(invoice, companyDetails = {
+    name: 'Granite Manufacturing Co.',
+    address: '123 Industrial Ave, Manufacturing District',
+    phone: '(555) 123-4567',
+    email: 'info@granitemanufacturing.com'
+  }) {
+    try {
+      const doc = new jsPDF();
+      const pageWidth = doc.internal.pageSize.width;
+      const pageHeight = doc.internal.pageSize.height;
+      const isIntraState = invoice.taxType === TAX_TYPES.INTRA_STATE;
+      let yPosition = 20;
+
+      // Company Header
+      doc.setFontSize(18);
+      doc.setFont('helvetica', 'bold');
+      doc.text(companyDetails.name, 20, yPosition);
+      
+      yPosition += 8;
+      doc.setFontSize(10);
+      doc.setFont('helvetica', 'normal');
+      doc.text(companyDetails.address, 20, yPosition);
+      
+      yPosition += 5;
+      doc.text(`Phone: ${companyDetails.phone} | Email: ${companyDetails.email}`, 20, yPosition);
+      
+      yPosition += 5;
+      doc.text(`GSTIN: ${invoice.supplierGstin || 'N/A'} | State: ${invoice.supplierState}`, 20, yPosition);
+
+      // Document Title and Invoice Number
+      doc.setFontSize(16);
+      doc.setFont('helvetica', 'bold');
+      doc.text('TAX INVOICE', pageWidth - 20, 20, { align: 'right' });
+      
+      doc.setFontSize(12);
+      doc.text(`#${invoice.invoiceNumber}`, pageWidth - 20, 30, { align: 'right' });
+      
+      if (invoice.status === INVOICE_STATUS.CANCELLED) {
+        doc.setTextColor(200, 0, 0);
+        doc.text('CANCELLED', pageWidth - 20, 38, { align: 'right' });
+        doc.setTextColor(0, 0, 0);
+      }
+
+      yPosition += 10;
+
+      // Horizontal line
+      doc.setLineWidth(0.5);
+      doc.line(20, yPosition, pageWidth - 20, yPosition);
+      yPosition += 10;
+
+      // Billing details
+      doc.setFontSize(12);
+      doc.setFont('helvetica', 'bold');
+      doc.text('Bill To', 20, yPosition);
+      doc.text('Invoice Details', pageWidth / 2 + 10, yPosition);
+      yPosition += 8;
+
+      doc.setFontSize(10);
+      doc.setFont('helvetica', 'normal');
+      
+      const billingInfo = [
+        [invoice.customerName, `Invoice Date: ${invoice.invoiceDate}`],
+        [`GSTIN: ${invoice.customerGstin || 'Unregistered'}`, `Measurement Sheet: ${invoice.measurementSheetNumber || 'N/A'}`],
+        [`Place of Supply: ${invoice.placeOfSupply}`, `Tax: ${isIntraState ? 'CGST + SGST' : 'IGST'}`]
+      ];
+
+      billingInfo.forEach(([left, right]) => {
+        doc.text(left, 20, yPosition);
+        doc.text(right, pageWidth / 2 + 10, yPosition);
+        yPosition += 6;
+      });
+
+      if (invoice.customerAddress) {
+        const addressLines = doc.splitTextToSize(invoice.customerAddress, pageWidth / 2 - 30);
+        doc.text(addressLines, 20, yPosition);
+        yPosition += addressLines.length * 5;
+      }
+
+      yPosition += 8;
+
+      // Line items, with the tax columns that apply to the supply
+      const taxHead = isIntraState ? ['CGST', 'SGST'] : ['IGST'];
+      const tableData = invoice.items.map(item => [
+        item.serialNumber.toString(),
+        item.blockNumber ? `${item.description}\nBlock ${item.blockNumber}` : item.description,
+        item.hsnCode,
+        item.squareFeet.toFixed(2),
+        item.rate.toFixed(2),
+        item.amount.toFixed(2),
+        item.discount.toFixed(2),
+        item.taxableValue.toFixed(2),
+        `${item.gstRate}%`
+      ].concat(isIntraState
+        ? [item.cgstAmount.toFixed(2), item.sgstAmount.toFixed(2)]
+        : [item.igstAmount.toFixed(2)]
+      ).concat([item.totalAmount.toFixed(2)]));
+
+      const taxFoot = isIntraState
+        ? [invoice.cgstAmount.toFixed(2), invoice.sgstAmount.toFixed(2)]
+        : [invoice.igstAmount.toFixed(2)];
+
+      doc.autoTable({
+        startY: yPosition,
+        head: [['#', 'Description', 'HSN', 'Sq Ft', 'Rate', 'Amount', 'Disc.', 'Taxable', 'GST'].concat(taxHead, ['Total'])],
+        body: tableData,
+        foot: [['', 'Total', '', '', '', invoice.subtotal.toFixed(2), invoice.discountAmount.toFixed(2),
+          invoice.taxableAmount.toFixed(2), ''].concat(taxFoot, [(invoice.grandTotal - invoice.roundOff).toFixed(2)])],
+        theme: 'grid',
+        styles: {
+          fontSize: 7,
+          cellPadding: 2,
+        },
+        headStyles: {
+          fillColor: [240, 240, 240],
+          textColor: [0, 0, 0],
+          fontStyle: 'bold'
+        },
+        footStyles: {
+          fillColor: [230, 230, 230],
+          textColor: [0, 0, 0],
+          fontStyle: 'bold'
+        },
+        columnStyles: {
+          0: { halign: 'center', cellWidth: 7 },
+          1: { cellWidth: 'auto' },
+          2: { halign: 'center', cellWidth: 14 }
+        }
+      });
+
+      yPosition = doc.lastAutoTable.finalY + 10;
+
+      // Totals
+      if (yPosition + 60 > pageHeight - 20) {
+        doc.addPage();
+        yPosition = 20;
+      }
+
+      const totals = [
+        ['Subtotal', invoice.subtotal],
+        ['Discount', -invoice.discountAmount],
+        ['Taxable Value', invoice.taxableAmount]
+      ].concat(isIntraState
+        ? [['CGST', invoice.cgstAmount], ['SGST', invoice.sgstAmount]]
+        : [['IGST', invoice.igstAmount]]
+      ).concat([['Round Off', invoice.roundOff]]);
+
+      doc.setFontSize(10);
+      doc.setFont('helvetica', 'normal');
+      totals.forEach(([label, value]) => {
+        doc.text(label, pageWidth - 80, yPosition);
+        doc.text(value.toFixed(2), pageWidth - 20, yPosition, { align: 'right' });
+        yPosition += 6;
+      });
+
+      doc.setLineWidth(0.3);
+      doc.line(pageWidth - 80, yPosition - 3, pageWidth - 20, yPosition - 3);
+      yPosition += 3;
+
+      doc.setFontSize(13);
+      doc.setFont('helvetica', 'bold');
+      doc.text('Grand Total', pageWidth - 80, yPosition);
+      doc.text(invoice.grandTotal.toFixed(2), pageWidth - 20, yPosition, { align: 'right' });
+
+      if (invoice.notes) {
+        yPosition += 12;
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        doc.text(doc.splitTextToSize(`Notes: ${invoice.notes}`, pageWidth - 40), 20, yPosition);
+      }
+
+      // Footer
+      yPosition = pageHeight - 30;
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.text(`For ${companyDetails.name}`, pageWidth - 20, yPosition, { align: 'right' });
+      yPosition += 12;
+      doc.text('Authorized Signatory', pageWidth - 20, yPosition, { align: 'right' });
+      doc.setFontSize(8);
+      doc.text('This is a computer generated invoice.', 20, yPosition);
+
+      return doc.output('blob');
+    } catch (error) {
+      console.error('Error generating invoice PDF:', error);
+      throw new Error('Failed to generate invoice PDF. Please try again.');
+    }
+  },
+
   /**
    * Download file with given content and filename
    * @param {Blob|string} content - File content
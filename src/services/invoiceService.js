@@ -0,0 +1,76 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * Invoice service for API calls
+ * Raises GST tax invoices from dispatched measurement sheets
+ */
+export const invoiceService = {
+  /**
+   * Create an invoice from a dispatched measurement sheet
+   * @param {string} measurementSheetId - Measurement sheet ID
+   * @param {Object} options - Invoice date, place of supply, discount, HSN code, GST rate and notes
+   * @returns {Promise<Object>} Created invoice with line items
+   */
+  async createInvoice(measurementSheetId, options = {}) {
+    try {
+      const response = await apiRequest.post(API_ENDPOINTS.INVOICES, {
+        ...options,
+        measurementSheetId
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating invoice:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get invoices
+   * @param {Object} filters - Optional customerId, measurementSheetId, status, page and limit
+   * @returns {Promise<Object>} Invoices and pagination
+   */
+  async getInvoices(filters = {}) {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.INVOICES, { params: filters });
+      return {
+        invoices: response.data.data,
+        pagination: response.data.pagination
+      };
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get invoice by ID
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Promise<Object>} Invoice with line items
+   */
+  async getInvoice(invoiceId) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.INVOICES}/${invoiceId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching invoice:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Cancel an issued invoice, unlocking its measurement sheet
+   * @param {string} invoiceId - Invoice ID
+   * @param {string} reason - Optional cancellation reason
+   * @returns {Promise<Object>} Cancelled invoice
+   */
+  async cancelInvoice(invoiceId, reason) {
+    try {
+      const response = await apiRequest.post(`${API_ENDPOINTS.INVOICES}/${invoiceId}/cancel`, { reason });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error cancelling invoice:', error);
+      throw error;
+    }
+  }
+};
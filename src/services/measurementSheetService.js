@@ -1,48 +1,57 @@
-import { API_BASE_URL, API_ENDPOINTS } from '../utils/constants';
-
-// Mock data for development when backend is not available
-const MOCK_DATA_ENABLED = true;
+import { apiRequest } from './api';
+import { offlineStore } from './offlineStore';
+import { syncService } from './syncService';
+import { API_ENDPOINTS, CALCULATION_MODES, MEASUREMENT_SHEET_STATUS } from '../utils/constants';
+import { OPERATION_TYPES, createTempId, isTempId } from '../utils/syncQueue';
+import { toMeasurementSheet, toSlabEntry } from '../utils/apiMappers';
+
+/**
+ * Keep the stored copy of a draft in step with a change to its slab entries
+ */
+const updateStoredEntries = (sheetId, update) => offlineStore.updateSheet(
+  syncService.resolveId(sheetId),
+  sheet => ({ ...sheet, slabEntries: update(sheet.slabEntries || []) })
+);
 
 // Measurement sheet service for API calls
+// Drafts and their slab entries are also kept in IndexedDB so measuring can carry on
+// without a connection; writes that cannot reach the server are queued by syncService
 export const measurementSheetService = {
   /**
    * Create a new measurement sheet
+   * Offline, the sheet gets a temporary ID and no number until the queue is replayed
    * @param {string} customerType - Customer type
    * @param {string} customerId - Customer ID
+   * @param {string} calculationMode - 'imperial' or 'metric', the customer's mode when omitted
    * @returns {Promise<Object>} - Created measurement sheet
    */
-  async createMeasurementSheet(customerType, customerId) {
-    if (MOCK_DATA_ENABLED) {
-      // Return mock data for development
-      return {
-        id: `ms_${Date.now()}`,
-        measurementSheetNumber: `MS-${String(Date.now()).slice(-4)}`,
-        customerType,
-        customerId,
-        status: 'draft',
-        createdAt: new Date().toISOString(),
-        slabEntries: []
-      };
-    }
+  async createMeasurementSheet(customerType, customerId, calculationMode) {
+    const tempId = createTempId();
 
     try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MEASUREMENT_SHEETS}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          customerType,
-          customerId,
-          status: 'draft'
-        }),
+      const result = await syncService.submit({
+        type: OPERATION_TYPES.CREATE_SHEET,
+        tempId,
+        sheetId: tempId,
+        payload: { customerType, customerId, calculationMode, status: MEASUREMENT_SHEET_STATUS.DRAFT }
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+      const sheet = result.queued
+        ? {
+          id: tempId,
+          measurementSheetNumber: null,
+          customerType,
+          customerId,
+          calculationMode: calculationMode || CALCULATION_MODES.IMPERIAL,
+          status: MEASUREMENT_SHEET_STATUS.DRAFT,
+          createdAt: new Date().toISOString(),
+          pendingSync: true
+        }
+        : toMeasurementSheet(result.data);
 
-      return await response.json();
+      const draft = { ...sheet, slabEntries: [] };
+      await offlineStore.putSheet(draft);
+      return draft;
     } catch (error) {
       console.error('Error creating measurement sheet:', error);
       throw error;
@@ -51,101 +60,117 @@ export const measurementSheetService = {
 
   /**
    * Get measurement sheet by ID
+   * The stored draft is returned for sheets that only exist on this device, while
+   * offline, and while queued changes to the sheet have not reached the server
    * @param {string} id - Measurement sheet ID
    * @returns {Promise<Object>} - Measurement sheet data
    */
   async getMeasurementSheet(id) {
-    try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}`);
+    const sheetId = syncService.resolveId(id);
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+    if (isTempId(sheetId) || offline || await syncService.hasPendingChanges(sheetId)) {
+      const storedSheet = await offlineStore.getSheet(sheetId);
+      if (storedSheet) {
+        return storedSheet;
       }
+    }
 
-      return await response.json();
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${sheetId}`);
+      return toMeasurementSheet(response.data.data);
     } catch (error) {
       console.error('Error fetching measurement sheet:', error);
-      // For development, return mock data
-      return {
-        id,
-        measurementSheetNumber: `MS-${String(Date.now()).slice(-4)}`,
-        customerType: 'retail',
-        customerId: 'customer_1',
-        status: 'draft',
-        createdAt: new Date().toISOString(),
-        customer: {
-          id: 'customer_1',
-          name: 'Sample Customer',
-          phoneNumber: '123-456-7890',
-          email: 'customer@example.com',
-          address: '123 Main St, City, State'
-        },
-        slabEntries: []
-      };
+
+      // The server could not be reached; carry on with the copy kept on this device
+      const storedSheet = error.response ? null : await offlineStore.getSheet(sheetId);
+      if (storedSheet) {
+        return storedSheet;
+      }
+      throw error;
     }
   },
 
   /**
-   * Update measurement sheet
+   * Move a measurement sheet to another status
+   * The server refuses moves the sheet lifecycle does not allow (409) and statuses the
+   * user's role cannot set (403), so errors are passed on rather than hidden. Offline,
+   * the move is queued and shown on the stored draft
    * @param {string} id - Measurement sheet ID
-   * @param {Object} data - Update data
+   * @param {Object} data - { status, reason }; cancelling needs a reason
    * @returns {Promise<Object>} - Updated measurement sheet
    */
   async updateMeasurementSheet(id, data) {
     try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data),
-      });
+      const result = await syncService.submit({ type: OPERATION_TYPES.UPDATE_SHEET_STATUS, sheetId: id, payload: data });
+      const sheetId = result.operation.sheetId;
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (result.queued) {
+        const storedSheet = await offlineStore.updateSheet(sheetId, sheet => ({ ...sheet, status: data.status, pendingSync: true }));
+        return storedSheet || { id: sheetId, ...data };
       }
 
-      return await response.json();
+      // Only drafts are kept on the device
+      if (data.status !== MEASUREMENT_SHEET_STATUS.DRAFT) {
+        await offlineStore.deleteSheet(sheetId);
+      }
+      return toMeasurementSheet(result.data);
     } catch (error) {
       console.error('Error updating measurement sheet:', error);
-      // For development, return success
-      return { success: true, id, ...data };
+      throw error;
     }
   },
 
   /**
    * Add slab entry to measurement sheet
    * @param {string} sheetId - Measurement sheet ID
-   * @param {Object} slabEntry - Slab entry data
-   * @returns {Promise<Object>} - Created slab entry
+   * @param {Object} slabEntry - Slab entry data; a temporary `id` from the form is not sent
+   * @returns {Promise<Object>} - Created slab entry, with a temporary ID when queued
    */
   async addSlabEntry(sheetId, slabEntry) {
-    try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.SLAB_ENTRIES}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          ...slabEntry,
-          measurementSheetId: sheetId
-        }),
-      });
+    const { id, ...entry } = slabEntry;
+    const tempId = createTempId();
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+    try {
+      const result = await syncService.submit({ type: OPERATION_TYPES.ADD_SLAB_ENTRY, tempId, sheetId, payload: entry });
+      const created = result.queued
+        ? { ...entry, id: tempId, measurementSheetId: result.operation.sheetId, createdAt: new Date().toISOString(), pendingSync: true }
+        : toSlabEntry(result.data);
 
-      return await response.json();
+      await updateStoredEntries(sheetId, entries => [...entries, created]);
+      return created;
     } catch (error) {
       console.error('Error adding slab entry:', error);
-      // For development, return mock data
-      return {
-        ...slabEntry,
-        id: `slab_${Date.now()}_${Math.random()}`,
-        measurementSheetId: sheetId,
-        createdAt: new Date().toISOString()
-      };
+      throw error;
+    }
+  },
+
+  /**
+   * Add several slab entries to a measurement sheet in one transaction
+   * Either every entry is added or none are; offline the whole batch is queued
+   * @param {string} sheetId - Measurement sheet ID
+   * @param {Array<Object>} slabEntries - Slab entry data
+   * @returns {Promise<Array>} - Created slab entries
+   */
+  async batchAddSlabEntries(sheetId, slabEntries) {
+    const tempIds = slabEntries.map(() => createTempId());
+
+    try {
+      const result = await syncService.submit({
+        type: OPERATION_TYPES.BATCH_ADD_SLAB_ENTRIES,
+        sheetId,
+        tempIds,
+        payload: { slabEntries }
+      });
+      const created = result.queued
+        ? slabEntries.map((entry, index) => ({ ...entry, id: tempIds[index], measurementSheetId: result.operation.sheetId, pendingSync: true }))
+        : result.data.map(toSlabEntry);
+
+      await updateStoredEntries(sheetId, entries => [...entries, ...created]);
+      return created;
+    } catch (error) {
+      console.error('Error importing slab entries:', error);
+      throw error;
     }
   },
 
@@ -153,50 +178,45 @@ export const measurementSheetService = {
    * Update slab entry
    * @param {string} entryId - Slab entry ID
    * @param {Object} slabEntry - Updated slab entry data
+   * @param {string} sheetId - Measurement sheet ID, the entry's own when omitted
    * @returns {Promise<Object>} - Updated slab entry
    */
-  async updateSlabEntry(entryId, slabEntry) {
-    try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.SLAB_ENTRIES}/${entryId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(slabEntry),
-      });
+  async updateSlabEntry(entryId, slabEntry, sheetId = slabEntry.measurementSheetId) {
+    const { id, ...entry } = slabEntry;
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      return await response.json();
+    try {
+      const result = await syncService.submit({ type: OPERATION_TYPES.UPDATE_SLAB_ENTRY, sheetId, entryId, payload: entry });
+      const updated = result.queued
+        ? { ...slabEntry, id: entryId, pendingSync: true }
+        : toSlabEntry(result.data);
+
+      await updateStoredEntries(sheetId, entries => entries.map(stored => (
+        stored.id === entryId || stored.id === result.operation.entryId ? { ...stored, ...updated } : stored
+      )));
+      return updated;
     } catch (error) {
       console.error('Error updating slab entry:', error);
-      // For development, return success
-      return { ...slabEntry, id: entryId };
+      throw error;
     }
   },
 
   /**
    * Delete slab entry
    * @param {string} entryId - Slab entry ID
+   * @param {string} sheetId - Measurement sheet ID, for the stored draft
    * @returns {Promise<Object>} - Delete result
    */
-  async deleteSlabEntry(entryId) {
+  async deleteSlabEntry(entryId, sheetId) {
     try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.SLAB_ENTRIES}/${entryId}`, {
-        method: 'DELETE',
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+      const result = await syncService.submit({ type: OPERATION_TYPES.DELETE_SLAB_ENTRY, sheetId, entryId });
 
-      return await response.json();
+      await updateStoredEntries(sheetId, entries => entries.filter(stored => (
+        stored.id !== entryId && stored.id !== result.operation.entryId
+      )));
+      return { success: true, id: entryId, queued: result.queued };
     } catch (error) {
       console.error('Error deleting slab entry:', error);
-      // For development, return success
-      return { success: true, id: entryId };
+      throw error;
     }
   },
 
@@ -207,56 +227,19 @@ export const measurementSheetService = {
    */
   async searchMeasurementSheets(criteria = {}) {
     try {
-      const queryParams = new URLSearchParams();
-      
-      // Add all criteria to query params
-      Object.keys(criteria).forEach(key => {
+      // Only the criteria that are set are sent
+      const params = Object.keys(criteria).reduce((result, key) => {
         if (criteria[key] !== undefined && criteria[key] !== null && criteria[key] !== '') {
-          queryParams.append(key, criteria[key]);
+          result[key] = criteria[key];
         }
-      });
-
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MEASUREMENT_SHEETS}?${queryParams}`);
+        return result;
+      }, {});
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      return await response.json();
+      const response = await apiRequest.get(API_ENDPOINTS.MEASUREMENT_SHEETS, { params });
+      return response.data;
     } catch (error) {
       console.error('Error searching measurement sheets:', error);
-      // For development, return mock paginated data
-      return {
-        success: true,
-        data: [
-          {
-            id: 'ms_1',
-            measurement_sheet_number: 'MS-0001',
-            customer_name: 'John Doe',
-            customer_phone: '123-456-7890',
-            customer_type: 'Retail',
-            total_square_feet: 125.50,
-            status: 'completed',
-            created_at: new Date().toISOString()
-          },
-          {
-            id: 'ms_2',
-            measurement_sheet_number: 'MS-0002',
-            customer_name: 'Jane Smith',
-            customer_phone: '098-765-4321',
-            customer_type: 'Granite Shops',
-            total_square_feet: 89.25,
-            status: 'draft',
-            created_at: new Date(Date.now() - 86400000).toISOString()
-          }
-        ],
-        pagination: {
-          page: 1,
-          limit: 50,
-          total: 2,
-          pages: 1
-        }
-      };
+      throw error;
     }
   },
 
@@ -267,19 +250,61 @@ export const measurementSheetService = {
    */
   async deleteMeasurementSheet(id) {
     try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}`, {
-        method: 'DELETE',
-      });
+      const response = await apiRequest.delete(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}`);
+      await offlineStore.deleteSheet(id);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting measurement sheet:', error);
+      throw error;
+    }
+  },
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  /**
+   * Amend an approved or dispatched measurement sheet
+   * The server creates the next revision (MS-0042-R1, ...) as a draft copy of the sheet
+   * @param {string} id - Measurement sheet ID
+   * @returns {Promise<Object>} - The new revision
+   */
+  async amendMeasurementSheet(id) {
+    try {
+      const response = await apiRequest.post(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}/amend`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error amending measurement sheet:', error);
+      throw error;
+    }
+  },
 
-      return await response.json();
+  /**
+   * Compare a revision's slab entries with an earlier revision of the same sheet
+   * @param {string} id - Revision to compare
+   * @param {string} baseId - Earlier revision, the one it amends when omitted
+   * @returns {Promise<Object>} - { base, revision, lines, summary }
+   */
+  async getRevisionDiff(id, baseId) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}/diff`, {
+        params: baseId ? { base: baseId } : {}
+      });
+      return response.data.data;
     } catch (error) {
-      console.error('Error deleting measurement sheet:', error);
-      // For development, return success
-      return { success: true, message: 'Measurement sheet deleted successfully' };
+      console.error('Error comparing measurement sheet revisions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get dashboard statistics
+   * @param {Object} range - { from, to, interval }; the last 30 days by day when omitted
+   * @returns {Promise<Object>} - Overall counts by status, with timeSeries and categoryMix for the range
+   */
+  async getStatistics(range = {}) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/statistics`, { params: range });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching measurement sheet statistics:', error);
+      throw error;
     }
   },
 
@@ -290,13 +315,10 @@ export const measurementSheetService = {
    */
   async exportToPDF(id) {
     try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}/export/pdf`);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      return await response.blob();
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}/export/pdf`, {
+        responseType: 'blob'
+      });
+      return response.data;
     } catch (error) {
       console.error('Error exporting to PDF:', error);
       throw error;
@@ -310,15 +332,48 @@ export const measurementSheetService = {
    */
   async exportToCSV(id) {
     try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}/export/csv`);
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}/export/csv`, {
+        responseType: 'text'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting to CSV:', error);
+      throw error;
+    }
+  },
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  /**
+   * Export measurement sheet to an Excel workbook
+   * @param {string} id - Measurement sheet ID
+   * @returns {Promise<Blob>} - XLSX blob
+   */
+  async exportToXLSX(id) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${id}/export/xlsx`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting to XLSX:', error);
+      throw error;
+    }
+  },
 
-      return await response.text();
+  /**
+   * Export every measurement sheet matching the list filters to one Excel workbook
+   * @param {Object} filters - search, customerType, status, startDate and endDate
+   * @returns {Promise<Blob>} - XLSX blob with a summary worksheet and one worksheet per sheet
+   */
+  async exportSheetsToXLSX(filters = {}) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/export/xlsx`, {
+        params: filters,
+        responseType: 'blob',
+        timeout: 60000
+      });
+      return response.data;
     } catch (error) {
-      console.error('Error exporting to CSV:', error);
+      console.error('Error exporting measurement sheets to XLSX:', error);
       throw error;
     }
   }
@@ -0,0 +1,147 @@
+/**
+ * IndexedDB storage for offline measurement entry
+ * Keeps draft sheets with their slab entries, the queue of writes waiting for the
+ * server, the temporary to server ID map and unresolved sync conflicts. Where IndexedDB
+ * is missing (old browsers, tests) every read comes back empty and writes are dropped
+ */
+
+const DB_NAME = 'granite-measurement-offline';
+const DB_VERSION = 1;
+
+export const STORES = {
+  SHEETS: 'sheets',
+  QUEUE: 'queue',
+  ID_MAP: 'idMap',
+  CONFLICTS: 'conflicts'
+};
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(STORES.SHEETS, { keyPath: 'id' });
+        db.createObjectStore(STORES.QUEUE, { keyPath: 'seq', autoIncrement: true });
+        db.createObjectStore(STORES.ID_MAP, { keyPath: 'tempId' });
+        db.createObjectStore(STORES.CONFLICTS, { keyPath: 'id', autoIncrement: true });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Offline storage is unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run one request against a store; resolves to `fallback` when storage is unavailable
+ */
+const withStore = async (storeName, mode, run, fallback = null) => {
+  const db = await openDatabase();
+  if (!db) {
+    return fallback;
+  }
+
+  const transaction = db.transaction(storeName, mode);
+  return promisify(run(transaction.objectStore(storeName)));
+};
+
+export const offlineStore = {
+  /**
+   * Get a stored draft sheet with its slab entries
+   */
+  getSheet(id) {
+    return withStore(STORES.SHEETS, 'readonly', store => store.get(id), null).then(sheet => sheet || null);
+  },
+
+  putSheet(sheet) {
+    return withStore(STORES.SHEETS, 'readwrite', store => store.put(sheet));
+  },
+
+  deleteSheet(id) {
+    return withStore(STORES.SHEETS, 'readwrite', store => store.delete(id));
+  },
+
+  /**
+   * Change a stored sheet; does nothing when the sheet is not stored
+   * @param {string} id - Sheet ID
+   * @param {Function} update - Receives the stored sheet and returns the new one
+   * @returns {Promise<Object|null>} - The stored sheet after the change
+   */
+  async updateSheet(id, update) {
+    const sheet = await offlineStore.getSheet(id);
+    if (!sheet) {
+      return null;
+    }
+
+    const updated = update(sheet);
+    await offlineStore.putSheet(updated);
+    return updated;
+  },
+
+  /**
+   * Queued operations, oldest first
+   */
+  getQueue() {
+    return withStore(STORES.QUEUE, 'readonly', store => store.getAll(), []);
+  },
+
+  /**
+   * Store an operation; new operations get the next sequence number
+   * @returns {Promise<number>} - The operation's seq
+   */
+  putOperation(operation) {
+    return withStore(STORES.QUEUE, 'readwrite', store => store.put(operation));
+  },
+
+  deleteOperation(seq) {
+    return withStore(STORES.QUEUE, 'readwrite', store => store.delete(seq));
+  },
+
+  /**
+   * Every temporary ID that has a server ID, as { tempId: serverId }
+   */
+  async getIdMap() {
+    const mappings = await withStore(STORES.ID_MAP, 'readonly', store => store.getAll(), []);
+    return mappings.reduce((idMap, mapping) => {
+      idMap[mapping.tempId] = mapping.serverId;
+      return idMap;
+    }, {});
+  },
+
+  putIdMapping(tempId, serverId) {
+    return withStore(STORES.ID_MAP, 'readwrite', store => store.put({ tempId, serverId }));
+  },
+
+  getConflicts() {
+    return withStore(STORES.CONFLICTS, 'readonly', store => store.getAll(), []);
+  },
+
+  addConflict(conflict) {
+    return withStore(STORES.CONFLICTS, 'readwrite', store => store.add(conflict));
+  },
+
+  deleteConflict(id) {
+    return withStore(STORES.CONFLICTS, 'readwrite', store => store.delete(id));
+  }
+};
@@ -0,0 +1,92 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * Payment service for API calls
+ * Records customer payments and reads the customer ledger they are credited on
+ */
+export const paymentService = {
+  /**
+   * Record a payment from a customer
+   * @param {Object} payment - customerId, amount, mode, reference, paymentDate, notes and an optional measurementSheetId
+   * @returns {Promise<Object>} Recorded payment
+   */
+  async recordPayment(payment) {
+    try {
+      const response = await apiRequest.post(API_ENDPOINTS.PAYMENTS, payment);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a customer's payments, newest first
+   * @param {string} customerId - Customer ID
+   * @param {Object} filters - Optional measurementSheetId
+   * @returns {Promise<Array>} Payments
+   */
+  async getPayments(customerId, filters = {}) {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.PAYMENTS, {
+        params: { ...filters, customerId }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a payment recorded by mistake
+   * @param {string} paymentId - Payment ID
+   */
+  async deletePayment(paymentId) {
+    try {
+      const response = await apiRequest.delete(`${API_ENDPOINTS.PAYMENTS}/${paymentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting payment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a customer's running ledger
+   * @param {string} customerId - Customer ID
+   * @param {Object} range - Optional from and to dates (YYYY-MM-DD)
+   * @returns {Promise<Object>} Opening balance, entries with running balance, totals and closing balance
+   */
+  async getCustomerLedger(customerId, range = {}) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.CUSTOMERS}/${customerId}/ledger`, {
+        params: range
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching customer ledger:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download a customer's statement for a date range as a PDF rendered by the server
+   * @param {string} customerId - Customer ID
+   * @param {Object} range - Optional from and to dates (YYYY-MM-DD)
+   * @returns {Promise<Blob>} PDF blob
+   */
+  async exportStatementPDF(customerId, range = {}) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.CUSTOMERS}/${customerId}/statement/pdf`, {
+        params: range,
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting customer statement:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,72 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+import { pricingEngine } from '../utils/pricingEngine';
+
+/**
+ * Rate card service for API calls
+ * Loads the per square foot rates used to price slab entries
+ */
+export const rateCardService = {
+  /**
+   * Get active rate cards
+   * @param {Object} filters - Optional customerType and slabCategory filters
+   * @returns {Promise<Array>} Array of rate cards
+   */
+  async getRateCards(filters = {}) {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.RATE_CARDS, { params: filters });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching rate cards:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Load rate cards from the API into the pricing engine
+   * Slabs stay unpriced when the API is unavailable
+   * @returns {Promise<Array>} Rate cards now active in the pricing engine
+   */
+  async loadRateCards() {
+    try {
+      const rateCards = await this.getRateCards();
+      pricingEngine.setRateCards(rateCards);
+      return pricingEngine.getRateCards();
+    } catch (error) {
+      console.warn('Rate cards unavailable, slab amounts will not be calculated:', error.message);
+      pricingEngine.resetRateCards();
+      return [];
+    }
+  },
+
+  /**
+   * Create a rate card
+   * @param {Object} rateCardData - Customer type, slab category, material, rate and effective date
+   * @returns {Promise<Object>} Created rate card
+   */
+  async createRateCard(rateCardData) {
+    try {
+      const response = await apiRequest.post(API_ENDPOINTS.RATE_CARDS, rateCardData);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating rate card:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a rate card
+   * @param {string} rateCardId - Rate card ID
+   * @param {Object} rateCardData - Updated rate, material, effective date or active flag
+   * @returns {Promise<Object>} Updated rate card
+   */
+  async updateRateCard(rateCardId, rateCardData) {
+    try {
+      const response = await apiRequest.put(`${API_ENDPOINTS.RATE_CARDS}/${rateCardId}`, rateCardData);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating rate card:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,79 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * Report service for API calls
+ * Sales analytics over the slab entries of sold measurement sheets, and the area their
+ * pricing rules deduct from the gross slab size
+ */
+export const reportService = {
+  /**
+   * Get a sales report laid out as a pivot table
+   * @param {Object} query - from, to, interval, rows, columns and the customerType, slabCategory, blockNumber and customerId filters
+   * @returns {Promise<Object>} - { query, pivot } with the query as the server resolved it
+   */
+  async getSalesReport(query = {}) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.REPORTS}/sales`, { params: query });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching sales report:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download a sales report
+   * @param {Object} query - The report query, plus measure for CSV
+   * @param {string} format - 'csv' for one measure or 'xlsx' for a workbook with every measure
+   * @returns {Promise<Blob>} - CSV or XLSX blob
+   */
+  async exportSalesReport(query = {}, format = 'xlsx') {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.REPORTS}/sales/export/${format}`, {
+        params: query,
+        responseType: 'blob',
+        timeout: 60000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting sales report:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a yield and wastage report: gross, billed and deducted area per row
+   * @param {Object} query - from, to, interval, rows and the sales report filters
+   * @returns {Promise<Object>} - { query, pivot } with totals only
+   */
+  async getWastageReport(query = {}) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.REPORTS}/wastage`, { params: query });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching wastage report:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download a yield and wastage report
+   * @param {Object} query - The report query
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Promise<Blob>} - CSV or XLSX blob
+   */
+  async exportWastageReport(query = {}, format = 'xlsx') {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.REPORTS}/wastage/export/${format}`, {
+        params: query,
+        responseType: 'blob',
+        timeout: 60000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting wastage report:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,70 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * Slab service for API calls
+ * Manages the slab stock ledger; slabs are reserved and dispatched through slab entries
+ */
+export const slabService = {
+  /**
+   * Get slabs in stock
+   * @param {Object} filters - Optional blockId, status, available, search and measurementSheetId filters
+   * @returns {Promise<Array>} Array of slabs
+   */
+  async getSlabs(filters = {}) {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.SLABS, { params: filters });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching slabs:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a slab with its movement history
+   * @param {string} slabId - Slab ID
+   * @returns {Promise<Object>} Slab with movements
+   */
+  async getSlab(slabId) {
+    try {
+      const response = await apiRequest.get(`${API_ENDPOINTS.SLABS}/${slabId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching slab:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Register slabs cut from a block
+   * @param {string} blockId - Block the slabs were cut from
+   * @param {Array} slabs - Slabs as { length, breadth, notes } in inches
+   * @returns {Promise<Array>} Registered slabs with their slab numbers
+   */
+  async registerSlabs(blockId, slabs) {
+    try {
+      const response = await apiRequest.post(API_ENDPOINTS.SLABS, { blockId, slabs });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error registering slabs:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Take back a dispatched slab
+   * @param {string} slabId - Slab ID
+   * @param {string} note - Reason for the return
+   * @returns {Promise<Object>} Returned slab
+   */
+  async returnSlab(slabId, note) {
+    try {
+      const response = await apiRequest.post(`${API_ENDPOINTS.SLABS}/${slabId}/return`, { note });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error returning slab:', error);
+      throw error;
+    }
+  }
+};
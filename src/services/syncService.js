@@ -0,0 +1,340 @@
+import { apiRequest } from './api';
+import { offlineStore } from './offlineStore';
+import { API_ENDPOINTS, MEASUREMENT_SHEET_STATUS } from '../utils/constants';
+import {
+  OPERATION_TYPES,
+  SYNC_OUTCOMES,
+  isTempId,
+  mergeIntoQueue,
+  resolveOperation,
+  classifySyncError,
+  describeOperation
+} from '../utils/syncQueue';
+
+// How often a queue that could not be sent is retried while the app is open
+const RETRY_INTERVAL = 30000;
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+let state = {
+  online: isOnline(),
+  pending: 0,
+  syncing: false,
+  conflicts: [],
+  idMap: {}
+};
+
+const listeners = new Set();
+let started = false;
+let replaying = null;
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener(state));
+};
+
+/**
+ * Reload the queue length, conflicts and ID map from storage
+ */
+const refresh = async () => {
+  const [queue, conflicts, idMap] = await Promise.all([
+    offlineStore.getQueue(),
+    offlineStore.getConflicts(),
+    offlineStore.getIdMap()
+  ]);
+  setState({ pending: queue.length, conflicts, idMap });
+  return queue;
+};
+
+/**
+ * Send one operation to the server
+ * Creates carry their temporary IDs as clientRef, so a create that is sent again after
+ * its response was lost returns what the first request created instead of a duplicate
+ * @returns {Promise<*>} - The response data: the created sheet or entry, or the updated one
+ */
+const sendOperation = async (operation) => {
+  const payload = operation.payload || {};
+  let response;
+
+  switch (operation.type) {
+    case OPERATION_TYPES.CREATE_SHEET:
+      response = await apiRequest.post(API_ENDPOINTS.MEASUREMENT_SHEETS, { ...payload, clientRef: operation.tempId });
+      break;
+    case OPERATION_TYPES.ADD_SLAB_ENTRY:
+      response = await apiRequest.post(API_ENDPOINTS.SLAB_ENTRIES, {
+        ...payload,
+        measurementSheetId: operation.sheetId,
+        clientRef: operation.tempId
+      });
+      break;
+    case OPERATION_TYPES.BATCH_ADD_SLAB_ENTRIES:
+      response = await apiRequest.post(`${API_ENDPOINTS.SLAB_ENTRIES}/batch`, {
+        measurementSheetId: operation.sheetId,
+        slabEntries: (payload.slabEntries || []).map((entry, index) => ({
+          ...entry,
+          clientRef: (operation.tempIds || [])[index]
+        }))
+      });
+      break;
+    case OPERATION_TYPES.UPDATE_SLAB_ENTRY:
+      response = await apiRequest.put(`${API_ENDPOINTS.SLAB_ENTRIES}/${operation.entryId}`, payload);
+      break;
+    case OPERATION_TYPES.DELETE_SLAB_ENTRY:
+      response = await apiRequest.delete(`${API_ENDPOINTS.SLAB_ENTRIES}/${operation.entryId}`);
+      break;
+    case OPERATION_TYPES.UPDATE_SHEET_STATUS:
+      response = await apiRequest.put(`${API_ENDPOINTS.MEASUREMENT_SHEETS}/${operation.sheetId}`, payload);
+      break;
+    default:
+      throw new Error(`Unknown sync operation: ${operation.type}`);
+  }
+
+  return response.data.data;
+};
+
+/**
+ * Record the server IDs a replayed operation produced and bring the stored draft in line
+ * @returns {Promise<Object>} - The updated ID map
+ */
+const applyReplayResult = async (operation, data, idMap) => {
+  const nextMap = { ...idMap };
+  const renameEntries = (mapping) => (sheet) => ({
+    ...sheet,
+    slabEntries: (sheet.slabEntries || []).map(entry => (mapping[entry.id]
+      ? { ...entry, id: mapping[entry.id].id, serialNumber: mapping[entry.id].serial_number || entry.serialNumber, pendingSync: false }
+      : entry))
+  });
+
+  switch (operation.type) {
+    case OPERATION_TYPES.CREATE_SHEET: {
+      nextMap[operation.tempId] = data.id;
+      await offlineStore.putIdMapping(operation.tempId, data.id);
+
+      const draft = await offlineStore.getSheet(operation.tempId);
+      if (draft) {
+        await offlineStore.deleteSheet(operation.tempId);
+        await offlineStore.putSheet({
+          ...draft,
+          id: data.id,
+          measurementSheetNumber: data.measurement_sheet_number,
+          pendingSync: false,
+          slabEntries: (draft.slabEntries || []).map(entry => ({ ...entry, measurementSheetId: data.id }))
+        });
+      }
+      break;
+    }
+    case OPERATION_TYPES.ADD_SLAB_ENTRY:
+      nextMap[operation.tempId] = data.id;
+      await offlineStore.putIdMapping(operation.tempId, data.id);
+      await offlineStore.updateSheet(operation.sheetId, renameEntries({ [operation.tempId]: data }));
+      break;
+    case OPERATION_TYPES.BATCH_ADD_SLAB_ENTRIES: {
+      // The batch endpoint returns the created entries in the order they were sent
+      const mapping = {};
+      for (let index = 0; index < (operation.tempIds || []).length && index < data.length; index++) {
+        const tempId = operation.tempIds[index];
+        nextMap[tempId] = data[index].id;
+        mapping[tempId] = data[index];
+        await offlineStore.putIdMapping(tempId, data[index].id);
+      }
+      await offlineStore.updateSheet(operation.sheetId, renameEntries(mapping));
+      break;
+    }
+    case OPERATION_TYPES.UPDATE_SHEET_STATUS:
+      // Only drafts are kept on the device
+      if (operation.payload.status !== MEASUREMENT_SHEET_STATUS.DRAFT) {
+        await offlineStore.deleteSheet(operation.sheetId);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return nextMap;
+};
+
+const recordConflict = (operation, failure) => offlineStore.addConflict({
+  operation,
+  description: describeOperation(operation),
+  status: failure.status || null,
+  message: failure.message,
+  details: failure.details || [],
+  occurredAt: new Date().toISOString()
+});
+
+/**
+ * Sync service for offline measurement entry
+ * Writes go straight to the server when it can be reached and nothing is waiting in the
+ * queue; otherwise they are queued in IndexedDB and replayed in order on reconnect
+ */
+export const syncService = {
+  /**
+   * Listen for online/offline changes and retry the queue; called once at startup
+   */
+  start() {
+    if (started || typeof window === 'undefined') {
+      return;
+    }
+    started = true;
+
+    window.addEventListener('online', () => {
+      setState({ online: true });
+      syncService.replay();
+    });
+    window.addEventListener('offline', () => setState({ online: false }));
+    setInterval(() => {
+      if (state.pending > 0) {
+        syncService.replay();
+      }
+    }, RETRY_INTERVAL);
+
+    refresh().then(() => syncService.replay());
+  },
+
+  /**
+   * Subscribe to { online, pending, syncing, conflicts, idMap }
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(state);
+    return () => listeners.delete(listener);
+  },
+
+  getState() {
+    return state;
+  },
+
+  /**
+   * The server ID for a temporary ID once its create has been replayed
+   */
+  resolveId(id) {
+    return isTempId(id) && state.idMap[id] ? state.idMap[id] : id;
+  },
+
+  /**
+   * Check whether queued writes still have to reach the server for a sheet
+   */
+  async hasPendingChanges(sheetId) {
+    const queue = await offlineStore.getQueue();
+    const id = syncService.resolveId(sheetId);
+    return queue.some(operation => syncService.resolveId(operation.sheetId) === id);
+  },
+
+  /**
+   * Send a write now, or queue it when the server cannot be reached
+   * Errors the server answers with are passed on; only unreachable servers queue
+   * @param {Object} operation - { type, sheetId, entryId, tempId, tempIds, payload }
+   * @returns {Promise<Object>} - { queued, data, operation } with the IDs resolved
+   */
+  async submit(operation) {
+    const queue = await offlineStore.getQueue();
+    const { operation: resolved, unresolved } = resolveOperation(operation, state.idMap);
+
+    if (isOnline() && queue.length === 0 && unresolved.length === 0) {
+      try {
+        const data = await sendOperation(resolved);
+        return { queued: false, data, operation: resolved };
+      } catch (error) {
+        if (error.response) {
+          throw error;
+        }
+      }
+    }
+
+    await syncService.enqueue(resolved);
+    return { queued: true, data: null, operation: resolved };
+  },
+
+  /**
+   * Add an operation to the queue, folding it into queued changes where possible
+   */
+  async enqueue(operation) {
+    const queue = await offlineStore.getQueue();
+    const { put, remove } = mergeIntoQueue(queue, { ...operation, queuedAt: new Date().toISOString() });
+
+    for (const item of put) {
+      await offlineStore.putOperation(item);
+    }
+    for (const seq of remove) {
+      await offlineStore.deleteOperation(seq);
+    }
+
+    await refresh();
+    if (isOnline()) {
+      syncService.replay();
+    }
+  },
+
+  /**
+   * Replay the queue in order
+   * Stops at the first operation that cannot reach the server and keeps it for the next
+   * attempt. Operations the server refuses are moved to the conflict list, as are the
+   * ones that depend on a refused create
+   */
+  replay() {
+    if (replaying || !isOnline()) {
+      return replaying || Promise.resolve();
+    }
+
+    replaying = (async () => {
+      setState({ syncing: true });
+      let stalled = false;
+
+      try {
+        const queue = await offlineStore.getQueue();
+        let idMap = await offlineStore.getIdMap();
+
+        for (const queued of queue) {
+          const { operation, unresolved } = resolveOperation(queued, idMap);
+
+          if (unresolved.length > 0) {
+            await recordConflict(queued, {
+              message: 'It depends on a sheet or slab that could not be saved',
+              details: []
+            });
+          } else {
+            try {
+              const data = await sendOperation(operation);
+              idMap = await applyReplayResult(operation, data, idMap);
+            } catch (error) {
+              const failure = classifySyncError(error, operation);
+              if (failure.outcome === SYNC_OUTCOMES.RETRY) {
+                stalled = true;
+                break;
+              }
+              if (failure.outcome === SYNC_OUTCOMES.CONFLICT) {
+                await recordConflict(queued, failure);
+              }
+            }
+          }
+
+          await offlineStore.deleteOperation(queued.seq);
+        }
+      } catch (error) {
+        stalled = true;
+        console.error('Error syncing offline changes:', error);
+      } finally {
+        replaying = null;
+      }
+
+      const remaining = await refresh();
+      setState({ syncing: false });
+
+      // Writes queued while the replay ran go out straight away
+      if (!stalled && remaining.length > 0) {
+        await syncService.replay();
+      }
+    })();
+
+    return replaying;
+  },
+
+  /**
+   * Remove a conflict once the user has seen it
+   */
+  async dismissConflict(id) {
+    await offlineStore.deleteConflict(id);
+    await refresh();
+  }
+};
@@ -0,0 +1,53 @@
+import { apiRequest } from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+/**
+ * User service for API calls
+ * Manages sign in accounts and their roles; only owners can use these endpoints
+ */
+export const userService = {
+  /**
+   * Get all user accounts
+   * @returns {Promise<Array>} Array of users
+   */
+  async getUsers() {
+    try {
+      const response = await apiRequest.get(API_ENDPOINTS.USERS);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a user account
+   * @param {Object} userData - username, fullName, password and role
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(userData) {
+    try {
+      const response = await apiRequest.post(API_ENDPOINTS.USERS, userData);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a user's name, role or active flag, or reset their password
+   * @param {string} userId - User ID
+   * @param {Object} updates - Any of fullName, role, isActive and password
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateUser(userId, updates) {
+    try {
+      const response = await apiRequest.put(`${API_ENDPOINTS.USERS}/${userId}`, updates);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating user:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,335 @@
+/**
+ * Calculation rule interpreter shared by the React client and the Express server
+ * Written as CommonJS so the server can require it directly; keep it free of
+ * browser APIs and syntax that needs Babel runtime helpers (spread, async)
+ */
+
+const ROUNDING_DIRECTIONS = {
+  NONE: 'none',
+  DOWN: 'down',
+  UP: 'up',
+  NEAREST: 'nearest'
+};
+
+// Imperial sheets are measured in square feet; metric sheets also report square metres
+const CALCULATION_MODES = {
+  IMPERIAL: 'imperial',
+  METRIC: 'metric'
+};
+
+// Profile rules are written in inches, or in centimetres for metric sheets
+const RULE_UNITS = {
+  INCHES: 'in',
+  CENTIMETRES: 'cm'
+};
+
+const CM_PER_INCH = 2.54;
+const SQUARE_METRES_PER_SQUARE_FOOT = 0.09290304;
+
+const RULE_UNIT_NAMES = {
+  in: 'inches',
+  cm: 'cm'
+};
+
+/**
+ * Get the rule a profile defines for an axis
+ * Rules without a unit are inch rules
+ * @param {Object} profile - Calculation rule profile
+ * @param {string} axis - 'length' or 'breadth'
+ * @param {string} unit - One of RULE_UNITS, inches by default
+ * @returns {Object|null} - Axis rule or null when the axis is not adjusted
+ */
+const getAxisRule = (profile, axis, unit) => {
+  const ruleUnit = unit || RULE_UNITS.INCHES;
+  return (profile.rules || []).find(rule => rule.axis === axis && (rule.unit || RULE_UNITS.INCHES) === ruleUnit) || null;
+};
+
+/**
+ * Whether a profile has centimetre rules for metric sheets
+ * @param {Object} profile - Calculation rule profile
+ * @returns {boolean}
+ */
+const hasMetricRules = (profile) => {
+  return (profile.rules || []).some(rule => rule.unit === RULE_UNITS.CENTIMETRES);
+};
+
+/**
+ * Round a value to a multiple of the given step
+ * @param {number} value - Value after deduction
+ * @param {number} step - Rounding step (0 disables rounding)
+ * @param {string} direction - One of ROUNDING_DIRECTIONS
+ * @returns {number} - Rounded value
+ */
+const roundToStep = (value, step, direction) => {
+  if (!step || step <= 0 || !direction || direction === ROUNDING_DIRECTIONS.NONE) {
+    return value;
+  }
+
+  // Small tolerance keeps exact multiples stable against floating point error
+  const ratio = value / step;
+  const epsilon = 1e-9;
+
+  switch (direction) {
+    case ROUNDING_DIRECTIONS.DOWN:
+      return Math.floor(ratio + epsilon) * step;
+    case ROUNDING_DIRECTIONS.UP:
+      return Math.ceil(ratio - epsilon) * step;
+    case ROUNDING_DIRECTIONS.NEAREST:
+      return Math.round(ratio) * step;
+    default:
+      console.warn(`Unknown rounding direction: ${direction}, value left unrounded`);
+      return value;
+  }
+};
+
+/**
+ * Apply a profile axis rule to a dimension
+ * @param {number} value - Original dimension in the rule's unit
+ * @param {Object|null} rule - Axis rule from the profile
+ * @returns {number} - Processed dimension, never negative
+ */
+const applyAxisRule = (value, rule) => {
+  if (!rule) {
+    return value;
+  }
+
+  const deduction = parseFloat(rule.deduction) || 0;
+  const step = parseFloat(rule.roundingStep) || 0;
+
+  const deducted = value - deduction;
+  if (deducted <= 0) {
+    console.warn(`Dimension ${value} is not larger than the deduction of ${deduction} ${RULE_UNIT_NAMES[rule.unit] || RULE_UNIT_NAMES.in}, result will be 0`);
+    return 0;
+  }
+
+  const rounded = roundToStep(deducted, step, rule.roundingDirection);
+  return Math.max(Math.round(rounded * 100) / 100, 0);
+};
+
+/**
+ * Describe the rounding part of an axis rule
+ * @param {Object|null} rule - Axis rule
+ * @returns {string|null} - Human readable rounding description
+ */
+const describeRounding = (rule) => {
+  if (!rule || !rule.roundingStep || rule.roundingDirection === ROUNDING_DIRECTIONS.NONE) {
+    return null;
+  }
+
+  switch (rule.roundingDirection) {
+    case ROUNDING_DIRECTIONS.DOWN:
+      return `divisibility by ${rule.roundingStep}`;
+    case ROUNDING_DIRECTIONS.UP:
+      return `rounding up to a multiple of ${rule.roundingStep}`;
+    default:
+      return `rounding to the nearest multiple of ${rule.roundingStep}`;
+  }
+};
+
+/**
+ * Build the calculation step text for a single axis
+ * @param {string} label - 'Length' or 'Breadth'
+ * @param {number} original - Original dimension
+ * @param {number} final - Processed dimension
+ * @param {Object|null} rule - Axis rule
+ * @param {string} unit - One of RULE_UNITS, inches by default
+ * @returns {string} - Calculation step
+ */
+const describeAxisStep = (label, original, final, rule, unit) => {
+  if (!rule || (!rule.deduction && !describeRounding(rule))) {
+    return `${label}: ${original} ${RULE_UNIT_NAMES[unit] || RULE_UNIT_NAMES.in} (no adjustment)`;
+  }
+
+  const rounding = describeRounding(rule);
+  const deductionText = rule.deduction ? `${original} - ${rule.deduction} = ${original - rule.deduction}` : `${original}`;
+
+  return rounding
+    ? `${label}: ${deductionText}, adjusted for ${rounding} = ${final}`
+    : `${label}: ${deductionText}`;
+};
+
+/**
+ * Build the raw calculation formula for a profile
+ * @param {number|string} length - Original length (or 'Length' for a generic formula)
+ * @param {number|string} breadth - Original breadth (or 'Breadth' for a generic formula)
+ * @param {Object|null} lengthRule - Length axis rule
+ * @param {Object|null} breadthRule - Breadth axis rule
+ * @param {string} unit - One of RULE_UNITS; centimetre formulas give square metres
+ * @returns {string} - Formula text
+ */
+const buildRawCalculation = (length, breadth, lengthRule, breadthRule, unit) => {
+  const axisExpression = (value, rule) => (rule && rule.deduction ? `(${value} - ${rule.deduction})` : `${value}`);
+  const divisor = unit === RULE_UNITS.CENTIMETRES ? 10000 : 144;
+
+  const formula = `(${axisExpression(length, lengthRule)} × ${axisExpression(breadth, breadthRule)}) ÷ ${divisor}`;
+
+  const lengthRounding = describeRounding(lengthRule);
+  const breadthRounding = describeRounding(breadthRule);
+
+  if (lengthRounding && breadthRounding) {
+    return lengthRounding === breadthRounding
+      ? `${formula} (adjusted for ${lengthRounding})`
+      : `${formula} (length adjusted for ${lengthRounding}, breadth adjusted for ${breadthRounding})`;
+  }
+
+  if (lengthRounding) {
+    return `${formula} (length adjusted for ${lengthRounding})`;
+  }
+
+  if (breadthRounding) {
+    return `${formula} (breadth adjusted for ${breadthRounding})`;
+  }
+
+  return formula;
+};
+
+const roundTo = (value, places) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Area of a slab as measured, before any deduction or rounding
+ * The difference from the billed square feet is the area the profile's rules give away
+ * @param {number} length - Length in inches
+ * @param {number} breadth - Breadth in inches
+ * @returns {number} - Square feet to 2 decimal places
+ */
+const grossSquareFeet = (length, breadth) => roundTo((length * breadth) / 144, 2);
+
+/**
+ * Calculate square feet for a slab with the profile's inch rules
+ */
+const calculateImperial = (length, breadth, profile) => {
+  const lengthRule = getAxisRule(profile, 'length');
+  const breadthRule = getAxisRule(profile, 'breadth');
+
+  const finalLength = applyAxisRule(length, lengthRule);
+  const finalBreadth = applyAxisRule(breadth, breadthRule);
+
+  // Check for edge cases
+  if (finalLength === 0 || finalBreadth === 0) {
+    console.warn(`${profile.name} calculation resulted in zero dimensions`, {
+      originalLength: length,
+      originalBreadth: breadth,
+      finalLength,
+      finalBreadth
+    });
+  }
+
+  const squareInches = finalLength * finalBreadth;
+  const squareFeet = squareInches / 144;
+
+  // Validate calculation result
+  if (!isFinite(squareFeet) || squareFeet < 0) {
+    throw new Error('Invalid calculation result');
+  }
+
+  return {
+    finalLength,
+    finalBreadth,
+    squareFeet: Math.round(squareFeet * 100) / 100, // Round to 2 decimal places
+    grossSquareFeet: grossSquareFeet(length, breadth),
+    calculationSteps: [
+      describeAxisStep('Length', length, finalLength, lengthRule),
+      describeAxisStep('Breadth', breadth, finalBreadth, breadthRule),
+      `Square Inches: ${finalLength} × ${finalBreadth} = ${squareInches}`,
+      `Square Feet: ${squareInches} ÷ 144 = ${squareFeet.toFixed(2)}`
+    ],
+    rawCalculation: buildRawCalculation(length, breadth, lengthRule, breadthRule)
+  };
+};
+
+/**
+ * Calculate square metres for a slab with the profile's centimetre rules
+ * Final dimensions are returned in inches like every other calculation
+ */
+const calculateMetric = (length, breadth, profile) => {
+  const lengthRule = getAxisRule(profile, 'length', RULE_UNITS.CENTIMETRES);
+  const breadthRule = getAxisRule(profile, 'breadth', RULE_UNITS.CENTIMETRES);
+
+  const lengthCm = roundTo(length * CM_PER_INCH, 2);
+  const breadthCm = roundTo(breadth * CM_PER_INCH, 2);
+  const finalLengthCm = applyAxisRule(lengthCm, lengthRule);
+  const finalBreadthCm = applyAxisRule(breadthCm, breadthRule);
+
+  if (finalLengthCm === 0 || finalBreadthCm === 0) {
+    console.warn(`${profile.name} calculation resulted in zero dimensions`, {
+      originalLength: lengthCm,
+      originalBreadth: breadthCm,
+      finalLength: finalLengthCm,
+      finalBreadth: finalBreadthCm
+    });
+  }
+
+  const squareCentimetres = roundTo(finalLengthCm * finalBreadthCm, 4);
+  const squareMetres = squareCentimetres / 10000;
+
+  if (!isFinite(squareMetres) || squareMetres < 0) {
+    throw new Error('Invalid calculation result');
+  }
+
+  const squareFeet = squareMetres / SQUARE_METRES_PER_SQUARE_FOOT;
+
+  return {
+    finalLength: roundTo(finalLengthCm / CM_PER_INCH, 4),
+    finalBreadth: roundTo(finalBreadthCm / CM_PER_INCH, 4),
+    squareFeet: roundTo(squareFeet, 2),
+    grossSquareFeet: grossSquareFeet(length, breadth),
+    squareMetres: roundTo(squareMetres, 3),
+    calculationSteps: [
+      describeAxisStep('Length', lengthCm, finalLengthCm, lengthRule, RULE_UNITS.CENTIMETRES),
+      describeAxisStep('Breadth', breadthCm, finalBreadthCm, breadthRule, RULE_UNITS.CENTIMETRES),
+      `Square Centimetres: ${finalLengthCm} × ${finalBreadthCm} = ${squareCentimetres}`,
+      `Square Metres: ${squareCentimetres} ÷ 10000 = ${squareMetres.toFixed(3)}`,
+      `Square Feet: ${squareMetres.toFixed(3)} ÷ ${SQUARE_METRES_PER_SQUARE_FOOT} = ${squareFeet.toFixed(2)}`
+    ],
+    rawCalculation: buildRawCalculation(lengthCm, breadthCm, lengthRule, breadthRule, RULE_UNITS.CENTIMETRES)
+  };
+};
+
+/**
+ * Calculate square feet for a slab using a calculation rule profile
+ * In metric mode the profile's centimetre rules are applied and square metres
+ * are added to the result. A profile without centimetre rules is calculated
+ * with its inch rules and the square feet converted
+ * @param {number} length - Length in inches
+ * @param {number} breadth - Breadth in inches
+ * @param {Object} profile - Calculation rule profile
+ * @param {string} mode - One of CALCULATION_MODES, imperial by default
+ * @returns {Object} - Calculation result with details
+ */
+const calculateWithProfile = (length, breadth, profile, mode) => {
+  try {
+    if (mode !== CALCULATION_MODES.METRIC) {
+      return calculateImperial(length, breadth, profile);
+    }
+
+    if (hasMetricRules(profile)) {
+      return calculateMetric(length, breadth, profile);
+    }
+
+    const result = calculateImperial(length, breadth, profile);
+    const squareMetres = (result.finalLength * result.finalBreadth / 144) * SQUARE_METRES_PER_SQUARE_FOOT;
+
+    result.squareMetres = roundTo(squareMetres, 3);
+    result.calculationSteps.push(`Square Metres: ${result.squareFeet} × ${SQUARE_METRES_PER_SQUARE_FOOT} = ${squareMetres.toFixed(3)}`);
+    return result;
+  } catch (error) {
+    console.error(`Error in ${profile.name} calculation:`, error);
+    throw new Error(`${profile.name} calculation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  ROUNDING_DIRECTIONS,
+  CALCULATION_MODES,
+  RULE_UNITS,
+  SQUARE_METRES_PER_SQUARE_FOOT,
+  getAxisRule,
+  hasMetricRules,
+  applyAxisRule,
+  buildRawCalculation,
+  grossSquareFeet,
+  calculateWithProfile
+};
@@ -0,0 +1,47 @@
+/**
+ * Customer type identifier helpers shared by the React client and the Express server
+ * Customer types are identified by a snake_case key ('granite_shops'); display labels
+ * ('Granite Shops') are accepted anywhere a key is expected and resolved to the key.
+ * Written as CommonJS so the server can require it directly
+ */
+
+/**
+ * Normalize a customer type label or key to key form
+ * e.g. 'Granite Shops' -> 'granite_shops'
+ * @param {string} customerType - Customer type label or key
+ * @returns {string} - Normalized key
+ */
+const toCustomerTypeCode = (customerType) => {
+  return String(customerType || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+};
+
+/**
+ * Find the registry entry for a customer type given its key or display label
+ * Matches the exact key first, then the label, then the normalized form of either
+ * so 'Granite Shops' resolves to the 'granite_shops' entry labelled 'Granite Shops (Wholesalers)'
+ * @param {Array<Object>} registry - Customer types with `key` and `label`
+ * @param {string} value - Customer type key or label
+ * @returns {Object|null} - Matching registry entry or null
+ */
+const resolveCustomerType = (registry, value) => {
+  if (!value || typeof value !== 'string' || !Array.isArray(registry)) {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase();
+  const code = toCustomerTypeCode(value);
+
+  return registry.find(entry => entry.key === value.trim()) ||
+    registry.find(entry => String(entry.label || '').toLowerCase() === text) ||
+    registry.find(entry => entry.key === code || toCustomerTypeCode(entry.label) === code) ||
+    null;
+};
+
+module.exports = {
+  toCustomerTypeCode,
+  resolveCustomerType
+};
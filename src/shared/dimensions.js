@@ -0,0 +1,233 @@
+/**
+ * Dimension parsing and formatting shared by the React client and the Express server
+ * Tape readings are entered as decimal inches (72.5), fractions (72 1/2),
+ * feet and inches (6'2") or metric (183 cm, 1830 mm). Everything is
+ * normalised to inches, the unit slabs are stored and calculated in.
+ * Written as CommonJS so the server can require it directly
+ */
+
+const DIMENSION_UNITS = {
+  INCHES: 'in',
+  FEET_INCHES: 'ft_in',
+  CENTIMETRES: 'cm',
+  MILLIMETRES: 'mm'
+};
+
+const DIMENSION_UNIT_LABELS = {
+  in: 'Inches',
+  ft_in: 'Feet and inches',
+  cm: 'Centimetres',
+  mm: 'Millimetres'
+};
+
+const CM_PER_INCH = 2.54;
+const MM_PER_INCH = 25.4;
+
+// Readings are kept to a ten-thousandth of an inch, enough for 1/16" and for mm
+const INCH_PRECISION = 10000;
+
+// Inches are formatted as fractions down to a sixteenth
+const FRACTION_DENOMINATOR = 16;
+
+const UNICODE_FRACTIONS = {
+  '¼': ' 1/4',
+  '½': ' 1/2',
+  '¾': ' 3/4',
+  '⅛': ' 1/8',
+  '⅜': ' 3/8',
+  '⅝': ' 5/8',
+  '⅞': ' 7/8'
+};
+
+const DECIMAL_PATTERN = /^\d+(?:\.\d+)?$/;
+const FRACTION_PATTERN = /^(?:(\d+)(?:\s+|-))?(\d+)\/(\d+)$/;
+const INCH_MARK = '(?:"|in|inch|inches)';
+const FOOT_MARK = "(?:'|ft|foot|feet)";
+const METRIC_PATTERN = /^(\d+(?:\.\d+)?)\s*(cm|mm)$/;
+const FEET_INCHES_PATTERN = new RegExp(`^(\\d+(?:\\.\\d+)?)\\s*${FOOT_MARK}\\s*(?:([\\d./\\s-]*?)\\s*${INCH_MARK}?)?$`);
+const INCHES_PATTERN = new RegExp(`^([\\d./\\s-]+?)\\s*${INCH_MARK}?$`);
+
+const roundInches = (value) => Math.round(value * INCH_PRECISION) / INCH_PRECISION;
+
+/**
+ * Read a number of inches written as a decimal or a (mixed) fraction
+ * @returns {number|null}
+ */
+const parseInchesNumber = (text) => {
+  const value = text.trim();
+
+  if (DECIMAL_PATTERN.test(value)) {
+    return parseFloat(value);
+  }
+
+  const fraction = value.match(FRACTION_PATTERN);
+  if (fraction) {
+    const denominator = parseInt(fraction[3], 10);
+    if (denominator === 0) {
+      return null;
+    }
+    return (fraction[1] ? parseInt(fraction[1], 10) : 0) + parseInt(fraction[2], 10) / denominator;
+  }
+
+  return null;
+};
+
+/**
+ * Normalise quote marks, unicode fractions and case before parsing
+ */
+const normalizeText = (input) => {
+  let text = String(input).trim().toLowerCase()
+    .replace(/[″”“]/g, '"')
+    .replace(/[′’‘`]/g, "'")
+    .replace(/''/g, '"');
+
+  Object.keys(UNICODE_FRACTIONS).forEach(symbol => {
+    text = text.split(symbol).join(UNICODE_FRACTIONS[symbol]);
+  });
+
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Parse a dimension as entered
+ * A bare number is read in the default unit
+ * @param {string|number} input - Entered dimension, e.g. 72, "72 1/2", "6'2\"", "183 cm"
+ * @param {string} defaultUnit - Unit of a bare number: 'in' (default), 'cm' or 'mm'
+ * @returns {Object|null} - { inches, unit, text }, or null when the input is not a dimension
+ */
+const parseDimension = (input, defaultUnit) => {
+  if (input === null || input === undefined || input === '') {
+    return null;
+  }
+
+  if (typeof input === 'number') {
+    return isFinite(input) ? { inches: roundInches(input), unit: DIMENSION_UNITS.INCHES, text: String(input) } : null;
+  }
+
+  const text = normalizeText(input);
+  let inches = null;
+  let unit = DIMENSION_UNITS.INCHES;
+
+  const metric = text.match(METRIC_PATTERN);
+  const feetInches = text.match(FEET_INCHES_PATTERN);
+  const plainInches = text.match(INCHES_PATTERN);
+
+  if (metric) {
+    unit = metric[2];
+    inches = parseFloat(metric[1]) / (unit === DIMENSION_UNITS.CENTIMETRES ? CM_PER_INCH : MM_PER_INCH);
+  } else if (feetInches) {
+    const remainder = feetInches[2] && feetInches[2].trim() ? parseInchesNumber(feetInches[2]) : 0;
+    if (remainder !== null) {
+      unit = DIMENSION_UNITS.FEET_INCHES;
+      inches = parseFloat(feetInches[1]) * 12 + remainder;
+    }
+  } else if (plainInches) {
+    inches = parseInchesNumber(plainInches[1]);
+    if (inches !== null && DECIMAL_PATTERN.test(text) && defaultUnit === DIMENSION_UNITS.CENTIMETRES) {
+      unit = DIMENSION_UNITS.CENTIMETRES;
+      inches /= CM_PER_INCH;
+    } else if (inches !== null && DECIMAL_PATTERN.test(text) && defaultUnit === DIMENSION_UNITS.MILLIMETRES) {
+      unit = DIMENSION_UNITS.MILLIMETRES;
+      inches /= MM_PER_INCH;
+    }
+  }
+
+  if (inches === null || !isFinite(inches)) {
+    return null;
+  }
+
+  return { inches: roundInches(inches), unit, text: String(input).trim() };
+};
+
+/**
+ * The entered text worth keeping for display, or null for a bare decimal that says nothing more than the stored value
+ * @param {string|number} input - Entered dimension
+ * @returns {string|null}
+ */
+const dimensionInputText = (input) => {
+  if (input === null || input === undefined || typeof input === 'number') {
+    return null;
+  }
+  const text = String(input).trim();
+  return text && !DECIMAL_PATTERN.test(text) ? text : null;
+};
+
+/**
+ * Convert inches to a unit's number, rounded for display
+ * @param {number} inches - Value in inches
+ * @param {string} unit - 'in', 'cm' or 'mm' ('ft_in' is returned in inches)
+ * @returns {number}
+ */
+const convertFromInches = (inches, unit) => {
+  switch (unit) {
+    case DIMENSION_UNITS.CENTIMETRES:
+      return Math.round(inches * CM_PER_INCH * 10) / 10;
+    case DIMENSION_UNITS.MILLIMETRES:
+      return Math.round(inches * MM_PER_INCH);
+    default:
+      return inches;
+  }
+};
+
+/**
+ * Format inches with the nearest sixteenth when the value is one, otherwise as a decimal
+ * @param {number} inches - Value in inches
+ * @param {boolean} wholeInches - Print the whole inches before a fraction even when there are none (0 1/2)
+ */
+const formatInchesNumber = (inches, wholeInches = false) => {
+  const sixteenths = Math.round(inches * FRACTION_DENOMINATOR);
+  if (Math.abs(sixteenths / FRACTION_DENOMINATOR - inches) > 0.0005) {
+    return String(Math.round(inches * 100) / 100);
+  }
+
+  const whole = Math.floor(sixteenths / FRACTION_DENOMINATOR);
+  let numerator = sixteenths % FRACTION_DENOMINATOR;
+  let denominator = FRACTION_DENOMINATOR;
+
+  if (numerator === 0) {
+    return String(whole);
+  }
+
+  while (numerator % 2 === 0) {
+    numerator /= 2;
+    denominator /= 2;
+  }
+
+  return whole > 0 || wholeInches ? `${whole} ${numerator}/${denominator}` : `${numerator}/${denominator}`;
+};
+
+/**
+ * Format a dimension stored in inches for display in a unit
+ * @param {number} inches - Value in inches
+ * @param {string} unit - One of DIMENSION_UNITS, inches by default
+ * @returns {string} - e.g. 72 1/2", 6' 0 1/2", 184.2 cm, 1842 mm
+ */
+const formatDimension = (inches, unit) => {
+  const value = parseFloat(inches);
+  if (isNaN(value)) {
+    return '';
+  }
+
+  switch (unit) {
+    case DIMENSION_UNITS.CENTIMETRES:
+      return `${convertFromInches(value, unit)} cm`;
+    case DIMENSION_UNITS.MILLIMETRES:
+      return `${convertFromInches(value, unit)} mm`;
+    case DIMENSION_UNITS.FEET_INCHES: {
+      const feet = Math.floor((value + 0.0005) / 12);
+      const remainder = Math.max(roundInches(value - feet * 12), 0);
+      return `${feet}' ${formatInchesNumber(remainder, true)}"`;
+    }
+    default:
+      return `${formatInchesNumber(value)}"`;
+  }
+};
+
+module.exports = {
+  DIMENSION_UNITS,
+  DIMENSION_UNIT_LABELS,
+  parseDimension,
+  dimensionInputText,
+  convertFromInches,
+  formatDimension
+};
@@ -0,0 +1,78 @@
+import {
+  parseDimension,
+  dimensionInputText,
+  formatDimension,
+  DIMENSION_UNITS
+} from './dimensions';
+
+describe('Dimension Parsing', () => {
+  test('should read decimal inches, fractions and mixed numbers', () => {
+    expect(parseDimension('72').inches).toBe(72);
+    expect(parseDimension('72.5').inches).toBe(72.5);
+    expect(parseDimension(72.25).inches).toBe(72.25);
+    expect(parseDimension('72 1/2').inches).toBe(72.5);
+    expect(parseDimension('72-3/4"').inches).toBe(72.75);
+    expect(parseDimension('72½').inches).toBe(72.5);
+    expect(parseDimension('5/8 in').inches).toBe(0.625);
+  });
+
+  test('should read feet and inches notation', () => {
+    expect(parseDimension('6\'2"')).toEqual({ inches: 74, unit: DIMENSION_UNITS.FEET_INCHES, text: '6\'2"' });
+    expect(parseDimension('6\' 2 1/2"').inches).toBe(74.5);
+    expect(parseDimension('6ft 2in').inches).toBe(74);
+    expect(parseDimension('6 ft').inches).toBe(72);
+    expect(parseDimension('6’ 2”').inches).toBe(74);
+  });
+
+  test('should convert centimetres and millimetres to inches', () => {
+    expect(parseDimension('183 cm')).toEqual({ inches: 72.0472, unit: DIMENSION_UNITS.CENTIMETRES, text: '183 cm' });
+    expect(parseDimension('1830mm').inches).toBe(72.0472);
+    expect(parseDimension('254', DIMENSION_UNITS.MILLIMETRES).inches).toBe(10);
+    expect(parseDimension('254').inches).toBe(254);
+  });
+
+  test('should reject text that is not a dimension', () => {
+    expect(parseDimension('')).toBeNull();
+    expect(parseDimension(null)).toBeNull();
+    expect(parseDimension('abc')).toBeNull();
+    expect(parseDimension('72/0')).toBeNull();
+    expect(parseDimension('6\' abc')).toBeNull();
+    expect(parseDimension('72 cm mm')).toBeNull();
+  });
+
+  test('should keep entered text only when it says more than the stored number', () => {
+    expect(dimensionInputText('72 1/2')).toBe('72 1/2');
+    expect(dimensionInputText(' 6\'2" ')).toBe('6\'2"');
+    expect(dimensionInputText('72.5')).toBeNull();
+    expect(dimensionInputText(72.5)).toBeNull();
+    expect(dimensionInputText('')).toBeNull();
+  });
+});
+
+describe('Dimension Formatting', () => {
+  test('should format inches with fractions to the nearest sixteenth', () => {
+    expect(formatDimension(72, DIMENSION_UNITS.INCHES)).toBe('72"');
+    expect(formatDimension(72.5)).toBe('72 1/2"');
+    expect(formatDimension(72.0625)).toBe('72 1/16"');
+    expect(formatDimension(0.75)).toBe('3/4"');
+    expect(formatDimension(72.0472)).toBe('72.05"');
+  });
+
+  test('should format feet and inches and metric units', () => {
+    expect(formatDimension(74.5, DIMENSION_UNITS.FEET_INCHES)).toBe('6\' 2 1/2"');
+    expect(formatDimension(72, DIMENSION_UNITS.FEET_INCHES)).toBe('6\' 0"');
+    expect(formatDimension(72.5, DIMENSION_UNITS.FEET_INCHES)).toBe('6\' 0 1/2"');
+    expect(formatDimension(0.75, DIMENSION_UNITS.FEET_INCHES)).toBe('0\' 0 3/4"');
+    expect(formatDimension(72.5, DIMENSION_UNITS.CENTIMETRES)).toBe('184.2 cm');
+    expect(formatDimension(72.5, DIMENSION_UNITS.MILLIMETRES)).toBe('1842 mm');
+    expect(formatDimension('', DIMENSION_UNITS.CENTIMETRES)).toBe('');
+  });
+
+  test('should round trip formatted values through the parser', () => {
+    [72, 72.5, 74.25, 0.5].forEach(inches => {
+      [DIMENSION_UNITS.INCHES, DIMENSION_UNITS.FEET_INCHES].forEach(unit => {
+        expect(parseDimension(formatDimension(inches, unit)).inches).toBe(inches);
+      });
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * GST tax invoice calculation shared by the React client and the Express server
+ * Written as CommonJS so the server can require it directly; keep it free of
+ * browser APIs and syntax that needs Babel runtime helpers (spread, async)
+ */
+
+// Worked granite slabs (HSN 6802.93) attract 18% GST
+const DEFAULT_HSN_CODE = '680293';
+const DEFAULT_GST_RATE = 18;
+
+const TAX_TYPES = {
+  INTRA_STATE: 'intra_state', // CGST + SGST
+  INTER_STATE: 'inter_state'  // IGST
+};
+
+const DISCOUNT_TYPES = {
+  NONE: 'none',
+  PERCENT: 'percent',
+  AMOUNT: 'amount'
+};
+
+// GST state codes, the first two digits of a GSTIN
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Round a money value to 2 decimal places
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundCurrency = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Normalize a state name for comparison ('  tamil nadu ' -> 'tamil nadu')
+ * @param {string} state - State name
+ * @returns {string} - Normalized state, empty when not set
+ */
+const normalizeState = (state) => String(state || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Check a GSTIN against the standard 15 character format
+ * @param {string} gstin - GSTIN
+ * @returns {boolean} - True when the format is valid
+ */
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || '').trim().toUpperCase());
+
+/**
+ * Get the state a GSTIN is registered in
+ * @param {string} gstin - GSTIN
+ * @returns {string|null} - State name, or null for an invalid GSTIN
+ */
+const getStateFromGstin = (gstin) => {
+  if (!isValidGstin(gstin)) {
+    return null;
+  }
+
+  return GST_STATE_CODES[String(gstin).trim().slice(0, 2)] || null;
+};
+
+/**
+ * Get the GST state code for a state name
+ * @param {string} state - State name
+ * @returns {string|null} - Two digit state code, or null when unknown
+ */
+const getStateCode = (state) => {
+  const normalized = normalizeState(state);
+  return Object.keys(GST_STATE_CODES).find(code => normalizeState(GST_STATE_CODES[code]) === normalized) || null;
+};
+
+/**
+ * Decide between CGST/SGST and IGST
+ * Supplies within the supplier's state are intra-state, everything else is inter-state
+ * @param {string} supplierState - State the supplier is registered in
+ * @param {string} placeOfSupply - Customer's state
+ * @returns {string} - One of TAX_TYPES
+ */
+const getTaxType = (supplierState, placeOfSupply) => {
+  return normalizeState(supplierState) === normalizeState(placeOfSupply)
+    ? TAX_TYPES.INTRA_STATE
+    : TAX_TYPES.INTER_STATE;
+};
+
+/**
+ * Calculate the invoice level discount
+ * @param {number} subtotal - Sum of line amounts
+ * @param {string} discountType - One of DISCOUNT_TYPES
+ * @param {number} discountValue - Percentage or flat amount
+ * @returns {number} - Discount amount, never more than the subtotal
+ */
+const calculateDiscount = (subtotal, discountType, discountValue) => {
+  const value = parseFloat(discountValue) || 0;
+
+  if (value <= 0 || !discountType || discountType === DISCOUNT_TYPES.NONE) {
+    return 0;
+  }
+
+  const discount = discountType === DISCOUNT_TYPES.PERCENT
+    ? subtotal * Math.min(value, 100) / 100
+    : value;
+
+  return roundCurrency(Math.min(discount, subtotal));
+};
+
+/**
+ * Validate invoice calculation options
+ * @param {Object} options - { discountType, discountValue, gstRate }
+ * @returns {Array<string>} - Validation errors
+ */
+const validateInvoiceOptions = (options) => {
+  const errors = [];
+  const discountTypes = Object.keys(DISCOUNT_TYPES).map(key => DISCOUNT_TYPES[key]);
+
+  if (options.discountType && !discountTypes.includes(options.discountType)) {
+    errors.push(`Discount type must be one of: ${discountTypes.join(', ')}`);
+  }
+
+  if (options.discountValue !== undefined && options.discountValue !== null && options.discountValue !== '') {
+    const discountValue = parseFloat(options.discountValue);
+    if (isNaN(discountValue) || discountValue < 0) {
+      errors.push('Discount must be a non-negative number');
+    } else if (options.discountType === DISCOUNT_TYPES.PERCENT && discountValue > 100) {
+      errors.push('Discount percentage cannot exceed 100');
+    }
+  }
+
+  if (options.gstRate !== undefined && options.gstRate !== null && options.gstRate !== '') {
+    const gstRate = parseFloat(options.gstRate);
+    if (isNaN(gstRate) || gstRate < 0 || gstRate > 28) {
+      errors.push('GST rate must be between 0 and 28 percent');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Calculate a GST tax invoice
+ * The invoice discount is spread over the lines in proportion to their amounts
+ * (the last line takes the rounding remainder), tax is calculated per line on the
+ * discounted taxable value, and the grand total is rounded to the nearest rupee
+ * @param {Object} invoice - { items, supplierState, placeOfSupply, discountType, discountValue, gstRate }
+ *   items are { amount, hsnCode, gstRate } plus any descriptive fields, which are kept
+ * @returns {Object} - Calculated items and totals
+ */
+const calculateInvoice = (invoice) => {
+  const items = invoice.items || [];
+  const taxType = getTaxType(invoice.supplierState, invoice.placeOfSupply);
+  const defaultGstRate = invoice.gstRate !== undefined && invoice.gstRate !== null && invoice.gstRate !== ''
+    ? parseFloat(invoice.gstRate)
+    : DEFAULT_GST_RATE;
+
+  const subtotal = roundCurrency(items.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0));
+  const discountAmount = calculateDiscount(subtotal, invoice.discountType, invoice.discountValue);
+
+  let discountRemaining = discountAmount;
+
+  const calculatedItems = items.map((item, index) => {
+    const amount = roundCurrency(item.amount);
+    const isLast = index === items.length - 1;
+    const discount = isLast
+      ? discountRemaining
+      : roundCurrency(subtotal > 0 ? discountAmount * amount / subtotal : 0);
+    discountRemaining = roundCurrency(discountRemaining - discount);
+
+    const taxableValue = roundCurrency(amount - discount);
+    const gstRate = item.gstRate !== undefined && item.gstRate !== null && item.gstRate !== ''
+      ? parseFloat(item.gstRate)
+      : defaultGstRate;
+
+    let cgstAmount = 0;
+    let sgstAmount = 0;
+    let igstAmount = 0;
+
+    if (taxType === TAX_TYPES.INTRA_STATE) {
+      cgstAmount = roundCurrency(taxableValue * gstRate / 200);
+      sgstAmount = roundCurrency(taxableValue * gstRate / 200);
+    } else {
+      igstAmount = roundCurrency(taxableValue * gstRate / 100);
+    }
+
+    return Object.assign({}, item, {
+      hsnCode: item.hsnCode || DEFAULT_HSN_CODE,
+      gstRate,
+      amount,
+      discount,
+      taxableValue,
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      totalAmount: roundCurrency(taxableValue + cgstAmount + sgstAmount + igstAmount)
+    });
+  });
+
+  const sum = (field) => roundCurrency(calculatedItems.reduce((total, item) => total + item[field], 0));
+
+  const taxableAmount = sum('taxableValue');
+  const cgstAmount = sum('cgstAmount');
+  const sgstAmount = sum('sgstAmount');
+  const igstAmount = sum('igstAmount');
+  const totalTax = roundCurrency(cgstAmount + sgstAmount + igstAmount);
+  const totalBeforeRounding = roundCurrency(taxableAmount + totalTax);
+  const grandTotal = Math.round(totalBeforeRounding);
+
+  return {
+    taxType,
+    items: calculatedItems,
+    subtotal,
+    discountAmount,
+    taxableAmount,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    totalTax,
+    roundOff: roundCurrency(grandTotal - totalBeforeRounding),
+    grandTotal
+  };
+};
+
+module.exports = {
+  DEFAULT_HSN_CODE,
+  DEFAULT_GST_RATE,
+  TAX_TYPES,
+  DISCOUNT_TYPES,
+  GST_STATE_CODES,
+  isValidGstin,
+  getStateFromGstin,
+  getStateCode,
+  getTaxType,
+  validateInvoiceOptions,
+  calculateInvoice
+};
@@ -0,0 +1,120 @@
+import {
+  calculateInvoice,
+  getStateFromGstin,
+  getStateCode,
+  getTaxType,
+  isValidGstin,
+  validateInvoiceOptions,
+  DISCOUNT_TYPES,
+  TAX_TYPES
+} from './gst';
+
+const ITEMS = [
+  { amount: 1000 },
+  { amount: 500.5 },
+  { amount: 250.25 }
+];
+
+describe('GST Invoice Calculation', () => {
+  test('should split tax into CGST and SGST within the supplier state', () => {
+    const invoice = calculateInvoice({
+      items: ITEMS,
+      supplierState: 'Karnataka',
+      placeOfSupply: ' karnataka ',
+      gstRate: 18
+    });
+
+    expect(invoice.taxType).toBe(TAX_TYPES.INTRA_STATE);
+    expect(invoice.subtotal).toBe(1750.75);
+    expect(invoice.cgstAmount).toBe(157.57);
+    expect(invoice.sgstAmount).toBe(157.57);
+    expect(invoice.igstAmount).toBe(0);
+    expect(invoice.items[0]).toMatchObject({ cgstAmount: 90, sgstAmount: 90, totalAmount: 1180 });
+  });
+
+  test('should charge IGST for supplies to another state', () => {
+    const invoice = calculateInvoice({
+      items: ITEMS,
+      supplierState: 'Karnataka',
+      placeOfSupply: 'Tamil Nadu',
+      gstRate: 18
+    });
+
+    expect(invoice.taxType).toBe(TAX_TYPES.INTER_STATE);
+    expect(invoice.cgstAmount).toBe(0);
+    expect(invoice.sgstAmount).toBe(0);
+    expect(invoice.igstAmount).toBe(315.14);
+    expect(invoice.totalTax).toBe(315.14);
+  });
+
+  test('should spread the discount across lines with the remainder on the last line', () => {
+    const invoice = calculateInvoice({
+      items: [{ amount: 100 }, { amount: 100 }, { amount: 100 }],
+      supplierState: 'Karnataka',
+      placeOfSupply: 'Karnataka',
+      discountType: DISCOUNT_TYPES.AMOUNT,
+      discountValue: 100
+    });
+
+    expect(invoice.items.map(item => item.discount)).toEqual([33.33, 33.33, 33.34]);
+    expect(invoice.discountAmount).toBe(100);
+    expect(invoice.taxableAmount).toBe(200);
+  });
+
+  test('should cap discounts at the subtotal', () => {
+    const percent = calculateInvoice({
+      items: ITEMS,
+      supplierState: 'Karnataka',
+      placeOfSupply: 'Karnataka',
+      discountType: DISCOUNT_TYPES.PERCENT,
+      discountValue: 10
+    });
+    const flat = calculateInvoice({
+      items: [{ amount: 50 }],
+      supplierState: 'Karnataka',
+      placeOfSupply: 'Karnataka',
+      discountType: DISCOUNT_TYPES.AMOUNT,
+      discountValue: 80
+    });
+
+    expect(percent.discountAmount).toBe(175.08);
+    expect(flat.discountAmount).toBe(50);
+    expect(flat.grandTotal).toBe(0);
+  });
+
+  test('should round the grand total to the nearest rupee', () => {
+    const invoice = calculateInvoice({
+      items: ITEMS,
+      supplierState: 'Karnataka',
+      placeOfSupply: 'Karnataka',
+      gstRate: 18
+    });
+
+    // 1750.75 + 315.14 = 2065.89
+    expect(invoice.grandTotal).toBe(2066);
+    expect(invoice.roundOff).toBe(0.11);
+  });
+});
+
+describe('GST Helpers', () => {
+  test('should validate GSTINs and read their state', () => {
+    expect(isValidGstin('29ABCDE1234F1Z5')).toBe(true);
+    expect(isValidGstin(' 29abcde1234f1z5 ')).toBe(true);
+    expect(isValidGstin('29ABCDE1234F1X5')).toBe(false);
+    expect(getStateFromGstin('33ABCDE1234F1Z5')).toBe('Tamil Nadu');
+    expect(getStateFromGstin('invalid')).toBeNull();
+    expect(getStateCode('karnataka')).toBe('29');
+  });
+
+  test('should treat an unknown place of supply as inter-state', () => {
+    expect(getTaxType('Karnataka', '')).toBe(TAX_TYPES.INTER_STATE);
+  });
+
+  test('should validate invoice options', () => {
+    expect(validateInvoiceOptions({ discountType: DISCOUNT_TYPES.PERCENT, discountValue: '10', gstRate: '18' })).toEqual([]);
+    expect(validateInvoiceOptions({ discountType: 'bogus' })).toHaveLength(1);
+    expect(validateInvoiceOptions({ discountType: DISCOUNT_TYPES.PERCENT, discountValue: 120 }))
+      .toEqual(['Discount percentage cannot exceed 100']);
+    expect(validateInvoiceOptions({ discountValue: -5, gstRate: 40 })).toHaveLength(2);
+  });
+});
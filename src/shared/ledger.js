@@ -0,0 +1,152 @@
+/**
+ * Customer ledger shared by the React client and the Express server
+ * A customer is charged for each sheet whose slabs have left the yard (dispatched or
+ * invoiced) at its invoice total, or at the sheet total until it is invoiced, and
+ * credited with each payment. Written as CommonJS so the server can require it
+ * directly; keep it free of browser APIs and syntax that needs Babel runtime helpers
+ */
+
+const PAYMENT_MODES = {
+  CASH: 'cash',
+  UPI: 'upi',
+  BANK_TRANSFER: 'bank_transfer',
+  CHEQUE: 'cheque',
+  CARD: 'card'
+};
+
+const PAYMENT_MODE_LABELS = {
+  cash: 'Cash',
+  upi: 'UPI',
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  card: 'Card'
+};
+
+const ENTRY_TYPES = {
+  CHARGE: 'charge',
+  PAYMENT: 'payment'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * Validate a payment being recorded
+ * @param {Object} data - { customerId, measurementSheetId, amount, mode, reference, paymentDate, notes }
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+const validatePayment = (data) => {
+  const errors = [];
+  const modes = Object.keys(PAYMENT_MODES).map(key => PAYMENT_MODES[key]);
+  const amount = parseFloat(data.amount);
+
+  if (data.amount === undefined || data.amount === null || data.amount === '' || isNaN(amount) || amount <= 0) {
+    errors.push('Amount must be a positive number');
+  } else if (roundAmount(amount) !== amount) {
+    errors.push('Amount can have at most 2 decimal places');
+  }
+
+  if (!data.mode || modes.indexOf(data.mode) === -1) {
+    errors.push(`Payment mode must be one of: ${modes.join(', ')}`);
+  }
+
+  // Every mode but cash leaves a trail the payment can be traced by
+  if (data.mode && data.mode !== PAYMENT_MODES.CASH && (!data.reference || !String(data.reference).trim())) {
+    errors.push('A reference (cheque, UTR or transaction number) is required for non-cash payments');
+  }
+
+  if (data.reference && String(data.reference).trim().length > 100) {
+    errors.push('Reference must be at most 100 characters');
+  }
+
+  if (data.paymentDate && !isValidDate(data.paymentDate)) {
+    errors.push('Payment date must be a valid date (YYYY-MM-DD)');
+  }
+
+  return errors;
+};
+
+// createdAt may be a Date from the database or an ISO string from the API
+const recordedTime = (entry) => (entry.createdAt ? new Date(entry.createdAt).getTime() || 0 : 0);
+
+/**
+ * Order ledger entries: by date, then charges before payments on the same day, then
+ * in the order they were recorded
+ */
+const compareEntries = (a, b) => {
+  if (a.date !== b.date) {
+    return a.date < b.date ? -1 : 1;
+  }
+  if (a.type !== b.type) {
+    return a.type === ENTRY_TYPES.CHARGE ? -1 : 1;
+  }
+  return recordedTime(a) - recordedTime(b);
+};
+
+/**
+ * Build a customer's running ledger for a date range
+ * Entries before the range are carried in as the opening balance. A positive balance
+ * is owed by the customer; a negative one is an advance
+ * @param {Array<Object>} entries - [{ type, date: 'YYYY-MM-DD', amount, ... }] in any order
+ * @param {Object} range - { from, to } as 'YYYY-MM-DD', either may be omitted
+ * @returns {Object} - { openingBalance, entries: [{ ...entry, debit, credit, balance }], totalCharges, totalPayments, closingBalance }
+ */
+const buildLedger = (entries, range) => {
+  const from = range && range.from ? range.from : null;
+  const to = range && range.to ? range.to : null;
+  const sorted = (entries || []).slice().sort(compareEntries);
+  const signed = (entry) => (entry.type === ENTRY_TYPES.CHARGE ? 1 : -1) * (parseFloat(entry.amount) || 0);
+
+  let openingBalance = 0;
+  let balance = 0;
+  let totalCharges = 0;
+  let totalPayments = 0;
+  const lines = [];
+
+  sorted.forEach(entry => {
+    if (from && entry.date < from) {
+      openingBalance = roundAmount(openingBalance + signed(entry));
+      balance = openingBalance;
+      return;
+    }
+    if (to && entry.date > to) {
+      return;
+    }
+
+    const amount = roundAmount(parseFloat(entry.amount) || 0);
+    const isCharge = entry.type === ENTRY_TYPES.CHARGE;
+    balance = roundAmount(balance + signed(entry));
+
+    if (isCharge) {
+      totalCharges = roundAmount(totalCharges + amount);
+    } else {
+      totalPayments = roundAmount(totalPayments + amount);
+    }
+
+    lines.push(Object.assign({}, entry, {
+      debit: isCharge ? amount : 0,
+      credit: isCharge ? 0 : amount,
+      balance
+    }));
+  });
+
+  return {
+    openingBalance,
+    entries: lines,
+    totalCharges,
+    totalPayments,
+    closingBalance: roundAmount(openingBalance + totalCharges - totalPayments)
+  };
+};
+
+module.exports = {
+  PAYMENT_MODES,
+  PAYMENT_MODE_LABELS,
+  ENTRY_TYPES,
+  isValidDate,
+  validatePayment,
+  buildLedger
+};
@@ -0,0 +1,48 @@
+import { buildLedger, validatePayment, ENTRY_TYPES, PAYMENT_MODES } from './ledger';
+
+const ENTRIES = [
+  { type: ENTRY_TYPES.PAYMENT, date: '2026-03-10', amount: '5000.00', createdAt: '2026-03-10T10:00:00Z' },
+  { type: ENTRY_TYPES.CHARGE, date: '2026-02-20', amount: '12000.00', createdAt: '2026-02-20T09:00:00Z' },
+  { type: ENTRY_TYPES.CHARGE, date: '2026-03-10', amount: '8500.50', createdAt: '2026-03-10T11:00:00Z' },
+  { type: ENTRY_TYPES.PAYMENT, date: '2026-04-02', amount: 10000, createdAt: '2026-04-02T12:00:00Z' }
+];
+
+describe('Customer Ledger', () => {
+  test('should keep a running balance with charges before payments on the same day', () => {
+    const ledger = buildLedger(ENTRIES);
+
+    expect(ledger.entries.map(entry => entry.balance)).toEqual([12000, 20500.5, 15500.5, 5500.5]);
+    expect(ledger.entries[1].debit).toBe(8500.5);
+    expect(ledger.entries[2].credit).toBe(5000);
+    expect(ledger.openingBalance).toBe(0);
+    expect(ledger.closingBalance).toBe(5500.5);
+  });
+
+  test('should carry entries before the range in as the opening balance', () => {
+    const ledger = buildLedger(ENTRIES, { from: '2026-03-01', to: '2026-03-31' });
+
+    expect(ledger.openingBalance).toBe(12000);
+    expect(ledger.entries).toHaveLength(2);
+    expect(ledger.totalCharges).toBe(8500.5);
+    expect(ledger.totalPayments).toBe(5000);
+    expect(ledger.closingBalance).toBe(15500.5);
+  });
+
+  test('should show overpayments as a negative balance', () => {
+    const ledger = buildLedger([
+      { type: ENTRY_TYPES.PAYMENT, date: '2026-01-05', amount: 2000 }
+    ]);
+
+    expect(ledger.closingBalance).toBe(-2000);
+  });
+
+  test('should need a positive amount, a known mode and a reference for non-cash payments', () => {
+    expect(validatePayment({ amount: '1500', mode: PAYMENT_MODES.CASH })).toEqual([]);
+    expect(validatePayment({ amount: 0, mode: PAYMENT_MODES.CASH })).toContain('Amount must be a positive number');
+    expect(validatePayment({ amount: 10.005, mode: PAYMENT_MODES.CASH })).toContain('Amount can have at most 2 decimal places');
+    expect(validatePayment({ amount: 100, mode: 'barter' })[0]).toMatch(/Payment mode must be one of/);
+    expect(validatePayment({ amount: 100, mode: PAYMENT_MODES.CHEQUE })[0]).toMatch(/reference/);
+    expect(validatePayment({ amount: 100, mode: PAYMENT_MODES.UPI, reference: 'UTR123', paymentDate: '2026-13-40' }))
+      .toEqual(['Payment date must be a valid date (YYYY-MM-DD)']);
+  });
+});
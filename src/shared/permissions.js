@@ -0,0 +1,91 @@
+/**
+ * Role based permissions shared by the React client and the Express server
+ * The server enforces them on every route; the client uses them to hide or disable
+ * actions the signed in user cannot take. Written as CommonJS so the server can require it
+ */
+
+const ROLES = {
+  MEASURER: 'measurer',
+  ACCOUNTANT: 'accountant',
+  OWNER: 'owner'
+};
+
+const ROLE_LABELS = {
+  measurer: 'Measurer',
+  accountant: 'Accountant',
+  owner: 'Owner'
+};
+
+const PERMISSIONS = {
+  CUSTOMERS_EDIT: 'customers.edit',
+  CUSTOMERS_DELETE: 'customers.delete',
+  SHEETS_CREATE: 'sheets.create',
+  // Add, change and remove slab entries on draft sheets
+  SHEETS_EDIT: 'sheets.edit',
+  // Approve, dispatch and cancel sheets
+  SHEETS_FINALIZE: 'sheets.finalize',
+  // Correct an approved or dispatched sheet by creating an amendment
+  SHEETS_AMEND: 'sheets.amend',
+  SHEETS_DELETE: 'sheets.delete',
+  SHEETS_EXPORT: 'sheets.export',
+  INVOICES_MANAGE: 'invoices.manage',
+  // Record and remove payments received from customers
+  PAYMENTS_MANAGE: 'payments.manage',
+  // Sales analytics reports and their downloads
+  REPORTS_VIEW: 'reports.view',
+  STOCK_MANAGE: 'stock.manage',
+  RATE_CARDS_MANAGE: 'rateCards.manage',
+  // Calculation profiles and other shop-wide settings
+  SETTINGS_MANAGE: 'settings.manage',
+  USERS_MANAGE: 'users.manage'
+};
+
+// Measurers work in the yard: they take measurements and keep the stock up to date
+const MEASURER_PERMISSIONS = [
+  PERMISSIONS.CUSTOMERS_EDIT,
+  PERMISSIONS.SHEETS_CREATE,
+  PERMISSIONS.SHEETS_EDIT,
+  PERMISSIONS.STOCK_MANAGE
+];
+
+// Accountants also finalize, amend, export and invoice sheets, take payments and read reports
+const ACCOUNTANT_PERMISSIONS = MEASURER_PERMISSIONS.concat([
+  PERMISSIONS.CUSTOMERS_DELETE,
+  PERMISSIONS.SHEETS_FINALIZE,
+  PERMISSIONS.SHEETS_AMEND,
+  PERMISSIONS.SHEETS_DELETE,
+  PERMISSIONS.SHEETS_EXPORT,
+  PERMISSIONS.INVOICES_MANAGE,
+  PERMISSIONS.PAYMENTS_MANAGE,
+  PERMISSIONS.REPORTS_VIEW
+]);
+
+const ROLE_PERMISSIONS = {
+  measurer: MEASURER_PERMISSIONS,
+  accountant: ACCOUNTANT_PERMISSIONS,
+  owner: Object.keys(PERMISSIONS).map(key => PERMISSIONS[key])
+};
+
+/**
+ * Check whether a role is one of the known roles
+ */
+const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+
+/**
+ * Check whether a role grants a permission; unknown roles grant nothing
+ * @param {string} role - User role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  return isValidRole(role) && ROLE_PERMISSIONS[role].indexOf(permission) !== -1;
+};
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  hasPermission
+};
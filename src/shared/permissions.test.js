@@ -0,0 +1,38 @@
+import { hasPermission, isValidRole, PERMISSIONS, ROLES } from './permissions';
+
+describe('Role Permissions', () => {
+  test('should let measurers create sheets and add slab entries', () => {
+    expect(hasPermission(ROLES.MEASURER, PERMISSIONS.SHEETS_CREATE)).toBe(true);
+    expect(hasPermission(ROLES.MEASURER, PERMISSIONS.SHEETS_EDIT)).toBe(true);
+  });
+
+  test('should stop measurers deleting sheets or amending completed ones', () => {
+    expect(hasPermission(ROLES.MEASURER, PERMISSIONS.SHEETS_DELETE)).toBe(false);
+    expect(hasPermission(ROLES.MEASURER, PERMISSIONS.SHEETS_AMEND)).toBe(false);
+    expect(hasPermission(ROLES.MEASURER, PERMISSIONS.SHEETS_FINALIZE)).toBe(false);
+    expect(hasPermission(ROLES.MEASURER, PERMISSIONS.PAYMENTS_MANAGE)).toBe(false);
+    expect(hasPermission(ROLES.MEASURER, PERMISSIONS.REPORTS_VIEW)).toBe(false);
+  });
+
+  test('should let accountants finalize, amend and export but not manage rate cards or users', () => {
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.SHEETS_FINALIZE)).toBe(true);
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.SHEETS_AMEND)).toBe(true);
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.SHEETS_EXPORT)).toBe(true);
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.PAYMENTS_MANAGE)).toBe(true);
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.REPORTS_VIEW)).toBe(true);
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.RATE_CARDS_MANAGE)).toBe(false);
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.USERS_MANAGE)).toBe(false);
+  });
+
+  test('should grant owners every permission', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission(ROLES.OWNER, permission)).toBe(true);
+    });
+  });
+
+  test('should grant nothing to unknown roles', () => {
+    expect(isValidRole('admin')).toBe(false);
+    expect(hasPermission('admin', PERMISSIONS.SHEETS_CREATE)).toBe(false);
+    expect(hasPermission(undefined, PERMISSIONS.SHEETS_CREATE)).toBe(false);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Rate card pricing shared by the React client and the Express server
+ * Written as CommonJS so the server can require it directly; keep it free of
+ * browser APIs and syntax that needs Babel runtime helpers (spread, async)
+ */
+
+/**
+ * Round a money value to 2 decimal places
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Normalize a date to 'YYYY-MM-DD' so effective dates compare as strings
+ * Date objects use their local calendar date (pg returns DATE columns as local midnight)
+ * @param {Date|string} value - Date or ISO date string
+ * @returns {string} - Date key
+ */
+const toDateKey = (value) => {
+  if (!value) {
+    return toDateKey(new Date());
+  }
+
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Normalize a granite variety for matching ('  Black Galaxy ' -> 'black galaxy')
+ * @param {string} material - Granite variety
+ * @returns {string} - Normalized variety, empty when not set
+ */
+const normalizeMaterial = (material) => String(material || '').trim().toLowerCase();
+
+/**
+ * Find the rate card that applies to a slab
+ * Cards must match the customer type and slab category and be effective on the
+ * pricing date. A card for the slab's granite variety beats a generic card (no
+ * material), and the latest effective date wins among equally specific cards
+ * @param {Array<Object>} rateCards - Active rate cards
+ * @param {Object} criteria - { customerType, slabCategory, material, date }
+ * @returns {Object|null} - Applicable rate card or null when the slab is unpriced
+ */
+const findRateCard = (rateCards, criteria) => {
+  if (!Array.isArray(rateCards) || !criteria) {
+    return null;
+  }
+
+  const dateKey = toDateKey(criteria.date);
+  const material = normalizeMaterial(criteria.material);
+
+  const candidates = rateCards.filter(card => {
+    const cardMaterial = normalizeMaterial(card.material);
+    return card.isActive !== false &&
+      card.customerType === criteria.customerType &&
+      card.slabCategory === criteria.slabCategory &&
+      (cardMaterial === '' || cardMaterial === material) &&
+      toDateKey(card.effectiveFrom) <= dateKey;
+  });
+
+  return candidates.reduce((best, card) => {
+    if (!best) {
+      return card;
+    }
+
+    const cardSpecific = normalizeMaterial(card.material) !== '';
+    const bestSpecific = normalizeMaterial(best.material) !== '';
+    if (cardSpecific !== bestSpecific) {
+      return cardSpecific ? card : best;
+    }
+
+    return toDateKey(card.effectiveFrom) > toDateKey(best.effectiveFrom) ? card : best;
+  }, null);
+};
+
+/**
+ * Calculate the line amount for a slab
+ * @param {number} squareFeet - Chargeable square feet
+ * @param {number|null} rate - Rate per square foot
+ * @returns {number|null} - Line amount, or null when the slab has no rate
+ */
+const calculateAmount = (squareFeet, rate) => {
+  if (rate === null || rate === undefined || rate === '') {
+    return null;
+  }
+
+  return roundAmount((parseFloat(squareFeet) || 0) * parseFloat(rate));
+};
+
+/**
+ * Price a slab against the rate cards
+ * @param {Array<Object>} rateCards - Active rate cards
+ * @param {Object} criteria - { customerType, slabCategory, material, date, squareFeet }
+ * @returns {Object} - { rate, amount, rateCardId }, rate and amount are null when unpriced
+ */
+const priceSlab = (rateCards, criteria) => {
+  const rateCard = findRateCard(rateCards, criteria);
+  const rate = rateCard ? roundAmount(rateCard.ratePerSqft) : null;
+
+  return {
+    rate,
+    amount: calculateAmount(criteria.squareFeet, rate),
+    rateCardId: rateCard ? rateCard.id || null : null
+  };
+};
+
+/**
+ * Calculate sheet totals from its slab entries
+ * Square metres are only recorded on metric sheets and total 0 elsewhere
+ * @param {Array<Object>} entries - Slab entries with squareFeet, squareMetres and amount
+ * @returns {Object} - { totalSquareFeet, totalSquareMetres, totalAmount, unpricedCount }
+ */
+const calculateSheetTotals = (entries) => {
+  return (entries || []).reduce((totals, entry) => {
+    const hasAmount = entry.amount !== null && entry.amount !== undefined && entry.amount !== '';
+
+    return {
+      totalSquareFeet: roundAmount(totals.totalSquareFeet + (parseFloat(entry.squareFeet) || 0)),
+      totalSquareMetres: Math.round((totals.totalSquareMetres + (parseFloat(entry.squareMetres) || 0)) * 1000) / 1000,
+      totalAmount: roundAmount(totals.totalAmount + (hasAmount ? parseFloat(entry.amount) || 0 : 0)),
+      unpricedCount: totals.unpricedCount + (hasAmount ? 0 : 1)
+    };
+  }, { totalSquareFeet: 0, totalSquareMetres: 0, totalAmount: 0, unpricedCount: 0 });
+};
+
+module.exports = {
+  roundAmount,
+  toDateKey,
+  findRateCard,
+  calculateAmount,
+  priceSlab,
+  calculateSheetTotals
+};
@@ -0,0 +1,409 @@
+/**
+ * Sales analytics reports shared by the React client and the Express server
+ * Slab entries on sold sheets are totalled by any of customer type, slab category,
+ * block, customer, sheet and period, and laid out as a pivot table: one row per
+ * combination of the row dimensions, one column per value of the column dimension. The
+ * wastage report uses the same rows with gross, billed and deducted area as its columns.
+ * The server groups in SQL; the pivot, its ordering and the tables the exports write are
+ * built here so the page and the downloads agree. Written as CommonJS so the server can
+ * require it directly
+ */
+
+const { SHEET_STATUSES } = require('./sheetStatus');
+const {
+  STATISTICS_INTERVALS,
+  periodStart,
+  listPeriods,
+  resolveStatisticsRange,
+  validateStatisticsRange
+} = require('./sheetStatistics');
+
+const REPORT_DIMENSIONS = {
+  CUSTOMER_TYPE: 'customerType',
+  SLAB_CATEGORY: 'slabCategory',
+  BLOCK: 'block',
+  CUSTOMER: 'customer',
+  SHEET: 'sheet',
+  PERIOD: 'period'
+};
+
+const REPORT_DIMENSION_LABELS = {
+  customerType: 'Customer Type',
+  slabCategory: 'Category',
+  block: 'Block',
+  customer: 'Customer',
+  sheet: 'Sheet',
+  period: 'Period'
+};
+
+// Deduction is gross less billed square feet, and its percentage is of the gross area
+const REPORT_MEASURES = {
+  SQUARE_FEET: 'squareFeet',
+  SLABS: 'slabs',
+  AMOUNT: 'amount',
+  GROSS_SQUARE_FEET: 'grossSquareFeet',
+  DEDUCTION: 'deduction',
+  DEDUCTION_PERCENT: 'deductionPercent'
+};
+
+const REPORT_MEASURE_LABELS = {
+  squareFeet: 'Sq Ft',
+  slabs: 'Slabs',
+  amount: 'Amount',
+  grossSquareFeet: 'Gross Sq Ft',
+  deduction: 'Deduction Sq Ft',
+  deductionPercent: 'Deduction %'
+};
+
+// Measures a sales report is read and exported in
+const SALES_MEASURES = [REPORT_MEASURES.SQUARE_FEET, REPORT_MEASURES.SLABS, REPORT_MEASURES.AMOUNT];
+
+// Columns of the wastage report, billed square feet labelled as such
+const WASTAGE_MEASURES = [
+  REPORT_MEASURES.SLABS,
+  REPORT_MEASURES.GROSS_SQUARE_FEET,
+  REPORT_MEASURES.SQUARE_FEET,
+  REPORT_MEASURES.DEDUCTION,
+  REPORT_MEASURES.DEDUCTION_PERCENT
+];
+
+// A sheet counts as a sale once the office approves it
+const REPORT_SHEET_STATUSES = [SHEET_STATUSES.APPROVED, SHEET_STATUSES.DISPATCHED, SHEET_STATUSES.INVOICED];
+
+// Most dimensions a report can break its rows down by
+const MAX_ROW_DIMENSIONS = 3;
+
+// Slab categories are listed in this order, the others after them alphabetically
+const CATEGORY_ORDER = ['F', 'LD', 'D', 'S'];
+
+const DIMENSION_VALUES = Object.keys(REPORT_DIMENSIONS).map(key => REPORT_DIMENSIONS[key]);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const trimmed = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Read a list of dimensions sent as 'a,b' or ['a', 'b']
+ */
+const parseDimensions = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Fill in a report request
+ * The range defaults as for sheet statistics but grouped by month; rows default to
+ * customer type and columns to slab category. An empty `columns` asks for totals only
+ * @param {Object} query - { from, to, interval, rows, columns, customerType, slabCategory, blockNumber, customerId } as sent
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} - The resolved query, with rows as an array and columns as a dimension or null
+ */
+const resolveReportQuery = (query, today) => {
+  const sent = query || {};
+  const range = resolveStatisticsRange({
+    from: sent.from,
+    to: sent.to,
+    interval: sent.interval || STATISTICS_INTERVALS.MONTH
+  }, today);
+
+  return {
+    from: range.from,
+    to: range.to,
+    interval: range.interval,
+    rows: sent.rows ? parseDimensions(sent.rows) : [REPORT_DIMENSIONS.CUSTOMER_TYPE],
+    columns: sent.columns === undefined ? REPORT_DIMENSIONS.SLAB_CATEGORY : trimmed(sent.columns),
+    customerType: trimmed(sent.customerType),
+    slabCategory: trimmed(sent.slabCategory),
+    blockNumber: trimmed(sent.blockNumber),
+    customerId: trimmed(sent.customerId)
+  };
+};
+
+/**
+ * Fill in a wastage report request: a report query without a column dimension
+ * @param {Object} query - As for resolveReportQuery; columns is ignored
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} - The resolved query
+ */
+const resolveWastageQuery = (query, today) => {
+  return resolveReportQuery(Object.assign({}, query, { columns: '' }), today);
+};
+
+/**
+ * Validate a resolved report query
+ * @param {Object} query - From resolveReportQuery
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+const validateReportQuery = (query) => {
+  const errors = validateStatisticsRange(query);
+  const known = (dimension) => DIMENSION_VALUES.indexOf(dimension) !== -1;
+
+  if (query.rows.length === 0 || query.rows.length > MAX_ROW_DIMENSIONS) {
+    errors.push('Group rows by 1 to ' + MAX_ROW_DIMENSIONS + ' of: ' + DIMENSION_VALUES.join(', '));
+  }
+  query.rows.filter(dimension => !known(dimension)).forEach(dimension => {
+    errors.push('Unknown row dimension: ' + dimension);
+  });
+  if (query.rows.some((dimension, index) => query.rows.indexOf(dimension) !== index)) {
+    errors.push('Each row dimension can be used once');
+  }
+  if (query.columns && !known(query.columns)) {
+    errors.push('Unknown column dimension: ' + query.columns);
+  } else if (query.columns && query.rows.indexOf(query.columns) !== -1) {
+    errors.push('The column dimension cannot also group the rows');
+  }
+
+  return errors;
+};
+
+/**
+ * Dimensions a query groups by, rows first
+ */
+const queryDimensions = (query) => (query.columns ? query.rows.concat(query.columns) : query.rows);
+
+/**
+ * Short name of a period: '2024-03' for a month, 'Wk 2024-03-04' for a week, the date for a day
+ */
+const periodLabel = (period, interval) => {
+  if (interval === STATISTICS_INTERVALS.MONTH) {
+    return period.slice(0, 7);
+  }
+  return interval === STATISTICS_INTERVALS.WEEK ? 'Wk ' + period : period;
+};
+
+/**
+ * The key a grouped record has for a dimension, and the label shown for it
+ * @param {Object} record - { customerType, customerTypeLabel, slabCategory, blockNumber, customerId, customerName, measurementSheetId, measurementSheetNumber, period }
+ * @param {string} dimension - One of REPORT_DIMENSIONS
+ * @param {string} interval - Interval the periods are grouped by
+ * @returns {Object} - { key, label }
+ */
+const dimensionValue = (record, dimension, interval) => {
+  switch (dimension) {
+    case REPORT_DIMENSIONS.CUSTOMER_TYPE:
+      return { key: record.customerType, label: record.customerTypeLabel || record.customerType };
+    case REPORT_DIMENSIONS.SLAB_CATEGORY:
+      return { key: record.slabCategory, label: record.slabCategory };
+    case REPORT_DIMENSIONS.BLOCK:
+      return { key: record.blockNumber, label: record.blockNumber };
+    case REPORT_DIMENSIONS.CUSTOMER:
+      return { key: record.customerId, label: record.customerName || record.customerId };
+    case REPORT_DIMENSIONS.SHEET:
+      return { key: record.measurementSheetId, label: record.measurementSheetNumber || record.measurementSheetId };
+    default:
+      return { key: record.period, label: periodLabel(record.period, interval) };
+  }
+};
+
+/**
+ * Order two values of a dimension: categories F, LD, D, S, periods by date, others by label
+ */
+const compareValues = (dimension, a, b) => {
+  if (dimension === REPORT_DIMENSIONS.SLAB_CATEGORY) {
+    const rank = (value) => (CATEGORY_ORDER.indexOf(value.key) === -1 ? CATEGORY_ORDER.length : CATEGORY_ORDER.indexOf(value.key));
+    if (rank(a) !== rank(b)) {
+      return rank(a) - rank(b);
+    }
+  }
+  const left = dimension === REPORT_DIMENSIONS.PERIOD ? a.key : String(a.label).toLowerCase();
+  const right = dimension === REPORT_DIMENSIONS.PERIOD ? b.key : String(b.label).toLowerCase();
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const emptyTotals = () => ({ slabs: 0, squareFeet: 0, grossSquareFeet: 0, amount: 0 });
+
+const addTotals = (totals, record) => {
+  totals.slabs += Number(record.slabs) || 0;
+  totals.squareFeet = round(totals.squareFeet + (Number(record.squareFeet) || 0));
+  totals.grossSquareFeet = round(totals.grossSquareFeet + (Number(record.grossSquareFeet) || 0));
+  totals.amount = round(totals.amount + (Number(record.amount) || 0));
+  return totals;
+};
+
+/**
+ * One measure of a set of totals, working out the deduction from gross and billed area
+ * @param {Object} totals - { slabs, squareFeet, grossSquareFeet, amount }
+ * @param {string} measure - One of REPORT_MEASURES
+ * @returns {number}
+ */
+const measureValue = (totals, measure) => {
+  const deduction = round(totals.grossSquareFeet - totals.squareFeet);
+  if (measure === REPORT_MEASURES.DEDUCTION) {
+    return deduction;
+  }
+  if (measure === REPORT_MEASURES.DEDUCTION_PERCENT) {
+    return totals.grossSquareFeet > 0 ? round((deduction / totals.grossSquareFeet) * 100) : 0;
+  }
+  return totals[measure];
+};
+
+/**
+ * Group slab entries the way the server's report query does
+ * Used where there is no database to group them, such as the client's mock backend
+ * @param {Array<Object>} entries - { date, customerType, customerTypeLabel, slabCategory, blockNumber, customerId, customerName, measurementSheetId, measurementSheetNumber, squareFeet, grossSquareFeet, amount }, one per slab on a sold sheet
+ * @param {Object} query - From resolveReportQuery
+ * @returns {Array<Object>} - Records with the query's dimensions and slabs, squareFeet, grossSquareFeet and amount
+ */
+const aggregateEntries = (entries, query) => {
+  const dimensions = queryDimensions(query);
+  const groups = {};
+  const order = [];
+
+  entries.filter(entry => {
+    const date = String(entry.date).slice(0, 10);
+    return date >= query.from && date <= query.to &&
+      (!query.customerType || entry.customerType === query.customerType) &&
+      (!query.slabCategory || entry.slabCategory === query.slabCategory) &&
+      (!query.blockNumber || String(entry.blockNumber).toUpperCase() === query.blockNumber.toUpperCase()) &&
+      (!query.customerId || entry.customerId === query.customerId);
+  }).forEach(entry => {
+    const record = { period: periodStart(String(entry.date).slice(0, 10), query.interval) };
+    ['customerType', 'customerTypeLabel', 'slabCategory', 'blockNumber', 'customerId', 'customerName', 'measurementSheetId', 'measurementSheetNumber'].forEach(field => {
+      record[field] = entry[field];
+    });
+
+    const key = dimensions.map(dimension => dimensionValue(record, dimension, query.interval).key).join('\u0000');
+    if (!groups[key]) {
+      groups[key] = emptyTotals();
+      dimensions.forEach(dimension => {
+        if (dimension === REPORT_DIMENSIONS.CUSTOMER_TYPE) {
+          groups[key].customerType = record.customerType;
+          groups[key].customerTypeLabel = record.customerTypeLabel;
+        } else if (dimension === REPORT_DIMENSIONS.CUSTOMER) {
+          groups[key].customerId = record.customerId;
+          groups[key].customerName = record.customerName;
+        } else if (dimension === REPORT_DIMENSIONS.SHEET) {
+          groups[key].measurementSheetId = record.measurementSheetId;
+          groups[key].measurementSheetNumber = record.measurementSheetNumber;
+        } else if (dimension === REPORT_DIMENSIONS.BLOCK) {
+          groups[key].blockNumber = record.blockNumber;
+        } else {
+          groups[key][dimension] = record[dimension];
+        }
+      });
+      order.push(key);
+    }
+    addTotals(groups[key], { slabs: 1, squareFeet: entry.squareFeet, grossSquareFeet: entry.grossSquareFeet, amount: entry.amount });
+  });
+
+  return order.map(key => groups[key]);
+};
+
+/**
+ * Lay grouped records out as a pivot table
+ * Monthly, weekly or daily period columns cover the whole range, with empty periods kept
+ * @param {Array<Object>} records - Records grouped by the query's dimensions, with slabs, squareFeet, grossSquareFeet and amount
+ * @param {Object} query - From resolveReportQuery
+ * @returns {Object} - { rowDimensions, columnDimension, columns: [{ key, label }], rows: [{ key, values, cells, total }], columnTotals, total }
+ */
+const buildPivot = (records, query) => {
+  const columnDimension = query.columns || null;
+  const columnsByKey = {};
+  const rowsByKey = {};
+  const columnTotals = {};
+  const total = emptyTotals();
+
+  if (columnDimension === REPORT_DIMENSIONS.PERIOD) {
+    listPeriods(query).forEach(period => {
+      columnsByKey[period] = dimensionValue({ period: period }, columnDimension, query.interval);
+    });
+  }
+
+  records.forEach(record => {
+    const values = query.rows.map(dimension => dimensionValue(record, dimension, query.interval));
+    const rowKey = values.map(value => value.key).join('\u0000');
+    if (!rowsByKey[rowKey]) {
+      rowsByKey[rowKey] = { key: rowKey, values: values, cells: {}, total: emptyTotals() };
+    }
+    const row = rowsByKey[rowKey];
+
+    if (columnDimension) {
+      const column = dimensionValue(record, columnDimension, query.interval);
+      columnsByKey[column.key] = columnsByKey[column.key] || column;
+      row.cells[column.key] = addTotals(row.cells[column.key] || emptyTotals(), record);
+      columnTotals[column.key] = addTotals(columnTotals[column.key] || emptyTotals(), record);
+    }
+    addTotals(row.total, record);
+    addTotals(total, record);
+  });
+
+  const rows = Object.keys(rowsByKey).map(key => rowsByKey[key]);
+  rows.sort((a, b) => {
+    for (let index = 0; index < query.rows.length; index++) {
+      const order = compareValues(query.rows[index], a.values[index], b.values[index]);
+      if (order !== 0) {
+        return order;
+      }
+    }
+    return 0;
+  });
+
+  const columns = Object.keys(columnsByKey).map(key => columnsByKey[key]);
+  columns.sort((a, b) => compareValues(columnDimension, a, b));
+
+  return {
+    rowDimensions: query.rows,
+    columnDimension: columnDimension,
+    columns: columns,
+    rows: rows,
+    columnTotals: columnTotals,
+    total: total
+  };
+};
+
+/**
+ * One measure of a pivot as rows of plain values, for CSV and spreadsheet exports
+ * @param {Object} pivot - From buildPivot
+ * @param {string} measure - One of REPORT_MEASURES
+ * @returns {Object} - { header, body, footer }; cells with no slabs are null
+ */
+const pivotTable = (pivot, measure) => {
+  const cellValue = (totals) => (totals && totals.slabs > 0 ? measureValue(totals, measure) : null);
+  const blanks = pivot.rowDimensions.slice(1).map(() => null);
+
+  return {
+    header: pivot.rowDimensions.map(dimension => REPORT_DIMENSION_LABELS[dimension])
+      .concat(pivot.columns.map(column => column.label), 'Total'),
+    body: pivot.rows.map(row => row.values.map(value => value.label)
+      .concat(pivot.columns.map(column => cellValue(row.cells[column.key])), measureValue(row.total, measure))),
+    footer: ['Total'].concat(blanks, pivot.columns.map(column => cellValue(pivot.columnTotals[column.key])), measureValue(pivot.total, measure))
+  };
+};
+
+/**
+ * The wastage report as rows of plain values: each row's slabs, gross, billed and
+ * deducted square feet and the deduction as a percentage of the gross area
+ * @param {Object} pivot - From buildPivot for a wastage query
+ * @returns {Object} - { header, body, footer }
+ */
+const wastageTable = (pivot) => {
+  const values = (totals) => WASTAGE_MEASURES.map(measure => measureValue(totals, measure));
+  const labels = WASTAGE_MEASURES.map(measure => (measure === REPORT_MEASURES.SQUARE_FEET ? 'Billed Sq Ft' : REPORT_MEASURE_LABELS[measure]));
+
+  return {
+    header: pivot.rowDimensions.map(dimension => REPORT_DIMENSION_LABELS[dimension]).concat(labels),
+    body: pivot.rows.map(row => row.values.map(value => value.label).concat(values(row.total))),
+    footer: ['Total'].concat(pivot.rowDimensions.slice(1).map(() => null), values(pivot.total))
+  };
+};
+
+module.exports = {
+  REPORT_DIMENSIONS,
+  REPORT_DIMENSION_LABELS,
+  REPORT_MEASURES,
+  REPORT_MEASURE_LABELS,
+  REPORT_SHEET_STATUSES,
+  SALES_MEASURES,
+  WASTAGE_MEASURES,
+  MAX_ROW_DIMENSIONS,
+  resolveReportQuery,
+  resolveWastageQuery,
+  validateReportQuery,
+  queryDimensions,
+  periodLabel,
+  measureValue,
+  aggregateEntries,
+  buildPivot,
+  pivotTable,
+  wastageTable
+};
@@ -0,0 +1,117 @@
+import {
+  REPORT_DIMENSIONS,
+  REPORT_MEASURES,
+  resolveReportQuery,
+  resolveWastageQuery,
+  validateReportQuery,
+  aggregateEntries,
+  buildPivot,
+  pivotTable,
+  wastageTable
+} from './salesReport';
+
+const entry = (fields) => Object.assign({
+  date: '2026-09-10T10:00:00.000Z',
+  customerType: 'builders',
+  customerTypeLabel: 'Builders',
+  slabCategory: 'F',
+  blockNumber: 'B-101',
+  customerId: 'customer_1',
+  customerName: 'John Doe',
+  squareFeet: 20,
+  amount: 1000
+}, fields);
+
+describe('Sales Report', () => {
+  test('should default to customer types by slab category, grouped by month', () => {
+    const query = resolveReportQuery({ from: '2026-01-01', blockNumber: ' B-101 ' }, '2026-10-19');
+
+    expect(query).toMatchObject({
+      from: '2026-01-01',
+      to: '2026-10-19',
+      interval: 'month',
+      rows: ['customerType'],
+      columns: 'slabCategory',
+      blockNumber: 'B-101',
+      customerType: null
+    });
+    expect(resolveReportQuery({ rows: 'block,customer', columns: '' }, '2026-10-19'))
+      .toMatchObject({ rows: ['block', 'customer'], columns: null });
+  });
+
+  test('should refuse unknown, repeated and overlapping dimensions', () => {
+    const query = (fields) => Object.assign(resolveReportQuery({ from: '2026-09-01' }, '2026-10-19'), fields);
+
+    expect(validateReportQuery(query({}))).toEqual([]);
+    expect(validateReportQuery(query({ rows: ['colour'] }))).toEqual(['Unknown row dimension: colour']);
+    expect(validateReportQuery(query({ rows: ['block', 'block'] }))).toEqual(['Each row dimension can be used once']);
+    expect(validateReportQuery(query({ rows: ['slabCategory'] })))
+      .toEqual(['The column dimension cannot also group the rows']);
+    expect(validateReportQuery(query({ rows: [] }))).toHaveLength(1);
+  });
+
+  test('should total slabs into a pivot with categories in their usual order', () => {
+    const query = resolveReportQuery({ from: '2026-09-01', to: '2026-09-30' }, '2026-10-19');
+    const records = aggregateEntries([
+      entry({ slabCategory: 'LD', squareFeet: 12.5, amount: 500 }),
+      entry({}),
+      entry({ slabCategory: 'LD', squareFeet: 7.25, amount: 250 }),
+      entry({ customerType: 'granite_shops', customerTypeLabel: 'Granite Shops', slabCategory: 'S', squareFeet: 4 }),
+      entry({ date: '2026-10-02T10:00:00.000Z' })
+    ], query);
+    const pivot = buildPivot(records, query);
+
+    expect(pivot.columns.map(column => column.key)).toEqual(['F', 'LD', 'S']);
+    expect(pivot.rows.map(row => row.values[0].label)).toEqual(['Builders', 'Granite Shops']);
+    expect(pivot.rows[0].cells.LD).toEqual({ slabs: 2, squareFeet: 19.75, grossSquareFeet: 0, amount: 750 });
+    expect(pivot.rows[0].total).toEqual({ slabs: 3, squareFeet: 39.75, grossSquareFeet: 0, amount: 1750 });
+    expect(pivot.total).toEqual({ slabs: 4, squareFeet: 43.75, grossSquareFeet: 0, amount: 2750 });
+  });
+
+  test('should list every period of the range as a column and export blanks for empty cells', () => {
+    const query = resolveReportQuery({
+      from: '2026-08-15',
+      to: '2026-10-19',
+      rows: REPORT_DIMENSIONS.BLOCK,
+      columns: REPORT_DIMENSIONS.PERIOD
+    }, '2026-10-19');
+    const pivot = buildPivot([
+      { blockNumber: 'B-102', period: '2026-10-01', slabs: '2', squareFeet: '30.00', amount: '0' },
+      { blockNumber: 'B-101', period: '2026-08-01', slabs: '1', squareFeet: '12.50', amount: '0' }
+    ], query);
+
+    expect(pivotTable(pivot, REPORT_MEASURES.SQUARE_FEET)).toEqual({
+      header: ['Block', '2026-08', '2026-09', '2026-10', 'Total'],
+      body: [
+        ['B-101', 12.5, null, null, 12.5],
+        ['B-102', null, null, 30, 30]
+      ],
+      footer: ['Total', 12.5, null, 30, 42.5]
+    });
+  });
+
+  test('should report the area deducted from gross per sheet, in sq ft and as a percentage', () => {
+    const query = resolveWastageQuery({
+      from: '2026-09-01',
+      to: '2026-09-30',
+      rows: REPORT_DIMENSIONS.SHEET,
+      columns: REPORT_DIMENSIONS.SLAB_CATEGORY
+    }, '2026-10-19');
+    const sheet = { measurementSheetId: 'sheet_1', measurementSheetNumber: 'MS-0001' };
+    const records = aggregateEntries([
+      entry(Object.assign({ squareFeet: 146, grossSquareFeet: 150.03 }, sheet)),
+      entry(Object.assign({ squareFeet: 19.94, grossSquareFeet: 19.97 }, sheet)),
+      entry({ measurementSheetId: 'sheet_2', measurementSheetNumber: 'MS-0002', squareFeet: 0, grossSquareFeet: 0 })
+    ], query);
+
+    expect(query.columns).toBeNull();
+    expect(wastageTable(buildPivot(records, query))).toEqual({
+      header: ['Sheet', 'Slabs', 'Gross Sq Ft', 'Billed Sq Ft', 'Deduction Sq Ft', 'Deduction %'],
+      body: [
+        ['MS-0001', 2, 170, 165.94, 4.06, 2.39],
+        ['MS-0002', 1, 0, 0, 0, 0]
+      ],
+      footer: ['Total', 3, 170, 165.94, 4.06, 2.39]
+    });
+  });
+});
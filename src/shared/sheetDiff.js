@@ -0,0 +1,144 @@
+/**
+ * Line by line comparison of two revisions of a measurement sheet
+ * An entry copied onto an amendment keeps the ID of the entry the line was first
+ * measured as (originEntryId), so lines match across any two revisions.
+ * Written as CommonJS so the server can require it directly; keep it free of
+ * browser APIs and syntax that needs Babel runtime helpers (spread, async)
+ */
+
+const CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+};
+
+// Fields compared between revisions, with the label shown for each
+const DIFF_FIELDS = [
+  { key: 'blockNumber', label: 'Block' },
+  { key: 'material', label: 'Material' },
+  { key: 'length', label: 'Length', numeric: true },
+  { key: 'breadth', label: 'Breadth', numeric: true },
+  { key: 'slabCategory', label: 'Category' },
+  { key: 'squareFeet', label: 'Sq Ft', numeric: true },
+  { key: 'squareMetres', label: 'Sq M', numeric: true },
+  { key: 'rate', label: 'Rate', numeric: true },
+  { key: 'amount', label: 'Amount', numeric: true }
+];
+
+const round = (value, places) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * The key a line is matched on: the entry it was first measured as
+ */
+const lineKey = (entry) => entry.originEntryId || entry.id;
+
+/**
+ * Read a field for comparison; empty text and missing numbers are null
+ */
+const fieldValue = (entry, field) => {
+  const value = entry[field.key];
+
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (field.numeric) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+
+  return String(value).trim();
+};
+
+/**
+ * List the fields that differ between two versions of a line
+ * @returns {Array<Object>} - [{ field, label, from, to }]
+ */
+const compareEntries = (baseEntry, revisionEntry) => {
+  const changes = [];
+
+  DIFF_FIELDS.forEach(field => {
+    const from = fieldValue(baseEntry, field);
+    const to = fieldValue(revisionEntry, field);
+    const same = field.numeric && from !== null && to !== null
+      ? Math.abs(from - to) < 0.0001
+      : from === to;
+
+    if (!same) {
+      changes.push({ field: field.key, label: field.label, from, to });
+    }
+  });
+
+  return changes;
+};
+
+const sumOf = (entries, key) => entries.reduce((sum, entry) => sum + (parseFloat(entry[key]) || 0), 0);
+
+/**
+ * Compare the slab entries of two revisions of a sheet
+ * Lines are listed in the revision's order; lines the revision dropped follow in the base's order
+ * @param {Array<Object>} baseEntries - Entries of the earlier revision
+ * @param {Array<Object>} revisionEntries - Entries of the later revision
+ * @returns {Object} - { lines: [{ type, key, base, revision, changes }], summary }
+ */
+const diffSheetEntries = (baseEntries, revisionEntries) => {
+  const base = baseEntries || [];
+  const revision = revisionEntries || [];
+  const baseByKey = {};
+  const matchedKeys = {};
+
+  base.forEach(entry => {
+    baseByKey[lineKey(entry)] = entry;
+  });
+
+  const lines = revision.map(entry => {
+    const key = lineKey(entry);
+    const baseEntry = baseByKey[key];
+
+    if (!baseEntry) {
+      return { type: CHANGE_TYPES.ADDED, key, base: null, revision: entry, changes: [] };
+    }
+
+    matchedKeys[key] = true;
+    const changes = compareEntries(baseEntry, entry);
+
+    return {
+      type: changes.length > 0 ? CHANGE_TYPES.CHANGED : CHANGE_TYPES.UNCHANGED,
+      key,
+      base: baseEntry,
+      revision: entry,
+      changes
+    };
+  });
+
+  base.forEach(entry => {
+    const key = lineKey(entry);
+    if (!matchedKeys[key]) {
+      lines.push({ type: CHANGE_TYPES.REMOVED, key, base: entry, revision: null, changes: [] });
+    }
+  });
+
+  const countOf = (type) => lines.filter(line => line.type === type).length;
+
+  return {
+    lines,
+    summary: {
+      added: countOf(CHANGE_TYPES.ADDED),
+      removed: countOf(CHANGE_TYPES.REMOVED),
+      changed: countOf(CHANGE_TYPES.CHANGED),
+      unchanged: countOf(CHANGE_TYPES.UNCHANGED),
+      squareFeetChange: round(sumOf(revision, 'squareFeet') - sumOf(base, 'squareFeet'), 2),
+      amountChange: round(sumOf(revision, 'amount') - sumOf(base, 'amount'), 2)
+    }
+  };
+};
+
+module.exports = {
+  CHANGE_TYPES,
+  DIFF_FIELDS,
+  diffSheetEntries
+};
@@ -0,0 +1,46 @@
+import { diffSheetEntries, CHANGE_TYPES } from './sheetDiff';
+
+const ORIGINAL = [
+  { id: 'a', blockNumber: 'BG-1', length: '72.0000', breadth: '36.0000', slabCategory: 'F', squareFeet: '16.50', rate: '100.00', amount: '1650.00' },
+  { id: 'b', blockNumber: 'BG-1', length: '70.0000', breadth: '34.0000', slabCategory: 'F', squareFeet: '15.00', rate: '100.00', amount: '1500.00' },
+  { id: 'c', blockNumber: 'BG-2', length: '69.0000', breadth: '35.0000', slabCategory: 'LD', squareFeet: '15.25', rate: '80.00', amount: '1220.00' }
+];
+
+describe('Sheet Revision Diff', () => {
+  test('should match copied lines by the entry they were first measured as', () => {
+    const amendment = [
+      { id: 'a1', originEntryId: 'a', blockNumber: 'BG-1', length: 72, breadth: 36, slabCategory: 'F', squareFeet: 16.5, rate: 100, amount: 1650 },
+      { id: 'b1', originEntryId: 'b', blockNumber: 'BG-1', length: 71, breadth: 34, slabCategory: 'F', squareFeet: 15.5, rate: 100, amount: 1550 },
+      { id: 'd1', blockNumber: 'BG-3', length: 60, breadth: 30, slabCategory: 'D', squareFeet: 11.5, rate: 60, amount: 690 }
+    ];
+
+    const { lines, summary } = diffSheetEntries(ORIGINAL, amendment);
+
+    expect(lines.map(line => line.type)).toEqual([
+      CHANGE_TYPES.UNCHANGED,
+      CHANGE_TYPES.CHANGED,
+      CHANGE_TYPES.ADDED,
+      CHANGE_TYPES.REMOVED
+    ]);
+    expect(lines[1].changes.map(change => change.field)).toEqual(['length', 'squareFeet', 'amount']);
+    expect(lines[1].changes[0]).toEqual({ field: 'length', label: 'Length', from: 70, to: 71 });
+    expect(lines[3].base.id).toBe('c');
+    expect(summary).toEqual({
+      added: 1,
+      removed: 1,
+      changed: 1,
+      unchanged: 1,
+      squareFeetChange: -3.25,
+      amountChange: -480
+    });
+  });
+
+  test('should treat empty text and missing values as the same', () => {
+    const { lines } = diffSheetEntries(
+      [{ id: 'a', blockNumber: 'BG-1', material: '', squareMetres: null, squareFeet: 10 }],
+      [{ id: 'a2', originEntryId: 'a', blockNumber: ' BG-1 ', squareFeet: '10.00' }]
+    );
+
+    expect(lines[0].type).toBe(CHANGE_TYPES.UNCHANGED);
+  });
+});
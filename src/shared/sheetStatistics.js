@@ -0,0 +1,146 @@
+/**
+ * Measurement sheet statistics shared by the React client and the Express server
+ * Sheets and square feet are reported per day, week or month of a date range. Periods
+ * are named by the date they start on, with weeks starting on Monday as PostgreSQL's
+ * date_trunc('week') does, and periods with no sheets are reported as zero. Written as
+ * CommonJS so the server can require it directly; keep it free of browser APIs and
+ * syntax that needs Babel runtime helpers
+ */
+
+const { isValidDate } = require('./ledger');
+
+const STATISTICS_INTERVALS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+// A range with no dates covers the last 30 days
+const DEFAULT_RANGE_DAYS = 30;
+
+// Most periods one request can cover, so a daily series over years is refused
+const MAX_PERIODS = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => new Date(value + 'T00:00:00Z');
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (value, days) => formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+
+/**
+ * The date the period a date falls in starts on
+ * @param {string} value - YYYY-MM-DD
+ * @param {string} interval - One of STATISTICS_INTERVALS
+ * @returns {string} - YYYY-MM-DD
+ */
+const periodStart = (value, interval) => {
+  if (interval === STATISTICS_INTERVALS.MONTH) {
+    return value.slice(0, 8) + '01';
+  }
+  if (interval === STATISTICS_INTERVALS.WEEK) {
+    // getUTCDay is 0 for Sunday; Monday starts the week
+    const weekday = (parseDate(value).getUTCDay() + 6) % 7;
+    return addDays(value, -weekday);
+  }
+  return value;
+};
+
+const nextPeriod = (value, interval) => {
+  if (interval === STATISTICS_INTERVALS.MONTH) {
+    const date = parseDate(value);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return formatDate(date);
+  }
+  return addDays(value, interval === STATISTICS_INTERVALS.WEEK ? 7 : 1);
+};
+
+/**
+ * Every period start from the one `from` falls in to the one `to` falls in
+ * @param {Object} range - { from, to, interval }
+ * @returns {Array<string>}
+ */
+const listPeriods = (range) => {
+  const periods = [];
+  for (let period = periodStart(range.from, range.interval); period <= range.to; period = nextPeriod(period, range.interval)) {
+    periods.push(period);
+  }
+  return periods;
+};
+
+/**
+ * Fill in the date range and interval of a statistics request
+ * Without dates the range is the last 30 days up to `today`; the interval defaults to days
+ * @param {Object} query - { from, to, interval } as sent
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} - { from, to, interval }
+ */
+const resolveStatisticsRange = (query, today) => {
+  const to = (query && query.to) || today;
+  return {
+    from: (query && query.from) || addDays(to, 1 - DEFAULT_RANGE_DAYS),
+    to: to,
+    interval: (query && query.interval) || STATISTICS_INTERVALS.DAY
+  };
+};
+
+/**
+ * Validate a resolved statistics range
+ * @param {Object} range - { from, to, interval }
+ * @returns {Array<string>} - Error messages, empty when valid
+ */
+const validateStatisticsRange = (range) => {
+  const errors = [];
+  const intervals = Object.keys(STATISTICS_INTERVALS).map(key => STATISTICS_INTERVALS[key]);
+
+  if (!isValidDate(range.from)) {
+    errors.push('From date must be a valid date (YYYY-MM-DD)');
+  }
+  if (!isValidDate(range.to)) {
+    errors.push('To date must be a valid date (YYYY-MM-DD)');
+  }
+  if (intervals.indexOf(range.interval) === -1) {
+    errors.push('Interval must be one of: ' + intervals.join(', '));
+  }
+
+  if (errors.length === 0) {
+    if (range.from > range.to) {
+      errors.push('From date must be on or before the to date');
+    } else if (listPeriods(range).length > MAX_PERIODS) {
+      errors.push('The range has more than ' + MAX_PERIODS + ' ' + range.interval + 's; choose a shorter range or a longer interval');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Turn grouped rows into a series with every period of the range, oldest first
+ * @param {Array<Object>} rows - { period, sheets, squareFeet } for periods with sheets
+ * @param {Object} range - { from, to, interval }
+ * @returns {Array<Object>} - { period, sheets, squareFeet }
+ */
+const fillTimeSeries = (rows, range) => {
+  const byPeriod = {};
+  rows.forEach(row => {
+    byPeriod[row.period] = row;
+  });
+
+  return listPeriods(range).map(period => ({
+    period: period,
+    sheets: byPeriod[period] ? Number(byPeriod[period].sheets) : 0,
+    squareFeet: byPeriod[period] ? Math.round(Number(byPeriod[period].squareFeet) * 100) / 100 : 0
+  }));
+};
+
+module.exports = {
+  STATISTICS_INTERVALS,
+  DEFAULT_RANGE_DAYS,
+  MAX_PERIODS,
+  periodStart,
+  listPeriods,
+  resolveStatisticsRange,
+  validateStatisticsRange,
+  fillTimeSeries
+};
@@ -0,0 +1,44 @@
+import {
+  STATISTICS_INTERVALS,
+  periodStart,
+  resolveStatisticsRange,
+  validateStatisticsRange,
+  fillTimeSeries
+} from './sheetStatistics';
+
+describe('Sheet Statistics', () => {
+  test('should start weeks on Monday and months on the first', () => {
+    // 2026-10-18 is a Sunday
+    expect(periodStart('2026-10-18', STATISTICS_INTERVALS.WEEK)).toBe('2026-10-12');
+    expect(periodStart('2026-10-19', STATISTICS_INTERVALS.WEEK)).toBe('2026-10-19');
+    expect(periodStart('2026-10-18', STATISTICS_INTERVALS.MONTH)).toBe('2026-10-01');
+    expect(periodStart('2026-10-18', STATISTICS_INTERVALS.DAY)).toBe('2026-10-18');
+  });
+
+  test('should default to daily figures for the last 30 days', () => {
+    expect(resolveStatisticsRange({}, '2026-10-19')).toEqual({ from: '2026-09-20', to: '2026-10-19', interval: 'day' });
+    expect(resolveStatisticsRange({ from: '2026-01-01', interval: 'month' }, '2026-10-19'))
+      .toEqual({ from: '2026-01-01', to: '2026-10-19', interval: 'month' });
+  });
+
+  test('should report every period of the range, with zero for periods without sheets', () => {
+    const series = fillTimeSeries(
+      [{ period: '2026-09-01', sheets: '3', squareFeet: '412.504' }],
+      { from: '2026-08-15', to: '2026-10-19', interval: STATISTICS_INTERVALS.MONTH }
+    );
+
+    expect(series).toEqual([
+      { period: '2026-08-01', sheets: 0, squareFeet: 0 },
+      { period: '2026-09-01', sheets: 3, squareFeet: 412.5 },
+      { period: '2026-10-01', sheets: 0, squareFeet: 0 }
+    ]);
+  });
+
+  test('should refuse reversed ranges, unknown intervals and too many periods', () => {
+    expect(validateStatisticsRange({ from: '2026-10-19', to: '2026-10-01', interval: 'day' }))
+      .toEqual(['From date must be on or before the to date']);
+    expect(validateStatisticsRange({ from: '2026-10-01', to: '2026-10-19', interval: 'year' })).toHaveLength(1);
+    expect(validateStatisticsRange({ from: '2020-01-01', to: '2026-10-19', interval: 'day' })).toHaveLength(1);
+    expect(validateStatisticsRange({ from: '2020-01-01', to: '2026-10-19', interval: 'month' })).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Measurement sheet lifecycle shared by the React client and the Express server
+ * A sheet is measured in the yard, approved by the office, dispatched with its slabs
+ * and finally invoiced. The server rejects any move not listed in TRANSITIONS.
+ * Written as CommonJS so the server can require it directly
+ */
+
+const { PERMISSIONS } = require('./permissions');
+
+const SHEET_STATUSES = {
+  DRAFT: 'draft',
+  MEASURED: 'measured',
+  APPROVED: 'approved',
+  DISPATCHED: 'dispatched',
+  INVOICED: 'invoiced',
+  CANCELLED: 'cancelled'
+};
+
+const SHEET_STATUS_LABELS = {
+  draft: 'Draft',
+  measured: 'Measured',
+  approved: 'Approved',
+  dispatched: 'Dispatched',
+  invoiced: 'Invoiced',
+  cancelled: 'Cancelled'
+};
+
+// Bootstrap badge colour for each status
+const SHEET_STATUS_VARIANTS = {
+  draft: 'warning',
+  measured: 'info',
+  approved: 'primary',
+  dispatched: 'success',
+  invoiced: 'dark',
+  cancelled: 'secondary'
+};
+
+// Statuses a sheet may move to from each status
+// A measured sheet can go back to draft for corrections before it is approved; after
+// that corrections go through an amendment. Sheets enter and leave 'invoiced' only when
+// an invoice is raised or cancelled
+const TRANSITIONS = {
+  draft: ['measured', 'cancelled'],
+  measured: ['draft', 'approved', 'cancelled'],
+  approved: ['dispatched', 'cancelled'],
+  dispatched: ['invoiced'],
+  invoiced: ['dispatched'],
+  cancelled: []
+};
+
+// Moves made by the invoicing workflow rather than by changing the sheet's status
+const INVOICE_TRANSITIONS = [
+  'dispatched>invoiced',
+  'invoiced>dispatched'
+];
+
+// Permission needed to move a sheet into each status
+const TRANSITION_PERMISSIONS = {
+  draft: PERMISSIONS.SHEETS_EDIT,
+  measured: PERMISSIONS.SHEETS_EDIT,
+  approved: PERMISSIONS.SHEETS_FINALIZE,
+  dispatched: PERMISSIONS.SHEETS_FINALIZE,
+  invoiced: PERMISSIONS.INVOICES_MANAGE,
+  cancelled: PERMISSIONS.SHEETS_FINALIZE
+};
+
+// Only draft sheets take slab entry changes
+const EDITABLE_STATUSES = ['draft'];
+
+// Sheets corrected through an amendment; a cancelled or invoiced sheet is not
+const AMENDABLE_STATUSES = ['approved', 'dispatched'];
+
+// Sheets whose slabs have left the yard
+const DISPATCHED_STATUSES = ['dispatched', 'invoiced'];
+
+// Statuses reported as open work on the dashboard
+const OPEN_STATUSES = ['draft', 'measured', 'approved'];
+
+/**
+ * Check whether a value is one of the sheet statuses
+ */
+const isValidStatus = (status) => Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+
+/**
+ * Check whether a sheet may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} options - { invoicing: true } when an invoice is raised or cancelled
+ * @returns {boolean}
+ */
+const canTransition = (from, to, options) => {
+  if (!isValidStatus(from) || TRANSITIONS[from].indexOf(to) === -1) {
+    return false;
+  }
+  const invoicing = Boolean(options && options.invoicing);
+  return (INVOICE_TRANSITIONS.indexOf(`${from}>${to}`) !== -1) === invoicing;
+};
+
+/**
+ * List the statuses a user can move a sheet to by hand
+ * @param {string} from - Current status
+ * @returns {Array<string>}
+ */
+const allowedTransitions = (from) => {
+  if (!isValidStatus(from)) {
+    return [];
+  }
+  return TRANSITIONS[from].filter(to => canTransition(from, to));
+};
+
+const isEditableStatus = (status) => EDITABLE_STATUSES.indexOf(status) !== -1;
+
+const isAmendableStatus = (status) => AMENDABLE_STATUSES.indexOf(status) !== -1;
+
+const isDispatchedStatus = (status) => DISPATCHED_STATUSES.indexOf(status) !== -1;
+
+module.exports = {
+  SHEET_STATUSES,
+  SHEET_STATUS_LABELS,
+  SHEET_STATUS_VARIANTS,
+  TRANSITIONS,
+  TRANSITION_PERMISSIONS,
+  EDITABLE_STATUSES,
+  AMENDABLE_STATUSES,
+  DISPATCHED_STATUSES,
+  OPEN_STATUSES,
+  isValidStatus,
+  canTransition,
+  allowedTransitions,
+  isEditableStatus,
+  isAmendableStatus,
+  isDispatchedStatus
+};
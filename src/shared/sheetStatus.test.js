@@ -0,0 +1,53 @@
+import {
+  SHEET_STATUSES,
+  TRANSITION_PERMISSIONS,
+  canTransition,
+  allowedTransitions,
+  isEditableStatus,
+  isAmendableStatus,
+  isDispatchedStatus
+} from './sheetStatus';
+import { PERMISSIONS } from './permissions';
+
+describe('Sheet Lifecycle', () => {
+  test('should walk a sheet from draft to invoiced', () => {
+    expect(canTransition(SHEET_STATUSES.DRAFT, SHEET_STATUSES.MEASURED)).toBe(true);
+    expect(canTransition(SHEET_STATUSES.MEASURED, SHEET_STATUSES.APPROVED)).toBe(true);
+    expect(canTransition(SHEET_STATUSES.APPROVED, SHEET_STATUSES.DISPATCHED)).toBe(true);
+    expect(canTransition(SHEET_STATUSES.DISPATCHED, SHEET_STATUSES.INVOICED, { invoicing: true })).toBe(true);
+  });
+
+  test('should reject skipped steps and moves out of cancelled', () => {
+    expect(canTransition(SHEET_STATUSES.DRAFT, SHEET_STATUSES.APPROVED)).toBe(false);
+    expect(canTransition(SHEET_STATUSES.APPROVED, SHEET_STATUSES.DRAFT)).toBe(false);
+    expect(canTransition(SHEET_STATUSES.CANCELLED, SHEET_STATUSES.DRAFT)).toBe(false);
+    expect(canTransition('completed', SHEET_STATUSES.DISPATCHED)).toBe(false);
+  });
+
+  test('should leave invoicing moves to the invoice workflow', () => {
+    expect(canTransition(SHEET_STATUSES.DISPATCHED, SHEET_STATUSES.INVOICED)).toBe(false);
+    expect(canTransition(SHEET_STATUSES.INVOICED, SHEET_STATUSES.DISPATCHED)).toBe(false);
+    expect(canTransition(SHEET_STATUSES.INVOICED, SHEET_STATUSES.DISPATCHED, { invoicing: true })).toBe(true);
+    expect(canTransition(SHEET_STATUSES.APPROVED, SHEET_STATUSES.DISPATCHED, { invoicing: true })).toBe(false);
+    expect(allowedTransitions(SHEET_STATUSES.DISPATCHED)).toEqual([]);
+  });
+
+  test('should list the statuses a user can choose', () => {
+    expect(allowedTransitions(SHEET_STATUSES.MEASURED)).toEqual(['draft', 'approved', 'cancelled']);
+    expect(allowedTransitions('unknown')).toEqual([]);
+  });
+
+  test('should need finalize permission to approve, dispatch or cancel', () => {
+    expect(TRANSITION_PERMISSIONS.measured).toBe(PERMISSIONS.SHEETS_EDIT);
+    expect(TRANSITION_PERMISSIONS.approved).toBe(PERMISSIONS.SHEETS_FINALIZE);
+    expect(TRANSITION_PERMISSIONS.cancelled).toBe(PERMISSIONS.SHEETS_FINALIZE);
+  });
+
+  test('should only edit drafts and only amend approved or dispatched sheets', () => {
+    expect(isEditableStatus(SHEET_STATUSES.DRAFT)).toBe(true);
+    expect(isEditableStatus(SHEET_STATUSES.MEASURED)).toBe(false);
+    expect(isAmendableStatus(SHEET_STATUSES.DISPATCHED)).toBe(true);
+    expect(isAmendableStatus(SHEET_STATUSES.INVOICED)).toBe(false);
+    expect(isDispatchedStatus(SHEET_STATUSES.INVOICED)).toBe(true);
+  });
+});
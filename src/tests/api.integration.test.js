@@ -227,7 +227,7 @@ describe('API Integration Tests', () => {
     test('PUT /measurement-sheets/:id - should update measurement sheet', async () => {
       const updatedSheet = {
         ...mockMeasurementSheet,
-        status: 'completed'
+        status: 'measured'
       };
 
       mockedAxios.put.mockResolvedValue({
@@ -239,12 +239,12 @@ describe('API Integration Tests', () => {
       });
 
       const response = await axios.put(`${API_BASE_URL}/measurement-sheets/${mockMeasurementSheet.id}`, {
-        status: 'completed'
+        status: 'measured'
       });
 
       expect(response.status).toBe(200);
       expect(response.data.success).toBe(true);
-      expect(response.data.data.status).toBe('completed');
+      expect(response.data.data.status).toBe('measured');
     });
 
     test('DELETE /measurement-sheets/:id - should delete measurement sheet', async () => {
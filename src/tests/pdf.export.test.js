@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * PDF Export Tests
+ * Renders measurement sheets on the server and checks the slab table fits the page
+ */
+
+import { renderMeasurementSheetPdf } from '../../server/exports/measurementSheetPdf';
+
+const company = { name: 'Test Granites', address: '1 Quarry Road', phone: '9876543210', email: 'info@example.com' };
+
+const entry = (serialNumber, fields) => Object.assign({
+  serialNumber,
+  blockNumber: 'BLK-10234',
+  material: 'Black Galaxy',
+  length: 149,
+  breadth: 145,
+  slabCategory: 'LD',
+  finalLength: 147,
+  finalBreadth: 144,
+  squareFeet: 146.25,
+  squareMetres: 13.587,
+  rate: 1250.5,
+  amount: 182885.63,
+  calculationDetails: '(147 x 144) / 144'
+}, fields);
+
+const sheet = (calculationMode, displayUnit) => ({
+  measurementSheetNumber: 'MS-0001',
+  createdAt: '2026-09-10T10:00:00.000Z',
+  customerTypeLabel: 'Builders',
+  displayUnit,
+  calculationMode,
+  customer: { name: 'John Doe', phoneNumber: '9876543210' },
+  slabEntries: [entry(1), entry(12, { lengthInput: '12\' 5 1/2"', rate: null, amount: null })]
+});
+
+describe('Measurement Sheet PDF Export', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  test.each([
+    ['imperial', 'inches'],
+    ['imperial', 'ft_in'],
+    ['metric', 'cm']
+  ])('should fit the slab table between the margins for a %s sheet shown in %s', (calculationMode, displayUnit) => {
+    expect(renderMeasurementSheetPdf(sheet(calculationMode, displayUnit), company).slice(0, 5).toString()).toBe('%PDF-');
+    expect(warn).not.toHaveBeenCalledWith(expect.stringContaining('could not fit page'));
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Slab Stock Tests
+ * Runs the slab stock ledger against an in-memory slabs table: a slab can only be sold once,
+ * and its status follows the sheet it is on through dispatch, cancellation and return
+ */
+
+import pool from '../../server/config/database';
+import Slab from '../../server/models/Slab';
+
+jest.mock('../../server/config/database', () => ({ connect: jest.fn(), query: jest.fn() }));
+
+const SLAB_ID = '5a1c9e2b-8d4f-4a6b-9c3e-7f2d1b0a9e8c';
+const SHEET = { id: '7d4c2f6e-1b0a-4c55-9f3e-2a6b8d9c0e11', number: 'MS-0001' };
+const OTHER_SHEET = { id: '0b9e8d7c-6f5a-4e3d-8c2b-1a0f9e8d7c6b', number: 'MS-0002' };
+
+// Answers the queries the Slab model makes from a slabs table and a movements ledger
+const stockDatabase = () => {
+  const db = {
+    slabs: [{ id: SLAB_ID, slab_number: 'BG-1024-01', block_number: 'BG-1024', length: 120, breadth: 60, status: 'in_stock', measurement_sheet_id: null }],
+    sheetNumbers: { [SHEET.id]: SHEET.number, [OTHER_SHEET.id]: OTHER_SHEET.number },
+    movements: []
+  };
+
+  const slab = (id) => db.slabs.find(row => row.id === id);
+  const update = (rows, changes) => rows.map(row => Object.assign(row, changes));
+  const handlers = [
+    [/^UPDATE slabs SET status = \$1, measurement_sheet_id = \$2, .* WHERE id = \$3 AND status = ANY\(\$4\)/,
+      ([status, sheetId, id, from]) => update(db.slabs.filter(row => row.id === id && from.includes(row.status)), { status, measurement_sheet_id: sheetId })],
+    [/^UPDATE slabs SET status = \$1, measurement_sheet_id = NULL, .* WHERE id = \$2 AND status = \$3/,
+      ([status, id, from]) => update(db.slabs.filter(row => row.id === id && row.status === from), { status, measurement_sheet_id: null })],
+    [/^UPDATE slabs SET status = \$1, measurement_sheet_id = NULL, .* WHERE id = \$2$/,
+      ([status, id]) => update([slab(id)], { status, measurement_sheet_id: null })],
+    [/^UPDATE slabs SET status = \$1, updated_at .* WHERE measurement_sheet_id = \$2 AND status = \$3/,
+      ([status, sheetId, from]) => update(db.slabs.filter(row => row.measurement_sheet_id === sheetId && row.status === from), { status })],
+    [/^SELECT status FROM slabs WHERE id = \$1 AND measurement_sheet_id = \$2/,
+      ([id, sheetId]) => db.slabs.filter(row => row.id === id && row.measurement_sheet_id === sheetId)],
+    [/^SELECT COUNT\(\*\) as count FROM slabs WHERE measurement_sheet_id = \$1/,
+      ([sheetId]) => [{ count: String(db.slabs.filter(row => row.measurement_sheet_id === sheetId).length) }]],
+    [/^SELECT id FROM slabs WHERE measurement_sheet_id = \$1/,
+      ([sheetId]) => db.slabs.filter(row => row.measurement_sheet_id === sheetId)],
+    [/FROM slabs s .* WHERE s\.id = \$1/,
+      ([id]) => db.slabs.filter(row => row.id === id)
+        .map(row => Object.assign({}, row, { measurement_sheet_number: db.sheetNumbers[row.measurement_sheet_id] || null }))],
+    [/^INSERT INTO slab_movements/,
+      ([slabId, fromStatus, toStatus, sheetId, note]) => {
+        db.movements.push({ slab_id: slabId, from_status: fromStatus, to_status: toStatus, measurement_sheet_id: sheetId, note });
+        return [];
+      }],
+    [/FROM slab_movements sm/, ([slabId]) => db.movements.filter(row => row.slab_id === slabId)]
+  ];
+
+  const client = {
+    query: jest.fn(async (sql, params = []) => {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      const handler = handlers.find(([pattern]) => pattern.test(text));
+      // Each row is copied so a caller never sees later changes to the table
+      return { rows: handler ? handler[1](params).map(row => Object.assign({}, row)) : [] };
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+
+  return Object.assign(db, { client, slab });
+};
+
+const moves = (db) => db.movements.map(movement => `${movement.from_status} -> ${movement.to_status}`);
+
+describe('Slab stock', () => {
+  test('should reserve an available slab on an open sheet', async () => {
+    const db = stockDatabase();
+
+    const before = await Slab.reserve(db.client, SLAB_ID, { id: SHEET.id, status: 'draft' });
+
+    expect(before.status).toBe('in_stock');
+    expect(db.slab(SLAB_ID)).toMatchObject({ status: 'reserved', measurement_sheet_id: SHEET.id });
+    expect(moves(db)).toEqual(['in_stock -> reserved']);
+  });
+
+  test('should reject selling a slab that is already on another sheet', async () => {
+    const db = stockDatabase();
+    await Slab.reserve(db.client, SLAB_ID, { id: SHEET.id, status: 'draft' });
+
+    await expect(Slab.reserve(db.client, SLAB_ID, { id: OTHER_SHEET.id, status: 'draft' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Slab BG-1024-01 is already reserved on MS-0001' });
+    expect(db.slab(SLAB_ID).measurement_sheet_id).toBe(SHEET.id);
+    expect(moves(db)).toEqual(['in_stock -> reserved']);
+  });
+
+  test('should let only one of two concurrent sales take the slab', async () => {
+    const db = stockDatabase();
+
+    // Both requests read the slab in stock before either takes it; the conditional update decides
+    const results = await Promise.allSettled([
+      Slab.reserve(db.client, SLAB_ID, { id: SHEET.id, status: 'draft' }),
+      Slab.reserve(db.client, SLAB_ID, { id: OTHER_SHEET.id, status: 'draft' })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.statusCode).toBe(409);
+    expect(db.slab(SLAB_ID).measurement_sheet_id).toBe(SHEET.id);
+    expect(db.movements).toHaveLength(1);
+  });
+
+  test('should dispatch a slab straight away on a dispatched sheet', async () => {
+    const db = stockDatabase();
+
+    await Slab.reserve(db.client, SLAB_ID, { id: SHEET.id, status: 'dispatched' });
+
+    expect(db.slab(SLAB_ID).status).toBe('dispatched');
+    expect(moves(db)).toEqual(['in_stock -> dispatched']);
+  });
+
+  test('should move a slab from reserved to dispatched to returned and sell it again', async () => {
+    const db = stockDatabase();
+    await Slab.reserve(db.client, SLAB_ID, { id: SHEET.id, status: 'approved' });
+
+    expect(await Slab.syncWithSheetStatus(db.client, SHEET.id, 'dispatched')).toBe(1);
+    expect(db.slab(SLAB_ID)).toMatchObject({ status: 'dispatched', measurement_sheet_id: SHEET.id });
+
+    // Invoicing a dispatched sheet leaves its slabs dispatched
+    expect(await Slab.syncWithSheetStatus(db.client, SHEET.id, 'invoiced')).toBe(0);
+
+    const dispatched = await Slab.findById(SLAB_ID);
+    const returned = await dispatched.markReturned('Chipped edge');
+    expect(returned.status).toBe('returned');
+    expect(returned.movements.map(movement => movement.note)).toEqual([null, null, 'Chipped edge']);
+    expect(db.slab(SLAB_ID).measurement_sheet_id).toBeNull();
+
+    await Slab.reserve(db.client, SLAB_ID, { id: OTHER_SHEET.id, status: 'draft' });
+    expect(moves(db)).toEqual(['in_stock -> reserved', 'reserved -> dispatched', 'dispatched -> returned', 'returned -> reserved']);
+  });
+
+  test('should only return dispatched slabs', async () => {
+    const db = stockDatabase();
+    await Slab.reserve(db.client, SLAB_ID, { id: SHEET.id, status: 'draft' });
+
+    const reserved = await Slab.findById(SLAB_ID);
+    await expect(reserved.markReturned()).rejects.toMatchObject({ statusCode: 409 });
+    expect(db.slab(SLAB_ID).status).toBe('reserved');
+    expect(db.client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('should put a cancelled sheet\'s slabs back in stock', async () => {
+    const db = stockDatabase();
+    await Slab.reserve(db.client, SLAB_ID, { id: SHEET.id, status: 'measured' });
+
+    expect(await Slab.syncWithSheetStatus(db.client, SHEET.id, 'cancelled')).toBe(1);
+
+    expect(db.slab(SLAB_ID)).toMatchObject({ status: 'in_stock', measurement_sheet_id: null });
+    expect(db.movements[1]).toMatchObject({ from_status: 'reserved', to_status: 'in_stock', note: 'Measurement sheet cancelled' });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Offline Create Replay Controller Tests
+ * Drives the sheet and slab entry create handlers with a stubbed database pool: a create sent
+ * again with its clientRef gets what the first one created, and references are validated
+ */
+
+import pool from '../../server/config/database';
+import CustomerType from '../../server/models/CustomerType';
+import { createMeasurementSheet } from '../../server/controllers/measurementSheetController';
+import { createSlabEntry, batchCreateSlabEntries } from '../../server/controllers/slabEntryController';
+
+jest.mock('../../server/config/database', () => ({ connect: jest.fn(), query: jest.fn() }));
+jest.mock('../../server/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn(), clearPattern: jest.fn() }
+}));
+
+const SHEET_ID = '7d4c2f6e-1b0a-4c55-9f3e-2a6b8d9c0e11';
+const OTHER_SHEET_ID = '0b9e8d7c-6f5a-4e3d-8c2b-1a0f9e8d7c6b';
+const CUSTOMER_ID = '3f2e1d0c-9b8a-4766-a554-433221100fed';
+
+// A pooled client whose queries are answered by the first handler whose pattern matches
+const stubPool = (handlers = []) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      const handler = handlers.find(([pattern]) => pattern.test(sql));
+      return handler ? handler[1](params) : { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const queries = (client) => client.query.mock.calls.map(([sql]) => sql.trim());
+
+const slab = (fields) => Object.assign({ blockNumber: 'B-101', length: 72, breadth: 36, slabCategory: 'F' }, fields);
+
+describe('Offline create replay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('measurement sheets', () => {
+    const existingSheet = { id: SHEET_ID, customer_id: CUSTOMER_ID, client_ref: 'temp_sheet_1' };
+
+    test.each([
+      ['longer than 64 characters', 'x'.repeat(65)],
+      ['empty', ''],
+      ['not a string', 42]
+    ])('should reject a client reference that is %s', async (_, clientRef) => {
+      const client = stubPool();
+      const res = response();
+
+      await createMeasurementSheet({ body: { customerId: CUSTOMER_ID, customerType: 'retail', clientRef } }, res);
+
+      expect(res.statusCode).toBe(422);
+      expect(res.body.details).toEqual(['Client reference must be a string of at most 64 characters']);
+      expect(client.query).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should answer a replay with the sheet the first request created', async () => {
+      const client = stubPool([[/FROM measurement_sheets WHERE client_ref/, () => ({ rows: [existingSheet] })]]);
+      const res = response();
+
+      await createMeasurementSheet({ body: { customerId: CUSTOMER_ID, customerType: 'retail', clientRef: 'temp_sheet_1' } }, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true, data: existingSheet });
+      expect(client.query).toHaveBeenCalledWith('SELECT * FROM measurement_sheets WHERE client_ref = $1', ['temp_sheet_1']);
+      expect(queries(client)).not.toContain('BEGIN');
+    });
+
+    test('should not hand another customer\'s sheet to a reused client reference', async () => {
+      stubPool([[/FROM measurement_sheets WHERE client_ref/, () => ({ rows: [existingSheet] })]]);
+      const res = response();
+
+      await createMeasurementSheet({ body: { customerId: 'another-customer', customerType: 'retail', clientRef: 'temp_sheet_1' } }, res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data).toBeUndefined();
+    });
+
+    test('should store the client reference of a new sheet', async () => {
+      jest.spyOn(CustomerType, 'resolve').mockResolvedValue({ key: 'retail' });
+      const client = stubPool([
+        [/FROM customers WHERE id/, () => ({ rows: [{ id: CUSTOMER_ID, calculation_mode: 'imperial' }] })],
+        [/INSERT INTO measurement_sheets/, params => ({ rows: [{ id: SHEET_ID, customer_id: params[0], client_ref: params[3] }] })]
+      ]);
+      const res = response();
+
+      await createMeasurementSheet({ body: { customerId: CUSTOMER_ID, customerType: 'Retail', clientRef: 'temp_sheet_2' } }, res);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.client_ref).toBe('temp_sheet_2');
+      expect(queries(client)).toContain('COMMIT');
+    });
+  });
+
+  describe('slab entries', () => {
+    const existingEntry = { id: 'entry_1', measurement_sheet_id: SHEET_ID, client_ref: 'temp_entry_1' };
+
+    test('should reject a client reference longer than 64 characters', async () => {
+      const client = stubPool();
+      const res = response();
+
+      await createSlabEntry({ body: slab({ measurementSheetId: SHEET_ID, clientRef: 'x'.repeat(65) }) }, res);
+
+      expect(res.statusCode).toBe(422);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test('should answer a replay with the entry the first request created, before locking the sheet', async () => {
+      const client = stubPool([[/FROM slab_entries WHERE client_ref/, () => ({ rows: [existingEntry] })]]);
+      const res = response();
+
+      await createSlabEntry({ body: slab({ measurementSheetId: SHEET_ID, clientRef: 'temp_entry_1' }) }, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true, data: existingEntry });
+      expect(queries(client)).toEqual(['SELECT * FROM slab_entries WHERE client_ref = $1']);
+    });
+
+    test('should not hand an entry of another sheet to a reused client reference', async () => {
+      stubPool([[/FROM slab_entries WHERE client_ref/, () => ({ rows: [existingEntry] })]]);
+      const res = response();
+
+      await createSlabEntry({ body: slab({ measurementSheetId: OTHER_SHEET_ID, clientRef: 'temp_entry_1' }) }, res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data).toBeUndefined();
+    });
+  });
+
+  describe('batched slab entries', () => {
+    const existingEntries = [
+      { id: 'entry_2', measurement_sheet_id: SHEET_ID, client_ref: 'temp_entry_2' },
+      { id: 'entry_1', measurement_sheet_id: SHEET_ID, client_ref: 'temp_entry_1' }
+    ];
+
+    test('should reject a batch that gives two entries the same client reference', async () => {
+      const client = stubPool();
+      const res = response();
+
+      await batchCreateSlabEntries({
+        body: { measurementSheetId: SHEET_ID, slabEntries: [slab({ clientRef: 'temp_entry_1' }), slab({ clientRef: 'temp_entry_1' })] }
+      }, res);
+
+      expect(res.statusCode).toBe(422);
+      expect(res.body.details).toEqual(['Each slab entry needs its own client reference']);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test('should name the entry whose client reference is invalid', async () => {
+      stubPool();
+      const res = response();
+
+      await batchCreateSlabEntries({
+        body: { measurementSheetId: SHEET_ID, slabEntries: [slab({ clientRef: 'temp_entry_1' }), slab({ clientRef: 7 })] }
+      }, res);
+
+      expect(res.statusCode).toBe(422);
+      expect(res.body.details).toEqual(['Slab entry 2: Client reference must be a string of at most 64 characters']);
+    });
+
+    test('should answer a replay with the batch\'s entries in the order they were sent', async () => {
+      const client = stubPool([[/FROM slab_entries WHERE client_ref = ANY/, () => ({ rows: existingEntries })]]);
+      const res = response();
+
+      await batchCreateSlabEntries({
+        body: { measurementSheetId: SHEET_ID, slabEntries: [slab({ clientRef: 'temp_entry_1' }), slab({ clientRef: 'temp_entry_2' })] }
+      }, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(entry => entry.id)).toEqual(['entry_1', 'entry_2']);
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][1]).toEqual([['temp_entry_1', 'temp_entry_2']]);
+    });
+
+    test('should not hand entries of another sheet to reused client references', async () => {
+      stubPool([[/FROM slab_entries WHERE client_ref = ANY/, () => ({ rows: existingEntries })]]);
+      const res = response();
+
+      await batchCreateSlabEntries({
+        body: { measurementSheetId: OTHER_SHEET_ID, slabEntries: [slab({ clientRef: 'temp_entry_1' }), slab({ clientRef: 'temp_entry_2' })] }
+      }, res);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Offline Sync Replay Tests
+ * A create whose response is lost is queued and sent again; the server must answer the
+ * repeat with what the first request created rather than a duplicate
+ */
+
+import { syncService } from '../services/syncService';
+import { apiRequest } from '../services/api';
+import { OPERATION_TYPES, createTempId } from '../utils/syncQueue';
+import { API_ENDPOINTS } from '../utils/constants';
+
+jest.mock('../services/api', () => ({
+  apiRequest: { post: jest.fn(), put: jest.fn(), delete: jest.fn() }
+}));
+
+// In-memory stand-in for the IndexedDB store
+jest.mock('../services/offlineStore', () => {
+  const mockStores = { queue: [], idMap: {}, conflicts: [], sheets: {}, seq: 0 };
+  const offlineStore = {
+    reset: () => Object.assign(mockStores, { queue: [], idMap: {}, conflicts: [], sheets: {}, seq: 0 }),
+    getSheet: async (id) => mockStores.sheets[id] || null,
+    putSheet: async (sheet) => { mockStores.sheets[sheet.id] = sheet; },
+    deleteSheet: async (id) => { delete mockStores.sheets[id]; },
+    updateSheet: async (id, update) => (mockStores.sheets[id] ? (mockStores.sheets[id] = update(mockStores.sheets[id])) : null),
+    getQueue: async () => mockStores.queue.slice(),
+    putOperation: async (operation) => {
+      const seq = operation.seq || ++mockStores.seq;
+      mockStores.queue = mockStores.queue.filter(item => item.seq !== seq).concat({ ...operation, seq });
+      return seq;
+    },
+    deleteOperation: async (seq) => { mockStores.queue = mockStores.queue.filter(item => item.seq !== seq); },
+    getIdMap: async () => ({ ...mockStores.idMap }),
+    putIdMapping: async (tempId, serverId) => { mockStores.idMap[tempId] = serverId; },
+    getConflicts: async () => mockStores.conflicts.slice(),
+    addConflict: async (conflict) => { mockStores.conflicts.push(conflict); },
+    deleteConflict: async () => {}
+  };
+  return { offlineStore };
+});
+
+const { offlineStore } = jest.requireMock('../services/offlineStore');
+
+// A server that dedupes creates on clientRef, and whose first answer to each create is lost
+const createServer = () => {
+  const server = { sheets: [], entries: [], lost: new Set() };
+
+  apiRequest.post.mockImplementation(async (url, body) => {
+    const rows = url === API_ENDPOINTS.MEASUREMENT_SHEETS ? server.sheets : server.entries;
+    let row = rows.find(item => item.client_ref === body.clientRef);
+    if (!row) {
+      row = { id: `server_${rows.length + 1}`, client_ref: body.clientRef, measurement_sheet_number: 'MS-0001', serial_number: rows.length + 1 };
+      rows.push(row);
+    }
+
+    if (!server.lost.has(body.clientRef)) {
+      server.lost.add(body.clientRef);
+      const timeout = new Error('timeout of 30000ms exceeded');
+      timeout.code = 'ECONNABORTED';
+      throw timeout;
+    }
+    return { data: { success: true, data: row } };
+  });
+
+  return server;
+};
+
+const replayed = async () => {
+  await syncService.replay();
+  return offlineStore.getQueue();
+};
+
+describe('Offline Sync Replay', () => {
+  beforeEach(() => {
+    offlineStore.reset();
+    apiRequest.post.mockReset();
+  });
+
+  test('should not duplicate a sheet or slab entry whose create response was lost', async () => {
+    const server = createServer();
+    const sheetTempId = createTempId();
+    const entryTempId = createTempId();
+
+    const sheet = await syncService.submit({
+      type: OPERATION_TYPES.CREATE_SHEET,
+      tempId: sheetTempId,
+      sheetId: sheetTempId,
+      payload: { customerType: 'retail', customerId: 'customer_1' }
+    });
+    expect(sheet.queued).toBe(true);
+    expect(await replayed()).toEqual([]);
+
+    await syncService.submit({
+      type: OPERATION_TYPES.ADD_SLAB_ENTRY,
+      tempId: entryTempId,
+      sheetId: sheetTempId,
+      payload: { blockNumber: 'B-101', length: 72, breadth: 36, slabCategory: 'F' }
+    });
+    expect(await replayed()).toEqual([]);
+
+    expect(server.sheets).toHaveLength(1);
+    expect(server.entries).toHaveLength(1);
+    expect(apiRequest.post.mock.calls.map(([, body]) => body.clientRef))
+      .toEqual([sheetTempId, sheetTempId, entryTempId, entryTempId]);
+    expect(apiRequest.post.mock.calls[3][1].measurementSheetId).toBe('server_1');
+    expect(syncService.resolveId(sheetTempId)).toBe('server_1');
+    expect(syncService.resolveId(entryTempId)).toBe('server_1');
+    expect(syncService.getState().conflicts).toEqual([]);
+  });
+
+  test('should send each batched slab entry with its temporary ID', async () => {
+    const server = createServer();
+    const tempIds = [createTempId(), createTempId()];
+    const slabEntries = [
+      { blockNumber: 'B-101', length: 72, breadth: 36, slabCategory: 'F' },
+      { blockNumber: 'B-101', length: 60, breadth: 30, slabCategory: 'LD' }
+    ];
+
+    apiRequest.post.mockImplementation(async (url, body) => {
+      const clientRefs = body.slabEntries.map(entry => entry.clientRef);
+      const existing = server.entries.filter(entry => clientRefs.includes(entry.client_ref));
+      if (existing.length > 0) {
+        return { data: { success: true, data: existing } };
+      }
+      clientRefs.forEach((clientRef, index) => server.entries.push({ id: `server_${index + 1}`, client_ref: clientRef }));
+      throw new Error('Network Error');
+    });
+
+    await syncService.submit({ type: OPERATION_TYPES.BATCH_ADD_SLAB_ENTRIES, sheetId: 'sheet_1', tempIds, payload: { slabEntries } });
+    expect(await replayed()).toEqual([]);
+
+    expect(server.entries.map(entry => entry.client_ref)).toEqual(tempIds);
+    expect(syncService.resolveId(tempIds[1])).toBe('server_2');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * XLSX Export Tests
+ * Reads the worksheets back out of measurement sheet workbooks and checks their totals
+ */
+
+import zlib from 'zlib';
+import { renderMeasurementSheetsXlsx } from '../../server/exports/measurementSheetXlsx';
+
+// Read each file of a ZIP archive from its local headers
+const unzip = (buffer) => {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const start = offset + 30 + nameLength + extraLength;
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    files[name] = zlib.inflateRawSync(buffer.slice(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+  return files;
+};
+
+// Every formula on a worksheet, keyed by its cell
+const formulas = (xml) => {
+  const found = {};
+  const pattern = /<c r="([A-Z]+\d+)"[^>]*><f>([^<]*)<\/f>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    found[match[1]] = match[2];
+  }
+  return found;
+};
+
+// Whether a formula's ranges take in the cell it sits in
+const refersToItself = (ref, formula) => {
+  const [, column, row] = ref.match(/([A-Z]+)(\d+)/);
+  const ranges = formula.match(/[A-Z]+\d+:[A-Z]+\d+/g) || [];
+  return ranges.some(range => {
+    const [from, to] = range.split(':').map(cell => cell.match(/([A-Z]+)(\d+)/));
+    return from[1] <= column && column <= to[1] && Number(from[2]) <= Number(row) && Number(row) <= Number(to[2]);
+  });
+};
+
+const sheet = (slabEntries) => ({
+  measurementSheetNumber: 'MS-0001',
+  createdAt: '2026-09-10T10:00:00.000Z',
+  status: 'draft',
+  customerTypeLabel: 'Builders',
+  calculationMode: 'imperial',
+  customer: { name: 'John Doe', phoneNumber: '9876543210' },
+  slabEntries
+});
+
+const entry = {
+  serialNumber: 1,
+  blockNumber: 'B-101',
+  material: 'Black Galaxy',
+  length: 120,
+  breadth: 60,
+  slabCategory: 'F',
+  finalLength: 120,
+  finalBreadth: 60,
+  squareFeet: 50,
+  rate: 100,
+  amount: 5000
+};
+
+const worksheets = (sheets) => {
+  const files = unzip(renderMeasurementSheetsXlsx(sheets, { name: 'Test Granites' }));
+  return Object.keys(files).filter(name => name.startsWith('xl/worksheets/')).map(name => files[name]);
+};
+
+describe('Measurement Sheet XLSX Export', () => {
+  test('should write plain zero totals for a sheet without slab entries', () => {
+    const [summary, detail] = worksheets([sheet([])]);
+
+    [summary, detail].forEach(xml => {
+      const found = formulas(xml);
+      Object.keys(found).forEach(ref => {
+        expect(refersToItself(ref, found[ref])).toBe(false);
+      });
+    });
+    expect(formulas(detail)).toEqual({});
+    expect(detail).toMatch(/<c r="I9" s="3"><v>0<\/v><\/c>/);
+    expect(detail).toMatch(/<c r="K9" s="3"><v>0<\/v><\/c>/);
+  });
+
+  test('should total the data rows only', () => {
+    const [summary, detail] = worksheets([sheet([entry, Object.assign({}, entry, { serialNumber: 2 })])]);
+
+    expect(formulas(detail)).toMatchObject({ I11: 'SUM(I9:I10)', K11: 'SUM(K9:K10)' });
+    expect(formulas(summary)).toMatchObject({ F7: 'SUM(F6:F6)', G7: 'SUM(G6:G6)', H7: 'SUM(H6:H6)' });
+    [summary, detail].forEach(xml => {
+      const found = formulas(xml);
+      Object.keys(found).forEach(ref => {
+        expect(refersToItself(ref, found[ref])).toBe(false);
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Map API rows to the shapes the client uses
+ * Several endpoints return database rows as they are (snake_case keys, DECIMAL columns
+ * as strings); these mappers give the pages camelCase objects with numbers
+ */
+
+// DECIMAL columns pg returns as strings
+const NUMERIC_SLAB_ENTRY_FIELDS = ['length', 'breadth', 'finalLength', 'finalBreadth', 'squareFeet', 'grossSquareFeet', 'squareMetres', 'rate', 'amount'];
+const NUMERIC_SHEET_FIELDS = ['totalSquareFeet', 'totalSquareMetres', 'totalAmount'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const toCamelKey = (key) => key.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Convert snake_case keys to camelCase, in nested objects and arrays too
+ * Keys already in camelCase are left as they are
+ * @param {*} value - API data
+ * @returns {*} - The same data with camelCase keys
+ */
+export const toCamelCase = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(toCamelCase);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  return Object.keys(value).reduce((result, key) => {
+    result[toCamelKey(key)] = toCamelCase(value[key]);
+    return result;
+  }, {});
+};
+
+const toNumbers = (object, fields) => {
+  fields.forEach(field => {
+    if (object[field] !== null && object[field] !== undefined && object[field] !== '') {
+      object[field] = Number(object[field]);
+    }
+  });
+  return object;
+};
+
+/**
+ * Map a slab entry row
+ * @param {Object} row - slab_entries row
+ * @returns {Object} - Slab entry
+ */
+export const toSlabEntry = (row) => toNumbers(toCamelCase(row), NUMERIC_SLAB_ENTRY_FIELDS);
+
+/**
+ * Map a measurement sheet row, with its slab entries and the customer columns joined to it
+ * The customer columns (customer_name, customer_phone, ...) are also gathered into
+ * `customer`, the shape the customer and print components take
+ * @param {Object} row - measurement_sheets row or MeasurementSheet JSON
+ * @returns {Object} - Measurement sheet
+ */
+export const toMeasurementSheet = (row) => {
+  const sheet = toNumbers(toCamelCase(row), NUMERIC_SHEET_FIELDS);
+
+  if (Array.isArray(sheet.slabEntries)) {
+    sheet.slabEntries = sheet.slabEntries.map(toSlabEntry);
+  }
+
+  if (!sheet.customer && sheet.customerName) {
+    sheet.customer = {
+      id: sheet.customerId,
+      name: sheet.customerName,
+      phoneNumber: sheet.customerPhone,
+      email: sheet.customerEmail,
+      address: sheet.customerAddress,
+      state: sheet.customerState,
+      gstin: sheet.customerGstin
+    };
+  }
+
+  return sheet;
+};
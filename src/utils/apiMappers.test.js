@@ -0,0 +1,54 @@
+import { toCamelCase, toSlabEntry, toMeasurementSheet } from './apiMappers';
+
+describe('API mappers', () => {
+  test('should convert nested snake_case keys and leave camelCase keys alone', () => {
+    expect(toCamelCase({
+      measurement_sheet_number: 'MS-0042',
+      status_history: [{ from_status: 'draft', toStatus: 'measured' }],
+      created_at: null
+    })).toEqual({
+      measurementSheetNumber: 'MS-0042',
+      statusHistory: [{ fromStatus: 'draft', toStatus: 'measured' }],
+      createdAt: null
+    });
+  });
+
+  test('should turn DECIMAL strings of slab entries into numbers', () => {
+    const entry = toSlabEntry({
+      id: 'entry-1',
+      block_number: 'B-12',
+      length: '72.5000',
+      square_feet: '18.13',
+      square_metres: null,
+      length_input: '72 1/2'
+    });
+
+    expect(entry).toEqual({
+      id: 'entry-1',
+      blockNumber: 'B-12',
+      length: 72.5,
+      squareFeet: 18.13,
+      squareMetres: null,
+      lengthInput: '72 1/2'
+    });
+  });
+
+  test('should gather the joined customer columns of a measurement sheet', () => {
+    const sheet = toMeasurementSheet({
+      id: 'sheet-1',
+      customer_id: 'customer-1',
+      customer_name: 'ABC Granite Works',
+      customer_phone: '555-123-4567',
+      total_square_feet: '125.50',
+      slab_entries: [{ id: 'entry-1', amount: '1200.00' }]
+    });
+
+    expect(sheet.totalSquareFeet).toBe(125.5);
+    expect(sheet.slabEntries).toEqual([{ id: 'entry-1', amount: 1200 }]);
+    expect(sheet.customer).toEqual(expect.objectContaining({
+      id: 'customer-1',
+      name: 'ABC Granite Works',
+      phoneNumber: '555-123-4567'
+    }));
+  });
+});
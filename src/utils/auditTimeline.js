@@ -0,0 +1,70 @@
+/**
+ * Turns audit log rows (one per changed field) into timeline events for display
+ */
+
+const FIELD_LABELS = {
+  status: 'Status',
+  blockNumber: 'Block number',
+  slabId: 'Stock slab',
+  material: 'Material',
+  length: 'Length',
+  breadth: 'Breadth',
+  slabCategory: 'Category',
+  finalLength: 'Final length',
+  finalBreadth: 'Final breadth',
+  squareFeet: 'Sq ft',
+  rate: 'Rate',
+  amount: 'Amount'
+};
+
+/**
+ * Get the display label of an audited field
+ * @param {string} field - Field name as recorded by the server
+ * @returns {string} - Label
+ */
+export const getFieldLabel = (field) => FIELD_LABELS[field] || field;
+
+/**
+ * Group audit rows written by one change into a single event
+ * Rows belong together when they share the entity, action, user and timestamp,
+ * which is how the server writes all fields of one update
+ * @param {Array<Object>} entries - Audit log rows, newest first
+ * @returns {Array<Object>} - Events as { key, entityType, entityLabel, action, username, createdAt, changes }
+ */
+export const groupAuditEntries = (entries = []) => {
+  const events = [];
+
+  entries.forEach(entry => {
+    const last = events[events.length - 1];
+    const sameChange = last &&
+      last.entityId === entry.entityId &&
+      last.action === entry.action &&
+      last.userId === entry.userId &&
+      last.createdAt === entry.createdAt;
+
+    const change = {
+      field: entry.field,
+      oldValue: entry.oldValue,
+      newValue: entry.newValue
+    };
+
+    if (sameChange) {
+      last.changes.push(change);
+      return;
+    }
+
+    events.push({
+      key: entry.id,
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      entityLabel: entry.entityLabel,
+      action: entry.action,
+      userId: entry.userId,
+      username: entry.username,
+      createdAt: entry.createdAt,
+      changes: [change]
+    });
+  });
+
+  return events;
+};
@@ -0,0 +1,51 @@
+import { groupAuditEntries, getFieldLabel } from './auditTimeline';
+
+const AT = '2024-05-01T10:00:00.000Z';
+
+const row = (overrides) => ({
+  id: overrides.id,
+  entityType: 'slab_entry',
+  entityId: 'entry-14',
+  entityLabel: 'Slab 14',
+  action: 'update',
+  field: null,
+  oldValue: null,
+  newValue: null,
+  userId: 'user-1',
+  username: 'ravi',
+  createdAt: AT,
+  ...overrides
+});
+
+describe('Audit timeline', () => {
+  test('should group the fields of one update into a single event', () => {
+    const events = groupAuditEntries([
+      row({ id: 'a', field: 'length', oldValue: '120.00', newValue: '118.00' }),
+      row({ id: 'b', field: 'squareFeet', oldValue: '58.33', newValue: '57.36' })
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].entityLabel).toBe('Slab 14');
+    expect(events[0].username).toBe('ravi');
+    expect(events[0].changes).toEqual([
+      { field: 'length', oldValue: '120.00', newValue: '118.00' },
+      { field: 'squareFeet', oldValue: '58.33', newValue: '57.36' }
+    ]);
+  });
+
+  test('should keep changes by different users, entries or times apart', () => {
+    const events = groupAuditEntries([
+      row({ id: 'a', field: 'length', oldValue: '120.00', newValue: '118.00' }),
+      row({ id: 'b', field: 'length', oldValue: '121.00', newValue: '120.00', userId: 'user-2', username: 'meena' }),
+      row({ id: 'c', field: 'breadth', entityId: 'entry-3', entityLabel: 'Slab 3' }),
+      row({ id: 'd', field: 'breadth', createdAt: '2024-04-30T09:00:00.000Z' })
+    ]);
+
+    expect(events.map(event => event.key)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('should label known fields and pass unknown ones through', () => {
+    expect(getFieldLabel('slabCategory')).toBe('Category');
+    expect(getFieldLabel('notes')).toBe('notes');
+  });
+});
@@ -1,347 +1,149 @@
-import { CUSTOMER_TYPES } from './constants';
+import { DEFAULT_CALCULATION_PROFILES } from './constants';
+import {
+  CALCULATION_MODES,
+  RULE_UNITS,
+  getAxisRule,
+  hasMetricRules,
+  applyAxisRule,
+  buildRawCalculation,
+  calculateWithProfile
+} from '../shared/calculationRules';
+import { DIMENSION_UNITS, parseDimension, formatDimension } from '../shared/dimensions';
 
 /**
  * Base calculation interface and structure for granite slab measurements
- * Handles different customer types with specific calculation rules
+ * Interprets calculation rule profiles (deduction, rounding step, rounding
+ * direction per axis) so new party types can be added without code changes.
+ * The rule interpreter itself lives in src/shared so the server applies the
+ * same rules when it recalculates slab entries.
+ * Dimensions may be entered as fractions, feet and inches or cm/mm; they are
+ * calculated in inches and reported in the unit the party's profile prefers.
+ * Metric sheets apply the profile's centimetre rules and add square metres
  */
 
 /**
- * Process length with divisibility by 3 logic for wholesale customers
- * @param {number} length - Original length in inches
- * @returns {number} - Processed length divisible by 3
+ * Index profiles by code for fast lookup
+ * @param {Array<Object>} profiles - Calculation rule profiles
+ * @returns {Object} - Profiles keyed by code
  */
-const processLengthForDivisibility = (length) => {
-  try {
-    if (length < 3) {
-      console.warn(`Length ${length} is less than 3 inches, result will be 0`);
-      return 0;
+const indexProfiles = (profiles) => {
+  return profiles.reduce((registry, profile) => {
+    if (profile && profile.code) {
+      registry[profile.code] = profile;
     }
-    
-    let processedLength = length - 3;
-    let iterations = 0;
-    const maxIterations = 100; // Prevent infinite loops
-    
-    // Keep subtracting 1 until divisible by 3
-    while (processedLength % 3 !== 0 && processedLength > 0 && iterations < maxIterations) {
-      processedLength -= 1;
-      iterations++;
-    }
-    
-    if (iterations >= maxIterations) {
-      console.error(`Divisibility calculation exceeded maximum iterations for length: ${length}`);
-      return 0;
-    }
-    
-    return Math.max(processedLength, 0);
-  } catch (error) {
-    console.error('Error processing length for divisibility:', error);
-    return 0;
-  }
+    return registry;
+  }, {});
 };
 
-/**
- * Process breadth with divisibility by 3 logic for wholesale customers
- * @param {number} breadth - Original breadth in inches
- * @returns {number} - Processed breadth divisible by 3
- */
-const processBreadthForDivisibility = (breadth) => {
-  try {
-    if (breadth < 2) {
-      console.warn(`Breadth ${breadth} is less than 2 inches, result will be 0`);
-      return 0;
-    }
-    
-    let processedBreadth = breadth - 2;
-    let iterations = 0;
-    const maxIterations = 100; // Prevent infinite loops
-    
-    // Keep subtracting 1 until divisible by 3
-    while (processedBreadth % 3 !== 0 && processedBreadth > 0 && iterations < maxIterations) {
-      processedBreadth -= 1;
-      iterations++;
-    }
-    
-    if (iterations >= maxIterations) {
-      console.error(`Divisibility calculation exceeded maximum iterations for breadth: ${breadth}`);
-      return 0;
-    }
-    
-    return Math.max(processedBreadth, 0);
-  } catch (error) {
-    console.error('Error processing breadth for divisibility:', error);
-    return 0;
-  }
-};
+// Active profile registry, seeded with the built-in profiles
+let profileRegistry = indexProfiles(DEFAULT_CALCULATION_PROFILES);
 
 /**
- * Retail customer calculation method - direct L×B÷144
- * @param {number} length - Length in inches
- * @param {number} breadth - Breadth in inches
- * @returns {Object} - Calculation result with details
+ * Main calculation engine that interprets the rule profile for a customer type
  */
-const calculateRetail = (length, breadth) => {
-  try {
-    const finalLength = length;
-    const finalBreadth = breadth;
-    const squareInches = finalLength * finalBreadth;
-    const squareFeet = squareInches / 144;
-    
-    // Validate calculation result
-    if (!isFinite(squareFeet) || squareFeet < 0) {
-      throw new Error('Invalid calculation result');
+export const calculationEngine = {
+  /**
+   * Replace the active calculation rule profiles
+   * @param {Array<Object>} profiles - Profiles loaded from the API
+   */
+  setProfiles: (profiles) => {
+    if (!Array.isArray(profiles) || profiles.length === 0) {
+      console.warn('No calculation profiles provided, keeping current profiles');
+      return;
     }
-    
-    return {
-      finalLength,
-      finalBreadth,
-      squareFeet: Math.round(squareFeet * 100) / 100, // Round to 2 decimal places
-      calculationSteps: [
-        `Length: ${length} inches (no adjustment)`,
-        `Breadth: ${breadth} inches (no adjustment)`,
-        `Square Inches: ${finalLength} × ${finalBreadth} = ${squareInches}`,
-        `Square Feet: ${squareInches} ÷ 144 = ${squareFeet.toFixed(2)}`
-      ],
-      rawCalculation: `(${length} × ${breadth}) ÷ 144`
-    };
-  } catch (error) {
-    console.error('Error in retail calculation:', error);
-    throw new Error(`Retail calculation failed: ${error.message}`);
-  }
-};
 
-/**
- * Granite Shops calculation with length-3, breadth-2, divisibility by 3 logic
- * @param {number} length - Length in inches
- * @param {number} breadth - Breadth in inches
- * @returns {Object} - Calculation result with details
- */
-const calculateGraniteShops = (length, breadth) => {
-  try {
-    const finalLength = processLengthForDivisibility(length);
-    const finalBreadth = processBreadthForDivisibility(breadth);
-    
-    // Check for edge cases
-    if (finalLength === 0 || finalBreadth === 0) {
-      console.warn('Granite Shops calculation resulted in zero dimensions', { 
-        originalLength: length, 
-        originalBreadth: breadth, 
-        finalLength, 
-        finalBreadth 
-      });
-    }
-    
-    const squareInches = finalLength * finalBreadth;
-    const squareFeet = squareInches / 144;
-    
-    // Validate calculation result
-    if (!isFinite(squareFeet) || squareFeet < 0) {
-      throw new Error('Invalid calculation result');
-    }
-    
-    return {
-      finalLength,
-      finalBreadth,
-      squareFeet: Math.round(squareFeet * 100) / 100,
-      calculationSteps: [
-        `Length: ${length} - 3 = ${length - 3}, adjusted for divisibility by 3 = ${finalLength}`,
-        `Breadth: ${breadth} - 2 = ${breadth - 2}, adjusted for divisibility by 3 = ${finalBreadth}`,
-        `Square Inches: ${finalLength} × ${finalBreadth} = ${squareInches}`,
-        `Square Feet: ${squareInches} ÷ 144 = ${squareFeet.toFixed(2)}`
-      ],
-      rawCalculation: `((${length} - 3) × (${breadth} - 2)) ÷ 144 (adjusted for divisibility by 3)`
-    };
-  } catch (error) {
-    console.error('Error in granite shops calculation:', error);
-    throw new Error(`Granite Shops calculation failed: ${error.message}`);
-  }
-};
+    profileRegistry = indexProfiles(profiles);
+  },
 
-/**
- * Builders calculation with length-3 adjustment only
- * @param {number} length - Length in inches
- * @param {number} breadth - Breadth in inches
- * @returns {Object} - Calculation result with details
- */
-const calculateBuilders = (length, breadth) => {
-  try {
-    const finalLength = processLengthForDivisibility(length);
-    const finalBreadth = breadth; // Use original breadth without adjustment
-    
-    // Check for edge cases
-    if (finalLength === 0) {
-      console.warn('Builders calculation resulted in zero length', { 
-        originalLength: length, 
-        finalLength 
-      });
-    }
-    
-    const squareInches = finalLength * finalBreadth;
-    const squareFeet = squareInches / 144;
-    
-    // Validate calculation result
-    if (!isFinite(squareFeet) || squareFeet < 0) {
-      throw new Error('Invalid calculation result');
-    }
-    
-    return {
-      finalLength,
-      finalBreadth,
-      squareFeet: Math.round(squareFeet * 100) / 100,
-      calculationSteps: [
-        `Length: ${length} - 3 = ${length - 3}, adjusted for divisibility by 3 = ${finalLength}`,
-        `Breadth: ${breadth} inches (no adjustment)`,
-        `Square Inches: ${finalLength} × ${finalBreadth} = ${squareInches}`,
-        `Square Feet: ${squareInches} ÷ 144 = ${squareFeet.toFixed(2)}`
-      ],
-      rawCalculation: `((${length} - 3) × ${breadth}) ÷ 144 (length adjusted for divisibility by 3)`
-    };
-  } catch (error) {
-    console.error('Error in builders calculation:', error);
-    throw new Error(`Builders calculation failed: ${error.message}`);
-  }
-};
+  /**
+   * Restore the built-in calculation rule profiles
+   */
+  resetProfiles: () => {
+    profileRegistry = indexProfiles(DEFAULT_CALCULATION_PROFILES);
+  },
 
-/**
- * Exporters calculation with simple L-3, B-2 deductions
- * @param {number} length - Length in inches
- * @param {number} breadth - Breadth in inches
- * @returns {Object} - Calculation result with details
- */
-const calculateExporters = (length, breadth) => {
-  try {
-    const finalLength = Math.max(length - 3, 0);
-    const finalBreadth = Math.max(breadth - 2, 0);
-    
-    // Check for edge cases
-    if (finalLength === 0 || finalBreadth === 0) {
-      console.warn('Exporters calculation resulted in zero dimensions', { 
-        originalLength: length, 
-        originalBreadth: breadth, 
-        finalLength, 
-        finalBreadth 
-      });
-    }
-    
-    const squareInches = finalLength * finalBreadth;
-    const squareFeet = squareInches / 144;
-    
-    // Validate calculation result
-    if (!isFinite(squareFeet) || squareFeet < 0) {
-      throw new Error('Invalid calculation result');
-    }
-    
-    return {
-      finalLength,
-      finalBreadth,
-      squareFeet: Math.round(squareFeet * 100) / 100,
-      calculationSteps: [
-        `Length: ${length} - 3 = ${finalLength}`,
-        `Breadth: ${breadth} - 2 = ${finalBreadth}`,
-        `Square Inches: ${finalLength} × ${finalBreadth} = ${squareInches}`,
-        `Square Feet: ${squareInches} ÷ 144 = ${squareFeet.toFixed(2)}`
-      ],
-      rawCalculation: `((${length} - 3) × (${breadth} - 2)) ÷ 144`
-    };
-  } catch (error) {
-    console.error('Error in exporters calculation:', error);
-    throw new Error(`Exporters calculation failed: ${error.message}`);
-  }
-};
+  /**
+   * Get all active calculation rule profiles
+   * @returns {Array<Object>} - Active profiles
+   */
+  getProfiles: () => Object.values(profileRegistry),
 
-/**
- * Outstation Parties calculation (same as Granite Shops)
- * @param {number} length - Length in inches
- * @param {number} breadth - Breadth in inches
- * @returns {Object} - Calculation result with details
- */
-const calculateOutstationParties = (length, breadth) => {
-  return calculateGraniteShops(length, breadth);
-};
+  /**
+   * Get the calculation rule profile for a customer type
+   * @param {string} customerType - Customer type code
+   * @returns {Object|null} - Profile or null if unknown
+   */
+  getProfile: (customerType) => profileRegistry[customerType] || null,
 
-/**
- * Main calculation engine that routes to appropriate calculation method
- */
-export const calculationEngine = {
   /**
    * Calculate square feet based on customer type
-   * @param {number} length - Length in inches
-   * @param {number} breadth - Breadth in inches
-   * @param {string} customerType - Customer type from CUSTOMER_TYPES
-   * @returns {Object} - Calculation result with details
+   * @param {number|string} length - Length in inches, or as entered ("72 1/2", "6'2\"", "183 cm")
+   * @param {number|string} breadth - Breadth in inches, or as entered
+   * @param {string} customerType - Customer type code of an active profile
+   * @param {string} calculationMode - One of CALCULATION_MODES; metric adds squareMetres
+   * @returns {Object} - Calculation result with details, the dimensions in inches and
+   *   `display` holding them formatted in the profile's display unit
    */
-  calculateSquareFeet: (length, breadth, customerType) => {
+  calculateSquareFeet: (length, breadth, customerType, calculationMode) => {
     try {
       // Comprehensive input validation
       const validationErrors = [];
-      
+
+      const lengthDimension = parseDimension(length);
+      const breadthDimension = parseDimension(breadth);
+
       // Validate length
       if (length === null || length === undefined || length === '') {
         validationErrors.push('Length is required');
-      } else {
-        const numLength = parseFloat(length);
-        if (isNaN(numLength)) {
-          validationErrors.push('Length must be a valid number');
-        } else if (numLength <= 0) {
-          validationErrors.push('Length must be greater than 0');
-        } else if (numLength > 10000) {
-          validationErrors.push('Length cannot exceed 10,000 inches');
-        }
+      } else if (!lengthDimension) {
+        validationErrors.push('Length must be a valid number');
+      } else if (lengthDimension.inches <= 0) {
+        validationErrors.push('Length must be greater than 0');
+      } else if (lengthDimension.inches > 10000) {
+        validationErrors.push('Length cannot exceed 10,000 inches');
       }
-      
+
       // Validate breadth
       if (breadth === null || breadth === undefined || breadth === '') {
         validationErrors.push('Breadth is required');
-      } else {
-        const numBreadth = parseFloat(breadth);
-        if (isNaN(numBreadth)) {
-          validationErrors.push('Breadth must be a valid number');
-        } else if (numBreadth <= 0) {
-          validationErrors.push('Breadth must be greater than 0');
-        } else if (numBreadth > 10000) {
-          validationErrors.push('Breadth cannot exceed 10,000 inches');
-        }
+      } else if (!breadthDimension) {
+        validationErrors.push('Breadth must be a valid number');
+      } else if (breadthDimension.inches <= 0) {
+        validationErrors.push('Breadth must be greater than 0');
+      } else if (breadthDimension.inches > 10000) {
+        validationErrors.push('Breadth cannot exceed 10,000 inches');
       }
-      
+
       // Validate customer type
       if (!customerType) {
         validationErrors.push('Customer type is required');
-      } else if (!Object.values(CUSTOMER_TYPES).includes(customerType)) {
-        validationErrors.push(`Invalid customer type: ${customerType}. Valid types are: ${Object.values(CUSTOMER_TYPES).join(', ')}`);
+      } else if (!profileRegistry[customerType]) {
+        validationErrors.push(`Invalid customer type: ${customerType}. Valid types are: ${Object.keys(profileRegistry).join(', ')}`);
       }
-      
+
       if (validationErrors.length > 0) {
         const error = new Error('Validation failed');
         error.type = 'validation';
         error.details = validationErrors;
         throw error;
       }
-      
-      // Convert to numbers for calculation
-      const numLength = parseFloat(length);
-      const numBreadth = parseFloat(breadth);
-      
-      // Route to appropriate calculation method
-      switch (customerType) {
-        case CUSTOMER_TYPES.RETAIL:
-          return calculateRetail(numLength, numBreadth);
-        
-        case CUSTOMER_TYPES.GRANITE_SHOPS:
-          return calculateGraniteShops(numLength, numBreadth);
-        
-        case CUSTOMER_TYPES.BUILDERS:
-          return calculateBuilders(numLength, numBreadth);
-        
-        case CUSTOMER_TYPES.EXPORTERS:
-          return calculateExporters(numLength, numBreadth);
-        
-        case CUSTOMER_TYPES.OUTSTATION_PARTIES:
-          return calculateOutstationParties(numLength, numBreadth);
-        
-        default:
-          const error = new Error(`Unsupported customer type: ${customerType}`);
-          error.type = 'unsupported_customer_type';
-          throw error;
-      }
+
+      const profile = profileRegistry[customerType];
+      const result = calculateWithProfile(lengthDimension.inches, breadthDimension.inches, profile, calculationMode);
+      const displayUnit = profile.displayUnit || DIMENSION_UNITS.INCHES;
+
+      return {
+        ...result,
+        length: lengthDimension.inches,
+        breadth: breadthDimension.inches,
+        displayUnit,
+        display: {
+          length: formatDimension(lengthDimension.inches, displayUnit),
+          breadth: formatDimension(breadthDimension.inches, displayUnit),
+          finalLength: formatDimension(result.finalLength, displayUnit),
+          finalBreadth: formatDimension(result.finalBreadth, displayUnit)
+        }
+      };
     } catch (error) {
       // Log calculation errors for debugging
       console.error('Calculation error:', {
@@ -351,7 +153,7 @@ export const calculationEngine = {
         error: error.message,
         details: error.details
       });
-      
+
       // Re-throw with additional context if not already a validation error
       if (error.type !== 'validation') {
         const calculationError = new Error(`Calculation failed: ${error.message}`);
@@ -359,83 +161,103 @@ export const calculationEngine = {
         calculationError.originalError = error;
         throw calculationError;
       }
-      
+
       throw error;
     }
   },
 
+  /**
+   * Get the unit a customer type's measurements are shown in
+   * @param {string} customerType - Customer type code
+   * @returns {string} - One of DIMENSION_UNITS, inches when the profile has none
+   */
+  getDisplayUnit: (customerType) => {
+    const profile = profileRegistry[customerType];
+    return (profile && profile.displayUnit) || DIMENSION_UNITS.INCHES;
+  },
+
+  /**
+   * Format a dimension in inches in the customer type's display unit
+   * @param {number} inches - Dimension in inches
+   * @param {string} customerType - Customer type code
+   * @returns {string} - Formatted dimension, e.g. 72 1/2" or 184.2 cm
+   */
+  formatDimension: (inches, customerType) => formatDimension(inches, calculationEngine.getDisplayUnit(customerType)),
+
+  /**
+   * Format a saved slab entry's dimensions for display
+   * Original dimensions show as entered when the entry kept its text ("72 1/2", "183 cm"),
+   * everything else in the customer type's display unit
+   * @param {Object} entry - Slab entry with length, breadth, finalLength and finalBreadth in inches
+   * @param {string} customerType - Customer type code
+   * @returns {Object} - { length, breadth, finalLength, finalBreadth } as display strings
+   */
+  formatEntryDimensions: (entry, customerType) => {
+    const unit = calculationEngine.getDisplayUnit(customerType);
+    return {
+      length: entry.lengthInput || formatDimension(entry.length, unit),
+      breadth: entry.breadthInput || formatDimension(entry.breadth, unit),
+      finalLength: formatDimension(entry.finalLength, unit),
+      finalBreadth: formatDimension(entry.finalBreadth, unit)
+    };
+  },
+
   /**
    * Process length based on customer type
    * @param {number} length - Original length in inches
-   * @param {string} customerType - Customer type from CUSTOMER_TYPES
+   * @param {string} customerType - Customer type code
    * @returns {number} - Processed length
    */
   processLength: (length, customerType) => {
-    switch (customerType) {
-      case CUSTOMER_TYPES.RETAIL:
-        return length;
-      
-      case CUSTOMER_TYPES.GRANITE_SHOPS:
-      case CUSTOMER_TYPES.BUILDERS:
-      case CUSTOMER_TYPES.OUTSTATION_PARTIES:
-        return processLengthForDivisibility(length);
-      
-      case CUSTOMER_TYPES.EXPORTERS:
-        return Math.max(length - 3, 0);
-      
-      default:
-        return length;
-    }
+    const profile = profileRegistry[customerType];
+    return profile ? applyAxisRule(length, getAxisRule(profile, 'length')) : length;
   },
 
   /**
    * Process breadth based on customer type
    * @param {number} breadth - Original breadth in inches
-   * @param {string} customerType - Customer type from CUSTOMER_TYPES
+   * @param {string} customerType - Customer type code
    * @returns {number} - Processed breadth
    */
   processBreadth: (breadth, customerType) => {
-    switch (customerType) {
-      case CUSTOMER_TYPES.RETAIL:
-      case CUSTOMER_TYPES.BUILDERS:
-        return breadth;
-      
-      case CUSTOMER_TYPES.GRANITE_SHOPS:
-      case CUSTOMER_TYPES.OUTSTATION_PARTIES:
-        return processBreadthForDivisibility(breadth);
-      
-      case CUSTOMER_TYPES.EXPORTERS:
-        return Math.max(breadth - 2, 0);
-      
-      default:
-        return breadth;
-    }
+    const profile = profileRegistry[customerType];
+    return profile ? applyAxisRule(breadth, getAxisRule(profile, 'breadth')) : breadth;
   },
 
   /**
    * Get calculation method description for a customer type
-   * @param {string} customerType - Customer type from CUSTOMER_TYPES
+   * @param {string} customerType - Customer type code
+   * @param {string} calculationMode - One of CALCULATION_MODES, imperial by default
    * @returns {string} - Description of calculation method
    */
-  getCalculationDescription: (customerType) => {
-    switch (customerType) {
-      case CUSTOMER_TYPES.RETAIL:
-        return 'Direct calculation: (Length × Breadth) ÷ 144';
-      
-      case CUSTOMER_TYPES.GRANITE_SHOPS:
-        return 'Length-3 and Breadth-2 with divisibility by 3 adjustment';
-      
-      case CUSTOMER_TYPES.BUILDERS:
-        return 'Length-3 with divisibility by 3 adjustment, original breadth';
-      
-      case CUSTOMER_TYPES.EXPORTERS:
-        return 'Simple deduction: (Length-3) × (Breadth-2) ÷ 144';
-      
-      case CUSTOMER_TYPES.OUTSTATION_PARTIES:
-        return 'Same as Granite Shops: Length-3 and Breadth-2 with divisibility by 3';
-      
-      default:
-        return 'Unknown calculation method';
+  getCalculationDescription: (customerType, calculationMode) => {
+    const profile = profileRegistry[customerType];
+
+    if (!profile) {
+      return 'Unknown calculation method';
+    }
+
+    if (calculationMode === CALCULATION_MODES.METRIC && hasMetricRules(profile)) {
+      return buildRawCalculation(
+        'Length (cm)',
+        'Breadth (cm)',
+        getAxisRule(profile, 'length', RULE_UNITS.CENTIMETRES),
+        getAxisRule(profile, 'breadth', RULE_UNITS.CENTIMETRES),
+        RULE_UNITS.CENTIMETRES
+      );
+    }
+
+    if (profile.description) {
+      return profile.description;
+    }
+
+    const lengthRule = getAxisRule(profile, 'length');
+    const breadthRule = getAxisRule(profile, 'breadth');
+
+    if (!lengthRule && !breadthRule) {
+      return 'Direct calculation: (Length × Breadth) ÷ 144';
     }
+
+    return buildRawCalculation('Length', 'Breadth', lengthRule, breadthRule);
   }
-};
\ No newline at end of file
+};
@@ -1,5 +1,6 @@
 import { calculationEngine } from './calculationEngine';
-import { CUSTOMER_TYPES } from './constants';
+import { CUSTOMER_TYPES, DEFAULT_CALCULATION_PROFILES, CALCULATION_MODES } from './constants';
+import { calculateWithProfile } from '../shared/calculationRules';
 
 describe('Calculation Engine', () => {
   describe('Retail Customer Calculations', () => {
@@ -40,6 +41,7 @@ describe('Calculation Engine', () => {
       expect(result.finalLength).toBe(144);
       expect(result.finalBreadth).toBe(141);
       expect(result.squareFeet).toBe(141); // (144 * 141) / 144 = 141
+      expect(result.grossSquareFeet).toBe(150.03); // (149 * 145) / 144, before the deductions
     });
   });
 
@@ -160,4 +162,137 @@ describe('Calculation Engine', () => {
         .toBe('Same as Granite Shops: Length-3 and Breadth-2 with divisibility by 3');
     });
   });
-});
\ No newline at end of file
+
+  describe('Configurable Rule Profiles', () => {
+    afterEach(() => {
+      calculationEngine.resetProfiles();
+    });
+
+    test('should interpret a custom profile without code changes', () => {
+      calculationEngine.setProfiles([
+        ...calculationEngine.getProfiles(),
+        {
+          code: 'contractors',
+          name: 'Contractors',
+          rules: [
+            { axis: 'length', deduction: 2, roundingStep: 6, roundingDirection: 'down' }
+          ]
+        }
+      ]);
+
+      const result = calculationEngine.calculateSquareFeet(100, 72, 'contractors');
+
+      // Length: 100 - 2 = 98, rounded down to a multiple of 6 = 96
+      // Breadth: 72 (no adjustment)
+      expect(result.finalLength).toBe(96);
+      expect(result.finalBreadth).toBe(72);
+      expect(result.squareFeet).toBe(48); // (96 * 72) / 144 = 48
+      expect(result.rawCalculation).toBe('((100 - 2) × 72) ÷ 144 (length adjusted for divisibility by 6)');
+    });
+
+    test('should support rounding up and to the nearest step', () => {
+      calculationEngine.setProfiles([
+        {
+          code: 'round_up',
+          name: 'Round Up',
+          rules: [{ axis: 'breadth', deduction: 0, roundingStep: 3, roundingDirection: 'up' }]
+        },
+        {
+          code: 'round_nearest',
+          name: 'Round Nearest',
+          rules: [{ axis: 'length', deduction: 1, roundingStep: 5, roundingDirection: 'nearest' }]
+        }
+      ]);
+
+      expect(calculationEngine.processBreadth(100, 'round_up')).toBe(102);
+      expect(calculationEngine.processBreadth(99, 'round_up')).toBe(99);
+      expect(calculationEngine.processLength(103, 'round_nearest')).toBe(100);
+      expect(calculationEngine.processLength(104, 'round_nearest')).toBe(105);
+    });
+
+    test('should round decimal dimensions down to the rounding step', () => {
+      const result = calculationEngine.calculateSquareFeet(150.5, 146.75, CUSTOMER_TYPES.GRANITE_SHOPS);
+
+      // Length: 150.5 - 3 = 147.5 -> 147, Breadth: 146.75 - 2 = 144.75 -> 144
+      expect(result.finalLength).toBe(147);
+      expect(result.finalBreadth).toBe(144);
+    });
+
+    test('should reject customer types without an active profile', () => {
+      calculationEngine.setProfiles([
+        { code: 'retail', name: 'Retail', rules: [] }
+      ]);
+
+      expect(() => {
+        calculationEngine.calculateSquareFeet(100, 100, CUSTOMER_TYPES.BUILDERS);
+      }).toThrow('Validation failed');
+    });
+
+    test('should keep current profiles when given an empty list', () => {
+      calculationEngine.setProfiles([]);
+
+      expect(calculationEngine.getProfile(CUSTOMER_TYPES.RETAIL)).not.toBeNull();
+    });
+  });
+
+  describe('Shared Rule Interpreter', () => {
+    test('should produce the same result as the client engine for every built-in profile', () => {
+      DEFAULT_CALCULATION_PROFILES.forEach(profile => {
+        const serverResult = calculateWithProfile(125.5, 97, profile);
+        const clientResult = calculationEngine.calculateSquareFeet(125.5, 97, profile.code);
+
+        expect(clientResult).toMatchObject(serverResult);
+      });
+    });
+  });
+
+  describe('Entered Dimensions', () => {
+    afterEach(() => {
+      calculationEngine.resetProfiles();
+    });
+
+    test('should calculate fractions, feet and inches and metric the same as decimal inches', () => {
+      const decimal = calculationEngine.calculateSquareFeet(74.5, 36, CUSTOMER_TYPES.RETAIL);
+
+      expect(calculationEngine.calculateSquareFeet('74 1/2', '36', CUSTOMER_TYPES.RETAIL).squareFeet).toBe(decimal.squareFeet);
+      expect(calculationEngine.calculateSquareFeet('6\' 2 1/2"', '3\'', CUSTOMER_TYPES.RETAIL).squareFeet).toBe(decimal.squareFeet);
+      expect(calculationEngine.calculateSquareFeet('254 cm', '914.4 mm', CUSTOMER_TYPES.RETAIL).length).toBe(100);
+    });
+
+    test('should report dimensions in the display unit of the profile', () => {
+      calculationEngine.setProfiles(DEFAULT_CALCULATION_PROFILES.map(profile => (
+        profile.code === CUSTOMER_TYPES.EXPORTERS ? { ...profile, displayUnit: 'cm' } : profile
+      )));
+
+      const retail = calculationEngine.calculateSquareFeet('72 1/2', 36, CUSTOMER_TYPES.RETAIL);
+      expect(retail.displayUnit).toBe('in');
+      expect(retail.display.length).toBe('72 1/2"');
+
+      const exporters = calculationEngine.calculateSquareFeet('72 1/2', 36, CUSTOMER_TYPES.EXPORTERS);
+      expect(exporters.displayUnit).toBe('cm');
+      expect(exporters.display.length).toBe('184.2 cm');
+      expect(exporters.display.finalBreadth).toBe('86.4 cm');
+      expect(calculationEngine.formatDimension(72.5, CUSTOMER_TYPES.EXPORTERS)).toBe('184.2 cm');
+    });
+  });
+
+  describe('Metric Mode', () => {
+    test('should apply centimetre rules and report square metres', () => {
+      const result = calculationEngine.calculateSquareFeet('250 cm', '120 cm', CUSTOMER_TYPES.EXPORTERS, CALCULATION_MODES.METRIC);
+
+      expect(result.squareMetres).toBe(2.783);
+      expect(result.squareFeet).toBe(29.96);
+      expect(result.rawCalculation).toBe('((250 - 8) × (120 - 5)) ÷ 10000 (adjusted for divisibility by 1)');
+      expect(result.finalLength).toBe(95.2756);
+    });
+
+    test('should convert square feet when a profile has no centimetre rules', () => {
+      const metric = calculationEngine.calculateSquareFeet(72, 36, CUSTOMER_TYPES.RETAIL, CALCULATION_MODES.METRIC);
+      const imperial = calculationEngine.calculateSquareFeet(72, 36, CUSTOMER_TYPES.RETAIL);
+
+      expect(metric.squareFeet).toBe(18);
+      expect(metric.squareMetres).toBe(1.672);
+      expect(imperial.squareMetres).toBeUndefined();
+    });
+  });
+});
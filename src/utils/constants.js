@@ -1,3 +1,11 @@
+import { ROUNDING_DIRECTIONS, CALCULATION_MODES, RULE_UNITS } from '../shared/calculationRules';
+import { DISCOUNT_TYPES, TAX_TYPES, GST_STATE_CODES } from '../shared/gst';
+import { ROLES, ROLE_LABELS, PERMISSIONS } from '../shared/permissions';
+import { SHEET_STATUSES, SHEET_STATUS_LABELS, SHEET_STATUS_VARIANTS } from '../shared/sheetStatus';
+import { PAYMENT_MODES, PAYMENT_MODE_LABELS } from '../shared/ledger';
+import { STATISTICS_INTERVALS } from '../shared/sheetStatistics';
+import { REPORT_DIMENSIONS, REPORT_DIMENSION_LABELS, REPORT_MEASURES, REPORT_MEASURE_LABELS, SALES_MEASURES, WASTAGE_MEASURES } from '../shared/salesReport';
+
 // Application constants
 export const CUSTOMER_TYPES = {
   RETAIL: 'retail',
@@ -7,29 +15,145 @@ export const CUSTOMER_TYPES = {
   EXPORTERS: 'exporters'
 };
 
-export const CUSTOMER_TYPE_LABELS = {
-  retail: 'Retail',
-  granite_shops: 'Granite Shops (Wholesalers)',
-  builders: 'Builders',
-  outstation_parties: 'Outstation Parties',
-  exporters: 'Exporters'
+export const SLAB_CATEGORIES = ['F', 'LD', 'D', 'S'];
+
+// Slab dimensions are inches by default; fractions, feet and inches and cm/mm are also accepted
+export const DIMENSION_PLACEHOLDER = 'e.g. 72 1/2, 6\'2", 184 cm';
+
+// Surface finishes offered for blocks in inventory
+export const BLOCK_FINISHES = ['Polished', 'Honed', 'Flamed', 'Leather', 'Lappato', 'Sandblasted'];
+
+// Slab stock ledger states: in_stock -> reserved (open sheet) -> dispatched (dispatched sheet) -> returned
+export const SLAB_STATUS = {
+  IN_STOCK: 'in_stock',
+  RESERVED: 'reserved',
+  DISPATCHED: 'dispatched',
+  RETURNED: 'returned'
+};
+
+export const MEASUREMENT_AXES = ['length', 'breadth'];
+
+// Rounding directions, rule units and calculation modes are defined alongside the shared rule interpreter
+export { ROUNDING_DIRECTIONS, RULE_UNITS, CALCULATION_MODES };
+
+export const CALCULATION_MODE_LABELS = {
+  imperial: 'Square feet',
+  metric: 'Square feet and square metres'
 };
 
-export const SLAB_CATEGORIES = ['F', 'LD', 'D', 'S'];
+// Built-in calculation rule profiles, used until the server profiles are loaded
+// and as a fallback when the API is unavailable
+export const DEFAULT_CALCULATION_PROFILES = [
+  {
+    code: 'retail',
+    name: 'Retail',
+    description: 'Direct calculation: (Length × Breadth) ÷ 144',
+    displayUnit: 'in',
+    rules: []
+  },
+  {
+    code: 'granite_shops',
+    name: 'Granite Shops (Wholesalers)',
+    description: 'Length-3 and Breadth-2 with divisibility by 3 adjustment',
+    displayUnit: 'in',
+    rules: [
+      { axis: 'length', deduction: 3, roundingStep: 3, roundingDirection: 'down' },
+      { axis: 'breadth', deduction: 2, roundingStep: 3, roundingDirection: 'down' }
+    ]
+  },
+  {
+    code: 'builders',
+    name: 'Builders',
+    description: 'Length-3 with divisibility by 3 adjustment, original breadth',
+    displayUnit: 'in',
+    rules: [
+      { axis: 'length', deduction: 3, roundingStep: 3, roundingDirection: 'down' }
+    ]
+  },
+  {
+    code: 'outstation_parties',
+    name: 'Outstation Parties',
+    description: 'Same as Granite Shops: Length-3 and Breadth-2 with divisibility by 3',
+    displayUnit: 'in',
+    rules: [
+      { axis: 'length', deduction: 3, roundingStep: 3, roundingDirection: 'down' },
+      { axis: 'breadth', deduction: 2, roundingStep: 3, roundingDirection: 'down' }
+    ]
+  },
+  {
+    code: 'exporters',
+    name: 'Exporters',
+    description: 'Simple deduction: (Length-3) × (Breadth-2) ÷ 144',
+    displayUnit: 'in',
+    rules: [
+      { axis: 'length', deduction: 3, roundingStep: 0, roundingDirection: 'none' },
+      { axis: 'breadth', deduction: 2, roundingStep: 0, roundingDirection: 'none' },
+      { axis: 'length', unit: 'cm', deduction: 8, roundingStep: 1, roundingDirection: 'down' },
+      { axis: 'breadth', unit: 'cm', deduction: 5, roundingStep: 1, roundingDirection: 'down' }
+    ]
+  }
+];
 
-export const MEASUREMENT_SHEET_STATUS = {
-  DRAFT: 'draft',
-  COMPLETED: 'completed'
+// Built-in customer type registry (key, label, description), used until the
+// server registry is loaded and as a fallback when the API is unavailable
+export const DEFAULT_CUSTOMER_TYPES = DEFAULT_CALCULATION_PROFILES.map(profile => ({
+  key: profile.code,
+  label: profile.name,
+  description: profile.description
+}));
+
+// Sheet lifecycle: draft -> measured -> approved -> dispatched -> invoiced, or cancelled
+export const MEASUREMENT_SHEET_STATUS = SHEET_STATUSES;
+export { SHEET_STATUS_LABELS, SHEET_STATUS_VARIANTS };
+
+export const INVOICE_STATUS = {
+  ISSUED: 'issued',
+  CANCELLED: 'cancelled'
 };
 
+// GST discount and tax types are defined alongside the shared invoice calculation
+export { DISCOUNT_TYPES, TAX_TYPES };
+
+// Ways a customer can pay; non-cash payments need a reference
+export { PAYMENT_MODES, PAYMENT_MODE_LABELS };
+
+// Dashboard figures are grouped per day, week (from Monday) or month
+export { STATISTICS_INTERVALS };
+
+// Sales reports group slabs by these dimensions and total these measures; the wastage
+// report shows gross, billed and deducted area instead of a column dimension
+export { REPORT_DIMENSIONS, REPORT_DIMENSION_LABELS, REPORT_MEASURES, REPORT_MEASURE_LABELS, SALES_MEASURES, WASTAGE_MEASURES };
+
+// State names for place of supply, in GST state code order
+export const INDIAN_STATES = Object.values(GST_STATE_CODES);
+
+// Supplier state, used to preview CGST/SGST or IGST (the server's COMPANY_STATE is authoritative)
+export const COMPANY_STATE = process.env.REACT_APP_COMPANY_STATE || 'Karnataka';
+
 export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 export const API_ENDPOINTS = {
   CUSTOMERS: '/customers',
   MEASUREMENT_SHEETS: '/measurement-sheets',
-  SLAB_ENTRIES: '/slab-entries'
+  SLAB_ENTRIES: '/slab-entries',
+  CALCULATION_PROFILES: '/calculation-profiles',
+  CUSTOMER_TYPES: '/customer-types',
+  RATE_CARDS: '/rate-cards',
+  INVOICES: '/invoices',
+  PAYMENTS: '/payments',
+  BLOCKS: '/blocks',
+  SLABS: '/slabs',
+  REPORTS: '/reports',
+  AUTH: '/auth',
+  USERS: '/users'
 };
 
+// localStorage key of the bearer token sent with every API request
+export const AUTH_TOKEN_KEY = 'authToken';
+
+// User roles and what they allow are defined alongside the server's permission checks
+export { ROLES, ROLE_LABELS, PERMISSIONS };
+
 export const ROUTES = {
   HOME: '/',
   DASHBOARD: '/',
@@ -37,7 +161,12 @@ export const ROUTES = {
   NEW_MEASUREMENT_SHEET: '/measurement-sheet/new',
   EDIT_MEASUREMENT_SHEET: '/measurement-sheet/edit',
   MEASUREMENT_SHEETS: '/measurement-sheets',
-  VIEW_MEASUREMENT_SHEET: '/measurement-sheet'
+  VIEW_MEASUREMENT_SHEET: '/measurement-sheet',
+  BLOCKS: '/blocks',
+  SLABS: '/slabs',
+  LOGIN: '/login',
+  USERS: '/users',
+  REPORTS: '/reports'
 };
 
 export const FORM_VALIDATION = {
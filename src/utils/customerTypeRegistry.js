@@ -0,0 +1,66 @@
+import { DEFAULT_CUSTOMER_TYPES } from './constants';
+import { resolveCustomerType } from '../shared/customerTypes';
+
+/**
+ * Client side customer type registry
+ * Holds the canonical customer types served by /api/customer-types so every
+ * component resolves keys and labels the same way the server does
+ */
+
+// Active customer types, seeded with the built-in registry
+let customerTypes = DEFAULT_CUSTOMER_TYPES;
+
+export const customerTypeRegistry = {
+  /**
+   * Replace the active customer types
+   * @param {Array<Object>} types - Customer types loaded from the API
+   */
+  setCustomerTypes: (types) => {
+    if (!Array.isArray(types) || types.length === 0) {
+      console.warn('No customer types provided, keeping current customer types');
+      return;
+    }
+
+    customerTypes = types;
+  },
+
+  /**
+   * Restore the built-in customer types
+   */
+  resetCustomerTypes: () => {
+    customerTypes = DEFAULT_CUSTOMER_TYPES;
+  },
+
+  /**
+   * Get all active customer types
+   * @returns {Array<Object>} - Customer types with key, label and description
+   */
+  getCustomerTypes: () => customerTypes,
+
+  /**
+   * Resolve a customer type from its key or label
+   * @param {string} value - Customer type key ('granite_shops') or label ('Granite Shops')
+   * @returns {Object|null} - Customer type or null if unknown
+   */
+  resolve: (value) => resolveCustomerType(customerTypes, value),
+
+  /**
+   * Get the key for a customer type key or label
+   * @param {string} value - Customer type key or label
+   * @returns {string|null} - Canonical key or null if unknown
+   */
+  getKey: (value) => {
+    const customerType = resolveCustomerType(customerTypes, value);
+    return customerType ? customerType.key : null;
+  },
+
+  /**
+   * Get the display label for a customer type key or label
+   * @param {string} value - Customer type key or label
+   * @returns {string} - Display label, or the value itself if unknown
+   */
+  getLabel: (value) => {
+    const customerType = resolveCustomerType(customerTypes, value);
+    return customerType ? customerType.label : value;
+  }
+};
@@ -0,0 +1,45 @@
+import { customerTypeRegistry } from './customerTypeRegistry';
+import { CUSTOMER_TYPES } from './constants';
+import { validateCustomerType } from './validationHelpers';
+
+describe('Customer Type Registry', () => {
+  afterEach(() => {
+    customerTypeRegistry.resetCustomerTypes();
+  });
+
+  test('should resolve customer types by key or label', () => {
+    expect(customerTypeRegistry.getKey(CUSTOMER_TYPES.GRANITE_SHOPS)).toBe(CUSTOMER_TYPES.GRANITE_SHOPS);
+    expect(customerTypeRegistry.getKey('Granite Shops (Wholesalers)')).toBe(CUSTOMER_TYPES.GRANITE_SHOPS);
+    expect(customerTypeRegistry.getKey('Granite Shops')).toBe(CUSTOMER_TYPES.GRANITE_SHOPS);
+    expect(customerTypeRegistry.getKey('Outstation Parties')).toBe(CUSTOMER_TYPES.OUTSTATION_PARTIES);
+    expect(customerTypeRegistry.getKey('Contractors')).toBeNull();
+  });
+
+  test('should return display labels for keys and labels', () => {
+    expect(customerTypeRegistry.getLabel(CUSTOMER_TYPES.RETAIL)).toBe('Retail');
+    expect(customerTypeRegistry.getLabel('Granite Shops')).toBe('Granite Shops (Wholesalers)');
+    expect(customerTypeRegistry.getLabel('unknown_type')).toBe('unknown_type');
+  });
+
+  test('should use customer types loaded from the API', () => {
+    customerTypeRegistry.setCustomerTypes([
+      { key: 'contractors', label: 'Contractors', description: 'Length-2 rounded down to 6' }
+    ]);
+
+    expect(customerTypeRegistry.getKey('Contractors')).toBe('contractors');
+    expect(customerTypeRegistry.getKey(CUSTOMER_TYPES.RETAIL)).toBeNull();
+  });
+
+  test('should keep current customer types when given an empty list', () => {
+    customerTypeRegistry.setCustomerTypes([]);
+
+    expect(customerTypeRegistry.getCustomerTypes()).toHaveLength(5);
+  });
+
+  test('should accept keys and labels when validating customer types', () => {
+    expect(validateCustomerType(CUSTOMER_TYPES.BUILDERS)).toEqual([]);
+    expect(validateCustomerType('Exporters')).toEqual([]);
+    expect(validateCustomerType('Wholesale')).toHaveLength(1);
+    expect(validateCustomerType('')).toEqual(['Customer type is required']);
+  });
+});
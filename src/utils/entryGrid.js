@@ -0,0 +1,128 @@
+/**
+ * Keyboard entry grid helpers
+ * Rows of the slab entry grid, carry-forward of repeated values and cell navigation
+ */
+
+import { DIMENSION_UNITS } from '../shared/dimensions';
+
+// Grid columns in tab order; the dimension headings get the sheet's unit from gridColumns
+export const GRID_COLUMNS = [
+  { key: 'blockNumber', label: 'Block No' },
+  { key: 'material', label: 'Material' },
+  { key: 'length', label: 'Length', numeric: true },
+  { key: 'breadth', label: 'Breadth', numeric: true },
+  { key: 'slabCategory', label: 'Category' }
+];
+
+// Short unit names for the dimension headings
+const UNIT_SUFFIXES = {
+  [DIMENSION_UNITS.INCHES]: 'in',
+  [DIMENSION_UNITS.FEET_INCHES]: 'ft-in',
+  [DIMENSION_UNITS.CENTIMETRES]: 'cm',
+  [DIMENSION_UNITS.MILLIMETRES]: 'mm'
+};
+
+const BARE_NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Grid columns with the dimension headings in the sheet's display unit
+ * @param {string} unit - One of DIMENSION_UNITS, inches by default
+ * @returns {Array<Object>} - GRID_COLUMNS with labels such as 'Length (cm)'
+ */
+export const gridColumns = (unit) => {
+  const suffix = UNIT_SUFFIXES[unit] || UNIT_SUFFIXES[DIMENSION_UNITS.INCHES];
+  return GRID_COLUMNS.map(column => (column.numeric ? { ...column, label: `${column.label} (${suffix})` } : column));
+};
+
+/**
+ * Read a bare number typed into a centimetre or millimetre grid in that unit, so '183'
+ * under 'Length (cm)' is 183 cm. Anything else, and every value in inch and feet-and-inch
+ * grids, is left for the dimension parser as typed
+ * @param {string} value - Cell text
+ * @param {string} unit - One of DIMENSION_UNITS
+ * @returns {string} - e.g. '183 cm'
+ */
+export const withDimensionUnit = (value, unit) => {
+  const text = String(value).trim();
+  const metric = unit === DIMENSION_UNITS.CENTIMETRES || unit === DIMENSION_UNITS.MILLIMETRES;
+  return metric && BARE_NUMBER_PATTERN.test(text) ? `${text} ${unit}` : value;
+};
+
+// Consecutive slabs usually come from the same block, variety and grade
+export const CARRY_FORWARD_FIELDS = ['blockNumber', 'material', 'slabCategory'];
+
+// Row save states
+export const GRID_ROW_STATUS = {
+  DRAFT: 'draft',
+  SAVING: 'saving',
+  ERROR: 'error'
+};
+
+let rowSequence = 0;
+
+/**
+ * Create an empty grid row, carrying block number, material and category forward from the previous row
+ * @param {Object} previousRow - Row above the new one, if any
+ * @returns {Object} - Grid row
+ */
+export const createGridRow = (previousRow = null) => {
+  rowSequence += 1;
+
+  const row = {
+    key: `grid_${Date.now()}_${rowSequence}`,
+    blockNumber: '',
+    material: '',
+    length: '',
+    breadth: '',
+    slabCategory: '',
+    committed: false,
+    status: GRID_ROW_STATUS.DRAFT,
+    error: null
+  };
+
+  if (previousRow) {
+    CARRY_FORWARD_FIELDS.forEach(field => {
+      row[field] = previousRow[field];
+    });
+  }
+
+  return row;
+};
+
+/**
+ * A row without dimensions is blank, even if it carried values forward
+ */
+export const isBlankGridRow = (row) => String(row.length).trim() === '' && String(row.breadth).trim() === '';
+
+/**
+ * Position of the next cell for Enter or Tab, or the previous one with Shift
+ * Moving past the last cell of the last row asks for a new row and lands on its length
+ * @param {Object} position - { row, column } of the current cell
+ * @param {number} rowCount - Rows in the grid
+ * @param {boolean} backwards - Move to the previous cell instead
+ * @returns {Object} - { row, column, addRow }
+ */
+export const nextCellPosition = ({ row, column }, rowCount, backwards = false) => {
+  const lastColumn = GRID_COLUMNS.length - 1;
+
+  if (backwards) {
+    if (column > 0) {
+      return { row, column: column - 1, addRow: false };
+    }
+    return row > 0
+      ? { row: row - 1, column: lastColumn, addRow: false }
+      : { row, column, addRow: false };
+  }
+
+  if (column < lastColumn) {
+    return { row, column: column + 1, addRow: false };
+  }
+
+  // A new row already has the carried values, so entry continues at its length
+  const addRow = row + 1 >= rowCount;
+  return {
+    row: row + 1,
+    column: addRow ? GRID_COLUMNS.findIndex(col => col.key === 'length') : 0,
+    addRow
+  };
+};
@@ -0,0 +1,53 @@
+import { GRID_COLUMNS, gridColumns, withDimensionUnit, createGridRow, isBlankGridRow, nextCellPosition } from './entryGrid';
+
+const LENGTH_COLUMN = GRID_COLUMNS.findIndex(column => column.key === 'length');
+const LAST_COLUMN = GRID_COLUMNS.length - 1;
+
+describe('Entry grid', () => {
+  test('should carry block number, material and category forward to a new row', () => {
+    const previous = {
+      ...createGridRow(),
+      blockNumber: 'BG-1024',
+      material: 'Black Galaxy',
+      length: '120',
+      breadth: '72',
+      slabCategory: 'F'
+    };
+
+    const row = createGridRow(previous);
+
+    expect(row.key).not.toBe(previous.key);
+    expect(row.blockNumber).toBe('BG-1024');
+    expect(row.material).toBe('Black Galaxy');
+    expect(row.slabCategory).toBe('F');
+    expect(row.length).toBe('');
+    expect(row.breadth).toBe('');
+    expect(isBlankGridRow(row)).toBe(true);
+  });
+
+  test('should move along the row and wrap to the next one', () => {
+    expect(nextCellPosition({ row: 0, column: 0 }, 3)).toEqual({ row: 0, column: 1, addRow: false });
+    expect(nextCellPosition({ row: 0, column: LAST_COLUMN }, 3)).toEqual({ row: 1, column: 0, addRow: false });
+    expect(nextCellPosition({ row: 1, column: 0 }, 3, true)).toEqual({ row: 0, column: LAST_COLUMN, addRow: false });
+    expect(nextCellPosition({ row: 0, column: 0 }, 3, true)).toEqual({ row: 0, column: 0, addRow: false });
+  });
+
+  test('should ask for a new row at the end of the grid and continue at its length', () => {
+    expect(nextCellPosition({ row: 2, column: LAST_COLUMN }, 3)).toEqual({ row: 3, column: LENGTH_COLUMN, addRow: true });
+  });
+
+  test('should head the dimension columns in the sheet\'s unit', () => {
+    const labels = (unit) => gridColumns(unit).filter(column => column.numeric).map(column => column.label);
+    expect(labels('cm')).toEqual(['Length (cm)', 'Breadth (cm)']);
+    expect(labels('ft_in')).toEqual(['Length (ft-in)', 'Breadth (ft-in)']);
+    expect(labels(undefined)).toEqual(['Length (in)', 'Breadth (in)']);
+  });
+
+  test('should read bare numbers in a metric grid in its unit', () => {
+    expect(withDimensionUnit('183', 'cm')).toBe('183 cm');
+    expect(withDimensionUnit(' 1830.5 ', 'mm')).toBe('1830.5 mm');
+    expect(withDimensionUnit('72\' 6"', 'cm')).toBe('72\' 6"');
+    expect(withDimensionUnit('72', 'in')).toBe('72');
+    expect(withDimensionUnit('', 'cm')).toBe('');
+  });
+});
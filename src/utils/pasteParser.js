@@ -0,0 +1,136 @@
+import { SLAB_CATEGORIES } from './constants';
+
+/**
+ * Parser for slab dimensions pasted as free text
+ * Reads lists like "72x36, 70x34, 71x36 F" from chat messages, one or many
+ * slabs per line, as well as tab-separated rows copied from a spreadsheet
+ */
+
+const NUMBER = '\\d+(?:\\.\\d+)?';
+
+// Longest first, so LD is not read as D
+const CATEGORY = SLAB_CATEGORIES.slice().sort((a, b) => b.length - a.length).join('|');
+
+// 72x36, 72 X 36, 72*36 or 72×36, optionally followed by a category: 71x36 F, 71x36F, 71x36 (LD)
+const PAIR_PATTERN = new RegExp(
+  `(${NUMBER})\\s*[x×*]\\s*(${NUMBER})(?:\\s*\\(?\\s*(${CATEGORY})\\s*\\)?(?![a-z]))?`,
+  'gi'
+);
+
+// A fragment with only the two numbers and a category separated by spaces: 72 36 F
+const SPACED_PAIR_PATTERN = new RegExp(`^(${NUMBER})\\s+(${NUMBER})(?:\\s+(${CATEGORY}))?$`, 'i');
+
+// "Block BG-1024", "Blk no: 17", "Block #12 - 72x36, 70x34"
+const BLOCK_HEADER_PATTERN = /^(?:block|blk)\b\s*(?:no\.?|number|#)?\s*[:#-]?\s*([a-z0-9][\w\-/]*)\s*[:-]?\s*(.*)$/i;
+
+// "BG-1024:" on its own or before the dimensions
+const LABEL_HEADER_PATTERN = /^([a-z0-9][\w\-/]*)\s*:\s*(.*)$/i;
+
+// A line that starts with dimensions is never a header
+const LEADING_PAIR_PATTERN = new RegExp(`^${NUMBER}\\s*[x×*]`, 'i');
+
+const CATEGORY_PATTERN = new RegExp(`^(?:${CATEGORY})$`, 'i');
+const NUMBER_PATTERN = new RegExp(`^${NUMBER}$`);
+
+const toEntry = (length, breadth, category, blockNumber, lineNumber) => ({
+  lineNumber,
+  blockNumber,
+  length,
+  breadth,
+  slabCategory: category ? category.toUpperCase() : ''
+});
+
+/**
+ * Parse one tab-separated spreadsheet row
+ * The first two numbers are length and breadth, a category cell sets the category
+ * and any other text is taken as the block number
+ */
+const parseTabbedLine = (line, blockNumber, lineNumber) => {
+  const cells = line.split('\t').map(cell => cell.trim()).filter(Boolean);
+  const numbers = cells.filter(cell => NUMBER_PATTERN.test(cell));
+  const category = cells.find(cell => CATEGORY_PATTERN.test(cell));
+  const label = cells.find(cell => !NUMBER_PATTERN.test(cell) && !CATEGORY_PATTERN.test(cell));
+
+  if (numbers.length < 2) {
+    return { entries: [], unparsed: [line.trim()] };
+  }
+
+  return {
+    entries: [toEntry(numbers[0], numbers[1], category, label || blockNumber, lineNumber)],
+    unparsed: []
+  };
+};
+
+/**
+ * Parse the dimensions in one line of text
+ */
+const parseDimensions = (text, blockNumber, lineNumber) => {
+  const entries = [];
+  const unparsed = [];
+
+  const matches = Array.from(text.matchAll(PAIR_PATTERN));
+  if (matches.length > 0) {
+    let rest = text;
+    matches.forEach(match => {
+      entries.push(toEntry(match[1], match[2], match[3], blockNumber, lineNumber));
+      rest = rest.replace(match[0], ' ');
+    });
+
+    rest.split(/[,;]/).map(fragment => fragment.trim()).filter(Boolean).forEach(fragment => unparsed.push(fragment));
+    return { entries, unparsed };
+  }
+
+  text.split(/[,;]/).map(fragment => fragment.trim()).filter(Boolean).forEach(fragment => {
+    const match = fragment.match(SPACED_PAIR_PATTERN);
+    if (match) {
+      entries.push(toEntry(match[1], match[2], match[3], blockNumber, lineNumber));
+    } else {
+      unparsed.push(fragment);
+    }
+  });
+
+  return { entries, unparsed };
+};
+
+/**
+ * Parse pasted slab dimensions
+ * Slabs are separated by commas, semicolons or new lines. A block header line
+ * ("Block BG-1024" or "BG-1024:") sets the block number for the slabs after it.
+ * Slabs without a category suffix get an empty category for the caller to fill in
+ * @param {string} text - Pasted text
+ * @returns {Object} - { entries: [{ lineNumber, blockNumber, length, breadth, slabCategory }], unparsed: [{ lineNumber, text }] }
+ */
+export const parseDimensionText = (text = '') => {
+  const entries = [];
+  const unparsed = [];
+  let blockNumber = '';
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    let line = rawLine.trim();
+
+    if (!line) {
+      return;
+    }
+
+    let result;
+    if (rawLine.includes('\t')) {
+      result = parseTabbedLine(rawLine, blockNumber, lineNumber);
+    } else {
+      const header = line.match(BLOCK_HEADER_PATTERN) || line.match(LABEL_HEADER_PATTERN);
+      if (header && !LEADING_PAIR_PATTERN.test(line)) {
+        blockNumber = header[1];
+        line = header[2].trim();
+        if (!line) {
+          return;
+        }
+      }
+      result = parseDimensions(line, blockNumber, lineNumber);
+    }
+
+    entries.push(...result.entries);
+    result.unparsed.forEach(fragment => unparsed.push({ lineNumber, text: fragment }));
+  });
+
+  return { entries, unparsed };
+};
@@ -0,0 +1,56 @@
+import { parseDimensionText } from './pasteParser';
+
+const dimensions = (entries) => entries.map(entry => [entry.length, entry.breadth, entry.slabCategory]);
+
+describe('Paste parser', () => {
+  test('should read a comma separated chat message with a category suffix', () => {
+    const { entries, unparsed } = parseDimensionText('72x36, 70x34, 71x36 F');
+
+    expect(dimensions(entries)).toEqual([
+      ['72', '36', ''],
+      ['70', '34', ''],
+      ['71', '36', 'F']
+    ]);
+    expect(unparsed).toEqual([]);
+  });
+
+  test('should accept x, X, * and × separators and LD, (D) and attached categories', () => {
+    const { entries } = parseDimensionText('72 X 36 ld\n70*34(D)\n69.5×33s; 68x32F');
+
+    expect(dimensions(entries)).toEqual([
+      ['72', '36', 'LD'],
+      ['70', '34', 'D'],
+      ['69.5', '33', 'S'],
+      ['68', '32', 'F']
+    ]);
+    expect(entries.map(entry => entry.lineNumber)).toEqual([1, 2, 3, 3]);
+  });
+
+  test('should apply block header lines to the slabs below them', () => {
+    const { entries } = parseDimensionText('Block BG-1024\n72x36, 70x34\n\nBG-1025: 71x36 F\nBlk no. 17 - 60x30');
+
+    expect(entries.map(entry => entry.blockNumber)).toEqual(['BG-1024', 'BG-1024', 'BG-1025', '17']);
+    expect(dimensions(entries)[2]).toEqual(['71', '36', 'F']);
+  });
+
+  test('should read tab separated spreadsheet rows and space separated pairs', () => {
+    const { entries } = parseDimensionText('BG-7\t96\t48\tLD\n72\t36\n60 30 S');
+
+    expect(entries).toEqual([
+      { lineNumber: 1, blockNumber: 'BG-7', length: '96', breadth: '48', slabCategory: 'LD' },
+      { lineNumber: 2, blockNumber: '', length: '72', breadth: '36', slabCategory: '' },
+      { lineNumber: 3, blockNumber: '', length: '60', breadth: '30', slabCategory: 'S' }
+    ]);
+  });
+
+  test('should report text it could not read', () => {
+    const { entries, unparsed } = parseDimensionText('72x36 Fine, seventy by thirty\nok thanks');
+
+    expect(dimensions(entries)).toEqual([['72', '36', '']]);
+    expect(unparsed).toEqual([
+      { lineNumber: 1, text: 'Fine' },
+      { lineNumber: 1, text: 'seventy by thirty' },
+      { lineNumber: 2, text: 'ok thanks' }
+    ]);
+  });
+});
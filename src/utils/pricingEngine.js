@@ -0,0 +1,72 @@
+import { priceSlab, calculateSheetTotals } from '../shared/pricing';
+
+/**
+ * Rate card pricing for slab entries
+ * Uses the same rate card matching as the server (src/shared/pricing.js) so the
+ * amounts shown while entering slabs match the amounts the server stores
+ */
+
+// Active rate cards, empty until loaded from the API (slabs are unpriced without them)
+let rateCards = [];
+
+export const pricingEngine = {
+  /**
+   * Replace the active rate cards
+   * @param {Array<Object>} cards - Rate cards loaded from the API
+   */
+  setRateCards: (cards) => {
+    rateCards = Array.isArray(cards) ? cards : [];
+  },
+
+  /**
+   * Clear the active rate cards
+   */
+  resetRateCards: () => {
+    rateCards = [];
+  },
+
+  /**
+   * Get the active rate cards
+   * @returns {Array<Object>} - Rate cards
+   */
+  getRateCards: () => rateCards,
+
+  /**
+   * Price a slab entry
+   * @param {Object} entry - Slab entry with slabCategory, material and squareFeet
+   * @param {string} customerType - Customer type key of the sheet
+   * @param {Date|string} date - Pricing date, defaults to today
+   * @returns {Object} - { rate, amount }, both null when no rate card applies
+   */
+  priceEntry: (entry, customerType, date = new Date()) => {
+    const { rate, amount } = priceSlab(rateCards, {
+      customerType,
+      slabCategory: entry.slabCategory,
+      material: entry.material,
+      date,
+      squareFeet: entry.squareFeet
+    });
+
+    return { rate, amount };
+  },
+
+  /**
+   * Calculate sheet totals from slab entries
+   * @param {Array<Object>} entries - Slab entries
+   * @returns {Object} - { totalSquareFeet, totalAmount, unpricedCount }
+   */
+  calculateTotals: (entries) => calculateSheetTotals(entries)
+};
+
+/**
+ * Format an amount for display
+ * @param {number|null} amount - Amount
+ * @returns {string} - Amount with 2 decimals, or '-' when unpriced
+ */
+export const formatAmount = (amount) => {
+  if (amount === null || amount === undefined || amount === '') {
+    return '-';
+  }
+
+  return (parseFloat(amount) || 0).toFixed(2);
+};
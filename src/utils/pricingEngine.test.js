@@ -0,0 +1,56 @@
+import { pricingEngine, formatAmount } from './pricingEngine';
+import { CUSTOMER_TYPES } from './constants';
+
+const RATE_CARDS = [
+  { id: 1, customerType: CUSTOMER_TYPES.RETAIL, slabCategory: 'F', material: null, ratePerSqft: 100, effectiveFrom: '2024-01-01', isActive: true },
+  { id: 2, customerType: CUSTOMER_TYPES.RETAIL, slabCategory: 'F', material: null, ratePerSqft: 110, effectiveFrom: '2024-06-01', isActive: true },
+  { id: 3, customerType: CUSTOMER_TYPES.RETAIL, slabCategory: 'F', material: 'Black Galaxy', ratePerSqft: 150, effectiveFrom: '2024-01-01', isActive: true },
+  { id: 4, customerType: CUSTOMER_TYPES.RETAIL, slabCategory: 'LD', material: null, ratePerSqft: 80, effectiveFrom: '2024-01-01', isActive: false }
+];
+
+describe('Pricing Engine', () => {
+  beforeEach(() => {
+    pricingEngine.setRateCards(RATE_CARDS);
+  });
+
+  afterEach(() => {
+    pricingEngine.resetRateCards();
+  });
+
+  test('should use the latest rate card effective on the pricing date', () => {
+    const entry = { slabCategory: 'F', squareFeet: 10 };
+
+    expect(pricingEngine.priceEntry(entry, CUSTOMER_TYPES.RETAIL, '2024-03-15')).toEqual({ rate: 100, amount: 1000 });
+    expect(pricingEngine.priceEntry(entry, CUSTOMER_TYPES.RETAIL, '2024-06-01')).toEqual({ rate: 110, amount: 1100 });
+  });
+
+  test('should prefer a rate card for the granite variety over a generic one', () => {
+    const entry = { slabCategory: 'F', material: ' black galaxy ', squareFeet: 8.5 };
+
+    expect(pricingEngine.priceEntry(entry, CUSTOMER_TYPES.RETAIL, '2024-06-01')).toEqual({ rate: 150, amount: 1275 });
+  });
+
+  test('should leave slabs unpriced when no active rate card applies', () => {
+    expect(pricingEngine.priceEntry({ slabCategory: 'LD', squareFeet: 5 }, CUSTOMER_TYPES.RETAIL, '2024-06-01'))
+      .toEqual({ rate: null, amount: null });
+    expect(pricingEngine.priceEntry({ slabCategory: 'F', squareFeet: 5 }, CUSTOMER_TYPES.BUILDERS, '2024-06-01'))
+      .toEqual({ rate: null, amount: null });
+    expect(pricingEngine.priceEntry({ slabCategory: 'F', squareFeet: 5 }, CUSTOMER_TYPES.RETAIL, '2023-12-31'))
+      .toEqual({ rate: null, amount: null });
+  });
+
+  test('should total square feet and amounts and count unpriced slabs', () => {
+    const totals = pricingEngine.calculateTotals([
+      { squareFeet: 8, amount: 1200 },
+      { squareFeet: 4.5, amount: 540.25 },
+      { squareFeet: 2.25, amount: null }
+    ]);
+
+    expect(totals).toEqual({ totalSquareFeet: 14.75, totalSquareMetres: 0, totalAmount: 1740.25, unpricedCount: 1 });
+  });
+
+  test('should format amounts for display', () => {
+    expect(formatAmount(1740.5)).toBe('1740.50');
+    expect(formatAmount(null)).toBe('-');
+  });
+});
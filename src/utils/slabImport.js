@@ -0,0 +1,208 @@
+import { calculationEngine } from './calculationEngine';
+import { validateSlabEntry } from './validationHelpers';
+import { readXlsxRows } from './xlsxReader';
+import { dimensionInputText } from '../shared/dimensions';
+
+/**
+ * Slab entry import from CSV and XLSX files
+ * Turns spreadsheet rows into slab entries using a column mapping, and checks
+ * each row with the same validation and calculation as the slab entry form
+ */
+
+// Slab entry fields a file column can be mapped to, with the header names guessed for each
+export const IMPORT_FIELDS = [
+  { key: 'blockNumber', label: 'Block Number', required: true, aliases: ['block number', 'block no', 'block', 'block #'] },
+  { key: 'length', label: 'Length', required: true, aliases: ['length', 'len', 'l', 'length (inches)'] },
+  { key: 'breadth', label: 'Breadth', required: true, aliases: ['breadth', 'width', 'b', 'w', 'breadth (inches)'] },
+  { key: 'slabCategory', label: 'Category', required: true, aliases: ['category', 'slab category', 'cat', 'grade'] },
+  { key: 'material', label: 'Material', required: false, aliases: ['material', 'variety', 'granite'] }
+];
+
+const normalizeHeader = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.:]/g, '');
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells, escaped quotes, CRLF line endings and a UTF-8 BOM, and
+ * uses semicolons or tabs instead of commas when the first line is split by them
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} - Rows of cell values
+ */
+export const parseCSV = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Array<Array>>} - Rows of cell values
+ */
+export const readImportFile = async (file) => {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.xlsx')) {
+    return readXlsxRows(await file.arrayBuffer());
+  }
+
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    return parseCSV(await file.text());
+  }
+
+  throw new Error('Choose a .csv or .xlsx file');
+};
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {Array} headerRow - First row of the file
+ * @returns {Object} - Column index per field key, '' when no column matches
+ */
+export const guessColumnMapping = (headerRow = []) => {
+  const headers = headerRow.map(normalizeHeader);
+  const used = new Set();
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = headers.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+    if (index !== -1) {
+      used.add(index);
+    }
+    mapping[field.key] = index === -1 ? '' : index;
+    return mapping;
+  }, {});
+};
+
+const cellText = (row, index) => {
+  if (index === '' || index === null || index === undefined) {
+    return '';
+  }
+  const value = row[index];
+  return value === null || value === undefined ? '' : String(value).trim();
+};
+
+/**
+ * Check a slab entry with validateSlabEntry and calculate it with the customer type's rules
+ * @param {Object} entry - blockNumber, length, breadth and slabCategory as entered
+ * @param {string} customerType - Customer type of the measurement sheet
+ * @param {string} calculationMode - Calculation mode of the measurement sheet, imperial by default
+ * @returns {Object} - { calculation, errors, isValid }; calculation is null until both dimensions are valid
+ */
+export const evaluateSlabEntry = (entry, customerType, calculationMode) => {
+  const { errors } = validateSlabEntry(entry);
+  let calculation = null;
+
+  // Only calculate once both dimensions are valid numbers
+  if (!errors.length && !errors.breadth) {
+    try {
+      calculation = calculationEngine.calculateSquareFeet(entry.length, entry.breadth, customerType, calculationMode);
+    } catch (error) {
+      errors.general = error.details ? error.details.join(', ') : error.message;
+    }
+  }
+
+  return {
+    calculation,
+    errors,
+    isValid: Object.keys(errors).length === 0 && calculation !== null
+  };
+};
+
+/**
+ * Build preview rows from the file rows and the column mapping
+ * Blank rows are skipped and each row is checked with evaluateSlabEntry
+ * @param {Array<Array>} rows - File rows
+ * @param {Object} mapping - Column index per field key
+ * @param {string} customerType - Customer type of the measurement sheet
+ * @param {Object} options - { hasHeader } when the first row holds column names, { calculationMode } of the sheet
+ * @returns {Array<Object>} - { rowNumber, entry, calculation, errors, isValid } per row
+ */
+export const buildImportRows = (rows, mapping, customerType, { hasHeader = true, calculationMode } = {}) => {
+  const dataRows = rows.slice(hasHeader ? 1 : 0);
+  const firstRowNumber = hasHeader ? 2 : 1;
+
+  return dataRows
+    .map((row, index) => ({ row, rowNumber: index + firstRowNumber }))
+    .filter(({ row }) => row.some(value => String(value).trim() !== ''))
+    .map(({ row, rowNumber }) => {
+      const entry = {
+        blockNumber: cellText(row, mapping.blockNumber),
+        material: cellText(row, mapping.material),
+        length: cellText(row, mapping.length),
+        breadth: cellText(row, mapping.breadth),
+        slabCategory: cellText(row, mapping.slabCategory).toUpperCase()
+      };
+
+      return {
+        rowNumber,
+        entry,
+        ...evaluateSlabEntry(entry, customerType, calculationMode)
+      };
+    });
+};
+
+/**
+ * Convert valid preview rows to slab entries for the batch endpoint
+ * Dimensions are sent in inches with the entered text kept for display when it was a fraction, feet and inches or metric.
+ * The server recalculates the measurements; the calculated values are sent for consistency with the form
+ * @param {Array<Object>} importRows - Rows with entry, calculation and isValid, as built by buildImportRows
+ * @returns {Array<Object>} - Slab entries
+ */
+export const toSlabEntries = (importRows) => importRows
+  .filter(row => row.isValid)
+  .map(({ entry, calculation }) => ({
+    blockNumber: entry.blockNumber,
+    material: entry.material,
+    length: calculation.length,
+    breadth: calculation.breadth,
+    lengthInput: dimensionInputText(entry.length),
+    breadthInput: dimensionInputText(entry.breadth),
+    slabCategory: entry.slabCategory,
+    finalLength: calculation.finalLength,
+    finalBreadth: calculation.finalBreadth,
+    squareFeet: calculation.squareFeet,
+    squareMetres: calculation.squareMetres,
+    calculationDetails: calculation.rawCalculation
+  }));
@@ -0,0 +1,67 @@
+import { parseCSV, guessColumnMapping, buildImportRows, toSlabEntries } from './slabImport';
+
+describe('Slab import', () => {
+  test('should parse quoted cells, escaped quotes and CRLF line endings', () => {
+    const rows = parseCSV('\uFEFFBlock,Material,Length\r\n"BG-1",  "Black ""Galaxy"", polished",120\r\nBG-2,,96.5\r\n');
+
+    expect(rows).toEqual([
+      ['Block', 'Material', 'Length'],
+      ['BG-1', '  Black "Galaxy", polished', '120'],
+      ['BG-2', '', '96.5']
+    ]);
+  });
+
+  test('should detect semicolon separated files', () => {
+    expect(parseCSV('Block;Length;Breadth\nBG-1;120,5;60')).toEqual([
+      ['Block', 'Length', 'Breadth'],
+      ['BG-1', '120,5', '60']
+    ]);
+  });
+
+  test('should guess the column mapping from the header row', () => {
+    expect(guessColumnMapping(['S.No', 'Block No.', 'Width', 'Length', 'Cat', 'Notes'])).toEqual({
+      blockNumber: 1,
+      length: 3,
+      breadth: 2,
+      slabCategory: 4,
+      material: ''
+    });
+  });
+
+  test('should calculate valid rows and flag invalid ones', () => {
+    const rows = [
+      ['Block', 'Length', 'Breadth', 'Category'],
+      ['BG-1', '120', '72', 'f'],
+      ['', '', '', ''],
+      ['BG-2', 'abc', '60', 'LD'],
+      ['BG-3', 100, 50, 'X']
+    ];
+    const mapping = { blockNumber: 0, length: 1, breadth: 2, slabCategory: 3, material: '' };
+
+    const preview = buildImportRows(rows, mapping, 'retail');
+
+    expect(preview.map(row => row.rowNumber)).toEqual([2, 4, 5]);
+    expect(preview[0].isValid).toBe(true);
+    expect(preview[0].entry.slabCategory).toBe('F');
+    expect(preview[0].calculation.squareFeet).toBe(60);
+    expect(preview[1].isValid).toBe(false);
+    expect(preview[1].errors.length).toBeDefined();
+    expect(preview[1].calculation).toBeNull();
+    expect(preview[2].isValid).toBe(false);
+    expect(preview[2].errors.slabCategory).toBeDefined();
+
+    expect(toSlabEntries(preview)).toEqual([{
+      blockNumber: 'BG-1',
+      material: '',
+      length: 120,
+      breadth: 72,
+      lengthInput: null,
+      breadthInput: null,
+      slabCategory: 'F',
+      finalLength: preview[0].calculation.finalLength,
+      finalBreadth: preview[0].calculation.finalBreadth,
+      squareFeet: 60,
+      calculationDetails: preview[0].calculation.rawCalculation
+    }]);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Offline write queue rules
+ * Writes made while the yard has no connection are queued with temporary IDs
+ * ('temp_...') for the sheets and slab entries they create. The queue is replayed in
+ * order on reconnect and each temporary ID is swapped for the ID the server returns
+ */
+
+export const TEMP_ID_PREFIX = 'temp_';
+
+export const OPERATION_TYPES = {
+  CREATE_SHEET: 'createSheet',
+  ADD_SLAB_ENTRY: 'addSlabEntry',
+  BATCH_ADD_SLAB_ENTRIES: 'batchAddSlabEntries',
+  UPDATE_SLAB_ENTRY: 'updateSlabEntry',
+  DELETE_SLAB_ENTRY: 'deleteSlabEntry',
+  UPDATE_SHEET_STATUS: 'updateSheetStatus'
+};
+
+// How a failed replay is handled: retried later, treated as done, or shown to the user
+export const SYNC_OUTCOMES = {
+  RETRY: 'retry',
+  DONE: 'done',
+  CONFLICT: 'conflict'
+};
+
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+export const createTempId = () => `${TEMP_ID_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Work out how a new operation changes the queue
+ * Changes to a slab entry that has not reached the server yet are folded into its
+ * queued add: an edit updates the add, a delete drops it. Everything else is appended
+ * @param {Array<Object>} queue - Queued operations with their `seq`, oldest first
+ * @param {Object} operation - Operation to queue
+ * @returns {Object} - { put: operations to store, remove: seqs to delete }
+ */
+export const mergeIntoQueue = (queue, operation) => {
+  const { UPDATE_SLAB_ENTRY, DELETE_SLAB_ENTRY, ADD_SLAB_ENTRY } = OPERATION_TYPES;
+
+  if ((operation.type === UPDATE_SLAB_ENTRY || operation.type === DELETE_SLAB_ENTRY) && isTempId(operation.entryId)) {
+    const queuedAdd = queue.find(item => item.type === ADD_SLAB_ENTRY && item.tempId === operation.entryId);
+
+    if (queuedAdd) {
+      return operation.type === UPDATE_SLAB_ENTRY
+        ? { put: [{ ...queuedAdd, payload: { ...queuedAdd.payload, ...operation.payload } }], remove: [] }
+        : { put: [], remove: [queuedAdd.seq] };
+    }
+  }
+
+  return { put: [operation], remove: [] };
+};
+
+/**
+ * Swap the temporary IDs an operation refers to for the server's IDs
+ * @param {Object} operation - Queued operation
+ * @param {Object} idMap - { tempId: serverId } for every create that has been replayed
+ * @returns {Object} - { operation, unresolved } where unresolved lists temporary IDs with no server ID
+ */
+export const resolveOperation = (operation, idMap) => {
+  const unresolved = [];
+  const resolve = (id) => {
+    if (!isTempId(id)) {
+      return id;
+    }
+    if (idMap[id]) {
+      return idMap[id];
+    }
+    unresolved.push(id);
+    return id;
+  };
+
+  const resolved = { ...operation };
+
+  // A queued create still carries its own temporary ID; the server assigns the real one
+  if (operation.type !== OPERATION_TYPES.CREATE_SHEET) {
+    resolved.sheetId = resolve(operation.sheetId);
+  }
+  if (operation.entryId) {
+    resolved.entryId = resolve(operation.entryId);
+  }
+
+  return { operation: resolved, unresolved };
+};
+
+/**
+ * Decide what to do with an operation the server did not accept
+ * No response or a server fault means the server was not reached properly, so the
+ * operation is kept and retried. A delete of something already gone is done. Any other
+ * refusal (the sheet was approved meanwhile, a slab was taken, validation) is a conflict
+ * @param {Object} error - Axios error
+ * @param {Object} operation - The operation being replayed
+ * @returns {Object} - { outcome, status, message, details }
+ */
+export const classifySyncError = (error, operation) => {
+  const response = error && error.response;
+
+  if (!response || response.status === 401 || response.status === 408 || response.status >= 500) {
+    return { outcome: SYNC_OUTCOMES.RETRY };
+  }
+
+  if (response.status === 404 && operation.type === OPERATION_TYPES.DELETE_SLAB_ENTRY) {
+    return { outcome: SYNC_OUTCOMES.DONE };
+  }
+
+  const data = response.data || {};
+  return {
+    outcome: SYNC_OUTCOMES.CONFLICT,
+    status: response.status,
+    message: data.error || data.message || `The server refused the change (${response.status})`,
+    details: Array.isArray(data.details)
+      ? data.details.map(detail => (typeof detail === 'string' ? detail : detail.message || JSON.stringify(detail)))
+      : []
+  };
+};
+
+/**
+ * Describe a queued operation for the sync status and conflict list
+ */
+export const describeOperation = (operation) => {
+  const payload = operation.payload || {};
+  const slab = payload.blockNumber
+    ? `slab from block ${payload.blockNumber}${payload.length && payload.breadth ? ` (${payload.length} × ${payload.breadth})` : ''}`
+    : 'slab';
+
+  switch (operation.type) {
+    case OPERATION_TYPES.CREATE_SHEET:
+      return 'Create measurement sheet';
+    case OPERATION_TYPES.ADD_SLAB_ENTRY:
+      return `Add ${slab}`;
+    case OPERATION_TYPES.BATCH_ADD_SLAB_ENTRIES:
+      return `Add ${(payload.slabEntries || []).length} slabs`;
+    case OPERATION_TYPES.UPDATE_SLAB_ENTRY:
+      return `Change ${slab}`;
+    case OPERATION_TYPES.DELETE_SLAB_ENTRY:
+      return 'Delete slab';
+    case OPERATION_TYPES.UPDATE_SHEET_STATUS:
+      return `Mark sheet ${payload.status}`;
+    default:
+      return operation.type;
+  }
+};
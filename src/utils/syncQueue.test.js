@@ -0,0 +1,71 @@
+import {
+  OPERATION_TYPES,
+  SYNC_OUTCOMES,
+  isTempId,
+  createTempId,
+  mergeIntoQueue,
+  resolveOperation,
+  classifySyncError
+} from './syncQueue';
+
+const queuedAdd = {
+  seq: 4,
+  type: OPERATION_TYPES.ADD_SLAB_ENTRY,
+  tempId: 'temp_entry_1',
+  sheetId: 'temp_sheet_1',
+  payload: { blockNumber: 'B-12', length: 72, breadth: 36, slabCategory: 'F' }
+};
+
+describe('Offline sync queue', () => {
+  test('should recognise temporary IDs', () => {
+    expect(isTempId(createTempId())).toBe(true);
+    expect(isTempId('5f1e2c3a-1111-4aaa-8bbb-123456789abc')).toBe(false);
+    expect(isTempId(undefined)).toBe(false);
+  });
+
+  test('should fold edits and deletes of unsynced slab entries into their queued add', () => {
+    const edit = mergeIntoQueue([queuedAdd], {
+      type: OPERATION_TYPES.UPDATE_SLAB_ENTRY,
+      entryId: 'temp_entry_1',
+      payload: { length: 70 }
+    });
+    expect(edit.remove).toEqual([]);
+    expect(edit.put).toEqual([{ ...queuedAdd, payload: { ...queuedAdd.payload, length: 70 } }]);
+
+    const removal = mergeIntoQueue([queuedAdd], { type: OPERATION_TYPES.DELETE_SLAB_ENTRY, entryId: 'temp_entry_1' });
+    expect(removal).toEqual({ put: [], remove: [4] });
+  });
+
+  test('should append changes to slab entries the server already has', () => {
+    const operation = { type: OPERATION_TYPES.DELETE_SLAB_ENTRY, entryId: 'entry-on-server' };
+
+    expect(mergeIntoQueue([queuedAdd], operation)).toEqual({ put: [operation], remove: [] });
+  });
+
+  test('should map temporary IDs to server IDs and report the ones still missing', () => {
+    const { operation, unresolved } = resolveOperation(
+      { type: OPERATION_TYPES.UPDATE_SLAB_ENTRY, sheetId: 'temp_sheet_1', entryId: 'temp_entry_9' },
+      { temp_sheet_1: 'sheet-1' }
+    );
+
+    expect(operation.sheetId).toBe('sheet-1');
+    expect(unresolved).toEqual(['temp_entry_9']);
+  });
+
+  test('should retry on network and server faults but report refusals as conflicts', () => {
+    const add = { type: OPERATION_TYPES.ADD_SLAB_ENTRY };
+    const remove = { type: OPERATION_TYPES.DELETE_SLAB_ENTRY };
+
+    expect(classifySyncError({ message: 'Network Error' }, add).outcome).toBe(SYNC_OUTCOMES.RETRY);
+    expect(classifySyncError({ response: { status: 503, data: {} } }, add).outcome).toBe(SYNC_OUTCOMES.RETRY);
+    expect(classifySyncError({ response: { status: 404, data: {} } }, remove).outcome).toBe(SYNC_OUTCOMES.DONE);
+    expect(classifySyncError({
+      response: { status: 409, data: { error: 'Measurement sheet MS-0042 is approved', details: ['Amend it instead'] } }
+    }, add)).toEqual({
+      outcome: SYNC_OUTCOMES.CONFLICT,
+      status: 409,
+      message: 'Measurement sheet MS-0042 is approved',
+      details: ['Amend it instead']
+    });
+  });
+});
@@ -1,3 +1,6 @@
+import { customerTypeRegistry } from './customerTypeRegistry';
+import { parseDimension } from '../shared/dimensions';
+
 /**
  * Validation helper functions for form inputs and data validation
  * Provides consistent validation logic across the application
@@ -27,6 +30,30 @@ export const validatePositiveNumber = (value, fieldName = 'Value') => {
   return errors;
 };
 
+/**
+ * Validate a slab dimension entered as decimal inches, a fraction, feet and inches or cm/mm
+ */
+export const validateDimension = (value, fieldName = 'Value') => {
+  const errors = [];
+  
+  if (value === null || value === undefined || value === '') {
+    errors.push(`${fieldName} is required`);
+    return errors;
+  }
+  
+  const dimension = parseDimension(value);
+  
+  if (!dimension) {
+    errors.push(`${fieldName} must be a number, fraction, feet and inches or cm/mm`);
+  } else if (dimension.inches <= 0) {
+    errors.push(`${fieldName} must be greater than 0`);
+  } else if (dimension.inches > 10000) {
+    errors.push(`${fieldName} must be less than 10,000 inches`);
+  }
+  
+  return errors;
+};
+
 /**
  * Validate required string field
  */
@@ -134,7 +161,6 @@ export const validateSlabCategory = (category, required = true) => {
  */
 export const validateCustomerType = (customerType, required = true) => {
   const errors = [];
-  const validTypes = ['Retail', 'Granite Shops', 'Builders', 'Outstation Parties', 'Exporters'];
   
   if (!customerType || customerType.trim() === '') {
     if (required) {
@@ -143,7 +169,9 @@ export const validateCustomerType = (customerType, required = true) => {
     return errors;
   }
   
-  if (!validTypes.includes(customerType)) {
+  // Keys and labels are both accepted, matching the server registry
+  if (!customerTypeRegistry.resolve(customerType)) {
+    const validTypes = customerTypeRegistry.getCustomerTypes().map(type => type.label);
     errors.push(`Customer type must be one of: ${validTypes.join(', ')}`);
   }
   
@@ -183,13 +211,13 @@ export const validateSlabEntry = (slabEntry) => {
   }
   
   // Validate length
-  const lengthErrors = validatePositiveNumber(slabEntry.length, 'Length');
+  const lengthErrors = validateDimension(slabEntry.length, 'Length');
   if (lengthErrors.length > 0) {
     errors.length = lengthErrors[0];
   }
   
   // Validate breadth
-  const breadthErrors = validatePositiveNumber(slabEntry.breadth, 'Breadth');
+  const breadthErrors = validateDimension(slabEntry.breadth, 'Breadth');
   if (breadthErrors.length > 0) {
     errors.breadth = breadthErrors[0];
   }
@@ -0,0 +1,188 @@
+/**
+ * Minimal reader for the first worksheet of an .xlsx workbook
+ * Unzips with the browser's DecompressionStream and parses the sheet XML with
+ * DOMParser, so spreadsheets can be imported without a spreadsheet library
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * List the entries of a zip archive
+ * @param {DataView} view - Archive bytes
+ * @returns {Object} - Entries keyed by file name
+ */
+const readZipDirectory = (view) => {
+  let eocd = -1;
+  for (let offset = view.byteLength - 22; offset >= 0; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('The file is not a valid .xlsx workbook');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('The file is not a valid .xlsx workbook');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength));
+
+    entries[name] = {
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    };
+
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  return entries;
+};
+
+/**
+ * Read one file out of a zip archive as text
+ * @returns {Promise<string|null>} - File contents, or null when the archive has no such file
+ */
+const readZipText = async (view, entries, name) => {
+  const entry = entries[name];
+  if (!entry) {
+    return null;
+  }
+
+  const header = entry.localHeaderOffset;
+  if (view.getUint32(header, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error('The file is not a valid .xlsx workbook');
+  }
+
+  const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const data = new Uint8Array(view.buffer, view.byteOffset + dataStart, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported compression in ${name}`);
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+const elements = (node, tagName) => Array.from(node.getElementsByTagNameNS('*', tagName));
+
+const textOf = (node) => elements(node, 't').map(t => t.textContent).join('');
+
+/**
+ * Convert a cell reference's column letters to a zero-based index, e.g. "C12" -> 2
+ */
+const columnIndex = (reference) => {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Find the path of the workbook's first worksheet
+ */
+const firstWorksheetPath = (workbookXml, relsXml) => {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  if (!workbookXml || !relsXml) {
+    return fallback;
+  }
+
+  const sheet = elements(parseXml(workbookXml), 'sheet')[0];
+  if (!sheet) {
+    return fallback;
+  }
+
+  const relationshipId = Array.from(sheet.attributes).find(attribute => attribute.localName === 'id');
+  const relationship = relationshipId && elements(parseXml(relsXml), 'Relationship')
+    .find(rel => rel.getAttribute('Id') === relationshipId.value);
+
+  if (!relationship) {
+    return fallback;
+  }
+
+  const target = relationship.getAttribute('Target');
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * Read the rows of the first worksheet in an .xlsx workbook
+ * @param {ArrayBuffer} buffer - Workbook file contents
+ * @returns {Promise<Array<Array>>} - Rows of cell values; numbers stay numbers, empty cells and rows are blank
+ */
+export const readXlsxRows = async (buffer) => {
+  const view = new DataView(buffer);
+  const entries = readZipDirectory(view);
+
+  const [workbookXml, relsXml, sharedStringsXml] = await Promise.all([
+    readZipText(view, entries, 'xl/workbook.xml'),
+    readZipText(view, entries, 'xl/_rels/workbook.xml.rels'),
+    readZipText(view, entries, 'xl/sharedStrings.xml')
+  ]);
+
+  const sheetXml = await readZipText(view, entries, firstWorksheetPath(workbookXml, relsXml));
+  if (!sheetXml) {
+    throw new Error('The workbook has no worksheets');
+  }
+
+  const sharedStrings = sharedStringsXml
+    ? elements(parseXml(sharedStringsXml), 'si').map(textOf)
+    : [];
+
+  // Rows keep their spreadsheet position, so row numbers in the preview match the file
+  const rows = [];
+
+  elements(parseXml(sheetXml), 'row').forEach(row => {
+    const rowNumber = parseInt(row.getAttribute('r'), 10);
+    const values = [];
+
+    elements(row, 'c').forEach(cell => {
+      const reference = cell.getAttribute('r');
+      const index = reference ? columnIndex(reference) : values.length;
+      const type = cell.getAttribute('t');
+      const valueNode = elements(cell, 'v')[0];
+      const raw = valueNode ? valueNode.textContent : '';
+
+      let value;
+      if (type === 's') {
+        value = sharedStrings[parseInt(raw, 10)] || '';
+      } else if (type === 'inlineStr') {
+        value = textOf(cell);
+      } else if (type === 'str' || type === 'e' || raw === '') {
+        value = raw;
+      } else if (type === 'b') {
+        value = raw === '1';
+      } else {
+        value = Number(raw);
+      }
+
+      while (values.length < index) {
+        values.push('');
+      }
+      values[index] = value;
+    });
+
+    while (rowNumber && rows.length < rowNumber - 1) {
+      rows.push([]);
+    }
+    rows.push(values);
+  });
+
+  return rows;
+};